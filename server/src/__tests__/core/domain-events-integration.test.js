@@ -30,6 +30,13 @@ jest.mock('../../domains/inspection/repositories/inspectionRepository', () => ({
   ])
 }));
 
+jest.mock('../../services/qualityManagement.service', () => ({
+  getSupplierQMS: jest.fn().mockResolvedValue({
+    nonConformances: [{ ncNumber: 'NC-2401-001', sourceReference: 'component-1:bore:I:WE4:inspection-1' }]
+  }),
+  addNonConformance: jest.fn().mockResolvedValue({})
+}));
+
 // Mock logger
 jest.mock('../../infrastructure/logger', () => ({
   info: jest.fn(),
@@ -140,6 +147,77 @@ describe('Domain Events Integration', () => {
     });
   });
   
+  describe('SPC to quality integration', () => {
+    const violation = {
+      componentId: 'component-1',
+      supplierId: 'supplier-1',
+      partNumber: 'PN-100',
+      parameterName: 'bore',
+      chart: 'I',
+      ruleSet: 'western-electric',
+      rule: 'WE1',
+      description: 'One point beyond 3 sigma',
+      value: 10.4,
+      inspectionId: 'inspection-2',
+      autoCreateNonConformance: true
+    };
+    
+    test('SpcRuleViolationDetected event should open a non-conformance', async () => {
+      // Arrange
+      const qualityManagementService = require('../../services/qualityManagement.service');
+      
+      // Act
+      inspectionEvents.publishers.publishSpcRuleViolationDetected(violation);
+      
+      // Wait for async event handling
+      await new Promise(resolve => setTimeout(resolve, 0));
+      
+      // Assert
+      expect(qualityManagementService.addNonConformance).toHaveBeenCalledWith('supplier-1', expect.objectContaining({
+        severity: 'major',
+        category: 'process',
+        source: 'spc',
+        sourceReference: 'component-1:bore:I:WE1:inspection-2'
+      }));
+    });
+    
+    test('SpcRuleViolationDetected event should not duplicate an existing non-conformance', async () => {
+      // Arrange
+      const qualityManagementService = require('../../services/qualityManagement.service');
+      
+      // Act
+      inspectionEvents.publishers.publishSpcRuleViolationDetected({
+        ...violation,
+        rule: 'WE4',
+        inspectionId: 'inspection-1'
+      });
+      
+      // Wait for async event handling
+      await new Promise(resolve => setTimeout(resolve, 0));
+      
+      // Assert
+      expect(qualityManagementService.getSupplierQMS).toHaveBeenCalledWith('supplier-1');
+      expect(qualityManagementService.addNonConformance).not.toHaveBeenCalled();
+    });
+    
+    test('SpcRuleViolationDetected event should not open a non-conformance unless requested', async () => {
+      // Arrange
+      const qualityManagementService = require('../../services/qualityManagement.service');
+      
+      // Act
+      inspectionEvents.publishers.publishSpcRuleViolationDetected({
+        ...violation,
+        autoCreateNonConformance: false
+      });
+      
+      // Wait for async event handling
+      await new Promise(resolve => setTimeout(resolve, 0));
+      
+      // Assert
+      expect(qualityManagementService.getSupplierQMS).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('Event validation', () => {
     test('should validate events against schemas', () => {
       // Register schemas
@@ -0,0 +1,365 @@
+/**
+ * multiTenancy.test.js
+ *
+ * Unit tests for request-scoped multi-tenancy: tenant context carried
+ * through interleaved requests, automatic query isolation of suppliers
+ * and inspections, rejection of unscoped data access, per-tenant indexes
+ * and tenant-namespaced cache keys
+ */
+
+const mongoose = require('mongoose');
+const Supplier = require('../../models/supplier.model');
+const Inspection = require('../../models/inspection.model');
+const ReportSchedule = require('../../models/ReportSchedule');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const NotificationSubscription = require('../../models/NotificationSubscription');
+const NotificationPreference = require('../../models/NotificationPreference');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const SupplierScorecard = require('../../models/SupplierScorecard');
+const RiskAssessment = require('../../models/RiskAssessment');
+const Gauge = require('../../models/Gauge');
+const GaugeStudy = require('../../models/GaugeStudy');
+const BomItem = require('../../models/BomItem');
+const ErpSyncRun = require('../../models/ErpSyncRun');
+const ErpSyncLink = require('../../models/ErpSyncLink');
+const ErpSyncWatermark = require('../../models/ErpSyncWatermark');
+const AuditChecklistTemplate = require('../../models/AuditChecklistTemplate');
+const CertificationExpiryNotice = require('../../models/CertificationExpiryNotice');
+const SamplingSwitchingState = require('../../models/samplingSwitchingState.model');
+const InspectionWorkflow = require('../../models/inspectionWorkflow.model');
+const CacheManager = require('../../infrastructure/caching/CacheManager');
+const riskAssessmentService = require('../../services/riskAssessment.service');
+const {
+  tenantContextMiddleware,
+  setTenantContext,
+  getCurrentTenantId,
+  runWithTenant,
+  runAsSystem
+} = require('../../core/multiTenancy');
+const { TenantContextError } = require('../../utils/errors');
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => String(doc[field]) === String(value));
+
+/**
+ * Serve a model's collection from memory, recording the filters and
+ * pipelines the database receives
+ */
+const mockCollection = (Model, docs) => {
+  const received = { filters: [], pipelines: [] };
+  const find = (filter) => {
+    received.filters.push(filter);
+    return docs.filter(doc => matches(doc, filter));
+  };
+  jest.spyOn(Model.collection, 'find').mockImplementation(async (filter) => ({
+    toArray: async () => find(filter)
+  }));
+  jest.spyOn(Model.collection, 'findOne').mockImplementation(async (filter) => find(filter)[0] || null);
+  jest.spyOn(Model.collection, 'countDocuments').mockImplementation(async (filter) => find(filter).length);
+  jest.spyOn(Model.collection, 'aggregate').mockImplementation(async (pipeline) => {
+    received.pipelines.push(pipeline);
+    return { toArray: async () => [] };
+  });
+  jest.spyOn(Model.collection, 'insertOne').mockImplementation(async (doc) => {
+    docs.push(doc);
+    return { acknowledged: true, insertedId: doc._id };
+  });
+  jest.spyOn(Model.collection, 'updateOne').mockImplementation(async () => ({ acknowledged: true, modifiedCount: 1 }));
+  return received;
+};
+
+/**
+ * Cache provider holding entries in a map
+ */
+const mapCacheProvider = () => {
+  const entries = new Map();
+  return {
+    name: 'map',
+    entries,
+    get: async key => (entries.has(key) ? entries.get(key) : null),
+    set: async (key, data) => {
+      entries.set(key, data);
+      return true;
+    },
+    del: async key => entries.delete(key),
+    clear: async () => {
+      const count = entries.size;
+      entries.clear();
+      return count;
+    }
+  };
+};
+
+/**
+ * Handle a request the way the app does: a tenant context of its own,
+ * filled in by authentication
+ */
+const handleRequest = (tenantId, handler) => new Promise((resolve, reject) => {
+  tenantContextMiddleware({}, {}, () => {
+    setTenantContext(tenantId);
+    handler().then(resolve, reject);
+  });
+});
+
+const buildSupplier = (tenantId, name, code) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  name,
+  code,
+  status: 'active'
+});
+
+const buildInspection = (tenantId, supplier, inspectionNumber) => ({
+  _id: new mongoose.Types.ObjectId(),
+  tenantId,
+  inspectionNumber,
+  title: `Receiving inspection ${inspectionNumber}`,
+  inspectionType: 'incoming',
+  status: 'scheduled',
+  supplierId: supplier._id
+});
+
+describe('Multi-tenancy', () => {
+  let suppliers;
+  let inspections;
+  let supplierCollection;
+  let inspectionCollection;
+
+  beforeEach(() => {
+    jest.spyOn(riskAssessmentService, 'scheduleRescore').mockImplementation(() => {});
+
+    const acmeSupplier = buildSupplier('acme', 'Precision Castings', 'SUP0001');
+    const globexSupplier = buildSupplier('globex', 'Precision Castings', 'SUP0001');
+    suppliers = [acmeSupplier, globexSupplier];
+    inspections = [
+      buildInspection('acme', acmeSupplier, 'INS-26-10-0001'),
+      buildInspection('globex', globexSupplier, 'INS-26-10-0001'),
+      buildInspection('globex', globexSupplier, 'INS-26-10-0002')
+    ];
+    supplierCollection = mockCollection(Supplier, suppliers);
+    inspectionCollection = mockCollection(Inspection, inspections);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('tenant context', () => {
+    it('should keep each interleaved request in its own tenant', async () => {
+      // Arrange
+      const seen = [];
+      const handler = (tenantId) => async () => {
+        for (let step = 0; step < 3; step++) {
+          await nextTick();
+          seen.push([tenantId, getCurrentTenantId()]);
+        }
+      };
+
+      // Act
+      await Promise.all([
+        handleRequest('acme', handler('acme')),
+        handleRequest('globex', handler('globex'))
+      ]);
+
+      // Assert
+      expect(seen).toHaveLength(6);
+      seen.forEach(([expected, actual]) => expect(actual).toBe(expected));
+      expect(getCurrentTenantId()).toBeNull();
+    });
+  });
+
+  describe('query isolation', () => {
+    it('should never show interleaved requests each other\'s suppliers or inspections', async () => {
+      // Arrange
+      const listAll = async () => {
+        const ownSuppliers = await Supplier.find();
+        await nextTick();
+        const ownInspections = await Inspection.find();
+        await nextTick();
+        const byCode = await Supplier.findOne({ code: 'SUP0001' });
+        const counted = await Inspection.countDocuments({ status: 'scheduled' });
+        return { ownSuppliers, ownInspections, byCode, counted };
+      };
+
+      // Act
+      const [acme, globex] = await Promise.all([
+        handleRequest('acme', listAll),
+        handleRequest('globex', listAll)
+      ]);
+
+      // Assert
+      expect(acme.ownSuppliers.map(supplier => supplier.id)).toEqual([suppliers[0]._id.toString()]);
+      expect(globex.ownSuppliers.map(supplier => supplier.id)).toEqual([suppliers[1]._id.toString()]);
+      expect(acme.ownInspections.map(inspection => inspection.tenantId)).toEqual(['acme']);
+      expect(globex.ownInspections.map(inspection => inspection.tenantId)).toEqual(['globex', 'globex']);
+      expect(acme.byCode.tenantId).toBe('acme');
+      expect(globex.byCode.tenantId).toBe('globex');
+      expect(acme.counted).toBe(1);
+      expect(globex.counted).toBe(2);
+      supplierCollection.filters.concat(inspectionCollection.filters)
+        .forEach(filter => expect(['acme', 'globex']).toContain(filter.tenantId));
+    });
+
+    it('should stamp new documents with the tenant of the request', async () => {
+      // Act
+      const created = await handleRequest('acme', () => Supplier.create({ name: 'Orbital Fasteners', code: 'SUP0002' }));
+
+      // Assert
+      expect(created.tenantId).toBe('acme');
+      expect(suppliers[suppliers.length - 1]).toEqual(expect.objectContaining({ name: 'Orbital Fasteners', tenantId: 'acme' }));
+    });
+
+    it('should restrict aggregations and their lookups to the tenant', async () => {
+      // Arrange
+      const pipeline = [
+        { $match: { status: 'active' } },
+        { $lookup: { from: 'inspections', localField: '_id', foreignField: 'supplierId', as: 'inspections' } },
+        { $lookup: { from: 'reporttemplates', localField: '_id', foreignField: 'supplierId', as: 'templates' } }
+      ];
+
+      // Act
+      await handleRequest('globex', () => Supplier.aggregate(pipeline));
+
+      // Assert
+      const [received] = supplierCollection.pipelines;
+      expect(received[0]).toEqual({ $match: { tenantId: 'globex' } });
+      expect(received[2].$lookup.pipeline).toEqual([{ $match: { tenantId: 'globex' } }]);
+      expect(received[3].$lookup.pipeline).toEqual([]);
+    });
+
+    it('should only reach the report schedules of the request tenant', async () => {
+      // Arrange
+      const schedules = ['acme', 'globex'].map(tenantId => ({
+        _id: new mongoose.Types.ObjectId(),
+        tenantId,
+        name: 'Monthly inspection summary'
+      }));
+      mockCollection(ReportSchedule, schedules);
+
+      // Act
+      const listed = await handleRequest('acme', () => ReportSchedule.find().sort({ nextRunAt: 1 }).exec());
+      const other = await handleRequest('acme', () => ReportSchedule.findById(schedules[1]._id).exec());
+
+      // Assert
+      expect(listed.map(schedule => schedule.tenantId)).toEqual(['acme']);
+      expect(other).toBeNull();
+    });
+
+    it('should reject data access outside any tenant context', async () => {
+      // Act & Assert
+      await expect(Supplier.find()).rejects.toThrow(TenantContextError);
+      await expect(Inspection.aggregate([{ $match: {} }])).rejects.toThrow(TenantContextError);
+      await expect(Supplier.create({ name: 'Orbital Fasteners', code: 'SUP0002' })).rejects.toThrow(TenantContextError);
+      await expect(handleRequest('acme', () => Inspection.estimatedDocumentCount())).rejects.toThrow(TenantContextError);
+      expect(supplierCollection.filters).toHaveLength(0);
+      expect(Supplier.collection.insertOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject unscoped access to every other model holding tenant data', async () => {
+      // Arrange
+      const tenantModels = [
+        NotificationSubscription,
+        NotificationPreference,
+        NotificationDelivery,
+        SupplierScorecard,
+        RiskAssessment,
+        Gauge,
+        GaugeStudy,
+        BomItem,
+        ErpSyncRun,
+        ErpSyncLink,
+        ErpSyncWatermark,
+        AuditChecklistTemplate,
+        CertificationExpiryNotice,
+        SamplingSwitchingState,
+        InspectionWorkflow
+      ];
+
+      // Act & Assert
+      for (const Model of tenantModels) {
+        await expect(Model.find()).rejects.toThrow(TenantContextError);
+        expect(Object.keys(Model.schema.indexes()[0][0])[0]).toBe('tenantId');
+      }
+    });
+
+    it('should reject moving documents to another tenant', async () => {
+      // Act & Assert
+      await expect(handleRequest('acme', () => Supplier.updateOne(
+        { code: 'SUP0001' },
+        { $set: { status: 'inactive', tenantId: 'globex' } }
+      ))).rejects.toThrow(TenantContextError);
+      await expect(handleRequest('acme', () => Supplier.create({
+        name: 'Orbital Fasteners',
+        code: 'SUP0002',
+        tenantId: 'globex'
+      }))).rejects.toThrow(TenantContextError);
+      expect(Supplier.collection.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should read every tenant\'s data as the system, which must name the tenant of new data', async () => {
+      // Act
+      const all = await runAsSystem(() => Inspection.find().exec());
+      const unnamed = runAsSystem(() => Supplier.create({ name: 'Orbital Fasteners', code: 'SUP0002' }));
+      const named = await runAsSystem(() => Supplier.create({ name: 'Orbital Fasteners', code: 'SUP0002', tenantId: 'globex' }));
+
+      // Assert
+      expect(all).toHaveLength(3);
+      await expect(unnamed).rejects.toThrow(TenantContextError);
+      expect(named.tenantId).toBe('globex');
+    });
+  });
+
+  describe('per-tenant indexes', () => {
+    it('should make names, codes and inspection numbers unique within each tenant', () => {
+      // Arrange
+      const uniqueIndexes = (Model) => Model.schema.indexes()
+        .filter(([, options]) => options.unique)
+        .map(([fields]) => fields);
+
+      // Assert
+      expect(uniqueIndexes(Supplier)).toEqual([{ tenantId: 1, name: 1 }, { tenantId: 1, code: 1 }]);
+      expect(uniqueIndexes(Inspection)).toEqual([{ tenantId: 1, inspectionNumber: 1 }]);
+      Supplier.schema.indexes().concat(Inspection.schema.indexes())
+        .forEach(([fields]) => expect(Object.keys(fields)[0]).toBe('tenantId'));
+    });
+
+    it('should leave TTL indexes on their single field', () => {
+      // Assert
+      expect(WebhookDelivery.schema.indexes()).toEqual(expect.arrayContaining([
+        [{ createdAt: 1 }, expect.objectContaining({ expireAfterSeconds: expect.any(Number) })],
+        [{ tenantId: 1, status: 1, nextAttemptAt: 1 }, expect.any(Object)]
+      ]));
+    });
+  });
+
+  describe('cache namespacing', () => {
+    let provider;
+    let cache;
+
+    beforeEach(() => {
+      provider = mapCacheProvider();
+      cache = new CacheManager({ providers: [provider] });
+    });
+
+    afterEach(async () => {
+      await cache.close();
+    });
+
+    it('should keep the same key apart for each tenant', async () => {
+      // Act
+      await Promise.all([
+        runWithTenant('acme', () => cache.set('suppliers:list', ['acme supplier'], {}, { tags: ['suppliers'] })),
+        runWithTenant('globex', () => cache.set('suppliers:list', ['globex supplier'], {}, { tags: ['suppliers'] }))
+      ]);
+      const acme = await runWithTenant('acme', () => cache.get('suppliers:list'));
+      await runWithTenant('acme', () => cache.invalidateByTag('suppliers'));
+
+      // Assert
+      expect(acme).toEqual(['acme supplier']);
+      expect(await runWithTenant('acme', () => cache.get('suppliers:list'))).toBeNull();
+      expect(await runWithTenant('globex', () => cache.get('suppliers:list'))).toEqual(['globex supplier']);
+      expect([...provider.entries.keys()]).toEqual(['tenant:globex:suppliers:list']);
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * sdk.test.js
+ *
+ * Unit tests for SDK generation from the ApiFramework route registry:
+ * JavaScript, TypeScript and Python output snapshots, and the generated
+ * JavaScript client's authentication, pagination and typed errors
+ */
+
+const Module = require('module');
+const { generateSDK, SDK_LANGUAGES } = require('../../core/sdk');
+const { collectOperations } = require('../../core/sdk/operations');
+
+const SCHEMAS = {
+  Supplier: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string', description: 'Legal name' },
+      status: { type: 'string', enum: ['active', 'suspended'] },
+      certifications: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+const ENDPOINTS = [
+  {
+    method: 'GET',
+    path: '/suppliers',
+    summary: 'List suppliers',
+    paginated: true,
+    parameters: [
+      { name: 'status', description: 'Only suppliers with this status', schema: { type: 'string', enum: ['active', 'suspended'] } }
+    ],
+    responses: { 200: { schema: { type: 'array', items: { $ref: '#/components/schemas/Supplier' } } } }
+  },
+  {
+    method: 'GET',
+    path: '/suppliers/:id',
+    summary: 'Get a supplier',
+    parameters: [{ name: 'id', in: 'path', description: 'Supplier ID' }],
+    responses: { 200: { schema: { $ref: '#/components/schemas/Supplier' } } }
+  },
+  {
+    method: 'POST',
+    path: '/suppliers',
+    summary: 'Create a supplier',
+    parameters: [{ name: 'X-Idempotency-Key', in: 'header', description: 'Replay protection key' }],
+    requestBody: {
+      description: 'Supplier to create',
+      schema: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          tier: { type: 'integer', nullable: true }
+        }
+      }
+    },
+    responses: { 200: { schema: { $ref: '#/components/schemas/Supplier' } } }
+  },
+  {
+    method: 'POST',
+    path: '/suppliers/:id/approve',
+    summary: 'Approve a supplier',
+    parameters: [{ name: 'from', description: 'Approval takes effect from this date', schema: { type: 'string', format: 'date' } }],
+    requestBody: {
+      required: false,
+      schema: { type: 'object', properties: { notes: { type: 'string' } } }
+    }
+  }
+];
+
+/**
+ * Build a route registry the way ApiFramework.define records routes
+ */
+const buildRegistry = (version, endpoints) => {
+  const routes = new Map();
+  endpoints.forEach(endpoint => {
+    routes.set(`${version}:${endpoint.method}:${endpoint.path}`, {
+      version,
+      method: endpoint.method,
+      path: endpoint.path,
+      endpoint
+    });
+  });
+  return routes;
+};
+
+const registry = new Map([
+  ...buildRegistry('v1', ENDPOINTS),
+  ...buildRegistry('v2', [{ method: 'GET', path: '/health', summary: 'v2 only' }])
+]);
+
+const api = {
+  version: 'v1',
+  baseURL: 'https://api.example.com/api/v1',
+  schemas: SCHEMAS,
+  routes: Array.from(registry.values())
+};
+
+/**
+ * Load generated JavaScript source as a module
+ */
+const loadClient = (source) => {
+  const clientModule = new Module('aerosuite-api-v1.js');
+  clientModule._compile(source, 'aerosuite-api-v1.js');
+  return clientModule.exports;
+};
+
+/**
+ * Fake fetch answering each call with the next queued response
+ */
+const fakeFetch = (responses) => {
+  const fetch = jest.fn(async () => {
+    const { status = 200, body, headers = {} } = responses.shift();
+    const allHeaders = { 'content-type': 'application/json; charset=utf-8', ...headers };
+    return {
+      status,
+      ok: status >= 200 && status < 300,
+      headers: { get: (name) => allHeaders[name.toLowerCase()] ?? null },
+      text: async () => (body === undefined ? '' : JSON.stringify(body))
+    };
+  });
+  return fetch;
+};
+
+describe('SDK generation', () => {
+  describe('generated sources', () => {
+    it.each(Object.keys(SDK_LANGUAGES))('should generate the %s SDK from the route registry', (language) => {
+      // Act
+      const sdk = generateSDK(api, language);
+
+      // Assert
+      expect(sdk).toMatchSnapshot();
+      expect(sdk).not.toContain('v2 only');
+    });
+
+    it('should reject languages without a generator', () => {
+      // Act / Assert
+      expect(() => generateSDK(api, 'cobol')).toThrow('SDK language cobol not supported');
+    });
+
+    it('should reject routes that generate the same method name', () => {
+      // Arrange
+      const routes = Array.from(buildRegistry('v1', [
+        { method: 'GET', path: '/suppliers/:id' },
+        { method: 'GET', path: '/suppliers/:id?' }
+      ]).values());
+
+      // Act / Assert
+      expect(() => collectOperations('v1', routes)).toThrow('SDK method getSuppliersById is generated for both');
+    });
+  });
+
+  describe('JavaScript client', () => {
+    const { AeroSuiteAPI, NotFoundError, RateLimitError, ValidationError } = loadClient(generateSDK(api, 'javascript'));
+
+    it('should authenticate requests and send path, query, header and body parameters', async () => {
+      // Arrange
+      const fetch = fakeFetch([
+        { body: { success: true, data: { id: 'a/b', name: 'Acme' } } },
+        { body: { success: true, data: { id: 's1', name: 'Acme' } } }
+      ]);
+      const client = new AeroSuiteAPI({ fetch, token: async () => 'jwt-token', apiKey: 'key-1' });
+
+      // Act
+      const approved = await client.postSuppliersApproveById({ id: 'a/b', from: '2026-01-01', body: { notes: 'ok' } });
+      const created = await client.postSuppliers({ body: { name: 'Acme' }, 'X-Idempotency-Key': 'k1' });
+
+      // Assert
+      expect(approved).toEqual({ id: 'a/b', name: 'Acme' });
+      expect(created.id).toBe('s1');
+      const [url, init] = fetch.mock.calls[0];
+      expect(url).toBe('https://api.example.com/api/v1/suppliers/a%2Fb/approve?from=2026-01-01');
+      expect(init.method).toBe('POST');
+      expect(init.headers).toMatchObject({
+        Authorization: 'Bearer jwt-token',
+        'X-API-Key': 'key-1',
+        'Content-Type': 'application/json'
+      });
+      expect(JSON.parse(init.body)).toEqual({ notes: 'ok' });
+      expect(fetch.mock.calls[1][1].headers['X-Idempotency-Key']).toBe('k1');
+    });
+
+    it('should reject calls missing a path parameter', async () => {
+      // Arrange
+      const client = new AeroSuiteAPI({ fetch: fakeFetch([]) });
+
+      // Act / Assert
+      await expect(client.getSuppliersById({})).rejects.toThrow('Missing required path parameter id');
+    });
+
+    it('should iterate over every page of a paginated method', async () => {
+      // Arrange
+      const fetch = fakeFetch([
+        { body: { success: true, data: [{ id: 's1' }, { id: 's2' }], pagination: { page: 1, limit: 2, total: 3, pages: 2 } } },
+        { body: { success: true, data: [{ id: 's3' }], pagination: { page: 2, limit: 2, total: 3, pages: 2 } } }
+      ]);
+      const client = new AeroSuiteAPI({ fetch });
+
+      // Act
+      const suppliers = [];
+      for await (const supplier of client.paginate('getSuppliers', { status: 'active', limit: 2 })) {
+        suppliers.push(supplier.id);
+      }
+
+      // Assert
+      expect(suppliers).toEqual(['s1', 's2', 's3']);
+      expect(fetch.mock.calls.map(([url]) => new URL(url).search)).toEqual([
+        '?status=active&page=1&limit=2',
+        '?status=active&page=2&limit=2'
+      ]);
+    });
+
+    it('should throw a typed error for each kind of failure', async () => {
+      // Arrange
+      const fetch = fakeFetch([
+        {
+          status: 404,
+          headers: { 'x-request-id': 'req-1' },
+          body: { success: false, error: { message: 'Supplier not found', code: 404 } }
+        },
+        { status: 429, headers: { 'retry-after': '30' }, body: { error: 'Too Many Requests', message: 'Slow down' } },
+        { status: 400, body: { error: 'Validation Error', message: 'Invalid request data', details: [{ field: 'name' }] } }
+      ]);
+      const client = new AeroSuiteAPI({ fetch });
+
+      // Act
+      const errors = [];
+      for (const call of [
+        () => client.getSuppliersById({ id: 'missing' }),
+        () => client.getSuppliers(),
+        () => client.postSuppliers({ body: {} })
+      ]) {
+        errors.push(await call().catch(error => error));
+      }
+
+      // Assert
+      expect(errors[0]).toBeInstanceOf(NotFoundError);
+      expect(errors[0]).toMatchObject({ message: 'Supplier not found', status: 404, requestId: 'req-1' });
+      expect(errors[1]).toBeInstanceOf(RateLimitError);
+      expect(errors[1]).toMatchObject({ message: 'Slow down', retryAfter: 30 });
+      expect(errors[2]).toBeInstanceOf(ValidationError);
+      expect(errors[2].details).toEqual([{ field: 'name' }]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * FirstArticleInspectionService.test.js
+ *
+ * Unit tests for AS9102 first article inspection report assembly
+ */
+
+const faiService = require('../../../../domains/component/services/FirstArticleInspectionService');
+const { Component } = require('../../../../domains/component/models');
+const { Inspection } = require('../../../../domains/inspection/models');
+const { BusinessRuleError, ValidationError } = require('../../../../core/errors');
+
+jest.mock('../../../../domains/component/repositories/componentRepository', () => ({
+  findById: jest.fn()
+}));
+
+jest.mock('../../../../domains/inspection/repositories/inspectionRepository', () => ({
+  findById: jest.fn()
+}));
+
+const createComponent = (overrides = {}) => new Component({
+  id: 'component-1',
+  name: 'Actuator Housing',
+  code: 'ACT-HSG-100',
+  supplierId: 'supplier-1',
+  specifications: [
+    { id: 'spec-bore', name: 'Bore Diameter', value: 12.5, tolerance: 0.05, unit: 'mm', category: 'key' },
+    { id: 'spec-length', name: 'Overall Length', minValue: 99.8, maxValue: 100.2, unit: 'mm' },
+    { id: 'spec-finish', name: 'Surface Finish', value: 'Ra 0.8', category: 'visual' }
+  ],
+  revisions: [
+    { version: '1.0.0', status: 'approved', changes: ['Initial release'], approvedBy: 'user-1', approvedAt: '2024-01-10' },
+    { version: '1.1.0', status: 'approved', changes: ['Tightened bore tolerance'], approvedBy: 'user-1', approvedAt: '2024-02-20' }
+  ],
+  documents: [
+    { id: 'doc-1', type: 'drawing', title: 'DWG-ACT-HSG-100', version: 'C', url: '/docs/dwg.pdf' },
+    { id: 'doc-2', type: 'material-cert', title: 'AL 7075-T6', specificationNumber: 'AMS 4045', certificateNumber: 'MC-2291', url: '/docs/mc.pdf' },
+    { id: 'doc-3', type: 'procedure', title: 'Machining procedure', url: '/docs/proc.pdf' }
+  ],
+  ...overrides
+});
+
+const createInspection = (overrides = {}) => new Inspection({
+  id: 'inspection-1',
+  title: 'First article - ACT-HSG-100',
+  supplierId: 'supplier-1',
+  componentId: 'component-1',
+  scheduledDate: new Date('2024-03-01'),
+  completedDate: new Date('2024-03-02'),
+  status: 'pending-review',
+  items: [
+    { name: 'Bore diameter', specificationId: 'spec-bore', status: 'passed', result: 'passed', actualValue: 12.53 },
+    { name: 'Overall Length', status: 'passed', result: 'passed', actualValue: 100.3 },
+    { name: 'Surface Finish', status: 'pending' }
+  ],
+  ...overrides
+});
+
+describe('FirstArticleInspectionService', () => {
+  describe('buildReport', () => {
+    it('should assign balloon numbers and evaluate each characteristic', () => {
+      // Arrange
+      const component = createComponent();
+      const inspection = createInspection();
+
+      // Act
+      const report = faiService.buildReport(component, inspection);
+
+      // Assert
+      const [bore, length, finish] = report.form3.characteristics;
+      expect(bore).toMatchObject({
+        balloonNumber: 1,
+        requirement: '12.5 ±0.05 mm',
+        characteristicDesignator: 'KC',
+        result: 12.53,
+        status: 'conforming'
+      });
+      expect(length).toMatchObject({ balloonNumber: 2, requirement: '99.8 - 100.2 mm', status: 'nonconforming' });
+      expect(finish).toMatchObject({ balloonNumber: 3, result: null, status: 'missing-result' });
+    });
+
+    it('should flag characteristics without a measured result', () => {
+      const report = faiService.buildReport(createComponent(), createInspection());
+
+      expect(report.form3.missingResults.map(row => row.balloonNumber)).toEqual([3]);
+      expect(report.warnings).toContain('Characteristic 3 (Surface Finish) has no measured result');
+      expect(report.form1.faiComplete).toBe(false);
+      expect(report.summary).toMatchObject({ characteristics: 3, conforming: 1, nonconforming: 1, missingResults: 1 });
+    });
+
+    it('should fill Form 1 from the current revision and Form 2 from certificates', () => {
+      const report = faiService.buildReport(createComponent(), createInspection(), {
+        serialNumber: 'SN-0001',
+        purchaseOrderNumber: 'PO-7781',
+        productAccountability: [{ category: 'special-process', name: 'Anodize', specificationNumber: 'MIL-A-8625' }]
+      });
+
+      expect(report.form1).toMatchObject({
+        partNumber: 'ACT-HSG-100',
+        partRevisionLevel: '1.1.0',
+        drawingNumber: 'DWG-ACT-HSG-100',
+        drawingRevisionLevel: 'C',
+        additionalChanges: ['Tightened bore tolerance'],
+        serialNumber: 'SN-0001',
+        purchaseOrderNumber: 'PO-7781',
+        fullOrPartial: 'full'
+      });
+      expect(report.form2.rows).toEqual([
+        expect.objectContaining({ index: 1, category: 'material', name: 'AL 7075-T6', certificateOfConformanceNumber: 'MC-2291' }),
+        expect.objectContaining({ index: 2, category: 'special-process', name: 'Anodize' })
+      ]);
+    });
+
+    it('should mark the FAI complete when every characteristic conforms', () => {
+      const inspection = createInspection({
+        items: [
+          { name: 'Bore Diameter', status: 'passed', result: 'passed', actualValue: 12.49 },
+          { name: 'Overall Length', status: 'passed', result: 'passed', actualValue: 100.0 },
+          { name: 'Surface Finish', status: 'passed', result: 'passed' }
+        ]
+      });
+
+      const report = faiService.buildReport(createComponent(), inspection);
+
+      expect(report.form1.faiComplete).toBe(true);
+      expect(report.warnings).toEqual([]);
+    });
+
+    it('should warn when the current revision is not approved', () => {
+      const component = createComponent({
+        revisions: [{ version: '2.0.0', status: 'review' }]
+      });
+
+      const report = faiService.buildReport(component, createInspection());
+
+      expect(report.warnings).toContain('Current revision 2.0.0 is review, not approved');
+    });
+
+    it('should require a completed inspection of the same component', () => {
+      expect(() => faiService.buildReport(createComponent(), createInspection({ status: 'in-progress' })))
+        .toThrow(BusinessRuleError);
+      expect(() => faiService.buildReport(createComponent(), createInspection({ componentId: 'component-2' })))
+        .toThrow(ValidationError);
+    });
+  });
+});
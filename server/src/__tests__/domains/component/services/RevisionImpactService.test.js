@@ -0,0 +1,216 @@
+/**
+ * RevisionImpactService.test.js
+ *
+ * Unit tests for component revision change-impact analysis
+ */
+
+const revisionImpactService = require('../../../../domains/component/services/RevisionImpactService');
+const componentRepository = require('../../../../domains/component/repositories/componentRepository');
+const inspectionRepository = require('../../../../domains/inspection/repositories/inspectionRepository');
+const auditLoggingService = require('../../../../services/audit-logging.service');
+const { Component } = require('../../../../domains/component/models');
+const { Inspection } = require('../../../../domains/inspection/models');
+const { BusinessRuleError } = require('../../../../core/errors');
+
+jest.mock('../../../../domains/component/repositories/componentRepository', () => ({
+  findById: jest.fn(),
+  save: jest.fn(component => Promise.resolve(component))
+}));
+
+jest.mock('../../../../domains/inspection/repositories/inspectionRepository', () => ({
+  findById: jest.fn(),
+  findAll: jest.fn(),
+  save: jest.fn(inspection => Promise.resolve(inspection))
+}));
+
+const CURRENT_SPECS = [
+  { id: 'spec-bore', name: 'Bore Diameter', value: 12.5, tolerance: 0.05, unit: 'mm' },
+  { id: 'spec-length', name: 'Overall Length', minValue: 99.8, maxValue: 100.2, unit: 'mm' },
+  { id: 'spec-chamfer', name: 'Edge Chamfer', value: 0.5, tolerance: 0.1, unit: 'mm' }
+];
+
+const REVISED_SPECS = [
+  { id: 'spec-bore', name: 'Bore Diameter', value: 12.5, tolerance: 0.02, unit: 'mm' },
+  { id: 'spec-length', name: 'Overall Length', minValue: 99.8, maxValue: 100.2, unit: 'mm' },
+  { id: 'spec-thread', name: 'Thread', value: 'M8x1.25' }
+];
+
+const createComponent = (overrides = {}) => {
+  const component = new Component({
+    id: 'component-1',
+    name: 'Actuator Housing',
+    code: 'ACT-HSG-100',
+    specifications: CURRENT_SPECS,
+    relatedComponents: [{ componentId: 'assembly-1', relationType: 'assembly' }],
+    ...overrides
+  });
+  component.createRevision({ description: 'Tighten bore tolerance', specifications: REVISED_SPECS });
+  return component;
+};
+
+const createInspection = (overrides = {}) => new Inspection({
+  id: 'inspection-1',
+  title: 'Receiving - ACT-HSG-100',
+  supplierId: 'supplier-1',
+  componentId: 'component-1',
+  scheduledDate: new Date('2999-03-01'),
+  items: [
+    { id: 'item-bore', name: 'Bore diameter', specificationId: 'spec-bore', expectedValue: 12.5, tolerance: 0.05, unitOfMeasure: 'mm' },
+    { id: 'item-chamfer', name: 'Edge chamfer', specificationId: 'spec-chamfer', expectedValue: 0.5, tolerance: 0.1 },
+    { id: 'item-visual', name: 'Visual' }
+  ],
+  ...overrides
+});
+
+describe('RevisionImpactService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(auditLoggingService, 'logOperation').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diffSpecifications', () => {
+    it('should report added, removed and changed specifications', () => {
+      const component = createComponent();
+      const [revision] = component.revisions;
+
+      const diff = revisionImpactService.diffSpecifications(component.specifications, revision.specifications);
+
+      expect(diff.added.map(spec => spec.id)).toEqual(['spec-thread']);
+      expect(diff.removed.map(spec => spec.id)).toEqual(['spec-chamfer']);
+      expect(diff.changed).toEqual([expect.objectContaining({ specificationId: 'spec-bore', fields: ['tolerance'] })]);
+      expect(diff.unchanged).toBe(1);
+    });
+  });
+
+  describe('findAffectedAssemblies', () => {
+    it('should walk parent and assembly relations and stop at cycles', async () => {
+      // Arrange
+      const component = createComponent();
+      const assemblies = {
+        'assembly-1': new Component({
+          id: 'assembly-1',
+          name: 'Actuator',
+          code: 'ACT-100',
+          relatedComponents: [
+            { componentId: 'assembly-2', relationType: 'parent' },
+            { componentId: 'component-1', relationType: 'child' }
+          ]
+        }),
+        'assembly-2': new Component({
+          id: 'assembly-2',
+          name: 'Flap Drive',
+          code: 'FLP-DRV-1',
+          relatedComponents: [{ componentId: 'assembly-1', relationType: 'assembly' }]
+        })
+      };
+      componentRepository.findById.mockImplementation(id => Promise.resolve(assemblies[id] || null));
+
+      // Act
+      const result = await revisionImpactService.findAffectedAssemblies(component);
+
+      // Assert
+      expect(result).toEqual([
+        expect.objectContaining({ componentId: 'assembly-1', depth: 1, path: ['ACT-HSG-100', 'ACT-100'] }),
+        expect.objectContaining({ componentId: 'assembly-2', depth: 2, path: ['ACT-HSG-100', 'ACT-100', 'FLP-DRV-1'] })
+      ]);
+      expect(componentRepository.findById).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateRevisionStatus', () => {
+    it('should analyze the impact when a revision moves to review', async () => {
+      // Arrange
+      const component = createComponent({ relatedComponents: [] });
+      const [revision] = component.revisions;
+      componentRepository.findById.mockResolvedValue(component);
+      inspectionRepository.findAll.mockResolvedValue([createInspection()]);
+
+      // Act
+      const { impactAnalysis } = await revisionImpactService.updateRevisionStatus(
+        'component-1', revision.id, 'review', { id: 'user-1' }
+      );
+
+      // Assert
+      expect(inspectionRepository.findAll).toHaveBeenCalledWith(
+        { componentId: 'component-1', status: { $in: ['scheduled'] } },
+        expect.any(Object)
+      );
+      expect(impactAnalysis.summary).toMatchObject({
+        specificationsAdded: 1,
+        specificationsRemoved: 1,
+        specificationsChanged: 1,
+        affectedInspections: 1,
+        affectedItems: 2
+      });
+      expect(impactAnalysis.affectedInspections[0].items).toEqual([
+        expect.objectContaining({ itemId: 'item-bore', change: 'changed', proposed: { expectedValue: 12.5, tolerance: 0.02, unitOfMeasure: 'mm' } }),
+        expect.objectContaining({ itemId: 'item-chamfer', change: 'removed', proposed: null })
+      ]);
+      expect(revision.status).toBe('review');
+      expect(revision.impactAnalysis).toBe(impactAnalysis);
+      expect(componentRepository.save).toHaveBeenCalledWith(component);
+    });
+
+    it('should update affected inspection items on approval and audit each inspection', async () => {
+      // Arrange
+      const component = createComponent({ relatedComponents: [] });
+      const [revision] = component.revisions;
+      revision.updateStatus('review');
+      const inspection = createInspection();
+      componentRepository.findById.mockResolvedValue(component);
+      inspectionRepository.findAll.mockResolvedValue([createInspection()]);
+      inspectionRepository.findById.mockResolvedValue(inspection);
+
+      // Act
+      const { inspectionUpdates } = await revisionImpactService.updateRevisionStatus(
+        'component-1', revision.id, 'approved', { id: 'user-1', email: 'quality@aerosuite.example' },
+        { updateInspections: true }
+      );
+
+      // Assert
+      expect(revision.status).toBe('approved');
+      expect(component.specifications.map(spec => spec.id)).toEqual(['spec-bore', 'spec-length', 'spec-thread']);
+      expect(inspection.items[0].tolerance).toBe(0.02);
+      expect(inspection.items[1].tolerance).toBe(0.1);
+      expect(inspectionRepository.save).toHaveBeenCalledWith(inspection);
+      expect(inspectionUpdates).toEqual([{
+        inspectionId: 'inspection-1',
+        changes: [expect.objectContaining({ itemId: 'item-bore', before: expect.objectContaining({ tolerance: 0.05 }) })]
+      }]);
+      expect(auditLoggingService.logOperation).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'INSPECTION_ITEMS_REVISED',
+        entityId: 'inspection-1',
+        user: expect.objectContaining({ id: 'user-1' })
+      }));
+    });
+
+    it('should leave inspections alone unless asked to update them', async () => {
+      const component = createComponent({ relatedComponents: [] });
+      const [revision] = component.revisions;
+      revision.updateStatus('review');
+      componentRepository.findById.mockResolvedValue(component);
+      inspectionRepository.findAll.mockResolvedValue([createInspection()]);
+
+      const { inspectionUpdates } = await revisionImpactService.updateRevisionStatus(
+        'component-1', revision.id, 'approved', { id: 'user-1' }
+      );
+
+      expect(inspectionUpdates).toEqual([]);
+      expect(inspectionRepository.save).not.toHaveBeenCalled();
+      expect(auditLoggingService.logOperation).not.toHaveBeenCalled();
+    });
+
+    it('should reject approving a draft revision', async () => {
+      const component = createComponent({ relatedComponents: [] });
+      componentRepository.findById.mockResolvedValue(component);
+
+      await expect(revisionImpactService.updateRevisionStatus(
+        'component-1', component.revisions[0].id, 'approved', { id: 'user-1' }
+      )).rejects.toThrow(BusinessRuleError);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * InspectionWorkflow.test.js
+ *
+ * Tests for the configurable inspection workflow state machine
+ */
+
+const { Inspection, InspectionWorkflow } = require('../../../domains/inspection/models');
+const { DomainError, BusinessRuleError, AuthorizationError } = require('../../../core/errors');
+
+const createInspection = (overrides = {}) => new Inspection({
+  title: 'First Article Inspection',
+  customerId: 'customer-123',
+  scheduledDate: new Date('2023-06-15'),
+  inspectorId: 'user-789',
+  inspectionType: 'first-article',
+  items: [
+    { name: 'Check bore diameter', category: 'dimensional' },
+    { name: 'Check surface finish', category: 'visual', isRequired: false }
+  ],
+  ...overrides
+});
+
+describe('InspectionWorkflow', () => {
+  describe('definition validation', () => {
+    it('should accept the default workflow', () => {
+      const workflow = InspectionWorkflow.createDefault('first-article');
+
+      expect(workflow.inspectionType).toBe('first-article');
+      expect(workflow.initialState).toBe('scheduled');
+      expect(workflow.getAvailableActions('pending-review')).toEqual(['approve', 'reject', 'cancel']);
+    });
+
+    it('should reject transitions that reference unknown states or guards', () => {
+      expect(() => InspectionWorkflow.fromDefinition({
+        inspectionType: 'receiving',
+        initialState: 'scheduled',
+        states: [{ name: 'scheduled' }, { name: 'done', terminal: true }],
+        transitions: [
+          { action: 'finish', from: ['scheduled'], to: 'archived' },
+          { action: 'complete', from: ['scheduled'], to: 'done', guards: ['allStarsAligned'] }
+        ]
+      })).toThrow(/targets unknown state "archived".*unknown guard "allStarsAligned"/);
+    });
+
+    it('should reject an undeclared initial state and transitions out of terminal states', () => {
+      expect(() => InspectionWorkflow.fromDefinition({
+        inspectionType: 'receiving',
+        initialState: 'draft',
+        states: [{ name: 'scheduled' }, { name: 'closed', terminal: true }],
+        transitions: [{ action: 'reopen', from: ['closed'], to: 'scheduled' }]
+      })).toThrow(DomainError);
+    });
+
+    it('should reject states an inspection cannot be stored in', () => {
+      expect(() => InspectionWorkflow.fromDefinition({
+        inspectionType: 'receiving',
+        initialState: 'scheduled',
+        states: [{ name: 'scheduled' }, { name: 'quarantined', terminal: true }],
+        transitions: [{ action: 'quarantine', from: ['scheduled'], to: 'quarantined' }]
+      })).toThrow(/unsupported states: quarantined/);
+    });
+
+    it('should reject duplicate transitions for the same action and source state', () => {
+      expect(() => InspectionWorkflow.fromDefinition({
+        inspectionType: 'receiving',
+        initialState: 'scheduled',
+        states: [{ name: 'scheduled' }, { name: 'in-progress' }, { name: 'cancelled' }],
+        transitions: [
+          { action: 'start', from: ['scheduled'], to: 'in-progress' },
+          { action: 'start', from: ['scheduled'], to: 'cancelled' }
+        ]
+      })).toThrow(/defined more than once/);
+    });
+  });
+
+  describe('authorize', () => {
+    let workflow;
+
+    beforeEach(() => {
+      workflow = InspectionWorkflow.createDefault('first-article');
+    });
+
+    it('should reject actions that are not allowed from the current status', () => {
+      const inspection = createInspection();
+
+      expect(() => workflow.authorize(inspection, 'approve', { role: 'admin' }))
+        .toThrow(BusinessRuleError);
+    });
+
+    it('should block completion while required items are pending', () => {
+      const inspection = createInspection({ status: 'in-progress' });
+
+      expect(() => workflow.authorize(inspection, 'complete', { role: 'inspector' }))
+        .toThrow('1 required inspection item(s) are still pending');
+
+      inspection.items[0].complete('passed', '12.01');
+
+      expect(workflow.authorize(inspection, 'complete', { role: 'inspector' }).to).toBe('pending-review');
+    });
+
+    it('should block completion while a critical defect is open', () => {
+      const inspection = createInspection({ status: 'in-progress' });
+      inspection.items[0].complete('failed', '12.40');
+      inspection.addDefect({
+        title: 'Bore oversize',
+        description: 'Bore diameter exceeds upper tolerance',
+        severity: 'critical'
+      });
+
+      expect(() => workflow.authorize(inspection, 'complete', { role: 'inspector' }))
+        .toThrow('1 critical defect(s) are still open');
+    });
+
+    it('should restrict approval to the configured approver roles', () => {
+      const inspection = createInspection({ status: 'pending-review' });
+
+      expect(() => workflow.authorize(inspection, 'approve', { role: 'inspector' }))
+        .toThrow(AuthorizationError);
+      expect(workflow.authorize(inspection, 'approve', { role: 'quality-manager' }).to).toBe('approved');
+    });
+  });
+
+  describe('transition history', () => {
+    it('should record each applied transition on the aggregate', () => {
+      const workflow = InspectionWorkflow.createDefault('first-article');
+      const inspection = createInspection();
+      const inspector = { id: 'user-789', role: 'inspector' };
+      const manager = { id: 'user-100', role: 'manager' };
+
+      inspection.applyTransition(workflow.authorize(inspection, 'start', inspector), { actor: inspector });
+      inspection.items[0].complete('passed', '12.01');
+      inspection.applyTransition(workflow.authorize(inspection, 'complete', inspector), { actor: inspector });
+      inspection.applyTransition(
+        workflow.authorize(inspection, 'reject', manager),
+        { actor: manager, reason: 'Missing CMM report' }
+      );
+
+      expect(inspection.status).toBe('rejected');
+      expect(inspection.completedDate).toBeInstanceOf(Date);
+      expect(inspection.statusHistory.map(entry => [entry.from, entry.to])).toEqual([
+        ['scheduled', 'in-progress'],
+        ['in-progress', 'pending-review'],
+        ['pending-review', 'rejected']
+      ]);
+      expect(inspection.statusHistory[2]).toMatchObject({
+        action: 'reject',
+        actorId: 'user-100',
+        actorRole: 'manager',
+        reason: 'Missing CMM report'
+      });
+      expect(inspection.toObject().statusHistory).toHaveLength(3);
+
+      const events = inspection.getDomainEvents().filter(e => e.type === 'InspectionStatusUpdated');
+      expect(events[2].payload).toMatchObject({
+        previousStatus: 'pending-review',
+        newStatus: 'rejected',
+        action: 'reject'
+      });
+    });
+  });
+});
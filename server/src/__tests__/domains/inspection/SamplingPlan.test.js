@@ -0,0 +1,199 @@
+/**
+ * SamplingPlan.test.js
+ *
+ * Tests for Z1.4 / C=0 sampling plans and the Z1.4 switching rules
+ */
+
+const { Inspection, SamplingPlan, SamplingSwitchingState } = require('../../../domains/inspection/models');
+const { DomainError } = require('../../../core/errors');
+
+const lot = (plan, nonconforming, inspectionId = 'inspection-1') => ({
+  inspectionId,
+  plan,
+  disposition: plan.evaluate(nonconforming)
+});
+
+describe('SamplingPlan', () => {
+  describe('Z1.4 plan selection', () => {
+    it('should select code letter, sample size and Ac/Re for normal inspection', () => {
+      const plan = SamplingPlan.forLot({ lotSize: 1000, inspectionLevel: 'II', aql: 1.0 });
+
+      expect(plan).toMatchObject({
+        codeLetter: 'J',
+        sampleSize: 80,
+        acceptanceNumber: 2,
+        rejectionNumber: 3,
+        hundredPercent: false
+      });
+    });
+
+    it('should use the tightened and reduced master tables', () => {
+      const tightened = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0, severity: 'tightened' });
+      const reduced = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0, severity: 'reduced' });
+
+      expect(tightened).toMatchObject({ sampleSize: 80, acceptanceNumber: 1, rejectionNumber: 2 });
+      expect(reduced).toMatchObject({ sampleSize: 32, acceptanceNumber: 1, rejectionNumber: 3 });
+    });
+
+    it('should follow arrows to the plan and sample size they point at', () => {
+      // J at AQL 0.10 is an arrow down to the 0/1 plan of code letter K; at 0.25 an arrow up to H
+      const down = SamplingPlan.forLot({ lotSize: 1000, aql: 0.10 });
+      const up = SamplingPlan.forLot({ lotSize: 1000, aql: 0.25 });
+
+      expect(down).toMatchObject({ codeLetter: 'K', sampleSize: 125, acceptanceNumber: 0, rejectionNumber: 1 });
+      expect(up).toMatchObject({ codeLetter: 'H', sampleSize: 50, acceptanceNumber: 0, rejectionNumber: 1 });
+    });
+
+    it('should inspect the entire lot when the sample size reaches the lot size', () => {
+      const plan = SamplingPlan.forLot({ lotSize: 60, aql: 0.065 });
+
+      expect(plan.sampleSize).toBe(60);
+      expect(plan.hundredPercent).toBe(true);
+    });
+
+    it('should reject unknown AQLs and inspection levels', () => {
+      expect(() => SamplingPlan.forLot({ lotSize: 100, aql: 0.5 })).toThrow(DomainError);
+      expect(() => SamplingPlan.forLot({ lotSize: 100, aql: 1.0, inspectionLevel: 'IV' })).toThrow(DomainError);
+    });
+  });
+
+  describe('C=0 plan selection', () => {
+    it('should select a zero-acceptance sample size by lot size and AQL', () => {
+      const plan = SamplingPlan.forLot({ scheme: 'c0', lotSize: 1000, aql: 1.0 });
+
+      expect(plan).toMatchObject({ sampleSize: 34, acceptanceNumber: 0, rejectionNumber: 1, inspectionLevel: null });
+    });
+
+    it('should move one AQL column for tightened inspection', () => {
+      const plan = SamplingPlan.forLot({ scheme: 'c0', lotSize: 1000, aql: 1.0, severity: 'tightened' });
+
+      expect(plan.sampleSize).toBe(47);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should accept the lot below the rejection number', () => {
+      const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0 });
+
+      expect(plan.evaluate(2).accepted).toBe(true);
+      expect(plan.evaluate(3).accepted).toBe(false);
+    });
+
+    it('should require a return to normal when reduced inspection lands between Ac and Re', () => {
+      const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0, severity: 'reduced' });
+
+      expect(plan.evaluate(2)).toEqual({ nonconforming: 2, accepted: true, returnToNormal: true });
+    });
+  });
+
+  describe('createInspectionItems', () => {
+    it('should generate one required sample item per unit', () => {
+      const plan = SamplingPlan.forLot({ lotSize: 20, aql: 4.0 });
+      const items = plan.createInspectionItems({ name: 'Housing', category: 'dimensional' });
+
+      expect(items).toHaveLength(plan.sampleSize);
+      expect(items[0]).toMatchObject({ name: `Housing 1 of ${plan.sampleSize}`, category: 'sample', isRequired: true, order: 1 });
+    });
+  });
+});
+
+describe('Inspection sampling disposition', () => {
+  it('should decide the lot from failed sample items', () => {
+    const plan = SamplingPlan.forLot({ lotSize: 20, aql: 4.0 });
+    const items = plan.createInspectionItems().map((item, index) => ({
+      ...item,
+      status: index === 0 ? 'failed' : 'passed'
+    }));
+    const inspection = new Inspection({
+      title: 'Receiving inspection',
+      supplierId: 'supplier-1',
+      componentId: 'component-1',
+      scheduledDate: new Date('2024-04-01'),
+      items,
+      samplingPlan: plan.toObject()
+    });
+
+    const disposition = inspection.recordSamplingDisposition();
+
+    expect(plan.acceptanceNumber).toBe(0);
+    expect(disposition).toMatchObject({ nonconforming: 1, accepted: false });
+    expect(inspection.samplingPlan.disposition).toBe(disposition);
+  });
+});
+
+describe('SamplingSwitchingState', () => {
+  const createState = (overrides = {}) => new SamplingSwitchingState({
+    supplierId: 'supplier-1',
+    componentId: 'component-1',
+    ...overrides
+  });
+
+  it('should switch to tightened after 2 of 5 consecutive lots are not accepted', () => {
+    const state = createState();
+    const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0 });
+
+    expect(state.recordLot(lot(plan, 3))).toBeNull();
+    expect(state.recordLot(lot(plan, 0))).toBeNull();
+    const change = state.recordLot(lot(plan, 4));
+
+    expect(change).toMatchObject({ from: 'normal', to: 'tightened' });
+    expect(state.severity).toBe('tightened');
+  });
+
+  it('should return to normal after 5 consecutive accepted lots on tightened', () => {
+    const state = createState({ severity: 'tightened' });
+    const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0, severity: 'tightened' });
+
+    for (let i = 0; i < 4; i++) {
+      expect(state.recordLot(lot(plan, 0))).toBeNull();
+    }
+
+    expect(state.recordLot(lot(plan, 1))).toMatchObject({ from: 'tightened', to: 'normal' });
+  });
+
+  it('should discontinue inspection after 5 lots are not accepted on tightened', () => {
+    const state = createState({ severity: 'tightened' });
+    const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0, severity: 'tightened' });
+
+    for (let i = 0; i < 5; i++) {
+      state.recordLot(lot(plan, 2));
+    }
+
+    expect(state.discontinued).toBe(true);
+    expect(() => state.recordLot(lot(plan, 0))).toThrow(DomainError);
+
+    state.resume('user-1');
+    expect(state.discontinued).toBe(false);
+    expect(state.severity).toBe('tightened');
+  });
+
+  it('should switch to reduced when the switching score reaches 30 and reduced is allowed', () => {
+    const state = createState({ reducedAllowed: true });
+    const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 0.25 });
+
+    // Ac 0 plans add 2 per accepted lot
+    for (let i = 0; i < 14; i++) {
+      expect(state.recordLot(lot(plan, 0))).toBeNull();
+    }
+
+    expect(state.recordLot(lot(plan, 0))).toMatchObject({ from: 'normal', to: 'reduced' });
+  });
+
+  it('should reset the switching score when an Ac >= 2 lot would fail one AQL step tighter', () => {
+    const state = createState({ reducedAllowed: true });
+    const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0 });
+
+    state.recordLot(lot(plan, 1));
+    expect(state.switchingScore).toBe(3);
+
+    state.recordLot(lot(plan, 2));
+    expect(state.switchingScore).toBe(0);
+  });
+
+  it('should return to normal from reduced when a lot lands between Ac and Re', () => {
+    const state = createState({ severity: 'reduced', reducedAllowed: true });
+    const plan = SamplingPlan.forLot({ lotSize: 1000, aql: 1.0, severity: 'reduced' });
+
+    expect(state.recordLot(lot(plan, 2))).toMatchObject({ from: 'reduced', to: 'normal' });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * samplingStateRepository.test.js
+ *
+ * Lot disposition for sampled inspections through the Mongoose models:
+ * failed sample items survive a save and reload and decide the lot, and the
+ * Z1.4 switching state is only written over the version it was read at, so
+ * lots decided at the same time are both counted. Only the database calls
+ * are stubbed; documents are cast and validated by the real schemas.
+ */
+
+const mongoose = require('mongoose');
+const InspectionModel = require('../../../../models/inspection.model');
+const InspectionWorkflowModel = require('../../../../models/inspectionWorkflow.model');
+const SamplingSwitchingStateModel = require('../../../../models/samplingSwitchingState.model');
+const samplingStateRepository = require('../../../../domains/inspection/repositories/samplingStateRepository');
+const inspectionService = require('../../../../domains/inspection/services/InspectionService');
+const { ConflictError } = require('../../../../core/errors');
+
+const mockCache = { get: jest.fn(), set: jest.fn(), del: jest.fn() };
+
+jest.mock('../../../../infrastructure/caching', () => ({
+  getDefaultCacheManager: () => mockCache
+}));
+
+const INSPECTION_ID = new mongoose.Types.ObjectId().toString();
+const SUPPLIER_ID = new mongoose.Types.ObjectId().toString();
+const COMPONENT_ID = new mongoose.Types.ObjectId().toString();
+const INSPECTOR_ID = new mongoose.Types.ObjectId().toString();
+
+// An in-progress receiving inspection with one of its two samples failed
+const storedInspection = () => ({
+  _id: INSPECTION_ID,
+  inspectionNumber: 'INS-26-10-0002',
+  title: 'Receiving - fasteners lot 204',
+  customerId: new mongoose.Types.ObjectId(),
+  supplierId: SUPPLIER_ID,
+  componentId: COMPONENT_ID,
+  inspectionType: 'incoming',
+  scheduledDate: new Date('2026-10-20T08:00:00Z'),
+  inspectedBy: INSPECTOR_ID,
+  status: 'in-progress',
+  checklistItems: [
+    { name: 'Sample 1 of 2', category: 'sample', isRequired: true, status: 'pass', order: 1 },
+    { name: 'Sample 2 of 2', category: 'sample', isRequired: true, status: 'fail', order: 2 }
+  ],
+  samplingPlan: {
+    scheme: 'z1.4',
+    lotSize: 40,
+    aql: 1,
+    severity: 'normal',
+    sampleSize: 2,
+    acceptanceNumber: 0,
+    rejectionNumber: 1
+  }
+});
+
+const storedState = (overrides = {}) => SamplingSwitchingStateModel.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  supplierId: SUPPLIER_ID,
+  componentId: COMPONENT_ID,
+  severity: 'normal',
+  recentLots: [],
+  history: [],
+  __v: 0,
+  ...overrides
+});
+
+describe('samplingStateRepository', () => {
+  let inspections;
+  let state;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    inspections = new Map([[INSPECTION_ID, InspectionModel.hydrate(storedInspection())]]);
+    state = null;
+
+    jest.spyOn(InspectionModel, 'findById').mockImplementation(async id => inspections.get(String(id)) || null);
+    jest.spyOn(InspectionModel.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      inspections.set(this._id.toString(), InspectionModel.hydrate(this.toObject({ virtuals: false })));
+      return this;
+    });
+    jest.spyOn(InspectionWorkflowModel, 'findOne').mockResolvedValue(null);
+
+    // Switching state collection holding a single supplier/component state
+    jest.spyOn(SamplingSwitchingStateModel, 'findOne').mockImplementation(async () => state);
+    jest.spyOn(SamplingSwitchingStateModel, 'create').mockImplementation(async data => {
+      const doc = new SamplingSwitchingStateModel(data);
+      await doc.validate();
+      state = SamplingSwitchingStateModel.hydrate({ ...doc.toObject(), __v: 0 });
+      return state;
+    });
+    jest.spyOn(SamplingSwitchingStateModel, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const versions = filter.__v.$in || [filter.__v];
+      if (!state || !versions.includes(state.__v)) return null;
+      const doc = SamplingSwitchingStateModel.hydrate(state.toObject());
+      doc.set(update.$set);
+      await doc.validate();
+      state = SamplingSwitchingStateModel.hydrate({ ...doc.toObject(), __v: state.__v + update.$inc.__v });
+      return state;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should decide the lot from the stored sample results when the inspection is completed', async () => {
+    // Act
+    const completed = await inspectionService.complete(INSPECTION_ID, {}, { actor: { id: INSPECTOR_ID } });
+
+    // Assert
+    expect(completed.samplingPlan.disposition).toMatchObject({ nonconforming: 1, accepted: false });
+    expect(inspections.get(INSPECTION_ID).samplingPlan.disposition).toMatchObject({ nonconforming: 1, accepted: false });
+    expect(state.recentLots.map(lot => lot.accepted)).toEqual([false]);
+  });
+
+  it('should re-apply the lot when another lot updated the switching state first', async () => {
+    // Arrange
+    state = storedState();
+    const otherLot = { inspectionId: 'other-lot', severity: 'normal', accepted: false, nonconforming: 1, acceptanceNumber: 0 };
+    SamplingSwitchingStateModel.findOne.mockImplementationOnce(async () => {
+      const readState = state;
+      state = storedState({ _id: readState._id, recentLots: [otherLot], __v: 1 });
+      return readState;
+    });
+
+    // Act
+    await inspectionService.complete(INSPECTION_ID, {}, { actor: { id: INSPECTOR_ID } });
+
+    // Assert
+    expect(SamplingSwitchingStateModel.findOne).toHaveBeenCalledTimes(2);
+    expect(state.__v).toBe(2);
+    expect(state.severity).toBe('tightened');
+    expect(state.history[0].reason).toBe('2 of 2 consecutive lots not accepted');
+  });
+
+  it('should reject saving a state read before the stored one changed', async () => {
+    // Arrange
+    state = storedState({ __v: 3 });
+    const stale = await samplingStateRepository.findBySupplierAndComponent(SUPPLIER_ID, COMPONENT_ID);
+    state = storedState({ _id: state._id, __v: 4 });
+    stale.setReducedAllowed(true);
+
+    // Act / Assert
+    await expect(samplingStateRepository.save(stale)).rejects.toThrow(ConflictError);
+  });
+});
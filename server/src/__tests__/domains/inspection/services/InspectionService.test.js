@@ -11,7 +11,7 @@ const Inspection = require('../../../../domains/inspection/models/Inspection');
 const { DomainError, ValidationError } = require('../../../../core/errors');
 
 // Mock the repositories and dependencies
-jest.mock('../../../../domains/inspection/repositories/InspectionRepository', () => ({
+jest.mock('../../../../domains/inspection/repositories/inspectionRepository', () => ({
   findById: jest.fn(),
   findAll: jest.fn(),
   count: jest.fn(),
@@ -20,11 +20,15 @@ jest.mock('../../../../domains/inspection/repositories/InspectionRepository', ()
   delete: jest.fn()
 }));
 
-jest.mock('../../../../domains/customer/repositories/CustomerRepository', () => ({
+jest.mock('../../../../domains/inspection/repositories/inspectionWorkflowRepository', () => ({
+  findByInspectionType: jest.fn()
+}));
+
+jest.mock('../../../../domains/customer/repositories/customerRepository', () => ({
   exists: jest.fn()
 }));
 
-jest.mock('../../../../domains/supplier/repositories/SupplierRepository', () => ({
+jest.mock('../../../../domains/supplier/repositories/supplierRepository', () => ({
   exists: jest.fn()
 }));
 
@@ -46,6 +50,8 @@ describe('InspectionService', () => {
   let mockInspectionRepository;
   let mockCustomerRepository;
   let mockSupplierRepository;
+  let mockWorkflowRepository;
+  let mockWorkflow;
   let mockEventEmitter;
   
   beforeEach(() => {
@@ -53,9 +59,17 @@ describe('InspectionService', () => {
     jest.clearAllMocks();
     
     // Get the mocked repositories
-    mockInspectionRepository = require('../../../../domains/inspection/repositories/InspectionRepository');
-    mockCustomerRepository = require('../../../../domains/customer/repositories/CustomerRepository');
-    mockSupplierRepository = require('../../../../domains/supplier/repositories/SupplierRepository');
+    mockInspectionRepository = require('../../../../domains/inspection/repositories/inspectionRepository');
+    mockCustomerRepository = require('../../../../domains/customer/repositories/customerRepository');
+    mockSupplierRepository = require('../../../../domains/supplier/repositories/supplierRepository');
+    mockWorkflowRepository = require('../../../../domains/inspection/repositories/inspectionWorkflowRepository');
+    
+    // Workflow that allows every transition
+    mockWorkflow = {
+      initialState: 'scheduled',
+      authorize: jest.fn((inspection, action) => ({ action, to: `${action}-state` }))
+    };
+    mockWorkflowRepository.findByInspectionType.mockResolvedValue(mockWorkflow);
     
     // Get the mocked event emitter
     mockEventEmitter = require('../../../../core/EventEmitter').getInstance();
@@ -307,7 +321,12 @@ describe('InspectionService', () => {
       expect(result).toBe(mockInspection);
       expect(mockCustomerRepository.exists).toHaveBeenCalledWith({ _id: '123' });
       expect(mockSupplierRepository.exists).toHaveBeenCalledWith({ _id: '456' });
-      expect(Inspection.create).toHaveBeenCalledWith(inspectionData);
+      expect(mockWorkflowRepository.findByInspectionType).toHaveBeenCalledWith('quality-audit');
+      expect(Inspection.create).toHaveBeenCalledWith({
+        ...inspectionData,
+        inspectionType: 'quality-audit',
+        status: 'scheduled'
+      });
       expect(mockInspectionRepository.save).toHaveBeenCalledWith(mockInspection);
       expect(mockEventEmitter.emit).toHaveBeenCalledWith(
         'inspection.created',
@@ -347,7 +366,12 @@ describe('InspectionService', () => {
       expect(result).toBe(mockInspection);
       expect(mockCustomerRepository.exists).toHaveBeenCalledWith({ _id: '123' });
       expect(mockSupplierRepository.exists).not.toHaveBeenCalled();
-      expect(Inspection.create).toHaveBeenCalledWith(inspectionData);
+      expect(mockWorkflowRepository.findByInspectionType).toHaveBeenCalledWith('quality-audit');
+      expect(Inspection.create).toHaveBeenCalledWith({
+        ...inspectionData,
+        inspectionType: 'quality-audit',
+        status: 'scheduled'
+      });
       expect(mockInspectionRepository.save).toHaveBeenCalledWith(mockInspection);
     });
   });
@@ -416,10 +440,13 @@ describe('InspectionService', () => {
     it('should start the inspection if found', async () => {
       // Arrange
       const id = '123';
+      const actor = { id: 'user-1', role: 'inspector' };
       const mockInspection = {
         id: '123',
         type: 'quality-audit',
-        start: jest.fn(),
+        inspectionType: 'quality-audit',
+        status: 'scheduled',
+        applyTransition: jest.fn().mockReturnValue({ action: 'start', from: 'scheduled', to: 'in-progress' }),
         toObject: jest.fn().mockReturnValue({
           id: '123',
           type: 'quality-audit',
@@ -431,12 +458,17 @@ describe('InspectionService', () => {
       mockInspectionRepository.save.mockResolvedValue(mockInspection);
       
       // Act
-      const result = await inspectionService.start(id);
+      const result = await inspectionService.start(id, { actor });
       
       // Assert
       expect(result).toBe(mockInspection);
       expect(mockInspectionRepository.findById).toHaveBeenCalledWith(id);
-      expect(mockInspection.start).toHaveBeenCalled();
+      expect(mockWorkflowRepository.findByInspectionType).toHaveBeenCalledWith('quality-audit');
+      expect(mockWorkflow.authorize).toHaveBeenCalledWith(mockInspection, 'start', actor);
+      expect(mockInspection.applyTransition).toHaveBeenCalledWith(
+        { action: 'start', to: 'start-state' },
+        { actor }
+      );
       expect(mockInspectionRepository.save).toHaveBeenCalledWith(mockInspection);
       expect(mockEventEmitter.emit).toHaveBeenCalledWith(
         'inspection.started',
@@ -467,7 +499,9 @@ describe('InspectionService', () => {
       const mockInspection = {
         id: '123',
         type: 'quality-audit',
-        complete: jest.fn(),
+        inspectionType: 'quality-audit',
+        status: 'in-progress',
+        applyTransition: jest.fn(),
         toObject: jest.fn().mockReturnValue({
           id: '123',
           type: 'quality-audit',
@@ -485,7 +519,11 @@ describe('InspectionService', () => {
       // Assert
       expect(result).toBe(mockInspection);
       expect(mockInspectionRepository.findById).toHaveBeenCalledWith(id);
-      expect(mockInspection.complete).toHaveBeenCalledWith(completionDetails);
+      expect(mockWorkflow.authorize).toHaveBeenCalledWith(mockInspection, 'complete', undefined);
+      expect(mockInspection.applyTransition).toHaveBeenCalledWith(
+        { action: 'complete', to: 'complete-state' },
+        { reason: completionDetails.notes }
+      );
       expect(mockInspectionRepository.save).toHaveBeenCalledWith(mockInspection);
       expect(mockEventEmitter.emit).toHaveBeenCalledWith(
         'inspection.completed',
@@ -517,7 +555,9 @@ describe('InspectionService', () => {
       const mockInspection = {
         id: '123',
         type: 'quality-audit',
-        cancel: jest.fn(),
+        inspectionType: 'quality-audit',
+        status: 'scheduled',
+        applyTransition: jest.fn(),
         toObject: jest.fn().mockReturnValue({
           id: '123',
           type: 'quality-audit',
@@ -535,7 +575,11 @@ describe('InspectionService', () => {
       // Assert
       expect(result).toBe(mockInspection);
       expect(mockInspectionRepository.findById).toHaveBeenCalledWith(id);
-      expect(mockInspection.cancel).toHaveBeenCalledWith(reason);
+      expect(mockWorkflow.authorize).toHaveBeenCalledWith(mockInspection, 'cancel', undefined);
+      expect(mockInspection.applyTransition).toHaveBeenCalledWith(
+        { action: 'cancel', to: 'cancel-state' },
+        { reason }
+      );
       expect(mockInspectionRepository.save).toHaveBeenCalledWith(mockInspection);
       expect(mockEventEmitter.emit).toHaveBeenCalledWith(
         'inspection.cancelled',
@@ -0,0 +1,310 @@
+/**
+ * auditLog.service.test.js
+ *
+ * Unit tests for the hash-chained audit log: linking records per tenant,
+ * appending after other instances, reporting the first broken link,
+ * signed checkpoints, pruning and offline verification of exports
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { AuditLog, auditLogService } = require('../../services/auditLog.service');
+const AuditCheckpoint = require('../../models/AuditCheckpoint');
+const keyManagementService = require('../../services/keyManagement.service');
+const auditChain = require('../../utils/auditChain');
+const logger = require('../../utils/logger');
+
+jest.mock('../../services/keyManagement.service', () => ({
+  getKey: jest.fn(),
+  generateAsymmetricKeyPair: jest.fn()
+}));
+
+const userId = new mongoose.Types.ObjectId();
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const buildEntry = index => ({
+  tenantId: 'acme',
+  eventType: 'DATA_UPDATE',
+  userId,
+  userEmail: 'inspector@acme.example',
+  targetType: 'INSPECTION',
+  targetId: `insp-${index}`,
+  action: 'UPDATE_INSPECTION',
+  description: `Updated inspection ${index}`,
+  ipAddress: '10.0.0.5',
+  changes: { before: { status: 'scheduled' }, after: { status: 'in-progress' } },
+  complianceTags: ['AS9100'],
+  createdAt: new Date(Date.UTC(2026, 9, 19, 8, index))
+});
+
+/**
+ * Link entries into a chain, as stored
+ */
+const buildChain = (count) => {
+  const records = [];
+  let previous = null;
+  for (let index = 1; index <= count; index++) {
+    const record = auditLogService.link(buildEntry(index), previous).toObject();
+    records.push(record);
+    previous = record;
+  }
+  return records;
+};
+
+/**
+ * Serve records from find(), both awaited and through a cursor
+ */
+const mockRecords = (records) => {
+  const lean = () => Object.assign(Promise.resolve(records), {
+    cursor: async function* () {
+      yield* records;
+    }
+  });
+  jest.spyOn(AuditLog, 'find').mockReturnValue({ select: () => ({ sort: () => ({ lean }) }) });
+};
+
+/**
+ * Serve a query result from findOne(), however the query is refined
+ */
+const queryResult = (result) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    lean: () => Promise.resolve(result)
+  };
+  return query;
+};
+
+const signCheckpoint = (record, signedAt = new Date('2026-10-19T09:00:00Z')) => {
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+  const checkpoint = { tenantId: 'acme', sequence: record.sequence, hash: record.hash, signedAt };
+  return {
+    ...checkpoint,
+    signature: auditChain.signCheckpoint(checkpoint, privateKey),
+    keyId: 'audit-checkpoint',
+    keyFingerprint: auditChain.keyFingerprint(publicKey),
+    publicKey
+  };
+};
+
+describe('Audit log service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keyManagementService.getKey.mockResolvedValue(privateKey);
+    jest.spyOn(AuditLog.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('appendToChain', () => {
+    it('should link each record to the hash of its predecessor', async () => {
+      // Arrange
+      jest.spyOn(AuditLog, 'findOne').mockReturnValue(queryResult(null));
+
+      // Act
+      const records = await auditLogService.appendToChain('acme', [1, 2, 3].map(buildEntry));
+
+      // Assert
+      expect(records.map(record => record.sequence)).toEqual([1, 2, 3]);
+      expect(records[0].prevHash).toBe(auditChain.GENESIS_HASH);
+      expect(records[1].prevHash).toBe(records[0].hash);
+      expect(records[2].prevHash).toBe(records[1].hash);
+      expect(records[2].hash).toBe(auditChain.hashRecord(records[2].toObject()));
+      expect(records[0].retentionDate).toEqual(new Date('2027-10-19T08:01:00Z'));
+    });
+
+    it('should link the remaining records after records another instance appended', async () => {
+      // Arrange
+      const head = { sequence: 7, hash: 'a'.repeat(64) };
+      jest.spyOn(AuditLog, 'findOne')
+        .mockReturnValueOnce(queryResult({ sequence: 6, hash: 'b'.repeat(64) }))
+        .mockReturnValueOnce(queryResult(head));
+      AuditLog.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      // Act
+      const records = await auditLogService.appendToChain('acme', [1, 2].map(buildEntry));
+
+      // Assert
+      expect(records.map(record => record.sequence)).toEqual([8, 9]);
+      expect(records[0].prevHash).toBe(head.hash);
+    });
+  });
+
+  describe('verifyChain', () => {
+    it('should report the first altered record', async () => {
+      // Arrange
+      const records = buildChain(5);
+      records[2].description = 'Updated inspection 3 (backdated)';
+      records[3].targetId = 'insp-99';
+      jest.spyOn(auditLogService, 'getChainSection').mockResolvedValue({ first: 1, last: 5, anchor: null, checkpoints: [] });
+      mockRecords(records);
+
+      // Act
+      const report = await auditLogService.verifyChain({ tenantId: 'acme' });
+
+      // Assert
+      expect(report.valid).toBe(false);
+      expect(report.verified).toBe(2);
+      expect(report.brokenLink).toEqual({
+        sequence: 3,
+        recordId: records[2]._id.toString(),
+        reason: 'hash_mismatch',
+        expected: auditChain.hashRecord(records[2]),
+        actual: records[2].hash
+      });
+    });
+
+    it('should report removed records', async () => {
+      // Arrange
+      const records = buildChain(5);
+      jest.spyOn(auditLogService, 'getChainSection').mockResolvedValue({
+        first: 2,
+        last: 5,
+        anchor: { sequence: 1, hash: records[0].hash },
+        checkpoints: []
+      });
+      mockRecords([records[1], records[2], records[4]]);
+
+      // Act
+      const report = await auditLogService.verifyChain({ tenantId: 'acme', from: '2026-10-19T08:02:00Z' });
+
+      // Assert
+      expect(report.brokenLink).toEqual(expect.objectContaining({
+        sequence: 5,
+        reason: 'missing_record',
+        expected: 4,
+        actual: 5
+      }));
+    });
+
+    it('should catch a rewritten chain and a truncated chain with signed checkpoints', async () => {
+      // Arrange: records 3 to 5 rewritten and rehashed after a checkpoint signed record 4
+      const original = buildChain(5);
+      const checkpoint = signCheckpoint(original[3]);
+      const rewritten = original.slice(0, 2);
+      for (let index = 3; index <= 5; index++) {
+        rewritten.push(auditLogService.link(
+          { ...buildEntry(index), description: `Rewritten ${index}` },
+          rewritten[index - 2]
+        ).toObject());
+      }
+      jest.spyOn(auditLogService, 'getChainSection').mockResolvedValue({ first: 1, last: 5, anchor: null, checkpoints: [checkpoint] });
+      mockRecords(rewritten);
+
+      // Act
+      const rewrittenReport = await auditLogService.verifyChain({ tenantId: 'acme' });
+      mockRecords(original.slice(0, 3));
+      const truncatedReport = await auditLogService.verifyChain({ tenantId: 'acme' });
+
+      // Assert
+      expect(rewrittenReport.brokenLink).toEqual(expect.objectContaining({
+        sequence: 4,
+        reason: 'checkpoint_mismatch',
+        expected: original[3].hash
+      }));
+      expect(truncatedReport.brokenLink).toEqual(expect.objectContaining({ sequence: 4, reason: 'missing_record' }));
+    });
+
+    it('should verify the links of records pruned after retention', async () => {
+      // Arrange
+      const records = buildChain(3);
+      ['userId', 'userEmail', 'targetType', 'targetId', 'action', 'description', 'ipAddress', 'changes', 'complianceTags']
+        .forEach(field => delete records[0][field]);
+      records[0].pruned = true;
+      jest.spyOn(auditLogService, 'getChainSection').mockResolvedValue({
+        first: 1,
+        last: 3,
+        anchor: null,
+        checkpoints: [signCheckpoint(records[2])]
+      });
+      mockRecords(records);
+
+      // Act
+      const report = await auditLogService.verifyChain({ tenantId: 'acme' });
+
+      // Assert
+      expect(report).toEqual(expect.objectContaining({
+        valid: true,
+        verified: 3,
+        pruned: 1,
+        firstSequence: 1,
+        lastSequence: 3,
+        brokenLink: null
+      }));
+      expect(report.checkpoints).toEqual({ checked: 1, invalid: [] });
+    });
+  });
+
+  describe('createCheckpoint', () => {
+    it('should sign the chain head once it has moved', async () => {
+      // Arrange
+      const records = buildChain(2);
+      jest.spyOn(AuditLog, 'findOne').mockReturnValue(queryResult(records[1]));
+      jest.spyOn(AuditCheckpoint, 'findOne').mockReturnValue(queryResult({ sequence: 1 }));
+      jest.spyOn(AuditCheckpoint, 'create').mockImplementation(async fields => fields);
+      const now = new Date('2026-10-19T10:00:00Z');
+
+      // Act
+      const checkpoint = await auditLogService.createCheckpoint('acme', now);
+      AuditCheckpoint.findOne.mockReturnValue(queryResult({ sequence: 2 }));
+      const unchanged = await auditLogService.createCheckpoint('acme', now);
+
+      // Assert
+      expect(checkpoint).toEqual(expect.objectContaining({ tenantId: 'acme', sequence: 2, hash: records[1].hash, signedAt: now }));
+      expect(auditChain.verifyCheckpointSignature(checkpoint, checkpoint.publicKey)).toBe(true);
+      expect(auditChain.verifyCheckpointSignature({ ...checkpoint, hash: records[0].hash }, checkpoint.publicKey)).toBe(false);
+      expect(unchanged).toBeNull();
+      expect(keyManagementService.getKey).toHaveBeenCalledWith('audit-checkpoint.private');
+    });
+  });
+
+  describe('exportChain', () => {
+    it('should export a chain auditors can verify offline against the published key', async () => {
+      // Arrange
+      const records = buildChain(4);
+      const checkpoint = signCheckpoint(records[3]);
+      jest.spyOn(auditLogService, 'getChainSection').mockResolvedValue({
+        first: 2,
+        last: 4,
+        anchor: { sequence: 1, hash: records[0].hash },
+        checkpoints: [checkpoint]
+      });
+      mockRecords(records.slice(1));
+      const { fingerprint } = await auditLogService.getSigningPublicKey();
+
+      // Act
+      const exported = JSON.parse(JSON.stringify(
+        await auditLogService.exportChain({ tenantId: 'acme', from: '2026-10-19T08:02:00Z' })
+      ));
+      const tampered = JSON.parse(JSON.stringify(exported));
+      tampered.records[1].userEmail = 'someone-else@acme.example';
+
+      // Assert
+      expect(exported.checkpoints[0].publicKey).toBeUndefined();
+      expect(exported.publicKeys[fingerprint]).toBe(checkpoint.publicKey);
+      expect(auditChain.verifyExport(exported, [fingerprint])).toEqual(expect.objectContaining({
+        valid: true,
+        verified: 3,
+        firstSequence: 2,
+        lastSequence: 4
+      }));
+      expect(auditChain.verifyExport(exported, []).checkpoints.invalid).toEqual([
+        expect.objectContaining({ sequence: 4, reason: 'untrusted_key' })
+      ]);
+      expect(auditChain.verifyExport(tampered, [fingerprint]).brokenLink).toEqual(expect.objectContaining({
+        sequence: 3,
+        reason: 'hash_mismatch'
+      }));
+    });
+  });
+});
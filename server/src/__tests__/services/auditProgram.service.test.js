@@ -0,0 +1,249 @@
+/**
+ * auditProgram.service.test.js
+ *
+ * Unit tests for risk-based audit planning, audit findings raised as QMS
+ * non-conformances and overdue audit follow-up
+ */
+
+const mongoose = require('mongoose');
+const SupplierAudit = require('../../models/SupplierAudit');
+const CalendarEvent = require('../../models/CalendarEvent');
+const QualityManagement = require('../../models/QualityManagement');
+const auditProgramService = require('../../services/auditProgram.service');
+const supplierAuditService = require('../../services/supplierAudit.service');
+const qualityManagementService = require('../../services/qualityManagement.service');
+const notificationService = require('../../services/notification.service');
+const logger = require('../../utils/logger');
+
+const buildAudit = (overrides = {}) => new SupplierAudit({
+  supplierId: new mongoose.Types.ObjectId(),
+  auditNumber: 'AUD-2404-0001',
+  title: 'Surveillance audit',
+  auditType: 'surveillance',
+  auditDate: new Date('2024-03-01'),
+  auditorName: 'Jane Doe',
+  ...overrides
+});
+
+const isoDates = audits => audits.map(audit => audit.scheduledDate.toISOString().slice(0, 10));
+
+describe('Audit program service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('auditIntervalMonths', () => {
+    it('should use the routine interval for the risk level after a passed audit', () => {
+      expect(auditProgramService.auditIntervalMonths('high', { result: 'pass', overallScore: 92 }).intervalMonths).toBe(6);
+      expect(auditProgramService.auditIntervalMonths('low').intervalMonths).toBe(24);
+    });
+
+    it('should halve the interval after a conditional audit and follow up a failed one', () => {
+      expect(auditProgramService.auditIntervalMonths('medium', { result: 'pass', overallScore: 80 }).intervalMonths).toBe(6);
+      expect(auditProgramService.auditIntervalMonths('high', { result: 'conditional' }).intervalMonths).toBe(3);
+      expect(auditProgramService.auditIntervalMonths('low', { result: 'fail', overallScore: 55 })).toEqual({
+        intervalMonths: 3,
+        reason: 'Follow-up after failed audit (score 55)'
+      });
+    });
+  });
+
+  describe('planSupplierAudits', () => {
+    it('should schedule audits through the year at the risk level interval', () => {
+      // Act
+      const plan = auditProgramService.planSupplierAudits(2025, {
+        riskLevel: 'critical',
+        lastAudit: { auditDate: new Date('2024-12-15'), result: 'pass', overallScore: 90 },
+        now: new Date('2024-12-20')
+      });
+
+      // Assert
+      expect(isoDates(plan.audits)).toEqual(['2025-03-15', '2025-06-15', '2025-09-15', '2025-12-15']);
+      expect(plan.audits.every(audit => audit.auditType === 'surveillance')).toBe(true);
+    });
+
+    it('should plan a follow-up audit first after a failed audit', () => {
+      const plan = auditProgramService.planSupplierAudits(2025, {
+        riskLevel: 'medium',
+        lastAudit: { auditDate: new Date('2024-11-10'), result: 'fail', overallScore: 60 },
+        now: new Date('2024-12-01')
+      });
+
+      expect(isoDates(plan.audits)).toEqual(['2025-02-10']);
+      expect(plan.audits[0].auditType).toBe('follow-up');
+    });
+
+    it('should plan an initial audit as soon as possible for a supplier never audited', () => {
+      const plan = auditProgramService.planSupplierAudits(2025, {
+        riskLevel: 'high',
+        now: new Date('2025-04-10T15:30:00Z')
+      });
+
+      expect(isoDates(plan.audits)).toEqual(['2025-04-10', '2025-10-10']);
+      expect(plan.audits[0].auditType).toBe('initial');
+    });
+
+    it('should mark slots already covered by an existing audit', () => {
+      const existing = { _id: 'audit-1', scheduledDate: new Date('2025-07-01') };
+
+      const plan = auditProgramService.planSupplierAudits(2025, {
+        riskLevel: 'high',
+        lastAudit: { auditDate: new Date('2024-12-01'), result: 'pass', overallScore: 95 },
+        existingAudits: [existing],
+        now: new Date('2024-12-10')
+      });
+
+      expect(plan.audits.map(audit => audit.existingAuditId)).toEqual(['audit-1', null]);
+    });
+  });
+
+  describe('planAuditProgram', () => {
+    it('should create planned audits for uncovered calendar slots only', async () => {
+      // Arrange
+      const supplierId = new mongoose.Types.ObjectId();
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(auditProgramService, 'buildAuditCalendar').mockResolvedValue([{
+        supplierId,
+        supplierName: 'Acme Machining',
+        riskLevel: 'high',
+        intervalMonths: 6,
+        audits: [
+          { scheduledDate: new Date('2025-03-01'), auditType: 'surveillance', existingAuditId: 'audit-1' },
+          { scheduledDate: new Date('2025-09-01'), auditType: 'surveillance', existingAuditId: null }
+        ]
+      }]);
+      jest.spyOn(supplierAuditService, 'createAudit').mockImplementation(async data => ({ _id: 'audit-2', ...data }));
+
+      // Act
+      const result = await auditProgramService.planAuditProgram(2025, {}, userId);
+
+      // Assert
+      expect(supplierAuditService.createAudit).toHaveBeenCalledTimes(1);
+      expect(supplierAuditService.createAudit).toHaveBeenCalledWith(expect.objectContaining({
+        supplierId,
+        status: 'planned',
+        auditorName: 'Unassigned',
+        scheduledDate: new Date('2025-09-01'),
+        program: { year: 2025, riskLevel: 'high', intervalMonths: 6, plannedBy: userId }
+      }));
+      expect(result.created).toHaveLength(1);
+    });
+  });
+
+  describe('raiseFindingNonConformances', () => {
+    it('should raise an NC for each nonconformity finding once and skip observations', async () => {
+      // Arrange
+      const audit = buildAudit({
+        checklist: [{
+          category: 'documentation',
+          question: 'Are procedures controlled?',
+          findings: [
+            { type: 'major-nc', description: 'Obsolete work instruction in use' },
+            { type: 'observation', description: 'Binder labels are faded' },
+            { type: 'minor-nc', description: 'Missing signature', ncNumber: 'NC-2404-0001' }
+          ]
+        }]
+      });
+      const qms = new QualityManagement({ supplierId: audit.supplierId, qmsType: 'AS9100' });
+      jest.spyOn(qualityManagementService, 'getSupplierQMS').mockResolvedValue(qms);
+      jest.spyOn(qualityManagementService, 'addNonConformance').mockImplementation(async (supplierId, ncData) => {
+        qms.nonConformances.push({ ...ncData, ncNumber: 'NC-2404-0002' });
+        return qms;
+      });
+      jest.spyOn(audit, 'save').mockResolvedValue(audit);
+
+      // Act
+      const { raised } = await supplierAuditService.raiseFindingNonConformances(audit);
+
+      // Assert
+      const majorFinding = audit.checklist[0].findings[0];
+      expect(raised).toEqual(['NC-2404-0002']);
+      expect(qualityManagementService.addNonConformance).toHaveBeenCalledWith(audit.supplierId, expect.objectContaining({
+        severity: 'major',
+        category: 'documentation',
+        source: 'audit',
+        sourceReference: `AUD-2404-0001:${majorFinding._id}`
+      }));
+      expect(majorFinding.ncNumber).toBe('NC-2404-0002');
+    });
+
+    it('should link a finding to the NC already raised for it instead of raising another', async () => {
+      // Arrange
+      const audit = buildAudit({
+        checklist: [{
+          category: 'documentation',
+          question: 'Are procedures controlled?',
+          findings: [{ type: 'major-nc', description: 'Obsolete work instruction in use' }]
+        }]
+      });
+      const [finding] = audit.checklist[0].findings;
+      const qms = new QualityManagement({ supplierId: audit.supplierId, qmsType: 'AS9100' });
+      qms.nonConformances.push({
+        ncNumber: 'NC-2404-0002',
+        description: 'Audit AUD-2404-0001 finding: Obsolete work instruction in use',
+        severity: 'major',
+        source: 'audit',
+        sourceReference: `AUD-2404-0001:${finding._id}`
+      });
+      jest.spyOn(qualityManagementService, 'getSupplierQMS').mockResolvedValue(qms);
+      jest.spyOn(qualityManagementService, 'addNonConformance');
+      jest.spyOn(audit, 'save').mockResolvedValue(audit);
+
+      // Act
+      const { raised } = await supplierAuditService.raiseFindingNonConformances(audit);
+
+      // Assert
+      expect(raised).toEqual([]);
+      expect(qualityManagementService.addNonConformance).not.toHaveBeenCalled();
+      expect(finding.ncNumber).toBe('NC-2404-0002');
+      expect(audit.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('processOverdueAudits', () => {
+    it('should mark the audit delayed, notify its owners and add a calendar event', async () => {
+      // Arrange
+      const leadAuditorId = new mongoose.Types.ObjectId();
+      const audit = buildAudit({
+        status: 'planned',
+        scheduledDate: new Date('2024-03-01'),
+        leadAuditorId
+      });
+      jest.spyOn(SupplierAudit, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([audit]) });
+      jest.spyOn(notificationService, 'createNotifications').mockResolvedValue([]);
+      jest.spyOn(notificationService, 'createNotificationsForRoles').mockRejectedValue(new Error('User.find is not a function'));
+      jest.spyOn(logger, 'warn').mockImplementation(() => {});
+      jest.spyOn(CalendarEvent, 'create').mockImplementation(async data => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+      jest.spyOn(audit, 'save').mockResolvedValue(audit);
+      const now = new Date('2024-03-05T08:00:00Z');
+
+      // Act
+      const result = await auditProgramService.processOverdueAudits({ now });
+
+      // Assert
+      expect(result).toEqual({ processed: 1, failed: 0 });
+      expect(audit.status).toBe('delayed');
+      expect(audit.overdue.notifiedAt).toEqual(now);
+      expect(notificationService.createNotifications).toHaveBeenCalledWith(
+        [leadAuditorId.toString()],
+        expect.objectContaining({ resourceType: 'audit', link: `/supplier-audits/${audit._id}` })
+      );
+      expect(CalendarEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'deadline',
+        sourceId: audit._id.toString(),
+        userId: leadAuditorId.toString()
+      }));
+      expect(audit.overdue.calendarEventId).toBeDefined();
+    });
+
+    it('should count audits that could not be followed up', async () => {
+      jest.spyOn(SupplierAudit, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([buildAudit()]) });
+      jest.spyOn(auditProgramService, 'followUpOverdueAudit').mockRejectedValue(new Error('database unavailable'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      const result = await auditProgramService.processOverdueAudits();
+
+      expect(result).toEqual({ processed: 0, failed: 1 });
+    });
+  });
+});
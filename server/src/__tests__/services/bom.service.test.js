@@ -0,0 +1,174 @@
+/**
+ * bom.service.test.js
+ *
+ * Unit tests for bills of materials: explosion, implosion, where-used,
+ * cycle detection and the rolled-up quality status of an assembly
+ */
+
+const mongoose = require('mongoose');
+const BomItem = require('../../models/BomItem');
+const Component = require('../../models/component.model');
+const Inspection = require('../../models/inspection.model');
+const Capa = require('../../models/Capa');
+const bomService = require('../../services/bom.service');
+const { BadRequestError, ConflictError } = require('../../utils/errors');
+
+const DATE = new Date('2024-06-01');
+
+const buildComponent = (partNumber, revision = 'A') => new Component({
+  name: partNumber,
+  partNumber,
+  revision,
+  customerId: new mongoose.Types.ObjectId(),
+  supplierId: new mongoose.Types.ObjectId()
+});
+
+const wing = buildComponent('WING-1');
+const flap = buildComponent('FLAP-1');
+const actuator = buildComponent('ACT-100');
+const bolt = buildComponent('BOLT-M8');
+const housing = buildComponent('HSG-100');
+const components = [wing, flap, actuator, bolt, housing];
+
+const line = (parent, child, quantityPer, overrides = {}) => new BomItem({
+  parentComponent: parent._id,
+  childComponent: child._id,
+  quantityPer,
+  effectiveFrom: new Date('2024-01-01'),
+  ...overrides
+});
+
+const BOM_LINES = [
+  line(wing, actuator, 2, { referenceDesignators: ['ACT1', 'ACT2'] }),
+  line(flap, actuator, 1),
+  line(actuator, bolt, 4),
+  line(actuator, housing, 1, { effectiveTo: new Date('2024-03-01') }),
+  line(actuator, housing, 1, { parentRevision: 'B' })
+];
+
+// Resolve BomItem.find queries against an in-memory set of lines
+const matchesQuery = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  const values = [].concat(doc[field]).map(String);
+  if (condition && condition.$in) {
+    return condition.$in.map(String).some(value => values.includes(value));
+  }
+  return values.includes(String(condition));
+});
+
+const mockBom = (lines) => {
+  jest.spyOn(BomItem, 'find').mockImplementation(async (query) => lines.filter(doc => matchesQuery(doc, query)));
+  jest.spyOn(Component, 'find').mockResolvedValue(components);
+  jest.spyOn(Component, 'findById').mockImplementation(async (id) =>
+    components.find(component => String(component._id) === String(id)) || null
+  );
+};
+
+describe('BOM service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeReferenceDesignators', () => {
+    it('should upper-case designators and require one per unit', () => {
+      expect(bomService.normalizeReferenceDesignators([' r1', 'R2 '], 2)).toEqual(['R1', 'R2']);
+      expect(() => bomService.normalizeReferenceDesignators(['R1', 'r1'], 2)).toThrow('listed more than once');
+      expect(() => bomService.normalizeReferenceDesignators(['R1'], 2)).toThrow(BadRequestError);
+    });
+  });
+
+  describe('explodeBom', () => {
+    it('should extend quantities down the tree and apply effectivity', async () => {
+      // Arrange
+      mockBom(BOM_LINES);
+
+      // Act
+      const bom = await bomService.explodeBom(wing._id, { date: DATE });
+
+      // Assert
+      const [actuatorNode] = bom.tree.children;
+      expect(actuatorNode).toMatchObject({ partNumber: 'ACT-100', quantityPer: 2, extendedQuantity: 2, referenceDesignators: ['ACT1', 'ACT2'] });
+      expect(actuatorNode.children.map(node => [node.partNumber, node.extendedQuantity])).toEqual([['BOLT-M8', 8]]);
+      expect(bom.totals.map(total => [total.partNumber, total.totalQuantity])).toEqual([['ACT-100', 2], ['BOLT-M8', 8]]);
+      expect(bom.summary).toEqual({ levels: 2, lines: 2, uniqueComponents: 2 });
+      expect(bom.cycles).toEqual([]);
+    });
+
+    it('should report a cycle instead of expanding it', async () => {
+      mockBom([line(actuator, bolt, 4), line(bolt, actuator, 1)]);
+
+      const bom = await bomService.explodeBom(actuator._id, { date: DATE });
+
+      expect(bom.cycles).toEqual([['ACT-100', 'BOLT-M8', 'ACT-100']]);
+      expect(bom.tree.children[0].children).toEqual([]);
+    });
+  });
+
+  describe('addBomLine', () => {
+    it('should reject a line that would make an assembly contain itself', async () => {
+      mockBom(BOM_LINES);
+      jest.spyOn(BomItem, 'create');
+
+      await expect(bomService.addBomLine(bolt._id, { childComponent: wing._id, quantityPer: 1 }))
+        .rejects.toThrow(ConflictError);
+      expect(BomItem.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject reference designators already used in the same effectivity', async () => {
+      mockBom(BOM_LINES);
+
+      await expect(bomService.addBomLine(wing._id, {
+        childComponent: housing._id,
+        quantityPer: 1,
+        referenceDesignators: ['act2'],
+        effectiveFrom: '2024-05-01'
+      })).rejects.toThrow('Reference designators ACT2 are already used');
+    });
+  });
+
+  describe('whereUsed', () => {
+    it('should list every assembly using a component with its quantity per assembly', async () => {
+      mockBom(BOM_LINES);
+
+      const result = await bomService.whereUsed({ componentId: bolt._id }, { date: DATE });
+
+      expect(result.usedIn.map(({ partNumber, level, quantity, topLevel }) => ({ partNumber, level, quantity, topLevel })))
+        .toEqual([
+          { partNumber: 'ACT-100', level: 1, quantity: 4, topLevel: false },
+          { partNumber: 'FLAP-1', level: 2, quantity: 4, topLevel: true },
+          { partNumber: 'WING-1', level: 2, quantity: 8, topLevel: true }
+        ]);
+    });
+  });
+
+  describe('getAssemblyQualityStatus', () => {
+    it('should roll open defects of child components up to the assembly', async () => {
+      // Arrange
+      mockBom(BOM_LINES);
+      const closedCapa = new Capa({ status: 'closed' });
+      jest.spyOn(Inspection, 'find').mockResolvedValue([
+        new Inspection({
+          inspectionNumber: 'INS-1',
+          componentId: bolt._id,
+          status: 'completed',
+          defects: [
+            { defectType: 'thread', severity: 'major' },
+            { defectType: 'plating', severity: 'critical', capaId: closedCapa._id }
+          ]
+        })
+      ]);
+      jest.spyOn(Capa, 'find').mockResolvedValue([closedCapa]);
+
+      // Act
+      const status = await bomService.getAssemblyQualityStatus(wing._id, { date: DATE });
+
+      // Assert
+      expect(status.qualityStatus).toBe('nonconforming');
+      expect(status.openDefects).toEqual({ critical: 0, major: 1, minor: 0, total: 1 });
+      expect(status.tree.ownOpenDefects.total).toBe(0);
+      expect(status.tree.children[0]).toMatchObject({ partNumber: 'ACT-100', qualityStatus: 'nonconforming' });
+      expect(status.components).toEqual([
+        expect.objectContaining({ partNumber: 'BOLT-M8', inspections: [expect.objectContaining({ inspectionNumber: 'INS-1', openDefects: 1 })] })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * capa.service.test.js
+ *
+ * Unit tests for the 8D CAPA service
+ */
+
+const mongoose = require('mongoose');
+const Capa = require('../../models/Capa');
+const capaService = require('../../services/capa.service');
+
+const buildCapa = (overrides = {}) => new Capa({
+  capaNumber: 'CAPA-2401-001',
+  title: 'Bore diameter oversize',
+  supplierId: new mongoose.Types.ObjectId(),
+  source: { type: 'non-conformance', ncNumber: 'NC-2401-001' },
+  ...overrides
+});
+
+describe('CAPA service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('completeStep', () => {
+    it('should refuse to complete D1 without a team champion', async () => {
+      // Arrange
+      const capa = buildCapa({ team: [{ name: 'Jane Doe', role: 'Quality Engineer' }] });
+      jest.spyOn(Capa, 'findById').mockResolvedValue(capa);
+
+      // Act & Assert
+      await expect(capaService.completeStep(capa._id, 'user-1'))
+        .rejects.toThrow('Cannot complete D1: A team champion must be assigned');
+      expect(capa.currentStep).toBe('D1');
+    });
+
+    it('should advance to the next discipline when the current step is satisfied', async () => {
+      // Arrange
+      const userId = new mongoose.Types.ObjectId();
+      const capa = buildCapa({ team: [{ name: 'Jane Doe', isChampion: true }] });
+      jest.spyOn(Capa, 'findById').mockResolvedValue(capa);
+      jest.spyOn(capa, 'save').mockResolvedValue(capa);
+
+      // Act
+      await capaService.completeStep(capa._id, userId);
+
+      // Assert
+      expect(capa.currentStep).toBe('D2');
+      expect(capa.status).toBe('in-progress');
+      expect(capa.completedSteps[0].step).toBe('D1');
+      expect(capa.save).toHaveBeenCalled();
+    });
+
+    it('should require passed effectiveness verification to close at D8', async () => {
+      // Arrange
+      const capa = buildCapa({
+        currentStep: 'D8',
+        closure: { summary: 'Tooling offset corrected and fixture redesigned' },
+        verification: { result: 'not-effective' }
+      });
+      jest.spyOn(Capa, 'findById').mockResolvedValue(capa);
+
+      // Act & Assert
+      await expect(capaService.completeStep(capa._id, 'user-1'))
+        .rejects.toThrow('Effectiveness verification has not passed');
+
+      capa.verification.result = 'effective';
+      jest.spyOn(capa, 'save').mockResolvedValue(capa);
+      await capaService.completeStep(capa._id, new mongoose.Types.ObjectId());
+
+      expect(capa.status).toBe('closed');
+      expect(capa.closure.closedDate).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('verifyEffectiveness', () => {
+    it('should reject verification while corrective actions are open', async () => {
+      // Arrange
+      const capa = buildCapa({
+        currentStep: 'D6',
+        actionItems: [{
+          type: 'corrective',
+          description: 'Replace worn boring bar',
+          owner: 'Manufacturing Engineering',
+          dueDate: new Date('2024-02-01')
+        }]
+      });
+      jest.spyOn(Capa, 'findById').mockResolvedValue(capa);
+
+      // Act & Assert
+      await expect(capaService.verifyEffectiveness(capa._id, { result: 'effective', method: 'CMM sampling' }, 'user-1'))
+        .rejects.toThrow('All corrective action items must be completed before verification');
+    });
+  });
+
+  describe('updateActionItem', () => {
+    it('should only change the editable fields of the item', async () => {
+      // Arrange
+      const completedDate = new Date('2024-02-01');
+      const capa = buildCapa({
+        actionItems: [{ type: 'corrective', description: 'Re-qualify boring bar', owner: 'Jane Doe', status: 'completed', completedDate }]
+      });
+      const [item] = capa.actionItems;
+      const itemId = item._id;
+      jest.spyOn(Capa, 'findById').mockResolvedValue(capa);
+      jest.spyOn(capa, 'save').mockResolvedValue(capa);
+
+      // Act
+      await capaService.updateActionItem(capa._id, itemId, {
+        evidence: 'First article report FA-118',
+        _id: new mongoose.Types.ObjectId(),
+        type: 'preventive',
+        completedDate: new Date('2030-01-01')
+      });
+
+      // Assert
+      expect(item._id).toEqual(itemId);
+      expect(item.type).toBe('corrective');
+      expect(item.completedDate).toEqual(completedDate);
+      expect(item.evidence).toBe('First article report FA-118');
+    });
+  });
+
+  describe('assertNonConformanceClosable', () => {
+    it('should block NC closure until the linked CAPA is verified', async () => {
+      // Arrange
+      const capa = buildCapa();
+      jest.spyOn(Capa, 'findOne').mockResolvedValue(capa);
+
+      // Act & Assert
+      await expect(capaService.assertNonConformanceClosable(capa.supplierId, 'NC-2401-001'))
+        .rejects.toThrow('cannot be closed until effectiveness of CAPA-2401-001 is verified');
+
+      capa.verification.result = 'effective';
+      await expect(capaService.assertNonConformanceClosable(capa.supplierId, 'NC-2401-001'))
+        .resolves.toBeUndefined();
+    });
+
+    it('should allow closure of an NC without a CAPA', async () => {
+      jest.spyOn(Capa, 'findOne').mockResolvedValue(null);
+
+      await expect(capaService.assertNonConformanceClosable('supplier-1', 'NC-2401-002'))
+        .resolves.toBeUndefined();
+    });
+  });
+});
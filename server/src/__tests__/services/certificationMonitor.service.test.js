@@ -0,0 +1,204 @@
+/**
+ * certificationMonitor.service.test.js
+ *
+ * Unit tests for certificate expiry warnings, automatic expiry and blocking
+ * suppliers with lapsed mandatory certificates
+ */
+
+const QualityManagement = require('../../models/QualityManagement');
+const Supplier = require('../../models/supplier.model');
+const CertificationExpiryNotice = require('../../models/CertificationExpiryNotice');
+const certificationMonitorService = require('../../services/certificationMonitor.service');
+const notificationService = require('../../services/notification.service');
+const emailService = require('../../services/email.service');
+const certificationConfig = require('../../config/certification.config');
+const emailConfig = require('../../config/email.config');
+const logger = require('../../utils/logger');
+
+const NOW = new Date('2024-06-01T09:00:00Z');
+
+const buildSupplier = (overrides = {}) => new Supplier({
+  name: 'Acme Machining',
+  code: 'SUP0001',
+  primaryContactEmail: 'quality@acme.example',
+  ...overrides
+});
+
+const buildQms = (supplierId, overrides = {}) => new QualityManagement({
+  supplierId,
+  qmsType: 'AS9100',
+  qmsCertification: { status: 'active', certificationNumber: 'AS-123', expiryDate: new Date('2025-06-01') },
+  ...overrides
+});
+
+describe('Certification monitor service', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('dueThreshold', () => {
+    it('should return the most urgent threshold reached', () => {
+      const warningDays = [90, 60, 30, 0];
+
+      expect(certificationMonitorService.dueThreshold(120, warningDays)).toBeNull();
+      expect(certificationMonitorService.dueThreshold(90, warningDays)).toBe(90);
+      expect(certificationMonitorService.dueThreshold(45, warningDays)).toBe(60);
+      expect(certificationMonitorService.dueThreshold(0, warningDays)).toBe(0);
+      expect(certificationMonitorService.dueThreshold(-12, warningDays)).toBe(0);
+    });
+  });
+
+  describe('collectExpiringRecords', () => {
+    it('should list qualifications, certifications, the QMS certificate and documents with an expiry date', () => {
+      // Arrange
+      const supplier = buildSupplier({
+        qualifications: [
+          { type: 'NADCAP Heat Treating', status: 'active', expiryDate: new Date('2024-08-01') },
+          { type: 'ITAR', status: 'revoked', expiryDate: new Date('2024-08-01') }
+        ],
+        certifications: [{ name: 'ISO 14001', expiryDate: new Date('2024-07-01') }, { name: 'RoHS' }]
+      });
+      const qms = buildQms(supplier._id, {
+        qualityDocuments: [{ name: 'Calibration certificate', type: 'certificate', expiryDate: new Date('2024-06-15') }]
+      });
+
+      // Act
+      const records = certificationMonitorService.collectExpiringRecords(supplier, qms);
+
+      // Assert
+      expect(records.map(record => [record.source, record.name])).toEqual([
+        ['qualification', 'NADCAP Heat Treating'],
+        ['certification', 'ISO 14001'],
+        ['qms-certification', 'AS9100 certification AS-123'],
+        ['quality-document', 'Calibration certificate']
+      ]);
+    });
+  });
+
+  describe('checkSupplier', () => {
+    it('should send each due warning once and record it', async () => {
+      // Arrange
+      const supplier = buildSupplier({
+        qualifications: [{ type: 'NADCAP', status: 'active', expiryDate: new Date('2024-06-30') }]
+      });
+      jest.spyOn(CertificationExpiryNotice, 'exists').mockResolvedValueOnce(null).mockResolvedValueOnce({ _id: 'notice-1' });
+      jest.spyOn(CertificationExpiryNotice, 'create').mockResolvedValue({});
+      jest.spyOn(certificationMonitorService, 'sendExpiryWarning').mockResolvedValue(1);
+
+      // Act
+      const first = await certificationMonitorService.checkSupplier(supplier, null, { now: NOW });
+      const second = await certificationMonitorService.checkSupplier(supplier, null, { now: NOW });
+
+      // Assert
+      expect(first).toEqual({ warnings: 1, expired: 0 });
+      expect(second).toEqual({ warnings: 0, expired: 0 });
+      expect(certificationMonitorService.sendExpiryWarning).toHaveBeenCalledTimes(1);
+      expect(CertificationExpiryNotice.create).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'qualification',
+        name: 'NADCAP',
+        threshold: 30,
+        daysRemaining: 29
+      }));
+    });
+
+    it('should mark a lapsed QMS certificate and qualification expired', async () => {
+      // Arrange
+      const supplier = buildSupplier({
+        qualifications: [{ type: 'NADCAP', status: 'active', expiryDate: new Date('2024-05-20') }]
+      });
+      const qms = buildQms(supplier._id, {
+        qmsCertification: { status: 'active', expiryDate: new Date('2024-06-01') }
+      });
+      jest.spyOn(CertificationExpiryNotice, 'exists').mockResolvedValue(null);
+      jest.spyOn(CertificationExpiryNotice, 'create').mockResolvedValue({});
+      jest.spyOn(certificationMonitorService, 'sendExpiryWarning').mockResolvedValue(0);
+      jest.spyOn(supplier, 'save').mockResolvedValue(supplier);
+      jest.spyOn(qms, 'save').mockResolvedValue(qms);
+
+      // Act
+      const result = await certificationMonitorService.checkSupplier(supplier, qms, { now: NOW });
+
+      // Assert
+      expect(result).toEqual({ warnings: 2, expired: 2 });
+      expect(supplier.qualifications[0].status).toBe('expired');
+      expect(qms.qmsCertification.status).toBe('expired');
+      expect(supplier.save).toHaveBeenCalled();
+      expect(qms.save).toHaveBeenCalled();
+      expect(CertificationExpiryNotice.create).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'qms-certification',
+        threshold: 0,
+        statusChanged: true
+      }));
+    });
+  });
+
+  describe('sendExpiryWarning', () => {
+    it('should email the supplier contacts and still email when in-app notification fails', async () => {
+      // Arrange
+      const supplier = buildSupplier();
+      const qms = buildQms(supplier._id, {
+        qualityContacts: [{ name: 'Pat Lee', email: 'pat@acme.example' }, { name: 'No Email' }]
+      });
+      jest.spyOn(notificationService, 'createNotificationsForRoles').mockRejectedValue(new Error('User lookup failed'));
+      jest.spyOn(emailService, 'sendCertificationExpiryNotification').mockResolvedValue();
+      jest.replaceProperty(emailConfig.notifications, 'enabled', true);
+      jest.replaceProperty(emailConfig.notifications, 'systemAdmins', ['']);
+      const record = { name: 'NADCAP', expiryDate: new Date('2024-07-01') };
+
+      // Act
+      const emailsSent = await certificationMonitorService.sendExpiryWarning(supplier, qms, record, 30);
+
+      // Assert
+      expect(emailsSent).toBe(2);
+      expect(emailService.sendCertificationExpiryNotification).toHaveBeenCalledWith(
+        'pat@acme.example', 'Acme Machining', 'NADCAP', record.expiryDate, 30
+      );
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('User lookup failed'));
+    });
+  });
+
+  describe('assertSupplierCertified', () => {
+    // Certifications are checked against the current date
+    beforeEach(() => {
+      jest.useFakeTimers({ now: NOW });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should block a supplier whose only AS9100 certificate has lapsed', async () => {
+      // Arrange
+      const supplier = buildSupplier();
+      jest.replaceProperty(certificationConfig, 'block', { inspections: true, purchaseOrders: false });
+      jest.spyOn(QualityManagement, 'findOne').mockResolvedValue(buildQms(supplier._id, {
+        qmsCertification: { status: 'expired', expiryDate: new Date('2024-01-01') }
+      }));
+
+      // Act & Assert
+      await expect(certificationMonitorService.assertSupplierCertified(supplier, 'inspections'))
+        .rejects.toThrow('lapsed mandatory certification AS9100; new inspections are blocked');
+      await expect(certificationMonitorService.assertSupplierCertified(supplier, 'purchaseOrders'))
+        .resolves.toBeUndefined();
+    });
+
+    it('should not block when a renewed qualification is current', async () => {
+      const supplier = buildSupplier({
+        qualifications: [
+          { type: 'NADCAP', status: 'expired', expiryDate: new Date('2024-01-01') },
+          { type: 'NADCAP', status: 'active', expiryDate: new Date('2025-01-01') }
+        ]
+      });
+      jest.replaceProperty(certificationConfig, 'block', { inspections: true, purchaseOrders: true });
+      jest.spyOn(QualityManagement, 'findOne').mockResolvedValue(null);
+
+      await expect(certificationMonitorService.assertSupplierCertified(supplier, 'purchaseOrders'))
+        .resolves.toBeUndefined();
+    });
+  });
+});
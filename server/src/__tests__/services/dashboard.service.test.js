@@ -0,0 +1,298 @@
+/**
+ * dashboard.service.test.js
+ *
+ * Unit tests for persisted dashboards: access by owner, team, sharing and
+ * share links, widget validation by type, and widget results cached for
+ * their refresh interval
+ */
+
+const mongoose = require('mongoose');
+const Dashboard = require('../../models/Dashboard');
+const ReportTemplate = require('../../models/ReportTemplate');
+const dashboardService = require('../../services/dashboard.service');
+const reportQueryService = require('../../services/reportQuery.service');
+const { getDefaultCacheManager } = require('../../infrastructure/caching');
+const logger = require('../../utils/logger');
+const { NotFoundError, ForbiddenError, ValidationError } = require('../../utils/errors');
+
+jest.mock('../../infrastructure/caching', () => {
+  const entries = new Map();
+  const cacheManager = {
+    entries,
+    get: jest.fn(async key => (entries.has(key) ? entries.get(key).value : null)),
+    set: jest.fn(async (key, value, policy, options = {}) => {
+      entries.set(key, { value, tags: options.tags || [] });
+      return true;
+    }),
+    invalidateByTag: jest.fn(async (tag) => {
+      const keys = [...entries].filter(([, entry]) => entry.tags.includes(tag)).map(([key]) => key);
+      keys.forEach(key => entries.delete(key));
+      return keys.length;
+    })
+  };
+  return { getDefaultCacheManager: () => cacheManager };
+});
+
+const ownerId = new mongoose.Types.ObjectId();
+const owner = { _id: ownerId, role: 'quality' };
+const inspector = { _id: new mongoose.Types.ObjectId(), role: 'inspector', team: 'Receiving' };
+
+const defectPareto = {
+  title: 'Defects by category',
+  type: 'pareto',
+  dataSource: {
+    reportQuery: {
+      entity: 'defect',
+      groupBy: [{ field: 'defectType' }],
+      aggregates: [{ fn: 'sum', field: 'quantity', as: 'defects' }]
+    }
+  },
+  refreshInterval: 600
+};
+
+const buildDashboard = (fields = {}) => new Dashboard({
+  name: 'Receiving Quality',
+  owner: ownerId,
+  widgets: [defectPareto],
+  ...fields
+});
+
+/**
+ * Serve a dashboard from findById and findOne, as stored
+ */
+const mockStored = (dashboard) => {
+  const select = () => Promise.resolve(dashboard);
+  const found = () => Object.assign(Promise.resolve(dashboard), { select });
+  jest.spyOn(Dashboard, 'findById').mockImplementation(found);
+  jest.spyOn(Dashboard, 'findOne').mockImplementation(found);
+};
+
+describe('Dashboard service', () => {
+  beforeEach(() => {
+    getDefaultCacheManager().entries.clear();
+    jest.spyOn(Dashboard.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDashboard', () => {
+    it('should give owners, team members, shared users and the organization their access', () => {
+      const viewer = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+      const dashboard = buildDashboard({ team: 'Receiving', sharedWith: [{ user: viewer._id, permission: 'view' }] });
+
+      expect(dashboardService.getAccess(dashboard, owner)).toBe('owner');
+      expect(dashboardService.getAccess(dashboard, { _id: 'someone', role: 'admin' })).toBe('owner');
+      expect(dashboardService.getAccess(dashboard, inspector)).toBe('edit');
+      expect(dashboardService.getAccess(dashboard, viewer)).toBe('view');
+      expect(dashboardService.getAccess(dashboard, { _id: 'someone', role: 'quality' })).toBeNull();
+
+      dashboard.visibility = 'organization';
+      expect(dashboardService.getAccess(dashboard, { _id: 'someone', role: 'quality' })).toBe('view');
+    });
+
+    it('should hide dashboards from users without access and refuse changes above their access', async () => {
+      const viewer = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+      const dashboard = buildDashboard({ team: 'Receiving', sharedWith: [{ user: viewer._id, permission: 'view' }] });
+      mockStored(dashboard);
+
+      await expect(dashboardService.getDashboard(dashboard._id, { _id: 'someone', role: 'quality' }))
+        .rejects.toThrow(NotFoundError);
+      await expect(dashboardService.updateDashboard(dashboard._id, { name: 'Mine now' }, viewer))
+        .rejects.toThrow(ForbiddenError);
+      await expect(dashboardService.updateDashboard(dashboard._id, { visibility: 'organization' }, inspector))
+        .rejects.toThrow('You need owner access to this dashboard');
+
+      dashboard.isLocked = true;
+      await expect(dashboardService.addWidget(dashboard._id, defectPareto, inspector))
+        .rejects.toThrow('This dashboard is locked by its owner');
+    });
+  });
+
+  describe('validateWidget', () => {
+    it('should check the report query fits the widget type', async () => {
+      const widget = { ...defectPareto, type: 'heatmap' };
+
+      await expect(dashboardService.validateWidget(widget, owner)).rejects.toThrow(ValidationError);
+      await expect(dashboardService.validateWidget({
+        title: 'Inspections per month',
+        type: 'timeSeries',
+        dataSource: {
+          reportQuery: { entity: 'inspection', groupBy: [{ field: 'status' }], aggregates: [{ fn: 'count' }] }
+        }
+      }, owner)).rejects.toMatchObject({ errors: ['A timeSeries widget groups first by a date bucket'] });
+      await expect(dashboardService.validateWidget(defectPareto, owner)).resolves.toBeUndefined();
+    });
+
+    it('should refuse fields hidden from the user\'s roles', async () => {
+      const widget = {
+        title: 'Suppliers by contact',
+        type: 'pareto',
+        dataSource: {
+          reportQuery: {
+            entity: 'supplier',
+            groupBy: [{ field: 'primaryContactEmail' }],
+            aggregates: [{ fn: 'count' }]
+          }
+        }
+      };
+
+      await expect(dashboardService.validateWidget(widget, inspector))
+        .rejects.toMatchObject({ errors: ['Unknown groupBy field: primaryContactEmail'] });
+      await expect(dashboardService.validateWidget(widget, owner)).resolves.toBeUndefined();
+    });
+
+    it('should read the report query of a template section the user can access', async () => {
+      // Arrange
+      const template = new ReportTemplate({
+        name: 'Supplier Scorecards',
+        createdBy: ownerId,
+        sections: [{
+          title: 'Rating by country',
+          type: 'chart',
+          dataSource: {
+            reportQuery: { entity: 'supplier', groupBy: [{ field: 'country' }], aggregates: [{ fn: 'avg', field: 'overallRating' }] }
+          }
+        }]
+      });
+      jest.spyOn(ReportTemplate, 'findById').mockResolvedValue(template);
+      const widget = {
+        title: 'Rating by country',
+        type: 'pareto',
+        dataSource: { template: template._id, section: template.sections[0]._id }
+      };
+
+      // Act & Assert
+      await expect(dashboardService.validateWidget(widget, owner)).resolves.toBeUndefined();
+      await expect(dashboardService.validateWidget(widget, inspector))
+        .rejects.toThrow('You do not have access to this report template');
+    });
+  });
+
+  describe('getWidgetData', () => {
+    it('should shape a Pareto of defect categories and serve it from the cache until refreshed', async () => {
+      // Arrange
+      const dashboard = buildDashboard();
+      mockStored(dashboard);
+      const widgetId = dashboard.widgets[0]._id;
+      const execute = jest.spyOn(reportQueryService, 'execute').mockResolvedValue([
+        { defectType: 'Scratch', defects: 5 },
+        { defectType: 'Dimensional', defects: 12 },
+        { defectType: 'Burr', defects: 3 }
+      ]);
+
+      // Act
+      const first = await dashboardService.getWidgetData(dashboard._id, widgetId, owner);
+      const second = await dashboardService.getWidgetData(dashboard._id, widgetId, owner);
+
+      // Assert
+      expect(first.fromCache).toBe(false);
+      expect(first.data).toEqual({
+        total: 20,
+        categories: [
+          { category: 'Dimensional', value: 12, cumulativePercent: 60 },
+          { category: 'Scratch', value: 5, cumulativePercent: 85 },
+          { category: 'Burr', value: 3, cumulativePercent: 100 }
+        ]
+      });
+      expect(getDefaultCacheManager().set).toHaveBeenCalledWith(
+        expect.stringMatching(`^dashboard:widget:${widgetId}:`),
+        expect.any(Object),
+        { ttl: 600 },
+        { tags: [`dashboard:${dashboard._id}`, `dashboard:widget:${widgetId}`] }
+      );
+      expect(second).toEqual({ ...first, fromCache: true });
+      expect(execute).toHaveBeenCalledTimes(1);
+
+      // A forced refresh within the minimum interval still uses the cache
+      await dashboardService.getWidgetData(dashboard._id, widgetId, owner, { refresh: true });
+      expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cache results per set of roles and drop them when the widget changes', async () => {
+      const dashboard = buildDashboard({ visibility: 'organization' });
+      mockStored(dashboard);
+      const widgetId = dashboard.widgets[0]._id;
+      const execute = jest.spyOn(reportQueryService, 'execute').mockResolvedValue([{ defectType: 'Scratch', defects: 5 }]);
+
+      await dashboardService.getWidgetData(dashboard._id, widgetId, owner);
+      await dashboardService.getWidgetData(dashboard._id, widgetId, inspector);
+      expect(execute).toHaveBeenCalledTimes(2);
+      expect(execute).toHaveBeenLastCalledWith(defectPareto.dataSource.reportQuery, { roles: ['inspector'] });
+
+      await dashboardService.updateWidget(dashboard._id, widgetId, { refreshInterval: 120 }, owner);
+      expect(getDefaultCacheManager().entries.size).toBe(0);
+    });
+
+    it('should shape heat maps and time series', () => {
+      const heatmap = dashboardService.shapeWidgetData('heatmap', [
+        { 'supplier.name': 'Acme', month: '2024-05-01', rejects: 4 },
+        { 'supplier.name': 'Acme', month: '2024-06-01', rejects: 1 },
+        { 'supplier.name': 'Brightline', month: '2024-06-01', rejects: 7 }
+      ], [
+        { kind: 'group', key: 'supplier.name' },
+        { kind: 'group', key: 'month' },
+        { kind: 'aggregate', key: 'rejects' }
+      ]);
+      const timeSeries = dashboardService.shapeWidgetData('timeSeries', [
+        { month: '2024-06-01', inspections: 9, failed: 2 },
+        { month: '2024-05-01', inspections: 7, failed: 1 }
+      ], [
+        { kind: 'group', key: 'month' },
+        { kind: 'aggregate', key: 'inspections' },
+        { kind: 'aggregate', key: 'failed' }
+      ]);
+
+      expect(heatmap).toMatchObject({ rows: ['Acme', 'Brightline'], columns: ['2024-05-01', '2024-06-01'], min: 1, max: 7 });
+      expect(timeSeries.series).toEqual([
+        { name: 'inspections', points: [{ x: '2024-05-01', y: 7 }, { x: '2024-06-01', y: 9 }] },
+        { name: 'failed', points: [{ x: '2024-05-01', y: 1 }, { x: '2024-06-01', y: 2 }] }
+      ]);
+    });
+  });
+
+  describe('share links', () => {
+    it('should give users opening a link its permission, limited to its roles', async () => {
+      // Arrange
+      const dashboard = buildDashboard();
+      mockStored(dashboard);
+      const manager = { _id: new mongoose.Types.ObjectId(), role: 'manager' };
+
+      // Act
+      const { token, shareUrl, link } = await dashboardService.createShareLink(
+        dashboard._id, { permission: 'edit', roles: ['manager'] }, owner
+      );
+
+      // Assert
+      expect(shareUrl).toMatch(new RegExp(`/dashboards/shared/${token}$`));
+      expect(link).not.toHaveProperty('tokenHash');
+      expect(dashboard.shareLinks[0].tokenHash).not.toBe(token);
+
+      await expect(dashboardService.openShareLink(token, inspector)).rejects.toThrow(ForbiddenError);
+      const opened = await dashboardService.openShareLink(token, manager);
+      expect(opened.access).toBe('edit');
+      expect(dashboard.sharedWith.map(entry => entry.toObject())).toEqual([{ user: manager._id, permission: 'edit' }]);
+    });
+
+    it('should refuse revoked, expired and unknown links', async () => {
+      const dashboard = buildDashboard();
+      mockStored(dashboard);
+      const { token, link } = await dashboardService.createShareLink(dashboard._id, {}, owner);
+
+      await dashboardService.revokeShareLink(dashboard._id, link._id, owner);
+      await expect(dashboardService.openShareLink(token, inspector)).rejects.toThrow('Share link not found or expired');
+
+      const { token: expiring } = await dashboardService.createShareLink(dashboard._id, { expiresInDays: 1 }, owner);
+      dashboard.shareLinks[1].expiresAt = new Date(Date.now() - 1000);
+      await expect(dashboardService.openShareLink(expiring, inspector)).rejects.toThrow(NotFoundError);
+
+      jest.spyOn(Dashboard, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+      await expect(dashboardService.openShareLink('not-a-token', inspector)).rejects.toThrow(NotFoundError);
+    });
+  });
+});
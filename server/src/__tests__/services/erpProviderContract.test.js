@@ -0,0 +1,294 @@
+/**
+ * erpProviderContract.test.js
+ *
+ * Contract every ERP adapter in the provider registry must pass. Each adapter
+ * is replayed against the responses recorded from its ERP in
+ * __tests__/fixtures/erp/<provider>.json
+ */
+
+const axios = require('axios');
+const providerRegistry = require('../../services/erp/provider-registry');
+const BaseERPService = require('../../services/erp/base-erp-service');
+
+// Recorded responses are replayed below the HTTP client, never from the response cache
+jest.mock('../../utils/cache', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const FIXTURE_PROVIDERS = ['dynamics365', 'netsuite'];
+
+const SUPPLIER_STATUSES = ['active', 'inactive', 'pending', 'probation', 'suspended'];
+const INSPECTION_STATUSES = ['scheduled', 'in-progress', 'completed', 'cancelled'];
+const INSPECTION_RESULTS = ['pass', 'fail', 'conditional', 'pending'];
+
+const loadFixture = provider => JSON.parse(JSON.stringify(require(`../fixtures/erp/${provider}.json`)));
+
+// Replay recorded interactions, in order, for requests of the same method and path
+const replay = (adapter, interactions) => {
+  const queue = [...interactions];
+  const requests = [];
+
+  adapter.httpClient.defaults.adapter = async (config) => {
+    const baseUrl = config.baseURL || '';
+    const url = config.url.startsWith(baseUrl) && baseUrl ? config.url.slice(baseUrl.length) : config.url;
+    const path = url.split('?')[0];
+    const method = config.method.toUpperCase();
+    const headers = typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : config.headers;
+
+    requests.push({ method, path, params: config.params, data: config.data, authorization: headers.Authorization });
+
+    const index = queue.findIndex(({ request }) => request.method === method && request.url === path);
+    if (index === -1) {
+      throw new Error(`No recorded response for ${method} ${path}`);
+    }
+    const [{ response: recorded }] = queue.splice(index, 1);
+
+    const response = {
+      data: recorded.data === null ? '' : recorded.data,
+      status: recorded.status,
+      statusText: '',
+      headers: recorded.headers || {},
+      config,
+      request: {}
+    };
+    if (recorded.status >= 400) {
+      throw new axios.AxiosError(`Request failed with status code ${recorded.status}`, axios.AxiosError.ERR_BAD_REQUEST, config, {}, response);
+    }
+    return response;
+  };
+
+  return requests;
+};
+
+const createAdapter = (provider) => {
+  const fixture = loadFixture(provider);
+  const adapter = providerRegistry.create(provider);
+  adapter.config = { ...adapter.config, ...fixture.config };
+  const requests = replay(adapter, fixture.interactions);
+  return { adapter, fixture, requests };
+};
+
+const newSupplier = {
+  code: 'V-NEW',
+  name: 'Helix Machining',
+  email: 'hello@helix.example.com',
+  contactPerson: 'Ari Novak',
+  status: 'active',
+  address: { street: '9 Spindle Lane', city: 'Dayton', state: 'OH', zipCode: '45402', country: 'US' }
+};
+
+const newInspection = {
+  type: 'incoming',
+  itemCode: 'TB-7781',
+  supplierCode: 'V-1001',
+  quantity: 8,
+  status: 'scheduled',
+  result: 'pending',
+  notes: 'Receiving inspection',
+  externalReference: 'INS-2026-0104'
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ERP provider registry', () => {
+  it('should create a registered provider case-insensitively', () => {
+    expect(providerRegistry.has('NetSuite')).toBe(true);
+    expect(providerRegistry.getCapabilities('Dynamics365')).toEqual(
+      expect.arrayContaining(['vendors', 'purchaseOrders', 'inventory', 'qualityInspections'])
+    );
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => providerRegistry.create('baan')).toThrow('Unsupported ERP provider: baan');
+  });
+
+  it('should reject an adapter declaring a capability it does not implement', () => {
+    // Arrange
+    class VendorsOnlyService extends BaseERPService {
+      async getVendors() { return []; }
+    }
+    VendorsOnlyService.capabilities = ['vendors'];
+    const registry = new providerRegistry.ErpProviderRegistry()
+      .register('vendors-only', { load: () => VendorsOnlyService, acl: () => Object });
+
+    // Act & Assert
+    expect(() => registry.create('vendors-only')).toThrow("declares 'vendors' but does not implement createVendor, updateVendor");
+  });
+
+  it('should reject an adapter declaring an unknown capability', () => {
+    class LedgerService extends BaseERPService {}
+    LedgerService.capabilities = ['generalLedger'];
+    const registry = new providerRegistry.ErpProviderRegistry()
+      .register('ledger', { load: () => LedgerService, acl: () => Object });
+
+    expect(() => registry.getCapabilities('ledger')).toThrow("declares unknown capability 'generalLedger'");
+  });
+});
+
+describe.each(FIXTURE_PROVIDERS)('ERP adapter contract: %s', (provider) => {
+  const capabilities = providerRegistry.getCapabilities(provider);
+  // Capabilities an adapter does not declare are skipped, not failed
+  const whenSupported = capability => (capabilities.includes(capability) ? it : it.skip);
+
+  let adapter;
+  let fixture;
+  let requests;
+
+  beforeEach(() => {
+    ({ adapter, fixture, requests } = createAdapter(provider));
+  });
+
+  it('should declare only known capabilities, each implemented by the adapter', () => {
+    expect(capabilities.length).toBeGreaterThan(0);
+    for (const capability of capabilities) {
+      expect(providerRegistry.CAPABILITIES).toContain(capability);
+      for (const method of providerRegistry.CAPABILITY_METHODS[capability]) {
+        expect(adapter[method]).not.toBe(BaseERPService.prototype[method]);
+      }
+    }
+  });
+
+  whenSupported('vendors')('should read every page of vendors as AeroSuite suppliers', async () => {
+    const vendors = await adapter.getVendors();
+
+    expect(vendors).toHaveLength(fixture.expectedCounts.vendors);
+    for (const vendor of vendors) {
+      expect(vendor.code).toEqual(expect.any(String));
+      expect(vendor.name).toEqual(expect.any(String));
+      expect(SUPPLIER_STATUSES).toContain(vendor.status);
+      expect(vendor.sourceId).toBeDefined();
+      expect(vendor.erpSynced).toBe(true);
+    }
+  });
+
+  whenSupported('vendors')('should create a vendor and return it as a supplier', async () => {
+    const created = await adapter.createVendor(newSupplier);
+
+    expect(created).toEqual(expect.objectContaining({ name: newSupplier.name, email: newSupplier.email }));
+    expect(created.code).toEqual(expect.any(String));
+    const post = requests.find(request => request.method === 'POST' && !/oauth2/.test(request.path));
+    expect(post.data).toContain(newSupplier.name);
+  });
+
+  whenSupported('purchaseOrders')('should read purchase orders with their lines', async () => {
+    const orders = await adapter.getPurchaseOrders();
+
+    expect(orders).toHaveLength(fixture.expectedCounts.purchaseOrders);
+    for (const order of orders) {
+      expect(order.orderNumber).toEqual(expect.any(String));
+      expect(order.supplier.code).toBeDefined();
+      expect(order.items.length).toBeGreaterThan(0);
+      for (const item of order.items) {
+        expect(item.itemCode).toEqual(expect.any(String));
+        expect(item.quantity).toEqual(expect.any(Number));
+      }
+    }
+  });
+
+  whenSupported('inventory')('should read inventory items', async () => {
+    const items = await adapter.getInventory();
+
+    expect(items).toHaveLength(fixture.expectedCounts.inventory);
+    for (const item of items) {
+      expect(item.itemCode).toEqual(expect.any(String));
+      expect(item.quantityOnHand).toEqual(expect.any(Number));
+    }
+  });
+
+  whenSupported('qualityInspections')('should read quality inspections as AeroSuite inspections', async () => {
+    const inspections = await adapter.getQualityInspections();
+
+    expect(inspections).toHaveLength(fixture.expectedCounts.qualityInspections);
+    for (const inspection of inspections) {
+      expect(inspection.type).toEqual(expect.any(String));
+      expect(INSPECTION_STATUSES).toContain(inspection.status);
+      expect(INSPECTION_RESULTS).toContain(inspection.result);
+    }
+  });
+
+  whenSupported('qualityInspections')('should create a quality inspection carrying the AeroSuite reference', async () => {
+    const created = await adapter.createQualityInspection(newInspection);
+
+    expect(created.externalReference).toBe(newInspection.externalReference);
+    expect(INSPECTION_RESULTS).toContain(created.result);
+  });
+
+  it('should authenticate every API request', async () => {
+    await adapter.getVendors();
+
+    const apiRequests = requests.filter(request => !/oauth2/.test(request.path));
+    expect(apiRequests.length).toBeGreaterThan(0);
+    for (const request of apiRequests) {
+      expect(request.authorization).toEqual(expect.any(String));
+    }
+  });
+
+  it.each(['supplier', 'inspection', 'purchaseOrder'])('should translate a recorded %s through its Anti-Corruption Layer', (entityType) => {
+    const acl = providerRegistry.createAcl(provider);
+
+    const entity = acl.translateToDomain(entityType, fixture.records[entityType]);
+
+    expect(entity).not.toBeNull();
+    expect(entity.metadata.sourceId).toBeDefined();
+    expect(acl.translateFromDomain(entityType, entity)).not.toBeNull();
+  });
+});
+
+describe('Dynamics 365 adapter', () => {
+  it('should authenticate again when a token is rejected', async () => {
+    // Arrange
+    const { adapter, fixture } = createAdapter('dynamics365');
+    const [token] = fixture.interactions;
+    const requests = replay(adapter, [
+      token,
+      { request: { method: 'GET', url: '/data/ReleasedProductsV2' }, response: { status: 401, data: { error: { code: 'Unauthorized' } } } },
+      token,
+      ...fixture.interactions.slice(1)
+    ]);
+
+    // Act
+    const items = await adapter.getInventory();
+
+    // Assert
+    expect(items).toHaveLength(fixture.expectedCounts.inventory);
+    expect(requests.filter(request => request.method === 'POST')).toHaveLength(2);
+    expect(requests[requests.length - 1].authorization).toBe(`Bearer ${token.response.data.access_token}`);
+  });
+
+  it('should filter on the legal entity and modified date', async () => {
+    const { adapter, requests } = createAdapter('dynamics365');
+
+    await adapter.getVendors({ modifiedSince: '2026-10-01T00:00:00Z' });
+
+    const [, firstPage] = requests;
+    expect(firstPage.params.$filter).toBe("dataAreaId eq 'usmf' and ModifiedDateTime gt 2026-10-01T00:00:00.000Z");
+    expect(firstPage.authorization).toMatch(/^Bearer /);
+  });
+});
+
+describe('NetSuite adapter', () => {
+  it('should sign each request with token-based authentication and a fresh nonce', async () => {
+    const { adapter, requests } = createAdapter('netsuite');
+
+    await adapter.getVendors();
+
+    const nonces = requests.map(request => /oauth_nonce="([^"]+)"/.exec(request.authorization)[1]);
+    expect(new Set(nonces).size).toBe(requests.length);
+    expect(requests[0].authorization).toMatch(/^OAuth realm="1234567_SB1", oauth_consumer_key="recorded-consumer-key", oauth_token="recorded-token-id", oauth_signature_method="HMAC-SHA256"/);
+  });
+
+  it('should query vendors by code and modified date', async () => {
+    const { adapter, requests } = createAdapter('netsuite');
+
+    await adapter.getVendors({ code: 'V-2001', modifiedSince: '2026-09-01T00:00:00Z' });
+
+    expect(requests[0].params.q).toBe('entityId IS "V-2001" AND lastModifiedDate AFTER "2026-09-01T00:00:00.000Z"');
+  });
+
+  it('should refuse to call NetSuite without credentials', async () => {
+    const { adapter } = createAdapter('netsuite');
+    adapter.config = { ...adapter.config, tokenSecret: undefined };
+
+    await expect(adapter.getInventory()).rejects.toThrow('credentials are not configured');
+  });
+});
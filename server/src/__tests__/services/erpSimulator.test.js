@@ -0,0 +1,296 @@
+/**
+ * erpSimulator.test.js
+ *
+ * End-to-end tests of the SAP and Oracle connectors against the local ERP
+ * simulator: authentication, pagination, retries on error bursts, rate
+ * limits and timeouts, token expiry, partial sync failures and circuit
+ * breaking, plus the simulator's control API
+ */
+
+const axios = require('axios');
+const SapERPService = require('../../services/erp/sap-erp-service');
+const OracleERPService = require('../../services/erp/oracle-erp-service');
+const { CircuitBreaker, CircuitState } = require('../../infrastructure/CircuitBreaker');
+const { createErpSimulator } = require('../../test-utils/erp-simulator');
+
+// Requests go over HTTP to the simulator, never to the response cache
+jest.mock('../../utils/cache', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const CREDENTIALS = {
+  sap: { username: 'manager', password: 'manager-pass', companyDb: 'SBODEMOUS' },
+  oracle: { clientId: 'aerosuite', clientSecret: 'client-secret', username: 'integration', password: 'oracle-pass', instanceId: 'demo' }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ERP simulator', () => {
+  const simulator = createErpSimulator();
+
+  beforeAll(() => simulator.start());
+
+  afterAll(() => simulator.stop());
+
+  beforeEach(() => {
+    simulator.loadScenario('default');
+    simulator.reset();
+  });
+
+  /**
+   * Point a connector at the simulator with fast retries
+   */
+  const connect = (Service, provider, retry = {}) => {
+    const adapter = new Service();
+    adapter.config = { ...adapter.config, ...CREDENTIALS[provider] };
+    adapter.globalConfig = { ...adapter.globalConfig, retryAttempts: 3, retryDelay: 10, ...retry };
+    adapter.httpClient.defaults.baseURL = `${simulator.url}/${provider}`;
+    return adapter;
+  };
+
+  const statuses = (provider, method) => simulator.requests
+    .filter(entry => entry.provider === provider && (!method || entry.method === method))
+    .map(entry => entry.status);
+
+  describe('SAP Service Layer', () => {
+    it('should log in and read suppliers through the session cookie', async () => {
+      // Arrange
+      const sap = connect(SapERPService, 'sap');
+
+      // Act
+      const suppliers = await sap.getVendors();
+
+      // Assert
+      expect(suppliers.map(supplier => supplier.code)).toEqual(['V-1001', 'V-1002', 'V-1003', 'V-1004']);
+      expect(suppliers[0]).toMatchObject({ name: 'Cascade Titanium Works', email: 'qa@cascadeti.example.com', sourceSystem: 'SAP' });
+      expect(simulator.requests[0]).toMatchObject({
+        method: 'POST',
+        path: '/b1s/v1/Login',
+        body: { UserName: 'manager', Password: '***', CompanyDB: 'SBODEMOUS' },
+        status: 200
+      });
+      expect(simulator.requests[1].query.$filter).toBe('CardType eq \'S\'');
+    });
+
+    it('should look up a purchase order by its number with its lines', async () => {
+      // Arrange
+      const sap = connect(SapERPService, 'sap');
+
+      // Act
+      const orders = await sap.getPurchaseOrders({ poNumber: '4500502' });
+
+      // Assert
+      expect(orders).toHaveLength(1);
+      expect(orders[0]).toMatchObject({
+        orderNumber: '4500502',
+        supplier: { code: 'V-1002' },
+        items: [{ lineNumber: 0, itemCode: 'BR-2210', quantity: 150 }]
+      });
+      expect(simulator.requests[1].query.$filter).toBe('DocNum eq 4500502');
+    });
+
+    it('should page collections with $top, $skip and odata.nextLink', async () => {
+      // Arrange
+      simulator.loadScenario('paginated');
+      const sap = connect(SapERPService, 'sap');
+
+      // Act
+      const pages = [];
+      let link = 'BusinessPartners?$filter=CardType eq \'S\'';
+      while (link) {
+        const page = await sap.makeAuthenticatedRequest(`/${link}`);
+        pages.push(page.value.map(partner => partner.CardCode));
+        link = page['odata.nextLink'];
+      }
+
+      // Assert
+      expect(pages).toEqual([['V-1001', 'V-1002'], ['V-1003', 'V-1004']]);
+    });
+
+    it('should retry reads through a burst of 503s', async () => {
+      // Arrange
+      simulator.loadScenario('flaky');
+      const sap = connect(SapERPService, 'sap');
+
+      // Act
+      await sap.getVendors();
+      const suppliers = await sap.getVendors();
+
+      // Assert
+      expect(suppliers).toHaveLength(4);
+      expect(statuses('sap', 'GET')).toEqual([200, 503, 503, 200]);
+    });
+
+    it('should retry a read that times out', async () => {
+      // Arrange
+      simulator.loadScenario({ name: 'one-slow-read', rules: [{ method: 'GET', times: 1, latencyMs: 300 }] });
+      const sap = connect(SapERPService, 'sap');
+      sap.httpClient.defaults.timeout = 100;
+
+      // Act
+      const suppliers = await sap.getVendors();
+
+      // Assert
+      expect(suppliers).toHaveLength(4);
+      expect(simulator.requests.filter(entry => entry.method === 'GET')).toHaveLength(2);
+    });
+
+    it('should report the suppliers the ERP rejects and sync the rest', async () => {
+      // Arrange
+      simulator.loadScenario('partial-failure');
+      const sap = connect(SapERPService, 'sap');
+      const suppliers = [
+        { code: 'V-1001', name: 'Cascade Titanium Works', status: 'active' },
+        { code: 'V-9001', name: 'Blocked Supplier', status: 'active' },
+        { code: 'V-9002', name: 'Apex Anodizing', status: 'active' }
+      ];
+
+      // Act
+      const result = await sap.syncToERP('suppliers', suppliers);
+
+      // Assert
+      expect(result).toMatchObject({ totalCount: 3, successCount: 2, errorCount: 1 });
+      expect(result.errors).toEqual([{ item: 'V-9001', error: 'Request failed with status code 400' }]);
+      const codes = simulator.data.sap.BusinessPartners.map(partner => partner.CardCode);
+      expect(codes).toContain('V-9002');
+      expect(codes).not.toContain('V-9001');
+    });
+  });
+
+  describe('Oracle REST', () => {
+    it('should get a token and page suppliers with limit and offset', async () => {
+      // Arrange
+      simulator.loadScenario('paginated');
+      const oracle = connect(OracleERPService, 'oracle');
+
+      // Act
+      const firstPage = await oracle.getVendors({ limit: 2, offset: 0 });
+      const secondPage = await oracle.getVendors({ limit: 2, offset: 2 });
+      const pastEnd = await oracle.getVendors({ limit: 2, offset: 4 });
+
+      // Assert
+      expect(firstPage.map(supplier => supplier.code)).toEqual(['V-1001', 'V-1002']);
+      expect(secondPage.map(supplier => supplier.code)).toEqual(['V-1003', 'V-1004']);
+      expect(secondPage[0]).toMatchObject({ status: 'inactive', email: 'orders@northwind.example.com', contactPerson: 'Dana Okafor' });
+      expect(pastEnd).toEqual([]);
+      expect(statuses('oracle', 'POST')).toEqual([200]);
+    });
+
+    it('should look up a purchase order by its number with its lines', async () => {
+      // Arrange
+      const oracle = connect(OracleERPService, 'oracle');
+
+      // Act
+      const orders = await oracle.getPurchaseOrders({ poNumber: 'PO-600501' });
+      const missing = await oracle.getPurchaseOrders({ poNumber: 'PO-999999' });
+
+      // Assert
+      expect(orders).toHaveLength(1);
+      expect(orders[0]).toMatchObject({
+        orderNumber: 'PO-600501',
+        supplier: { code: 'V-1001' },
+        items: [{ lineNumber: 1, itemCode: 'TB-7781', quantity: 40 }]
+      });
+      expect(missing).toEqual([]);
+    });
+
+    it('should retry rate-limited reads and give up after the last retry', async () => {
+      // Arrange
+      simulator.loadScenario('rate-limited');
+      const patient = connect(OracleERPService, 'oracle');
+      const impatient = connect(OracleERPService, 'oracle', { retryAttempts: 1 });
+
+      // Act
+      const suppliers = await patient.getVendors();
+      simulator.loadScenario('rate-limited');
+      const error = await impatient.getVendors().catch(failure => failure);
+
+      // Assert
+      expect(suppliers).toHaveLength(4);
+      expect(error.response.status).toBe(429);
+      expect(error.response.headers['retry-after']).toBe('1');
+      expect(statuses('oracle', 'GET')).toEqual([429, 429, 429, 200, 429, 429]);
+    });
+
+    it('should retry reads whose connection drops', async () => {
+      // Arrange
+      simulator.loadScenario('connection-drops');
+      const oracle = connect(OracleERPService, 'oracle');
+
+      // Act
+      const suppliers = await oracle.getVendors();
+
+      // Assert
+      expect(suppliers).toHaveLength(4);
+      expect(simulator.requests.filter(entry => entry.dropped)).toHaveLength(2);
+    });
+
+    it('should get a new token when the current one expires', async () => {
+      // Arrange
+      simulator.loadScenario('token-expiry');
+      const oracle = connect(OracleERPService, 'oracle');
+
+      // Act
+      for (let read = 0; read < 4; read++) {
+        await oracle.getVendors();
+      }
+
+      // Assert
+      expect(simulator.requests.map(entry => `${entry.method} ${entry.status}`)).toEqual([
+        'POST 200', 'GET 200', 'GET 200', 'GET 200', 'GET 401', 'POST 200', 'GET 200'
+      ]);
+      expect(oracle.token).toBe('oracle-session-2');
+    });
+  });
+
+  describe('circuit breaking', () => {
+    it('should open on an outage, short-circuit reads and close once the ERP recovers', async () => {
+      // Arrange
+      simulator.loadScenario('outage');
+      const sap = connect(SapERPService, 'sap', { retryAttempts: 1 });
+      const breaker = new CircuitBreaker({ name: 'sap', failureThreshold: 2, resetTimeout: 100, halfOpenSuccessThreshold: 1 });
+      const readVendors = () => breaker.execute(() => sap.getVendors());
+
+      // Act
+      await expect(readVendors()).rejects.toThrow('status code 503');
+      await expect(readVendors()).rejects.toThrow('status code 503');
+      const requestsWhenOpened = simulator.requests.length;
+      await expect(readVendors()).rejects.toThrow('Circuit breaker \'sap\' is open');
+      const requestsWhileOpen = simulator.requests.length - requestsWhenOpened;
+
+      simulator.loadScenario('default');
+      await sleep(150);
+      const suppliers = await readVendors();
+
+      // Assert
+      expect(breaker.getState()).toBe(CircuitState.CLOSED);
+      expect(requestsWhileOpen).toBe(0);
+      expect(suppliers).toHaveLength(4);
+    });
+  });
+
+  describe('control API', () => {
+    it('should switch scenarios, report requests and reset state', async () => {
+      // Arrange
+      const control = axios.create({ baseURL: `${simulator.url}/__simulator` });
+      const oracle = connect(OracleERPService, 'oracle', { retryAttempts: 0 });
+
+      // Act
+      const scenario = await control.put('/scenario', { name: 'outage' });
+      const failedRead = await oracle.getVendors().catch(error => error.response.status);
+      const requests = await control.get('/requests', { params: { provider: 'oracle' } });
+      const invalid = await control.put('/scenario', { rules: [{ status: 200 }] }).catch(error => error.response);
+      await control.post('/reset');
+      const state = await control.get('/');
+
+      // Assert
+      expect(scenario.data.data).toMatchObject({ name: 'outage', rules: [{ method: 'GET', status: 503 }] });
+      expect(failedRead).toBe(503);
+      expect(requests.data.data.map(entry => `${entry.method} ${entry.path} ${entry.status}`)).toEqual([
+        'POST /auth/oauth2/v1/token 200',
+        'GET /suppliers 503'
+      ]);
+      expect(invalid.status).toBe(400);
+      expect(invalid.data.message).toBe('Scenario rule 0 status must be an HTTP error status');
+      expect(state.data.data).toMatchObject({ sessions: 0, requests: 0, scenario: { name: 'outage' } });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * erpSyncEngine.test.js
+ *
+ * Tests for incremental ERP sync against the mock ERP provider: watermarks,
+ * change detection, conflict policies and the sync ledger
+ */
+
+const Supplier = require('../../models/supplier.model');
+const ErpSyncRun = require('../../models/ErpSyncRun');
+const ErpSyncLink = require('../../models/ErpSyncLink');
+const ErpSyncWatermark = require('../../models/ErpSyncWatermark');
+const mockErpService = require('../../services/erp/mock-erp-service');
+const erpSyncEngine = require('../../services/erp/erp-sync-engine');
+const { ConflictError } = require('../../utils/errors');
+
+// The mock provider never reaches the HTTP response cache of the base ERP service
+jest.mock('../../utils/cache', () => ({ get: jest.fn(), set: jest.fn() }), { virtual: true });
+
+const LONG_AGO = new Date('2024-01-01');
+
+// Resolve queries against in-memory collections
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const matchesQuery = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  const value = valueAt(doc, field);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if (condition.$in) return condition.$in.map(String).includes(String(value));
+    if (condition.$gt) return value > condition.$gt;
+    if (condition.$lte) return value <= condition.$lte;
+  }
+  return String(value) === String(condition);
+});
+
+const mockCollection = (Model, docs = []) => {
+  jest.spyOn(Model, 'find').mockImplementation(async (query = {}) => docs.filter(doc => matchesQuery(doc, query)));
+  jest.spyOn(Model, 'findOne').mockImplementation(async (query = {}) => docs.find(doc => matchesQuery(doc, query)) || null);
+  jest.spyOn(Model, 'findById').mockImplementation(async (id) => docs.find(doc => String(doc._id) === String(id)) || null);
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    this.updatedAt = new Date();
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  });
+  return docs;
+};
+
+const buildSupplier = (code, overrides = {}) => {
+  const supplier = new Supplier({
+    name: `${code} Aerostructures`,
+    code,
+    type: 'manufacturer',
+    status: 'active',
+    primaryContactName: 'Dana Reyes',
+    primaryContactEmail: `quality@${code.toLowerCase()}.example.com`,
+    ...overrides
+  });
+  supplier.updatedAt = LONG_AGO;
+  return supplier;
+};
+
+const buildVendor = (id, code, overrides = {}) => ({
+  id,
+  code,
+  name: `${code} Aerostructures`,
+  contactName: 'Dana Reyes',
+  email: `quality@${code.toLowerCase()}.example.com`,
+  phone: '',
+  website: '',
+  address: {},
+  type: 'manufacturer',
+  status: 'active',
+  createdAt: LONG_AGO,
+  updatedAt: LONG_AGO,
+  ...overrides
+});
+
+describe('ERP sync engine', () => {
+  let suppliers;
+  let runs;
+  let links;
+  let watermarks;
+
+  beforeEach(() => {
+    // Arrange: SUP-1 exists on both sides, SUP-2 only locally, SUP-3 only in the ERP
+    suppliers = mockCollection(Supplier, [buildSupplier('SUP-1'), buildSupplier('SUP-2')]);
+    runs = mockCollection(ErpSyncRun);
+    // The unique index on running runs refuses a second run of an entity type
+    const saveRun = ErpSyncRun.prototype.save.getMockImplementation();
+    ErpSyncRun.prototype.save.mockImplementation(async function() {
+      const running = runs.find(other => other !== this && other.status === 'running' &&
+        other.provider === this.provider && other.entityType === this.entityType);
+      if (this.status === 'running' && running) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      return saveRun.call(this);
+    });
+    links = mockCollection(ErpSyncLink);
+    watermarks = [];
+    jest.spyOn(ErpSyncRun, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(ErpSyncWatermark, 'findOne').mockImplementation(async (query) =>
+      watermarks.find(watermark => matchesQuery(watermark, query)) || null
+    );
+    jest.spyOn(ErpSyncWatermark, 'findOneAndUpdate').mockImplementation(async (query, update) => {
+      let watermark = watermarks.find(existing => matchesQuery(existing, query));
+      if (!watermark) {
+        watermark = { ...query };
+        watermarks.push(watermark);
+      }
+      return Object.assign(watermark, update);
+    });
+
+    mockErpService.config.delayMs = 1;
+    mockErpService.mockData.vendors = [buildVendor(1, 'SUP-1'), buildVendor(3, 'SUP-3')];
+    jest.spyOn(erpSyncEngine, 'getProvider').mockReturnValue(mockErpService);
+    jest.spyOn(erpSyncEngine, 'getProviderName').mockReturnValue('mock');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should link, push and pull records on the first run and advance the watermark', async () => {
+    // Act
+    const run = await erpSyncEngine.syncIncremental('suppliers', { conflictPolicy: 'manual' });
+
+    // Assert
+    expect(run.status).toBe('succeeded');
+    expect(run.counts).toMatchObject({ examined: 3, linked: 1, created: 2, conflicts: 0, failed: 0 });
+    expect(run.records.map(({ key, action, direction }) => [key, action, direction]).sort()).toEqual([
+      ['SUP-1', 'linked', null],
+      ['SUP-2', 'created', 'to-erp'],
+      ['SUP-3', 'created', 'from-erp']
+    ]);
+    expect(mockErpService.mockData.vendors.map(vendor => vendor.code)).toEqual(['SUP-1', 'SUP-3', 'SUP-2']);
+    expect(suppliers.find(supplier => supplier.code === 'SUP-3')).toMatchObject({ name: 'SUP-3 Aerostructures', type: 'manufacturer' });
+    expect(links).toHaveLength(3);
+    expect(watermarks).toEqual([expect.objectContaining({ provider: 'mock', entityType: 'suppliers', watermark: run.startedAt })]);
+    expect(runs).toEqual([run]);
+  });
+
+  it('should only move records changed since the watermark', async () => {
+    // Arrange
+    await erpSyncEngine.syncIncremental('suppliers');
+    await mockErpService.updateVendor('SUP-3', { phone: '+1 555 0100' });
+
+    // Act
+    const run = await erpSyncEngine.syncIncremental('suppliers');
+
+    // Assert: records written by the first run come back unchanged; only SUP-3 moves
+    expect(run.watermarkFrom).toEqual(runs[0].startedAt);
+    expect(run.counts).toMatchObject({ updated: 1, created: 0, conflicts: 0 });
+    expect(run.records).toEqual([expect.objectContaining({ key: 'SUP-3', action: 'updated', direction: 'from-erp' })]);
+    expect(suppliers.find(supplier => supplier.code === 'SUP-3').primaryContactPhone).toBe('+1 555 0100');
+  });
+
+  it('should queue a conflict when both sides changed and skip it until resolved', async () => {
+    // Arrange
+    await erpSyncEngine.syncIncremental('suppliers');
+    const supplier = suppliers.find(existing => existing.code === 'SUP-1');
+    supplier.name = 'SUP-1 Aerospace';
+    await supplier.save();
+    await mockErpService.updateVendor('SUP-1', { name: 'SUP-1 Aero Group' });
+
+    // Act
+    const run = await erpSyncEngine.syncIncremental('suppliers', { conflictPolicy: 'manual' });
+    supplier.description = 'Edited again before the conflict was resolved';
+    await supplier.save();
+    const next = await erpSyncEngine.syncIncremental('suppliers', { conflictPolicy: 'manual' });
+
+    // Assert
+    expect(run.counts).toMatchObject({ conflicts: 1, queued: 1 });
+    expect(run.records).toEqual([expect.objectContaining({ key: 'SUP-1', action: 'conflict', conflict: true })]);
+    const link = links.find(existing => existing.erpKey === 'SUP-1');
+    expect(link.conflict).toMatchObject({ status: 'open', local: { name: 'SUP-1 Aerospace' }, erp: { name: 'SUP-1 Aero Group' } });
+    expect(next.records).toEqual([expect.objectContaining({ key: 'SUP-1', action: 'skipped' })]);
+
+    // Act: keep the AeroSuite version
+    const resolved = await erpSyncEngine.resolveConflict(link._id, 'aerosuite');
+
+    // Assert
+    expect(resolved.run).toMatchObject({ trigger: 'conflict-resolution', status: 'succeeded', direction: 'to-erp' });
+    expect(link.conflict).toMatchObject({ status: 'resolved', resolution: 'aerosuite' });
+    expect(mockErpService.mockData.vendors.find(vendor => vendor.code === 'SUP-1').name).toBe('SUP-1 Aerospace');
+  });
+
+  it('should apply the ERP version of a conflict under the erp-wins policy', async () => {
+    const [supplier] = suppliers;
+    supplier.primaryContactName = 'Sam Okafor';
+    await supplier.save();
+    mockErpService.mockData.vendors[0].contactName = 'Lee Park';
+
+    const run = await erpSyncEngine.syncIncremental('suppliers', { conflictPolicy: 'erp-wins' });
+
+    expect(run.records).toContainEqual(expect.objectContaining({ key: 'SUP-1', action: 'updated', direction: 'from-erp', conflict: true }));
+    expect(supplier.primaryContactName).toBe('Lee Park');
+  });
+
+  it('should keep the watermark when records fail so the next run retries them', async () => {
+    jest.spyOn(mockErpService, 'createVendor').mockRejectedValue(new Error('ERP unavailable'));
+
+    const run = await erpSyncEngine.syncIncremental('suppliers');
+
+    expect(run.status).toBe('partial');
+    expect(run.records).toContainEqual(expect.objectContaining({ key: 'SUP-2', action: 'failed', message: 'ERP unavailable' }));
+    expect(run.watermarkTo).toBeUndefined();
+    expect(watermarks).toEqual([]);
+  });
+
+  it('should refuse to start while another run of the entity type is in progress', async () => {
+    runs.push(new ErpSyncRun({ provider: 'mock', entityType: 'suppliers', direction: 'bidirectional', status: 'running' }));
+
+    await expect(erpSyncEngine.syncIncremental('suppliers')).rejects.toThrow(ConflictError);
+    expect(ErpSyncRun.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'running', startedAt: { $lte: expect.any(Date) } }),
+      expect.objectContaining({ status: 'failed' })
+    );
+    expect(runs).toHaveLength(1);
+  });
+
+  it('should refuse one of two runs of the entity type started at once', async () => {
+    // Act
+    const results = await Promise.allSettled([
+      erpSyncEngine.syncIncremental('suppliers'),
+      erpSyncEngine.syncIncremental('suppliers')
+    ]);
+
+    // Assert
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * gauge.service.test.js
+ *
+ * Unit tests for Gauge R&R studies on gauges and the measurement system
+ * warnings raised during dimensional verification
+ */
+
+const Gauge = require('../../models/Gauge');
+const GaugeStudy = require('../../models/GaugeStudy');
+const gaugeService = require('../../services/gauge.service');
+const { verifyDimensionalAccuracy } = require('../../ai/services/dimensionalAccuracy.service');
+
+const buildGauge = (overrides = {}) => new Gauge({
+  gaugeId: 'cal-0042',
+  name: '0-25 mm outside micrometer',
+  calibration: { lastCalibratedAt: new Date('2024-01-10'), dueDate: new Date('2999-01-10') },
+  ...overrides
+});
+
+// Two operators, three parts, two trials; operator B reads consistently high
+const studyMeasurements = ['A', 'B'].flatMap(operator =>
+  [10.0, 10.4, 10.8].flatMap((size, part) => [1, 2].map(trial => ({
+    operator,
+    part: `P${part + 1}`,
+    trial,
+    value: size + (operator === 'B' ? 0.02 : 0) + (trial === 2 ? 0.01 : 0)
+  })))
+);
+
+describe('Gauge service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('characteristicFromSpecification', () => {
+    it('should use twice a symmetric tolerance as the tolerance width', () => {
+      const characteristic = gaugeService.characteristicFromSpecification({
+        name: 'Bore diameter', value: 10.4, tolerance: 0.5, unit: 'mm'
+      });
+
+      expect(characteristic).toMatchObject({ name: 'Bore diameter', lowerLimit: 9.9, upperLimit: 10.9, tolerance: 1 });
+    });
+
+    it('should prefer explicit limits', () => {
+      const characteristic = gaugeService.characteristicFromSpecification({
+        name: 'Bore diameter', value: 10.4, minValue: 10, maxValue: 10.8, tolerance: 0.5
+      });
+
+      expect(characteristic.tolerance).toBeCloseTo(0.8, 10);
+    });
+  });
+
+  describe('createStudy', () => {
+    it('should compute the study against the specification tolerance and update the gauge', async () => {
+      // Arrange
+      const gauge = buildGauge();
+      jest.spyOn(Gauge, 'findById').mockResolvedValue(gauge);
+      jest.spyOn(gauge, 'save').mockResolvedValue(gauge);
+      jest.spyOn(GaugeStudy, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(GaugeStudy, 'create').mockImplementation(async data => new GaugeStudy(data));
+
+      // Act
+      const study = await gaugeService.createStudy(gauge._id, {
+        method: 'average-range',
+        specification: { name: 'Bore diameter', value: 10.4, tolerance: 0.5, unit: 'mm' },
+        measurements: studyMeasurements
+      });
+
+      // Assert
+      expect(study.studyNumber).toMatch(/^GRR-\d{4}-001$/);
+      expect(study.characteristic.tolerance).toBe(1);
+      expect(study.results).toMatchObject({ operators: 2, parts: 3, trials: 2 });
+      expect(study.results.percentTolerance).toBeCloseTo(6 * study.results.grr * 100, 6);
+      expect(gauge.latestStudy.studyId).toEqual(study._id);
+      expect(gauge.latestStudy.percentGrr).toBeCloseTo(study.results.percentGrr, 6);
+      expect(gauge.save).toHaveBeenCalled();
+    });
+
+    it('should reject unbalanced studies', async () => {
+      jest.spyOn(Gauge, 'findById').mockResolvedValue(buildGauge());
+
+      await expect(gaugeService.createStudy('gauge-1', {
+        specification: { name: 'Bore diameter', value: 10.4, tolerance: 0.5 },
+        measurements: studyMeasurements.slice(1)
+      })).rejects.toThrow('same number of times');
+    });
+  });
+
+  describe('assessGauge', () => {
+    it('should warn about an expired calibration and an unacceptable study', async () => {
+      // Arrange
+      jest.spyOn(Gauge, 'findOne').mockResolvedValue(buildGauge({
+        calibration: { lastCalibratedAt: new Date('2023-01-10'), dueDate: new Date('2024-01-10') },
+        latestStudy: { studyId: new GaugeStudy()._id, percentGrr: 42.5, acceptability: 'unacceptable' }
+      }));
+
+      // Act
+      const { warnings } = await gaugeService.assessGauge('cal-0042', { now: new Date('2024-03-01') });
+
+      // Assert
+      expect(Gauge.findOne).toHaveBeenCalledWith({ gaugeId: 'CAL-0042' });
+      expect(warnings).toEqual([
+        'Gauge CAL-0042 calibration expired on 2024-01-10',
+        'Gauge CAL-0042 latest Gauge R&R study is unacceptable (42.5% GRR > 30%)'
+      ]);
+    });
+
+    it('should not warn about a calibrated gauge with a marginal study', async () => {
+      jest.spyOn(Gauge, 'findOne').mockResolvedValue(buildGauge({
+        latestStudy: { percentGrr: 22, acceptability: 'marginal' }
+      }));
+
+      const { warnings } = await gaugeService.assessGauge('CAL-0042');
+
+      expect(warnings).toEqual([]);
+    });
+  });
+
+  describe('verifyDimensionalAccuracy', () => {
+    it('should report gauge warnings alongside the tolerance result', async () => {
+      jest.spyOn(gaugeService, 'assessGauge').mockResolvedValue({
+        gaugeId: 'CAL-0042',
+        warnings: ['Gauge CAL-0042 calibration expired on 2024-01-10']
+      });
+
+      const result = await verifyDimensionalAccuracy(
+        { parameterName: 'Bore diameter', actualValue: '10.42', expectedValue: '10.4', tolerance: '±0.05', gaugeId: 'CAL-0042' },
+        { name: 'Bore diameter' }
+      );
+
+      expect(result.status).toBe('pass');
+      expect(result.warnings).toEqual(['Gauge CAL-0042 calibration expired on 2024-01-10']);
+    });
+
+    it('should not look up a gauge when none was recorded', async () => {
+      jest.spyOn(gaugeService, 'assessGauge');
+
+      const result = await verifyDimensionalAccuracy(
+        { parameterName: 'Length', actualValue: '5', expectedValue: '5', tolerance: '±0.1' },
+        { name: 'Length' }
+      );
+
+      expect(gaugeService.assessGauge).not.toHaveBeenCalled();
+      expect(result.warnings).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,474 @@
+/**
+ * jobScheduler.service.test.js
+ *
+ * Unit tests for the background job scheduler: persisted cron and one-off
+ * jobs, locking so a job runs once across pollers, retries with backoff,
+ * timeouts, cancellation, lock recovery after a crash, pausing and manual
+ * triggers, and registration of the existing workers
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../../models/Job');
+const JobRun = require('../../models/JobRun');
+const jobSchedulerService = require('../../services/jobScheduler.service');
+const jobSchedulerConfig = require('../../config/jobScheduler.config');
+const { registerWorkerJobs, WORKER_JOBS } = require('../../workers');
+const { ConflictError } = require('../../utils/errors');
+
+const MINUTE_MS = 60 * 1000;
+
+const valueKey = value => (value instanceof Date ? value.getTime() : String(value));
+
+/**
+ * Check a document field against a query condition
+ */
+const matchesCondition = (actual, condition) => {
+  if (condition === null) {
+    return actual === undefined || actual === null;
+  }
+  if (typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, value]) => {
+      if (operator === '$lte') return actual !== undefined && actual !== null && actual <= value;
+      if (operator === '$in') return value.map(valueKey).includes(valueKey(actual));
+      if (operator === '$ne') return valueKey(actual) !== valueKey(value);
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+  return actual !== undefined && actual !== null && valueKey(actual) === valueKey(condition);
+};
+
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => (
+  field === '$or'
+    ? condition.some(alternative => matches(doc, alternative))
+    : matchesCondition(doc.get(field), condition)
+));
+
+/**
+ * A query result that can be sorted and limited, like a mongoose query
+ */
+const queryResult = (results) => {
+  const result = Promise.resolve(results);
+  result.sort = (spec) => {
+    const [[field, direction]] = Object.entries(spec);
+    return queryResult([...results].sort((a, b) => (a.get(field) - b.get(field)) * direction));
+  };
+  result.limit = count => queryResult(results.slice(0, count));
+  return result;
+};
+
+// Queries return copies, as separate reads from the database would; each
+// update applies at once, as a single-document database update does
+const mockCollection = (Model, docs = [], uniqueField) => {
+  const copy = doc => new Model(doc.toObject());
+  const update = (doc, { $set = {}, $unset = {} }) => {
+    Object.entries($set).forEach(([path, value]) => doc.set(path, value));
+    Object.keys($unset).forEach(path => doc.set(path, undefined));
+    return doc;
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((query = {}) => queryResult(docs.filter(doc => matches(doc, query)).map(copy)));
+  jest.spyOn(Model, 'findOne').mockImplementation(async (query) => {
+    const doc = docs.find(candidate => matches(candidate, query));
+    return doc ? copy(doc) : null;
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (query, changes, { sort } = {}) => {
+    let candidates = docs.filter(doc => matches(doc, query));
+    if (sort) {
+      const [[field, direction]] = Object.entries(sort);
+      candidates = candidates.sort((a, b) => (a.get(field) - b.get(field)) * direction);
+    }
+    return candidates[0] ? copy(update(candidates[0], changes)) : null;
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (query, changes) => {
+    const doc = docs.find(candidate => matches(candidate, query));
+    if (doc) update(doc, changes);
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation(async (query, changes) => {
+    docs.filter(doc => matches(doc, query)).forEach(doc => update(doc, changes));
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    if (uniqueField && docs.some(existing => existing.get(uniqueField) === doc.get(uniqueField))) {
+      throw Object.assign(new Error(`E11000 duplicate key error: ${uniqueField}`), { code: 11000 });
+    }
+    docs.push(doc);
+    return copy(doc);
+  });
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    const index = docs.findIndex(doc => String(doc._id) === String(this._id));
+    docs.splice(index === -1 ? docs.length : index, index === -1 ? 0 : 1, this);
+    return this;
+  });
+  return docs;
+};
+
+/**
+ * A handler that runs until its test resolves it or it is aborted
+ */
+const controllableHandler = () => {
+  const handler = jest.fn(({ signal }) => new Promise((resolve) => {
+    handler.finish = resolve;
+    signal.addEventListener('abort', () => resolve('ignored after abort'));
+  }));
+  return handler;
+};
+
+const waitFor = async (condition) => {
+  for (let step = 0; step < 100 && !condition(); step++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+describe('Job Scheduler Service', () => {
+  let jobs;
+  let runs;
+
+  const jobNamed = name => jobs.find(job => job.name === name);
+  const runsOf = name => runs.filter(run => run.jobName === name);
+
+  beforeEach(() => {
+    jobs = mockCollection(Job, [], 'name');
+    runs = mockCollection(JobRun);
+  });
+
+  afterEach(async () => {
+    await jobSchedulerService.drain();
+    jest.restoreAllMocks();
+  });
+
+  describe('syncJobs', () => {
+    it('should persist each recurring definition once, however many instances sync it', async () => {
+      // Arrange
+      const now = new Date('2026-10-19T08:20:00Z');
+      jobSchedulerService.define('sync-hourly', jest.fn(), { cron: '0 * * * *', description: 'Hourly sync' });
+      jobSchedulerService.define('sync-once', jest.fn());
+
+      // Act
+      await Promise.all([jobSchedulerService.syncJobs(now), jobSchedulerService.syncJobs(now)]);
+
+      // Assert
+      expect(jobs.filter(job => job.name === 'sync-hourly')).toHaveLength(1);
+      expect(jobNamed('sync-hourly')).toEqual(expect.objectContaining({
+        type: 'recurring',
+        handler: 'sync-hourly',
+        status: 'scheduled',
+        nextRunAt: new Date('2026-10-19T09:00:00Z')
+      }));
+      expect(jobNamed('sync-once')).toBeUndefined();
+    });
+
+    it('should move a job onto a changed cron expression', async () => {
+      // Arrange
+      const now = new Date('2026-10-19T08:20:00Z');
+      jobSchedulerService.define('sync-changed', jest.fn(), { cron: '0 * * * *' });
+      await jobSchedulerService.syncJobs(now);
+      jobSchedulerService.define('sync-changed', jest.fn(), { cron: '*/5 * * * *' });
+
+      // Act
+      await jobSchedulerService.syncJobs(now);
+
+      // Assert
+      expect(jobNamed('sync-changed').cron).toBe('*/5 * * * *');
+      expect(jobNamed('sync-changed').nextRunAt).toEqual(new Date('2026-10-19T08:25:00Z'));
+    });
+  });
+
+  describe('poll', () => {
+    it('should run a due job once when pollers race for it', async () => {
+      // Arrange
+      const handler = jest.fn().mockResolvedValue({ processed: 3 });
+      jobSchedulerService.define('race-job', handler, { cron: '* * * * *' });
+      jobs.push(new Job({ name: 'race-job', handler: 'race-job', cron: '* * * * *', nextRunAt: new Date(Date.now() - MINUTE_MS) }));
+
+      // Act
+      const started = await Promise.all([jobSchedulerService.poll(), jobSchedulerService.poll()]);
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(started.flat()).toEqual(['race-job']);
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(runsOf('race-job')).toEqual([expect.objectContaining({
+        status: 'succeeded',
+        attempt: 1,
+        result: { processed: 3 },
+        owner: jobSchedulerService.getInstanceId()
+      })]);
+      expect(jobNamed('race-job')).toEqual(expect.objectContaining({ status: 'scheduled', lastRunStatus: 'succeeded', attempt: 0 }));
+      expect(jobNamed('race-job').lock.owner).toBeUndefined();
+      expect(jobNamed('race-job').nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should leave a job locked by another instance alone', async () => {
+      // Arrange
+      const handler = jest.fn();
+      jobSchedulerService.define('locked-job', handler, { cron: '* * * * *' });
+      jobs.push(new Job({
+        name: 'locked-job',
+        handler: 'locked-job',
+        cron: '* * * * *',
+        status: 'running',
+        nextRunAt: new Date(Date.now() - MINUTE_MS),
+        lock: { owner: 'other-instance', expiresAt: new Date(Date.now() + MINUTE_MS) }
+      }));
+
+      // Act
+      const started = await jobSchedulerService.poll();
+
+      // Assert
+      expect(started).toEqual([]);
+      expect(handler).not.toHaveBeenCalled();
+      expect(jobNamed('locked-job').lock.owner).toBe('other-instance');
+    });
+
+    it('should retry a failed run with backoff, then return to the cron schedule', async () => {
+      // Arrange
+      const handler = jest.fn()
+        .mockRejectedValueOnce(new Error('ERP unreachable'))
+        .mockResolvedValueOnce({ synced: 12 });
+      jobSchedulerService.define('retry-job', handler, { cron: '0 2 * * *' });
+      jobs.push(new Job({ name: 'retry-job', handler: 'retry-job', cron: '0 2 * * *', nextRunAt: new Date(Date.now() - MINUTE_MS) }));
+      const dueAt = jobNamed('retry-job').nextRunAt;
+
+      // Act
+      await jobSchedulerService.poll();
+      await jobSchedulerService.drain();
+      const afterFailure = jobNamed('retry-job').toObject();
+      const earlyPoll = await jobSchedulerService.poll();
+      await jobSchedulerService.poll(new Date(afterFailure.nextRunAt.getTime() + 1000));
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(afterFailure).toEqual(expect.objectContaining({ status: 'scheduled', trigger: 'retry', attempt: 1, lastError: 'ERP unreachable' }));
+      const delay = afterFailure.nextRunAt.getTime() - runsOf('retry-job')[0].finishedAt.getTime();
+      expect(delay).toBe(jobSchedulerConfig.retry.baseDelaySeconds * 1000);
+      expect(earlyPoll).toEqual([]);
+      expect(runsOf('retry-job').map(run => [run.status, run.attempt, run.trigger])).toEqual([
+        ['failed', 1, 'scheduled'],
+        ['succeeded', 2, 'retry']
+      ]);
+      expect(runsOf('retry-job')[0].retryAt).toEqual(afterFailure.nextRunAt);
+      expect(runsOf('retry-job')[1].scheduledFor).toEqual(dueAt);
+      expect(jobNamed('retry-job')).toEqual(expect.objectContaining({ status: 'scheduled', trigger: 'scheduled', attempt: 0 }));
+    });
+
+    it('should give a one-off job up as failed once its attempts run out', async () => {
+      // Arrange
+      const handler = jest.fn().mockRejectedValue(new Error('Disk full'));
+      jobSchedulerService.define('export-job', handler);
+      await jobSchedulerService.scheduleOnce('export-job', { name: 'export-once', maxAttempts: 1 });
+
+      // Act
+      await jobSchedulerService.poll();
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(jobNamed('export-once')).toEqual(expect.objectContaining({ status: 'failed', lastError: 'Disk full' }));
+      expect(jobNamed('export-once').nextRunAt).toBeNull();
+      expect(runsOf('export-once')[0].retryAt).toBeUndefined();
+    });
+
+    it('should time out a run that overruns and signal its handler to abort', async () => {
+      // Arrange
+      const handler = controllableHandler();
+      jobSchedulerService.define('slow-job', handler);
+      await jobSchedulerService.scheduleOnce('slow-job', { name: 'slow-once', timeoutMinutes: 0.0005, maxAttempts: 1 });
+
+      // Act
+      await jobSchedulerService.poll();
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(handler.mock.calls[0][0].signal.aborted).toBe(true);
+      expect(runsOf('slow-once')[0]).toEqual(expect.objectContaining({ status: 'timed-out', error: 'Timed out after 0.0005 minutes' }));
+      expect(jobNamed('slow-once').status).toBe('failed');
+    });
+
+    it('should keep a timed-out job locked until a handler that ignores the signal stops', async () => {
+      // Arrange
+      const handler = jest.fn(() => new Promise((resolve) => {
+        handler.finish = resolve;
+      }));
+      jobSchedulerService.define('stubborn-job', handler);
+      await jobSchedulerService.scheduleOnce('stubborn-job', { name: 'stubborn-once', timeoutMinutes: 0.0005, maxAttempts: 1 });
+      await jobSchedulerService.poll();
+      await waitFor(() => handler.finish);
+      const { signal } = handler.mock.calls[0][0];
+      await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+
+      // Act
+      await jobSchedulerService.renewLocks(new Date(Date.now() + 10 * MINUTE_MS));
+      const whileRunning = { ...jobNamed('stubborn-once').toObject() };
+      handler.finish({ done: true });
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(whileRunning.status).toBe('running');
+      expect(whileRunning.lock.owner).toBe(jobSchedulerService.getInstanceId());
+      expect(runsOf('stubborn-once')[0].status).toBe('timed-out');
+      expect(jobNamed('stubborn-once').status).toBe('failed');
+    });
+
+    it('should fail and retry the run of an instance that stopped renewing its lock', async () => {
+      // Arrange
+      jobSchedulerService.define('crashed-job', jest.fn().mockResolvedValue({}), { cron: '0 3 * * *' });
+      const crashed = new Job({
+        name: 'crashed-job',
+        handler: 'crashed-job',
+        cron: '0 3 * * *',
+        status: 'running',
+        nextRunAt: new Date(Date.now() - 10 * MINUTE_MS),
+        lock: { owner: 'crashed-instance', expiresAt: new Date(Date.now() - MINUTE_MS) }
+      });
+      jobs.push(crashed);
+      runs.push(new JobRun({ job: crashed._id, jobName: 'crashed-job', owner: 'crashed-instance', status: 'running' }));
+
+      // Act
+      const recovered = await jobSchedulerService.recoverAbandonedJobs();
+
+      // Assert
+      expect(recovered).toBe(1);
+      expect(runsOf('crashed-job')[0]).toEqual(expect.objectContaining({
+        status: 'failed',
+        error: 'Instance running the job stopped before it finished'
+      }));
+      expect(jobNamed('crashed-job')).toEqual(expect.objectContaining({ status: 'scheduled', trigger: 'retry', attempt: 1 }));
+      expect(jobNamed('crashed-job').lock.owner).toBeUndefined();
+    });
+  });
+
+  describe('renewLocks', () => {
+    it('should extend the lock of a running job and abort a run whose lock was lost', async () => {
+      // Arrange
+      const kept = controllableHandler();
+      const lost = controllableHandler();
+      jobSchedulerService.define('kept-job', kept);
+      jobSchedulerService.define('lost-job', lost);
+      await jobSchedulerService.scheduleOnce('kept-job', { name: 'kept-once' });
+      await jobSchedulerService.scheduleOnce('lost-job', { name: 'lost-once', maxAttempts: 1 });
+      await jobSchedulerService.poll();
+      await waitFor(() => kept.finish && lost.finish);
+      jobNamed('lost-once').set('lock.owner', 'other-instance');
+      const later = new Date(Date.now() + 10 * MINUTE_MS);
+
+      // Act
+      await jobSchedulerService.renewLocks(later);
+      kept.finish({ done: true });
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(runsOf('lost-once')[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'Job lock was lost' }));
+      expect(jobNamed('lost-once').lock.owner).toBe('other-instance');
+      expect(runsOf('kept-once')[0].status).toBe('succeeded');
+      expect(jobNamed('kept-once').status).toBe('completed');
+    });
+  });
+
+  describe('administration', () => {
+    it('should skip a paused job until it is triggered by hand', async () => {
+      // Arrange
+      const handler = jest.fn().mockResolvedValue({});
+      jobSchedulerService.define('paused-job', handler, { cron: '0 4 * * *' });
+      jobs.push(new Job({ name: 'paused-job', handler: 'paused-job', cron: '0 4 * * *', nextRunAt: new Date(Date.now() - MINUTE_MS) }));
+
+      // Act
+      await jobSchedulerService.pauseJob('paused-job');
+      const whilePaused = await jobSchedulerService.poll();
+      await jobSchedulerService.triggerJob('paused-job');
+      const triggered = await jobSchedulerService.poll();
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(whilePaused).toEqual([]);
+      expect(triggered).toEqual(['paused-job']);
+      expect(runsOf('paused-job')[0]).toEqual(expect.objectContaining({ trigger: 'manual', status: 'succeeded' }));
+      expect(jobNamed('paused-job')).toEqual(expect.objectContaining({ paused: true, trigger: 'scheduled' }));
+    });
+
+    it('should skip the occurrences missed while a job was paused', async () => {
+      // Arrange
+      const now = new Date('2026-10-19T08:20:00Z');
+      jobSchedulerService.define('resumed-job', jest.fn(), { cron: '0 * * * *' });
+      jobs.push(new Job({ name: 'resumed-job', handler: 'resumed-job', cron: '0 * * * *', paused: true, nextRunAt: new Date('2026-10-18T12:00:00Z') }));
+
+      // Act
+      const resumed = await jobSchedulerService.resumeJob('resumed-job', now);
+
+      // Assert
+      expect(resumed.paused).toBe(false);
+      expect(resumed.nextRunAt).toEqual(new Date('2026-10-19T09:00:00Z'));
+    });
+
+    it('should refuse to trigger a job that is already running', async () => {
+      // Arrange
+      const handler = controllableHandler();
+      jobSchedulerService.define('busy-job', handler);
+      await jobSchedulerService.scheduleOnce('busy-job', { name: 'busy-once' });
+      await jobSchedulerService.poll();
+
+      // Act & Assert
+      await expect(jobSchedulerService.triggerJob('busy-once')).rejects.toThrow(ConflictError);
+      await waitFor(() => handler.finish);
+      handler.finish({});
+    });
+
+    it('should cancel a running one-off job', async () => {
+      // Arrange
+      const handler = controllableHandler();
+      jobSchedulerService.define('import-job', handler);
+      await jobSchedulerService.scheduleOnce('import-job', { name: 'import-once', data: { file: 'parts.csv' } });
+      await jobSchedulerService.poll();
+      await waitFor(() => handler.finish);
+
+      // Act
+      const cancelling = await jobSchedulerService.cancelJob('import-once');
+      await jobSchedulerService.drain();
+
+      // Assert
+      expect(cancelling.cancelRequested).toBe(true);
+      expect(handler.mock.calls[0][0].data).toEqual({ file: 'parts.csv' });
+      expect(runsOf('import-once')[0]).toEqual(expect.objectContaining({ status: 'cancelled', error: 'Cancelled' }));
+      expect(jobNamed('import-once')).toEqual(expect.objectContaining({ status: 'cancelled', cancelRequested: false }));
+    });
+
+    it('should cancel a pending retry and keep a recurring job on its schedule', async () => {
+      // Arrange
+      const now = new Date('2026-10-19T08:20:00Z');
+      jobSchedulerService.define('pending-job', jest.fn(), { cron: '0 * * * *' });
+      jobs.push(new Job({
+        name: 'pending-job',
+        handler: 'pending-job',
+        cron: '0 * * * *',
+        trigger: 'retry',
+        attempt: 1,
+        nextRunAt: new Date('2026-10-19T08:21:00Z')
+      }));
+
+      // Act
+      const cancelled = await jobSchedulerService.cancelJob('pending-job', now);
+
+      // Assert
+      expect(cancelled).toEqual(expect.objectContaining({ status: 'scheduled', trigger: 'scheduled', attempt: 0 }));
+      expect(cancelled.nextRunAt).toEqual(new Date('2026-10-19T09:00:00Z'));
+      await expect(jobSchedulerService.cancelJob('pending-job', now)).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('worker jobs', () => {
+    it('should register every cron worker on its configured schedule without loading it', () => {
+      // Arrange
+      const loaded = Object.keys(require.cache).filter(path => path.includes('/workers/')).length;
+
+      // Act
+      registerWorkerJobs();
+
+      // Assert
+      const definitions = jobSchedulerService.getDefinitions();
+      Object.keys(WORKER_JOBS).forEach((name) => {
+        expect(definitions).toContainEqual(expect.objectContaining({ name, cron: jobSchedulerConfig.jobs[name].cron }));
+      });
+      expect(definitions.find(definition => definition.name === 'backup').timeoutMinutes).toBe(180);
+      expect(Object.keys(require.cache).filter(path => path.includes('/workers/')).length).toBe(loaded);
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * notificationRules.service.test.js
+ *
+ * Unit tests for the notification rules engine: subscription conditions,
+ * recipients by user and role, quiet hours, critical notifications,
+ * digests and retries of failed deliveries
+ */
+
+const dns = require('dns');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const NotificationSubscription = require('../../models/NotificationSubscription');
+const NotificationPreference = require('../../models/NotificationPreference');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const User = require('../../models/user.model');
+const notificationRulesService = require('../../services/notificationRules.service');
+const notificationService = require('../../services/notification.service');
+const emailService = require('../../services/email.service');
+const smsService = require('../../services/sms.service');
+const { runWithTenant } = require('../../core/multiTenancy');
+const logger = require('../../utils/logger');
+const { BadRequestError, ForbiddenError } = require('../../utils/errors');
+
+jest.mock('axios');
+jest.mock('../../models/user.model', () => ({
+  find: jest.fn()
+}));
+jest.mock('../../services/notification.service', () => ({
+  createNotification: jest.fn().mockResolvedValue({})
+}));
+jest.mock('../../services/email.service', () => ({
+  sendNotificationEmail: jest.fn().mockResolvedValue(),
+  sendNotificationDigest: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../services/sms.service', () => ({
+  sendSMS: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const qualityLeadId = new mongoose.Types.ObjectId();
+const inspectorId = new mongoose.Types.ObjectId();
+
+const criticalDefect = {
+  type: 'DefectRecorded',
+  payload: {
+    inspectionId: 'insp-1',
+    inspectionNumber: 'INS-2026-10-0042',
+    defectType: 'Porosity',
+    severity: 'critical',
+    description: 'Porosity in weld seam'
+  },
+  timestamp: '2026-10-19T22:30:00.000Z'
+};
+
+// 23:30 in Berlin
+const lateEvening = new Date('2026-10-19T21:30:00Z');
+
+const buildPreference = (fields = {}) => new NotificationPreference({
+  user: qualityLeadId,
+  email: 'lead@example.com',
+  phone: '+15550100',
+  timezone: 'Europe/Berlin',
+  ...fields
+});
+
+const buildSubscription = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Critical defects',
+  event: 'DefectRecorded',
+  conditions: [{ field: 'severity', op: 'eq', value: 'critical' }],
+  scope: { users: [], roles: ['quality'] },
+  priority: 'normal',
+  enabled: true,
+  ...fields
+});
+
+/**
+ * Serve subscriptions, preferences and users as stored; the quality lead
+ * is the only user in the quality role unless users are given
+ */
+const mockStored = (subscriptions, preferences, users = [{ _id: qualityLeadId, role: 'quality' }]) => {
+  jest.spyOn(NotificationSubscription, 'find').mockReturnValue({ lean: () => Promise.resolve(subscriptions) });
+  jest.spyOn(NotificationPreference, 'find').mockResolvedValue(preferences);
+  User.find.mockResolvedValue(users);
+};
+
+// Events reach the subscribers of the tenant they were published in
+const handleEvent = (event, now) => runWithTenant('acme', () => notificationRulesService.handleEvent(event, now));
+
+describe('Notification rules service', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    jest.clearAllMocks();
+    jest.spyOn(NotificationDelivery, 'create').mockImplementation(async (fields) => {
+      const delivery = new NotificationDelivery(fields);
+      created.push(delivery);
+      return delivery;
+    });
+    jest.spyOn(NotificationDelivery.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    jest.spyOn(NotificationPreference.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchesConditions', () => {
+    it('should require every condition to hold', () => {
+      const payload = { severity: 'major', daysRemaining: 30, supplier: { tier: 1 } };
+
+      expect(notificationRulesService.matchesConditions([
+        { field: 'severity', op: 'in', value: ['major', 'critical'] },
+        { field: 'daysRemaining', op: 'lte', value: 30 },
+        { field: 'supplier.tier', op: 'eq', value: '1' }
+      ], payload)).toBe(true);
+      expect(notificationRulesService.matchesConditions([
+        { field: 'severity', op: 'in', value: ['major', 'critical'] },
+        { field: 'expired', op: 'exists', value: true }
+      ], payload)).toBe(false);
+      expect(notificationRulesService.matchesConditions([], payload)).toBe(true);
+    });
+  });
+
+  describe('handleEvent', () => {
+    it('should notify users in a subscribed role once, with the highest priority', async () => {
+      // Arrange
+      const preference = buildPreference({ channels: ['inApp'] });
+      mockStored([
+        buildSubscription(),
+        buildSubscription({ scope: { users: [qualityLeadId], roles: [] }, priority: 'high' }),
+        buildSubscription({ conditions: [{ field: 'severity', op: 'eq', value: 'minor' }] })
+      ], [preference]);
+
+      // Act
+      const result = await handleEvent(criticalDefect, lateEvening);
+
+      // Assert
+      expect(result).toEqual({ subscriptions: 2, recipients: 1, notifications: 1 });
+      expect(notificationService.createNotification).toHaveBeenCalledWith(qualityLeadId.toString(), expect.objectContaining({
+        title: 'critical defect on inspection INS-2026-10-0042',
+        message: 'Porosity: Porosity in weld seam',
+        link: '/inspections/insp-1',
+        resourceType: 'inspection',
+        resourceId: 'insp-1'
+      }));
+    });
+
+    it('should notify users in a subscribed role who never saved preferences', async () => {
+      // Arrange
+      mockStored([buildSubscription()], [], [{ _id: inspectorId, role: 'inspector', roles: ['quality'] }]);
+
+      // Act
+      const result = await handleEvent(criticalDefect, lateEvening);
+
+      // Assert
+      expect(User.find).toHaveBeenCalledWith(
+        { $or: [{ role: { $in: ['quality'] } }, { roles: { $in: ['quality'] } }], tenantId: 'acme' },
+        '_id role roles'
+      );
+      expect(result.recipients).toBe(1);
+      expect(notificationService.createNotification).toHaveBeenCalledWith(inspectorId.toString(), expect.any(Object));
+    });
+
+    it('should not notify anyone of events published outside a tenant context', async () => {
+      // Arrange
+      mockStored([buildSubscription()], []);
+
+      // Act
+      const result = await notificationRulesService.handleEvent(criticalDefect, lateEvening);
+
+      // Assert
+      expect(result).toEqual({ subscriptions: 0, recipients: 0, notifications: 0 });
+      expect(NotificationSubscription.find).not.toHaveBeenCalled();
+      expect(notificationService.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should notify subscribed users without preferences in-app only', async () => {
+      // Arrange
+      mockStored([buildSubscription({ scope: { users: [inspectorId], roles: [] } })], []);
+
+      // Act
+      await handleEvent(criticalDefect, lateEvening);
+
+      // Assert
+      expect(notificationService.createNotification).toHaveBeenCalledWith(inspectorId.toString(), expect.any(Object));
+      expect(created).toHaveLength(0);
+    });
+
+    it('should hold email until quiet hours end, without holding in-app notifications', async () => {
+      // Arrange
+      const preference = buildPreference({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+      mockStored([buildSubscription()], [preference]);
+
+      // Act
+      await handleEvent(criticalDefect, lateEvening);
+
+      // Assert
+      expect(notificationService.createNotification).toHaveBeenCalled();
+      expect(emailService.sendNotificationEmail).not.toHaveBeenCalled();
+      expect(created).toHaveLength(1);
+      expect(created[0].status).toBe('queued');
+      expect(created[0].deliverAfter).toEqual(new Date('2026-10-20T05:00:00Z'));
+      expect(notificationRulesService.isQuietHours(preference, new Date('2026-10-20T10:00:00Z'))).toBe(false);
+    });
+
+    it('should send critical notifications during quiet hours and outside digests', async () => {
+      // Arrange
+      const preference = buildPreference({
+        channels: ['email', 'sms'],
+        quietHours: { enabled: true, start: '22:00', end: '07:00' },
+        digest: { frequency: 'daily', hour: 8 }
+      });
+      mockStored([buildSubscription({ priority: 'critical' })], [preference]);
+
+      // Act
+      await handleEvent(criticalDefect, lateEvening);
+
+      // Assert
+      expect(emailService.sendNotificationEmail).toHaveBeenCalledWith(
+        'lead@example.com',
+        'critical defect on inspection INS-2026-10-0042',
+        'Porosity: Porosity in weld seam',
+        'http://localhost:3000/inspections/insp-1'
+      );
+      expect(smsService.sendSMS).toHaveBeenCalledWith('+15550100', expect.stringContaining('INS-2026-10-0042'));
+      expect(created.map(delivery => delivery.status)).toEqual(['sent', 'sent']);
+    });
+  });
+
+  describe('digests', () => {
+    it('should collect notifications and send them in one digest at the digest hour', async () => {
+      // Arrange
+      const preference = buildPreference({ digest: { frequency: 'daily', hour: 8 } });
+      mockStored([buildSubscription()], [preference]);
+      await handleEvent(criticalDefect, lateEvening);
+      await handleEvent({
+        ...criticalDefect,
+        payload: { ...criticalDefect.payload, inspectionNumber: 'INS-2026-10-0043' }
+      }, lateEvening);
+      jest.spyOn(NotificationDelivery, 'find').mockReturnValue({ sort: () => Promise.resolve(created) });
+
+      // Act
+      const digestTime = new Date('2026-10-20T06:00:00Z');
+      const sent = await notificationRulesService.sendDigest(preference, digestTime);
+
+      // Assert
+      expect(preference.nextDigestAt).toEqual(new Date('2026-10-21T06:00:00Z'));
+      expect(sent).toBe(1);
+      expect(emailService.sendNotificationDigest).toHaveBeenCalledWith('lead@example.com', 'daily', [
+        expect.objectContaining({ title: 'critical defect on inspection INS-2026-10-0042' }),
+        expect.objectContaining({ title: 'critical defect on inspection INS-2026-10-0043' })
+      ], 2);
+      expect(created.every(delivery => delivery.status === 'sent')).toBe(true);
+    });
+  });
+
+  describe('sendDelivery', () => {
+    it('should retry failed deliveries with backoff until the attempts run out', async () => {
+      // Arrange
+      const preference = buildPreference({ webhookUrl: 'https://hooks.example.com/quality' });
+      const delivery = new NotificationDelivery({
+        user: qualityLeadId,
+        channel: 'webhook',
+        event: { type: 'DefectRecorded', payload: criticalDefect.payload },
+        title: 'critical defect on inspection INS-2026-10-0042'
+      });
+      axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+      const now = new Date('2026-10-20T10:00:00Z');
+
+      // Act
+      await notificationRulesService.sendDelivery(delivery, preference, now);
+      const firstRetry = delivery.deliverAfter;
+      await notificationRulesService.sendDelivery(delivery, preference, now);
+      const secondRetry = delivery.deliverAfter;
+      await notificationRulesService.sendDelivery(delivery, preference, now);
+
+      // Assert
+      expect(firstRetry).toEqual(new Date('2026-10-20T10:05:00Z'));
+      expect(secondRetry).toEqual(new Date('2026-10-20T10:10:00Z'));
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toBe(3);
+      expect(delivery.error).toBe('connect ECONNREFUSED');
+    });
+
+    it('should not send webhook notifications to non-public addresses', async () => {
+      // Arrange
+      const preference = buildPreference({ webhookUrl: 'https://metadata.internal.example.com/latest' });
+      const delivery = new NotificationDelivery({
+        user: qualityLeadId,
+        channel: 'webhook',
+        event: { type: 'DefectRecorded', payload: criticalDefect.payload },
+        title: 'critical defect on inspection INS-2026-10-0042'
+      });
+      dns.promises.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+
+      // Act
+      await notificationRulesService.sendDelivery(delivery, preference, new Date('2026-10-20T10:00:00Z'));
+
+      // Assert
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(delivery.error).toBe('metadata.internal.example.com resolves to a non-public address (169.254.169.254)');
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should refuse a webhook URL that resolves to a non-public address', async () => {
+      // Arrange
+      jest.spyOn(NotificationPreference, 'findOne').mockResolvedValue(null);
+      dns.promises.lookup.mockResolvedValue([{ address: '10.0.12.7', family: 4 }]);
+      const user = { _id: qualityLeadId, role: 'quality', email: 'lead@example.com' };
+
+      // Act
+      const update = notificationRulesService.updatePreferences(user, {
+        webhookUrl: 'https://plm.internal.example.com/hooks',
+        channels: ['inApp', 'webhook']
+      });
+
+      // Assert
+      await expect(update).rejects.toThrow(BadRequestError);
+      await expect(update).rejects.toThrow('Webhook URL is not allowed: plm.internal.example.com resolves to a non-public address (10.0.12.7)');
+      expect(NotificationPreference.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSubscription', () => {
+    it('should only let managers subscribe other users and roles', async () => {
+      const inspector = { _id: inspectorId, role: 'inspector' };
+
+      await expect(notificationRulesService.createSubscription(
+        { name: 'Critical defects', event: 'DefectRecorded', scope: { roles: ['quality'] } },
+        inspector
+      )).rejects.toThrow(ForbiddenError);
+
+      jest.spyOn(NotificationSubscription, 'create').mockImplementation(async fields => new NotificationSubscription(fields));
+      const own = await notificationRulesService.createSubscription({ name: 'My defects', event: 'DefectRecorded' }, inspector);
+      expect(own.scope.users.map(String)).toEqual([inspectorId.toString()]);
+      expect(own.createdBy).toEqual(inspectorId);
+    });
+  });
+});
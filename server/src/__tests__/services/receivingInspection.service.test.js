@@ -0,0 +1,361 @@
+/**
+ * receivingInspection.service.test.js
+ *
+ * Unit tests for goods receipts: receiving inspection generation from
+ * purchase order lines, receipts pulled from ERP purchase orders and
+ * pushing lot dispositions back to the ERP once inspections are approved
+ */
+
+const mongoose = require('mongoose');
+const GoodsReceipt = require('../../models/GoodsReceipt');
+const Component = require('../../models/component.model');
+const Supplier = require('../../models/supplier.model');
+const receivingInspectionService = require('../../services/receivingInspection.service');
+const erpService = require('../../services/erp/erp-service');
+const inspectionService = require('../../domains/inspection/services/InspectionService');
+const componentRepository = require('../../domains/component/repositories/componentRepository');
+const { Component: DomainComponent } = require('../../domains/component/models');
+const logger = require('../../utils/logger');
+const EventEmitter = require('../../core/EventEmitter');
+const { ConflictError } = require('../../utils/errors');
+
+jest.mock('../../services/erp/erp-service', () => ({
+  providerName: 'mock',
+  supports: jest.fn(() => true),
+  getPurchaseOrders: jest.fn(),
+  createQualityInspection: jest.fn(),
+  updateQualityInspection: jest.fn()
+}));
+
+jest.mock('../../domains/inspection/services/InspectionService', () => ({
+  create: jest.fn()
+}));
+
+jest.mock('../../domains/component/repositories/componentRepository', () => ({
+  findById: jest.fn()
+}));
+
+const supplier = new Supplier({
+  name: 'Acme Machining',
+  code: 'SUP0001',
+  primaryContactEmail: 'quality@acme.example'
+});
+
+const housing = new Component({
+  name: 'Actuator Housing',
+  partNumber: 'ACT-HSG-100',
+  customerId: new mongoose.Types.ObjectId(),
+  supplierId: supplier._id
+});
+
+const SPECIFICATIONS = [
+  { id: 'spec-bore', name: 'Bore Diameter', value: 12.5, tolerance: 0.05, unit: 'mm' },
+  { id: 'spec-length', name: 'Overall Length', minValue: 99.8, maxValue: 100.2, unit: 'mm' },
+  { id: 'spec-finish', name: 'Surface Finish', value: 'Ra 0.8' }
+];
+
+const PURCHASE_ORDER = {
+  poNumber: 'PO00042',
+  vendor: 'SUP0001',
+  items: [
+    { id: 1, itemCode: 'ACT-HSG-100', quantity: 200, receivedQuantity: 0 },
+    { id: 2, itemCode: 'UNKNOWN-PART', quantity: 10, receivedQuantity: 10 }
+  ]
+};
+
+const mockCollection = (Model, docs = []) => {
+  const matches = (doc, query) => Object.entries(query).every(([field, value]) => String(doc[field]) === String(value));
+  jest.spyOn(Model, 'find').mockImplementation(async (query = {}) => docs.filter(doc => matches(doc, query)));
+  jest.spyOn(Model, 'findOne').mockImplementation(async (query = {}) => docs.find(doc => matches(doc, query)) || null);
+  jest.spyOn(Model, 'findById').mockImplementation(async (id) => docs.find(doc => String(doc._id) === String(id)) || null);
+  return docs;
+};
+
+describe('Receiving inspection service', () => {
+  let receipts;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    receipts = mockCollection(GoodsReceipt);
+    mockCollection(Component, [housing]);
+    mockCollection(Supplier, [supplier]);
+    jest.spyOn(GoodsReceipt, 'create').mockImplementation(async (data) => {
+      // Unique index on the ERP reference
+      if (data.erpReference && receipts.some(receipt => receipt.erpReference === data.erpReference)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const receipt = new GoodsReceipt({
+        receiptNumber: `GR-24-06-${String(receipts.length + 1).padStart(4, '0')}`,
+        ...data
+      });
+      receipts.push(receipt);
+      return receipt;
+    });
+    jest.spyOn(GoodsReceipt.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(GoodsReceipt, 'deleteOne').mockImplementation(async ({ _id }) => {
+      receipts.splice(receipts.findIndex(receipt => String(receipt._id) === String(_id)), 1);
+    });
+
+    inspectionService.create.mockImplementation(async (data) => ({ id: new mongoose.Types.ObjectId().toString(), ...data }));
+    componentRepository.findById.mockResolvedValue(new DomainComponent({
+      id: housing._id.toString(),
+      name: housing.name,
+      code: housing.partNumber,
+      specifications: SPECIFICATIONS
+    }));
+    erpService.supports.mockReturnValue(true);
+    erpService.getPurchaseOrders.mockResolvedValue([PURCHASE_ORDER]);
+    erpService.createQualityInspection.mockResolvedValue({ id: 17 });
+    erpService.updateQualityInspection.mockResolvedValue({ id: 17 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('selectSamplingParameters', () => {
+    const config = { scheme: 'z1.4', inspectionLevel: 'II', aql: 1.0, criticalAql: 0.65 };
+
+    it('should sample on the configured Z1.4 plan', () => {
+      expect(receivingInspectionService.selectSamplingParameters(SPECIFICATIONS, config))
+        .toEqual({ scheme: 'z1.4', inspectionLevel: 'II', aql: 1.0 });
+    });
+
+    it('should sample components with a critical characteristic on a C=0 plan', () => {
+      const specifications = [...SPECIFICATIONS, { id: 'spec-hardness', name: 'Hardness', category: 'critical' }];
+
+      expect(receivingInspectionService.selectSamplingParameters(specifications, config))
+        .toEqual({ scheme: 'c0', inspectionLevel: null, aql: 0.65 });
+    });
+  });
+
+  describe('recordReceipt', () => {
+    it('should generate the receiving inspection from the purchase order line, specifications and sampling plan', async () => {
+      // Act
+      const receipt = await receivingInspectionService.recordReceipt(
+        { purchaseOrderNumber: 'PO00042', lineNumber: '1', quantityReceived: 200, lotNumber: 'L-881' },
+        { userId: new mongoose.Types.ObjectId().toString() }
+      );
+
+      // Assert
+      expect(erpService.getPurchaseOrders).toHaveBeenCalledWith({ poNumber: 'PO00042' });
+      const inspectionData = inspectionService.create.mock.calls[0][0];
+      expect(inspectionData).toMatchObject({
+        inspectionType: 'incoming',
+        supplierId: supplier._id.toString(),
+        componentId: housing._id.toString(),
+        customerId: housing.customerId.toString(),
+        sampling: { scheme: 'z1.4', inspectionLevel: 'II', aql: 1.0, lotSize: 200 }
+      });
+      expect(inspectionData.items.map(item => [item.specificationId, item.expectedValue, item.tolerance])).toEqual([
+        ['spec-bore', 12.5, 0.05],
+        ['spec-length', 100, expect.closeTo(0.2, 9)],
+        ['spec-finish', null, null]
+      ]);
+      const inspection = await inspectionService.create.mock.results[0].value;
+      expect(String(receipt.inspectionId)).toBe(inspection.id);
+      expect(receipt).toMatchObject({
+        source: 'api',
+        purchaseOrderNumber: 'PO00042',
+        lineNumber: '1',
+        itemCode: 'ACT-HSG-100',
+        erpSupplierCode: 'SUP0001',
+        quantityReceived: 200,
+        status: 'inspection-pending'
+      });
+    });
+
+    it('should inspect a single unit in full without a sampling plan', async () => {
+      // Act
+      await receivingInspectionService.recordReceipt({
+        purchaseOrderNumber: 'PO00042',
+        componentId: housing._id.toString(),
+        supplierId: supplier._id.toString(),
+        quantityReceived: 1
+      });
+
+      // Assert
+      expect(erpService.getPurchaseOrders).not.toHaveBeenCalled();
+      expect(inspectionService.create.mock.calls[0][0].sampling).toBeUndefined();
+    });
+
+    it('should remove the receipt when its inspection cannot be generated', async () => {
+      // Arrange
+      inspectionService.create.mockRejectedValueOnce(new Error('Inspection workflow unavailable'));
+
+      // Act
+      const recording = receivingInspectionService.recordReceipt({ purchaseOrderNumber: 'PO00042', lineNumber: '1', quantityReceived: 20 });
+
+      // Assert
+      await expect(recording).rejects.toThrow('Inspection workflow unavailable');
+      expect(receipts).toHaveLength(0);
+    });
+
+    it('should refuse a receipt pulled from the ERP twice before generating a second inspection', async () => {
+      // Arrange
+      const data = { purchaseOrderNumber: 'PO00042', lineNumber: '1', quantityReceived: 20 };
+      const options = { source: 'erp', erpReference: 'mock:PO00042:1:20' };
+      await receivingInspectionService.recordReceipt(data, options);
+
+      // Act
+      const again = receivingInspectionService.recordReceipt(data, options);
+
+      // Assert
+      await expect(again).rejects.toThrow(ConflictError);
+      expect(inspectionService.create).toHaveBeenCalledTimes(1);
+      expect(receipts).toHaveLength(1);
+    });
+  });
+
+  describe('recordReceiptsFromPurchaseOrders', () => {
+    it('should record only the quantity received since the last receipt and report unknown components', async () => {
+      // Arrange: 120 of the 200 ordered were already received through the API
+      await receivingInspectionService.recordReceipt({ purchaseOrderNumber: 'PO00042', lineNumber: '1', quantityReceived: 120 });
+      const order = { ...PURCHASE_ORDER, items: [{ ...PURCHASE_ORDER.items[0], receivedQuantity: 200 }, PURCHASE_ORDER.items[1]] };
+
+      // Act
+      const first = await receivingInspectionService.recordReceiptsFromPurchaseOrders([order]);
+      const second = await receivingInspectionService.recordReceiptsFromPurchaseOrders([order]);
+
+      // Assert
+      expect(first.recorded).toHaveLength(1);
+      expect(first.failed).toEqual([
+        expect.objectContaining({ purchaseOrderNumber: 'PO00042', lineNumber: '2' })
+      ]);
+      expect(receipts[1]).toMatchObject({ source: 'erp', erpReference: 'mock:PO00042:1:200', quantityReceived: 80 });
+      expect(second.recorded).toHaveLength(0);
+      expect(receipts).toHaveLength(2);
+    });
+  });
+
+  describe('handleInspectionApproved', () => {
+    const approval = { action: 'approve', from: 'pending-review', to: 'approved' };
+
+    // Approve the receiving inspection of a new receipt, its lot decided on completion
+    const completeInspection = async (disposition) => {
+      const receipt = await receivingInspectionService.recordReceipt({ purchaseOrderNumber: 'PO00042', lineNumber: '1', quantityReceived: 200 });
+      const inspection = { id: receipt.inspectionId, items: [], samplingPlan: { disposition } };
+      return receivingInspectionService.handleInspectionApproved({ inspection, transition: approval });
+    };
+
+    it('should accept the lot and create the quality inspection in the ERP', async () => {
+      // Act
+      const receipt = await completeInspection({ accepted: true, nonconforming: 1 });
+
+      // Assert
+      expect(receipt.status).toBe('accepted');
+      expect(receipt.disposition.decision).toBe('accept');
+      expect(erpService.createQualityInspection).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'incoming',
+        externalReference: receipt.receiptNumber,
+        itemCode: 'ACT-HSG-100',
+        supplierCode: 'SUP0001',
+        quantity: 200,
+        defects: 1,
+        result: 'passed',
+        status: 'completed'
+      }));
+      expect(receipt.erpSync).toMatchObject({ status: 'synced', provider: 'mock', erpInspectionId: '17', attempts: 1 });
+    });
+
+    it('should hold a rejected lot for MRB and update the ERP with the board\'s disposition', async () => {
+      // Act
+      const held = await completeInspection({ accepted: false, nonconforming: 4 });
+
+      // Assert
+      expect(held.status).toBe('on-hold');
+      expect(erpService.createQualityInspection).toHaveBeenCalledWith(expect.objectContaining({ result: 'pending', status: 'pending-review' }));
+
+      const released = await receivingInspectionService.recordMrbDisposition(
+        held._id,
+        { mrbDisposition: 'use-as-is', reason: 'Deviation D-12 approved by customer' },
+        new mongoose.Types.ObjectId().toString()
+      );
+
+      expect(released.status).toBe('accepted');
+      expect(erpService.updateQualityInspection).toHaveBeenCalledWith('17', expect.objectContaining({
+        result: 'conditional',
+        status: 'completed',
+        notes: expect.stringContaining('MRB disposition: use-as-is')
+      }));
+      await expect(receivingInspectionService.recordMrbDisposition(held._id, { mrbDisposition: 'scrap' }))
+        .rejects.toThrow(ConflictError);
+    });
+
+    it('should ignore inspections that are not pending receiving inspections', async () => {
+      await expect(receivingInspectionService.handleInspectionApproved({ inspection: { id: 'other' }, transition: approval }))
+        .resolves.toBeNull();
+      expect(erpService.createQualityInspection).not.toHaveBeenCalled();
+    });
+
+    it('should leave the receipt pending while the completed inspection awaits review', async () => {
+      // Arrange
+      const receipt = await receivingInspectionService.recordReceipt({ purchaseOrderNumber: 'PO00042', lineNumber: '1', quantityReceived: 200 });
+      const inspection = { id: receipt.inspectionId, items: [], samplingPlan: { disposition: { accepted: false, nonconforming: 3 } } };
+
+      // Act
+      const result = await receivingInspectionService.handleInspectionApproved({
+        inspection,
+        transition: { action: 'complete', from: 'in-progress', to: 'pending-review' }
+      });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(receipt.status).toBe('inspection-pending');
+      expect(erpService.createQualityInspection).not.toHaveBeenCalled();
+    });
+
+    it('should record a failed ERP push on the receipt and succeed on retry', async () => {
+      // Arrange
+      erpService.createQualityInspection.mockRejectedValueOnce(new Error('ERP unavailable'));
+
+      // Act
+      const failed = await completeInspection({ accepted: true, nonconforming: 0 });
+
+      // Assert
+      expect(failed.erpSync).toMatchObject({ status: 'failed', lastError: 'ERP unavailable', attempts: 1 });
+
+      const retried = await receivingInspectionService.retryErpSync(failed._id);
+      expect(retried.erpSync).toMatchObject({ status: 'synced', erpInspectionId: '17', attempts: 2 });
+    });
+
+    it('should skip the ERP push when the provider does not support quality inspections', async () => {
+      // Arrange
+      erpService.supports.mockReturnValue(false);
+
+      // Act
+      const receipt = await completeInspection({ accepted: true, nonconforming: 0 });
+
+      // Assert
+      expect(receipt.erpSync.status).toBe('skipped');
+      expect(erpService.createQualityInspection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initialize', () => {
+    afterEach(() => {
+      receivingInspectionService.shutdown();
+    });
+
+    it('should disposition receipts on approval until shut down', () => {
+      // Arrange
+      jest.spyOn(receivingInspectionService, 'handleInspectionApproved').mockResolvedValue(null);
+      const event = { inspection: { id: 'insp-1' }, transition: { from: 'pending-review', to: 'approved' } };
+      receivingInspectionService.initialize();
+
+      // Act
+      EventEmitter.getInstance().emit('inspection.transitioned', event);
+      receivingInspectionService.shutdown();
+      EventEmitter.getInstance().emit('inspection.transitioned', event);
+
+      // Assert
+      expect(receivingInspectionService.handleInspectionApproved).toHaveBeenCalledTimes(1);
+      expect(receivingInspectionService.handleInspectionApproved).toHaveBeenCalledWith(event);
+    });
+  });
+});
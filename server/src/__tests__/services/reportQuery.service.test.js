@@ -0,0 +1,260 @@
+/**
+ * reportQuery.service.test.js
+ *
+ * Unit tests for report queries: catalog and role checks, compiling to
+ * aggregation pipelines, cost limits and converting raw Mongo queries of
+ * older report templates
+ */
+
+const mongoose = require('mongoose');
+const Inspection = require('../../models/inspection.model');
+require('../../models/supplier.model');
+require('../../models/component.model');
+require('../../models/customer.model');
+const reportQueryService = require('../../services/reportQuery.service');
+const logger = require('../../utils/logger');
+const { ValidationError, BadRequestError } = require('../../utils/errors');
+
+describe('Report query service', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getCatalog', () => {
+    it('should list joined fields and hide contact details from other roles', () => {
+      const inspector = reportQueryService.getCatalog(['inspector']);
+      const quality = reportQueryService.getCatalog(['quality']);
+
+      const inspectionFields = inspector.find(entity => entity.entity === 'inspection').fields.map(field => field.id);
+      expect(inspectionFields).toEqual(expect.arrayContaining(['inspectionNumber', 'defectCount', 'supplier.name', 'component.partNumber']));
+      expect(inspectionFields).not.toContain('supplier.primaryContactEmail');
+      expect(quality.find(entity => entity.entity === 'supplier').fields.map(field => field.id))
+        .toContain('primaryContactEmail');
+    });
+  });
+
+  describe('compileQuery', () => {
+    it('should compile a grouped query with joins, date buckets and a percentile', () => {
+      // Act
+      const { pipeline, columns, cost } = reportQueryService.compileQuery({
+        entity: 'inspection',
+        filter: [
+          { field: 'status', op: 'eq', value: 'completed' },
+          { field: 'completionDate', op: 'between', value: ['2024-01-01', '2024-07-01'] },
+          { field: 'supplier.country', op: 'in', value: ['US', 'CA'] }
+        ],
+        groupBy: [{ field: 'supplier.name' }, { field: 'completionDate', bucket: 'month', as: 'month' }],
+        aggregates: [
+          { fn: 'count', as: 'inspections' },
+          { fn: 'avg', field: 'defectCount' },
+          { fn: 'percentile', field: 'quantity', p: 0.95 }
+        ],
+        sort: [{ field: 'inspections', direction: 'desc' }],
+        limit: 200
+      }, { roles: ['inspector'] });
+
+      // Assert
+      expect(pipeline).toEqual([
+        {
+          $match: {
+            $and: [
+              { status: { $eq: 'completed' } },
+              { completionDate: { $gte: new Date('2024-01-01'), $lt: new Date('2024-07-01') } }
+            ]
+          }
+        },
+        {
+          $lookup: {
+            from: 'suppliers',
+            localField: 'supplierId',
+            foreignField: '_id',
+            pipeline: [{ $project: { _id: 0, name: 1, 'address.country': 1 } }],
+            as: 'supplier'
+          }
+        },
+        { $unwind: { path: '$supplier', preserveNullAndEmptyArrays: true } },
+        { $match: { $and: [{ 'supplier.address.country': { $in: ['US', 'CA'] } }] } },
+        {
+          $group: {
+            _id: {
+              f0: '$supplier.name',
+              f1: { $dateTrunc: { date: '$completionDate', unit: 'month', timezone: 'UTC', startOfWeek: 'monday' } }
+            },
+            f2: { $sum: 1 },
+            f3: { $avg: { $size: { $ifNull: ['$defects', []] } } },
+            f4: { $percentile: { input: '$quantity', p: [0.95], method: 'approximate' } }
+          }
+        },
+        {
+          $project: {
+            _id: 0,
+            f0: '$_id.f0',
+            f1: '$_id.f1',
+            f2: '$f2',
+            f3: '$f3',
+            f4: { $arrayElemAt: ['$f4', 0] }
+          }
+        },
+        { $sort: { f2: -1 } },
+        { $limit: 200 }
+      ]);
+      expect(columns.map(column => column.id)).toEqual(['supplier.name', 'month', 'inspections', 'avg defectCount', 'p95 quantity']);
+      // 200 rows, one join, two groups, two aggregates and a percentile
+      expect(cost).toBe(2 + 15 + 10 + 4 + 10);
+    });
+
+    it('should read one row per defect of an inspection for the defect entity', () => {
+      const { pipeline } = reportQueryService.compileQuery({
+        entity: 'defect',
+        filter: [{ field: 'severity', op: 'ne', value: 'minor' }],
+        groupBy: [{ field: 'defectType' }],
+        aggregates: [{ fn: 'sum', field: 'quantity' }]
+      });
+
+      expect(pipeline.slice(0, 3)).toEqual([
+        { $unwind: '$defects' },
+        { $match: { $and: [{ 'defects.severity': { $ne: 'minor' } }] } },
+        { $group: { _id: { f0: '$defects.defectType' }, f1: { $sum: '$defects.quantity' } } }
+      ]);
+    });
+
+    it('should reject fields outside the catalog or hidden from the user\'s roles', () => {
+      const query = {
+        entity: 'inspection',
+        fields: ['inspectionNumber', 'supplier.primaryContactEmail', 'nonConformanceReport.rootCause'],
+        filter: [{ field: '$where', op: 'eq', value: '1' }]
+      };
+
+      let error;
+      try {
+        reportQueryService.compileQuery(query, { roles: ['inspector'] });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual([
+        'Unknown field: supplier.primaryContactEmail',
+        'Unknown field: nonConformanceReport.rootCause',
+        'Unknown filter field: $where'
+      ]);
+      expect(() => reportQueryService.compileQuery({ ...query, fields: ['supplier.primaryContactEmail'], filter: [] }, { roles: ['admin'] }))
+        .not.toThrow();
+      expect(() => reportQueryService.compileQuery({ entity: 'user', fields: ['password'] })).toThrow(ValidationError);
+    });
+
+    it('should reject query parts that are not lists', () => {
+      ['fields', 'filter', 'groupBy', 'aggregates', 'sort'].forEach((part) => {
+        expect(() => reportQueryService.compileQuery({ entity: 'inspection', [part]: 'inspectionNumber' }))
+          .toThrow(ValidationError);
+      });
+    });
+
+    it('should escape text searches and type filter values', () => {
+      const { pipeline } = reportQueryService.compileQuery({
+        entity: 'inspection',
+        fields: ['inspectionNumber'],
+        filter: [
+          { field: 'title', op: 'contains', value: 'a.*b' },
+          { field: 'quantity', op: 'gte', value: '10' }
+        ]
+      });
+
+      expect(pipeline[0].$match.$and).toEqual([
+        { title: { $regex: 'a\\.\\*b', $options: 'i' } },
+        { quantity: { $gte: 10 } }
+      ]);
+      expect(() => reportQueryService.compileQuery({
+        entity: 'inspection',
+        filter: [{ field: 'status', op: 'eq', value: { $ne: null } }]
+      })).toThrow(ValidationError);
+    });
+
+    it('should reject queries over the row limit or the cost limit', () => {
+      expect(() => reportQueryService.compileQuery({ entity: 'inspection', limit: 100000 })).toThrow(ValidationError);
+
+      // 5000 rows, three joins and a text search
+      expect(() => reportQueryService.compileQuery({
+        entity: 'inspection',
+        fields: ['supplier.name', 'component.name', 'customer.name'],
+        filter: [{ field: 'title', op: 'contains', value: 'weld' }],
+        limit: 5000
+      })).toThrow('Report query is too expensive');
+    });
+  });
+
+  describe('execute', () => {
+    it('should run the pipeline with a time limit and name the columns', async () => {
+      // Arrange
+      const option = jest.fn().mockResolvedValue([{ f0: 'INS-24-06-0001', f1: 'Acme Machining' }, { f0: 'INS-24-06-0002' }]);
+      jest.spyOn(Inspection, 'aggregate').mockReturnValue({ option });
+
+      // Act
+      const rows = await reportQueryService.execute({ entity: 'inspection', fields: ['inspectionNumber', 'supplier.name'] });
+
+      // Assert
+      expect(option).toHaveBeenCalledWith({ maxTimeMS: 15000, allowDiskUse: false });
+      expect(rows).toEqual([
+        { inspectionNumber: 'INS-24-06-0001', 'supplier.name': 'Acme Machining' },
+        { inspectionNumber: 'INS-24-06-0002', 'supplier.name': null }
+      ]);
+    });
+  });
+
+  describe('translateLegacyDataSource', () => {
+    it('should convert a raw filter, populate, sort and limit to a report query', () => {
+      const supplierId = new mongoose.Types.ObjectId();
+
+      const { reportQuery } = reportQueryService.translateLegacyDataSource({
+        model: 'Inspection',
+        query: {
+          filter: { status: 'completed', supplierId, completionDate: { $gte: '2024-01-01' } },
+          populate: ['supplierId'],
+          sort: { completionDate: -1 },
+          limit: 50
+        }
+      }, [{ id: 'partNumber', label: 'Part' }, { id: 'supplierId.name', label: 'Supplier' }]);
+
+      expect(reportQuery).toEqual({
+        entity: 'inspection',
+        fields: ['inspectionNumber', 'inspectionType', 'status', 'result', 'scheduledDate', 'completionDate', 'partNumber', 'supplier.name'],
+        filter: [
+          { field: 'status', op: 'eq', value: 'completed' },
+          { field: 'supplierId', op: 'eq', value: supplierId },
+          { field: 'completionDate', op: 'gte', value: '2024-01-01' }
+        ],
+        sort: [{ field: 'completionDate', direction: 'desc' }],
+        limit: 50
+      });
+      expect(() => reportQueryService.compileQuery(reportQuery)).not.toThrow();
+    });
+
+    it('should give the reason a raw query cannot be converted', () => {
+      expect(reportQueryService.translateLegacyDataSource({ model: 'User', query: {} }))
+        .toEqual({ reason: 'User is not a reportable entity' });
+      expect(reportQueryService.translateLegacyDataSource({ model: 'Inspection', query: { filter: { $or: [] } } }).reason)
+        .toBe('Filter on $or cannot be converted to a report query');
+      expect(reportQueryService.translateLegacyDataSource({ model: 'Supplier', query: { filter: { name: { $regex: '^A' } } } }).reason)
+        .toBe('Operator $regex on name cannot be converted to a report query');
+    });
+  });
+
+  describe('applyFilter', () => {
+    it('should add a raw filter to a report query as conditions', () => {
+      const dataSource = { reportQuery: { entity: 'inspection', filter: [{ field: 'status', op: 'eq', value: 'completed' }] } };
+      const from = new Date('2024-10-01');
+
+      reportQueryService.applyFilter(dataSource, { createdAt: { $gte: from } });
+
+      expect(dataSource.reportQuery.filter).toEqual([
+        { field: 'status', op: 'eq', value: 'completed' },
+        { field: 'createdAt', op: 'gte', value: from }
+      ]);
+      expect(() => reportQueryService.applyFilter(dataSource, { $where: 'sleep(1000)' })).toThrow(BadRequestError);
+    });
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * reportSchedule.service.test.js
+ *
+ * Unit tests for scheduled report delivery: date range presets, due
+ * schedule runs, email and document delivery, retries and the cap on
+ * concurrent report generations
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const ReportSchedule = require('../../models/ReportSchedule');
+const ReportRun = require('../../models/ReportRun');
+const ReportTemplate = require('../../models/ReportTemplate');
+const Document = require('../../models/document.model');
+const reportScheduleService = require('../../services/reportSchedule.service');
+const reportBuilderService = require('../../services/reportBuilder.service');
+const emailService = require('../../services/email.service');
+const documentService = require('../../services/document.service');
+const logger = require('../../utils/logger');
+const { BadRequestError, ConflictError } = require('../../utils/errors');
+
+jest.mock('../../services/reportBuilder.service', () => ({
+  executeDataQuery: jest.fn(),
+  generateCustomReport: jest.fn(),
+  generateExcelReport: jest.fn()
+}));
+
+jest.mock('../../services/email.service', () => ({
+  sendScheduledReport: jest.fn()
+}));
+
+jest.mock('../../services/document.service', () => ({
+  storeDocument: jest.fn()
+}));
+
+const MINUTE_MS = 60 * 1000;
+
+const template = new ReportTemplate({
+  name: 'Monthly Inspection Summary',
+  createdBy: new mongoose.Types.ObjectId(),
+  sections: [
+    { title: 'Overview', type: 'text', content: 'Inspections completed in the period' },
+    {
+      title: 'Completed Inspections',
+      type: 'table',
+      dataSource: { model: 'Inspection', query: { filter: { status: 'completed' }, limit: 100 } }
+    }
+  ]
+});
+
+/**
+ * Check a document field against a query condition
+ */
+const matchesCondition = (actual, condition) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+    return Object.entries(condition).every(([operator, value]) => {
+      if (actual === undefined || actual === null) return false;
+      if (operator === '$lte') return actual <= value;
+      if (operator === '$lt') return actual < value;
+      throw new Error(`Unsupported operator ${operator}`);
+    });
+  }
+  return String(actual) === String(condition);
+};
+
+/**
+ * A query result that can be sorted and limited, like a mongoose query
+ */
+const queryResult = (results) => {
+  const result = Promise.resolve(results);
+  result.sort = (spec) => {
+    const [[field, direction]] = Object.entries(spec);
+    return queryResult([...results].sort((a, b) => (a.get(field) - b.get(field)) * direction));
+  };
+  result.limit = count => queryResult(results.slice(0, count));
+  return result;
+};
+
+// Queries return copies, as separate reads from the database would
+const mockCollection = (Model, docs = []) => {
+  const copy = doc => new Model(doc.toObject());
+  const matches = (doc, query) => Object.entries(query).every(([field, condition]) => matchesCondition(doc.get(field), condition));
+  const update = (doc, { $set = {}, $unset = {} }) => {
+    doc.set($set);
+    Object.keys($unset).forEach(field => doc.set(field, undefined));
+    return doc;
+  };
+
+  jest.spyOn(Model, 'find').mockImplementation((query = {}) => queryResult(docs.filter(doc => matches(doc, query)).map(copy)));
+  jest.spyOn(Model, 'findById').mockImplementation(async (id) => {
+    const doc = docs.find(candidate => String(candidate._id) === String(id));
+    return doc ? copy(doc) : null;
+  });
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async (query = {}) => docs.filter(doc => matches(doc, query)).length);
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(async (query, changes) => {
+    const doc = docs.find(candidate => matches(candidate, query));
+    return doc ? copy(update(doc, changes)) : null;
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation(async (query, changes) => {
+    const doc = docs.find(candidate => matches(candidate, query));
+    if (doc) update(doc, changes);
+  });
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async (query) => {
+    docs.splice(docs.findIndex(doc => matches(doc, query)), 1);
+  });
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+    const doc = new Model(data);
+    await doc.validate();
+    docs.push(doc);
+    return doc;
+  });
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    const index = docs.findIndex(doc => String(doc._id) === String(this._id));
+    docs.splice(index === -1 ? docs.length : index, index === -1 ? 0 : 1, this);
+    return this;
+  });
+  return docs;
+};
+
+const scheduleData = (overrides = {}) => ({
+  name: 'Inspection summary for quality',
+  template: template._id,
+  cron: '0 6 1 * *',
+  timezone: 'Europe/London',
+  dateRange: { preset: 'last-month', field: 'completionDate' },
+  filters: { customerId: 'CUST-1' },
+  delivery: { method: 'email', recipients: ['quality@aerosuite.example', 'ops@aerosuite.example'] },
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+describe('Report schedule service', () => {
+  let schedules;
+  let runs;
+  let now;
+
+  // A schedule of the acme tenant that fell due a minute ago
+  const dueSchedule = (overrides = {}) => {
+    const schedule = new ReportSchedule({
+      ...scheduleData(overrides),
+      tenantId: 'acme',
+      nextRunAt: new Date(now.getTime() - MINUTE_MS)
+    });
+    schedules.push(schedule);
+    return schedule;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(fs.promises, 'unlink').mockResolvedValue();
+
+    now = new Date();
+    schedules = mockCollection(ReportSchedule);
+    runs = mockCollection(ReportRun);
+    mockCollection(ReportTemplate, [template]);
+    jest.spyOn(Document.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+
+    reportBuilderService.executeDataQuery.mockResolvedValue([{ inspectionNumber: 'INS-24-10-0001' }]);
+    reportBuilderService.generateCustomReport.mockResolvedValue('/app/uploads/reports/monthly-inspection-summary.pdf');
+    reportBuilderService.generateExcelReport.mockResolvedValue('/app/uploads/reports/monthly-inspection-summary.xlsx');
+    emailService.sendScheduledReport.mockResolvedValue();
+    documentService.storeDocument.mockResolvedValue({
+      id: 'doc-1',
+      originalFilename: 'monthly-inspection-summary.xlsx',
+      mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      size: 2048,
+      storageType: 'local',
+      storagePath: '/app/uploads/2024/11/doc-1.xlsx'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('resolveDateRange', () => {
+    it('should resolve last month on the calendar of the schedule timezone', () => {
+      // 06:00 on 1 November in London; October ran on British Summer Time
+      const period = reportScheduleService.resolveDateRange('last-month', new Date('2024-11-01T06:00:00Z'), 'Europe/London');
+
+      expect(period).toEqual({
+        preset: 'last-month',
+        from: new Date('2024-09-30T23:00:00Z'),
+        to: new Date('2024-11-01T00:00:00Z')
+      });
+    });
+
+    it('should start weeks on Monday and quarters on calendar quarters', () => {
+      const reference = new Date('2024-08-14T12:00:00Z');
+
+      expect(reportScheduleService.resolveDateRange('last-week', reference, 'UTC')).toMatchObject({
+        from: new Date('2024-08-05T00:00:00Z'),
+        to: new Date('2024-08-12T00:00:00Z')
+      });
+      expect(reportScheduleService.resolveDateRange('last-quarter', reference, 'UTC')).toMatchObject({
+        from: new Date('2024-04-01T00:00:00Z'),
+        to: new Date('2024-07-01T00:00:00Z')
+      });
+      expect(() => reportScheduleService.resolveDateRange('fortnight', reference)).toThrow(BadRequestError);
+    });
+  });
+
+  describe('buildReportConfig', () => {
+    it('should apply the filters and period to every data source section', async () => {
+      // Arrange
+      const period = { from: new Date('2024-10-01T00:00:00Z'), to: new Date('2024-11-01T00:00:00Z') };
+
+      // Act
+      const reportConfig = await reportScheduleService.buildReportConfig(template, {
+        filters: { customerId: 'CUST-1' },
+        period,
+        dateField: 'completionDate'
+      });
+
+      // Assert
+      expect(reportBuilderService.executeDataQuery).toHaveBeenCalledTimes(1);
+      expect(reportBuilderService.executeDataQuery.mock.calls[0][0].query.filter).toEqual({
+        status: 'completed',
+        customerId: 'CUST-1',
+        completionDate: { $gte: period.from, $lt: period.to }
+      });
+      expect(reportConfig.sections[1].data).toEqual([{ inspectionNumber: 'INS-24-10-0001' }]);
+      expect(template.sections[1].dataSource.query.filter).toEqual({ status: 'completed' });
+    });
+  });
+
+  describe('runDueSchedules', () => {
+    it('should email the report for the period before the due time and advance the schedule', async () => {
+      // Arrange
+      const schedule = dueSchedule();
+      const dueAt = schedule.nextRunAt;
+
+      // Act
+      const result = await reportScheduleService.runDueSchedules({ now });
+
+      // Assert
+      expect(result).toEqual({ started: 1, succeeded: 1, failed: 0, deferred: 0 });
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({
+        trigger: 'scheduled',
+        attempt: 1,
+        status: 'succeeded',
+        scheduledFor: dueAt,
+        filePath: '/app/uploads/reports/monthly-inspection-summary.pdf'
+      });
+      expect(runs[0].toObject().period).toEqual(reportScheduleService.resolveDateRange('last-month', dueAt, 'Europe/London'));
+      expect(emailService.sendScheduledReport).toHaveBeenCalledWith(
+        ['quality@aerosuite.example', 'ops@aerosuite.example'],
+        'Inspection summary for quality',
+        expect.any(String),
+        expect.objectContaining({ filename: 'monthly-inspection-summary.pdf', contentType: 'application/pdf' })
+      );
+      expect(schedule.nextRunAt.getTime()).toBeGreaterThan(now.getTime());
+      expect(schedule.nextRunAt.getUTCDate()).toBe(1);
+      expect(schedule.lastRunStatus).toBe('succeeded');
+      expect(fs.promises.unlink).toHaveBeenCalledWith('/app/uploads/reports/monthly-inspection-summary.pdf');
+    });
+
+    it('should store an Excel report as a document', async () => {
+      // Arrange
+      const schedule = dueSchedule({
+        format: 'excel',
+        delivery: { method: 'document', recipients: [], allowedRoles: ['admin', 'quality'] }
+      });
+
+      // Act
+      await reportScheduleService.runDueSchedules({ now });
+
+      // Assert
+      expect(reportBuilderService.generateExcelReport).toHaveBeenCalled();
+      expect(emailService.sendScheduledReport).not.toHaveBeenCalled();
+      expect(documentService.storeDocument).toHaveBeenCalledWith(
+        '/app/uploads/reports/monthly-inspection-summary.xlsx',
+        expect.objectContaining({ category: 'report' })
+      );
+      const document = Document.prototype.save.mock.instances[0];
+      expect(document).toMatchObject({ documentId: 'doc-1', category: 'report', type: 'spreadsheet' });
+      expect(document.access.allowedRoles).toEqual(['admin', 'quality']);
+      expect(document.metadata.reportScheduleId).toBe(String(schedule._id));
+      expect(runs[0].delivery.documentId).toBe('doc-1');
+    });
+
+    it('should not start more generations than the concurrency cap allows', async () => {
+      // Arrange: one of the two generation slots is taken
+      runs.push(new ReportRun({ schedule: new mongoose.Types.ObjectId(), status: 'running', startedAt: now }));
+      dueSchedule({ name: 'First' });
+      dueSchedule({ name: 'Second' });
+      dueSchedule({ name: 'Third' });
+
+      // Act
+      const result = await reportScheduleService.runDueSchedules({ now });
+
+      // Assert
+      expect(result).toEqual({ started: 1, succeeded: 1, failed: 0, deferred: 2 });
+      expect(schedules.filter(schedule => schedule.nextRunAt <= now).map(schedule => schedule.name))
+        .toEqual(['Second', 'Third']);
+    });
+
+    it('should run a due schedule once when workers overlap', async () => {
+      // Arrange
+      dueSchedule();
+
+      // Act
+      const results = await Promise.all([
+        reportScheduleService.runDueSchedules({ now }),
+        reportScheduleService.runDueSchedules({ now })
+      ]);
+
+      // Assert
+      expect(results.map(result => result.started).sort()).toEqual([0, 1]);
+      expect(emailService.sendScheduledReport).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry a failed run over the same period after the backoff', async () => {
+      // Arrange
+      reportBuilderService.generateCustomReport.mockRejectedValueOnce(new Error('PDF rendering failed'));
+      dueSchedule();
+
+      // Act
+      const first = await reportScheduleService.runDueSchedules({ now });
+      const tooSoon = await reportScheduleService.runDueSchedules({ now: new Date(now.getTime() + MINUTE_MS) });
+      const retried = await reportScheduleService.runDueSchedules({ now: new Date(now.getTime() + 6 * MINUTE_MS) });
+
+      // Assert
+      expect(first).toMatchObject({ started: 1, failed: 1 });
+      expect(tooSoon.started).toBe(0);
+      expect(retried).toMatchObject({ started: 1, succeeded: 1 });
+      expect(runs).toHaveLength(2);
+      expect(runs[0]).toMatchObject({ status: 'failed', error: 'PDF rendering failed', retryAt: undefined });
+      expect(runs[1]).toMatchObject({ trigger: 'retry', attempt: 2, status: 'succeeded' });
+      expect(String(runs[1].retryOf)).toBe(String(runs[0]._id));
+      expect(runs[1].period.from).toEqual(runs[0].period.from);
+    });
+
+    it('should give up a retry of a schedule disabled since, recording why', async () => {
+      // Arrange
+      reportBuilderService.generateCustomReport.mockRejectedValueOnce(new Error('PDF rendering failed'));
+      const schedule = dueSchedule();
+      await reportScheduleService.runDueSchedules({ now });
+      schedule.enabled = false;
+
+      // Act
+      const result = await reportScheduleService.runDueSchedules({ now: new Date(now.getTime() + 6 * MINUTE_MS) });
+
+      // Assert
+      expect(result).toMatchObject({ started: 0, deferred: 0 });
+      expect(runs).toHaveLength(1);
+      expect(runs[0]).toMatchObject({
+        status: 'failed',
+        error: 'PDF rendering failed (not retried: the schedule was disabled)',
+        retryAt: undefined
+      });
+    });
+
+    it('should give up on a run after the last attempt', async () => {
+      // Arrange
+      reportBuilderService.generateCustomReport.mockRejectedValue(new Error('PDF rendering failed'));
+      const schedule = dueSchedule();
+
+      // Act
+      const run = await reportScheduleService.executeRun(schedule, { attempt: 3 });
+
+      // Assert
+      expect(run.status).toBe('failed');
+      expect(run.retryAt).toBeUndefined();
+    });
+
+    it('should time out a stuck generation and retry it', async () => {
+      // Arrange
+      const schedule = dueSchedule();
+      schedule.nextRunAt = new Date(now.getTime() + 60 * MINUTE_MS);
+      runs.push(new ReportRun({
+        schedule: schedule._id,
+        status: 'running',
+        attempt: 1,
+        startedAt: new Date(now.getTime() - 45 * MINUTE_MS)
+      }));
+
+      // Act
+      const result = await reportScheduleService.runDueSchedules({ now });
+
+      // Assert
+      expect(runs[0]).toMatchObject({ status: 'failed', error: 'Timed out after 30 minutes' });
+      expect(result.started).toBe(1);
+      expect(runs[1]).toMatchObject({ trigger: 'retry', attempt: 2, status: 'succeeded' });
+    });
+  });
+
+  describe('createSchedule', () => {
+    it('should calculate the first run from the cron expression', async () => {
+      const schedule = await reportScheduleService.createSchedule(scheduleData(), new mongoose.Types.ObjectId());
+
+      expect(schedule.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+      expect(schedules).toHaveLength(1);
+    });
+
+    it('should reject an invalid cron expression', async () => {
+      await expect(reportScheduleService.createSchedule(scheduleData({ cron: '0 25 * * *' }), new mongoose.Types.ObjectId()))
+        .rejects.toThrow(BadRequestError);
+    });
+  });
+
+  describe('runScheduleNow', () => {
+    it('should refuse a manual run while every generation slot is taken', async () => {
+      // Arrange
+      const schedule = dueSchedule();
+      runs.push(
+        new ReportRun({ schedule: schedule._id, status: 'running' }),
+        new ReportRun({ schedule: schedule._id, status: 'running' })
+      );
+
+      // Act & Assert
+      await expect(reportScheduleService.runScheduleNow(schedule._id)).rejects.toThrow(ConflictError);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * riskAssessment.service.test.js
+ *
+ * Unit tests for data-driven risk factor scoring, provenance and score history
+ */
+
+const mongoose = require('mongoose');
+const RiskAssessment = require('../../models/RiskAssessment');
+const QualityManagement = require('../../models/QualityManagement');
+const Supplier = require('../../models/supplier.model');
+const riskAssessmentService = require('../../services/riskAssessment.service');
+const logger = require('../../utils/logger');
+
+const buildSupplier = (overrides = {}) => new Supplier({
+  name: 'Acme Machining',
+  code: 'SUP0001',
+  ...overrides
+});
+
+const buildQms = (supplierId, overrides = {}) => new QualityManagement({
+  supplierId,
+  qmsType: 'AS9100',
+  qmsCertification: { status: 'active', expiryDate: new Date('2999-01-01') },
+  qualityMetrics: {
+    defectRate: { current: 0.8, target: 0.5, history: [{ value: 0.8, date: new Date('2024-03-01') }] },
+    onTimeDelivery: { current: 96 },
+    correctionResponseTime: { current: 12, target: 5 }
+  },
+  ...overrides
+});
+
+const factor = (name, scoringMethod, score = 3) => ({
+  name,
+  weight: 0.25,
+  score,
+  category: 'operational',
+  scoringMethod
+});
+
+describe('Risk assessment service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scoreFactors', () => {
+    it('should score bound factors from QMS metrics and record their inputs', () => {
+      // Arrange
+      const supplier = buildSupplier();
+      const context = { supplier, qms: buildQms(supplier._id), scorecard: null, now: new Date('2024-04-01') };
+
+      // Act
+      const [quality, delivery, responsiveness, financial] = riskAssessmentService.scoreFactors([
+        factor('Quality Consistency', 'qms-defect-rate'),
+        factor('On-time Delivery', 'on-time-delivery'),
+        factor('Communication & Responsiveness', 'correction-response-time'),
+        factor('Financial Stability', 'manual', 2)
+      ], context);
+
+      // Assert
+      expect(quality.score).toBe(4);
+      expect(quality.inputs[0]).toMatchObject({
+        source: 'QualityManagement',
+        field: 'qualityMetrics.defectRate.current',
+        value: 0.8
+      });
+      expect(delivery.score).toBe(4);
+      // 12 days against a 5 day target is over twice the target
+      expect(responsiveness.score).toBe(2);
+      expect(financial).toMatchObject({ score: 2, scoringMethod: 'manual' });
+      expect(financial.inputs).toBeUndefined();
+    });
+
+    it('should prefer the latest scorecard for on-time delivery', () => {
+      const supplier = buildSupplier();
+      const scorecard = { _id: 'scorecard-1', period: '2024-03', kpis: { delivery: { onTimeDeliveryRate: 99 } } };
+
+      const [delivery] = riskAssessmentService.scoreFactors(
+        [factor('On-time Delivery', 'on-time-delivery')],
+        { supplier, qms: buildQms(supplier._id), scorecard, now: new Date() }
+      );
+
+      expect(delivery.score).toBe(5);
+      expect(delivery.inputs[0]).toMatchObject({ source: 'SupplierScorecard', value: 99 });
+    });
+
+    it('should lower regulatory compliance for an expired certification and expired qualifications', () => {
+      // Arrange
+      const supplier = buildSupplier({
+        qualifications: [
+          { type: 'NADCAP', status: 'active', expiryDate: new Date('2024-01-01') },
+          { type: 'ITAR', status: 'active', expiryDate: new Date('2999-01-01') }
+        ]
+      });
+      const qms = buildQms(supplier._id, {
+        qmsCertification: { status: 'active', expiryDate: new Date('2024-02-01') }
+      });
+
+      // Act
+      const [compliance] = riskAssessmentService.scoreFactors(
+        [factor('Regulatory Compliance', 'regulatory-compliance')],
+        { supplier, qms, scorecard: null, now: new Date('2024-04-01') }
+      );
+
+      // Assert
+      expect(compliance.score).toBe(1);
+      expect(compliance.inputs.map(input => input.field)).toEqual([
+        'qmsCertification.status',
+        'qualifications.NADCAP'
+      ]);
+    });
+
+    it('should keep the current score and note missing data', () => {
+      const [quality] = riskAssessmentService.scoreFactors(
+        [factor('Quality Consistency', 'qms-defect-rate', 4)],
+        { supplier: buildSupplier(), qms: null, scorecard: null, now: new Date() }
+      );
+
+      expect(quality.score).toBe(4);
+      expect(quality.scoringNote).toBe('No defect rate recorded in the QMS');
+    });
+  });
+
+  describe('diffFactors', () => {
+    it('should report changed, added and removed factors', () => {
+      const changes = riskAssessmentService.diffFactors(
+        [factor('Quality', 'qms-defect-rate', 3), factor('Geographic', 'manual', 3), factor('Capacity', 'manual', 2)],
+        [factor('Quality', 'qms-defect-rate', 5), factor('Geographic', 'manual', 3), factor('Continuity', 'manual', 4)]
+      );
+
+      expect(changes).toEqual([
+        expect.objectContaining({ factor: 'Quality', from: 3, to: 5 }),
+        expect.objectContaining({ factor: 'Continuity', from: null, to: 4 }),
+        expect.objectContaining({ factor: 'Capacity', from: 2, to: null })
+      ]);
+    });
+  });
+
+  describe('createRiskAssessment', () => {
+    it('should score default factors from live data and start the score history', async () => {
+      // Arrange
+      const supplier = buildSupplier();
+      jest.spyOn(Supplier, 'findById').mockResolvedValue(supplier);
+      jest.spyOn(riskAssessmentService, 'loadScoringContext').mockResolvedValue({
+        supplier, qms: buildQms(supplier._id), scorecard: null, now: new Date('2024-04-01')
+      });
+      jest.spyOn(RiskAssessment.prototype, 'save').mockImplementation(function() {
+        return Promise.resolve(this);
+      });
+
+      // Act
+      const assessment = await riskAssessmentService.createRiskAssessment({
+        supplierId: supplier._id,
+        assessedBy: 'Jane Doe'
+      });
+
+      // Assert
+      const quality = assessment.factors.find(f => f.name === 'Quality Consistency');
+      expect(quality.score).toBe(4);
+      expect(quality.inputs).toHaveLength(2);
+      expect(assessment.scoreHistory).toHaveLength(1);
+      expect(assessment.scoreHistory[0]).toMatchObject({
+        trigger: 'created',
+        changedBy: 'Jane Doe',
+        overallScore: { to: assessment.overallScore }
+      });
+    });
+  });
+
+  describe('rescoreRiskAssessment', () => {
+    it('should record a history entry with the factor diff when data changes a score', async () => {
+      // Arrange
+      const supplier = buildSupplier();
+      const assessment = new RiskAssessment({
+        supplierId: supplier._id,
+        assessedBy: 'Jane Doe',
+        overallScore: 3,
+        riskLevel: 'medium',
+        factors: [factor('Quality Consistency', 'qms-defect-rate', 3), factor('Geographic Risk', 'manual', 3)]
+      });
+      const qms = buildQms(supplier._id);
+      qms.qualityMetrics.defectRate.current = 0.2;
+      jest.spyOn(RiskAssessment, 'findById').mockResolvedValue(assessment);
+      jest.spyOn(riskAssessmentService, 'loadScoringContext').mockResolvedValue({
+        supplier, qms, scorecard: null, now: new Date('2024-04-01')
+      });
+      jest.spyOn(assessment, 'save').mockResolvedValue(assessment);
+
+      // Act
+      const { changes } = await riskAssessmentService.rescoreRiskAssessment(assessment._id, {
+        trigger: 'quality-management'
+      });
+
+      // Assert
+      expect(changes).toEqual([expect.objectContaining({ factor: 'Quality Consistency', from: 3, to: 5 })]);
+      expect(assessment.scoreHistory[0]).toMatchObject({
+        trigger: 'quality-management',
+        overallScore: { from: 3, to: 4 },
+        riskLevel: { from: 'medium', to: 'low' }
+      });
+      expect(assessment.scoreHistory[0].changes[0].inputs[0].value).toBe(0.2);
+    });
+
+    it('should not add history when no score changes', async () => {
+      const supplier = buildSupplier();
+      const assessment = new RiskAssessment({
+        supplierId: supplier._id,
+        assessedBy: 'Jane Doe',
+        overallScore: 4,
+        riskLevel: 'low',
+        factors: [factor('Quality Consistency', 'qms-defect-rate', 4)]
+      });
+      jest.spyOn(RiskAssessment, 'findById').mockResolvedValue(assessment);
+      jest.spyOn(riskAssessmentService, 'loadScoringContext').mockResolvedValue({
+        supplier, qms: buildQms(supplier._id), scorecard: null, now: new Date()
+      });
+      jest.spyOn(assessment, 'save').mockResolvedValue(assessment);
+
+      const { changes } = await riskAssessmentService.rescoreRiskAssessment(assessment._id);
+
+      expect(changes).toEqual([]);
+      expect(assessment.scoreHistory).toHaveLength(0);
+      expect(assessment.factors[0].scoredAt).toBeInstanceOf(Date);
+    });
+
+    it('should refuse to re-score archived assessments', async () => {
+      jest.spyOn(RiskAssessment, 'findById').mockResolvedValue(new RiskAssessment({
+        supplierId: new mongoose.Types.ObjectId(),
+        assessedBy: 'Jane Doe',
+        status: 'archived'
+      }));
+
+      await expect(riskAssessmentService.rescoreRiskAssessment('assessment-1'))
+        .rejects.toThrow('Archived risk assessments cannot be re-scored');
+    });
+  });
+
+  describe('scheduleRescore', () => {
+    it('should re-score a supplier\'s assessment one change at a time and log failures', async () => {
+      // Arrange
+      const order = [];
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+      jest.spyOn(riskAssessmentService, 'rescoreSupplierAssessments')
+        .mockImplementationOnce(async () => {
+          await new Promise(resolve => setTimeout(resolve, 10));
+          order.push('first');
+        })
+        .mockImplementationOnce(async () => {
+          order.push('second');
+          throw new Error('database unavailable');
+        });
+
+      // Act
+      await Promise.all([
+        riskAssessmentService.scheduleRescore('supplier-1', 'quality-management'),
+        riskAssessmentService.scheduleRescore('supplier-1', 'supplier')
+      ]);
+
+      // Assert
+      expect(order).toEqual(['first', 'second']);
+      expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('database unavailable'));
+    });
+  });
+});
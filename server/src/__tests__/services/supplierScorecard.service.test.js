@@ -0,0 +1,217 @@
+/**
+ * supplierScorecard.service.test.js
+ *
+ * Unit tests for supplier scorecard KPIs, scoring and grading
+ */
+
+jest.mock('../../services/erp/erp-service', () => ({
+  getPurchaseOrders: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const erpService = require('../../services/erp/erp-service');
+const Inspection = require('../../models/inspection.model');
+const Supplier = require('../../models/supplier.model');
+const SupplierScorecard = require('../../models/SupplierScorecard');
+const scorecardService = require('../../services/supplierScorecard.service');
+const { getCurrentTenantId } = require('../../core/multiTenancy');
+
+const buildKpis = (overrides = {}) => ({
+  delivery: { purchaseOrders: 10, onTime: 9, late: 1, onTimeDeliveryRate: 90, source: 'erp' },
+  quality: { inspections: 4, unitsInspected: 1000, defectiveUnits: 2, ppm: 2000 },
+  nonConformances: { critical: 0, major: 1, minor: 0, observation: 0, total: 1 },
+  responsiveness: { capasClosed: 2, averageClosureDays: 45, overdueCapas: 0 },
+  audit: { auditId: null, auditDate: null, score: 85 },
+  ...overrides
+});
+
+describe('Supplier scorecard service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parsePeriod', () => {
+    it('should return the month as a UTC range with an exclusive end', () => {
+      const range = scorecardService.parsePeriod('2024-12');
+
+      expect(range.start.toISOString()).toBe('2024-12-01T00:00:00.000Z');
+      expect(range.end.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('should reject periods that are not YYYY-MM', () => {
+      expect(() => scorecardService.parsePeriod('2024-13')).toThrow('Invalid scorecard period');
+    });
+  });
+
+  describe('scoreKpis', () => {
+    it('should score each category and combine them with the default weights', () => {
+      // Act
+      const result = scorecardService.scoreKpis(buildKpis());
+
+      // Assert
+      // Quality averages PPM (2000 of 10000 ceiling -> 80) and NC penalty (1 major -> 90)
+      expect(result.scores).toEqual({ delivery: 90, quality: 85, responsiveness: 75, audit: 85 });
+      expect(result.overallScore).toBe(85.3);
+      expect(result.grade).toBe('B');
+    });
+
+    it('should leave categories without data unscored and rescale the remaining weights', () => {
+      // Arrange
+      const kpis = buildKpis({
+        delivery: { purchaseOrders: 0, onTime: 0, late: 0, onTimeDeliveryRate: null, source: 'unavailable' },
+        responsiveness: { capasClosed: 0, averageClosureDays: null, overdueCapas: 0 }
+      });
+
+      // Act
+      const result = scorecardService.scoreKpis(kpis, { quality: 3, audit: 1 });
+
+      // Assert
+      expect(result.scores.delivery).toBeNull();
+      expect(result.scores.responsiveness).toBeNull();
+      expect(result.overallScore).toBe(85);
+    });
+
+    it('should apply configurable weights', () => {
+      const result = scorecardService.scoreKpis(buildKpis(), { delivery: 1, quality: 0, responsiveness: 0, audit: 0 });
+
+      expect(result.weights.delivery).toBe(1);
+      expect(result.overallScore).toBe(90);
+      expect(result.grade).toBe('A');
+    });
+
+    it('should not grade a scorecard without any data', () => {
+      const result = scorecardService.scoreKpis({
+        delivery: { onTimeDeliveryRate: null },
+        quality: { inspections: 0, ppm: null },
+        nonConformances: { total: 0 },
+        responsiveness: { averageClosureDays: null },
+        audit: { score: null }
+      });
+
+      expect(result.overallScore).toBeNull();
+      expect(result.grade).toBeNull();
+    });
+  });
+
+  describe('normalizeWeights', () => {
+    it('should reject unknown categories and negative weights', () => {
+      expect(() => scorecardService.normalizeWeights({ price: 1 })).toThrow('Unknown scorecard category price');
+      expect(() => scorecardService.normalizeWeights({ quality: -1 })).toThrow('must be a non-negative number');
+    });
+  });
+
+  describe('gradeFor', () => {
+    it('should map scores onto grade bands', () => {
+      expect(scorecardService.gradeFor(90)).toBe('A');
+      expect(scorecardService.gradeFor(79.9)).toBe('C');
+      expect(scorecardService.gradeFor(12)).toBe('F');
+    });
+  });
+
+  describe('computeDeliveryKpis', () => {
+    it('should count orders due in the period for the supplier as on time or late', async () => {
+      // Arrange
+      erpService.getPurchaseOrders.mockResolvedValue([
+        { vendor: 'SUP0001', status: 'received', dueDate: '2024-03-10', receivedDate: '2024-03-10T15:00:00Z' },
+        { vendor: 'SUP0001', status: 'closed', dueDate: '2024-03-12', receivedDate: '2024-03-20' },
+        { vendor: 'SUP0001', status: 'approved', dueDate: '2024-03-25' },
+        { supplier: { code: 'SUP0001' }, status: 'received', dueDate: '2024-03-05', receivedDate: '2024-03-04' },
+        { vendor: 'SUP0001', status: 'received', dueDate: '2024-04-02', receivedDate: '2024-04-01' },
+        { vendor: 'SUP0002', status: 'received', dueDate: '2024-03-15', receivedDate: '2024-03-14' }
+      ]);
+
+      // Act
+      const range = scorecardService.parsePeriod('2024-03');
+      const kpis = await scorecardService.computeDeliveryKpis({ code: 'SUP0001' }, range);
+
+      // Assert
+      expect(erpService.getPurchaseOrders).toHaveBeenCalledWith({
+        vendorCode: 'SUP0001',
+        dueFrom: range.start,
+        dueBefore: range.end
+      });
+      expect(kpis).toEqual({ purchaseOrders: 4, onTime: 2, late: 2, onTimeDeliveryRate: 50, source: 'erp' });
+    });
+
+    it('should leave delivery unscored when the ERP is unavailable', async () => {
+      erpService.getPurchaseOrders.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const kpis = await scorecardService.computeDeliveryKpis({ code: 'SUP0001' }, scorecardService.parsePeriod('2024-03'));
+
+      expect(kpis.source).toBe('unavailable');
+      expect(kpis.onTimeDeliveryRate).toBeNull();
+    });
+  });
+
+  describe('computeQualityKpis', () => {
+    it('should compute PPM from inspected quantities and defect quantities', async () => {
+      // Arrange
+      const inspections = [
+        new Inspection({ quantity: 500, defects: [{ defectType: 'burr', quantity: 2 }] }),
+        new Inspection({ quantity: 1500, defects: [{ defectType: 'scratch' }] })
+      ];
+      jest.spyOn(Inspection, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(inspections) });
+
+      // Act
+      const range = scorecardService.parsePeriod('2024-03');
+      const kpis = await scorecardService.computeQualityKpis('supplier-1', range);
+
+      // Assert
+      expect(Inspection.find).toHaveBeenCalledWith(expect.objectContaining({
+        completionDate: { $gte: range.start, $lt: range.end }
+      }));
+      expect(kpis).toEqual({ inspections: 2, unitsInspected: 2000, defectiveUnits: 3, ppm: 1500 });
+    });
+  });
+
+  describe('generateScorecard', () => {
+    it('should upsert a graded snapshot for the supplier and period', async () => {
+      // Arrange
+      const supplier = new Supplier({ name: 'Acme Machining', code: 'SUP0001' });
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(Supplier, 'findById').mockResolvedValue(supplier);
+      jest.spyOn(scorecardService, 'computeKpis').mockResolvedValue(buildKpis());
+      jest.spyOn(SupplierScorecard, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...filter, ...update }));
+
+      // Act
+      const scorecard = await scorecardService.generateScorecard(supplier._id, '2024-03', {}, userId);
+
+      // Assert
+      expect(SupplierScorecard.findOneAndUpdate).toHaveBeenCalledWith(
+        { supplierId: supplier._id, period: '2024-03' },
+        expect.objectContaining({ grade: 'B', overallScore: 85.3, generatedBy: userId }),
+        expect.objectContaining({ upsert: true })
+      );
+      expect(scorecard.periodStart.toISOString()).toBe('2024-03-01T00:00:00.000Z');
+    });
+
+    it('should refuse to score a future period', async () => {
+      jest.spyOn(Supplier, 'findById').mockResolvedValue(new Supplier({ name: 'Acme', code: 'SUP0001' }));
+
+      await expect(scorecardService.generateScorecard('supplier-1', '2999-01'))
+        .rejects.toThrow('Cannot generate a scorecard for future period 2999-01');
+    });
+  });
+
+  describe('generateMonthlyScorecards', () => {
+    it('should generate each supplier\'s scorecard within its tenant', async () => {
+      // Arrange
+      const acme = new Supplier({ name: 'Acme Machining', code: 'SUP0001', tenantId: 'acme' });
+      const orbital = new Supplier({ name: 'Orbital Castings', code: 'SUP0002', tenantId: 'orbital' });
+      const legacy = new Supplier({ name: 'Legacy Forge', code: 'SUP0003' });
+      jest.spyOn(Supplier, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([acme, orbital, legacy]) });
+      const tenants = [];
+      jest.spyOn(scorecardService, 'generateScorecard').mockImplementation(async () => {
+        tenants.push(getCurrentTenantId());
+      });
+
+      // Act
+      const summary = await scorecardService.generateMonthlyScorecards('2024-03');
+
+      // Assert
+      expect(scorecardService.generateScorecard).toHaveBeenCalledWith(acme._id, '2024-03');
+      expect(tenants).toEqual(['acme', 'orbital']);
+      expect(summary).toEqual({ period: '2024-03', generated: 2, failed: 1 });
+    });
+  });
+});
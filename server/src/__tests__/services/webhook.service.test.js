@@ -0,0 +1,355 @@
+/**
+ * webhook.service.test.js
+ *
+ * Unit tests for outbound webhooks: the event catalog from the domain
+ * schemas, signed deliveries, retries with backoff, dead-lettering,
+ * manual redelivery and dispatch of published domain events
+ */
+
+const dns = require('dns');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const WebhookEndpoint = require('../../models/WebhookEndpoint');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhookService = require('../../services/webhook.service');
+const domainEventBus = require('../../core/DomainEventBus');
+const webhookConfig = require('../../config/webhook.config');
+const logger = require('../../utils/logger');
+const { runWithTenant, runAsSystem } = require('../../core/multiTenancy');
+const { BadRequestError } = require('../../utils/errors');
+
+jest.mock('axios');
+
+const ownerId = new mongoose.Types.ObjectId();
+const owner = { _id: ownerId, role: 'engineer' };
+const secret = 'whsec_test';
+
+const buildEndpoint = (fields = {}) => new WebhookEndpoint({
+  url: 'https://mes.example.com/hooks/aerosuite',
+  events: ['InspectionCompleted', 'NonConformanceOpened'],
+  secret,
+  owner: ownerId,
+  ...fields
+});
+
+const inspectionCompleted = {
+  type: 'InspectionCompleted',
+  sourceContext: 'inspection',
+  timestamp: '2026-10-19T09:00:00.000Z',
+  payload: { inspectionId: 'insp-1', result: 'pass', defectCount: 0 }
+};
+
+/**
+ * Serve endpoints from find().select(), as stored
+ */
+const mockEndpoints = (endpoints) => {
+  jest.spyOn(WebhookEndpoint, 'find').mockReturnValue({ select: () => Promise.resolve(endpoints) });
+};
+
+describe('Webhook service', () => {
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    jest.clearAllMocks();
+    jest.spyOn(WebhookDelivery, 'create').mockImplementation(async (fields) => {
+      const delivery = new WebhookDelivery(fields);
+      created.push(delivery);
+      return delivery;
+    });
+    jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(function() {
+      return this.validate().then(() => this);
+    });
+    jest.spyOn(WebhookEndpoint, 'updateOne').mockResolvedValue({});
+    // Endpoint hosts resolve to a public address
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getEventCatalog', () => {
+    it('should list the events of every domain with their schemas', () => {
+      const catalog = webhookService.getEventCatalog();
+      const byType = Object.fromEntries(catalog.map(entry => [entry.type, entry]));
+
+      expect(byType.CustomerCreated.context).toBe('customer');
+      expect(byType.InspectionCompleted).toEqual(expect.objectContaining({
+        context: 'inspection',
+        required: ['inspectionId', 'result']
+      }));
+      expect(byType.NonConformanceOpened.context).toBe('supplier');
+      expect(byType.SupplierStatusUpdated.properties.status).toEqual({ type: 'string' });
+    });
+  });
+
+  describe('sign', () => {
+    it('should sign the timestamp and body so receivers can verify both', () => {
+      const body = JSON.stringify({ id: 'evt-1' });
+      const at = new Date('2026-10-19T09:00:00Z');
+      const signature = webhookService.sign(secret, body, at);
+
+      expect(signature).toMatch(/^t=1792400400,v1=[0-9a-f]{64}$/);
+      expect(webhookService.verifySignature(secret, signature, body, at)).toBe(true);
+      expect(webhookService.verifySignature(secret, signature, '{"id":"evt-2"}', at)).toBe(false);
+      expect(webhookService.verifySignature('whsec_other', signature, body, at)).toBe(false);
+      expect(webhookService.verifySignature(secret, signature, body, new Date('2026-10-19T09:10:00Z'))).toBe(false);
+    });
+  });
+
+  describe('dispatchEvent', () => {
+    it('should post the signed event to each subscribed endpoint', async () => {
+      // Arrange
+      const endpoint = buildEndpoint();
+      mockEndpoints([endpoint]);
+      axios.post.mockResolvedValue({ status: 204, data: '' });
+      const now = new Date('2026-10-19T09:00:01Z');
+
+      // Act
+      const [delivery] = await runWithTenant('acme', () => webhookService.dispatchEvent(inspectionCompleted, now));
+
+      // Assert
+      expect(WebhookEndpoint.find).toHaveBeenCalledWith({ enabled: true, events: { $in: ['InspectionCompleted', '*'] } });
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://mes.example.com/hooks/aerosuite');
+      expect(JSON.parse(body)).toEqual({
+        id: delivery.eventId,
+        type: 'InspectionCompleted',
+        source: 'inspection',
+        occurredAt: '2026-10-19T09:00:00.000Z',
+        data: inspectionCompleted.payload
+      });
+      expect(options.headers['X-AeroSuite-Event']).toBe('InspectionCompleted');
+      expect(webhookService.verifySignature(secret, options.headers['X-AeroSuite-Signature'], body, now)).toBe(true);
+      expect(options.httpsAgent).toBeDefined();
+      expect(delivery.status).toBe('succeeded');
+      expect(delivery.attempts[0]).toEqual(expect.objectContaining({ statusCode: 204 }));
+      expect(WebhookEndpoint.updateOne).toHaveBeenCalledWith({ _id: endpoint._id }, {
+        $set: { lastDeliveryAt: now, lastSuccessAt: now, consecutiveFailures: 0 }
+      });
+    });
+
+    it('should create deliveries claimed so the worker does not send them as well', async () => {
+      // Arrange
+      mockEndpoints([buildEndpoint()]);
+      axios.post.mockResolvedValue({ status: 204, data: '' });
+      const now = new Date('2026-10-19T09:00:01Z');
+
+      // Act
+      await runWithTenant('acme', () => webhookService.dispatchEvent(inspectionCompleted, now));
+
+      // Assert
+      const [fields] = WebhookDelivery.create.mock.calls[0];
+      expect(fields.status).toBe('sending');
+      expect(fields.nextAttemptAt.getTime()).toBe(now.getTime() + webhookConfig.timeoutMs + webhookConfig.claimMarginMs);
+    });
+
+    it('should not send events published outside a tenant context', async () => {
+      // Arrange
+      mockEndpoints([buildEndpoint()]);
+
+      // Act
+      const deliveries = await runAsSystem(() => webhookService.dispatchEvent(inspectionCompleted));
+
+      // Assert
+      expect(deliveries).toEqual([]);
+      expect(WebhookEndpoint.find).not.toHaveBeenCalled();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    it('should retry with exponential backoff, then dead-letter the delivery', async () => {
+      // Arrange
+      const endpoint = buildEndpoint();
+      const delivery = new WebhookDelivery({
+        endpoint: endpoint._id,
+        eventId: 'evt-1',
+        eventType: 'InspectionCompleted',
+        payload: { id: 'evt-1' }
+      });
+      axios.post
+        .mockResolvedValueOnce({ status: 500, data: 'Internal Server Error' })
+        .mockRejectedValue(new Error('timeout of 10000ms exceeded'));
+      const now = new Date('2026-10-19T09:00:00Z');
+
+      // Act
+      await webhookService.attemptDelivery(delivery, endpoint, now);
+      const firstRetry = delivery.nextAttemptAt;
+      await webhookService.attemptDelivery(delivery, endpoint, now);
+      const secondRetry = delivery.nextAttemptAt;
+      for (let attempt = 2; attempt < webhookConfig.retry.maxAttempts; attempt++) {
+        await webhookService.attemptDelivery(delivery, endpoint, now);
+      }
+
+      // Assert
+      expect(firstRetry).toEqual(new Date('2026-10-19T09:00:30Z'));
+      expect(secondRetry).toEqual(new Date('2026-10-19T09:01:00Z'));
+      expect(delivery.attempts[0]).toEqual(expect.objectContaining({
+        statusCode: 500,
+        responseBody: 'Internal Server Error',
+        error: 'Endpoint responded with 500'
+      }));
+      expect(delivery.status).toBe('dead');
+      expect(delivery.attemptCount).toBe(webhookConfig.retry.maxAttempts);
+      expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+
+    it('should not post to an endpoint whose host resolves to a private address', async () => {
+      // Arrange
+      const endpoint = buildEndpoint();
+      const delivery = new WebhookDelivery({
+        endpoint: endpoint._id,
+        eventId: 'evt-1',
+        eventType: 'InspectionCompleted',
+        payload: { id: 'evt-1' },
+        status: 'sending'
+      });
+      dns.promises.lookup.mockResolvedValue([{ address: '10.0.12.7', family: 4 }]);
+
+      // Act
+      await webhookService.attemptDelivery(delivery, endpoint, new Date('2026-10-19T09:00:00Z'));
+
+      // Assert
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(delivery.status).toBe('retrying');
+      expect(delivery.attempts[0].error).toBe('mes.example.com resolves to a non-public address (10.0.12.7)');
+    });
+  });
+
+  describe('processDue', () => {
+    it('should retry due deliveries and dead-letter those of disabled endpoints', async () => {
+      // Arrange
+      const active = buildEndpoint();
+      const disabled = buildEndpoint({ enabled: false });
+      const due = [active, disabled].map(endpoint => new WebhookDelivery({
+        endpoint: endpoint._id,
+        eventId: 'evt-1',
+        eventType: 'NonConformanceOpened',
+        payload: { id: 'evt-1' },
+        status: 'retrying',
+        attemptCount: 1
+      }));
+      const unclaimed = [...due];
+      jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockImplementation(async () => unclaimed.shift() || null);
+      mockEndpoints([active, disabled]);
+      axios.post.mockResolvedValue({ status: 200, data: { received: true } });
+      const now = new Date('2026-10-19T10:00:00Z');
+
+      // Act
+      const result = await webhookService.processDue(now);
+
+      // Assert
+      expect(result).toEqual({ attempted: 1, succeeded: 1, retrying: 0, dead: 1 });
+      expect(WebhookDelivery.findOneAndUpdate).toHaveBeenCalledWith(
+        { status: { $in: ['pending', 'retrying', 'sending'] }, nextAttemptAt: { $lte: now } },
+        { $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + webhookConfig.timeoutMs + webhookConfig.claimMarginMs) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(due[1].attempts[0].error).toBe('Endpoint is disabled');
+    });
+  });
+
+  describe('redeliver', () => {
+    it('should send a dead-lettered event again as a new delivery with the same event ID', async () => {
+      // Arrange
+      const endpoint = buildEndpoint();
+      const dead = new WebhookDelivery({
+        endpoint: endpoint._id,
+        eventId: 'evt-1',
+        eventType: 'NonConformanceOpened',
+        payload: { id: 'evt-1', type: 'NonConformanceOpened' },
+        status: 'dead',
+        attemptCount: webhookConfig.retry.maxAttempts
+      });
+      jest.spyOn(WebhookDelivery, 'findById').mockResolvedValue(dead);
+      jest.spyOn(WebhookEndpoint, 'findById').mockReturnValue({ select: () => Promise.resolve(endpoint) });
+      axios.post.mockResolvedValue({ status: 200, data: '' });
+
+      // Act
+      const delivery = await webhookService.redeliver(dead._id, owner);
+
+      // Assert
+      expect(delivery._id).not.toEqual(dead._id);
+      expect(delivery.eventId).toBe('evt-1');
+      expect(delivery.redeliveryOf).toEqual(dead._id);
+      expect(delivery.redeliveredBy).toEqual(ownerId);
+      expect(delivery.status).toBe('succeeded');
+      expect(dead.status).toBe('dead');
+    });
+  });
+
+  describe('createEndpoint', () => {
+    it('should reject unknown event types and return the secret once', async () => {
+      jest.spyOn(WebhookEndpoint, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(WebhookEndpoint, 'create').mockImplementation(async fields => new WebhookEndpoint(fields));
+
+      await expect(webhookService.createEndpoint(
+        { url: 'https://plm.example.com/hooks', events: ['InspectionCompleted', 'PartReleased'] },
+        owner
+      )).rejects.toThrow(BadRequestError);
+
+      const { endpoint, secret: issued } = await webhookService.createEndpoint(
+        { url: 'https://plm.example.com/hooks', events: ['*'] },
+        owner
+      );
+      expect(issued).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(endpoint.secret).toBeUndefined();
+      expect(endpoint.owner).toEqual(ownerId);
+    });
+
+    it('should reject URLs that reach loopback, private or link-local addresses', async () => {
+      jest.spyOn(WebhookEndpoint, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(WebhookEndpoint, 'create').mockImplementation(async fields => new WebhookEndpoint(fields));
+
+      await expect(webhookService.createEndpoint(
+        { url: 'https://169.254.169.254/latest/meta-data', events: ['*'] },
+        owner
+      )).rejects.toThrow(BadRequestError);
+      await expect(webhookService.createEndpoint(
+        { url: 'https://[::1]/hooks', events: ['*'] },
+        owner
+      )).rejects.toThrow(BadRequestError);
+
+      dns.promises.lookup.mockResolvedValue([{ address: '192.168.4.20', family: 4 }]);
+      await expect(webhookService.createEndpoint(
+        { url: 'https://plm.internal.example.com/hooks', events: ['*'] },
+        owner
+      )).rejects.toThrow('plm.internal.example.com resolves to a non-public address (192.168.4.20)');
+      expect(WebhookEndpoint.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initialize', () => {
+    afterEach(() => {
+      webhookService.shutdown();
+      domainEventBus.clearSubscriptions();
+    });
+
+    it('should dispatch domain events published from any context', async () => {
+      // Arrange
+      mockEndpoints([buildEndpoint()]);
+      axios.post.mockResolvedValue({ status: 200, data: '' });
+      webhookService.initialize();
+
+      // Act
+      runWithTenant('acme', () => domainEventBus.publishFromContext('supplier', {
+        type: 'NonConformanceOpened',
+        payload: { supplierId: 'sup-1', ncNumber: 'NC-2610-001', severity: 'major' }
+      }));
+      await webhookService.drain();
+
+      // Assert
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(axios.post.mock.calls[0][1])).toEqual(expect.objectContaining({
+        type: 'NonConformanceOpened',
+        source: 'supplier',
+        data: { supplierId: 'sup-1', ncNumber: 'NC-2610-001', severity: 'major' }
+      }));
+    });
+  });
+});
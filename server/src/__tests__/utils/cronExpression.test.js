@@ -0,0 +1,64 @@
+/**
+ * cronExpression.test.js
+ *
+ * Unit tests for cron expression parsing and next-run calculation,
+ * including timezones and daylight saving changes
+ */
+
+const cronExpression = require('../../utils/cronExpression');
+
+describe('Cron expression', () => {
+  describe('parse', () => {
+    it('should expand lists, ranges, steps and names', () => {
+      const parsed = cronExpression.parse('0,30 8-10 */10 JAN,JUL MON-FRI');
+
+      expect([...parsed.minute]).toEqual([0, 30]);
+      expect([...parsed.hour]).toEqual([8, 9, 10]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 11, 21, 31]);
+      expect([...parsed.month]).toEqual([1, 7]);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => cronExpression.parse('0 0 * *')).toThrow('must have 5 fields');
+      expect(() => cronExpression.parse('61 * * * *')).toThrow('Invalid minute value');
+      expect(() => cronExpression.parse('0 0 * * */0')).toThrow('Invalid dayOfWeek step');
+      expect(cronExpression.isValid('@monthly')).toBe(true);
+    });
+  });
+
+  describe('nextRun', () => {
+    it('should find the next matching minute after the given time', () => {
+      expect(cronExpression.nextRun('*/15 * * * *', new Date('2024-06-07T14:07:30Z')))
+        .toEqual(new Date('2024-06-07T14:15:00Z'));
+      expect(cronExpression.nextRun('0 9 * * MON-FRI', new Date('2024-06-07T14:00:00Z')))
+        .toEqual(new Date('2024-06-10T09:00:00Z'));
+      expect(cronExpression.nextRun('0 0 29 2 *', new Date('2025-01-01T00:00:00Z')))
+        .toEqual(new Date('2028-02-29T00:00:00Z'));
+    });
+
+    it('should match either day field when both are restricted', () => {
+      // The 13th, or any Friday
+      expect(cronExpression.nextRun('0 0 13 * 5', new Date('2024-09-01T00:00:00Z')))
+        .toEqual(new Date('2024-09-06T00:00:00Z'));
+    });
+
+    it('should fire on the wall clock of the schedule timezone', () => {
+      // 06:00 in London is 05:00 UTC in summer and 06:00 UTC in winter
+      expect(cronExpression.nextRun('0 6 1 * *', new Date('2024-08-15T00:00:00Z'), 'Europe/London'))
+        .toEqual(new Date('2024-09-01T05:00:00Z'));
+      expect(cronExpression.nextRun('0 6 1 * *', new Date('2024-10-15T00:00:00Z'), 'Europe/London'))
+        .toEqual(new Date('2024-11-01T06:00:00Z'));
+    });
+
+    it('should run a time skipped by daylight saving once the clocks have gone forward', () => {
+      // 02:30 does not exist in New York on 10 March 2024
+      expect(cronExpression.nextRun('30 2 * * *', new Date('2024-03-09T12:00:00Z'), 'America/New_York'))
+        .toEqual(new Date('2024-03-10T07:30:00Z'));
+    });
+
+    it('should throw for an expression that never fires', () => {
+      expect(() => cronExpression.nextRun('0 0 31 2 *')).toThrow('does not fire on any date');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Inspection = require('../../../models/inspection.model');
+const Component = require('../../../models/component.model');
+const EventEmitter = require('../../../core/EventEmitter');
+const { publishSpcRuleViolationDetected } = require('../../../domains/inspection/events/publishers');
+const dimensionalAccuracyService = require('../dimensionalAccuracy.service');
+
+jest.mock('../../../domains/inspection/events/publishers', () => ({
+  publishSpcRuleViolationDetected: jest.fn()
+}));
+
+const componentId = new mongoose.Types.ObjectId();
+const component = { _id: componentId, partNumber: 'BRK-2210', specs: [] };
+
+// One bore diameter per inspection, the last well above the others
+const diameters = [10.0, 10.1, 10.0, 10.1, 10.0, 10.1, 12.0];
+const inspections = diameters.map((diameter, index) => ({
+  _id: new mongoose.Types.ObjectId(),
+  completionDate: new Date(2026, 9, index + 1),
+  checklistItems: [{
+    name: 'Bore diameter',
+    measurements: [{ parameterName: 'Bore diameter', actualValue: diameter, expectedValue: 10, tolerance: '±0.5', unit: 'mm' }]
+  }]
+}));
+const latest = inspections[inspections.length - 1];
+
+const chain = result => ({ exec: () => Promise.resolve(result) });
+
+describe('dimensionalAccuracyService', () => {
+  beforeEach(() => {
+    jest.spyOn(Component, 'findById').mockReturnValue(chain(component));
+    jest.spyOn(Inspection, 'find').mockReturnValue({ sort: () => chain(inspections) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    publishSpcRuleViolationDetected.mockClear();
+  });
+
+  describe('analyzeComponentSPC', () => {
+    test('charts approved and closed inspections as well as completed ones', async () => {
+      await dimensionalAccuracyService.analyzeComponentSPC(componentId);
+
+      expect(Inspection.find).toHaveBeenCalledWith({
+        componentId,
+        status: { $in: ['completed', 'approved', 'closed'] }
+      });
+    });
+
+    test('reports violations without publishing them', async () => {
+      const analysis = await dimensionalAccuracyService.analyzeComponentSPC(componentId, { chartType: 'i-mr' });
+
+      expect(analysis.parameters[0].status).toBe('out-of-control');
+      expect(publishSpcRuleViolationDetected).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('raiseInspectionViolations', () => {
+    test('publishes the violations at the recorded inspection', async () => {
+      const raised = await dimensionalAccuracyService.raiseInspectionViolations(
+        { id: latest._id.toString(), componentId },
+        { chartType: 'i-mr' }
+      );
+
+      expect(raised.length).toBeGreaterThan(0);
+      expect(publishSpcRuleViolationDetected).toHaveBeenCalledTimes(raised.length);
+      expect(publishSpcRuleViolationDetected).toHaveBeenCalledWith(expect.objectContaining({
+        componentId: componentId.toString(),
+        parameterName: 'Bore diameter',
+        inspectionId: latest._id.toString()
+      }));
+    });
+
+    test('does not publish violations of other inspections again', async () => {
+      const raised = await dimensionalAccuracyService.raiseInspectionViolations(
+        { id: inspections[2]._id.toString(), componentId },
+        { chartType: 'i-mr' }
+      );
+
+      expect(raised).toEqual([]);
+      expect(publishSpcRuleViolationDetected).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleInspectionRecorded', () => {
+    test('checks an inspection when its measurements become final', async () => {
+      const raised = await dimensionalAccuracyService.handleInspectionRecorded({
+        inspection: { id: latest._id.toString(), componentId },
+        transition: { from: 'in-progress', to: 'completed' }
+      });
+
+      expect(raised.length).toBeGreaterThan(0);
+    });
+
+    test('ignores an inspection approved after it was completed', () => {
+      const result = dimensionalAccuracyService.handleInspectionRecorded({
+        inspection: { id: latest._id.toString(), componentId },
+        transition: { from: 'completed', to: 'approved' }
+      });
+
+      expect(result).toBeNull();
+      expect(Inspection.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initialize', () => {
+    afterEach(() => {
+      dimensionalAccuracyService.shutdown();
+    });
+
+    it('checks recorded inspections until shut down', async () => {
+      const event = {
+        inspection: { id: latest._id.toString(), componentId },
+        transition: { from: 'in-progress', to: 'completed' }
+      };
+      const flush = () => new Promise(resolve => setImmediate(resolve));
+      dimensionalAccuracyService.initialize();
+
+      EventEmitter.getInstance().emit('inspection.completed', event);
+      await flush();
+      dimensionalAccuracyService.shutdown();
+      EventEmitter.getInstance().emit('inspection.completed', event);
+      await flush();
+
+      expect(Inspection.find).toHaveBeenCalledTimes(1);
+    });
+  });
+});
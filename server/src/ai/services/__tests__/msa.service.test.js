@@ -0,0 +1,113 @@
+const msaService = require('../msa.service');
+
+// AIAG MSA reference study: 3 operators x 10 parts x 3 trials
+const REFERENCE_TRIALS = {
+  A: [
+    [0.29, -0.56, 1.34, 0.47, -0.80, 0.02, 0.59, -0.31, 2.26, -1.36],
+    [0.41, -0.68, 1.17, 0.50, -0.92, -0.11, 0.75, -0.20, 1.99, -1.25],
+    [0.64, -0.58, 1.27, 0.64, -0.84, -0.21, 0.66, -0.17, 2.01, -1.31]
+  ],
+  B: [
+    [0.08, -0.47, 1.19, 0.01, -0.56, -0.20, 0.47, -0.63, 1.80, -1.68],
+    [0.25, -1.22, 0.94, 1.03, -1.20, 0.22, 0.55, 0.08, 2.12, -1.62],
+    [0.07, -0.68, 1.34, 0.20, -1.28, 0.06, 0.83, -0.34, 2.19, -1.50]
+  ],
+  C: [
+    [0.04, -1.38, 0.88, 0.14, -1.46, -0.29, 0.02, -0.46, 1.77, -1.49],
+    [-0.11, -1.13, 1.09, 0.20, -1.07, -0.67, 0.01, -0.56, 1.45, -1.77],
+    [-0.15, -0.96, 0.67, 0.11, -1.45, -0.49, 0.21, -0.49, 1.87, -2.16]
+  ]
+};
+
+const referenceMeasurements = Object.entries(REFERENCE_TRIALS).flatMap(([operator, trials]) =>
+  trials.flatMap((values, trial) => values.map((value, part) => ({ operator, part: part + 1, trial: trial + 1, value })))
+);
+
+describe('msaService', () => {
+  describe('analyzeGaugeStudy', () => {
+    test('reproduces the reference average and range results', () => {
+      const result = msaService.analyzeGaugeStudy(referenceMeasurements, { method: 'average-range', tolerance: 5 });
+
+      expect(result.ev).toBeCloseTo(0.20186, 4);
+      expect(result.av).toBeCloseTo(0.22967, 4);
+      expect(result.grr).toBeCloseTo(0.30577, 4);
+      expect(result.pv).toBeCloseTo(1.10460, 4);
+      expect(result.tv).toBeCloseTo(1.14613, 4);
+      expect(result.percentEv).toBeCloseTo(17.61, 1);
+      expect(result.percentAv).toBeCloseTo(20.04, 1);
+      expect(result.percentGrr).toBeCloseTo(26.68, 1);
+      expect(result.ndc).toBe(5);
+      expect(result.percentTolerance).toBeCloseTo(6 * 0.30577 / 5 * 100, 1);
+      expect(result.acceptability).toBe('marginal');
+    });
+
+    test('pools a non-significant interaction into repeatability in the ANOVA method', () => {
+      const result = msaService.analyzeGaugeStudy(referenceMeasurements, { method: 'anova' });
+      const interaction = result.anovaTable.find(row => row.source === 'Operator x Part');
+
+      expect(interaction.f).toBeCloseTo(0.434, 3);
+      expect(interaction.p).toBeGreaterThan(0.25);
+      expect(result.interactionPooled).toBe(true);
+      expect(result.ev).toBeCloseTo(0.19993, 4);
+      expect(result.av).toBeCloseTo(0.22684, 4);
+      expect(result.grr).toBeCloseTo(0.30237, 4);
+      expect(result.pv).toBeCloseTo(1.04233, 4);
+      expect(result.percentGrr).toBeCloseTo(27.86, 1);
+      expect(result.ndc).toBe(4);
+      expect(result.percentTolerance).toBeNull();
+    });
+
+    test('keeps a significant interaction as part of reproducibility', () => {
+      // Operator B reads part 2 high and part 1 low
+      const measurements = [];
+      ['A', 'B'].forEach(operator => {
+        [1, 2, 3].forEach(part => {
+          [1, 2].forEach(trial => {
+            const shift = operator === 'B' && part === 2 ? 0.5 : operator === 'B' && part === 1 ? -0.5 : 0;
+            measurements.push({ operator, part, trial, value: part * 2 + shift + (trial === 1 ? 0.01 : -0.01) });
+          });
+        });
+      });
+
+      const result = msaService.analyzeGaugeStudy(measurements);
+
+      expect(result.interactionPooled).toBe(false);
+      expect(result.interaction).toBeGreaterThan(0);
+      expect(result.av).toBeGreaterThanOrEqual(result.interaction);
+    });
+
+    test('rejects unknown methods', () => {
+      expect(() => msaService.analyzeGaugeStudy(referenceMeasurements, { method: 'type-1' }))
+        .toThrow('Unknown gauge study method');
+    });
+  });
+
+  describe('buildStudyDesign', () => {
+    test('rejects unbalanced studies', () => {
+      const measurements = referenceMeasurements.filter(m => !(m.operator === 'C' && m.part === 4 && m.trial === 3));
+
+      expect(() => msaService.buildStudyDesign(measurements)).toThrow('same number of times');
+    });
+
+    test('rejects a study with a single operator', () => {
+      expect(() => msaService.buildStudyDesign(referenceMeasurements.filter(m => m.operator === 'A')))
+        .toThrow('at least two operators');
+    });
+  });
+
+  describe('fDistributionPValue', () => {
+    test('matches tabulated F critical values', () => {
+      // F(0.05; 2, 10) = 4.10, F(0.01; 5, 20) = 4.10
+      expect(msaService.fDistributionPValue(4.1028, 2, 10)).toBeCloseTo(0.05, 3);
+      expect(msaService.fDistributionPValue(4.1027, 5, 20)).toBeCloseTo(0.01, 3);
+    });
+  });
+
+  describe('classifyGrr', () => {
+    test('applies the 10% and 30% acceptance bands', () => {
+      expect(msaService.classifyGrr(8)).toBe('acceptable');
+      expect(msaService.classifyGrr(30)).toBe('marginal');
+      expect(msaService.classifyGrr(30.1)).toBe('unacceptable');
+    });
+  });
+});
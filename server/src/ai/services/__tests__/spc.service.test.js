@@ -0,0 +1,150 @@
+const spcService = require('../spc.service');
+
+describe('spcService', () => {
+  describe('buildXbarRChart', () => {
+    const subgroups = [
+      [10.0, 10.2, 10.1],
+      [10.1, 10.3, 10.2],
+      [9.9, 10.1, 10.0],
+      [10.0, 10.0, 10.3]
+    ];
+
+    test('computes X̄ and R limits with the subgroup constants', () => {
+      const chart = spcService.buildXbarRChart(subgroups);
+      const averageRange = (0.2 + 0.2 + 0.2 + 0.3) / 4;
+
+      expect(chart.type).toBe('xbar-r');
+      expect(chart.subgroupSize).toBe(3);
+      expect(chart.location.centerLine).toBeCloseTo(10.1, 6);
+      expect(chart.location.upperControlLimit).toBeCloseTo(10.1 + 1.023 * averageRange, 6);
+      expect(chart.location.lowerControlLimit).toBeCloseTo(10.1 - 1.023 * averageRange, 6);
+      expect(chart.dispersion.upperControlLimit).toBeCloseTo(2.574 * averageRange, 6);
+      expect(chart.dispersion.lowerControlLimit).toBe(0);
+      expect(chart.sigmaWithin).toBeCloseTo(averageRange / 1.693, 6);
+    });
+
+    test('rejects unequal subgroups', () => {
+      expect(() => spcService.buildXbarRChart([[1, 2], [1, 2, 3]])).toThrow('same size');
+    });
+
+    test('rejects subgroup sizes outside the constants table', () => {
+      expect(() => spcService.buildXbarRChart([[1], [2]])).toThrow('Subgroup size');
+    });
+  });
+
+  describe('buildIMRChart', () => {
+    test('computes individuals limits from the average moving range', () => {
+      const chart = spcService.buildIMRChart([10, 12, 11, 13]);
+
+      expect(chart.type).toBe('i-mr');
+      expect(chart.dispersion.values).toEqual([null, 2, 1, 2]);
+      expect(chart.dispersion.centerLine).toBeCloseTo(5 / 3, 6);
+      expect(chart.sigmaWithin).toBeCloseTo((5 / 3) / 1.128, 6);
+      expect(chart.location.upperControlLimit).toBeCloseTo(11.5 + 3 * (5 / 3) / 1.128, 6);
+    });
+
+    test('requires at least two values', () => {
+      expect(() => spcService.buildIMRChart([10])).toThrow();
+    });
+  });
+
+  describe('detectRuleViolations', () => {
+    const limits = { centerLine: 0, upperControlLimit: 3 };
+
+    const rulesFor = (values, ruleSet) => spcService
+      .detectRuleViolations(values, limits, { ruleSet })
+      .map(violation => `${violation.rule}@${violation.pointIndex}`);
+
+    test('WE1 flags a point beyond 3 sigma', () => {
+      expect(rulesFor([0.5, -0.5, 3.5], 'western-electric')).toContain('WE1@2');
+    });
+
+    test('WE2 flags two of three points beyond 2 sigma on the same side', () => {
+      expect(rulesFor([2.5, 0, 2.5], 'western-electric')).toContain('WE2@2');
+      expect(rulesFor([2.5, 0, -2.5], 'western-electric')).not.toContain('WE2@2');
+    });
+
+    test('WE3 flags four of five points beyond 1 sigma on the same side', () => {
+      expect(rulesFor([1.5, 1.5, 0, 1.5, 1.5], 'western-electric')).toContain('WE3@4');
+    });
+
+    test('WE4 flags eight points on the same side of the center line', () => {
+      const values = [0.1, 0.2, 0.1, 0.3, 0.2, 0.1, 0.4, 0.2];
+      expect(rulesFor(values, 'western-electric')).toEqual(['WE4@7']);
+    });
+
+    test('N3 flags six points steadily increasing', () => {
+      expect(rulesFor([-1, -0.5, 0, 0.5, 1, 1.5], 'nelson')).toContain('N3@5');
+    });
+
+    test('N4 flags fourteen points alternating up and down', () => {
+      const values = Array.from({ length: 14 }, (_, i) => (i % 2 === 0 ? 0.5 : -0.5));
+      expect(rulesFor(values, 'nelson')).toContain('N4@13');
+    });
+
+    test('N7 flags fifteen points hugging the center line', () => {
+      const values = Array.from({ length: 15 }, (_, i) => (i % 2 === 0 ? 0.2 : -0.2));
+      expect(rulesFor(values, 'nelson')).toContain('N7@14');
+    });
+
+    test('N8 flags eight points avoiding the 1 sigma zone', () => {
+      const values = [1.5, -1.5, 1.5, -1.5, 1.5, -1.5, 1.5, -1.5];
+      expect(rulesFor(values, 'nelson')).toContain('N8@7');
+    });
+
+    test('limits evaluation to the requested rules', () => {
+      const violations = spcService.detectRuleViolations(
+        [2.5, 2.5, 3.5],
+        limits,
+        { ruleSet: 'western-electric', rules: ['WE1'] }
+      );
+
+      expect(violations.map(v => v.rule)).toEqual(['WE1']);
+    });
+
+    test('skips missing points such as the first moving range', () => {
+      expect(rulesFor([null, 3.5], 'western-electric')).toEqual(['WE1@1']);
+    });
+
+    test('rejects unknown rule sets', () => {
+      expect(() => spcService.detectRuleViolations([1], limits, { ruleSet: 'unknown' })).toThrow('Invalid rule set');
+    });
+
+    test('returns no violations for a chart without spread', () => {
+      expect(spcService.detectRuleViolations([1, 1, 1], { centerLine: 1, upperControlLimit: 1 })).toEqual([]);
+    });
+  });
+
+  describe('calculateCapability', () => {
+    const values = [9.9, 10.0, 10.1, 10.0, 9.95, 10.05];
+
+    test('computes Cp/Cpk from the within sigma and Pp/Ppk from the overall sigma', () => {
+      const capability = spcService.calculateCapability(
+        values,
+        { lowerSpecLimit: 9.7, upperSpecLimit: 10.5 },
+        0.05
+      );
+
+      expect(capability.mean).toBeCloseTo(10, 6);
+      expect(capability.cp).toBeCloseTo(0.8 / 0.3, 6);
+      expect(capability.cpk).toBeCloseTo(0.3 / 0.15, 6);
+      expect(capability.pp).toBeCloseTo(0.8 / (6 * capability.sigmaOverall), 6);
+      expect(capability.ppk).toBeCloseTo(0.3 / (3 * capability.sigmaOverall), 6);
+    });
+
+    test('only reports the one-sided index for a one-sided specification', () => {
+      const capability = spcService.calculateCapability(values, { upperSpecLimit: 10.3 }, 0.05);
+
+      expect(capability.cp).toBeNull();
+      expect(capability.cpk).toBeCloseTo(0.3 / 0.15, 6);
+    });
+
+    test('returns null indices without specification limits', () => {
+      const capability = spcService.calculateCapability(values, {}, 0.05);
+
+      expect(capability.cp).toBeNull();
+      expect(capability.cpk).toBeNull();
+      expect(capability.ppk).toBeNull();
+    });
+  });
+});
@@ -13,11 +13,20 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const { getGDTSymbolRecognition } = require('./gdtRecognition.service');
+const spcService = require('./spc.service');
+const { publishSpcRuleViolationDetected } = require('../../domains/inspection/events/publishers');
+const gaugeService = require('../../services/gauge.service');
+const EventEmitter = require('../../core/EventEmitter');
 
 // Models
 const Inspection = require('../../models/inspection.model');
 const Component = require('../../models/component.model');
 
+// Inspection states whose measurements are final
+const MEASURED_STATUSES = ['completed', 'approved', 'closed'];
+
+let unsubscribers = [];
+
 /**
  * Verify dimensional accuracy from an inspection measurement
  * 
@@ -32,7 +41,7 @@ async function verifyDimensionalAccuracy(measurement, specification) {
     }
 
     // Extract the actual value, expected value, and tolerance from the measurement
-    const { parameterName, actualValue, expectedValue, tolerance, unit } = measurement;
+    const { parameterName, actualValue, expectedValue, tolerance, unit, gaugeId } = measurement;
 
     // Parse values as numbers for comparison
     const actual = parseFloat(actualValue);
@@ -53,6 +62,10 @@ async function verifyDimensionalAccuracy(measurement, specification) {
     const upperLimit = expected + tol.plus;
     const isWithinTolerance = actual >= lowerLimit && actual <= upperLimit;
 
+    // A measurement is only as trustworthy as the gauge it was taken with
+    const measurementSystem = gaugeId ? await gaugeService.assessGauge(gaugeId) : null;
+    const warnings = measurementSystem ? measurementSystem.warnings : [];
+
     // Format the result
     return {
       parameterName,
@@ -70,7 +83,9 @@ async function verifyDimensionalAccuracy(measurement, specification) {
       status: isWithinTolerance ? 'pass' : 'fail',
       message: isWithinTolerance 
         ? `Measurement is within tolerance (${tolerance})`
-        : `Measurement is out of tolerance (${tolerance})`
+        : `Measurement is out of tolerance (${tolerance})`,
+      measurementSystem,
+      warnings
     };
   } catch (error) {
     logger.error(`Error verifying dimensional accuracy: ${error.message}`);
@@ -139,6 +154,7 @@ async function verifyInspectionMeasurements(inspectionId) {
     const passedMeasurements = verificationResults.filter(r => r.measurementResult && r.measurementResult.withinTolerance).length;
     const failedMeasurements = verificationResults.filter(r => r.measurementResult && !r.measurementResult.withinTolerance).length;
     const errorMeasurements = verificationResults.filter(r => r.error).length;
+    const warningMeasurements = verificationResults.filter(r => r.measurementResult && r.measurementResult.warnings.length > 0).length;
 
     return {
       inspectionId,
@@ -150,6 +166,7 @@ async function verifyInspectionMeasurements(inspectionId) {
       passedMeasurements,
       failedMeasurements,
       errorMeasurements,
+      warningMeasurements,
       passRate: totalMeasurements > 0 ? (passedMeasurements / totalMeasurements) * 100 : 0,
       status: failedMeasurements === 0 ? 'pass' : 'fail',
       results: verificationResults,
@@ -170,55 +187,7 @@ async function verifyInspectionMeasurements(inspectionId) {
  */
 async function analyzeMeasurementTrends(componentId, options = {}) {
   try {
-    const { startDate, endDate } = options;
-    
-    // Define date range for the query
-    const dateFilter = {};
-    if (startDate) {
-      dateFilter['$gte'] = new Date(startDate);
-    }
-    if (endDate) {
-      dateFilter['$lte'] = new Date(endDate);
-    }
-
-    // Find completed inspections for this component
-    const query = { 
-      componentId,
-      status: 'completed'
-    };
-    
-    if (Object.keys(dateFilter).length > 0) {
-      query.completionDate = dateFilter;
-    }
-
-    const inspections = await Inspection.find(query).sort({ completionDate: 1 }).exec();
-
-    // Extract measurements from inspections
-    const measurementData = [];
-    
-    for (const inspection of inspections) {
-      // Process each checklist item with measurements
-      for (const item of inspection.checklistItems) {
-        if (!item.measurements || item.measurements.length === 0) {
-          continue;
-        }
-
-        // Add each measurement to the data set with its timestamp
-        for (const measurement of item.measurements) {
-          measurementData.push({
-            inspectionId: inspection._id,
-            inspectionDate: inspection.completionDate,
-            checklistItemName: item.name,
-            parameterName: measurement.parameterName,
-            actualValue: parseFloat(measurement.actualValue),
-            expectedValue: parseFloat(measurement.expectedValue),
-            tolerance: measurement.tolerance,
-            unit: measurement.unit,
-            result: measurement.result
-          });
-        }
-      }
-    }
+    const { inspections, measurementData } = await collectMeasurementData(componentId, options);
 
     // Group measurements by parameter name for trend analysis
     const measurementsByParameter = {};
@@ -340,6 +309,419 @@ async function analyzeMeasurementTrends(componentId, options = {}) {
   }
 }
 
+/**
+ * Analyze a component's measurements with statistical process control
+ * 
+ * Builds an X̄-R or I-MR control chart per measured parameter, detects
+ * Western Electric / Nelson rule violations and computes Cp/Cpk/Pp/Ppk
+ * against the matching component specification. Violations are only
+ * reported here; they are published when inspections are recorded.
+ * 
+ * @param {string} componentId - The ID of the component to analyze
+ * @param {Object} options - Analysis options
+ * @param {string} options.startDate - Only include inspections completed on or after this date
+ * @param {string} options.endDate - Only include inspections completed on or before this date
+ * @param {string} options.parameterName - Restrict the analysis to a single parameter
+ * @param {string} options.chartType - 'auto', 'xbar-r' or 'i-mr'
+ * @param {number} options.subgroupSize - Fixed subgroup size for X̄-R charts (2-10)
+ * @param {string} options.ruleSet - 'western-electric' or 'nelson'
+ * @returns {Object} SPC analysis per parameter
+ */
+async function analyzeComponentSPC(componentId, options = {}) {
+  try {
+    const {
+      parameterName: parameterFilter,
+      chartType = 'auto',
+      subgroupSize,
+      ruleSet = 'western-electric'
+    } = options;
+
+    const component = await Component.findById(componentId).exec();
+
+    if (!component) {
+      throw new Error(`Component not found: ${componentId}`);
+    }
+
+    const { inspections, measurementData } = await collectMeasurementData(componentId, options);
+
+    // Group measurements by parameter name, keeping inspection order
+    const measurementsByParameter = {};
+    
+    for (const data of measurementData) {
+      if (parameterFilter && data.parameterName !== parameterFilter) {
+        continue;
+      }
+
+      if (isNaN(data.actualValue)) {
+        continue;
+      }
+
+      if (!measurementsByParameter[data.parameterName]) {
+        measurementsByParameter[data.parameterName] = [];
+      }
+      measurementsByParameter[data.parameterName].push(data);
+    }
+
+    const parameters = [];
+
+    for (const [parameterName, measurements] of Object.entries(measurementsByParameter)) {
+      const specification = (component.specs || []).find(spec => spec.name === parameterName) || null;
+      const specLimits = getSpecificationLimits(specification, measurements[0]);
+      const points = buildChartPoints(measurements, chartType, subgroupSize);
+
+      if (points.length < 2) {
+        parameters.push({
+          parameterName,
+          specificationId: specification ? specification._id : null,
+          measurements: measurements.length,
+          status: 'insufficient-data',
+          message: 'At least two chart points are required for SPC analysis'
+        });
+        continue;
+      }
+
+      const chart = points[0].values.length > 1
+        ? spcService.buildXbarRChart(points.map(point => point.values))
+        : spcService.buildIMRChart(points.map(point => point.values[0]));
+
+      const locationViolations = spcService.detectRuleViolations(
+        chart.location.values,
+        chart.location,
+        { ruleSet }
+      ).map(violation => ({ ...violation, chart: chart.location.name }));
+
+      // Only the limits check is meaningful on the dispersion chart
+      const dispersionViolations = spcService.detectRuleViolations(
+        chart.dispersion.values,
+        chart.dispersion,
+        { ruleSet, rules: [ruleSet === 'nelson' ? 'N1' : 'WE1'] }
+      ).map(violation => ({ ...violation, chart: chart.dispersion.name }));
+
+      const violations = [...locationViolations, ...dispersionViolations].map(violation => ({
+        ...violation,
+        inspectionId: points[violation.pointIndex].inspectionId,
+        inspectionDate: points[violation.pointIndex].inspectionDate
+      }));
+
+      const capability = spcService.calculateCapability(
+        measurements.map(m => m.actualValue),
+        specLimits,
+        chart.sigmaWithin
+      );
+
+      parameters.push({
+        parameterName,
+        specificationId: specification ? specification._id : null,
+        unit: measurements[0].unit,
+        nominal: specLimits.nominal,
+        measurements: measurements.length,
+        status: violations.length > 0 ? 'out-of-control' : 'in-control',
+        chart: {
+          ...chart,
+          points: points.map(point => ({
+            inspectionId: point.inspectionId,
+            date: point.inspectionDate
+          }))
+        },
+        violations,
+        capability
+      });
+    }
+
+    return {
+      componentId,
+      partNumber: component.partNumber,
+      ruleSet,
+      totalInspections: inspections.length,
+      timeRange: {
+        start: inspections.length > 0 ? inspections[0].completionDate : null,
+        end: inspections.length > 0 ? inspections[inspections.length - 1].completionDate : null
+      },
+      parameters,
+      timestamp: new Date()
+    };
+  } catch (error) {
+    logger.error(`Error analyzing component SPC: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Publish the SPC rule violations an inspection's measurements caused
+ * 
+ * Re-runs the component's control charts and publishes each violation at a
+ * chart point of this inspection as an SpcRuleViolationDetected domain
+ * event. Violations at earlier points were published when their own
+ * inspections were recorded.
+ * 
+ * @param {Object} inspection - The inspection whose measurements became final
+ * @param {Object} options - SPC analysis options
+ * @param {boolean} options.autoCreateNonConformance - Ask handlers to open an NC per violation
+ * @returns {Array} The violations published
+ */
+async function raiseInspectionViolations(inspection, options = {}) {
+  const {
+    autoCreateNonConformance = process.env.SPC_AUTO_CREATE_NC === 'true',
+    ...analysisOptions
+  } = options;
+  const inspectionId = String(inspection.id || inspection._id);
+
+  const component = await Component.findById(inspection.componentId).exec();
+
+  if (!component) {
+    throw new Error(`Component not found: ${inspection.componentId}`);
+  }
+
+  const analysis = await analyzeComponentSPC(component._id, analysisOptions);
+  const raised = [];
+
+  for (const parameter of analysis.parameters) {
+    for (const violation of parameter.violations || []) {
+      if (String(violation.inspectionId) !== inspectionId) {
+        continue;
+      }
+
+      raiseRuleViolation(component, parameter.parameterName, parameter.specificationId, violation, autoCreateNonConformance);
+      raised.push({ parameterName: parameter.parameterName, ...violation });
+    }
+  }
+
+  return raised;
+}
+
+/**
+ * Handle an inspection workflow event, checking SPC when the inspection's
+ * measurements first become final
+ * 
+ * @param {Object} event - inspection.completed or inspection.transitioned payload
+ * @returns {Promise<Array>|null} The violations published, or null if the event is not relevant
+ */
+function handleInspectionRecorded({ inspection, transition }) {
+  if (!inspection || !inspection.componentId || !transition) {
+    return null;
+  }
+
+  if (!MEASURED_STATUSES.includes(transition.to) || MEASURED_STATUSES.includes(transition.from)) {
+    return null;
+  }
+
+  return raiseInspectionViolations(inspection);
+}
+
+/**
+ * Check SPC as inspections are completed, approved or closed
+ */
+function initialize() {
+  if (unsubscribers.length > 0) {
+    return;
+  }
+
+  const eventEmitter = EventEmitter.getInstance();
+  unsubscribers = ['inspection.completed', 'inspection.transitioned'].map(eventType =>
+    eventEmitter.on(eventType, (event) => {
+      Promise.resolve(handleInspectionRecorded(event)).catch(error => {
+        logger.error(`Error checking SPC for recorded inspection: ${error.message}`);
+      });
+    })
+  );
+}
+
+/**
+ * Stop checking SPC as inspections are recorded
+ */
+function shutdown() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+}
+
+/**
+ * Load finished inspections for a component and flatten their measurements
+ * 
+ * @param {string} componentId - The ID of the component
+ * @param {Object} options - Query options (startDate, endDate)
+ * @returns {Object} The inspections and their measurement data points
+ */
+async function collectMeasurementData(componentId, options = {}) {
+  const { startDate, endDate } = options;
+  
+  // Define date range for the query
+  const dateFilter = {};
+  if (startDate) {
+    dateFilter['$gte'] = new Date(startDate);
+  }
+  if (endDate) {
+    dateFilter['$lte'] = new Date(endDate);
+  }
+
+  // Find finished inspections for this component, whatever happened after completion
+  const query = { 
+    componentId,
+    status: { $in: MEASURED_STATUSES }
+  };
+  
+  if (Object.keys(dateFilter).length > 0) {
+    query.completionDate = dateFilter;
+  }
+
+  const inspections = await Inspection.find(query).sort({ completionDate: 1 }).exec();
+
+  // Extract measurements from inspections
+  const measurementData = [];
+  
+  for (const inspection of inspections) {
+    // Process each checklist item with measurements
+    for (const item of inspection.checklistItems) {
+      if (!item.measurements || item.measurements.length === 0) {
+        continue;
+      }
+
+      // Add each measurement to the data set with its timestamp
+      for (const measurement of item.measurements) {
+        measurementData.push({
+          inspectionId: inspection._id,
+          inspectionDate: inspection.completionDate,
+          checklistItemName: item.name,
+          parameterName: measurement.parameterName,
+          actualValue: parseFloat(measurement.actualValue),
+          expectedValue: parseFloat(measurement.expectedValue),
+          tolerance: measurement.tolerance,
+          unit: measurement.unit,
+          result: measurement.result
+        });
+      }
+    }
+  }
+
+  return { inspections, measurementData };
+}
+
+/**
+ * Group measurements into control chart points
+ * 
+ * With a fixed subgroup size the measurements are split into consecutive
+ * subgroups. Otherwise each inspection forms a rational subgroup when every
+ * inspection measured the same number of pieces (2-10); anything else is
+ * charted as individual values.
+ * 
+ * @param {Array} measurements - Measurement data points in time order
+ * @param {string} chartType - 'auto', 'xbar-r' or 'i-mr'
+ * @param {number} subgroupSize - Optional fixed subgroup size
+ * @returns {Array} Chart points ({ values, inspectionId, inspectionDate })
+ */
+function buildChartPoints(measurements, chartType, subgroupSize) {
+  const toPoint = group => ({
+    values: group.map(m => m.actualValue),
+    inspectionId: group[group.length - 1].inspectionId,
+    inspectionDate: group[group.length - 1].inspectionDate
+  });
+
+  if (chartType === 'i-mr') {
+    return measurements.map(m => toPoint([m]));
+  }
+
+  if (subgroupSize) {
+    const points = [];
+    for (let i = 0; i + subgroupSize <= measurements.length; i += subgroupSize) {
+      points.push(toPoint(measurements.slice(i, i + subgroupSize)));
+    }
+    return points;
+  }
+
+  const byInspection = new Map();
+  for (const measurement of measurements) {
+    const key = measurement.inspectionId.toString();
+    if (!byInspection.has(key)) {
+      byInspection.set(key, []);
+    }
+    byInspection.get(key).push(measurement);
+  }
+
+  const groups = [...byInspection.values()];
+  const size = groups[0] ? groups[0].length : 0;
+  const rationalSubgroups = size >= 2 && size <= 10 && groups.every(group => group.length === size);
+
+  if (rationalSubgroups) {
+    return groups.map(toPoint);
+  }
+
+  if (chartType === 'xbar-r') {
+    throw new Error('Inspections do not form equal subgroups; provide a subgroup size for an X̄-R chart');
+  }
+
+  return measurements.map(m => toPoint([m]));
+}
+
+/**
+ * Resolve specification limits for SPC capability analysis
+ * 
+ * Uses the component specification's nominal and tolerance, falling back
+ * to the expected value and tolerance recorded with the measurement.
+ * 
+ * @param {Object} specification - Component specification (may be null)
+ * @param {Object} measurement - A measurement data point for the parameter
+ * @returns {Object} Nominal and lower/upper specification limits
+ */
+function getSpecificationLimits(specification, measurement) {
+  const source = specification || {
+    value: measurement.expectedValue,
+    tolerance: measurement.tolerance
+  };
+
+  const nominal = parseFloat(source.value);
+
+  if (typeof source.minValue === 'number' && typeof source.maxValue === 'number') {
+    return {
+      nominal: isNaN(nominal) ? null : nominal,
+      lowerSpecLimit: source.minValue,
+      upperSpecLimit: source.maxValue
+    };
+  }
+
+  if (isNaN(nominal)) {
+    return { nominal: null, lowerSpecLimit: null, upperSpecLimit: null };
+  }
+
+  const tol = typeof source.tolerance === 'number'
+    ? { plus: source.tolerance, minus: source.tolerance }
+    : parseTolerance(source.tolerance);
+
+  if (!tol.plus && !tol.minus) {
+    return { nominal, lowerSpecLimit: null, upperSpecLimit: null };
+  }
+
+  return {
+    nominal,
+    lowerSpecLimit: nominal - tol.minus,
+    upperSpecLimit: nominal + tol.plus
+  };
+}
+
+/**
+ * Publish a domain event for an SPC rule violation
+ * 
+ * @param {Object} component - The component being analyzed
+ * @param {string} parameterName - The measured parameter
+ * @param {Object} specificationId - ID of the matching specification (may be null)
+ * @param {Object} violation - The detected violation
+ * @param {boolean} autoCreateNonConformance - Whether handlers should open an NC
+ */
+function raiseRuleViolation(component, parameterName, specificationId, violation, autoCreateNonConformance) {
+  try {
+    publishSpcRuleViolationDetected({
+      componentId: component._id.toString(),
+      supplierId: component.supplierId ? component.supplierId.toString() : null,
+      partNumber: component.partNumber,
+      specificationId: specificationId ? specificationId.toString() : null,
+      parameterName,
+      ...violation,
+      inspectionId: violation.inspectionId ? violation.inspectionId.toString() : null,
+      autoCreateNonConformance
+    });
+  } catch (error) {
+    logger.error(`Error publishing SPC rule violation: ${error.message}`);
+  }
+}
+
 /**
  * Parse a tolerance string into numeric values
  * 
@@ -383,5 +765,10 @@ function parseTolerance(tolerance) {
 module.exports = {
   verifyDimensionalAccuracy,
   verifyInspectionMeasurements,
-  analyzeMeasurementTrends
+  analyzeMeasurementTrends,
+  analyzeComponentSPC,
+  raiseInspectionViolations,
+  handleInspectionRecorded,
+  initialize,
+  shutdown
 }; 
\ No newline at end of file
@@ -0,0 +1,393 @@
+/**
+ * Measurement System Analysis (MSA) Service
+ *
+ * Pure statistical engine for crossed Gauge R&R studies: every operator
+ * measures every part the same number of times.
+ *
+ * Supported methods (AIAG MSA 4th edition):
+ *  - ANOVA (two-way crossed, operator x part interaction pooled into
+ *    repeatability when it is not significant)
+ *  - Average and range
+ *
+ * Variation is reported as standard deviations; study variation and
+ * %Tolerance use a 6 sigma spread.
+ */
+
+const METHODS = ['anova', 'average-range'];
+
+/**
+ * Average and range method constants
+ * K1 by number of trials, K2 by number of operators, K3 by number of parts
+ */
+const K1 = { 2: 0.8862, 3: 0.5908 };
+const K2 = { 2: 0.7071, 3: 0.5231 };
+const K3 = {
+  2: 0.7071,
+  3: 0.5231,
+  4: 0.4467,
+  5: 0.4030,
+  6: 0.3742,
+  7: 0.3534,
+  8: 0.3375,
+  9: 0.3249,
+  10: 0.3146
+};
+
+// The interaction term is pooled into repeatability above this p-value
+const INTERACTION_ALPHA = 0.25;
+
+const STUDY_SPREAD = 6;
+
+// %GRR acceptance bands
+const ACCEPTABLE_GRR_PERCENT = 10;
+const MARGINAL_GRR_PERCENT = 30;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function range(values) {
+  return Math.max(...values) - Math.min(...values);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941678, 24.0140982408309,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  coefficients.forEach(coefficient => {
+    y += 1;
+    series += coefficient / y;
+  });
+  return -tmp + Math.log(2.506628274631 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function
+ */
+function betaContinuedFraction(x, a, b) {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const TINY = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < EPSILON) {
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(x, a, b) / a
+    : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Upper tail probability of the F distribution
+ *
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number} P(F > f)
+ */
+function fDistributionPValue(f, df1, df2) {
+  if (!Number.isFinite(f)) {
+    return 0;
+  }
+  if (f <= 0) {
+    return 1;
+  }
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Arrange measurements into a balanced crossed study
+ *
+ * @param {Array<Object>} measurements - Measurements ({ operator, part, trial, value })
+ * @returns {Object} Operators, parts, trials and values indexed [operator][part][trial]
+ */
+function buildStudyDesign(measurements) {
+  if (!Array.isArray(measurements) || measurements.length === 0) {
+    throw new Error('Measurements are required for a gauge study');
+  }
+
+  const operators = [];
+  const parts = [];
+  const cells = new Map();
+
+  measurements.forEach(({ operator, part, trial, value }, index) => {
+    const numeric = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(numeric)) {
+      throw new Error(`Measurement of part ${part} by operator ${operator} is not a number`);
+    }
+
+    const operatorKey = String(operator);
+    const partKey = String(part);
+    if (!operators.includes(operatorKey)) operators.push(operatorKey);
+    if (!parts.includes(partKey)) parts.push(partKey);
+
+    const cellKey = `${operatorKey}\u0000${partKey}`;
+    if (!cells.has(cellKey)) cells.set(cellKey, []);
+    // Without a trial number, measurements keep their input order
+    cells.get(cellKey).push({ order: trial !== undefined ? Number(trial) : index, value: numeric });
+  });
+
+  if (operators.length < 2) {
+    throw new Error('A gauge study needs at least two operators');
+  }
+  if (parts.length < 2) {
+    throw new Error('A gauge study needs at least two parts');
+  }
+
+  const values = operators.map(operator => parts.map(part => {
+    const cell = cells.get(`${operator}\u0000${part}`);
+    if (!cell) {
+      throw new Error(`Operator ${operator} did not measure part ${part}`);
+    }
+    return cell.sort((a, b) => a.order - b.order).map(entry => entry.value);
+  }));
+
+  const trials = values[0][0].length;
+  if (values.some(byPart => byPart.some(cell => cell.length !== trials))) {
+    throw new Error('Every operator must measure every part the same number of times');
+  }
+  if (trials < 2) {
+    throw new Error('A gauge study needs at least two trials per operator and part');
+  }
+
+  return { operators, parts, trials, values };
+}
+
+/**
+ * Gauge R&R by the average and range method
+ *
+ * @param {Object} design - Study design from buildStudyDesign
+ * @returns {Object} EV, AV and PV as standard deviations with the statistics behind them
+ */
+function averageAndRange(design) {
+  const { operators, parts, trials, values } = design;
+
+  if (!K1[trials]) {
+    throw new Error('The average and range method supports 2 or 3 trials');
+  }
+  if (!K2[operators.length]) {
+    throw new Error('The average and range method supports 2 or 3 operators');
+  }
+  if (!K3[parts.length]) {
+    throw new Error('The average and range method supports 2 to 10 parts');
+  }
+
+  const operatorAverageRanges = values.map(byPart => mean(byPart.map(cell => range(cell))));
+  const averageRange = mean(operatorAverageRanges);
+  const operatorAverages = values.map(byPart => mean(byPart.flat()));
+  const operatorDifference = range(operatorAverages);
+  const partAverages = parts.map((_, p) => mean(values.flatMap(byPart => byPart[p])));
+  const partRange = range(partAverages);
+
+  const ev = averageRange * K1[trials];
+  const av = Math.sqrt(Math.max(0,
+    Math.pow(operatorDifference * K2[operators.length], 2) - Math.pow(ev, 2) / (parts.length * trials)
+  ));
+  const pv = partRange * K3[parts.length];
+
+  return {
+    ev,
+    av,
+    pv,
+    statistics: { averageRange, operatorDifference, partRange, operatorAverages, partAverages }
+  };
+}
+
+/**
+ * Gauge R&R by two-way crossed ANOVA
+ *
+ * @param {Object} design - Study design from buildStudyDesign
+ * @param {Object} options - Options
+ * @param {number} options.interactionAlpha - p-value above which the interaction is pooled
+ * @returns {Object} EV, AV, PV and interaction as standard deviations with the ANOVA table
+ */
+function anova(design, options = {}) {
+  const interactionAlpha = options.interactionAlpha ?? INTERACTION_ALPHA;
+  const { operators, parts, trials, values } = design;
+  const o = operators.length;
+  const p = parts.length;
+  const r = trials;
+
+  const grandMean = mean(values.flat(2));
+  const operatorMeans = values.map(byPart => mean(byPart.flat()));
+  const partMeans = parts.map((_, j) => mean(values.flatMap(byPart => byPart[j])));
+  const cellMeans = values.map(byPart => byPart.map(cell => mean(cell)));
+
+  const ssParts = o * r * partMeans.reduce((sum, m) => sum + Math.pow(m - grandMean, 2), 0);
+  const ssOperators = p * r * operatorMeans.reduce((sum, m) => sum + Math.pow(m - grandMean, 2), 0);
+  let ssInteraction = 0;
+  let ssRepeatability = 0;
+  values.forEach((byPart, i) => byPart.forEach((cell, j) => {
+    ssInteraction += r * Math.pow(cellMeans[i][j] - partMeans[j] - operatorMeans[i] + grandMean, 2);
+    cell.forEach(value => {
+      ssRepeatability += Math.pow(value - cellMeans[i][j], 2);
+    });
+  }));
+
+  const dfParts = p - 1;
+  const dfOperators = o - 1;
+  const dfInteraction = (p - 1) * (o - 1);
+  const dfRepeatability = p * o * (r - 1);
+
+  const msParts = ssParts / dfParts;
+  const msOperators = ssOperators / dfOperators;
+  const msInteraction = ssInteraction / dfInteraction;
+  const msRepeatability = ssRepeatability / dfRepeatability;
+
+  const fInteraction = msRepeatability > 0 ? msInteraction / msRepeatability : Infinity;
+  const pInteraction = fDistributionPValue(fInteraction, dfInteraction, dfRepeatability);
+  const interactionPooled = pInteraction > interactionAlpha;
+
+  let repeatabilityVariance;
+  let interactionVariance;
+  let operatorVariance;
+  let partVariance;
+
+  if (interactionPooled) {
+    const msPooled = (ssInteraction + ssRepeatability) / (dfInteraction + dfRepeatability);
+    repeatabilityVariance = msPooled;
+    interactionVariance = 0;
+    operatorVariance = Math.max(0, (msOperators - msPooled) / (p * r));
+    partVariance = Math.max(0, (msParts - msPooled) / (o * r));
+  } else {
+    repeatabilityVariance = msRepeatability;
+    interactionVariance = Math.max(0, (msInteraction - msRepeatability) / r);
+    operatorVariance = Math.max(0, (msOperators - msInteraction) / (p * r));
+    partVariance = Math.max(0, (msParts - msInteraction) / (o * r));
+  }
+
+  return {
+    ev: Math.sqrt(repeatabilityVariance),
+    av: Math.sqrt(operatorVariance + interactionVariance),
+    pv: Math.sqrt(partVariance),
+    interaction: Math.sqrt(interactionVariance),
+    interactionPooled,
+    table: [
+      { source: 'Part', df: dfParts, ss: ssParts, ms: msParts },
+      { source: 'Operator', df: dfOperators, ss: ssOperators, ms: msOperators },
+      { source: 'Operator x Part', df: dfInteraction, ss: ssInteraction, ms: msInteraction, f: fInteraction, p: pInteraction },
+      { source: 'Repeatability', df: dfRepeatability, ss: ssRepeatability, ms: msRepeatability }
+    ]
+  };
+}
+
+/**
+ * Classify a measurement system by its %GRR
+ *
+ * @param {number} percentGrr - GRR as a percent of total variation
+ * @returns {string} acceptable, marginal or unacceptable
+ */
+function classifyGrr(percentGrr) {
+  if (percentGrr <= ACCEPTABLE_GRR_PERCENT) return 'acceptable';
+  if (percentGrr <= MARGINAL_GRR_PERCENT) return 'marginal';
+  return 'unacceptable';
+}
+
+/**
+ * Run a Gauge R&R study
+ *
+ * @param {Array<Object>} measurements - Measurements ({ operator, part, trial, value })
+ * @param {Object} options - Options
+ * @param {string} options.method - anova or average-range
+ * @param {number} options.tolerance - Total tolerance width (upper minus lower limit) for %Tolerance
+ * @returns {Object} Variation components, percentages, ndc and acceptability
+ */
+function analyzeGaugeStudy(measurements, options = {}) {
+  const method = options.method || 'anova';
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown gauge study method ${method}. Must be one of: ${METHODS.join(', ')}`);
+  }
+
+  const design = buildStudyDesign(measurements);
+  const components = method === 'anova' ? anova(design, options) : averageAndRange(design);
+  const { ev, av, pv } = components;
+
+  const grr = Math.sqrt(ev * ev + av * av);
+  const tv = Math.sqrt(grr * grr + pv * pv);
+  const percentOf = value => (tv > 0 ? (value / tv) * 100 : 0);
+  const tolerance = options.tolerance > 0 ? options.tolerance : null;
+  const percentGrr = percentOf(grr);
+
+  return {
+    method,
+    design: {
+      operators: design.operators,
+      parts: design.parts.length,
+      trials: design.trials
+    },
+    ev,
+    av,
+    grr,
+    pv,
+    tv,
+    percentEv: percentOf(ev),
+    percentAv: percentOf(av),
+    percentGrr,
+    percentPv: percentOf(pv),
+    ndc: grr > 0 ? Math.floor(1.41 * (pv / grr)) : null,
+    tolerance,
+    percentTolerance: tolerance ? (STUDY_SPREAD * grr / tolerance) * 100 : null,
+    acceptability: classifyGrr(percentGrr),
+    ...(method === 'anova'
+      ? { interaction: components.interaction, interactionPooled: components.interactionPooled, anovaTable: components.table }
+      : { statistics: components.statistics })
+  };
+}
+
+module.exports = {
+  METHODS,
+  ACCEPTABLE_GRR_PERCENT,
+  MARGINAL_GRR_PERCENT,
+  fDistributionPValue,
+  buildStudyDesign,
+  classifyGrr,
+  analyzeGaugeStudy
+};
@@ -0,0 +1,380 @@
+/**
+ * Statistical Process Control (SPC) Service
+ *
+ * Pure statistical engine used by the dimensional accuracy service to build
+ * control charts, detect out-of-control patterns and compute process
+ * capability indices for inspection measurements.
+ *
+ * Supported charts:
+ *  - X̄-R (subgroup averages and ranges, subgroup size 2-10)
+ *  - I-MR (individual values and moving ranges)
+ *
+ * Supported rule sets:
+ *  - Western Electric rules 1-4
+ *  - Nelson rules 1-8
+ */
+
+/**
+ * Control chart constants indexed by subgroup size
+ * A2 - X̄ chart limit factor, D3/D4 - R chart limit factors,
+ * d2 - unbiasing constant relating average range to sigma
+ */
+const CONTROL_CHART_CONSTANTS = {
+  2: { A2: 1.880, D3: 0, D4: 3.267, d2: 1.128 },
+  3: { A2: 1.023, D3: 0, D4: 2.574, d2: 1.693 },
+  4: { A2: 0.729, D3: 0, D4: 2.282, d2: 2.059 },
+  5: { A2: 0.577, D3: 0, D4: 2.114, d2: 2.326 },
+  6: { A2: 0.483, D3: 0, D4: 2.004, d2: 2.534 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924, d2: 2.704 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864, d2: 2.847 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816, d2: 2.970 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777, d2: 3.078 }
+};
+
+const MIN_SUBGROUP_SIZE = 2;
+const MAX_SUBGROUP_SIZE = 10;
+
+// Moving ranges of two consecutive points behave like subgroups of size 2
+const MOVING_RANGE_CONSTANTS = CONTROL_CHART_CONSTANTS[2];
+
+const RULE_SETS = ['western-electric', 'nelson'];
+
+/**
+ * Count points in a window that lie beyond the given number of sigmas on one side
+ */
+function countBeyond(window, center, sigma, zone, side) {
+  return window.filter(value => side > 0
+    ? value > center + zone * sigma
+    : value < center - zone * sigma
+  ).length;
+}
+
+/**
+ * Check whether at least `required` of the points in the window are beyond
+ * `zone` sigmas, all on the same side of the center line
+ */
+function sameSideBeyond(window, center, sigma, zone, required) {
+  return countBeyond(window, center, sigma, zone, 1) >= required ||
+    countBeyond(window, center, sigma, zone, -1) >= required;
+}
+
+function allSameSide(window, center) {
+  return window.every(value => value > center) || window.every(value => value < center);
+}
+
+function monotonic(window) {
+  let increasing = true;
+  let decreasing = true;
+
+  for (let i = 1; i < window.length; i++) {
+    if (window[i] <= window[i - 1]) increasing = false;
+    if (window[i] >= window[i - 1]) decreasing = false;
+  }
+
+  return increasing || decreasing;
+}
+
+function alternating(window) {
+  for (let i = 2; i < window.length; i++) {
+    const previous = window[i - 1] - window[i - 2];
+    const current = window[i] - window[i - 1];
+    if (previous === 0 || current === 0 || Math.sign(previous) === Math.sign(current)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Rule definitions
+ * Each rule inspects the window of `windowSize` points ending at the current
+ * point and returns true when the pattern is present.
+ */
+const RULES = {
+  'western-electric': [
+    {
+      id: 'WE1',
+      name: 'One point beyond 3 sigma',
+      windowSize: 1,
+      test: (window, center, sigma) => sameSideBeyond(window, center, sigma, 3, 1)
+    },
+    {
+      id: 'WE2',
+      name: 'Two of three consecutive points beyond 2 sigma on the same side',
+      windowSize: 3,
+      test: (window, center, sigma) => sameSideBeyond(window, center, sigma, 2, 2)
+    },
+    {
+      id: 'WE3',
+      name: 'Four of five consecutive points beyond 1 sigma on the same side',
+      windowSize: 5,
+      test: (window, center, sigma) => sameSideBeyond(window, center, sigma, 1, 4)
+    },
+    {
+      id: 'WE4',
+      name: 'Eight consecutive points on the same side of the center line',
+      windowSize: 8,
+      test: (window, center) => allSameSide(window, center)
+    }
+  ],
+  nelson: [
+    {
+      id: 'N1',
+      name: 'One point beyond 3 sigma',
+      windowSize: 1,
+      test: (window, center, sigma) => sameSideBeyond(window, center, sigma, 3, 1)
+    },
+    {
+      id: 'N2',
+      name: 'Nine consecutive points on the same side of the center line',
+      windowSize: 9,
+      test: (window, center) => allSameSide(window, center)
+    },
+    {
+      id: 'N3',
+      name: 'Six consecutive points steadily increasing or decreasing',
+      windowSize: 6,
+      test: window => monotonic(window)
+    },
+    {
+      id: 'N4',
+      name: 'Fourteen consecutive points alternating up and down',
+      windowSize: 14,
+      test: window => alternating(window)
+    },
+    {
+      id: 'N5',
+      name: 'Two of three consecutive points beyond 2 sigma on the same side',
+      windowSize: 3,
+      test: (window, center, sigma) => sameSideBeyond(window, center, sigma, 2, 2)
+    },
+    {
+      id: 'N6',
+      name: 'Four of five consecutive points beyond 1 sigma on the same side',
+      windowSize: 5,
+      test: (window, center, sigma) => sameSideBeyond(window, center, sigma, 1, 4)
+    },
+    {
+      id: 'N7',
+      name: 'Fifteen consecutive points within 1 sigma of the center line',
+      windowSize: 15,
+      test: (window, center, sigma) => window.every(value => Math.abs(value - center) < sigma)
+    },
+    {
+      id: 'N8',
+      name: 'Eight consecutive points beyond 1 sigma on either side',
+      windowSize: 8,
+      test: (window, center, sigma) => window.every(value => Math.abs(value - center) > sigma)
+    }
+  ]
+};
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1 denominator)
+ */
+function standardDeviation(values) {
+  if (values.length < 2) {
+    return 0;
+  }
+
+  const average = mean(values);
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Build an X̄-R control chart from rational subgroups
+ *
+ * @param {Array<Array<number>>} subgroups - Subgroups of equal size (2-10)
+ * @returns {Object} X̄ and R chart data with control limits and within-subgroup sigma
+ */
+function buildXbarRChart(subgroups) {
+  if (!Array.isArray(subgroups) || subgroups.length < 2) {
+    throw new Error('At least two subgroups are required for an X̄-R chart');
+  }
+
+  const subgroupSize = subgroups[0].length;
+  if (subgroupSize < MIN_SUBGROUP_SIZE || subgroupSize > MAX_SUBGROUP_SIZE) {
+    throw new Error(`Subgroup size must be between ${MIN_SUBGROUP_SIZE} and ${MAX_SUBGROUP_SIZE}`);
+  }
+
+  if (subgroups.some(subgroup => subgroup.length !== subgroupSize)) {
+    throw new Error('All subgroups must have the same size');
+  }
+
+  const { A2, D3, D4, d2 } = CONTROL_CHART_CONSTANTS[subgroupSize];
+  const averages = subgroups.map(subgroup => mean(subgroup));
+  const ranges = subgroups.map(subgroup => Math.max(...subgroup) - Math.min(...subgroup));
+  const grandAverage = mean(averages);
+  const averageRange = mean(ranges);
+
+  return {
+    type: 'xbar-r',
+    subgroupSize,
+    sigmaWithin: averageRange / d2,
+    location: {
+      name: 'X̄',
+      centerLine: grandAverage,
+      upperControlLimit: grandAverage + A2 * averageRange,
+      lowerControlLimit: grandAverage - A2 * averageRange,
+      values: averages
+    },
+    dispersion: {
+      name: 'R',
+      centerLine: averageRange,
+      upperControlLimit: D4 * averageRange,
+      lowerControlLimit: D3 * averageRange,
+      values: ranges
+    }
+  };
+}
+
+/**
+ * Build an I-MR (individuals and moving range) control chart
+ *
+ * @param {Array<number>} values - Individual measurements in time order
+ * @returns {Object} I and MR chart data with control limits and within sigma
+ */
+function buildIMRChart(values) {
+  if (!Array.isArray(values) || values.length < 2) {
+    throw new Error('At least two values are required for an I-MR chart');
+  }
+
+  const { D3, D4, d2 } = MOVING_RANGE_CONSTANTS;
+  const movingRanges = values.slice(1).map((value, i) => Math.abs(value - values[i]));
+  const average = mean(values);
+  const averageMovingRange = mean(movingRanges);
+  const sigmaWithin = averageMovingRange / d2;
+
+  return {
+    type: 'i-mr',
+    subgroupSize: 1,
+    sigmaWithin,
+    location: {
+      name: 'I',
+      centerLine: average,
+      upperControlLimit: average + 3 * sigmaWithin,
+      lowerControlLimit: average - 3 * sigmaWithin,
+      values: [...values]
+    },
+    dispersion: {
+      name: 'MR',
+      centerLine: averageMovingRange,
+      upperControlLimit: D4 * averageMovingRange,
+      lowerControlLimit: D3 * averageMovingRange,
+      // The first point has no moving range
+      values: [null, ...movingRanges]
+    }
+  };
+}
+
+/**
+ * Detect rule violations on a chart series
+ *
+ * @param {Array<number>} values - Plotted points in time order
+ * @param {Object} limits - Chart limits ({ centerLine, upperControlLimit })
+ * @param {Object} options - Detection options
+ * @param {string} options.ruleSet - 'western-electric' or 'nelson'
+ * @param {Array<string>} options.rules - Optional subset of rule IDs to evaluate
+ * @returns {Array<Object>} Violations with rule, point index and value
+ */
+function detectRuleViolations(values, limits, options = {}) {
+  const { ruleSet = 'western-electric', rules: ruleIds } = options;
+
+  if (!RULE_SETS.includes(ruleSet)) {
+    throw new Error(`Invalid rule set: ${ruleSet}. Must be one of: ${RULE_SETS.join(', ')}`);
+  }
+
+  const { centerLine, upperControlLimit } = limits;
+  const sigma = (upperControlLimit - centerLine) / 3;
+  const rules = RULES[ruleSet].filter(rule => !ruleIds || ruleIds.includes(rule.id));
+  const violations = [];
+
+  // A flat process has no spread to judge patterns against
+  if (!(sigma > 0)) {
+    return violations;
+  }
+
+  rules.forEach(rule => {
+    for (let index = rule.windowSize - 1; index < values.length; index++) {
+      const window = values.slice(index - rule.windowSize + 1, index + 1);
+
+      if (window.some(value => value === null || value === undefined)) {
+        continue;
+      }
+
+      if (rule.test(window, centerLine, sigma)) {
+        violations.push({
+          ruleSet,
+          rule: rule.id,
+          description: rule.name,
+          pointIndex: index,
+          value: values[index]
+        });
+      }
+    }
+  });
+
+  return violations.sort((a, b) => a.pointIndex - b.pointIndex);
+}
+
+/**
+ * Calculate process capability (Cp, Cpk) and performance (Pp, Ppk) indices
+ *
+ * Cp/Cpk use the within-subgroup sigma estimated from the control chart,
+ * Pp/Ppk use the overall sample standard deviation. One-sided specifications
+ * only yield the index for the side that has a limit.
+ *
+ * @param {Array<number>} values - All individual measurements
+ * @param {Object} limits - Specification limits ({ lowerSpecLimit, upperSpecLimit })
+ * @param {number} sigmaWithin - Within-subgroup sigma from the control chart
+ * @returns {Object} Capability indices
+ */
+function calculateCapability(values, limits, sigmaWithin) {
+  const { lowerSpecLimit = null, upperSpecLimit = null } = limits || {};
+  const average = mean(values);
+  const sigmaOverall = standardDeviation(values);
+  const hasLower = typeof lowerSpecLimit === 'number' && !isNaN(lowerSpecLimit);
+  const hasUpper = typeof upperSpecLimit === 'number' && !isNaN(upperSpecLimit);
+
+  const potential = sigma => (hasLower && hasUpper && sigma > 0)
+    ? (upperSpecLimit - lowerSpecLimit) / (6 * sigma)
+    : null;
+
+  const actual = sigma => {
+    if (!(sigma > 0) || (!hasLower && !hasUpper)) {
+      return null;
+    }
+
+    const sides = [];
+    if (hasUpper) sides.push((upperSpecLimit - average) / (3 * sigma));
+    if (hasLower) sides.push((average - lowerSpecLimit) / (3 * sigma));
+    return Math.min(...sides);
+  };
+
+  return {
+    mean: average,
+    sigmaWithin,
+    sigmaOverall,
+    lowerSpecLimit: hasLower ? lowerSpecLimit : null,
+    upperSpecLimit: hasUpper ? upperSpecLimit : null,
+    cp: potential(sigmaWithin),
+    cpk: actual(sigmaWithin),
+    pp: potential(sigmaOverall),
+    ppk: actual(sigmaOverall)
+  };
+}
+
+module.exports = {
+  CONTROL_CHART_CONSTANTS,
+  RULE_SETS,
+  buildXbarRChart,
+  buildIMRChart,
+  detectRuleViolations,
+  calculateCapability
+};
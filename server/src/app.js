@@ -31,6 +31,7 @@ const config = require('./config');
 const { enforceHTTPS } = require('./middleware/encryption.middleware');
 const securityHeaders = require('./middleware/security-headers.middleware');
 const configureCors = require('./middleware/cors.middleware');
+const { tenantContextMiddleware } = require('./core/multiTenancy');
 
 // Create Express app
 const app = express();
@@ -113,6 +114,9 @@ if (process.env.NODE_ENV === 'production') {
 // Apply audit logging middleware
 app.use(auditLoggingMiddleware);
 
+// Give each request a tenant context of its own, which authentication fills in
+app.use(tenantContextMiddleware);
+
 // Routes
 app.use('/api', routes);
 
@@ -9,6 +9,8 @@ const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('./utils/logger');
 const express = require("express");
+const jobSchedulerService = require('./services/jobScheduler.service');
+const { registerWorkerJobs } = require('./workers');
 
 // Get number of CPUs or use environment variable
 const WORKER_COUNT = process.env.WORKER_COUNT || 1;
@@ -87,9 +89,16 @@ http_request_duration_seconds_count{method="GET",route="/api/health"} 5
     logger.info(`Worker ${process.pid} is ready`);
   });
   
+  // Run background jobs in every worker; job locks keep each run to one of them
+  registerWorkerJobs();
+  jobSchedulerService.start().catch((error) => {
+    logger.error(`Worker ${process.pid} could not start the job scheduler: ${error.message}`);
+  });
+  
   // Graceful shutdown
-  process.on('SIGTERM', () => {
+  process.on('SIGTERM', async () => {
     logger.info(`Worker ${process.pid} received SIGTERM`);
+    await jobSchedulerService.stop();
     server.close(() => {
       logger.info(`Worker ${process.pid} closed`);
       process.exit(0);
@@ -0,0 +1,31 @@
+/**
+ * Audit Log Chain Configuration
+ *
+ * Hash chaining, checkpoint signing, verification and export of the
+ * security audit log.
+ *
+ * Environment Variables:
+ * - AUDIT_SIGNING_KEY_ID: Key management ID of the key pair checkpoints are signed with (default: audit-checkpoint)
+ * - AUDIT_TRUSTED_KEY_FINGERPRINTS: Comma-separated fingerprints of retired signing keys whose checkpoints stay valid
+ * - AUDIT_DEFAULT_TENANT: Tenant of records logged outside any tenant context (default: default)
+ * - AUDIT_EXPORT_MAX_RECORDS: Largest number of records one export may hold (default: 50000)
+ */
+
+module.exports = {
+  signingKeyId: process.env.AUDIT_SIGNING_KEY_ID || 'audit-checkpoint',
+
+  trustedKeyFingerprints: (process.env.AUDIT_TRUSTED_KEY_FINGERPRINTS || '')
+    .split(',')
+    .map(fingerprint => fingerprint.trim())
+    .filter(Boolean),
+
+  defaultTenantId: process.env.AUDIT_DEFAULT_TENANT || 'default',
+
+  // Attempts to append a batch when other instances extend the same chain
+  appendAttempts: 5,
+
+  // Records read per batch while verifying a chain
+  verifyBatchSize: 500,
+
+  exportMaxRecords: Number(process.env.AUDIT_EXPORT_MAX_RECORDS || 50000)
+};
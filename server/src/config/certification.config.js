@@ -0,0 +1,35 @@
+/**
+ * Certification Monitor Configuration
+ *
+ * Settings for the certification and qualification expiry monitor.
+ *
+ * Environment Variables:
+ * - CERTIFICATION_WARNING_DAYS: Days before expiry to warn at (default: 90,60,30,0)
+ * - MANDATORY_CERTIFICATIONS: Certificates a supplier must keep current (default: AS9100,NADCAP)
+ * - BLOCK_INSPECTIONS_ON_LAPSED_CERTIFICATION: Refuse new inspections for suppliers with a lapsed mandatory certificate
+ * - BLOCK_PURCHASE_ORDERS_ON_LAPSED_CERTIFICATION: Refuse new POs for suppliers with a lapsed mandatory certificate
+ */
+
+const parseList = (value, fallback) => (value || fallback)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+module.exports = {
+  // Warnings are sent once per threshold, most urgent first
+  warningDays: parseList(process.env.CERTIFICATION_WARNING_DAYS, '90,60,30,0')
+    .map(Number)
+    .filter(days => Number.isInteger(days) && days >= 0)
+    .sort((a, b) => b - a),
+
+  // Matched case-insensitively against certificate names, qualification types and the QMS type
+  mandatoryCertifications: parseList(process.env.MANDATORY_CERTIFICATIONS, 'AS9100,NADCAP'),
+
+  block: {
+    inspections: process.env.BLOCK_INSPECTIONS_ON_LAPSED_CERTIFICATION === 'true',
+    purchaseOrders: process.env.BLOCK_PURCHASE_ORDERS_ON_LAPSED_CERTIFICATION === 'true'
+  },
+
+  // Roles notified in-app of expiring certificates
+  notifyRoles: ['admin', 'manager', 'quality']
+};
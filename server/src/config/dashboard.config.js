@@ -0,0 +1,33 @@
+/**
+ * Dashboard Configuration
+ *
+ * Widget refresh intervals, result caching and share links of
+ * persisted dashboards.
+ *
+ * Environment Variables:
+ * - DASHBOARD_DEFAULT_REFRESH_SECONDS: Refresh interval of a widget that sets none (default: 300)
+ * - DASHBOARD_MIN_REFRESH_SECONDS: Shortest refresh interval a widget may set (default: 30)
+ * - DASHBOARD_SHARE_LINK_DAYS: Days a share link is valid when it sets no expiry (default: 30)
+ * - CLIENT_URL: Base URL of the client, used for share links
+ */
+
+module.exports = {
+  refresh: {
+    defaultSeconds: Number(process.env.DASHBOARD_DEFAULT_REFRESH_SECONDS || 300),
+    minSeconds: Number(process.env.DASHBOARD_MIN_REFRESH_SECONDS || 30),
+    maxSeconds: 24 * 60 * 60
+  },
+
+  maxWidgets: 30,
+
+  // Prefix of widget result keys in the cache manager
+  cacheKeyPrefix: 'dashboard:widget',
+
+  shareLinks: {
+    defaultDays: Number(process.env.DASHBOARD_SHARE_LINK_DAYS || 30),
+    maxDays: 365,
+    maxActive: 10
+  },
+
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000'
+};
@@ -51,7 +51,8 @@ module.exports = {
       inspectionCompleted: true,
       inspectionCancelled: true,
       inspectionAssigned: true,
-      inspectionReminder: true  // 24h before scheduled date
+      inspectionReminder: true, // 24h before scheduled date
+      certificationExpiry: true // 90/60/30/0 days before a supplier certificate expires
     },
     
     // Default recipients for system notifications
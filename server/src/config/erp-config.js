@@ -19,6 +19,19 @@ const config = {
     logLevel: process.env.ERP_LOG_LEVEL || 'info',
   },
   
+  // Incremental sync settings
+  sync: {
+    // How conflicting changes are resolved per entity type: erp-wins, aerosuite-wins or manual
+    conflictPolicies: {
+      suppliers: process.env.ERP_SYNC_SUPPLIERS_CONFLICT_POLICY || 'manual',
+      inspections: process.env.ERP_SYNC_INSPECTIONS_CONFLICT_POLICY || 'aerosuite-wins',
+    },
+    // A run still marked running after this long is treated as abandoned
+    staleRunMinutes: parseInt(process.env.ERP_SYNC_STALE_RUN_MINUTES || '60', 10),
+    // Maximum number of per-record entries kept on a ledger run
+    maxLedgerRecords: parseInt(process.env.ERP_SYNC_MAX_LEDGER_RECORDS || '500', 10),
+  },
+  
   // SAP ERP configuration
   sap: {
     baseUrl: process.env.SAP_API_URL || 'https://api.sap-erp.example.com',
@@ -94,26 +107,30 @@ const config = {
     clientId: process.env.DYNAMICS_CLIENT_ID,
     clientSecret: process.env.DYNAMICS_CLIENT_SECRET,
     scope: process.env.DYNAMICS_SCOPE || 'https://api.dynamics.com/.default',
+    authUrl: process.env.DYNAMICS_AUTH_URL || 'https://login.microsoftonline.com',
+    // Legal entity (dataAreaId) records are read from and written to
+    companyId: process.env.DYNAMICS_COMPANY_ID || 'usmf',
+    maxPages: parseInt(process.env.DYNAMICS_MAX_PAGES || '20', 10),
     modules: {
       inventory: {
         enabled: true,
-        endpoint: '/products',
+        endpoint: '/data/ReleasedProductsV2',
       },
       purchasing: {
         enabled: true,
-        endpoint: '/purchaseorders',
+        endpoint: '/data/PurchaseOrderHeadersV2',
       },
       vendors: {
         enabled: true,
-        endpoint: '/vendors',
+        endpoint: '/data/VendorsV2',
       },
       production: {
         enabled: true,
-        endpoint: '/workorders',
+        endpoint: '/data/ProductionOrderHeaders',
       },
       qualityManagement: {
         enabled: true,
-        endpoint: '/qualitycontrols',
+        endpoint: '/data/QualityOrders',
       },
     },
   },
@@ -127,26 +144,27 @@ const config = {
     consumerSecret: process.env.NETSUITE_CONSUMER_SECRET,
     tokenId: process.env.NETSUITE_TOKEN_ID,
     tokenSecret: process.env.NETSUITE_TOKEN_SECRET,
+    pageSize: parseInt(process.env.NETSUITE_PAGE_SIZE || '100', 10),
     modules: {
       inventory: {
         enabled: true,
-        endpoint: '/record/inventoryitem',
+        endpoint: '/record/v1/inventoryItem',
       },
       purchasing: {
         enabled: true,
-        endpoint: '/record/purchaseorder',
+        endpoint: '/record/v1/purchaseOrder',
       },
       vendors: {
         enabled: true,
-        endpoint: '/record/vendor',
+        endpoint: '/record/v1/vendor',
       },
       production: {
         enabled: true,
-        endpoint: '/record/manufacturingoperation',
+        endpoint: '/record/v1/manufacturingOperationTask',
       },
       qualityManagement: {
         enabled: true,
-        endpoint: '/record/customrecord_qualityinspection',
+        endpoint: '/record/v1/customrecord_qualityinspection',
       },
     },
   },
@@ -0,0 +1,92 @@
+/**
+ * Job Scheduler Configuration
+ *
+ * Settings for the background jobs run in-app on cron and one-off
+ * schedules, and the schedules of the registered worker jobs.
+ *
+ * Environment Variables:
+ * - JOB_SCHEDULER_ENABLED: Whether this instance runs background jobs (default: true)
+ * - JOB_SCHEDULER_POLL_SECONDS: Seconds between checks for due jobs (default: 5)
+ * - JOB_SCHEDULER_MAX_CONCURRENT: Jobs one instance runs at once (default: 4)
+ * - JOB_SCHEDULER_LOCK_SECONDS: Seconds a job lock lasts unless renewed by the instance running it (default: 60)
+ * - JOB_SCHEDULER_TIMEOUT_MINUTES: Default minutes after which a run is failed as timed out (default: 30)
+ * - JOB_SCHEDULER_MAX_ATTEMPTS: Default attempts per run before it is given up (default: 3)
+ * - JOB_SCHEDULER_RETRY_BASE_SECONDS: Delay before the first retry, doubled for each further attempt (default: 60)
+ * - JOB_SCHEDULER_HISTORY_RETENTION_DAYS: Days runs are kept in the job history (default: 30)
+ * - JOB_SCHEDULER_TIMEZONE: Timezone of job cron expressions (default: UTC)
+ * - JOB_<NAME>_CRON: Cron expression of a worker job, such as JOB_BACKUP_CRON
+ * - BACKUP_VERIFICATION_SCHEDULE: Cron expression of the backup verification job (default: 30 3 * * *)
+ */
+
+module.exports = {
+  enabled: process.env.JOB_SCHEDULER_ENABLED !== 'false',
+
+  pollIntervalSeconds: Number(process.env.JOB_SCHEDULER_POLL_SECONDS || 5),
+
+  maxConcurrent: Number(process.env.JOB_SCHEDULER_MAX_CONCURRENT || 4),
+
+  lockSeconds: Number(process.env.JOB_SCHEDULER_LOCK_SECONDS || 60),
+
+  timeoutMinutes: Number(process.env.JOB_SCHEDULER_TIMEOUT_MINUTES || 30),
+
+  retry: {
+    maxAttempts: Number(process.env.JOB_SCHEDULER_MAX_ATTEMPTS || 3),
+    baseDelaySeconds: Number(process.env.JOB_SCHEDULER_RETRY_BASE_SECONDS || 60),
+    // Longest wait between two attempts
+    maxDelaySeconds: 60 * 60
+  },
+
+  historyRetentionDays: Number(process.env.JOB_SCHEDULER_HISTORY_RETENTION_DAYS || 30),
+
+  timezone: process.env.JOB_SCHEDULER_TIMEZONE || 'UTC',
+
+  // Seconds shutdown waits for running jobs before their locks are left to expire
+  shutdownGraceSeconds: 10,
+
+  // Schedules of the worker jobs, with per-job timeout and attempt overrides
+  jobs: {
+    'report-scheduler': {
+      cron: process.env.JOB_REPORT_SCHEDULER_CRON || '* * * * *',
+      maxAttempts: 1
+    },
+    'notification-dispatcher': {
+      cron: process.env.JOB_NOTIFICATION_DISPATCHER_CRON || '*/5 * * * *',
+      maxAttempts: 1
+    },
+    'webhook-dispatcher': {
+      cron: process.env.JOB_WEBHOOK_DISPATCHER_CRON || '* * * * *',
+      maxAttempts: 1
+    },
+    'erp-sync': {
+      cron: process.env.JOB_ERP_SYNC_CRON || '*/15 * * * *',
+      timeoutMinutes: 60
+    },
+    'audit-checkpoint': {
+      cron: process.env.JOB_AUDIT_CHECKPOINT_CRON || '0 * * * *'
+    },
+    'inspection-reminder': {
+      cron: process.env.JOB_INSPECTION_REMINDER_CRON || '0 7 * * *'
+    },
+    'certification-expiry-monitor': {
+      cron: process.env.JOB_CERTIFICATION_EXPIRY_MONITOR_CRON || '0 6 * * *'
+    },
+    'audit-overdue-monitor': {
+      cron: process.env.JOB_AUDIT_OVERDUE_MONITOR_CRON || '30 6 * * *'
+    },
+    // Early on the first of the month, once last month is complete
+    'supplier-scorecards': {
+      cron: process.env.JOB_SUPPLIER_SCORECARDS_CRON || '0 2 1 * *',
+      timeoutMinutes: 60
+    },
+    backup: {
+      cron: process.env.JOB_BACKUP_CRON || '0 1 * * *',
+      timeoutMinutes: 180,
+      maxAttempts: 2
+    },
+    'backup-verification': {
+      cron: process.env.JOB_BACKUP_VERIFICATION_CRON || process.env.BACKUP_VERIFICATION_SCHEDULE || '30 3 * * *',
+      timeoutMinutes: 120,
+      maxAttempts: 2
+    }
+  }
+};
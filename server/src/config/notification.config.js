@@ -0,0 +1,40 @@
+/**
+ * Notification Rules Configuration
+ *
+ * Channels, retries and digests of the notification rules engine.
+ *
+ * Environment Variables:
+ * - NOTIFICATION_MAX_ATTEMPTS: Attempts to deliver a notification before giving up (default: 3)
+ * - NOTIFICATION_RETRY_DELAY_MINUTES: Delay before the first retry, doubled for each further attempt (default: 5)
+ * - NOTIFICATION_WEBHOOK_TIMEOUT_MS: Time a user's webhook may take to respond (default: 10000)
+ * - NOTIFICATION_DIGEST_HOUR: Hour digests are sent at when a user sets none (default: 8)
+ * - CLIENT_URL: Base URL of the client, used for links in emails and webhooks
+ */
+
+module.exports = {
+  channels: ['inApp', 'email', 'sms', 'webhook'],
+
+  // Channels of users who have not set their preferences
+  defaultChannels: ['inApp', 'email'],
+
+  retry: {
+    maxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 3),
+    delayMinutes: Number(process.env.NOTIFICATION_RETRY_DELAY_MINUTES || 5)
+  },
+
+  webhookTimeoutMs: Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || 10000),
+
+  digest: {
+    defaultHour: Number(process.env.NOTIFICATION_DIGEST_HOUR || 8),
+    // Notifications listed in one digest; the rest are counted
+    maxItems: 50
+  },
+
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+
+  // Deliveries handled per run of the notification worker
+  batchSize: 200,
+
+  // Roles that may create subscriptions for other users and roles
+  managerRoles: ['admin', 'manager']
+};
@@ -0,0 +1,26 @@
+/**
+ * Receiving Inspection Configuration
+ *
+ * Settings for goods receipts and the receiving inspections generated from them.
+ *
+ * Environment Variables:
+ * - RECEIVING_SAMPLING_SCHEME: Sampling scheme for receiving lots, z1.4 or c0 (default: z1.4)
+ * - RECEIVING_INSPECTION_LEVEL: Z1.4 general or special inspection level (default: II)
+ * - RECEIVING_AQL: AQL for components without critical characteristics (default: 1.0)
+ * - RECEIVING_CRITICAL_AQL: AQL, on a C=0 plan, for components with a critical characteristic (default: 0.65)
+ * - RECEIVING_MRB_ON_REJECT: Hold rejected lots for the Material Review Board instead of rejecting them outright (default: true)
+ * - RECEIVING_FROM_ERP_PURCHASE_ORDERS: Record goods receipts from quantities received on ERP purchase orders (default: true)
+ */
+
+module.exports = {
+  sampling: {
+    scheme: process.env.RECEIVING_SAMPLING_SCHEME || 'z1.4',
+    inspectionLevel: process.env.RECEIVING_INSPECTION_LEVEL || 'II',
+    aql: Number(process.env.RECEIVING_AQL || 1.0),
+    criticalAql: Number(process.env.RECEIVING_CRITICAL_AQL || 0.65)
+  },
+
+  mrbOnReject: process.env.RECEIVING_MRB_ON_REJECT !== 'false',
+
+  pullFromErp: process.env.RECEIVING_FROM_ERP_PURCHASE_ORDERS !== 'false'
+};
@@ -0,0 +1,30 @@
+/**
+ * Report Query Configuration
+ *
+ * Limits on report data source queries.
+ *
+ * Environment Variables:
+ * - REPORT_QUERY_DEFAULT_ROWS: Rows returned when a query sets no limit (default: 1000)
+ * - REPORT_QUERY_MAX_ROWS: Largest limit a query may set (default: 5000)
+ * - REPORT_QUERY_MAX_COST: Largest estimated cost a query may have (default: 100)
+ * - REPORT_QUERY_MAX_TIME_MS: Time the database may spend on a query before it is aborted (default: 15000)
+ * - REPORT_QUERY_ALLOW_LEGACY: Run raw Mongo filters of templates that cannot be converted to report queries (default: false)
+ */
+
+module.exports = {
+  defaultRows: Number(process.env.REPORT_QUERY_DEFAULT_ROWS || 1000),
+  maxRows: Number(process.env.REPORT_QUERY_MAX_ROWS || 5000),
+
+  limits: {
+    joins: 3,
+    filters: 20,
+    groupBy: 3,
+    aggregates: 10
+  },
+
+  maxCost: Number(process.env.REPORT_QUERY_MAX_COST || 100),
+
+  maxTimeMS: Number(process.env.REPORT_QUERY_MAX_TIME_MS || 15000),
+
+  allowLegacyQueries: process.env.REPORT_QUERY_ALLOW_LEGACY === 'true'
+};
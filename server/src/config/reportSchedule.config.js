@@ -0,0 +1,25 @@
+/**
+ * Report Schedule Configuration
+ *
+ * Settings for scheduled report generation and delivery.
+ *
+ * Environment Variables:
+ * - REPORT_SCHEDULE_TIMEZONE: Default timezone of schedule cron expressions (default: UTC)
+ * - REPORT_SCHEDULE_MAX_CONCURRENT: Maximum report generations running at once across workers (default: 2)
+ * - REPORT_SCHEDULE_MAX_ATTEMPTS: Attempts per scheduled run before it is given up (default: 3)
+ * - REPORT_SCHEDULE_RETRY_DELAY_MINUTES: Delay before the first retry, doubled for each later one (default: 5)
+ * - REPORT_SCHEDULE_RUN_TIMEOUT_MINUTES: Minutes after which a running generation is treated as failed (default: 30)
+ */
+
+module.exports = {
+  defaultTimezone: process.env.REPORT_SCHEDULE_TIMEZONE || 'UTC',
+
+  maxConcurrent: Number(process.env.REPORT_SCHEDULE_MAX_CONCURRENT || 2),
+
+  retry: {
+    maxAttempts: Number(process.env.REPORT_SCHEDULE_MAX_ATTEMPTS || 3),
+    delayMinutes: Number(process.env.REPORT_SCHEDULE_RETRY_DELAY_MINUTES || 5)
+  },
+
+  runTimeoutMinutes: Number(process.env.REPORT_SCHEDULE_RUN_TIMEOUT_MINUTES || 30)
+};
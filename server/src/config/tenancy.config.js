@@ -0,0 +1,20 @@
+/**
+ * Multi-tenancy Configuration
+ *
+ * Tenant isolation of request-scoped data access.
+ *
+ * Environment Variables:
+ * - TENANT_DEFAULT_ID: Tenant of users and data that belong to no other tenant (default: default)
+ * - TENANT_ERP_ID: Tenant the ERP sync reads and writes data for (default: the default tenant)
+ */
+
+const defaultTenantId = process.env.TENANT_DEFAULT_ID || 'default';
+
+module.exports = {
+  defaultTenantId,
+
+  erpTenantId: process.env.TENANT_ERP_ID || defaultTenantId,
+
+  // Prefix of cache keys, tags and patterns set within a tenant context
+  cacheKeyPrefix: 'tenant'
+};
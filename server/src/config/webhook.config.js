@@ -0,0 +1,42 @@
+/**
+ * Outbound Webhook Configuration
+ *
+ * Signing, timeouts, retries and delivery log retention of the webhooks
+ * API clients register for domain events.
+ *
+ * Environment Variables:
+ * - WEBHOOK_TIMEOUT_MS: Time an endpoint may take to respond (default: 10000)
+ * - WEBHOOK_MAX_ATTEMPTS: Attempts to deliver an event before it is dead-lettered (default: 8)
+ * - WEBHOOK_RETRY_BASE_SECONDS: Delay before the first retry, doubled for each further attempt (default: 30)
+ * - WEBHOOK_LOG_RETENTION_DAYS: Days deliveries are kept in the delivery log (default: 30)
+ */
+
+module.exports = {
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+
+  retry: {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8),
+    baseDelaySeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30),
+    // Longest wait between two attempts
+    maxDelaySeconds: 6 * 60 * 60
+  },
+
+  signature: {
+    header: 'X-AeroSuite-Signature',
+    // Age of a signature receivers should accept, against replayed requests
+    toleranceSeconds: 5 * 60
+  },
+
+  logRetentionDays: Number(process.env.WEBHOOK_LOG_RETENTION_DAYS || 30),
+
+  // Characters of an endpoint's response kept in the delivery log
+  responseBodyLimit: 1000,
+
+  maxEndpointsPerOwner: 20,
+
+  // Deliveries attempted per run of the webhook worker
+  batchSize: 100,
+
+  // Time a delivery being sent stays claimed beyond the request timeout
+  claimMarginMs: 60 * 1000
+};
@@ -0,0 +1,156 @@
+/**
+ * Audit Chain Controller
+ * Handles HTTP requests for verifying and exporting the hash-chained audit log
+ */
+const { validationResult } = require('express-validator');
+const { auditLogService } = require('../services/auditLog.service');
+const { getCurrentTenantId } = require('../core/multiTenancy');
+const auditConfig = require('../config/auditLog.config');
+const { ForbiddenError } = require('../utils/errors');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Resolve the tenant whose chain is requested; only admins may pick another tenant
+ * @param {Object} req Express request
+ * @returns {string} Tenant ID
+ */
+const tenantOf = (req) => {
+  const own = String(req.user.tenantId || getCurrentTenantId() || auditConfig.defaultTenantId);
+  const requested = req.query.tenantId;
+  if (requested && requested !== own && req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to access the audit log of another tenant');
+  }
+  return requested || own;
+};
+
+/**
+ * Walk the audit log chain over a time range and report the first broken link
+ * @route GET /api/v1/audit-chain/verify
+ * @access Private (admin, auditor)
+ */
+exports.verifyChain = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const report = await auditLogService.verifyChain({
+      tenantId: tenantOf(req),
+      from: req.query.from,
+      to: req.query.to
+    });
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the audit log chain over a time range for offline verification
+ * @route GET /api/v1/audit-chain/export
+ * @access Private (admin, auditor)
+ */
+exports.exportChain = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const tenantId = tenantOf(req);
+    const exported = await auditLogService.exportChain({
+      tenantId,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    await auditLogService.log({
+      req,
+      eventType: 'DATA_EXPORT',
+      severity: 'MEDIUM',
+      targetType: 'SYSTEM',
+      action: 'AUDIT_CHAIN_EXPORT',
+      description: `Exported ${exported.records.length} audit records of tenant ${tenantId}`,
+      tenantId,
+      complianceTags: ['AS9100']
+    });
+
+    const stamp = exported.exportedAt.toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-chain-${tenantId}-${stamp}.json"`);
+    res.status(200).json(exported);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the signed checkpoints of the audit log chain
+ * @route GET /api/v1/audit-chain/checkpoints
+ * @access Private (admin, auditor)
+ */
+exports.getCheckpoints = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const checkpoints = await auditLogService.getCheckpoints(tenantOf(req), req.query);
+    res.status(200).json({
+      success: true,
+      count: checkpoints.length,
+      data: checkpoints
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign a checkpoint of the audit log chain's current head
+ * @route POST /api/v1/audit-chain/checkpoints
+ * @access Private (admin)
+ */
+exports.createCheckpoint = async (req, res, next) => {
+  try {
+    // Chain queued entries before signing the head
+    await auditLogService.flush();
+
+    const checkpoint = await auditLogService.createCheckpoint(tenantOf(req));
+    res.status(checkpoint ? 201 : 200).json({
+      success: true,
+      data: checkpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the public key checkpoints are signed with, and the fingerprints to trust
+ * @route GET /api/v1/audit-chain/signing-key
+ * @access Private (admin, auditor)
+ */
+exports.getSigningKey = async (req, res, next) => {
+  try {
+    const key = await auditLogService.getSigningPublicKey();
+    res.status(200).json({
+      success: true,
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+};
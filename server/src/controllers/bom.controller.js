@@ -0,0 +1,170 @@
+/**
+ * BOM Controller
+ * Handles HTTP requests for component bills of materials, where-used
+ * search and assembly quality status
+ */
+const { validationResult } = require('express-validator');
+const bomService = require('../services/bom.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Get the single-level bill of materials of a component
+ * @route GET /api/bom/components/:componentId/lines
+ * @access Private
+ */
+exports.getBomLines = async (req, res, next) => {
+  try {
+    const lines = await bomService.getBomLines(req.params.componentId, req.query);
+    res.status(200).json({
+      success: true,
+      count: lines.length,
+      data: lines
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a line to a component's bill of materials
+ * @route POST /api/bom/components/:componentId/lines
+ * @access Private
+ */
+exports.addBomLine = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const line = await bomService.addBomLine(req.params.componentId, req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a BOM line
+ * @route PUT /api/bom/lines/:lineId
+ * @access Private
+ */
+exports.updateBomLine = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const line = await bomService.updateBomLine(req.params.lineId, req.body);
+    res.status(200).json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a BOM line
+ * @route DELETE /api/bom/lines/:lineId
+ * @access Private
+ */
+exports.removeBomLine = async (req, res, next) => {
+  try {
+    await bomService.removeBomLine(req.params.lineId);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Explode a component's bill of materials
+ * @route GET /api/bom/components/:componentId/explode
+ * @access Private
+ */
+exports.explodeBom = async (req, res, next) => {
+  try {
+    const bom = await bomService.explodeBom(req.params.componentId, req.query);
+    res.status(200).json({
+      success: true,
+      data: bom
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Implode a component up to the end items it is used in
+ * @route GET /api/bom/components/:componentId/implode
+ * @access Private
+ */
+exports.implodeBom = async (req, res, next) => {
+  try {
+    const bom = await bomService.implodeBom(req.params.componentId, req.query);
+    res.status(200).json({
+      success: true,
+      data: bom
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find the assemblies a component is used in, by component ID or part number
+ * @route GET /api/bom/where-used
+ * @access Private
+ */
+exports.whereUsed = async (req, res, next) => {
+  try {
+    const result = await bomService.whereUsed(
+      { componentId: req.query.componentId, partNumber: req.query.partNumber },
+      req.query
+    );
+    res.status(200).json({
+      success: true,
+      count: result.usedIn.length,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the rolled-up quality status of an assembly
+ * @route GET /api/bom/components/:componentId/quality-status
+ * @access Private
+ */
+exports.getAssemblyQualityStatus = async (req, res, next) => {
+  try {
+    const status = await bomService.getAssemblyQualityStatus(req.params.componentId, req.query);
+    res.status(200).json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
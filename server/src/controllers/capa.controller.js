@@ -0,0 +1,232 @@
+/**
+ * CAPA Controller
+ * Handles HTTP requests for 8D corrective and preventive actions
+ */
+const { validationResult } = require('express-validator');
+const capaService = require('../services/capa.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Get CAPAs
+ * @route GET /api/capa
+ * @access Private
+ */
+exports.getCapas = async (req, res, next) => {
+  try {
+    const { page, limit, ...filters } = req.query;
+    const result = await capaService.getCapas(filters, { page, limit });
+    res.status(200).json({
+      success: true,
+      count: result.capas.length,
+      pagination: result.pagination,
+      data: result.capas
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a CAPA from a defect or non-conformance
+ * @route POST /api/capa
+ * @access Private
+ */
+exports.createCapa = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const capa = await capaService.createCapa(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a CAPA
+ * @route GET /api/capa/:capaId
+ * @access Private
+ */
+exports.getCapa = async (req, res, next) => {
+  try {
+    const capa = await capaService.getCapaById(req.params.capaId);
+    res.status(200).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update CAPA details
+ * @route PUT /api/capa/:capaId
+ * @access Private
+ */
+exports.updateCapa = async (req, res, next) => {
+  try {
+    const capa = await capaService.updateCapa(req.params.capaId, req.body);
+    res.status(200).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a containment action
+ * @route POST /api/capa/:capaId/containment-actions
+ * @access Private
+ */
+exports.addContainmentAction = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const capa = await capaService.addContainmentAction(req.params.capaId, req.body);
+    res.status(201).json({
+      success: true,
+      data: capa.containmentActions[capa.containmentActions.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a containment action
+ * @route PUT /api/capa/:capaId/containment-actions/:actionId
+ * @access Private
+ */
+exports.updateContainmentAction = async (req, res, next) => {
+  try {
+    const capa = await capaService.updateContainmentAction(
+      req.params.capaId,
+      req.params.actionId,
+      req.body
+    );
+    res.status(200).json({
+      success: true,
+      data: capa.containmentActions.id(req.params.actionId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a corrective or preventive action item
+ * @route POST /api/capa/:capaId/action-items
+ * @access Private
+ */
+exports.addActionItem = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const capa = await capaService.addActionItem(req.params.capaId, req.body);
+    res.status(201).json({
+      success: true,
+      data: capa.actionItems[capa.actionItems.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an action item
+ * @route PUT /api/capa/:capaId/action-items/:itemId
+ * @access Private
+ */
+exports.updateActionItem = async (req, res, next) => {
+  try {
+    const capa = await capaService.updateActionItem(
+      req.params.capaId,
+      req.params.itemId,
+      req.body
+    );
+    res.status(200).json({
+      success: true,
+      data: capa.actionItems.id(req.params.itemId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record effectiveness verification
+ * @route POST /api/capa/:capaId/verification
+ * @access Private
+ */
+exports.verifyEffectiveness = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const capa = await capaService.verifyEffectiveness(req.params.capaId, req.body, req.user.id);
+    res.status(200).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete the current 8D step
+ * @route POST /api/capa/:capaId/complete-step
+ * @access Private
+ */
+exports.completeStep = async (req, res, next) => {
+  try {
+    const capa = await capaService.completeStep(req.params.capaId, req.user.id);
+    res.status(200).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a CAPA
+ * @route POST /api/capa/:capaId/cancel
+ * @access Private
+ */
+exports.cancelCapa = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const capa = await capaService.cancelCapa(req.params.capaId, req.body.reason);
+    res.status(200).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Component Revision Controller
+ * Handles HTTP requests for component revision status changes and their
+ * change-impact analysis
+ */
+const { validationResult } = require('express-validator');
+
+/**
+ * Get the revision impact domain service
+ * Required on demand so the domain repositories bind to registered models
+ * @returns {Object} Revision impact service
+ */
+const getRevisionImpactService = () => require('../domains/component/services/RevisionImpactService');
+
+/**
+ * Get the impact analysis of a revision
+ * @route GET /api/components/:componentId/revisions/:revisionId/impact
+ * @access Private
+ */
+exports.getImpactAnalysis = async (req, res, next) => {
+  try {
+    const analysis = await getRevisionImpactService().getImpactAnalysis(
+      req.params.componentId,
+      req.params.revisionId
+    );
+
+    res.status(200).json({
+      success: true,
+      data: analysis
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the status of a revision; submitting for review runs the impact
+ * analysis and approval can update the affected inspections
+ * @route PUT /api/components/:componentId/revisions/:revisionId/status
+ * @access Private (Admin, Manager, Quality)
+ */
+exports.updateRevisionStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await getRevisionImpactService().updateRevisionStatus(
+      req.params.componentId,
+      req.params.revisionId,
+      req.body.status,
+      { id: req.user.id, email: req.user.email, role: req.user.role },
+      { updateInspections: req.body.updateInspections === true }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
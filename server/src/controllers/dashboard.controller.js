@@ -0,0 +1,294 @@
+/**
+ * Dashboard Controller
+ * Handles HTTP requests for persisted dashboards, their widgets and share links
+ */
+const { validationResult } = require('express-validator');
+const dashboardService = require('../services/dashboard.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List the dashboards the user can view
+ * @route GET /api/dashboard/boards
+ * @access Private
+ */
+exports.getDashboards = async (req, res, next) => {
+  try {
+    const dashboards = await dashboardService.getDashboards(req.user);
+    res.status(200).json({
+      success: true,
+      count: dashboards.length,
+      data: dashboards
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a dashboard
+ * @route POST /api/dashboard/boards
+ * @access Private
+ */
+exports.createDashboard = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const dashboard = await dashboardService.createDashboard(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      data: dashboardService.toClient(dashboard, 'owner')
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a dashboard with its widgets and layouts
+ * @route GET /api/dashboard/boards/:id
+ * @access Private
+ */
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const { dashboard, access } = await dashboardService.getDashboard(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: dashboardService.toClient(dashboard, access)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a dashboard
+ * @route PUT /api/dashboard/boards/:id
+ * @access Private
+ */
+exports.updateDashboard = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const { dashboard, access } = await dashboardService.updateDashboard(req.params.id, req.body, req.user);
+    res.status(200).json({
+      success: true,
+      data: dashboardService.toClient(dashboard, access)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a dashboard's layouts
+ * @route PUT /api/dashboard/boards/:id/layout
+ * @access Private
+ */
+exports.updateLayout = async (req, res, next) => {
+  try {
+    const { dashboard, access } = await dashboardService.updateLayout(req.params.id, req.body.layouts, req.user);
+    res.status(200).json({
+      success: true,
+      data: dashboardService.toClient(dashboard, access)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a dashboard
+ * @route DELETE /api/dashboard/boards/:id
+ * @access Private
+ */
+exports.deleteDashboard = async (req, res, next) => {
+  try {
+    await dashboardService.deleteDashboard(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export a dashboard definition
+ * @route GET /api/dashboard/boards/:id/export
+ * @access Private
+ */
+exports.exportDashboard = async (req, res, next) => {
+  try {
+    const definition = await dashboardService.exportDashboard(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: definition
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a widget to a dashboard
+ * @route POST /api/dashboard/boards/:id/widgets
+ * @access Private
+ */
+exports.addWidget = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const widget = await dashboardService.addWidget(req.params.id, req.body, req.user);
+    res.status(201).json({
+      success: true,
+      data: widget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a widget
+ * @route PUT /api/dashboard/boards/:id/widgets/:widgetId
+ * @access Private
+ */
+exports.updateWidget = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const widget = await dashboardService.updateWidget(req.params.id, req.params.widgetId, req.body, req.user);
+    res.status(200).json({
+      success: true,
+      data: widget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a widget
+ * @route DELETE /api/dashboard/boards/:id/widgets/:widgetId
+ * @access Private
+ */
+exports.deleteWidget = async (req, res, next) => {
+  try {
+    await dashboardService.deleteWidget(req.params.id, req.params.widgetId, req.user);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a widget's data
+ * @route GET /api/dashboard/boards/:id/widgets/:widgetId/data
+ * @access Private
+ */
+exports.getWidgetData = async (req, res, next) => {
+  try {
+    const result = await dashboardService.getWidgetData(req.params.id, req.params.widgetId, req.user, {
+      refresh: req.query.refresh === 'true'
+    });
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a dashboard's share links
+ * @route GET /api/dashboard/boards/:id/share
+ * @access Private
+ */
+exports.getShareLinks = async (req, res, next) => {
+  try {
+    const links = await dashboardService.getShareLinks(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      count: links.length,
+      data: links
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a share link to a dashboard
+ * @route POST /api/dashboard/boards/:id/share
+ * @access Private
+ */
+exports.createShareLink = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const { permission, roles, expiresInDays } = req.body;
+    const shared = await dashboardService.createShareLink(req.params.id, { permission, roles, expiresInDays }, req.user);
+    res.status(201).json({
+      success: true,
+      data: shared
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a share link
+ * @route DELETE /api/dashboard/boards/:id/share/:linkId
+ * @access Private
+ */
+exports.revokeShareLink = async (req, res, next) => {
+  try {
+    const link = await dashboardService.revokeShareLink(req.params.id, req.params.linkId, req.user);
+    res.status(200).json({
+      success: true,
+      data: link
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a dashboard share link
+ * @route GET /api/dashboard/shared/:token
+ * @access Private
+ */
+exports.openShareLink = async (req, res, next) => {
+  try {
+    const { dashboard, access } = await dashboardService.openShareLink(req.params.token, req.user);
+    res.status(200).json({
+      success: true,
+      data: dashboardService.toClient(dashboard, access)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -9,8 +9,10 @@ const mongoose = require('mongoose');
 const { 
   verifyDimensionalAccuracy,
   verifyInspectionMeasurements,
-  analyzeMeasurementTrends
+  analyzeMeasurementTrends,
+  analyzeComponentSPC
 } = require('../ai/services/dimensionalAccuracy.service');
+const { RULE_SETS } = require('../ai/services/spc.service');
 
 const {
   getGDTSymbolRecognition,
@@ -99,6 +101,74 @@ async function analyzeComponentTrends(req, res) {
   }
 }
 
+/**
+ * Run statistical process control analysis for a component
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getComponentSPC(req, res) {
+  try {
+    const { componentId } = req.params;
+    const { startDate, endDate, parameterName, chartType, subgroupSize, ruleSet } = req.query;
+    
+    // Validate component ID
+    if (!mongoose.Types.ObjectId.isValid(componentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid component ID format'
+      });
+    }
+    
+    if (chartType && !['auto', 'xbar-r', 'i-mr'].includes(chartType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chart type must be one of: auto, xbar-r, i-mr'
+      });
+    }
+    
+    if (ruleSet && !RULE_SETS.includes(ruleSet)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rule set must be one of: ${RULE_SETS.join(', ')}`
+      });
+    }
+    
+    const size = subgroupSize !== undefined ? parseInt(subgroupSize, 10) : undefined;
+    if (size !== undefined && (isNaN(size) || size < 2 || size > 10)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subgroup size must be an integer between 2 and 10'
+      });
+    }
+    
+    // Set up options for SPC analysis
+    const options = {};
+    if (startDate) options.startDate = startDate;
+    if (endDate) options.endDate = endDate;
+    if (parameterName) options.parameterName = parameterName;
+    if (chartType) options.chartType = chartType;
+    if (size) options.subgroupSize = size;
+    if (ruleSet) options.ruleSet = ruleSet;
+    
+    // Call the SPC analysis service
+    const spcAnalysis = await analyzeComponentSPC(componentId, options);
+    
+    return res.status(200).json({
+      success: true,
+      data: spcAnalysis
+    });
+  } catch (error) {
+    logger.error(`Error analyzing component SPC: ${error.message}`);
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Error analyzing component SPC',
+      error: error.message
+    });
+  }
+}
+
 /**
  * Get dimensional requirements from component drawing
  * 
@@ -200,6 +270,7 @@ async function verifyMeasurement(req, res) {
 module.exports = {
   verifyInspection,
   analyzeComponentTrends,
+  getComponentSPC,
   getComponentDimensionalRequirements,
   verifyMeasurement
 }; 
\ No newline at end of file
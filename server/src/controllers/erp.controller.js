@@ -5,6 +5,9 @@
  */
 
 const erpService = require('../services/erp/erp-service');
+const erpSyncEngine = require('../services/erp/erp-sync-engine');
+const Supplier = require('../models/supplier.model');
+const certificationMonitorService = require('../services/certificationMonitor.service');
 const logger = require('../utils/logger');
 
 /**
@@ -220,6 +223,12 @@ const createPurchaseOrder = async (req, res) => {
       });
     }
     
+    // Suppliers with a lapsed mandatory certificate can be blocked from new orders
+    const supplier = purchaseOrder.vendorCode && await Supplier.findOne({ code: purchaseOrder.vendorCode });
+    if (supplier) {
+      await certificationMonitorService.assertSupplierCertified(supplier, 'purchaseOrders');
+    }
+    
     const result = await erpService.createPurchaseOrder(purchaseOrder);
     
     res.status(201).json({
@@ -229,7 +238,7 @@ const createPurchaseOrder = async (req, res) => {
     });
   } catch (error) {
     logger.error(`Error creating purchase order in ERP: ${error.message}`);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to create purchase order in ERP system',
       error: error.message
@@ -481,6 +490,174 @@ const syncPurchaseOrdersFromERP = async (req, res) => {
   }
 };
 
+/**
+ * Run an incremental sync of an entity type with the ERP system
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const runIncrementalSync = async (req, res) => {
+  try {
+    const run = await erpSyncEngine.syncIncremental(req.params.entityType, {
+      conflictPolicy: req.body.conflictPolicy,
+      trigger: 'manual',
+      userId: req.user && req.user._id
+    });
+    
+    res.status(run.status === 'failed' ? 502 : 200).json({
+      success: run.status !== 'failed',
+      message: `Incremental ${req.params.entityType} sync ${run.status}`,
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Error running incremental ERP sync: ${error.message}`);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to run incremental ERP sync',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get sync runs from the sync ledger
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getSyncRuns = async (req, res) => {
+  try {
+    const { provider, entityType, status, trigger, from, to, page, limit } = req.query;
+    const result = await erpSyncEngine.getRuns(
+      { provider, entityType, status, trigger, from, to },
+      { page, limit }
+    );
+    
+    res.json({
+      success: true,
+      data: result.runs,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error(`Error getting ERP sync runs: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ERP sync runs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a sync run with its record outcomes
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getSyncRun = async (req, res) => {
+  try {
+    const run = await erpSyncEngine.getRun(req.params.id);
+    
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    logger.error(`Error getting ERP sync run: ${error.message}`);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to get ERP sync run',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the sync watermarks of each entity type
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getSyncWatermarks = async (req, res) => {
+  try {
+    const watermarks = await erpSyncEngine.getWatermarks(req.query.provider);
+    
+    res.json({
+      success: true,
+      data: watermarks
+    });
+  } catch (error) {
+    logger.error(`Error getting ERP sync watermarks: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ERP sync watermarks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get sync conflicts, open ones unless a status is given
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getSyncConflicts = async (req, res) => {
+  try {
+    const conflicts = await erpSyncEngine.getConflicts({
+      entityType: req.query.entityType,
+      status: req.query.status
+    });
+    
+    res.json({
+      success: true,
+      data: conflicts
+    });
+  } catch (error) {
+    logger.error(`Error getting ERP sync conflicts: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get ERP sync conflicts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resolve a sync conflict in favour of the ERP or AeroSuite version
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const resolveSyncConflict = async (req, res) => {
+  try {
+    const result = await erpSyncEngine.resolveConflict(
+      req.params.id,
+      req.body.resolution,
+      req.user && req.user._id
+    );
+    
+    res.json({
+      success: true,
+      message: `Conflict resolved in favour of ${req.body.resolution}`,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Error resolving ERP sync conflict: ${error.message}`);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to resolve ERP sync conflict',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getVendors,
   getInventory,
@@ -496,5 +673,11 @@ module.exports = {
   syncInspectionsToERP,
   syncVendorsFromERP,
   syncInventoryFromERP,
-  syncPurchaseOrdersFromERP
+  syncPurchaseOrdersFromERP,
+  runIncrementalSync,
+  getSyncRuns,
+  getSyncRun,
+  getSyncWatermarks,
+  getSyncConflicts,
+  resolveSyncConflict
 }; 
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * First Article Inspection Controller
+ * Handles HTTP requests for AS9102 first article inspection reports
+ */
+const { validationResult } = require('express-validator');
+const { ServerError } = require('../utils/errorHandler');
+
+const REPORT_OPTION_FIELDS = [
+  'serialNumber',
+  'reportNumber',
+  'organizationName',
+  'supplierCode',
+  'purchaseOrderNumber',
+  'faiType',
+  'baselineBalloons',
+  'reasonForPartialFai',
+  'productAccountability'
+];
+
+/**
+ * Get the FAI domain service
+ * Required on demand so the domain repositories bind to registered models
+ * @returns {Object} FAI service
+ */
+const getFaiService = () => require('../domains/component/services/FirstArticleInspectionService');
+
+/**
+ * Pick report options from a request payload
+ * @param {Object} source Request query or body
+ * @param {Object} user Authenticated user
+ * @returns {Object} Report options
+ */
+const getReportOptions = (source, user) => {
+  const options = {};
+  REPORT_OPTION_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      options[field] = source[field];
+    }
+  });
+
+  if (user) {
+    options.preparedBy = {
+      id: user.id,
+      name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+      date: new Date()
+    };
+  }
+
+  return options;
+};
+
+/**
+ * Get the FAI report (Forms 1, 2 and 3) as JSON
+ * @route GET /api/fai/components/:componentId/inspections/:inspectionId
+ * @access Private
+ */
+exports.getReport = async (req, res, next) => {
+  try {
+    const report = await getFaiService().generateReport(
+      req.params.componentId,
+      req.params.inspectionId,
+      getReportOptions(req.query, req.user)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the FAI report as PDF or Excel
+ * @route POST /api/fai/components/:componentId/inspections/:inspectionId/export
+ * @access Private
+ */
+exports.exportReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const faiService = getFaiService();
+    const format = req.body.format || 'pdf';
+    const report = await faiService.generateReport(
+      req.params.componentId,
+      req.params.inspectionId,
+      getReportOptions(req.body, req.user)
+    );
+
+    const reportPath = format === 'excel'
+      ? await faiService.renderExcel(report)
+      : await faiService.renderPdf(report);
+    const extension = format === 'excel' ? 'xlsx' : 'pdf';
+
+    if (req.query.download === 'true') {
+      res.download(reportPath, `${report.reportNumber}.${extension}`, (err) => {
+        if (err) {
+          next(new ServerError('Error downloading FAI report file'));
+        }
+      });
+    } else {
+      const relativePath = reportPath.replace(process.cwd(), '');
+
+      res.status(200).json({
+        success: true,
+        data: {
+          reportPath: relativePath,
+          reportNumber: report.reportNumber,
+          format,
+          faiComplete: report.summary.faiComplete,
+          missingResults: report.form3.missingResults.map(row => row.balloonNumber),
+          warnings: report.warnings,
+          generatedAt: report.generatedAt
+        }
+      });
+    }
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,168 @@
+/**
+ * Gauge Controller
+ * Handles HTTP requests for measuring equipment and Gauge R&R studies
+ */
+const { validationResult } = require('express-validator');
+const gaugeService = require('../services/gauge.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Get gauges
+ * @route GET /api/gauges
+ * @access Private
+ */
+exports.getGauges = async (req, res, next) => {
+  try {
+    const gauges = await gaugeService.getGauges(req.query);
+    res.status(200).json({
+      success: true,
+      count: gauges.length,
+      data: gauges
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a gauge
+ * @route POST /api/gauges
+ * @access Private
+ */
+exports.createGauge = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const gauge = await gaugeService.createGauge(req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      data: gauge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a gauge
+ * @route GET /api/gauges/:gaugeId
+ * @access Private
+ */
+exports.getGauge = async (req, res, next) => {
+  try {
+    const gauge = await gaugeService.getGaugeById(req.params.gaugeId);
+    res.status(200).json({
+      success: true,
+      data: gauge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a gauge
+ * @route PUT /api/gauges/:gaugeId
+ * @access Private
+ */
+exports.updateGauge = async (req, res, next) => {
+  try {
+    const gauge = await gaugeService.updateGauge(req.params.gaugeId, req.body);
+    res.status(200).json({
+      success: true,
+      data: gauge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a calibration of a gauge
+ * @route POST /api/gauges/:gaugeId/calibrations
+ * @access Private
+ */
+exports.recordCalibration = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const gauge = await gaugeService.recordCalibration(req.params.gaugeId, req.body);
+    res.status(200).json({
+      success: true,
+      data: gauge
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a gauge's Gauge R&R studies
+ * @route GET /api/gauges/:gaugeId/studies
+ * @access Private
+ */
+exports.getStudies = async (req, res, next) => {
+  try {
+    const studies = await gaugeService.getStudies(req.params.gaugeId);
+    res.status(200).json({
+      success: true,
+      count: studies.length,
+      data: studies
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a Gauge R&R study on a gauge
+ * @route POST /api/gauges/:gaugeId/studies
+ * @access Private
+ */
+exports.createStudy = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const study = await gaugeService.createStudy(req.params.gaugeId, req.body, req.user.id);
+    res.status(201).json({
+      success: true,
+      data: study
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a Gauge R&R study
+ * @route GET /api/gauges/:gaugeId/studies/:studyId
+ * @access Private
+ */
+exports.getStudy = async (req, res, next) => {
+  try {
+    const study = await gaugeService.getStudy(req.params.gaugeId, req.params.studyId);
+    res.status(200).json({
+      success: true,
+      data: study
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -8,6 +8,8 @@ const { sendInspectionNotification, sendInspectionResultNotification } = require
 const { BadRequestError, NotFoundError, ServerError } = require('../utils/errorHandler');
 const analyticsService = require('../services/analytics.service');
 const notificationService = require('../services/notification.service');
+const certificationMonitorService = require('../services/certificationMonitor.service');
+const { publishInspectionStatusUpdated, publishInspectionCompleted, publishDefectRecorded } = require('../domains/inspection/events/publishers');
 
 // Import transporter for direct email sending in updateInspection
 const nodemailer = require('nodemailer');
@@ -161,6 +163,9 @@ exports.createInspection = async (req, res, next) => {
       return next(new BadRequestError(`Supplier not found with id ${req.body.supplierId}`));
     }
     
+    // Suppliers with a lapsed mandatory certificate can be blocked from new inspections
+    await certificationMonitorService.assertSupplierCertified(supplier, 'inspections');
+    
     // Create inspection
     const inspection = await Inspection.create({
       ...req.body,
@@ -262,6 +267,18 @@ exports.updateInspection = async (req, res, next) => {
      .populate('supplierId')
      .populate('inspectedBy');
     
+    // Let subscribers know the status changed
+    if (inspection.status !== existingInspection.status) {
+      try {
+        publishInspectionStatusUpdated(inspection, existingInspection.status);
+        if (isBeingCompleted) {
+          publishInspectionCompleted(inspection, inspection.result);
+        }
+      } catch (eventError) {
+        console.error('Failed to publish inspection status update:', eventError);
+      }
+    }
+    
     // Send notifications if inspection is completed or the result has changed
     if (isBeingCompleted || resultChanged) {
       try {
@@ -591,6 +608,12 @@ exports.addDefect = async (req, res, next) => {
     inspection.defects.push(req.body);
     await inspection.save();
     
+    try {
+      publishDefectRecorded(inspection, inspection.defects[inspection.defects.length - 1]);
+    } catch (eventError) {
+      console.error('Failed to publish recorded defect:', eventError);
+    }
+    
     res.status(200).json({
       success: true,
       data: inspection
@@ -803,6 +826,14 @@ exports.completeInspection = async (req, res, next) => {
       .populate('supplierId')
       .populate('inspectedBy');
     
+    // Let subscribers know the inspection is complete
+    try {
+      publishInspectionStatusUpdated(populatedInspection, 'in-progress');
+      publishInspectionCompleted(populatedInspection, populatedInspection.result);
+    } catch (eventError) {
+      console.error('Failed to publish inspection completion:', eventError);
+    }
+    
     // Send notifications asynchronously
     const notificationPromise = (async () => {
       try {
@@ -0,0 +1,179 @@
+/**
+ * Job Controller
+ * Handles HTTP requests for administering background jobs and their run history
+ */
+const { validationResult } = require('express-validator');
+const jobSchedulerService = require('../services/jobScheduler.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List background jobs
+ * @route GET /api/admin/jobs
+ * @access Private (Admin)
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobSchedulerService.getJobs(req.query);
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      data: jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the job definitions registered on this server
+ * @route GET /api/admin/jobs/definitions
+ * @access Private (Admin)
+ */
+exports.getDefinitions = (req, res) => {
+  const definitions = jobSchedulerService.getDefinitions();
+  res.status(200).json({
+    success: true,
+    count: definitions.length,
+    data: definitions
+  });
+};
+
+/**
+ * Get a background job
+ * @route GET /api/admin/jobs/:name
+ * @access Private (Admin)
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await jobSchedulerService.getJob(req.params.name);
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a registered job to run once
+ * @route POST /api/admin/jobs
+ * @access Private (Admin)
+ */
+exports.scheduleJob = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const { handler, ...options } = req.body;
+    const job = await jobSchedulerService.scheduleOnce(handler, options, req.user.id);
+    res.status(201).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause a background job
+ * @route POST /api/admin/jobs/:name/pause
+ * @access Private (Admin)
+ */
+exports.pauseJob = async (req, res, next) => {
+  try {
+    const job = await jobSchedulerService.pauseJob(req.params.name);
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resume a paused background job
+ * @route POST /api/admin/jobs/:name/resume
+ * @access Private (Admin)
+ */
+exports.resumeJob = async (req, res, next) => {
+  try {
+    const job = await jobSchedulerService.resumeJob(req.params.name);
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a background job now
+ * @route POST /api/admin/jobs/:name/trigger
+ * @access Private (Admin)
+ */
+exports.triggerJob = async (req, res, next) => {
+  try {
+    const job = await jobSchedulerService.triggerJob(req.params.name);
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a background job's current or pending run
+ * @route POST /api/admin/jobs/:name/cancel
+ * @access Private (Admin)
+ */
+exports.cancelJob = async (req, res, next) => {
+  try {
+    const job = await jobSchedulerService.cancelJob(req.params.name);
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the run history of a background job
+ * @route GET /api/admin/jobs/:name/runs
+ * @access Private (Admin)
+ */
+exports.getRuns = async (req, res, next) => {
+  try {
+    const runs = await jobSchedulerService.getRuns(req.params.name, req.query);
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * Notification Rules Controller
+ * Handles HTTP requests for notification subscriptions and preferences
+ */
+const { validationResult } = require('express-validator');
+const notificationRulesService = require('../services/notificationRules.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List the events users can subscribe to
+ * @route GET /api/notifications/events
+ * @access Private
+ */
+exports.getEventCatalog = async (req, res, next) => {
+  try {
+    const events = notificationRulesService.getEventCatalog();
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the user's notification preferences
+ * @route GET /api/notifications/preferences
+ * @access Private
+ */
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const preferences = await notificationRulesService.getPreferences(req.user);
+    res.status(200).json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the user's notification preferences
+ * @route PUT /api/notifications/preferences
+ * @access Private
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const preferences = await notificationRulesService.updatePreferences(req.user, req.body);
+    res.status(200).json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the notification subscriptions the user can see
+ * @route GET /api/notifications/subscriptions
+ * @access Private
+ */
+exports.getSubscriptions = async (req, res, next) => {
+  try {
+    const subscriptions = await notificationRulesService.getSubscriptions(req.user);
+    res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a notification subscription
+ * @route POST /api/notifications/subscriptions
+ * @access Private
+ */
+exports.createSubscription = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const subscription = await notificationRulesService.createSubscription(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a notification subscription
+ * @route PUT /api/notifications/subscriptions/:id
+ * @access Private
+ */
+exports.updateSubscription = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const subscription = await notificationRulesService.updateSubscription(req.params.id, req.body, req.user);
+    res.status(200).json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a notification subscription
+ * @route DELETE /api/notifications/subscriptions/:id
+ * @access Private
+ */
+exports.deleteSubscription = async (req, res, next) => {
+  try {
+    await notificationRulesService.deleteSubscription(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,7 @@
  * Handles HTTP requests for supplier quality management
  */
 const qualityManagementService = require('../services/qualityManagement.service');
+const capaService = require('../services/capa.service');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 
 /**
@@ -138,6 +139,27 @@ exports.updateNonConformance = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the CAPA linked to a non-conformance record
+ * @route GET /api/suppliers/:supplierId/quality/non-conformances/:ncNumber/capa
+ * @access Private
+ */
+exports.getNonConformanceCapa = async (req, res, next) => {
+  try {
+    const capa = await capaService.getCapaForNonConformance(req.params.supplierId, req.params.ncNumber);
+    if (!capa) {
+      throw new NotFoundError(`No CAPA found for non-conformance ${req.params.ncNumber}`);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: capa
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Add a quality document
  * @route POST /api/suppliers/:supplierId/quality/documents
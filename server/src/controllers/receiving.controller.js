@@ -0,0 +1,132 @@
+/**
+ * Receiving Controller
+ * Handles HTTP requests for goods receipts, their receiving inspections
+ * and Material Review Board dispositions
+ */
+const { validationResult } = require('express-validator');
+const receivingInspectionService = require('../services/receivingInspection.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List goods receipts
+ * @route GET /api/receiving/receipts
+ * @access Private
+ */
+exports.getReceipts = async (req, res, next) => {
+  try {
+    const receipts = await receivingInspectionService.getReceipts(req.query);
+    res.status(200).json({
+      success: true,
+      count: receipts.length,
+      data: receipts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a goods receipt
+ * @route GET /api/receiving/receipts/:id
+ * @access Private
+ */
+exports.getReceipt = async (req, res, next) => {
+  try {
+    const receipt = await receivingInspectionService.getReceipt(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a goods receipt and generate its receiving inspection
+ * @route POST /api/receiving/receipts
+ * @access Private
+ */
+exports.recordReceipt = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const receipt = await receivingInspectionService.recordReceipt(req.body, { userId: req.user.id });
+    res.status(201).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record receipts for quantities received on ERP purchase orders
+ * @route POST /api/receiving/receipts/pull-from-erp
+ * @access Private
+ */
+exports.pullReceiptsFromErp = async (req, res, next) => {
+  try {
+    const result = await receivingInspectionService.pullReceiptsFromErp();
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record the Material Review Board disposition of a held lot
+ * @route POST /api/receiving/receipts/:id/mrb-disposition
+ * @access Private
+ */
+exports.recordMrbDisposition = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const receipt = await receivingInspectionService.recordMrbDisposition(req.params.id, req.body, req.user.id);
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry pushing a receipt's disposition to the ERP
+ * @route POST /api/receiving/receipts/:id/erp-sync
+ * @access Private
+ */
+exports.retryErpSync = async (req, res, next) => {
+  try {
+    const receipt = await receivingInspectionService.retryErpSync(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+  } catch (error) {
+    next(error);
+  }
+};
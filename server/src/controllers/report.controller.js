@@ -1,5 +1,6 @@
 const ReportTemplate = require('../models/ReportTemplate');
 const reportBuilderService = require('../services/reportBuilder.service');
+const reportQueryService = require('../services/reportQuery.service');
 const { NotFoundError, BadRequestError, ServerError } = require('../utils/errorHandler');
 
 /**
@@ -188,15 +189,18 @@ exports.generateCustomReport = async (req, res, next) => {
     
     // Process data sources for each section
     for (const section of reportConfig.sections) {
-      if (section.dataSource && section.dataSource.model) {
+      if (section.dataSource && (section.dataSource.model || section.dataSource.reportQuery)) {
         try {
           // Apply custom filters to data source if provided
-          if (req.body.filters && section.dataSource.query && section.dataSource.query.filter) {
-            Object.assign(section.dataSource.query.filter, req.body.filters);
+          if (req.body.filters) {
+            reportQueryService.applyFilter(section.dataSource, req.body.filters);
           }
           
           // Execute the data query
-          const data = await reportBuilderService.executeDataQuery(section.dataSource);
+          const data = await reportBuilderService.executeDataQuery(section.dataSource, {
+            roles: reportQueryService.rolesOf(req.user),
+            columns: section.columns
+          });
           section.data = data;
         } catch (err) {
           console.error(`Error fetching data for section ${section.title}:`, err);
@@ -211,7 +215,8 @@ exports.generateCustomReport = async (req, res, next) => {
     
     // Generate the PDF report
     const reportPath = await reportBuilderService.generateCustomReport(reportConfig, {
-      download: req.body.download === true
+      download: req.body.download === true,
+      roles: reportQueryService.rolesOf(req.user)
     });
     
     // Check if we want to download the file directly or just get the path
@@ -265,87 +270,8 @@ exports.previewReport = async (req, res, next) => {
  */
 exports.getDataSources = async (req, res, next) => {
   try {
-    // Define available data sources with their fields
-    const dataSources = [
-      {
-        model: 'Inspection',
-        label: 'Inspections',
-        fields: [
-          { id: 'inspectionNumber', label: 'Inspection Number', type: 'string' },
-          { id: 'title', label: 'Title', type: 'string' },
-          { id: 'description', label: 'Description', type: 'string' },
-          { id: 'inspectionType', label: 'Type', type: 'string' },
-          { id: 'status', label: 'Status', type: 'string' },
-          { id: 'result', label: 'Result', type: 'string' },
-          { id: 'scheduledDate', label: 'Scheduled Date', type: 'date' },
-          { id: 'completionDate', label: 'Completion Date', type: 'date' },
-          { id: 'score', label: 'Score', type: 'number' },
-          { id: 'customerId.name', label: 'Customer Name', type: 'string' },
-          { id: 'supplierId.name', label: 'Supplier Name', type: 'string' },
-          { id: 'inspectedBy.firstName', label: 'Inspector First Name', type: 'string' },
-          { id: 'inspectedBy.lastName', label: 'Inspector Last Name', type: 'string' },
-          { id: 'defects.length', label: 'Number of Defects', type: 'number' },
-          { id: 'checklistItems.length', label: 'Number of Checklist Items', type: 'number' },
-          { id: 'createdAt', label: 'Created At', type: 'date' },
-          { id: 'updatedAt', label: 'Updated At', type: 'date' }
-        ]
-      },
-      {
-        model: 'Supplier',
-        label: 'Suppliers',
-        fields: [
-          { id: 'name', label: 'Name', type: 'string' },
-          { id: 'code', label: 'Code', type: 'string' },
-          { id: 'industry', label: 'Industry', type: 'string' },
-          { id: 'status', label: 'Status', type: 'string' },
-          { id: 'primaryContactName', label: 'Primary Contact Name', type: 'string' },
-          { id: 'primaryContactEmail', label: 'Primary Contact Email', type: 'string' },
-          { id: 'phone', label: 'Phone', type: 'string' },
-          { id: 'address.city', label: 'City', type: 'string' },
-          { id: 'address.country', label: 'Country', type: 'string' },
-          { id: 'website', label: 'Website', type: 'string' },
-          { id: 'description', label: 'Description', type: 'string' },
-          { id: 'overallRating', label: 'Overall Rating', type: 'number' },
-          { id: 'certifications.length', label: 'Number of Certifications', type: 'number' },
-          { id: 'createdAt', label: 'Created At', type: 'date' },
-          { id: 'updatedAt', label: 'Updated At', type: 'date' }
-        ]
-      },
-      {
-        model: 'Customer',
-        label: 'Customers',
-        fields: [
-          { id: 'name', label: 'Name', type: 'string' },
-          { id: 'code', label: 'Code', type: 'string' },
-          { id: 'industry', label: 'Industry', type: 'string' },
-          { id: 'status', label: 'Status', type: 'string' },
-          { id: 'primaryContactName', label: 'Primary Contact Name', type: 'string' },
-          { id: 'primaryContactEmail', label: 'Primary Contact Email', type: 'string' },
-          { id: 'phone', label: 'Phone', type: 'string' },
-          { id: 'address.city', label: 'City', type: 'string' },
-          { id: 'address.country', label: 'Country', type: 'string' },
-          { id: 'website', label: 'Website', type: 'string' },
-          { id: 'description', label: 'Description', type: 'string' },
-          { id: 'createdAt', label: 'Created At', type: 'date' },
-          { id: 'updatedAt', label: 'Updated At', type: 'date' }
-        ]
-      },
-      {
-        model: 'Component',
-        label: 'Components',
-        fields: [
-          { id: 'name', label: 'Name', type: 'string' },
-          { id: 'partNumber', label: 'Part Number', type: 'string' },
-          { id: 'description', label: 'Description', type: 'string' },
-          { id: 'category', label: 'Category', type: 'string' },
-          { id: 'status', label: 'Status', type: 'string' },
-          { id: 'revision', label: 'Revision', type: 'string' },
-          { id: 'supplierId.name', label: 'Supplier Name', type: 'string' },
-          { id: 'createdAt', label: 'Created At', type: 'date' },
-          { id: 'updatedAt', label: 'Updated At', type: 'date' }
-        ]
-      }
-    ];
+    // Entities and fields visible to the user's roles
+    const dataSources = reportQueryService.getCatalog(reportQueryService.rolesOf(req.user));
     
     res.status(200).json({
       success: true,
@@ -356,6 +282,55 @@ exports.getDataSources = async (req, res, next) => {
   }
 };
 
+/**
+ * Run a report query
+ * @route POST /api/reports/query
+ * @access Private
+ */
+exports.runReportQuery = async (req, res, next) => {
+  try {
+    const roles = reportQueryService.rolesOf(req.user);
+    const { columns, cost } = reportQueryService.compileQuery(req.body.query, { roles });
+    const rows = await reportQueryService.execute(req.body.query, { roles });
+    
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      data: {
+        columns,
+        rows,
+        cost
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Validate a report query and estimate its cost without running it
+ * @route POST /api/reports/query/validate
+ * @access Private
+ */
+exports.validateReportQuery = async (req, res, next) => {
+  try {
+    const { columns, cost, pipeline } = reportQueryService.compileQuery(req.body.query, {
+      roles: reportQueryService.rolesOf(req.user)
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        columns,
+        cost,
+        pipeline
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * Export a report to Excel
  * @route POST /api/reports/export-excel
@@ -396,15 +371,18 @@ exports.exportToExcel = async (req, res, next) => {
     
     // Process data sources for each section
     for (const section of reportConfig.sections) {
-      if (section.dataSource && section.dataSource.model) {
+      if (section.dataSource && (section.dataSource.model || section.dataSource.reportQuery)) {
         try {
           // Apply custom filters to data source if provided
-          if (req.body.filters && section.dataSource.query && section.dataSource.query.filter) {
-            Object.assign(section.dataSource.query.filter, req.body.filters);
+          if (req.body.filters) {
+            reportQueryService.applyFilter(section.dataSource, req.body.filters);
           }
           
           // Execute the data query
-          const data = await reportBuilderService.executeDataQuery(section.dataSource);
+          const data = await reportBuilderService.executeDataQuery(section.dataSource, {
+            roles: reportQueryService.rolesOf(req.user),
+            columns: section.columns
+          });
           section.data = data;
         } catch (err) {
           console.error(`Error fetching data for section ${section.title}:`, err);
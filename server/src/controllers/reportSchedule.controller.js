@@ -0,0 +1,150 @@
+/**
+ * Report Schedule Controller
+ * Handles HTTP requests for report schedules and their run history
+ */
+const { validationResult } = require('express-validator');
+const reportScheduleService = require('../services/reportSchedule.service');
+const reportQueryService = require('../services/reportQuery.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List report schedules
+ * @route GET /api/report-schedules
+ * @access Private
+ */
+exports.getSchedules = async (req, res, next) => {
+  try {
+    const schedules = await reportScheduleService.getSchedules(req.query);
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a report schedule
+ * @route GET /api/report-schedules/:id
+ * @access Private
+ */
+exports.getSchedule = async (req, res, next) => {
+  try {
+    const schedule = await reportScheduleService.getSchedule(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a report schedule
+ * @route POST /api/report-schedules
+ * @access Private
+ */
+exports.createSchedule = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const schedule = await reportScheduleService.createSchedule(req.body, req.user.id, reportQueryService.rolesOf(req.user));
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a report schedule
+ * @route PUT /api/report-schedules/:id
+ * @access Private
+ */
+exports.updateSchedule = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const schedule = await reportScheduleService.updateSchedule(req.params.id, req.body);
+    res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a report schedule
+ * @route DELETE /api/report-schedules/:id
+ * @access Private
+ */
+exports.deleteSchedule = async (req, res, next) => {
+  try {
+    await reportScheduleService.deleteSchedule(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate and deliver a schedule's report now
+ * @route POST /api/report-schedules/:id/run
+ * @access Private
+ */
+exports.runScheduleNow = async (req, res, next) => {
+  try {
+    const run = await reportScheduleService.runScheduleNow(req.params.id, req.user.id);
+    res.status(200).json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the run history of a report schedule
+ * @route GET /api/report-schedules/:id/runs
+ * @access Private
+ */
+exports.getRuns = async (req, res, next) => {
+  try {
+    const runs = await reportScheduleService.getRuns(req.params.id, req.query);
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -47,7 +47,7 @@ exports.getRiskAssessment = async (req, res, next) => {
  */
 exports.updateRiskAssessment = async (req, res, next) => {
   try {
-    const assessment = await riskAssessmentService.updateRiskAssessment(req.params.id, req.body);
+    const assessment = await riskAssessmentService.updateRiskAssessment(req.params.id, req.body, req.user?.id);
     res.status(200).json({
       success: true,
       data: assessment
@@ -92,6 +92,43 @@ exports.getSupplierRiskAssessments = async (req, res, next) => {
   }
 };
 
+/**
+ * Re-score a risk assessment's data-driven factors from current data
+ * @route POST /api/risk-assessments/:id/rescore
+ * @access Private
+ */
+exports.rescoreRiskAssessment = async (req, res, next) => {
+  try {
+    const { assessment, changes } = await riskAssessmentService.rescoreRiskAssessment(req.params.id, {
+      userId: req.user?.id
+    });
+    res.status(200).json({
+      success: true,
+      changes,
+      data: assessment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the score change history of a risk assessment
+ * @route GET /api/risk-assessments/:id/score-history
+ * @access Private
+ */
+exports.getScoreHistory = async (req, res, next) => {
+  try {
+    const history = await riskAssessmentService.getScoreHistory(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get default risk factors
  * @route GET /api/risk-assessments/factors/default
@@ -7,6 +7,7 @@ const Component = require('../models/component.model');
 const { BadRequestError, NotFoundError } = require('../utils/errorHandler');
 const analyticsService = require('../services/analytics.service');
 const notificationService = require('../services/notification.service');
+const { publishSupplierStatusUpdated } = require('../domains/supplier/events/publishers');
 const { executeOptimizedQuery } = require('../utils/queryOptimizer');
 
 /**
@@ -263,6 +264,15 @@ exports.updateSupplier = async (req, res) => {
       }
     }
     
+    // Let subscribers know the status changed, such as when the supplier is blacklisted
+    if (updatedSupplier.status !== supplier.status) {
+      try {
+        publishSupplierStatusUpdated(updatedSupplier, supplier.status);
+      } catch (error) {
+        console.error('Error publishing supplier status update:', error);
+      }
+    }
+    
     // Create notification
     try {
       await notificationService.createSupplierNotification(updatedSupplier, 'updated');
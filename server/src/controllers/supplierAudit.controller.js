@@ -3,6 +3,7 @@
  * Handles HTTP requests for supplier audits
  */
 const supplierAuditService = require('../services/supplierAudit.service');
+const auditProgramService = require('../services/auditProgram.service');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 
 /**
@@ -122,7 +123,7 @@ exports.getSupplierAudits = async (req, res, next) => {
  */
 exports.getDefaultTemplates = async (req, res, next) => {
   try {
-    const templates = supplierAuditService.getDefaultChecklistTemplates();
+    const templates = await supplierAuditService.getDefaultChecklistTemplates();
     res.status(200).json({
       success: true,
       data: templates
@@ -130,4 +131,164 @@ exports.getDefaultTemplates = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get checklist template versions
+ * @route GET /api/supplier-audits/checklist-templates
+ * @access Private
+ */
+exports.getChecklistTemplates = async (req, res, next) => {
+  try {
+    const templates = await supplierAuditService.getChecklistTemplates(req.query);
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a checklist template version
+ * @route GET /api/supplier-audits/checklist-templates/:name/versions/:version
+ * @access Private
+ */
+exports.getChecklistTemplate = async (req, res, next) => {
+  try {
+    const template = await supplierAuditService.getChecklistTemplate(req.params.name, req.params.version);
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a new draft version of a checklist template
+ * @route POST /api/supplier-audits/checklist-templates/:name/versions
+ * @access Private (Admin, Manager, Quality)
+ */
+exports.createChecklistTemplateVersion = async (req, res, next) => {
+  try {
+    const template = await supplierAuditService.createChecklistTemplateVersion(
+      req.params.name,
+      req.body,
+      req.user?.id
+    );
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Publish a checklist template version for new audits
+ * @route POST /api/supplier-audits/checklist-templates/:name/versions/:version/publish
+ * @access Private (Admin, Manager, Quality)
+ */
+exports.publishChecklistTemplate = async (req, res, next) => {
+  try {
+    const template = await supplierAuditService.publishChecklistTemplate(
+      req.params.name,
+      req.params.version,
+      req.user?.id
+    );
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Raise QMS non-conformances for an audit's nonconformity findings
+ * @route POST /api/supplier-audits/:id/findings/nonconformances
+ * @access Private (Admin, Manager, Quality)
+ */
+exports.raiseFindingNonConformances = async (req, res, next) => {
+  try {
+    const { audit, raised } = await supplierAuditService.raiseFindingNonConformances(req.params.id);
+    res.status(200).json({
+      success: true,
+      data: { audit, raised }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const parseProgramYear = (value) => {
+  const year = parseInt(value, 10);
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    throw new BadRequestError(`Invalid audit program year ${value}`);
+  }
+  return year;
+};
+
+/**
+ * Get the risk-based audit calendar for a year
+ * @route GET /api/supplier-audits/program/:year
+ * @access Private
+ */
+exports.getAuditProgram = async (req, res, next) => {
+  try {
+    const supplierIds = req.query.supplierIds ? req.query.supplierIds.split(',') : undefined;
+    const calendar = await auditProgramService.buildAuditCalendar(parseProgramYear(req.params.year), { supplierIds });
+    res.status(200).json({
+      success: true,
+      count: calendar.length,
+      data: calendar
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create the planned audits of the audit calendar for a year
+ * @route POST /api/supplier-audits/program/:year
+ * @access Private (Admin, Manager, Quality)
+ */
+exports.planAuditProgram = async (req, res, next) => {
+  try {
+    const result = await auditProgramService.planAuditProgram(
+      parseProgramYear(req.params.year),
+      req.body,
+      req.user?.id
+    );
+    res.status(201).json({
+      success: true,
+      count: result.created.length,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark overdue audits delayed and notify their owners
+ * @route POST /api/supplier-audits/overdue/process
+ * @access Private (Admin, Manager)
+ */
+exports.processOverdueAudits = async (req, res, next) => {
+  try {
+    const result = await auditProgramService.processOverdueAudits();
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
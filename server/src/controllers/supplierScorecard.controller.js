@@ -0,0 +1,88 @@
+/**
+ * Supplier Scorecard Controller
+ * Handles HTTP requests for monthly supplier scorecards
+ */
+const { validationResult } = require('express-validator');
+const supplierScorecardService = require('../services/supplierScorecard.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Get scorecard snapshots for a supplier
+ * @route GET /api/suppliers/:id/scorecards
+ * @access Private
+ */
+exports.getScorecards = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const { from, to, limit } = req.query;
+    const scorecards = await supplierScorecardService.getScorecards(req.params.id, { from, to, limit });
+    res.status(200).json({
+      success: true,
+      count: scorecards.length,
+      data: scorecards
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the scorecard snapshot for a supplier and month
+ * @route GET /api/suppliers/:id/scorecards/:period
+ * @access Private
+ */
+exports.getScorecard = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const scorecard = await supplierScorecardService.getScorecard(req.params.id, req.params.period);
+    res.status(200).json({
+      success: true,
+      data: scorecard
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate (or regenerate) a supplier scorecard for a month
+ * @route POST /api/suppliers/:id/scorecards
+ * @access Private (Admin, Manager, Quality)
+ */
+exports.generateScorecard = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const scorecard = await supplierScorecardService.generateScorecard(
+      req.params.id,
+      req.body.period,
+      { weights: req.body.weights },
+      req.user.id
+    );
+    res.status(201).json({
+      success: true,
+      data: scorecard
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * Webhook Controller
+ * Handles HTTP requests for outbound webhook endpoints and their delivery logs
+ */
+const { validationResult } = require('express-validator');
+const webhookService = require('../services/webhook.service');
+
+/**
+ * Respond with validation errors if the request is invalid
+ * @param {Object} req Express request
+ * @param {Object} res Express response
+ * @returns {boolean} True if a response was sent
+ */
+const rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * List the events endpoints can subscribe to
+ * @route GET /api/v1/webhooks/events
+ * @access Private
+ */
+exports.getEventCatalog = async (req, res, next) => {
+  try {
+    const events = webhookService.getEventCatalog();
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List webhook endpoints
+ * @route GET /api/v1/webhooks
+ * @access Private
+ */
+exports.getEndpoints = async (req, res, next) => {
+  try {
+    const endpoints = await webhookService.getEndpoints(req.user);
+    res.status(200).json({
+      success: true,
+      count: endpoints.length,
+      data: endpoints
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ * @route POST /api/v1/webhooks
+ * @access Private
+ */
+exports.createEndpoint = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const { endpoint, secret } = await webhookService.createEndpoint(req.body, req.user, req.apiKey);
+    res.status(201).json({
+      success: true,
+      data: { ...endpoint.toObject(), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook endpoint
+ * @route GET /api/v1/webhooks/:id
+ * @access Private
+ */
+exports.getEndpoint = async (req, res, next) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * @route PUT /api/v1/webhooks/:id
+ * @access Private
+ */
+exports.updateEndpoint = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const endpoint = await webhookService.updateEndpoint(req.params.id, req.body, req.user);
+    res.status(200).json({
+      success: true,
+      data: endpoint
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * @route DELETE /api/v1/webhooks/:id
+ * @access Private
+ */
+exports.deleteEndpoint = async (req, res, next) => {
+  try {
+    await webhookService.deleteEndpoint(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a webhook endpoint's signing secret
+ * @route POST /api/v1/webhooks/:id/rotate-secret
+ * @access Private
+ */
+exports.rotateSecret = async (req, res, next) => {
+  try {
+    const { endpoint, secret } = await webhookService.rotateSecret(req.params.id, req.user);
+    res.status(200).json({
+      success: true,
+      data: { ...endpoint.toObject(), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook endpoint's delivery log
+ * @route GET /api/v1/webhooks/:id/deliveries
+ * @access Private
+ */
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) return;
+
+    const deliveries = await webhookService.getDeliveries(req.params.id, req.user, req.query);
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery's event to its endpoint again
+ * @route POST /api/v1/webhooks/deliveries/:deliveryId/redeliver
+ * @access Private
+ */
+exports.redeliver = async (req, res, next) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.deliveryId, req.user);
+    res.status(201).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -15,6 +15,8 @@ const hpp = require('hpp');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errorHandler');
 const cache = require('../utils/cache');
+const { SDK_LANGUAGES, generateSDK } = require('./sdk');
+const { PAGINATION_SCHEMA, operationName, withPaginationParameters } = require('./sdk/operations');
 
 /**
  * API Framework Core
@@ -197,7 +199,8 @@ class ApiFramework {
       handler,
       responses = {},
       parameters = [],
-      requestBody
+      requestBody,
+      paginated = false
     } = endpoint;
     
     // Build middleware chain
@@ -240,10 +243,10 @@ class ApiFramework {
       summary,
       description,
       tags,
-      operationId: `${method.toLowerCase()}${path.replace(/[^a-zA-Z0-9]/g, '')}`,
-      parameters: this.buildSwaggerParameters(parameters),
+      operationId: endpoint.operationId || operationName(method, path),
+      parameters: this.buildSwaggerParameters(paginated ? withPaginationParameters(parameters) : parameters),
       requestBody: requestBody ? this.buildSwaggerRequestBody(requestBody) : undefined,
-      responses: this.buildSwaggerResponses(responses),
+      responses: this.buildSwaggerResponses(responses, { paginated }),
       security: endpoint.security || versionConfig.documentation.security
     };
     
@@ -455,7 +458,7 @@ class ApiFramework {
   /**
    * Build Swagger responses
    */
-  buildSwaggerResponses(responses) {
+  buildSwaggerResponses(responses, { paginated = false } = {}) {
     const swaggerResponses = {
       '200': {
         description: 'Successful response',
@@ -466,6 +469,7 @@ class ApiFramework {
               properties: {
                 success: { type: 'boolean', example: true },
                 data: responses['200']?.schema || { type: 'object' },
+                ...(paginated && { pagination: PAGINATION_SCHEMA }),
                 meta: {
                   type: 'object',
                   properties: {
@@ -613,6 +617,37 @@ class ApiFramework {
       });
     });
     
+    // SDK downloads
+    if (this.config.enableDocs) {
+      app.get(`${this.config.basePath}/:version/sdk/:language`, (req, res, next) => {
+        const { version, language } = req.params;
+        const sdkLanguage = SDK_LANGUAGES[language];
+
+        if (!this.versions.has(version)) {
+          return res.status(404).json({
+            error: 'Not Found',
+            message: `API version ${version} does not exist`
+          });
+        }
+        if (!sdkLanguage) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: `SDK language ${language} is not supported`,
+            languages: Object.keys(SDK_LANGUAGES)
+          });
+        }
+
+        try {
+          const sdk = this.generateSDK(version, language);
+          res.attachment(`aerosuite-api-${version}.${sdkLanguage.extension}`);
+          res.type(sdkLanguage.contentType);
+          res.send(sdk);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+    
     // API metrics endpoint
     if (this.config.enableMetrics) {
       app.get(`${this.config.basePath}/metrics`, async (req, res) => {
@@ -724,7 +759,10 @@ class ApiFramework {
   }
 
   /**
-   * Generate API client SDK
+   * Generate API client SDK from the version's registered routes
+   * @param {string} version API version
+   * @param {string} language javascript, typescript or python
+   * @returns {string} Client source
    */
   generateSDK(version, language = 'javascript') {
     const versionConfig = this.versions.get(version);
@@ -732,67 +770,12 @@ class ApiFramework {
       throw new Error(`API version ${version} not found`);
     }
     
-    // This is a simplified example - in production, you'd use a proper SDK generator
-    const sdk = {
-      javascript: this.generateJavaScriptSDK(versionConfig),
-      typescript: this.generateTypeScriptSDK(versionConfig),
-      python: this.generatePythonSDK(versionConfig)
-    };
-    
-    return sdk[language] || sdk.javascript;
-  }
-
-  /**
-   * Generate JavaScript SDK
-   */
-  generateJavaScriptSDK(config) {
-    let sdk = `// AeroSuite API SDK ${config.version}\n\n`;
-    sdk += `class AeroSuiteAPI {\n`;
-    sdk += `  constructor(baseURL, apiKey) {\n`;
-    sdk += `    this.baseURL = baseURL || '${config.prefix}';\n`;
-    sdk += `    this.apiKey = apiKey;\n`;
-    sdk += `  }\n\n`;
-    
-    // Generate methods for each endpoint
-    this.routes.forEach((route) => {
-      if (route.version === config.version) {
-        const methodName = this.generateMethodName(route.method, route.path);
-        sdk += `  async ${methodName}(params = {}) {\n`;
-        sdk += `    // Implementation for ${route.method} ${route.path}\n`;
-        sdk += `  }\n\n`;
-      }
-    });
-    
-    sdk += `}\n\n`;
-    sdk += `module.exports = AeroSuiteAPI;\n`;
-    
-    return sdk;
-  }
-
-  /**
-   * Generate TypeScript SDK
-   */
-  generateTypeScriptSDK(config) {
-    // Similar to JavaScript but with TypeScript types
-    return '// TypeScript SDK implementation';
-  }
-
-  /**
-   * Generate Python SDK
-   */
-  generatePythonSDK(config) {
-    // Python SDK implementation
-    return '# Python SDK implementation';
-  }
-
-  /**
-   * Generate method name from route
-   */
-  generateMethodName(method, path) {
-    const parts = path.split('/').filter(p => p && !p.startsWith(':'));
-    const action = method.toLowerCase();
-    const resource = parts.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join('');
-    return `${action}${resource}`;
+    return generateSDK({
+      version,
+      baseURL: versionConfig.documentation.servers[0].url,
+      schemas: versionConfig.documentation.components.schemas,
+      routes: Array.from(this.routes.values())
+    }, language);
   }
 }
 
@@ -11,9 +11,13 @@ const domainEventBus = require('./DomainEventBus');
 // Import domain event modules
 const customerEvents = require('../domains/customer/events');
 const inspectionEvents = require('../domains/inspection/events');
+const supplierEvents = require('../domains/supplier/events');
+const notificationRulesService = require('../services/notificationRules.service');
+const webhookService = require('../services/webhook.service');
+const receivingInspectionService = require('../services/receivingInspection.service');
+const dimensionalAccuracyService = require('../ai/services/dimensionalAccuracy.service');
 
 // We'll add these when they're implemented
-// const supplierEvents = require('../domains/supplier/events');
 // const componentEvents = require('../domains/component/events');
 
 /**
@@ -29,10 +33,24 @@ function initializeDomainEvents() {
     // Set up inspection domain events
     inspectionEvents.initialize();
     
+    // Set up supplier domain events
+    supplierEvents.initialize();
+    
     // These will be uncommented when implemented
-    // supplierEvents.initialize();
     // componentEvents.initialize();
     
+    // Notify subscribed users of domain events
+    notificationRulesService.initialize();
+    
+    // Push domain events to registered webhook endpoints
+    webhookService.initialize();
+    
+    // Disposition goods receipts once their receiving inspections are approved
+    receivingInspectionService.initialize();
+    
+    // Publish SPC rule violations as inspections are recorded
+    dimensionalAccuracyService.initialize();
+    
     logger.info('Domain events system initialized successfully');
   } catch (error) {
     logger.error('Error initializing domain events system', { error });
@@ -45,6 +63,10 @@ function initializeDomainEvents() {
  */
 function resetDomainEvents() {
   logger.info('Resetting domain events system');
+  notificationRulesService.shutdown();
+  webhookService.shutdown();
+  receivingInspectionService.shutdown();
+  dimensionalAccuracyService.shutdown();
   domainEventBus.clearSubscriptions();
 }
 
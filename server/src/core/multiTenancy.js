@@ -4,28 +4,31 @@
  * 
  * This module provides the core functionality for ensuring data isolation
  * between different tenants in the multi-tenant architecture.
+ *
+ * The tenant is carried in async local storage, so each request sees its
+ * own tenant through every await, callback and timer it starts, however
+ * requests interleave.
  */
 
-const { logSecurityEvent, SEC_EVENT_SEVERITY } = require('../utils/securityEventLogger');
+const { AsyncLocalStorage } = require('async_hooks');
+const { logSecurityEvent, SEVERITY } = require('../utils/securityEventLogger');
 
 // Tenant context management
 const TENANT_CONTEXT = new Map();
 
-// Current tenant context (thread-local storage would be better in production)
-let currentTenantId = null;
+// Tenant context of the current async call chain: { tenantId, system }
+const tenantStorage = new AsyncLocalStorage();
 
 /**
- * Set the current tenant context for the request
+ * Register a tenant's information the first time it is seen
  * @param {string} tenantId - Tenant identifier
  * @param {Object} tenantInfo - Additional tenant information
  */
-function setTenantContext(tenantId, tenantInfo = {}) {
+function registerTenant(tenantId, tenantInfo = {}) {
   if (!tenantId) {
     throw new Error('Tenant ID is required');
   }
 
-  currentTenantId = tenantId;
-  
   // Store tenant info if not already present
   if (!TENANT_CONTEXT.has(tenantId)) {
     TENANT_CONTEXT.set(tenantId, {
@@ -36,18 +39,35 @@ function setTenantContext(tenantId, tenantInfo = {}) {
     // Log tenant context creation for security audit
     logSecurityEvent(
       'DATA_ACCESS',
-      SEC_EVENT_SEVERITY.MEDIUM,
-      `New tenant context created: ${tenantId}`,
-      { tenantId, action: 'CREATE_TENANT_CONTEXT' }
+      { message: `New tenant context created: ${tenantId}`, tenantId, action: 'CREATE_TENANT_CONTEXT' },
+      SEVERITY.INFO
     );
   }
+}
+
+/**
+ * Set the current tenant context for the request. Within a request, or a
+ * runWithTenant() call, only that call chain switches tenant.
+ * @param {string} tenantId - Tenant identifier
+ * @param {Object} tenantInfo - Additional tenant information
+ */
+function setTenantContext(tenantId, tenantInfo = {}) {
+  registerTenant(tenantId, tenantInfo);
+
+  const store = tenantStorage.getStore();
+  if (store) {
+    store.tenantId = tenantId;
+    store.system = false;
+  } else {
+    // Outside any request the tenant applies to the rest of this call chain
+    tenantStorage.enterWith({ tenantId, system: false });
+  }
 
   // Log tenant context switch for security audit
   logSecurityEvent(
     'DATA_ACCESS',
-    SEC_EVENT_SEVERITY.INFO,
-    `Tenant context switched: ${tenantId}`,
-    { tenantId, action: 'SET_TENANT_CONTEXT' }
+    { message: `Tenant context switched: ${tenantId}`, tenantId, action: 'SET_TENANT_CONTEXT' },
+    SEVERITY.INFO
   );
 }
 
@@ -56,27 +76,65 @@ function setTenantContext(tenantId, tenantInfo = {}) {
  * @returns {string|null} Current tenant ID or null if not set
  */
 function getCurrentTenantId() {
-  return currentTenantId;
+  const store = tenantStorage.getStore();
+  return store ? store.tenantId : null;
 }
 
 /**
  * Clear the current tenant context
  */
 function clearTenantContext() {
-  const previousTenantId = currentTenantId;
-  currentTenantId = null;
+  const store = tenantStorage.getStore();
+  const previousTenantId = store ? store.tenantId : null;
 
   if (previousTenantId) {
+    store.tenantId = null;
+
     // Log tenant context clear for security audit
     logSecurityEvent(
       'DATA_ACCESS',
-      SEC_EVENT_SEVERITY.INFO,
-      `Tenant context cleared: ${previousTenantId}`,
-      { tenantId: previousTenantId, action: 'CLEAR_TENANT_CONTEXT' }
+      { message: `Tenant context cleared: ${previousTenantId}`, tenantId: previousTenantId, action: 'CLEAR_TENANT_CONTEXT' },
+      SEVERITY.INFO
     );
   }
 }
 
+/**
+ * Run a function, and everything it starts, within a tenant's context
+ * @param {string} tenantId - Tenant identifier
+ * @param {Function} fn - Function to run
+ * @param {Object} tenantInfo - Additional tenant information
+ * @returns {*} Result of the function
+ */
+function runWithTenant(tenantId, fn, tenantInfo = {}) {
+  registerTenant(tenantId, tenantInfo);
+  return tenantStorage.run({ tenantId, system: false }, fn);
+}
+
+/**
+ * Run a function across all tenants, for background jobs that are not
+ * acting for any one tenant. Data they create must name its tenant.
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of the function
+ */
+function runAsSystem(fn) {
+  logSecurityEvent(
+    'DATA_ACCESS',
+    { message: 'System context entered', action: 'SYSTEM_TENANT_CONTEXT' },
+    SEVERITY.INFO
+  );
+  return tenantStorage.run({ tenantId: null, system: true }, fn);
+}
+
+/**
+ * Check whether the current call chain runs across all tenants
+ * @returns {boolean} Whether this is a system context
+ */
+function isSystemContext() {
+  const store = tenantStorage.getStore();
+  return Boolean(store && store.system);
+}
+
 /**
  * Get tenant information by ID
  * @param {string} tenantId - Tenant identifier
@@ -129,14 +187,14 @@ function verifyTenantData(data) {
     // Log security event for tenant isolation violation
     logSecurityEvent(
       'DATA_ACCESS',
-      SEC_EVENT_SEVERITY.HIGH,
-      'Tenant isolation violation detected',
       { 
+        message: 'Tenant isolation violation detected',
         tenantId, 
         dataId: data.id || 'unknown',
         dataTenantId: data.tenantId || 'missing',
         action: 'TENANT_ISOLATION_VIOLATION'
-      }
+      },
+      SEVERITY.WARN
     );
     
     return false;
@@ -145,6 +203,17 @@ function verifyTenantData(data) {
   return true;
 }
 
+/**
+ * Middleware giving each request a tenant context of its own, which
+ * authentication fills in once it knows the user's tenant
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function tenantContextMiddleware(req, res, next) {
+  tenantStorage.run({ tenantId: null, system: false }, next);
+}
+
 /**
  * Create a middleware for setting tenant context from request
  * @param {Function} tenantExtractor - Function to extract tenant ID from request
@@ -153,9 +222,6 @@ function verifyTenantData(data) {
 function tenantMiddleware(tenantExtractor) {
   return (req, res, next) => {
     try {
-      // Clear any existing tenant context
-      clearTenantContext();
-      
       // Extract tenant ID using the provided function
       const tenantId = tenantExtractor(req);
       
@@ -163,22 +229,14 @@ function tenantMiddleware(tenantExtractor) {
         return res.status(400).json({ error: 'Tenant ID not found in request' });
       }
       
-      // Set tenant context
-      setTenantContext(tenantId, { 
+      // Run the rest of the request within the tenant's context
+      runWithTenant(tenantId, next, { 
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
         requestId: req.headers['x-request-id'] || `req_${Date.now()}`
       });
-      
-      // Add cleanup after request is complete
-      res.on('finish', () => {
-        clearTenantContext();
-      });
-      
-      next();
     } catch (error) {
       console.error('Error in tenant middleware:', error);
-      clearTenantContext();
       res.status(500).json({ error: 'Failed to set tenant context' });
     }
   };
@@ -241,9 +299,13 @@ module.exports = {
   setTenantContext,
   getCurrentTenantId,
   clearTenantContext,
+  runWithTenant,
+  runAsSystem,
+  isSystemContext,
   getTenantInfo,
   applyTenantIsolation,
   verifyTenantData,
+  tenantContextMiddleware,
   tenantMiddleware,
   tenantExtractors,
   enforceTenantIsolation
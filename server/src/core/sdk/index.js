@@ -0,0 +1,60 @@
+/**
+ * SDK Generation
+ *
+ * Generates API clients from the route registry of an ApiFramework version.
+ * Each language lists its generator, the content type it is served as and
+ * the file extension of the download.
+ */
+
+const { collectOperations } = require('./operations');
+const generateJavaScript = require('./javascript');
+const generateTypeScript = require('./typescript');
+const generatePython = require('./python');
+
+const SDK_LANGUAGES = {
+  javascript: {
+    generate: generateJavaScript,
+    contentType: 'application/javascript',
+    extension: 'js'
+  },
+  typescript: {
+    generate: generateTypeScript,
+    contentType: 'application/typescript',
+    extension: 'd.ts'
+  },
+  python: {
+    generate: generatePython,
+    contentType: 'text/x-python',
+    extension: 'py'
+  }
+};
+
+/**
+ * Generate the client of an API version in a language
+ * @param {Object} api API version
+ * @param {string} api.version Version, e.g. v1
+ * @param {string} api.baseURL Default base URL of the client
+ * @param {Object} [api.schemas] components.schemas of the version's documentation
+ * @param {Array} api.routes Route registry entries with version, method, path and endpoint
+ * @param {string} language SDK language
+ * @returns {string} Client source
+ * @throws {Error} If the language is not supported
+ */
+const generateSDK = ({ version, baseURL, schemas = {}, routes }, language) => {
+  const sdkLanguage = SDK_LANGUAGES[language];
+  if (!sdkLanguage) {
+    throw new Error(`SDK language ${language} not supported`);
+  }
+
+  return sdkLanguage.generate({
+    version,
+    baseURL,
+    schemas,
+    operations: collectOperations(version, routes)
+  });
+};
+
+module.exports = {
+  SDK_LANGUAGES,
+  generateSDK
+};
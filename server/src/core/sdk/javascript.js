@@ -0,0 +1,369 @@
+/**
+ * JavaScript SDK Generator
+ *
+ * Emits a CommonJS client for an API version: bearer token and API key
+ * authentication, a method per registered route, a paginate helper for
+ * paginated routes and an error class per kind of failure.
+ */
+
+const { commentText } = require('./operations');
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Render a single-quoted string literal
+ * @param {string} value String value
+ * @returns {string} Literal
+ */
+const stringLiteral = (value) => `'${String(value).replace(/[\\']/g, '\\$&')}'`;
+
+/**
+ * Render a property key for an object literal
+ * @param {string} name Property name
+ * @returns {string} Bare or quoted key
+ */
+const objectKey = (name) => (IDENTIFIER.test(name) ? name : stringLiteral(name));
+
+/**
+ * Render a property read from params
+ * @param {string} name Property name
+ * @returns {string} Dot or bracket access
+ */
+const paramAccess = (name) => (IDENTIFIER.test(name) ? `params.${name}` : `params[${objectKey(name)}]`);
+
+/**
+ * Get the JSDoc type of a schema
+ * @param {Object} schema JSON schema
+ * @returns {string} JSDoc type
+ */
+const jsdocType = (schema) => {
+  if (!schema) return '*';
+  if (schema.$ref) return 'Object';
+  switch (schema.type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'array':
+      return `Array<${jsdocType(schema.items)}>`;
+    case 'object':
+      return 'Object';
+    default:
+      return schema.properties ? 'Object' : '*';
+  }
+};
+
+/**
+ * Render the JSDoc @param line of a parameter of params
+ * @param {string} name Parameter name
+ * @param {string} type JSDoc type
+ * @param {boolean} required Whether the parameter is required
+ * @param {string} description Parameter description
+ * @returns {string} JSDoc line
+ */
+const paramDoc = (name, type, required, description) => {
+  const path = IDENTIFIER.test(name) ? `params.${name}` : `params["${name}"]`;
+  const label = required ? path : `[${path}]`;
+  const text = commentText(description);
+  return `   * @param {${type}} ${label}${text ? ` ${text}` : ''}`;
+};
+
+/**
+ * Render the request path of an operation, as a template literal if it
+ * has path parameters
+ * @param {Object} operation SDK operation
+ * @returns {string} String or template literal
+ */
+const pathTemplate = (operation) => {
+  if (!operation.path.includes(':')) {
+    return stringLiteral(operation.path);
+  }
+  const segments = operation.path.split('/').map(segment => {
+    if (segment.startsWith(':')) {
+      const name = segment.slice(1).replace(/\?$/, '');
+      return `\${pathParam(params, ${stringLiteral(name)})}`;
+    }
+    return segment.replace(/[`\\$]/g, '\\$&');
+  });
+  return `\`${segments.join('/')}\``;
+};
+
+/**
+ * Render the method of one operation
+ * @param {Object} operation SDK operation
+ * @returns {string} Method source
+ */
+const renderOperation = (operation) => {
+  const params = [...operation.pathParams, ...operation.queryParams, ...operation.headerParams];
+  const paramsRequired = params.some(param => param.required) || (operation.body && operation.body.required);
+
+  const doc = [`  /**`, `   * ${commentText(operation.summary) || `${operation.method} ${operation.path}`}`];
+  if (operation.description) {
+    doc.push(`   * ${commentText(operation.description)}`);
+  }
+  doc.push(`   * @param {Object} ${paramsRequired ? 'params' : '[params]'}`);
+  params.forEach(param => doc.push(paramDoc(param.name, jsdocType(param.schema), param.required, param.description)));
+  if (operation.body) {
+    doc.push(paramDoc('body', jsdocType(operation.body.schema), operation.body.required, operation.body.description || 'Request body'));
+  }
+  doc.push('   * @param {Object} [options] Request options');
+  doc.push('   * @param {Object} [options.headers] Headers for this request');
+  doc.push(operation.paginated
+    ? `   * @returns {Promise<{data: ${jsdocType({ type: 'array', items: operation.response })}, pagination: Object}>} Page of results`
+    : `   * @returns {Promise<${jsdocType(operation.response)}>}`);
+  doc.push('   */');
+
+  const requestOptions = [];
+  if (operation.queryParams.length > 0) {
+    const query = operation.queryParams.map(param => `${objectKey(param.name)}: ${paramAccess(param.name)}`);
+    requestOptions.push(`      query: { ${query.join(', ')} }`);
+  }
+  if (operation.body) {
+    requestOptions.push('      body: params.body');
+  }
+  if (operation.headerParams.length > 0) {
+    const headers = operation.headerParams.map(param => `${objectKey(param.name)}: ${paramAccess(param.name)}`);
+    requestOptions.push(`      headers: { ${headers.join(', ')}, ...options.headers }`);
+  } else {
+    requestOptions.push('      headers: options.headers');
+  }
+
+  const result = operation.paginated
+    ? '    return { data: response.data, pagination: response.pagination };'
+    : '    return unwrap(response);';
+
+  return [
+    ...doc,
+    `  async ${operation.name}(params = {}, options = {}) {`,
+    `    const response = await this.request('${operation.method}', ${pathTemplate(operation)}, {`,
+    requestOptions.join(',\n'),
+    '    });',
+    result,
+    '  }'
+  ].join('\n');
+};
+
+/**
+ * Generate the JavaScript client of an API version
+ * @param {Object} api API description with version, baseURL and operations
+ * @returns {string} Client source
+ */
+const generateJavaScript = (api) => {
+  const methods = api.operations.map(renderOperation).join('\n\n');
+
+  return `/**
+ * AeroSuite API SDK ${api.version}
+ *
+ * Generated from the AeroSuite API ${api.version} route registry. Do not edit;
+ * download a fresh copy from /api/${api.version}/sdk/javascript when the API changes.
+ */
+
+'use strict';
+
+const DEFAULT_BASE_URL = ${stringLiteral(api.baseURL)};
+
+/**
+ * Error response from the API
+ */
+class AeroSuiteApiError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = options.status;
+    this.code = options.code;
+    this.details = options.details;
+    this.requestId = options.requestId;
+    this.body = options.body;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/** The request was invalid (400, 422) */
+class ValidationError extends AeroSuiteApiError {}
+
+/** The token or API key is missing or invalid (401) */
+class AuthenticationError extends AeroSuiteApiError {}
+
+/** The caller may not perform the request (403) */
+class ForbiddenError extends AeroSuiteApiError {}
+
+/** The resource does not exist (404) */
+class NotFoundError extends AeroSuiteApiError {}
+
+/** The request conflicts with existing data (409) */
+class ConflictError extends AeroSuiteApiError {}
+
+/** Too many requests; retryAfter is in seconds (429) */
+class RateLimitError extends AeroSuiteApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.retryAfter = options.retryAfter;
+  }
+}
+
+/** The server failed to handle the request (5xx) */
+class ServerError extends AeroSuiteApiError {}
+
+/** The request did not reach the server or the response was unreadable */
+class NetworkError extends AeroSuiteApiError {}
+
+const ERRORS_BY_STATUS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  422: ValidationError,
+  429: RateLimitError
+};
+
+const createError = (status, body, headers) => {
+  const payload = body && typeof body === 'object' ? body : {};
+  const error = payload.error && typeof payload.error === 'object' ? payload.error : payload;
+  const message = error.message || payload.message || \`Request failed with status \${status}\`;
+  const ErrorType = ERRORS_BY_STATUS[status] || (status >= 500 ? ServerError : AeroSuiteApiError);
+  return new ErrorType(message, {
+    status,
+    code: error.code,
+    details: error.details,
+    requestId: headers.get('x-request-id'),
+    retryAfter: Number(headers.get('retry-after')) || payload.retryAfter,
+    body
+  });
+};
+
+const pathParam = (params, name) => {
+  const value = params[name];
+  if (value === undefined || value === null || value === '') {
+    throw new TypeError(\`Missing required path parameter \${name}\`);
+  }
+  return encodeURIComponent(value);
+};
+
+const queryValue = (value) => (value instanceof Date ? value.toISOString() : String(value));
+
+const unwrap = (response) => (
+  response && typeof response === 'object' && 'data' in response ? response.data : response
+);
+
+/**
+ * AeroSuite API ${api.version} client
+ */
+class AeroSuiteAPI {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseURL] API base URL, including the version
+   * @param {string|Function} [options.token] Bearer token, or a function resolving to one
+   * @param {string} [options.apiKey] API key, sent as X-API-Key
+   * @param {Object} [options.headers] Headers sent with every request
+   * @param {Function} [options.fetch] fetch implementation; defaults to the global fetch
+   */
+  constructor(options = {}) {
+    this.baseURL = (options.baseURL || DEFAULT_BASE_URL).replace(/\\/+$/, '');
+    this.token = options.token;
+    this.apiKey = options.apiKey;
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * Set the bearer token, or a function resolving to one
+   * @param {string|Function} token Bearer token
+   * @returns {AeroSuiteAPI} This client
+   */
+  setToken(token) {
+    this.token = token;
+    return this;
+  }
+
+  /**
+   * Send a request and return the parsed response body
+   * @param {string} method HTTP method
+   * @param {string} path Path below the base URL
+   * @param {Object} [options]
+   * @param {Object} [options.query] Query parameters; undefined values are left out
+   * @param {*} [options.body] JSON request body
+   * @param {Object} [options.headers] Request headers
+   * @returns {Promise<*>} Response body
+   * @throws {AeroSuiteApiError} If the API responds with an error
+   */
+  async request(method, path, { query, body, headers } = {}) {
+    const url = new URL(this.baseURL + path);
+    Object.entries(query || {}).forEach(([name, value]) => {
+      if (value === undefined || value === null) return;
+      [].concat(value).forEach(item => url.searchParams.append(name, queryValue(item)));
+    });
+
+    const token = typeof this.token === 'function' ? await this.token() : this.token;
+    const requestHeaders = { Accept: 'application/json' };
+    Object.entries({ ...this.headers, ...headers }).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) requestHeaders[name] = String(value);
+    });
+    if (token) requestHeaders.Authorization = \`Bearer \${token}\`;
+    if (this.apiKey) requestHeaders['X-API-Key'] = this.apiKey;
+    if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+
+    let response;
+    let payload;
+    try {
+      response = await this.fetch(url.toString(), {
+        method,
+        headers: requestHeaders,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const text = await response.text();
+      const isJson = (response.headers.get('content-type') || '').includes('json');
+      payload = text && isJson ? JSON.parse(text) : text || undefined;
+    } catch (error) {
+      throw new NetworkError(\`\${method} \${path} failed: \${error.message}\`, { cause: error });
+    }
+
+    if (!response.ok) {
+      throw createError(response.status, payload, response.headers);
+    }
+    return payload;
+  }
+
+  /**
+   * Iterate over every item of a paginated method, page by page
+   * @param {string} operation Name of a paginated method, e.g. getSuppliers
+   * @param {Object} [params] Method parameters; page is the page to start from
+   * @returns {AsyncGenerator<*>} Items
+   */
+  async *paginate(operation, params = {}) {
+    let page = params.page || 1;
+    for (;;) {
+      const { data, pagination } = await this[operation]({ ...params, page });
+      yield* data;
+      const pages = pagination && (pagination.pages !== undefined
+        ? pagination.pages
+        : Math.ceil(pagination.total / pagination.limit));
+      if (data.length === 0 || page >= pages) return;
+      page += 1;
+    }
+  }
+${methods ? `\n${methods}\n` : ''}}
+
+module.exports = AeroSuiteAPI;
+Object.assign(module.exports, {
+  default: AeroSuiteAPI,
+  AeroSuiteAPI,
+  AeroSuiteApiError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  ServerError,
+  NetworkError
+});
+`;
+};
+
+module.exports = generateJavaScript;
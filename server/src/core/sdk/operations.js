@@ -0,0 +1,170 @@
+/**
+ * SDK Operations
+ *
+ * Turns the route registry of an ApiFramework version into the operations
+ * the SDK generators emit: one per registered endpoint, with its method
+ * name, path, query and header parameters, request body and response
+ * schema taken from the endpoint's swagger metadata.
+ */
+
+// Pagination object returned alongside the data of paginated endpoints
+const PAGINATION_SCHEMA = {
+  type: 'object',
+  required: ['page', 'limit', 'total', 'pages'],
+  properties: {
+    page: { type: 'integer', description: 'Current page, starting at 1' },
+    limit: { type: 'integer', description: 'Items per page' },
+    total: { type: 'integer', description: 'Total number of items' },
+    pages: { type: 'integer', description: 'Total number of pages' }
+  }
+};
+
+// Query parameters a paginated endpoint accepts unless it declares its own
+const PAGINATION_PARAMETERS = [
+  { name: 'page', in: 'query', description: 'Page to return, starting at 1', schema: { type: 'integer', minimum: 1 } },
+  { name: 'limit', in: 'query', description: 'Items per page', schema: { type: 'integer', minimum: 1 } }
+];
+
+/**
+ * Convert a path segment or parameter name to PascalCase
+ * @param {string} value Name such as supplier-audits or supplierId
+ * @returns {string} PascalCase name
+ */
+const pascalCase = (value) => value
+  .split(/[^a-zA-Z0-9]+/)
+  .filter(Boolean)
+  .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+  .join('');
+
+/**
+ * Get the names of the parameters in an Express route path
+ * @param {string} path Route path such as /suppliers/:id
+ * @returns {string[]} Parameter names
+ */
+const pathParameterNames = (path) => path
+  .split('/')
+  .filter(segment => segment.startsWith(':'))
+  .map(segment => segment.slice(1).replace(/\?$/, ''));
+
+/**
+ * Derive an SDK method name from a route, e.g. GET /suppliers/:id is
+ * getSuppliersById
+ * @param {string} method HTTP method
+ * @param {string} path Route path
+ * @returns {string} camelCase method name
+ */
+const operationName = (method, path) => {
+  const resource = path
+    .split('/')
+    .filter(segment => segment && !segment.startsWith(':'))
+    .map(pascalCase)
+    .join('');
+  const params = pathParameterNames(path).map(pascalCase);
+  const suffix = params.length > 0 ? `By${params.join('And')}` : '';
+  return `${method.toLowerCase()}${resource}${suffix}`;
+};
+
+/**
+ * Add the page and limit query parameters to a paginated endpoint's
+ * parameters, unless it declares them itself
+ * @param {Array} parameters Endpoint parameters
+ * @returns {Array} Parameters including page and limit
+ */
+const withPaginationParameters = (parameters = []) => [
+  ...parameters,
+  ...PAGINATION_PARAMETERS.filter(param => !parameters.some(declared => declared.name === param.name))
+];
+
+/**
+ * Describe one registered route as an SDK operation
+ * @param {Object} route Route registry entry with method, path and endpoint
+ * @returns {Object} Operation
+ */
+const describeOperation = ({ method, path, endpoint }) => {
+  const paginated = endpoint.paginated === true;
+  const declared = (paginated ? withPaginationParameters(endpoint.parameters) : endpoint.parameters || [])
+    .map(param => ({
+      name: param.name,
+      in: param.in || 'query',
+      description: param.description,
+      required: param.required || false,
+      schema: param.schema || { type: 'string' }
+    }));
+
+  const pathParams = pathParameterNames(path).map(name => {
+    const param = declared.find(candidate => candidate.in === 'path' && candidate.name === name);
+    return { schema: { type: 'string' }, description: undefined, ...param, name, in: 'path', required: true };
+  });
+
+  const data = endpoint.responses?.['200']?.schema;
+
+  return {
+    name: endpoint.operationId || operationName(method, path),
+    method: method.toUpperCase(),
+    path,
+    summary: endpoint.summary,
+    description: endpoint.description,
+    pathParams,
+    queryParams: declared.filter(param => param.in === 'query'),
+    headerParams: declared.filter(param => param.in === 'header'),
+    body: endpoint.requestBody
+      ? {
+          description: endpoint.requestBody.description,
+          required: endpoint.requestBody.required !== false,
+          schema: endpoint.requestBody.schema
+        }
+      : null,
+    paginated,
+    response: paginated ? data?.items : data
+  };
+};
+
+/**
+ * Collect the SDK operations of an API version from the route registry
+ * @param {string} version API version
+ * @param {Array} routes Route registry entries
+ * @returns {Array} Operations in registration order
+ * @throws {Error} If two routes map to the same method name
+ */
+const collectOperations = (version, routes) => {
+  const operations = [];
+  const routesByName = new Map();
+
+  routes
+    .filter(route => route.version === version)
+    .forEach(route => {
+      const operation = describeOperation(route);
+      const existing = routesByName.get(operation.name);
+      if (existing) {
+        throw new Error(
+          `SDK method ${operation.name} is generated for both ${existing} and ${route.method} ${route.path}; ` +
+          'set an operationId on one of them'
+        );
+      }
+      routesByName.set(operation.name, `${route.method} ${route.path}`);
+      operations.push(operation);
+    });
+
+  return operations;
+};
+
+/**
+ * Make free text safe to place in a generated comment
+ * @param {string} text Summary or description
+ * @returns {string} Single-line text
+ */
+const commentText = (text) => String(text || '')
+  .replace(/\s+/g, ' ')
+  .replace(/\*\//g, '*\\/')
+  .trim();
+
+module.exports = {
+  PAGINATION_SCHEMA,
+  PAGINATION_PARAMETERS,
+  pascalCase,
+  pathParameterNames,
+  operationName,
+  withPaginationParameters,
+  collectOperations,
+  commentText
+};
@@ -0,0 +1,405 @@
+/**
+ * Python SDK Generator
+ *
+ * Emits a requests-based Python client for an API version, with the same
+ * authentication, pagination and error classes as the JavaScript client.
+ * Methods and arguments are snake_case; path parameters are positional.
+ */
+
+const { commentText } = require('./operations');
+
+const PYTHON_KEYWORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+  'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'try', 'while', 'with', 'yield'
+]);
+
+/**
+ * Convert a name to a snake_case Python identifier
+ * @param {string} name Name such as getSuppliersById or X-Request-ID
+ * @returns {string} Identifier
+ */
+const snakeCase = (name) => {
+  const snake = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+  const identifier = /^[0-9]/.test(snake) ? `_${snake}` : snake;
+  return PYTHON_KEYWORDS.has(identifier) ? `${identifier}_` : identifier;
+};
+
+/**
+ * Render a Python string literal
+ * @param {string} value String value
+ * @returns {string} Literal
+ */
+const stringLiteral = (value) => JSON.stringify(String(value));
+
+/**
+ * Get the type hint of a schema
+ * @param {Object} schema JSON schema
+ * @returns {string} Type hint
+ */
+const typeHint = (schema) => {
+  if (!schema || schema.$ref || schema.enum || schema.oneOf || schema.anyOf || schema.allOf) {
+    return schema && Array.isArray(schema.enum) && schema.type === 'string' ? 'str' : 'Any';
+  }
+  switch (schema.type) {
+    case 'string':
+      return 'str';
+    case 'integer':
+      return 'int';
+    case 'number':
+      return 'float';
+    case 'boolean':
+      return 'bool';
+    case 'array':
+      return `List[${typeHint(schema.items)}]`;
+    case 'object':
+      return 'Dict[str, Any]';
+    default:
+      return schema.properties ? 'Dict[str, Any]' : 'Any';
+  }
+};
+
+/**
+ * Make text safe to place in a docstring
+ * @param {string} text Summary or description
+ * @returns {string} Single-line text
+ */
+const docText = (text) => commentText(text).replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"');
+
+/**
+ * Render the method of one operation
+ * @param {Object} operation SDK operation
+ * @returns {string} Method source
+ */
+const renderOperation = (operation) => {
+  const args = [];
+  const used = new Set(['self', 'headers']);
+  const argName = (name) => {
+    let identifier = snakeCase(name) || 'param';
+    while (used.has(identifier)) identifier = `${identifier}_`;
+    used.add(identifier);
+    return identifier;
+  };
+
+  [...operation.pathParams, ...operation.queryParams, ...operation.headerParams].forEach(param => {
+    args.push({ ...param, arg: argName(param.name), hint: typeHint(param.schema) });
+  });
+  if (operation.body) {
+    args.push({
+      name: 'body',
+      in: 'body',
+      arg: argName('body'),
+      required: operation.body.required,
+      description: operation.body.description || 'Request body',
+      hint: typeHint(operation.body.schema)
+    });
+  }
+
+  const required = args.filter(arg => arg.required);
+  const optional = args.filter(arg => !arg.required);
+  const signature = [
+    'self',
+    ...required.map(arg => `${arg.arg}: ${arg.hint}`),
+    '*',
+    ...optional.map(arg => `${arg.arg}: Optional[${arg.hint}] = None`),
+    'headers: Optional[Dict[str, str]] = None'
+  ];
+
+  const returns = operation.paginated ? 'Dict[str, Any]' : 'Any';
+  const lines = [
+    `    def ${snakeCase(operation.name)}(${signature.join(', ')}) -> ${returns}:`,
+    `        """${docText(operation.summary) || `${operation.method} ${operation.path}`}`
+  ];
+  if (operation.description) {
+    lines.push('', `        ${docText(operation.description)}`);
+  }
+  if (args.length > 0) {
+    lines.push('', '        Args:');
+    args.forEach(arg => {
+      const description = docText(arg.description);
+      lines.push(`            ${arg.arg}: ${description || arg.name}`);
+    });
+  }
+  if (operation.paginated) {
+    lines.push('', '        Returns:', '            Page of results with data and pagination.');
+  }
+  lines.push('        """');
+
+  const argFor = (param) => args.find(arg => arg.in === param.in && arg.name === param.name).arg;
+  const pathParts = [];
+  let literal = '';
+  operation.path.split('/').slice(1).forEach(segment => {
+    literal += '/';
+    if (segment.startsWith(':')) {
+      pathParts.push(stringLiteral(literal), `_path_param(${argFor({ in: 'path', name: segment.slice(1).replace(/\?$/, '') })})`);
+      literal = '';
+    } else {
+      literal += segment;
+    }
+  });
+  if (literal) {
+    pathParts.push(stringLiteral(literal));
+  }
+  const pathExpression = pathParts.join(' + ');
+
+  const requestArgs = [stringLiteral(operation.method), pathExpression];
+  if (operation.queryParams.length > 0) {
+    const query = operation.queryParams.map(param => `${stringLiteral(param.name)}: ${argFor(param)}`);
+    requestArgs.push(`query={${query.join(', ')}}`);
+  }
+  if (operation.body) {
+    requestArgs.push(`body=${argFor({ in: 'body', name: 'body' })}`);
+  }
+  if (operation.headerParams.length > 0) {
+    const headers = operation.headerParams.map(param => `${stringLiteral(param.name)}: ${argFor(param)}`);
+    requestArgs.push(`headers={${headers.join(', ')}, **(headers or {})}`);
+  } else {
+    requestArgs.push('headers=headers');
+  }
+
+  lines.push(`        response = self.request(${requestArgs.join(', ')})`);
+  lines.push(operation.paginated
+    ? '        return {"data": response["data"], "pagination": response.get("pagination")}'
+    : '        return _unwrap(response)');
+
+  return lines.join('\n');
+};
+
+/**
+ * Generate the Python client of an API version
+ * @param {Object} api API description with version, baseURL and operations
+ * @returns {string} Client source
+ */
+const generatePython = (api) => {
+  const methods = api.operations.map(renderOperation);
+
+  return `"""AeroSuite API SDK ${api.version}.
+
+Generated from the AeroSuite API ${api.version} route registry. Do not edit;
+download a fresh copy from /api/${api.version}/sdk/python when the API changes.
+"""
+
+from datetime import date, datetime
+from typing import Any, Callable, Dict, Iterator, List, Optional, Union
+from urllib.parse import quote
+
+import requests
+
+DEFAULT_BASE_URL = ${stringLiteral(api.baseURL)}
+
+
+class AeroSuiteApiError(Exception):
+    """Error response from the API."""
+
+    def __init__(self, message, status=None, code=None, details=None, request_id=None, body=None):
+        super().__init__(message)
+        self.message = message
+        self.status = status
+        self.code = code
+        self.details = details
+        self.request_id = request_id
+        self.body = body
+
+
+class ValidationError(AeroSuiteApiError):
+    """The request was invalid (400, 422)."""
+
+
+class AuthenticationError(AeroSuiteApiError):
+    """The token or API key is missing or invalid (401)."""
+
+
+class ForbiddenError(AeroSuiteApiError):
+    """The caller may not perform the request (403)."""
+
+
+class NotFoundError(AeroSuiteApiError):
+    """The resource does not exist (404)."""
+
+
+class ConflictError(AeroSuiteApiError):
+    """The request conflicts with existing data (409)."""
+
+
+class RateLimitError(AeroSuiteApiError):
+    """Too many requests; retry_after is in seconds (429)."""
+
+    def __init__(self, message, retry_after=None, **kwargs):
+        super().__init__(message, **kwargs)
+        self.retry_after = retry_after
+
+
+class ServerError(AeroSuiteApiError):
+    """The server failed to handle the request (5xx)."""
+
+
+class NetworkError(AeroSuiteApiError):
+    """The request did not reach the server or the response was unreadable."""
+
+
+ERRORS_BY_STATUS = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    422: ValidationError,
+    429: RateLimitError,
+}
+
+
+def _create_error(response):
+    try:
+        body = response.json()
+    except ValueError:
+        body = response.text or None
+    payload = body if isinstance(body, dict) else {}
+    error = payload.get("error") if isinstance(payload.get("error"), dict) else payload
+    status = response.status_code
+    message = error.get("message") or payload.get("message") or "Request failed with status %d" % status
+    error_type = ERRORS_BY_STATUS.get(status) or (ServerError if status >= 500 else AeroSuiteApiError)
+    kwargs = {
+        "status": status,
+        "code": error.get("code"),
+        "details": error.get("details"),
+        "request_id": response.headers.get("X-Request-ID"),
+        "body": body,
+    }
+    if error_type is RateLimitError:
+        retry_after = response.headers.get("Retry-After") or payload.get("retryAfter")
+        kwargs["retry_after"] = int(retry_after) if str(retry_after or "").isdigit() else None
+    return error_type(message, **kwargs)
+
+
+def _path_param(value):
+    if value is None or value == "":
+        raise ValueError("Missing required path parameter")
+    return quote(str(value), safe="")
+
+
+def _query_value(value):
+    if isinstance(value, bool):
+        return "true" if value else "false"
+    if isinstance(value, (date, datetime)):
+        return value.isoformat()
+    return value
+
+
+def _unwrap(response):
+    if isinstance(response, dict) and "data" in response:
+        return response["data"]
+    return response
+
+
+class AeroSuiteAPI:
+    """AeroSuite API ${api.version} client."""
+
+    def __init__(
+        self,
+        base_url: str = DEFAULT_BASE_URL,
+        token: Union[str, Callable[[], str], None] = None,
+        api_key: Optional[str] = None,
+        headers: Optional[Dict[str, str]] = None,
+        session: Optional[requests.Session] = None,
+        timeout: float = 30,
+    ):
+        """Create a client.
+
+        Args:
+            base_url: API base URL, including the version
+            token: Bearer token, or a function returning one
+            api_key: API key, sent as X-API-Key
+            headers: Headers sent with every request
+            session: requests session to send requests with
+            timeout: Request timeout in seconds
+        """
+        self.base_url = base_url.rstrip("/")
+        self.token = token
+        self.api_key = api_key
+        self.headers = dict(headers or {})
+        self.session = session or requests.Session()
+        self.timeout = timeout
+
+    def set_token(self, token: Union[str, Callable[[], str], None]) -> "AeroSuiteAPI":
+        """Set the bearer token, or a function returning one."""
+        self.token = token
+        return self
+
+    def request(
+        self,
+        method: str,
+        path: str,
+        query: Optional[Dict[str, Any]] = None,
+        body: Any = None,
+        headers: Optional[Dict[str, Optional[str]]] = None,
+    ) -> Any:
+        """Send a request and return the parsed response body.
+
+        Raises:
+            AeroSuiteApiError: If the API responds with an error.
+        """
+        request_headers = {"Accept": "application/json"}
+        for name, value in {**self.headers, **(headers or {})}.items():
+            if value is not None:
+                request_headers[name] = str(value)
+        token = self.token() if callable(self.token) else self.token
+        if token:
+            request_headers["Authorization"] = "Bearer %s" % token
+        if self.api_key:
+            request_headers["X-API-Key"] = self.api_key
+
+        params = {}
+        for name, value in (query or {}).items():
+            if value is not None:
+                params[name] = [_query_value(item) for item in value] if isinstance(value, list) else _query_value(value)
+
+        try:
+            response = self.session.request(
+                method,
+                self.base_url + path,
+                params=params,
+                json=body,
+                headers=request_headers,
+                timeout=self.timeout,
+            )
+        except requests.RequestException as error:
+            raise NetworkError("%s %s failed: %s" % (method, path, error)) from error
+
+        if not response.ok:
+            raise _create_error(response)
+        if not response.content:
+            return None
+        if "json" in response.headers.get("Content-Type", ""):
+            try:
+                return response.json()
+            except ValueError as error:
+                raise NetworkError("%s %s returned invalid JSON" % (method, path), status=response.status_code) from error
+        return response.text
+
+    def paginate(self, operation: str, **params: Any) -> Iterator[Any]:
+        """Iterate over every item of a paginated method, page by page.
+
+        Args:
+            operation: Name of a paginated method, e.g. get_suppliers
+            params: Method arguments; page is the page to start from
+        """
+        method = getattr(self, operation)
+        page = params.pop("page", None) or 1
+        while True:
+            result = method(page=page, **params)
+            data = result["data"]
+            pagination = result.get("pagination") or {}
+            yield from data
+            pages = pagination.get("pages")
+            if not data or (pages is not None and page >= pages):
+                return
+            page += 1
+${methods.map(method => `\n${method}\n`).join('')}`;
+};
+
+module.exports = generatePython;
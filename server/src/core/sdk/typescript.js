@@ -0,0 +1,325 @@
+/**
+ * TypeScript SDK Generator
+ *
+ * Emits declarations for the JavaScript client of an API version. Request
+ * parameters, bodies and responses are typed from the endpoints' swagger
+ * schemas, and components.schemas become named interfaces.
+ */
+
+const { pascalCase, commentText, PAGINATION_SCHEMA } = require('./operations');
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * Render a property name for an interface
+ * @param {string} name Property name
+ * @returns {string} Bare or quoted name
+ */
+const propertyName = (name) => (IDENTIFIER.test(name) ? name : `'${name.replace(/[\\']/g, '\\$&')}'`);
+
+/**
+ * Get the type name of a $ref to components.schemas
+ * @param {string} ref Reference such as #/components/schemas/Supplier
+ * @returns {string} Type name
+ */
+const refName = (ref) => pascalCase(ref.split('/').pop());
+
+/**
+ * Wrap a union or intersection in parentheses
+ * @param {string} type TypeScript type
+ * @returns {string} Type safe to suffix with []
+ */
+const group = (type) => {
+  let depth = 0;
+  for (const char of type) {
+    if ('{(<['.includes(char)) depth += 1;
+    else if ('})>]'.includes(char)) depth -= 1;
+    else if (depth === 0 && (char === '|' || char === '&')) return `(${type})`;
+  }
+  return type;
+};
+
+/**
+ * Render the TypeScript type of a schema
+ * @param {Object} schema JSON schema; named types are given as { typeName }
+ * @param {string} indent Indentation of the line the type starts on
+ * @returns {string} TypeScript type
+ */
+const tsType = (schema, indent = '') => {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  if (schema.typeName) return schema.typeName;
+  if (schema.$ref) return refName(schema.$ref);
+
+  let type;
+  if (Array.isArray(schema.enum)) {
+    type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(member => group(tsType(member, indent))).join(' | ');
+  } else if (schema.allOf) {
+    type = schema.allOf.map(member => group(tsType(member, indent))).join(' & ');
+  } else {
+    switch (schema.type) {
+      case 'string':
+        type = 'string';
+        break;
+      case 'integer':
+      case 'number':
+        type = 'number';
+        break;
+      case 'boolean':
+        type = 'boolean';
+        break;
+      case 'null':
+        type = 'null';
+        break;
+      case 'array':
+        type = `${group(tsType(schema.items, indent))}[]`;
+        break;
+      case 'object':
+        type = objectType(schema, indent);
+        break;
+      default:
+        type = schema.properties ? objectType(schema, indent) : 'unknown';
+    }
+  }
+
+  return schema.nullable ? `${type} | null` : type;
+};
+
+/**
+ * Render the members of an object schema, one per line
+ * @param {Object} schema Object schema
+ * @param {string} indent Indentation of the members
+ * @returns {string[]} Member lines
+ */
+const objectMembers = (schema, indent) => {
+  const required = new Set(schema.required || []);
+  const lines = [];
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    const description = commentText(property && property.description);
+    if (description) {
+      lines.push(`${indent}/** ${description} */`);
+    }
+    const optional = required.has(name) ? '' : '?';
+    lines.push(`${indent}${propertyName(name)}${optional}: ${tsType(property, indent)};`);
+  });
+
+  if (schema.additionalProperties) {
+    const valueType = schema.additionalProperties === true ? 'unknown' : tsType(schema.additionalProperties, indent);
+    lines.push(`${indent}[key: string]: ${valueType};`);
+  }
+
+  return lines;
+};
+
+/**
+ * Render an object schema as a type literal
+ * @param {Object} schema Object schema
+ * @param {string} indent Indentation of the line the type starts on
+ * @returns {string} Type literal
+ */
+const objectType = (schema, indent) => {
+  const members = objectMembers(schema, `${indent}  `);
+  if (members.length === 0) {
+    return 'Record<string, unknown>';
+  }
+  return `{\n${members.join('\n')}\n${indent}}`;
+};
+
+/**
+ * Render a named declaration: an interface for object schemas, otherwise
+ * a type alias
+ * @param {string} name Type name
+ * @param {Object} schema JSON schema
+ * @param {string} [description] Doc comment
+ * @returns {string} Declaration
+ */
+const declaration = (name, schema, description) => {
+  const doc = commentText(description || (schema && schema.description));
+  const lines = doc ? [`/** ${doc} */`] : [];
+  const isObject = schema && !schema.$ref && !schema.typeName && !schema.enum &&
+    !schema.oneOf && !schema.anyOf && !schema.allOf && !schema.nullable &&
+    (schema.type === 'object' || (!schema.type && schema.properties));
+  const members = isObject ? objectMembers(schema, '  ') : [];
+
+  if (members.length > 0) {
+    lines.push(`export interface ${name} {`, ...members, '}');
+  } else {
+    lines.push(`export type ${name} = ${tsType(schema)};`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Render the declarations of one operation's parameters, body and response
+ * @param {Object} operation SDK operation
+ * @returns {{ declarations: string[], signature: string, paginated: string|null }} Rendered types
+ */
+const renderOperation = (operation) => {
+  const typeName = pascalCase(operation.name);
+  const declarations = [];
+
+  const params = [...operation.pathParams, ...operation.queryParams, ...operation.headerParams];
+  const paramsSchema = {
+    type: 'object',
+    required: params.filter(param => param.required).map(param => param.name),
+    properties: {}
+  };
+  params.forEach(param => {
+    paramsSchema.properties[param.name] = { ...param.schema, description: param.description || param.schema.description };
+  });
+
+  if (operation.body) {
+    declarations.push(declaration(`${typeName}Body`, operation.body.schema, operation.body.description));
+    paramsSchema.properties.body = { typeName: `${typeName}Body` };
+    if (operation.body.required) {
+      paramsSchema.required.push('body');
+    }
+  }
+
+  const hasParams = Object.keys(paramsSchema.properties).length > 0;
+  if (hasParams) {
+    declarations.unshift(declaration(`${typeName}Params`, paramsSchema));
+  }
+
+  let returns;
+  if (operation.paginated) {
+    declarations.push(declaration(`${typeName}Item`, operation.response));
+    returns = `Page<${typeName}Item>`;
+  } else {
+    declarations.push(declaration(`${typeName}Response`, operation.response));
+    returns = `${typeName}Response`;
+  }
+
+  const paramsArg = hasParams
+    ? `params${paramsSchema.required.length > 0 ? '' : '?'}: ${typeName}Params, `
+    : 'params?: Record<string, never>, ';
+  const summary = commentText(operation.summary) || `${operation.method} ${operation.path}`;
+  const signature = [
+    `  /** ${summary} */`,
+    `  ${operation.name}(${paramsArg}options?: RequestOptions): Promise<${returns}>;`
+  ].join('\n');
+
+  return {
+    declarations,
+    signature,
+    paginated: operation.paginated
+      ? `  ${operation.name}: { params: ${hasParams ? `${typeName}Params` : 'Record<string, never>'}; item: ${typeName}Item };`
+      : null
+  };
+};
+
+/**
+ * Generate the TypeScript declarations of an API version's client
+ * @param {Object} api API description with version, schemas and operations
+ * @returns {string} Declaration file source
+ */
+const generateTypeScript = (api) => {
+  const schemas = Object.entries(api.schemas || {})
+    .map(([name, schema]) => declaration(pascalCase(name), schema));
+  const operations = api.operations.map(renderOperation);
+  const paginated = operations.map(operation => operation.paginated).filter(Boolean);
+
+  const sections = [
+    `/**
+ * AeroSuite API SDK ${api.version} type declarations
+ *
+ * Generated from the AeroSuite API ${api.version} route registry. Do not edit;
+ * download a fresh copy from /api/${api.version}/sdk/typescript when the API changes.
+ */`,
+    `export interface ClientOptions {
+  /** API base URL, including the version */
+  baseURL?: string;
+  /** Bearer token, or a function resolving to one */
+  token?: string | (() => string | Promise<string>);
+  /** API key, sent as X-API-Key */
+  apiKey?: string;
+  /** Headers sent with every request */
+  headers?: Record<string, string>;
+  /** fetch implementation; defaults to the global fetch */
+  fetch?: typeof fetch;
+}`,
+    `export interface RequestOptions {
+  /** Headers for this request */
+  headers?: Record<string, string | undefined>;
+}`,
+    declaration('Pagination', PAGINATION_SCHEMA),
+    `export interface Page<T> {
+  data: T[];
+  pagination: Pagination;
+}`,
+    `export interface ApiErrorOptions {
+  status?: number;
+  code?: number | string;
+  details?: unknown;
+  requestId?: string | null;
+  retryAfter?: number;
+  body?: unknown;
+  cause?: unknown;
+}`,
+    `/** Error response from the API */
+export declare class AeroSuiteApiError extends Error {
+  constructor(message: string, options?: ApiErrorOptions);
+  readonly status?: number;
+  readonly code?: number | string;
+  readonly details?: unknown;
+  readonly requestId?: string | null;
+  readonly body?: unknown;
+  readonly cause?: unknown;
+}`,
+    `/** The request was invalid (400, 422) */
+export declare class ValidationError extends AeroSuiteApiError {}`,
+    `/** The token or API key is missing or invalid (401) */
+export declare class AuthenticationError extends AeroSuiteApiError {}`,
+    `/** The caller may not perform the request (403) */
+export declare class ForbiddenError extends AeroSuiteApiError {}`,
+    `/** The resource does not exist (404) */
+export declare class NotFoundError extends AeroSuiteApiError {}`,
+    `/** The request conflicts with existing data (409) */
+export declare class ConflictError extends AeroSuiteApiError {}`,
+    `/** Too many requests; retryAfter is in seconds (429) */
+export declare class RateLimitError extends AeroSuiteApiError {
+  readonly retryAfter?: number;
+}`,
+    `/** The server failed to handle the request (5xx) */
+export declare class ServerError extends AeroSuiteApiError {}`,
+    `/** The request did not reach the server or the response was unreadable */
+export declare class NetworkError extends AeroSuiteApiError {}`,
+    ...schemas,
+    ...operations.flatMap(operation => operation.declarations),
+    paginated.length > 0
+      ? `/** Paginated methods, by name, with their parameters and item type */
+export interface PaginatedOperations {
+${paginated.join('\n')}
+}`
+      : 'export interface PaginatedOperations {}',
+    `/** AeroSuite API ${api.version} client */
+export declare class AeroSuiteAPI {
+  constructor(options?: ClientOptions);
+  baseURL: string;
+  token?: ClientOptions['token'];
+  apiKey?: string;
+  headers: Record<string, string>;
+  /** Set the bearer token, or a function resolving to one */
+  setToken(token: ClientOptions['token']): this;
+  /** Send a request and return the parsed response body */
+  request<T = unknown>(
+    method: string,
+    path: string,
+    options?: { query?: Record<string, unknown>; body?: unknown; headers?: Record<string, string | undefined> }
+  ): Promise<T>;
+  /** Iterate over every item of a paginated method, page by page */
+  paginate<K extends keyof PaginatedOperations>(
+    operation: K,
+    params?: PaginatedOperations[K]['params']
+  ): AsyncGenerator<PaginatedOperations[K]['item'], void, undefined>;
+${operations.map(operation => operation.signature).join('\n')}
+}`,
+    'export default AeroSuiteAPI;'
+  ];
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+module.exports = generateTypeScript;
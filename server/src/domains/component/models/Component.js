@@ -180,6 +180,8 @@ class Component extends AggregateRoot {
       ? revisionData 
       : new Revision({
           ...revisionData,
+          // Without a proposed specification set the revision releases the current one
+          specifications: revisionData.specifications || this.specifications.map(s => s.toObject()),
           version: this.getNextRevisionVersion()
         });
     
@@ -199,6 +201,44 @@ class Component extends AggregateRoot {
     return revision;
   }
   
+  getRevision(revisionId) {
+    const revision = this.revisions.find(r => r.id === revisionId);
+    
+    if (!revision) {
+      throw new DomainError(`Revision with ID ${revisionId} not found`);
+    }
+    
+    return revision;
+  }
+  
+  updateRevisionStatus(revisionId, status, approver = null) {
+    const revision = this.getRevision(revisionId);
+    const previousStatus = revision.status;
+    
+    revision.updateStatus(status, approver);
+    
+    // An approved revision puts its specification set into effect
+    if (status === 'approved') {
+      this.specifications = revision.specifications.map(spec => new Specification(spec.toObject()));
+    }
+    
+    this.markModified();
+    
+    // Add domain event
+    this.addDomainEvent({
+      type: 'ComponentRevisionStatusUpdated',
+      payload: {
+        componentId: this.id,
+        revisionId: revision.id,
+        version: revision.version,
+        previousStatus,
+        status
+      }
+    });
+    
+    return revision;
+  }
+  
   getNextRevisionVersion() {
     if (this.revisions.length === 0) {
       return '1.0.0';
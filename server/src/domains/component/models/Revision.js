@@ -6,6 +6,7 @@
  */
 
 const Entity = require('../../../core/Entity');
+const Specification = require('./Specification');
 const { DomainError } = require('../../../core/errors');
 
 class Revision extends Entity {
@@ -20,6 +21,8 @@ class Revision extends Entity {
     approvedAt = null,
     effectiveDate = null,
     documents = [],
+    specifications = [],
+    impactAnalysis = null,
     createdAt,
     updatedAt
   }) {
@@ -34,6 +37,12 @@ class Revision extends Entity {
     this.effectiveDate = effectiveDate ? new Date(effectiveDate) : null;
     this.documents = [...documents];
     
+    // Specification set released by this revision
+    this.specifications = specifications.map(spec =>
+      spec instanceof Specification ? spec : new Specification(spec)
+    );
+    this.impactAnalysis = impactAnalysis;
+    
     this.validate();
   }
   
@@ -68,7 +77,8 @@ class Revision extends Entity {
   updateDetails({
     description,
     changes,
-    effectiveDate
+    effectiveDate,
+    specifications
   }) {
     if (this.status === 'approved' || this.status === 'obsolete') {
       throw new DomainError(`Cannot update details of a revision with status: ${this.status}`);
@@ -77,6 +87,11 @@ class Revision extends Entity {
     if (description !== undefined) this.description = description;
     if (changes) this.changes = [...changes];
     if (effectiveDate) this.effectiveDate = new Date(effectiveDate);
+    if (specifications) {
+      this.specifications = specifications.map(spec =>
+        spec instanceof Specification ? spec : new Specification(spec)
+      );
+    }
     
     this.markModified();
   }
@@ -198,6 +213,15 @@ class Revision extends Entity {
     return true;
   }
   
+  /**
+   * Record the change impact analysis of this revision
+   * @param {Object} analysis - Impact analysis (see RevisionImpactService)
+   */
+  recordImpactAnalysis(analysis) {
+    this.impactAnalysis = analysis;
+    this.markModified();
+  }
+  
   isDraft() {
     return this.status === 'draft';
   }
@@ -222,6 +246,8 @@ class Revision extends Entity {
       approvedAt: this.approvedAt,
       effectiveDate: this.effectiveDate,
       documents: this.documents,
+      specifications: this.specifications.map(s => s.toObject()),
+      impactAnalysis: this.impactAnalysis,
       isDraft: this.isDraft(),
       isApproved: this.isApproved(),
       isObsolete: this.isObsolete()
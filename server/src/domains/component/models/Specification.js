@@ -20,6 +20,7 @@ class Specification extends Entity {
     tolerance = null,
     minValue = null,
     maxValue = null,
+    criticality = 'medium',
     createdAt,
     updatedAt
   }) {
@@ -33,6 +34,7 @@ class Specification extends Entity {
     this.tolerance = tolerance;
     this.minValue = minValue;
     this.maxValue = maxValue;
+    this.criticality = criticality;
     
     this.validate();
   }
@@ -135,7 +137,31 @@ class Specification extends Entity {
       isRequired: this.isRequired,
       tolerance: this.tolerance,
       minValue: this.minValue,
-      maxValue: this.maxValue
+      maxValue: this.maxValue,
+      criticality: this.criticality
+    };
+  }
+  
+  /**
+   * Express a specification as an inspection item's expected value and
+   * symmetric tolerance. Limits without a tolerance become their midpoint
+   * and half-width.
+   * @param {Specification|Object} spec - Specification or its plain object
+   * @returns {Object} - { expectedValue, tolerance, unitOfMeasure }
+   */
+  static toInspectionRequirement(spec) {
+    if (typeof spec.minValue === 'number' && typeof spec.maxValue === 'number' && spec.tolerance === null) {
+      return {
+        expectedValue: (spec.minValue + spec.maxValue) / 2,
+        tolerance: (spec.maxValue - spec.minValue) / 2,
+        unitOfMeasure: spec.unit || null
+      };
+    }
+    
+    return {
+      expectedValue: spec.value === undefined ? null : spec.value,
+      tolerance: spec.tolerance,
+      unitOfMeasure: spec.unit || null
     };
   }
 }
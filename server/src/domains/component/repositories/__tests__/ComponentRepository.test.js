@@ -1,4 +1,149 @@
+const mongoose = require('mongoose');
+const ComponentModel = require('../../../../models/component.model');
 const ComponentRepository = require('../componentRepository');
+const revisionImpactService = require('../../services/RevisionImpactService');
+const inspectionRepository = require('../../../inspection/repositories/inspectionRepository');
+
+const mockCache = { get: jest.fn(), set: jest.fn(), del: jest.fn() };
+
+jest.mock('../../../../infrastructure/caching', () => ({
+  getDefaultCacheManager: () => mockCache
+}));
+
+jest.mock('../../../inspection/repositories/inspectionRepository', () => ({
+  findById: jest.fn(),
+  findAll: jest.fn(),
+  save: jest.fn(inspection => Promise.resolve(inspection))
+}));
+
+const COMPONENT_ID = new mongoose.Types.ObjectId().toString();
+const ASSEMBLY_ID = new mongoose.Types.ObjectId().toString();
+
+// A component as stored before revisions, with a legacy text tolerance
+const storedComponent = () => ({
+  _id: COMPONENT_ID,
+  name: 'Actuator Housing',
+  partNumber: 'ACT-HSG-100',
+  customerId: new mongoose.Types.ObjectId(),
+  supplierId: new mongoose.Types.ObjectId(),
+  status: 'in-development',
+  specs: [
+    { _id: 'spec-bore', name: 'Bore Diameter', value: '12.5', tolerance: '±0.05', unit: 'mm', criticality: 'critical' },
+    { _id: 'spec-chamfer', name: 'Edge Chamfer', value: 0.5, tolerance: 0.1, unit: 'mm' }
+  ],
+  relatedComponents: [{ componentId: ASSEMBLY_ID, relationType: 'assembly' }],
+  images: [{ url: 'https://cdn.example.com/act-hsg-100.png', isPrimary: true }]
+});
+
+const storedAssembly = () => ({
+  _id: ASSEMBLY_ID,
+  name: 'Flap Actuator',
+  partNumber: 'ACT-1000',
+  customerId: new mongoose.Types.ObjectId(),
+  supplierId: new mongoose.Types.ObjectId()
+});
+
+// Only the database calls are stubbed; documents are cast, validated and
+// stripped by the real schema
+describe('ComponentRepository persistence', () => {
+  let documents;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documents = new Map([
+      [COMPONENT_ID, ComponentModel.hydrate(storedComponent())],
+      [ASSEMBLY_ID, ComponentModel.hydrate(storedAssembly())]
+    ]);
+
+    jest.spyOn(ComponentModel, 'findById').mockImplementation(async id => documents.get(String(id)) || null);
+    // Validate against the schema and store a copy, as the database would
+    jest.spyOn(ComponentModel.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      documents.set(this._id.toString(), ComponentModel.hydrate(this.toObject({ virtuals: false })));
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should map stored specifications, statuses and relations to the domain', async () => {
+    // Act
+    const component = await ComponentRepository.findById(COMPONENT_ID);
+
+    // Assert
+    expect(component.code).toBe('ACT-HSG-100');
+    expect(component.status).toBe('development');
+    expect(component.specifications[0]).toMatchObject({
+      id: 'spec-bore',
+      value: 12.5,
+      tolerance: 0.05,
+      criticality: 'critical'
+    });
+    expect(component.relatedComponents).toEqual([
+      expect.objectContaining({ componentId: ASSEMBLY_ID, relationType: 'assembly' })
+    ]);
+  });
+
+  it('should save revisions and read them back', async () => {
+    // Arrange
+    const component = await ComponentRepository.findById(COMPONENT_ID);
+    const revision = component.createRevision({
+      description: 'Tighten bore tolerance',
+      author: 'engineer-1',
+      specifications: [
+        { id: 'spec-bore', name: 'Bore Diameter', value: 12.5, tolerance: 0.02, unit: 'mm', criticality: 'critical' }
+      ]
+    });
+
+    // Act
+    await ComponentRepository.save(component);
+    const reloaded = await ComponentRepository.findById(COMPONENT_ID);
+
+    // Assert
+    const stored = documents.get(COMPONENT_ID);
+    expect(stored.status).toBe('in-development');
+    expect(stored.images).toHaveLength(1);
+    expect(reloaded.revisions).toHaveLength(1);
+    expect(reloaded.revisions[0]).toMatchObject({ id: revision.id, version: '1.0.0', status: 'draft', author: 'engineer-1' });
+    expect(reloaded.revisions[0].specifications[0]).toMatchObject({ id: 'spec-bore', tolerance: 0.02 });
+    expect(reloaded.specifications.map(spec => spec.id)).toEqual(['spec-bore', 'spec-chamfer']);
+  });
+
+  it('should persist revision status changes and impact analysis made by the revision impact service', async () => {
+    // Arrange
+    inspectionRepository.findAll.mockResolvedValue([]);
+    const component = await ComponentRepository.findById(COMPONENT_ID);
+    const revision = component.createRevision({
+      description: 'Drop the chamfer',
+      specifications: [{ id: 'spec-bore', name: 'Bore Diameter', value: 12.5, tolerance: 0.05, unit: 'mm' }]
+    });
+    await ComponentRepository.save(component);
+
+    // Act
+    await revisionImpactService.updateRevisionStatus(COMPONENT_ID, revision.id, 'review', { id: 'engineer-1' });
+    await revisionImpactService.updateRevisionStatus(COMPONENT_ID, revision.id, 'approved', { id: 'approver-1' });
+    const reloaded = await ComponentRepository.findById(COMPONENT_ID);
+
+    // Assert
+    const [approved] = reloaded.revisions;
+    expect(approved).toMatchObject({ status: 'approved', approvedBy: 'approver-1' });
+    expect(approved.impactAnalysis.summary).toMatchObject({ specificationsRemoved: 1, affectedAssemblies: 1 });
+    expect(approved.impactAnalysis.affectedAssemblies[0]).toMatchObject({ componentId: ASSEMBLY_ID, code: 'ACT-1000' });
+    expect(reloaded.specifications.map(spec => spec.id)).toEqual(['spec-bore']);
+    expect(documents.get(COMPONENT_ID).revision).toBe('1.0.0');
+  });
+
+  it('should reject documents the schema cannot store', async () => {
+    // Arrange
+    const component = await ComponentRepository.findById(COMPONENT_ID);
+    component.addRelatedComponent('not-an-object-id', 'parent');
+
+    // Act / Assert
+    await expect(ComponentRepository.save(component)).rejects.toThrow(mongoose.Error.ValidationError);
+  });
+});
 
 describe('ComponentRepository', () => {
   let repo;
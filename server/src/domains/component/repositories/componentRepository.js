@@ -6,13 +6,68 @@
 
 const Repository = require('../../../core/Repository');
 const Component = require('../models/Component');
-const Specification = require('../models/Specification');
-const Revision = require('../models/Revision');
 const mongoose = require('mongoose');
-const ComponentModel = mongoose.model('Component');
-const CacheManager = require('../../../infrastructure/caching/CacheManager');
+const ComponentModel = require('../../../models/component.model');
+const { getDefaultCacheManager } = require('../../../infrastructure/caching');
 const logger = require('../../../infrastructure/logger');
 
+// Domain statuses stored under a different name in the database
+const STATUS_TO_DATABASE = {
+  development: 'in-development',
+  discontinued: 'inactive'
+};
+const STATUS_FROM_DATABASE = {
+  'in-development': 'development',
+  inactive: 'discontinued'
+};
+
+const DOCUMENT_TYPES = ['drawing', 'specification', 'procedure', 'certificate', 'other'];
+
+/**
+ * Read a stored number that may have been saved as text
+ * @param {*} value - Stored value
+ * @returns {number|null} - Number, or null if the value is not numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return null;
+  // Older records hold tolerances as text such as '±0.05'
+  const number = Number(String(value).trim().replace(/^±\s*/, ''));
+  return String(value).trim() !== '' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Map a stored specification to domain specification data
+ * @param {Object} spec - Stored specification
+ * @returns {Object} - Specification data
+ */
+const toDomainSpecification = (spec) => ({
+  id: String(spec._id),
+  name: spec.name,
+  // Numeric values stored as text compare as numbers
+  value: typeof spec.value === 'string' && /^-?\d+(\.\d+)?$/.test(spec.value.trim()) ? Number(spec.value) : spec.value,
+  unit: spec.unit,
+  description: spec.description,
+  category: spec.category,
+  isRequired: spec.isRequired,
+  tolerance: toNumber(spec.tolerance),
+  minValue: toNumber(spec.minValue),
+  maxValue: toNumber(spec.maxValue),
+  criticality: spec.criticality,
+  createdAt: spec.createdAt,
+  updatedAt: spec.updatedAt
+});
+
+/**
+ * Map domain specification data to a stored specification
+ * @param {Object} spec - Specification data
+ * @returns {Object} - Stored specification
+ */
+const toDatabaseSpecification = (spec) => {
+  const { id, ...fields } = spec;
+  return { _id: id, ...fields };
+};
+
 class ComponentRepository extends Repository {
   /**
    * Find a component by its ID, with caching
@@ -21,14 +76,14 @@ class ComponentRepository extends Repository {
    */
   async findById(id) {
     const cacheKey = `component:${id}`;
-    let cached = await CacheManager.get(cacheKey);
+    let cached = await getDefaultCacheManager().get(cacheKey);
     if (cached) return this._mapToDomainEntity(cached);
     const start = Date.now();
     try {
       const componentDoc = await ComponentModel.findById(id);
       if (!componentDoc) return null;
       const entity = this._mapToDomainEntity(componentDoc);
-      await CacheManager.set(cacheKey, componentDoc.toObject(), { ttl: 300 });
+      await getDefaultCacheManager().set(cacheKey, componentDoc.toObject(), { ttl: 300 });
       logger.debug('findById query time', { ms: Date.now() - start, id });
       return entity;
     } catch (error) {
@@ -65,12 +120,31 @@ class ComponentRepository extends Repository {
    * @returns {Promise<Component>} - Saved component
    */
   async save(component) {
-    const saved = await super.save(component);
-    if (saved && saved.id) {
-      await CacheManager.del(`component:${saved.id}`);
-      await CacheManager.del(`component:name:${saved.name}`);
+    try {
+      if (!(component instanceof Component)) {
+        throw new Error('Entity must be a Component instance');
+      }
+
+      const componentData = this._mapToDatabaseEntity(component);
+
+      let componentDoc = componentData._id ? await ComponentModel.findById(componentData._id) : null;
+      if (componentDoc) {
+        // Update existing component, keeping fields the domain does not carry
+        componentDoc.set(componentData);
+        await componentDoc.save();
+      } else {
+        // Create new component
+        componentDoc = await ComponentModel.create(componentData);
+      }
+
+      const saved = this._mapToDomainEntity(componentDoc);
+      await getDefaultCacheManager().del(`component:${saved.id}`);
+      await getDefaultCacheManager().del(`component:name:${saved.name}`);
+      return saved;
+    } catch (error) {
+      logger.error('Error in ComponentRepository.save:', error);
+      throw error;
     }
-    return saved;
   }
 
   /**
@@ -80,13 +154,17 @@ class ComponentRepository extends Repository {
    */
   async delete(idOrEntity) {
     const id = idOrEntity instanceof Component ? idOrEntity.id : idOrEntity;
-    const entity = await this.findById(id);
-    const result = await super.delete(idOrEntity);
-    if (entity) {
-      await CacheManager.del(`component:${id}`);
-      await CacheManager.del(`component:name:${entity.name}`);
+    try {
+      const componentDoc = await ComponentModel.findByIdAndDelete(id);
+      if (componentDoc) {
+        await getDefaultCacheManager().del(`component:${id}`);
+        await getDefaultCacheManager().del(`component:name:${componentDoc.name}`);
+      }
+      return !!componentDoc;
+    } catch (error) {
+      logger.error('Error in ComponentRepository.delete:', error);
+      throw error;
     }
-    return result;
   }
 
   /**
@@ -125,12 +203,12 @@ class ComponentRepository extends Repository {
    */
   async findByName(name, options = {}) {
     const cacheKey = `component:name:${name}`;
-    let cached = await CacheManager.get(cacheKey);
+    let cached = await getDefaultCacheManager().get(cacheKey);
     if (cached) return cached.map(doc => this._mapToDomainEntity(doc));
     try {
       const query = { name: { $regex: name, $options: 'i' } };
       const result = await this.findAll(query, options);
-      await CacheManager.set(cacheKey, result.map(e => e), { ttl: 300 });
+      await getDefaultCacheManager().set(cacheKey, result.map(e => e), { ttl: 300 });
       return result;
     } catch (error) {
       logger.error('Error in ComponentRepository.findByName:', error);
@@ -194,23 +272,43 @@ class ComponentRepository extends Repository {
   _mapToDomainEntity(dbEntity) {
     if (!dbEntity) return null;
     
+    const data = typeof dbEntity.toObject === 'function' ? dbEntity.toObject() : dbEntity;
+    
     const componentData = {
-      id: dbEntity._id.toString(),
-      name: dbEntity.name,
-      partNumber: dbEntity.partNumber,
-      description: dbEntity.description,
-      category: dbEntity.category,
-      supplierId: dbEntity.supplierId,
-      status: dbEntity.status,
-      specifications: dbEntity.specifications,
-      revisions: dbEntity.revisions,
-      material: dbEntity.material,
-      dimensions: dbEntity.dimensions,
-      weight: dbEntity.weight,
-      notes: dbEntity.notes,
-      tags: dbEntity.tags,
-      createdAt: dbEntity.createdAt,
-      updatedAt: dbEntity.updatedAt
+      id: data._id.toString(),
+      name: data.name,
+      code: data.code || data.partNumber,
+      partNumber: data.partNumber,
+      description: data.description,
+      category: data.category,
+      supplierId: data.supplierId ? data.supplierId.toString() : data.supplierId,
+      status: STATUS_FROM_DATABASE[data.status] || data.status,
+      specifications: (data.specs || []).map(toDomainSpecification),
+      revisions: (data.revisions || []).map(revision => ({
+        ...revision,
+        id: String(revision._id),
+        specifications: (revision.specifications || []).map(toDomainSpecification)
+      })),
+      documents: (data.documents || []).map(document => ({
+        id: String(document._id),
+        url: document.url,
+        type: document.type,
+        title: document.name,
+        version: document.version,
+        uploadedAt: document.uploadDate
+      })),
+      relatedComponents: (data.relatedComponents || []).map(relation => ({
+        componentId: relation.componentId.toString(),
+        relationType: relation.relationType,
+        addedAt: relation.addedAt
+      })),
+      material: data.material,
+      dimensions: data.dimensions,
+      weight: data.weight,
+      notes: data.notes,
+      tags: data.tags,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt
     };
     
     return new Component(componentData);
@@ -222,12 +320,46 @@ class ComponentRepository extends Repository {
    * @returns {Object} - Database entity
    */
   _mapToDatabaseEntity(domainEntity) {
-    const componentData = domainEntity.toObject();
+    const data = domainEntity.toObject();
+    // The latest approved revision is the component's released revision
+    const released = data.revisions.filter(revision => revision.status === 'approved').pop();
+    
+    const componentData = {
+      name: data.name,
+      partNumber: data.code,
+      description: data.description,
+      category: data.category,
+      status: STATUS_TO_DATABASE[data.status] || data.status,
+      supplierId: data.supplierId,
+      tags: data.tags,
+      specs: data.specifications.map(toDatabaseSpecification),
+      revisions: data.revisions.map(({ id, isDraft, isApproved, isObsolete, specifications, ...revision }) => ({
+        _id: id,
+        ...revision,
+        specifications: specifications.map(toDatabaseSpecification)
+      })),
+      documents: data.documents.map(document => ({
+        ...(mongoose.isObjectIdOrHexString(document.id) ? { _id: document.id } : {}),
+        name: document.title,
+        type: DOCUMENT_TYPES.includes(document.type) ? document.type : 'other',
+        url: document.url,
+        version: document.version,
+        uploadDate: document.uploadedAt
+      })),
+      relatedComponents: data.relatedComponents.map(relation => ({
+        componentId: relation.componentId,
+        relationType: relation.relationType,
+        addedAt: relation.addedAt
+      }))
+    };
+    
+    if (released) {
+      componentData.revision = released.version;
+    }
     
-    // Convert id to _id if it exists
-    if (componentData.id) {
-      componentData._id = componentData.id;
-      delete componentData.id;
+    // New components without a database ID get one on create
+    if (mongoose.isObjectIdOrHexString(data.id)) {
+      componentData._id = data.id;
     }
     
     return componentData;
@@ -0,0 +1,534 @@
+/**
+ * FirstArticleInspectionService.js
+ *
+ * Domain service for AS9102 First Article Inspection (FAI) reports
+ * Builds Forms 1, 2 and 3 from a component, its current revision, its
+ * specifications and a completed inspection, and renders them as PDF or Excel
+ */
+
+const DomainService = require('../../../core/DomainService');
+const { DomainError, ValidationError, BusinessRuleError, NotFoundError } = require('../../../core/errors');
+const componentRepository = require('../repositories/componentRepository');
+const inspectionRepository = require('../../inspection/repositories/inspectionRepository');
+const pdfService = require('../../../services/pdf.service');
+const logger = require('../../../infrastructure/logger');
+
+// Inspection statuses in which all results have been recorded
+const COMPLETED_INSPECTION_STATUSES = ['pending-review', 'approved', 'completed', 'closed'];
+
+// Component document types reported on Form 2, mapped to their AS9102 category
+const FORM2_DOCUMENT_CATEGORIES = {
+  certificate: 'material',
+  'material-cert': 'material',
+  'process-cert': 'process',
+  'special-process-cert': 'special-process',
+  'functional-test': 'functional-test'
+};
+
+// Specification categories reported as key characteristics on Form 3
+const KEY_CHARACTERISTIC_CATEGORIES = ['key', 'critical'];
+
+/**
+ * Format the design requirement of a specification for Form 3
+ * @param {Specification} spec - Specification
+ * @returns {string} - Requirement, e.g. "12.5 ±0.05 mm" or "10 - 12 mm"
+ */
+const formatRequirement = (spec) => {
+  const unit = spec.unit ? ` ${spec.unit}` : '';
+
+  if (spec.minValue !== null && spec.maxValue !== null) {
+    return `${spec.minValue} - ${spec.maxValue}${unit}`;
+  }
+
+  if (spec.tolerance !== null && spec.value !== null && spec.value !== undefined) {
+    return `${spec.value} ±${spec.tolerance}${unit}`;
+  }
+
+  if (spec.minValue !== null) {
+    return `≥ ${spec.minValue}${unit}`;
+  }
+
+  if (spec.maxValue !== null) {
+    return `≤ ${spec.maxValue}${unit}`;
+  }
+
+  return spec.value !== null && spec.value !== undefined ? `${spec.value}${unit}` : '';
+};
+
+/**
+ * Determine whether a measured value meets a specification
+ * @param {Specification} spec - Specification
+ * @param {InspectionItem} item - Inspection item holding the measured result
+ * @returns {boolean} - True if the characteristic conforms
+ */
+const meetsRequirement = (spec, item) => {
+  if (item.status === 'failed') {
+    return false;
+  }
+
+  const actual = item.actualValue;
+  if (typeof actual !== 'number') {
+    return item.status === 'passed';
+  }
+
+  if (spec.minValue !== null && actual < spec.minValue) {
+    return false;
+  }
+
+  if (spec.maxValue !== null && actual > spec.maxValue) {
+    return false;
+  }
+
+  if (spec.minValue === null && spec.maxValue === null &&
+      typeof spec.value === 'number' && typeof spec.tolerance === 'number') {
+    return Math.abs(actual - spec.value) <= spec.tolerance;
+  }
+
+  return true;
+};
+
+/**
+ * First Article Inspection domain service
+ * Assembles AS9102 forms from component and inspection aggregates
+ */
+class FirstArticleInspectionService extends DomainService {
+  /**
+   * Create a new FAI service
+   * @param {Object} dependencies - Dependencies required by the service
+   */
+  constructor(dependencies = {}) {
+    super({
+      componentRepository,
+      inspectionRepository,
+      pdfService,
+      ...dependencies
+    });
+  }
+
+  /**
+   * Validate dependencies
+   * @throws {DomainError} - If a required dependency is missing
+   */
+  validateDependencies() {
+    if (!this.dependencies.componentRepository) {
+      throw new DomainError('ComponentRepository is required');
+    }
+
+    if (!this.dependencies.inspectionRepository) {
+      throw new DomainError('InspectionRepository is required');
+    }
+  }
+
+  /**
+   * Get the Excel report builder
+   * Loaded lazily because exceljs is only needed for Excel output
+   * @returns {Object} - Report builder service
+   */
+  getReportBuilder() {
+    return this.dependencies.reportBuilder || require('../../../services/reportBuilder.service');
+  }
+
+  /**
+   * Load a component and inspection and build the FAI report
+   * @param {string} componentId - ID of the component
+   * @param {string} inspectionId - ID of the completed inspection
+   * @param {Object} options - Form 1 header and Form 2 options (see buildReport)
+   * @returns {Promise<Object>} - FAI report
+   */
+  async generateReport(componentId, inspectionId, options = {}) {
+    if (!componentId) {
+      throw new ValidationError('Component ID is required');
+    }
+
+    if (!inspectionId) {
+      throw new ValidationError('Inspection ID is required');
+    }
+
+    const component = await this.getDependency('componentRepository').findById(componentId);
+    if (!component) {
+      throw new NotFoundError(`Component with ID ${componentId} not found`);
+    }
+
+    const inspection = await this.getDependency('inspectionRepository').findById(inspectionId);
+    if (!inspection) {
+      throw new NotFoundError(`Inspection with ID ${inspectionId} not found`);
+    }
+
+    const report = this.buildReport(component, inspection, options);
+
+    logger.info('First article inspection report generated', {
+      componentId,
+      inspectionId,
+      characteristics: report.form3.characteristics.length,
+      missingResults: report.summary.missingResults
+    });
+
+    return report;
+  }
+
+  /**
+   * Build AS9102 Forms 1, 2 and 3
+   * @param {Component} component - Component under first article inspection
+   * @param {Inspection} inspection - Completed inspection holding the measured results
+   * @param {Object} options - Report options
+   * @param {string} options.serialNumber - Serial number of the first article
+   * @param {string} options.reportNumber - FAI report number
+   * @param {string} options.organizationName - Organization performing the FAI
+   * @param {string} options.supplierCode - Supplier code
+   * @param {string} options.purchaseOrderNumber - Purchase order number
+   * @param {string} options.faiType - 'detail' or 'assembly'
+   * @param {Array<string>} options.baselineBalloons - Balloon numbers of a previous FAI; when set this is a partial FAI
+   * @param {string} options.reasonForPartialFai - Reason for a partial FAI
+   * @param {Array<Object>} options.productAccountability - Additional Form 2 rows
+   * @param {Object} options.preparedBy - { name, date }
+   * @returns {Object} - FAI report
+   */
+  buildReport(component, inspection, options = {}) {
+    if (!component) {
+      throw new ValidationError('Component is required');
+    }
+
+    if (!inspection) {
+      throw new ValidationError('Inspection is required');
+    }
+
+    if (inspection.componentId && String(inspection.componentId) !== String(component.id)) {
+      throw new ValidationError(`Inspection ${inspection.id} is not an inspection of component ${component.code}`);
+    }
+
+    if (!COMPLETED_INSPECTION_STATUSES.includes(inspection.status)) {
+      throw new BusinessRuleError(
+        `First article inspection requires a completed inspection (status is ${inspection.status})`
+      );
+    }
+
+    const warnings = [];
+    const revision = component.getCurrentRevision();
+
+    if (!revision) {
+      warnings.push('Component has no revision; part revision level is not traceable');
+    } else if (revision.status !== 'approved') {
+      warnings.push(`Current revision ${revision.version} is ${revision.status}, not approved`);
+    }
+
+    const form3 = this.buildForm3(component, inspection);
+    const form2 = this.buildForm2(component, options.productAccountability);
+    const form1 = this.buildForm1(component, revision, inspection, form3, options);
+
+    if (form3.characteristics.length === 0) {
+      warnings.push('Component has no specifications; Form 3 is empty');
+    }
+
+    form3.missingResults.forEach(row => {
+      warnings.push(`Characteristic ${row.balloonNumber} (${row.characteristic}) has no measured result`);
+    });
+
+    return {
+      reportNumber: form1.faiReportNumber,
+      componentId: component.id,
+      inspectionId: inspection.id,
+      generatedAt: new Date(),
+      form1,
+      form2,
+      form3,
+      summary: {
+        characteristics: form3.characteristics.length,
+        conforming: form3.characteristics.filter(row => row.status === 'conforming').length,
+        nonconforming: form3.characteristics.filter(row => row.status === 'nonconforming').length,
+        missingResults: form3.missingResults.length,
+        faiComplete: form1.faiComplete
+      },
+      warnings
+    };
+  }
+
+  /**
+   * Build Form 1 - Part Number Accountability
+   * @param {Component} component - Component
+   * @param {Revision|null} revision - Current revision
+   * @param {Inspection} inspection - Inspection
+   * @param {Object} form3 - Form 3 (used for the FAI complete flag)
+   * @param {Object} options - Report options
+   * @returns {Object} - Form 1
+   */
+  buildForm1(component, revision, inspection, form3, options = {}) {
+    const drawing = component.documents.find(doc => doc.type === 'drawing');
+    const isPartial = Array.isArray(options.baselineBalloons) && options.baselineBalloons.length > 0;
+    const nonconforming = form3.characteristics.some(row => row.status === 'nonconforming');
+
+    return {
+      partNumber: component.code,
+      partName: component.name,
+      serialNumber: options.serialNumber || '',
+      faiReportNumber: options.reportNumber || `FAI-${component.code}-${revision ? revision.version : 'NA'}`,
+      partRevisionLevel: revision ? revision.version : '',
+      revisionStatus: revision ? revision.status : null,
+      drawingNumber: drawing ? (drawing.title || drawing.name) : component.code,
+      drawingRevisionLevel: drawing && drawing.version ? drawing.version : (revision ? revision.version : ''),
+      additionalChanges: revision ? revision.changes.map(change =>
+        typeof change === 'string' ? change : change.description
+      ).filter(Boolean) : [],
+      organizationName: options.organizationName || '',
+      supplierCode: options.supplierCode || (component.supplierId ? String(component.supplierId) : ''),
+      purchaseOrderNumber: options.purchaseOrderNumber || '',
+      faiType: options.faiType === 'assembly' ? 'assembly' : 'detail',
+      fullOrPartial: isPartial ? 'partial' : 'full',
+      reasonForPartialFai: isPartial ? (options.reasonForPartialFai || '') : '',
+      inspectionId: inspection.id,
+      inspectionCompletedDate: inspection.completedDate,
+      faiComplete: form3.missingResults.length === 0 && !nonconforming,
+      preparedBy: options.preparedBy || null
+    };
+  }
+
+  /**
+   * Build Form 2 - Product Accountability (materials, processes, special processes, functional tests)
+   * @param {Component} component - Component
+   * @param {Array<Object>} additionalRows - Rows supplied by the caller
+   * @returns {Object} - Form 2
+   */
+  buildForm2(component, additionalRows = []) {
+    const documentRows = component.documents
+      .filter(doc => FORM2_DOCUMENT_CATEGORIES[doc.type])
+      .map(doc => ({
+        category: doc.category || FORM2_DOCUMENT_CATEGORIES[doc.type],
+        name: doc.title || doc.name,
+        specificationNumber: doc.specificationNumber || '',
+        code: doc.code || '',
+        specialProcessSupplierCode: doc.supplierCode || '',
+        customerApprovalVerification: doc.customerApproval || '',
+        certificateOfConformanceNumber: doc.certificateNumber || doc.version || '',
+        documentId: doc.id || null
+      }));
+
+    const rows = [...documentRows, ...(additionalRows || []).map(row => ({
+      category: row.category || 'material',
+      name: row.name,
+      specificationNumber: row.specificationNumber || '',
+      code: row.code || '',
+      specialProcessSupplierCode: row.specialProcessSupplierCode || '',
+      customerApprovalVerification: row.customerApprovalVerification || '',
+      certificateOfConformanceNumber: row.certificateOfConformanceNumber || '',
+      documentId: null
+    }))];
+
+    return {
+      rows: rows.map((row, index) => ({ index: index + 1, ...row }))
+    };
+  }
+
+  /**
+   * Build Form 3 - Characteristic Accountability
+   * Each specification receives a balloon number in order; results are matched
+   * to inspection items by specification ID, falling back to the characteristic name
+   * @param {Component} component - Component
+   * @param {Inspection} inspection - Inspection
+   * @returns {Object} - Form 3
+   */
+  buildForm3(component, inspection) {
+    const findItem = (spec) =>
+      inspection.items.find(item => item.specificationId && item.specificationId === spec.id) ||
+      inspection.items.find(item => item.name && item.name.toLowerCase() === spec.name.toLowerCase());
+
+    const characteristics = component.specifications.map((spec, index) => {
+      const item = findItem(spec);
+      const hasResult = Boolean(item) && item.status !== 'pending' && item.status !== 'na' &&
+        (item.actualValue !== null || item.result !== null);
+
+      let status = 'missing-result';
+      if (hasResult) {
+        status = meetsRequirement(spec, item) ? 'conforming' : 'nonconforming';
+      }
+
+      return {
+        balloonNumber: index + 1,
+        specificationId: spec.id,
+        characteristic: spec.name,
+        characteristicDesignator: KEY_CHARACTERISTIC_CATEGORIES.includes(spec.category) ? 'KC' : '',
+        requirement: formatRequirement(spec),
+        result: hasResult ? (item.actualValue !== null ? item.actualValue : item.result) : null,
+        unit: spec.unit || '',
+        inspectionItemId: item ? item.id : null,
+        notes: item ? item.notes : '',
+        status
+      };
+    });
+
+    return {
+      characteristics,
+      missingResults: characteristics.filter(row => row.status === 'missing-result')
+    };
+  }
+
+  /**
+   * Render a FAI report to PDF
+   * @param {Object} report - Report produced by buildReport
+   * @returns {Promise<string>} - Path to the generated PDF file
+   */
+  async renderPdf(report) {
+    const { form1, form2, form3 } = report;
+
+    return this.getDependency('pdfService').generatePDF(report, {
+      title: `First Article Inspection ${report.reportNumber}`,
+      filename: pdfService.utils.generateFilename('fai', form1.partNumber),
+      landscape: true,
+      generator: async (doc, data, { addHeader, addSectionHeading, addTable, addSignatureBlock, addFooter }) => {
+        addHeader(doc, {
+          title: 'AS9102 First Article Inspection',
+          subtitle: `${form1.partNumber} Rev ${form1.partRevisionLevel || '-'} - ${form1.faiReportNumber}`
+        });
+
+        addSectionHeading(doc, 'Form 1 - Part Number Accountability');
+        await addTable(doc, {
+          headers: ['Field', 'Value'],
+          rows: [
+            ['Part Number', form1.partNumber],
+            ['Part Name', form1.partName],
+            ['Serial Number', form1.serialNumber],
+            ['FAI Report Number', form1.faiReportNumber],
+            ['Part Revision Level', form1.partRevisionLevel],
+            ['Drawing Number', form1.drawingNumber],
+            ['Drawing Revision Level', form1.drawingRevisionLevel],
+            ['Additional Changes', form1.additionalChanges.join('; ')],
+            ['Organization Name', form1.organizationName],
+            ['Supplier Code', form1.supplierCode],
+            ['PO Number', form1.purchaseOrderNumber],
+            ['Detail / Assembly', form1.faiType],
+            ['Full / Partial FAI', form1.fullOrPartial],
+            ['Reason for Partial FAI', form1.reasonForPartialFai],
+            ['FAI Complete', form1.faiComplete ? 'Yes' : 'No']
+          ],
+          widths: [200, 500]
+        });
+
+        doc.addPage();
+        addSectionHeading(doc, 'Form 2 - Product Accountability');
+        await addTable(doc, {
+          headers: ['#', 'Category', 'Material / Process', 'Spec Number', 'Code', 'Supplier Code', 'Customer Approval', 'C of C Number'],
+          rows: form2.rows.map(row => [
+            String(row.index),
+            row.category,
+            row.name,
+            row.specificationNumber,
+            row.code,
+            row.specialProcessSupplierCode,
+            row.customerApprovalVerification,
+            row.certificateOfConformanceNumber
+          ])
+        });
+
+        doc.addPage();
+        addSectionHeading(doc, 'Form 3 - Characteristic Accountability');
+        await addTable(doc, {
+          headers: ['Balloon', 'Characteristic', 'Designator', 'Requirement', 'Result', 'Status'],
+          rows: form3.characteristics.map(row => [
+            String(row.balloonNumber),
+            row.characteristic,
+            row.characteristicDesignator,
+            row.requirement,
+            row.result === null ? 'NO RESULT' : `${row.result}${row.unit ? ` ${row.unit}` : ''}`,
+            row.status
+          ]),
+          widths: [60, 180, 70, 150, 120, 100]
+        });
+
+        if (data.warnings.length > 0) {
+          addSectionHeading(doc, 'Warnings');
+          data.warnings.forEach(warning => doc.text(`• ${warning}`));
+        }
+
+        addSignatureBlock(doc, {
+          signatureLines: [
+            { label: 'Prepared By', name: form1.preparedBy ? form1.preparedBy.name : '' },
+            { label: 'Approved By', name: '' }
+          ]
+        });
+        addFooter(doc);
+      }
+    });
+  }
+
+  /**
+   * Render a FAI report to an Excel workbook
+   * @param {Object} report - Report produced by buildReport
+   * @returns {Promise<string>} - Path to the generated Excel file
+   */
+  async renderExcel(report) {
+    const { form1, form2, form3 } = report;
+
+    return this.getReportBuilder().generateExcelReport({
+      name: `fai-${form1.partNumber}-${form1.partRevisionLevel || 'NA'}`,
+      description: `AS9102 First Article Inspection ${form1.faiReportNumber}`,
+      author: form1.preparedBy ? form1.preparedBy.name : undefined,
+      category: 'first-article-inspection',
+      sections: [
+        {
+          type: 'table',
+          title: 'Form 1',
+          data: [
+            { field: 'Part Number', value: form1.partNumber },
+            { field: 'Part Name', value: form1.partName },
+            { field: 'Serial Number', value: form1.serialNumber },
+            { field: 'FAI Report Number', value: form1.faiReportNumber },
+            { field: 'Part Revision Level', value: form1.partRevisionLevel },
+            { field: 'Drawing Number', value: form1.drawingNumber },
+            { field: 'Drawing Revision Level', value: form1.drawingRevisionLevel },
+            { field: 'Additional Changes', value: form1.additionalChanges.join('; ') },
+            { field: 'Organization Name', value: form1.organizationName },
+            { field: 'Supplier Code', value: form1.supplierCode },
+            { field: 'PO Number', value: form1.purchaseOrderNumber },
+            { field: 'Detail / Assembly', value: form1.faiType },
+            { field: 'Full / Partial FAI', value: form1.fullOrPartial },
+            { field: 'Reason for Partial FAI', value: form1.reasonForPartialFai },
+            { field: 'FAI Complete', value: form1.faiComplete ? 'Yes' : 'No' }
+          ],
+          columns: [
+            { id: 'field', label: 'Field' },
+            { id: 'value', label: 'Value' }
+          ]
+        },
+        {
+          type: 'table',
+          title: 'Form 2',
+          data: form2.rows,
+          columns: [
+            { id: 'index', label: '#' },
+            { id: 'category', label: 'Category' },
+            { id: 'name', label: 'Material / Process' },
+            { id: 'specificationNumber', label: 'Spec Number' },
+            { id: 'code', label: 'Code' },
+            { id: 'specialProcessSupplierCode', label: 'Supplier Code' },
+            { id: 'customerApprovalVerification', label: 'Customer Approval' },
+            { id: 'certificateOfConformanceNumber', label: 'C of C Number' }
+          ]
+        },
+        {
+          type: 'table',
+          title: 'Form 3',
+          data: form3.characteristics.map(row => ({
+            ...row,
+            result: row.result === null ? 'NO RESULT' : row.result
+          })),
+          columns: [
+            { id: 'balloonNumber', label: 'Balloon' },
+            { id: 'characteristic', label: 'Characteristic' },
+            { id: 'characteristicDesignator', label: 'Designator' },
+            { id: 'requirement', label: 'Requirement' },
+            { id: 'result', label: 'Result' },
+            { id: 'unit', label: 'Unit' },
+            { id: 'status', label: 'Status' }
+          ]
+        },
+        {
+          type: 'text',
+          title: 'Warnings',
+          content: report.warnings.length > 0 ? report.warnings.join('\n') : 'None'
+        }
+      ]
+    });
+  }
+}
+
+// Export the singleton instance
+const firstArticleInspectionService = new FirstArticleInspectionService();
+module.exports = firstArticleInspectionService;
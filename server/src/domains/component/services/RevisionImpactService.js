@@ -0,0 +1,449 @@
+/**
+ * RevisionImpactService.js
+ *
+ * Domain service for component revision change-impact analysis
+ * Diffs the specification set of a revision against the one in effect, finds
+ * the assemblies the component goes into and the scheduled inspections that
+ * still check obsolete specifications, and on approval brings those
+ * inspections' expected values and tolerances up to date
+ */
+
+const DomainService = require('../../../core/DomainService');
+const { DomainError, ValidationError, BusinessRuleError, NotFoundError } = require('../../../core/errors');
+const Specification = require('../models/Specification');
+const componentRepository = require('../repositories/componentRepository');
+const inspectionRepository = require('../../inspection/repositories/inspectionRepository');
+const auditLoggingService = require('../../../services/audit-logging.service');
+const logger = require('../../../infrastructure/logger');
+
+// Specification fields compared between revisions
+const COMPARED_FIELDS = ['name', 'value', 'unit', 'tolerance', 'minValue', 'maxValue', 'isRequired'];
+
+// Relation types pointing from a component to an assembly it is used in
+const ASSEMBLY_RELATION_TYPES = ['parent', 'assembly'];
+
+// Inspections whose items can still be brought up to date
+const OPEN_INSPECTION_STATUSES = ['scheduled'];
+
+// Upper bound on scheduled inspections loaded for one component
+const MAX_INSPECTIONS = 1000;
+
+/**
+ * Revision impact domain service
+ */
+class RevisionImpactService extends DomainService {
+  /**
+   * Create a new revision impact service
+   * @param {Object} dependencies - Dependencies required by the service
+   */
+  constructor(dependencies = {}) {
+    super({
+      componentRepository,
+      inspectionRepository,
+      auditLogger: auditLoggingService,
+      ...dependencies
+    });
+  }
+
+  /**
+   * Validate dependencies
+   * @throws {DomainError} - If a required dependency is missing
+   */
+  validateDependencies() {
+    if (!this.dependencies.componentRepository) {
+      throw new DomainError('ComponentRepository is required');
+    }
+
+    if (!this.dependencies.inspectionRepository) {
+      throw new DomainError('InspectionRepository is required');
+    }
+  }
+
+  /**
+   * Diff two specification sets, matching specifications by ID
+   * @param {Array<Specification>} currentSpecs - Specifications in effect
+   * @param {Array<Specification>} revisedSpecs - Specifications of the revision
+   * @returns {Object} - { added, removed, changed, unchanged }
+   */
+  diffSpecifications(currentSpecs = [], revisedSpecs = []) {
+    const revisedById = new Map(revisedSpecs.map(spec => [spec.id, spec]));
+    const currentIds = new Set(currentSpecs.map(spec => spec.id));
+
+    const removed = [];
+    const changed = [];
+    let unchanged = 0;
+
+    currentSpecs.forEach(current => {
+      const revised = revisedById.get(current.id);
+
+      if (!revised) {
+        removed.push(current.toObject());
+        return;
+      }
+
+      const fields = COMPARED_FIELDS.filter(field => current[field] !== revised[field]);
+      if (fields.length === 0) {
+        unchanged += 1;
+        return;
+      }
+
+      changed.push({
+        specificationId: current.id,
+        name: revised.name,
+        fields,
+        before: current.toObject(),
+        after: revised.toObject()
+      });
+    });
+
+    const added = revisedSpecs
+      .filter(spec => !currentIds.has(spec.id))
+      .map(spec => spec.toObject());
+
+    return { added, removed, changed, unchanged };
+  }
+
+  /**
+   * Walk parent and assembly relations to every assembly the component is used in
+   * @param {Component} component - Component
+   * @returns {Promise<Array<Object>>} - Assemblies with their depth and path from the component
+   */
+  async findAffectedAssemblies(component) {
+    const repository = this.getDependency('componentRepository');
+    const visited = new Set([component.id]);
+    const assemblies = [];
+    let frontier = [{ component, path: [component.code] }];
+
+    while (frontier.length > 0) {
+      const next = [];
+
+      for (const { component: current, path } of frontier) {
+        const relations = (current.relatedComponents || [])
+          .filter(relation => ASSEMBLY_RELATION_TYPES.includes(relation.relationType));
+
+        for (const relation of relations) {
+          const relatedId = String(relation.componentId);
+          if (visited.has(relatedId)) {
+            continue;
+          }
+          visited.add(relatedId);
+
+          const assembly = await repository.findById(relatedId);
+          if (!assembly) {
+            logger.warn('Related assembly not found during revision impact analysis', {
+              componentId: current.id,
+              relatedComponentId: relatedId
+            });
+            continue;
+          }
+
+          const assemblyPath = [...path, assembly.code];
+          assemblies.push({
+            componentId: assembly.id,
+            code: assembly.code,
+            name: assembly.name,
+            relationType: relation.relationType,
+            depth: assemblyPath.length - 1,
+            path: assemblyPath
+          });
+          next.push({ component: assembly, path: assemblyPath });
+        }
+      }
+
+      frontier = next;
+    }
+
+    return assemblies;
+  }
+
+  /**
+   * Find scheduled inspections of a component with items checking obsolete specifications
+   * @param {string} componentId - ID of the component
+   * @param {Object} specificationChanges - Result of diffSpecifications
+   * @returns {Promise<Array<Object>>} - Affected inspections and items
+   */
+  async findAffectedInspections(componentId, specificationChanges) {
+    const changedById = new Map(specificationChanges.changed.map(change => [change.specificationId, change]));
+    const removedIds = new Set(specificationChanges.removed.map(spec => spec.id));
+
+    if (changedById.size === 0 && removedIds.size === 0) {
+      return [];
+    }
+
+    const inspections = await this.getDependency('inspectionRepository').findAll(
+      { componentId, status: { $in: OPEN_INSPECTION_STATUSES } },
+      { limit: MAX_INSPECTIONS, sort: { scheduledDate: 1 } }
+    );
+
+    return inspections
+      .map(inspection => {
+        const items = inspection.items
+          .filter(item => item.specificationId && (changedById.has(item.specificationId) || removedIds.has(item.specificationId)))
+          .map(item => {
+            const change = changedById.get(item.specificationId);
+
+            return {
+              itemId: item.id,
+              name: item.name,
+              specificationId: item.specificationId,
+              change: change ? 'changed' : 'removed',
+              current: {
+                expectedValue: item.expectedValue,
+                tolerance: item.tolerance,
+                unitOfMeasure: item.unitOfMeasure
+              },
+              proposed: change ? Specification.toInspectionRequirement(change.after) : null
+            };
+          });
+
+        return {
+          inspectionId: inspection.id,
+          inspectionNumber: inspection.inspectionNumber,
+          title: inspection.title,
+          scheduledDate: inspection.scheduledDate,
+          items
+        };
+      })
+      .filter(inspection => inspection.items.length > 0);
+  }
+
+  /**
+   * Analyze the impact of a revision against the specifications in effect
+   * @param {Component} component - Component
+   * @param {string} revisionId - ID of the revision
+   * @returns {Promise<Object>} - Impact analysis
+   */
+  async analyzeRevision(component, revisionId) {
+    const revision = component.getRevision(revisionId);
+    const specificationChanges = this.diffSpecifications(component.specifications, revision.specifications);
+    const affectedAssemblies = await this.findAffectedAssemblies(component);
+    const affectedInspections = await this.findAffectedInspections(component.id, specificationChanges);
+
+    return {
+      componentId: component.id,
+      revisionId: revision.id,
+      version: revision.version,
+      analyzedAt: new Date(),
+      specificationChanges,
+      affectedAssemblies,
+      affectedInspections,
+      summary: {
+        specificationsAdded: specificationChanges.added.length,
+        specificationsRemoved: specificationChanges.removed.length,
+        specificationsChanged: specificationChanges.changed.length,
+        affectedAssemblies: affectedAssemblies.length,
+        affectedInspections: affectedInspections.length,
+        affectedItems: affectedInspections.reduce((sum, inspection) => sum + inspection.items.length, 0)
+      }
+    };
+  }
+
+  /**
+   * Load a component by ID
+   * @param {string} componentId - ID of the component
+   * @returns {Promise<Component>} - Component
+   */
+  async getComponent(componentId) {
+    if (!componentId) {
+      throw new ValidationError('Component ID is required');
+    }
+
+    const component = await this.getDependency('componentRepository').findById(componentId);
+    if (!component) {
+      throw new NotFoundError(`Component with ID ${componentId} not found`);
+    }
+
+    return component;
+  }
+
+  /**
+   * Get the impact analysis of a revision; revisions in review keep the
+   * analysis made when they were submitted, others are analyzed on demand
+   * @param {string} componentId - ID of the component
+   * @param {string} revisionId - ID of the revision
+   * @returns {Promise<Object>} - Impact analysis
+   */
+  async getImpactAnalysis(componentId, revisionId) {
+    const component = await this.getComponent(componentId);
+    const revision = this.getRevisionOrThrow(component, revisionId);
+
+    if (revision.status === 'review' && revision.impactAnalysis) {
+      return revision.impactAnalysis;
+    }
+
+    return this.analyzeRevision(component, revisionId);
+  }
+
+  /**
+   * Change the status of a revision. Moving to review runs the impact
+   * analysis; approving can bring affected inspections up to date.
+   * @param {string} componentId - ID of the component
+   * @param {string} revisionId - ID of the revision
+   * @param {string} status - New status
+   * @param {Object} user - User changing the status ({ id, email, role })
+   * @param {Object} options - Options
+   * @param {boolean} options.updateInspections - On approval, update the affected inspection items
+   * @returns {Promise<Object>} - { revision, impactAnalysis, inspectionUpdates }
+   */
+  async updateRevisionStatus(componentId, revisionId, status, user = {}, options = {}) {
+    const component = await this.getComponent(componentId);
+    const revision = this.getRevisionOrThrow(component, revisionId);
+
+    if (status === 'approved' && revision.status === 'review') {
+      return this.approveRevision(component, revision, user, options);
+    }
+
+    this.applyStatus(component, revision.id, status, user);
+
+    let impactAnalysis = null;
+    if (status === 'review') {
+      impactAnalysis = await this.analyzeRevision(component, revision.id);
+      revision.recordImpactAnalysis(impactAnalysis);
+    }
+
+    await this.getDependency('componentRepository').save(component);
+
+    if (impactAnalysis) {
+      this.publishEvent('component.revision.impact-analyzed', {
+        componentId: component.id,
+        revisionId: revision.id,
+        summary: impactAnalysis.summary
+      });
+
+      logger.info('Component revision impact analyzed', {
+        componentId: component.id,
+        version: revision.version,
+        ...impactAnalysis.summary
+      });
+    }
+
+    return { revision: revision.toObject(), impactAnalysis, inspectionUpdates: [] };
+  }
+
+  /**
+   * Approve a revision in review, re-running the impact analysis so
+   * inspections scheduled since the review are included
+   * @param {Component} component - Component
+   * @param {Revision} revision - Revision in review
+   * @param {Object} user - Approver ({ id, email, role })
+   * @param {Object} options - Options (see updateRevisionStatus)
+   * @returns {Promise<Object>} - { revision, impactAnalysis, inspectionUpdates }
+   */
+  async approveRevision(component, revision, user = {}, options = {}) {
+    const impactAnalysis = await this.analyzeRevision(component, revision.id);
+
+    this.applyStatus(component, revision.id, 'approved', user);
+    revision.recordImpactAnalysis(impactAnalysis);
+
+    const inspectionUpdates = options.updateInspections
+      ? await this.updateAffectedInspections(component, revision, impactAnalysis, user)
+      : [];
+
+    await this.getDependency('componentRepository').save(component);
+
+    this.publishEvent('component.revision.approved', {
+      componentId: component.id,
+      revisionId: revision.id,
+      version: revision.version,
+      updatedInspections: inspectionUpdates.length
+    });
+
+    return { revision: revision.toObject(), impactAnalysis, inspectionUpdates };
+  }
+
+  /**
+   * Update the expected values and tolerances of inspection items checking
+   * changed specifications, with an audit log entry per inspection. Items
+   * of removed specifications are left for review.
+   * @param {Component} component - Component
+   * @param {Revision} revision - Approved revision
+   * @param {Object} impactAnalysis - Impact analysis
+   * @param {Object} user - Approver ({ id, email, role })
+   * @returns {Promise<Array<Object>>} - Applied changes per inspection
+   */
+  async updateAffectedInspections(component, revision, impactAnalysis, user = {}) {
+    const repository = this.getDependency('inspectionRepository');
+    const auditLogger = this.dependencies.auditLogger;
+    const updates = [];
+
+    for (const affected of impactAnalysis.affectedInspections) {
+      const items = affected.items.filter(item => item.change === 'changed');
+      if (items.length === 0) {
+        continue;
+      }
+
+      const inspection = await repository.findById(affected.inspectionId);
+      if (!inspection || !OPEN_INSPECTION_STATUSES.includes(inspection.status)) {
+        continue;
+      }
+
+      const changes = items.map(item => {
+        inspection.updateItem(item.itemId, item.proposed);
+        return {
+          itemId: item.itemId,
+          specificationId: item.specificationId,
+          before: item.current,
+          after: item.proposed
+        };
+      });
+
+      await repository.save(inspection);
+
+      if (auditLogger) {
+        await auditLogger.logOperation({
+          action: 'INSPECTION_ITEMS_REVISED',
+          entity: 'Inspection',
+          entityId: inspection.id,
+          description: `Inspection items updated to ${component.code} revision ${revision.version}`,
+          user: user.id ? { id: user.id, email: user.email, role: user.role } : undefined,
+          metadata: {
+            changes,
+            context: { componentId: component.id, revisionId: revision.id, version: revision.version }
+          }
+        });
+      }
+
+      updates.push({ inspectionId: inspection.id, changes });
+    }
+
+    return updates;
+  }
+
+  /**
+   * Apply a status change to a revision
+   * @param {Component} component - Component
+   * @param {string} revisionId - ID of the revision
+   * @param {string} status - New status
+   * @param {Object} user - User changing the status
+   */
+  applyStatus(component, revisionId, status, user) {
+    if (status === 'approved' && !user.id) {
+      throw new ValidationError('Approver is required to approve a revision');
+    }
+
+    try {
+      component.updateRevisionStatus(revisionId, status, status === 'approved' ? user.id : null);
+    } catch (error) {
+      throw new BusinessRuleError(error.message);
+    }
+  }
+
+  /**
+   * Find a revision of a component
+   * @param {Component} component - Component
+   * @param {string} revisionId - ID of the revision
+   * @returns {Revision} - Revision
+   */
+  getRevisionOrThrow(component, revisionId) {
+    const revision = component.revisions.find(r => r.id === revisionId);
+    if (!revision) {
+      throw new NotFoundError(`Revision with ID ${revisionId} not found on component ${component.code}`);
+    }
+
+    return revision;
+  }
+}
+
+// Export the singleton instance
+const revisionImpactService = new RevisionImpactService();
+module.exports = revisionImpactService;
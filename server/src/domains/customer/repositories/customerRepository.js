@@ -8,8 +8,7 @@ const Repository = require('../../../core/Repository');
 const Customer = require('../models/Customer');
 const Address = require('../models/Address');
 const Contact = require('../models/Contact');
-const mongoose = require('mongoose');
-const CustomerModel = mongoose.model('Customer');
+const CustomerModel = require('../../../models/customer.model');
 
 class CustomerRepository extends Repository {
   /**
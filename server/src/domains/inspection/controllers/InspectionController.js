@@ -9,7 +9,7 @@ const StatelessController = require('../../../core/StatelessController');
 const StatelessServiceFactory = require('../../../core/StatelessServiceFactory');
 const InspectionService = require('../services/InspectionService');
 const InspectionServiceInterface = require('../interfaces/InspectionServiceInterface');
-const inspectionRepository = require('../repositories/InspectionRepository');
+const inspectionRepository = require('../repositories/inspectionRepository');
 
 // Register the inspection service with the factory
 const serviceFactory = StatelessServiceFactory.getInstance();
@@ -17,6 +17,15 @@ serviceFactory.registerServiceType('inspection', InspectionService, {
   inspectionRepository
 });
 
+/**
+ * Extract the acting user for workflow transitions
+ * @param {Object} req - Express request object
+ * @returns {Object} - Actor ({ id, role })
+ */
+function getActor(req) {
+  return req.user ? { id: req.user.id || req.user._id, role: req.user.role } : {};
+}
+
 /**
  * Controller for inspection endpoints
  */
@@ -52,6 +61,46 @@ class InspectionController extends StatelessController {
       'delete',
       req => [req.params.id]
     );
+    this.startInspection = this.createServiceHandler(
+      'inspection',
+      'start',
+      req => [req.params.id, { actor: getActor(req) }]
+    );
+    this.completeInspection = this.createServiceHandler(
+      'inspection',
+      'complete',
+      req => [req.params.id, req.body, { actor: getActor(req) }]
+    );
+    this.cancelInspection = this.createServiceHandler(
+      'inspection',
+      'cancel',
+      req => [req.params.id, req.body.reason, { actor: getActor(req) }]
+    );
+    this.transitionInspection = this.createServiceHandler(
+      'inspection',
+      'transition',
+      req => [req.params.id, req.body.action, { actor: getActor(req), reason: req.body.reason }]
+    );
+    this.getSamplingPlan = this.createServiceHandler(
+      'inspection',
+      'getSamplingPlan',
+      req => [req.query, { supplierId: req.query.supplierId, componentId: req.query.componentId }]
+    );
+    this.getSamplingState = this.createServiceHandler(
+      'inspection',
+      'getSamplingState',
+      req => [req.params.supplierId, req.params.componentId]
+    );
+    this.resumeSampling = this.createServiceHandler(
+      'inspection',
+      'resumeSampling',
+      req => [req.params.supplierId, req.params.componentId, { actor: getActor(req) }]
+    );
+    this.setReducedInspectionAllowed = this.createServiceHandler(
+      'inspection',
+      'setReducedInspectionAllowed',
+      req => [req.params.supplierId, req.params.componentId, req.body.allowed]
+    );
     this.addFinding = this.createServiceHandler(
       'inspection',
       'addFinding',
@@ -7,6 +7,11 @@
 const domainEventBus = require('../../../core/DomainEventBus');
 const logger = require('../../../utils/logger');
 const inspectionRepository = require('../repositories/inspectionRepository');
+const qualityManagementService = require('../../../services/qualityManagement.service');
+
+// SPC violations for one supplier arrive in bursts; QMS updates are chained
+// per supplier so concurrent saves don't race on the same document
+const qmsUpdateQueues = new Map();
 
 /**
  * Initialize event handlers for the inspection domain
@@ -58,6 +63,14 @@ function initializeInspectionEventHandlers() {
     'ComponentSpecificationUpdated',
     handleComponentSpecificationUpdated
   );
+  
+  // Handle statistical process control events
+  domainEventBus.subscribeContext(
+    'inspection',
+    'quality',
+    'SpcRuleViolationDetected',
+    handleSpcRuleViolationDetected
+  );
 }
 
 /**
@@ -207,6 +220,75 @@ async function handleComponentSpecificationUpdated(event) {
   }
 }
 
+/**
+ * Handle SpcRuleViolationDetected event
+ * Opens a non-conformance in the supplier's QMS record when requested,
+ * skipping violations that already have one
+ * 
+ * @param {Object} event - The event object
+ */
+async function handleSpcRuleViolationDetected(event) {
+  const {
+    componentId,
+    supplierId,
+    partNumber,
+    parameterName,
+    rule,
+    description,
+    violationKey,
+    autoCreateNonConformance
+  } = event.payload;
+  
+  logger.debug(`Handling SpcRuleViolationDetected: ${componentId}, ${parameterName}, rule ${rule}`);
+  
+  if (!autoCreateNonConformance) {
+    return;
+  }
+  
+  if (!supplierId) {
+    logger.warn(`Cannot create non-conformance for SPC violation ${violationKey}: component has no supplier`);
+    return;
+  }
+  
+  const createNonConformance = async () => {
+    try {
+      const qms = await qualityManagementService.getSupplierQMS(supplierId);
+      
+      if (qms.nonConformances.some(nc => nc.sourceReference === violationKey)) {
+        logger.debug(`Non-conformance already exists for SPC violation ${violationKey}`);
+        return;
+      }
+      
+      await qualityManagementService.addNonConformance(supplierId, {
+        description: `SPC rule ${rule} violated for ${parameterName} on part ${partNumber}: ${description}`,
+        severity: rule === 'WE1' || rule === 'N1' ? 'major' : 'minor',
+        category: 'process',
+        reportedBy: 'SPC',
+        source: 'spc',
+        sourceReference: violationKey
+      });
+      
+      logger.info(`Created non-conformance for SPC violation ${violationKey}`);
+    } catch (error) {
+      logger.error(`Error handling SpcRuleViolationDetected event`, {
+        error,
+        componentId,
+        violationKey
+      });
+    }
+  };
+  
+  const previous = qmsUpdateQueues.get(supplierId) || Promise.resolve();
+  const current = previous.then(createNonConformance);
+  qmsUpdateQueues.set(supplierId, current);
+  
+  await current;
+  
+  if (qmsUpdateQueues.get(supplierId) === current) {
+    qmsUpdateQueues.delete(supplierId);
+  }
+}
+
 module.exports = {
   initializeInspectionEventHandlers
 }; 
\ No newline at end of file
@@ -8,6 +8,19 @@ const domainEventBus = require('../../../core/DomainEventBus');
 const logger = require('../../../utils/logger');
 const inspectionEventSchemas = require('./schemas');
 
+/**
+ * Get the ID of a reference that may be populated
+ * 
+ * @param {*} reference - An ID or a populated document
+ * @returns {string|undefined} - The ID as a string
+ */
+function idOf(reference) {
+  if (!reference) {
+    return undefined;
+  }
+  return String(reference._id || reference);
+}
+
 /**
  * Initialize event publishers for the inspection domain
  */
@@ -31,11 +44,11 @@ function publishInspectionCreated(inspection) {
   domainEventBus.publishFromContext('inspection', {
     type: 'InspectionCreated',
     payload: {
-      inspectionId: inspectionData.id,
+      inspectionId: idOf(inspectionData),
       title: inspectionData.title,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
-      componentId: inspectionData.componentId,
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
+      componentId: idOf(inspectionData.componentId),
       scheduledDate: inspectionData.scheduledDate ? inspectionData.scheduledDate.toISOString() : null,
       inspectionType: inspectionData.inspectionType
     }
@@ -53,10 +66,10 @@ function publishInspectionScheduled(inspection) {
   domainEventBus.publishFromContext('inspection', {
     type: 'InspectionScheduled',
     payload: {
-      inspectionId: inspectionData.id,
+      inspectionId: idOf(inspectionData),
       title: inspectionData.title,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
       scheduledDate: inspectionData.scheduledDate ? inspectionData.scheduledDate.toISOString() : null
     }
   });
@@ -74,9 +87,9 @@ function publishInspectionRescheduled(inspection, previousDate) {
   domainEventBus.publishFromContext('inspection', {
     type: 'InspectionRescheduled',
     payload: {
-      inspectionId: inspectionData.id,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
+      inspectionId: idOf(inspectionData),
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
       scheduledDate: inspectionData.scheduledDate ? inspectionData.scheduledDate.toISOString() : null,
       previousDate: previousDate ? previousDate.toISOString() : null
     }
@@ -94,9 +107,9 @@ function publishInspectionStarted(inspection) {
   domainEventBus.publishFromContext('inspection', {
     type: 'InspectionStarted',
     payload: {
-      inspectionId: inspectionData.id,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
+      inspectionId: idOf(inspectionData),
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
       startedAt: new Date().toISOString(),
       inspectorId: inspectionData.inspectorId
     }
@@ -115,10 +128,10 @@ function publishInspectionCompleted(inspection, result) {
   domainEventBus.publishFromContext('inspection', {
     type: 'InspectionCompleted',
     payload: {
-      inspectionId: inspectionData.id,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
-      completedDate: inspectionData.completedDate ? inspectionData.completedDate.toISOString() : new Date().toISOString(),
+      inspectionId: idOf(inspectionData),
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
+      completedDate: inspectionData.completionDate ? new Date(inspectionData.completionDate).toISOString() : new Date().toISOString(),
       result: result || 'completed',
       defectCount: inspectionData.defects ? inspectionData.defects.length : 0
     }
@@ -137,14 +150,39 @@ function publishInspectionCancelled(inspection, reason) {
   domainEventBus.publishFromContext('inspection', {
     type: 'InspectionCancelled',
     payload: {
-      inspectionId: inspectionData.id,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
+      inspectionId: idOf(inspectionData),
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
       reason: reason || 'No reason provided'
     }
   });
 }
 
+/**
+ * Publish an inspection status updated event
+ * 
+ * @param {Object} inspection - The updated inspection
+ * @param {string} previousStatus - The status before the update
+ */
+function publishInspectionStatusUpdated(inspection, previousStatus) {
+  const inspectionData = inspection.toObject ? inspection.toObject() : inspection;
+  
+  domainEventBus.publishFromContext('inspection', {
+    type: 'InspectionStatusUpdated',
+    payload: {
+      inspectionId: idOf(inspectionData),
+      inspectionNumber: inspectionData.inspectionNumber,
+      status: inspectionData.status,
+      previousStatus,
+      result: inspectionData.result,
+      inspectionType: inspectionData.inspectionType,
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
+      componentId: idOf(inspectionData.componentId)
+    }
+  });
+}
+
 /**
  * Publish a defect recorded event
  * 
@@ -158,18 +196,54 @@ function publishDefectRecorded(inspection, defect) {
   domainEventBus.publishFromContext('inspection', {
     type: 'DefectRecorded',
     payload: {
-      inspectionId: inspectionData.id,
-      defectId: defectData.id,
+      inspectionId: idOf(inspectionData),
+      inspectionNumber: inspectionData.inspectionNumber,
+      defectId: idOf(defectData),
+      defectType: defectData.defectType,
       itemId: defectData.itemId,
-      customerId: inspectionData.customerId,
-      supplierId: inspectionData.supplierId,
-      componentId: inspectionData.componentId,
+      customerId: idOf(inspectionData.customerId),
+      supplierId: idOf(inspectionData.supplierId),
+      componentId: idOf(inspectionData.componentId),
       severity: defectData.severity,
       description: defectData.description
     }
   });
 }
 
+/**
+ * Publish an SPC rule violation detected event
+ * 
+ * @param {Object} violation - The violation with its component and parameter context
+ */
+function publishSpcRuleViolationDetected(violation) {
+  const violationKey = [
+    violation.componentId,
+    violation.specificationId || violation.parameterName,
+    violation.chart,
+    violation.rule,
+    violation.inspectionId || violation.pointIndex
+  ].join(':');
+  
+  domainEventBus.publishFromContext('inspection', {
+    type: 'SpcRuleViolationDetected',
+    payload: {
+      componentId: violation.componentId,
+      supplierId: violation.supplierId,
+      partNumber: violation.partNumber,
+      specificationId: violation.specificationId,
+      parameterName: violation.parameterName,
+      chart: violation.chart,
+      ruleSet: violation.ruleSet,
+      rule: violation.rule,
+      description: violation.description,
+      value: violation.value,
+      inspectionId: violation.inspectionId,
+      violationKey,
+      autoCreateNonConformance: Boolean(violation.autoCreateNonConformance)
+    }
+  });
+}
+
 module.exports = {
   initializeInspectionEventPublishers,
   publishInspectionCreated,
@@ -178,5 +252,7 @@ module.exports = {
   publishInspectionStarted,
   publishInspectionCompleted,
   publishInspectionCancelled,
-  publishDefectRecorded
+  publishInspectionStatusUpdated,
+  publishDefectRecorded,
+  publishSpcRuleViolationDetected
 }; 
\ No newline at end of file
@@ -81,6 +81,22 @@ const inspectionEventSchemas = {
     }
   },
   
+  InspectionStatusUpdated: {
+    description: 'Triggered when the status of an inspection changes',
+    required: ['inspectionId', 'status'],
+    properties: {
+      inspectionId: { type: 'string' },
+      inspectionNumber: { type: 'string' },
+      status: { type: 'string' },
+      previousStatus: { type: 'string' },
+      result: { type: 'string' },
+      inspectionType: { type: 'string' },
+      customerId: { type: 'string' },
+      supplierId: { type: 'string' },
+      componentId: { type: 'string' }
+    }
+  },
+  
   // Inspection item events
   InspectionItemAdded: {
     description: 'Triggered when an item is added to an inspection',
@@ -110,7 +126,9 @@ const inspectionEventSchemas = {
     required: ['inspectionId', 'defectId', 'severity'],
     properties: {
       inspectionId: { type: 'string' },
+      inspectionNumber: { type: 'string' },
       defectId: { type: 'string' },
+      defectType: { type: 'string' },
       itemId: { type: 'string' },
       customerId: { type: 'string' },
       supplierId: { type: 'string' },
@@ -118,6 +136,27 @@ const inspectionEventSchemas = {
       severity: { type: 'string' },
       description: { type: 'string' }
     }
+  },
+  
+  // Statistical process control events
+  SpcRuleViolationDetected: {
+    description: 'Triggered when SPC analysis detects a control chart rule violation',
+    required: ['componentId', 'parameterName', 'ruleSet', 'rule', 'violationKey'],
+    properties: {
+      componentId: { type: 'string' },
+      supplierId: { type: 'string' },
+      partNumber: { type: 'string' },
+      specificationId: { type: 'string' },
+      parameterName: { type: 'string' },
+      chart: { type: 'string' },
+      ruleSet: { type: 'string' },
+      rule: { type: 'string' },
+      description: { type: 'string' },
+      value: { type: 'number' },
+      inspectionId: { type: 'string' },
+      violationKey: { type: 'string' },
+      autoCreateNonConformance: { type: 'boolean' }
+    }
   }
 };
 
@@ -24,6 +24,7 @@ class Defect extends Entity {
     dueDate = null,
     resolutionNotes = '',
     relatedItemId = null,
+    capaId = null,
     createdAt,
     updatedAt
   }) {
@@ -41,6 +42,7 @@ class Defect extends Entity {
     this.dueDate = dueDate ? new Date(dueDate) : null;
     this.resolutionNotes = resolutionNotes;
     this.relatedItemId = relatedItemId;
+    this.capaId = capaId;
     
     this.validate();
   }
@@ -136,6 +138,15 @@ class Defect extends Entity {
     this.markModified();
   }
   
+  linkCapa(capaId) {
+    if (!capaId) {
+      throw new DomainError('CAPA ID is required');
+    }
+    
+    this.capaId = capaId;
+    this.markModified();
+  }
+  
   reject(reason) {
     if (!reason) {
       throw new DomainError('Rejection reason is required');
@@ -216,6 +227,7 @@ class Defect extends Entity {
       dueDate: this.dueDate,
       resolutionNotes: this.resolutionNotes,
       relatedItemId: this.relatedItemId,
+      capaId: this.capaId,
       isOpen: this.isOpen(),
       isResolved: this.isResolved(),
       isCritical: this.isCritical()
@@ -7,8 +7,20 @@
 const AggregateRoot = require('../../../core/AggregateRoot');
 const InspectionItem = require('./InspectionItem');
 const Defect = require('./Defect');
+const SamplingPlan = require('./SamplingPlan');
 const { DomainError } = require('../../../core/errors');
 
+const VALID_STATUSES = [
+  'scheduled',
+  'in-progress',
+  'pending-review',
+  'approved',
+  'rejected',
+  'completed',
+  'closed',
+  'cancelled'
+];
+
 class Inspection extends AggregateRoot {
   constructor({
     id,
@@ -27,6 +39,8 @@ class Inspection extends AggregateRoot {
     defects = [],
     attachments = [],
     notes = '',
+    statusHistory = [],
+    samplingPlan = null,
     createdAt,
     updatedAt
   }) {
@@ -55,6 +69,13 @@ class Inspection extends AggregateRoot {
     
     this.attachments = [...attachments];
     
+    this.statusHistory = statusHistory.map(entry => ({
+      ...entry,
+      occurredAt: new Date(entry.occurredAt)
+    }));
+    
+    this.samplingPlan = samplingPlan ? { ...samplingPlan } : null;
+    
     this.validate();
   }
   
@@ -71,9 +92,8 @@ class Inspection extends AggregateRoot {
       throw new DomainError('Either customer ID or supplier ID is required');
     }
     
-    const validStatuses = ['scheduled', 'in-progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(this.status)) {
-      throw new DomainError(`Invalid status: ${this.status}. Must be one of: ${validStatuses.join(', ')}`);
+    if (!VALID_STATUSES.includes(this.status)) {
+      throw new DomainError(`Invalid status: ${this.status}. Must be one of: ${VALID_STATUSES.join(', ')}`);
     }
     
     if (this.status === 'completed' && !this.completedDate) {
@@ -128,9 +148,8 @@ class Inspection extends AggregateRoot {
   }
   
   updateStatus(status) {
-    const validStatuses = ['scheduled', 'in-progress', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      throw new DomainError(`Invalid status: ${status}. Must be one of: ${validStatuses.join(', ')}`);
+    if (!VALID_STATUSES.includes(status)) {
+      throw new DomainError(`Invalid status: ${status}. Must be one of: ${VALID_STATUSES.join(', ')}`);
     }
     
     // Handle status transitions
@@ -152,6 +171,7 @@ class Inspection extends AggregateRoot {
       this.completedDate = null;
     }
     
+    const previousStatus = this.status;
     this.status = status;
     this.markModified();
     
@@ -160,12 +180,59 @@ class Inspection extends AggregateRoot {
       type: 'InspectionStatusUpdated',
       payload: {
         inspectionId: this.id,
-        previousStatus: this.status,
+        previousStatus,
         newStatus: status
       }
     });
   }
   
+  /**
+   * Apply a workflow transition and record it in the status history.
+   * The transition must already have been authorized by the inspection workflow.
+   * @param {Object} transition - Transition definition ({ action, to })
+   * @param {Object} context - Transition context
+   * @param {Object} context.actor - User performing the transition ({ id, role })
+   * @param {string} context.reason - Optional reason or comment
+   * @returns {Object} - The recorded history entry
+   */
+  applyTransition(transition, { actor = {}, reason } = {}) {
+    if (!VALID_STATUSES.includes(transition.to)) {
+      throw new DomainError(`Invalid status: ${transition.to}. Must be one of: ${VALID_STATUSES.join(', ')}`);
+    }
+    
+    const entry = {
+      action: transition.action,
+      from: this.status,
+      to: transition.to,
+      actorId: actor.id || null,
+      actorRole: actor.role || null,
+      reason: reason || null,
+      occurredAt: new Date()
+    };
+    
+    if (transition.action === 'complete' && !this.completedDate) {
+      this.completedDate = entry.occurredAt;
+    }
+    
+    this.status = transition.to;
+    this.statusHistory.push(entry);
+    this.markModified();
+    
+    // Add domain event
+    this.addDomainEvent({
+      type: 'InspectionStatusUpdated',
+      payload: {
+        inspectionId: this.id,
+        previousStatus: entry.from,
+        newStatus: entry.to,
+        action: entry.action,
+        actorId: entry.actorId
+      }
+    });
+    
+    return entry;
+  }
+  
   addItem(itemData) {
     const item = itemData instanceof InspectionItem 
       ? itemData 
@@ -361,6 +428,35 @@ class Inspection extends AggregateRoot {
     return this.status === 'completed';
   }
   
+  /**
+   * Decide the lot from the failed sample items using the inspection's sampling plan
+   * @returns {Object} - Disposition ({ nonconforming, accepted, returnToNormal, decidedAt })
+   */
+  recordSamplingDisposition() {
+    if (!this.samplingPlan) {
+      throw new DomainError('Inspection has no sampling plan');
+    }
+    
+    const plan = new SamplingPlan(this.samplingPlan);
+    const nonconforming = this.items.filter(item => item.category === 'sample' && item.isFailed()).length;
+    const disposition = { ...plan.evaluate(nonconforming), decidedAt: new Date() };
+    
+    this.samplingPlan = { ...this.samplingPlan, disposition };
+    this.markModified();
+    
+    // Add domain event
+    this.addDomainEvent({
+      type: 'InspectionLotDispositioned',
+      payload: {
+        inspectionId: this.id,
+        accepted: disposition.accepted,
+        nonconforming
+      }
+    });
+    
+    return disposition;
+  }
+  
   toObject() {
     return {
       ...super.toObject(),
@@ -379,6 +475,8 @@ class Inspection extends AggregateRoot {
       items: this.items.map(item => item.toObject()),
       defects: this.defects.map(defect => defect.toObject()),
       attachments: this.attachments,
+      statusHistory: this.statusHistory.map(entry => ({ ...entry })),
+      samplingPlan: this.samplingPlan ? { ...this.samplingPlan } : null,
       completionPercentage: this.getCompletionPercentage()
     };
   }
@@ -423,4 +521,6 @@ class Inspection extends AggregateRoot {
   }
 }
 
+Inspection.STATUSES = VALID_STATUSES;
+
 module.exports = Inspection; 
\ No newline at end of file
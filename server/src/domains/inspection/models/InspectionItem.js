@@ -14,6 +14,7 @@ class InspectionItem extends Entity {
     name,
     description,
     category,
+    specificationId = null,
     order = 0,
     status = 'pending',
     result = null,
@@ -31,6 +32,7 @@ class InspectionItem extends Entity {
     this.name = name;
     this.description = description;
     this.category = category;
+    this.specificationId = specificationId;
     this.order = order;
     this.status = status;
     this.result = result;
@@ -67,6 +69,7 @@ class InspectionItem extends Entity {
     name,
     description,
     category,
+    specificationId,
     order,
     isRequired,
     expectedValue,
@@ -77,6 +80,7 @@ class InspectionItem extends Entity {
     if (name) this.name = name;
     if (description !== undefined) this.description = description;
     if (category) this.category = category;
+    if (specificationId !== undefined) this.specificationId = specificationId;
     if (order !== undefined) this.order = order;
     if (isRequired !== undefined) this.isRequired = isRequired;
     if (expectedValue !== undefined) this.expectedValue = expectedValue;
@@ -170,6 +174,7 @@ class InspectionItem extends Entity {
       name: this.name,
       description: this.description,
       category: this.category,
+      specificationId: this.specificationId,
       order: this.order,
       status: this.status,
       result: this.result,
@@ -0,0 +1,290 @@
+/**
+ * InspectionWorkflow.js
+ *
+ * Configurable state machine governing inspection status transitions.
+ * A workflow is defined per inspection type and lists the allowed states,
+ * the transitions between them, the guards each transition must pass and
+ * the roles allowed to perform it.
+ */
+
+const { DomainError, BusinessRuleError, AuthorizationError } = require('../../../core/errors');
+const Inspection = require('./Inspection');
+
+const OPEN_DEFECT_STATUSES = ['open', 'in-progress'];
+
+/**
+ * Guards that can be referenced by name from a workflow definition.
+ * Each check returns null when the guard passes or a failure message otherwise.
+ */
+const WORKFLOW_GUARDS = {
+  requiredItemsComplete: {
+    description: 'All required inspection items have a result',
+    check: inspection => {
+      const pending = inspection.items.filter(item => item.isRequired && !item.isCompleted());
+      return pending.length === 0
+        ? null
+        : `${pending.length} required inspection item(s) are still pending`;
+    }
+  },
+  noOpenCriticalDefects: {
+    description: 'No critical defects are open',
+    check: inspection => {
+      const open = inspection.defects.filter(defect =>
+        defect.severity === 'critical' && OPEN_DEFECT_STATUSES.includes(defect.status)
+      );
+      return open.length === 0
+        ? null
+        : `${open.length} critical defect(s) are still open`;
+    }
+  },
+  inspectorAssigned: {
+    description: 'An inspector is assigned',
+    check: inspection => (inspection.inspectorId ? null : 'No inspector is assigned')
+  }
+};
+
+/**
+ * Workflow used for inspection types that have no stored definition
+ */
+const DEFAULT_WORKFLOW_DEFINITION = {
+  inspectionType: 'default',
+  name: 'Default inspection workflow',
+  version: 1,
+  initialState: 'scheduled',
+  states: [
+    { name: 'scheduled' },
+    { name: 'in-progress' },
+    { name: 'pending-review' },
+    { name: 'approved' },
+    { name: 'rejected' },
+    { name: 'closed', terminal: true },
+    { name: 'cancelled', terminal: true }
+  ],
+  transitions: [
+    { action: 'start', from: ['scheduled'], to: 'in-progress', guards: ['inspectorAssigned'] },
+    {
+      action: 'complete',
+      from: ['in-progress'],
+      to: 'pending-review',
+      guards: ['requiredItemsComplete', 'noOpenCriticalDefects']
+    },
+    { action: 'approve', from: ['pending-review'], to: 'approved', approverRoles: ['admin', 'manager', 'quality-manager'] },
+    { action: 'reject', from: ['pending-review'], to: 'rejected', approverRoles: ['admin', 'manager', 'quality-manager'] },
+    { action: 'rework', from: ['rejected'], to: 'in-progress' },
+    { action: 'close', from: ['approved'], to: 'closed', guards: ['noOpenCriticalDefects'] },
+    { action: 'cancel', from: ['scheduled', 'in-progress', 'pending-review'], to: 'cancelled' }
+  ]
+};
+
+class InspectionWorkflow {
+  constructor({
+    id,
+    inspectionType,
+    name,
+    version = 1,
+    initialState,
+    states = [],
+    transitions = []
+  }) {
+    this.id = id;
+    this.inspectionType = inspectionType;
+    this.name = name || inspectionType;
+    this.version = version;
+    this.initialState = initialState;
+    this.states = states.map(state => ({
+      name: state.name,
+      terminal: Boolean(state.terminal)
+    }));
+    this.transitions = transitions.map(transition => ({
+      action: transition.action,
+      from: [...(transition.from || [])],
+      to: transition.to,
+      guards: [...(transition.guards || [])],
+      approverRoles: [...(transition.approverRoles || [])]
+    }));
+
+    this.validate();
+  }
+
+  /**
+   * Validate the workflow definition
+   * @throws {DomainError} - If the definition is inconsistent
+   */
+  validate() {
+    const problems = [];
+    const stateNames = this.states.map(state => state.name);
+
+    if (!this.inspectionType) {
+      problems.push('inspectionType is required');
+    }
+
+    if (stateNames.length === 0) {
+      problems.push('at least one state is required');
+    }
+
+    const duplicateStates = stateNames.filter((name, index) => stateNames.indexOf(name) !== index);
+    if (duplicateStates.length > 0) {
+      problems.push(`duplicate states: ${[...new Set(duplicateStates)].join(', ')}`);
+    }
+
+    // Inspections can only be stored in the statuses they know
+    const unknownStates = stateNames.filter(name => !Inspection.STATUSES.includes(name));
+    if (unknownStates.length > 0) {
+      problems.push(`unsupported states: ${[...new Set(unknownStates)].join(', ')}`);
+    }
+
+    if (!stateNames.includes(this.initialState)) {
+      problems.push(`initial state "${this.initialState}" is not a declared state`);
+    }
+
+    const seen = new Set();
+    this.transitions.forEach(transition => {
+      const label = transition.action || '(unnamed)';
+
+      if (!transition.action) {
+        problems.push('every transition requires an action');
+      }
+
+      if (!stateNames.includes(transition.to)) {
+        problems.push(`transition "${label}" targets unknown state "${transition.to}"`);
+      }
+
+      if (transition.from.length === 0) {
+        problems.push(`transition "${label}" has no source states`);
+      }
+
+      transition.from.forEach(from => {
+        if (!stateNames.includes(from)) {
+          problems.push(`transition "${label}" starts from unknown state "${from}"`);
+        }
+
+        if (this.isTerminal(from)) {
+          problems.push(`transition "${label}" leaves terminal state "${from}"`);
+        }
+
+        const key = `${transition.action}:${from}`;
+        if (seen.has(key)) {
+          problems.push(`transition "${label}" is defined more than once from "${from}"`);
+        }
+        seen.add(key);
+      });
+
+      transition.guards
+        .filter(guard => !WORKFLOW_GUARDS[guard])
+        .forEach(guard => problems.push(`transition "${label}" uses unknown guard "${guard}"`));
+    });
+
+    if (problems.length > 0) {
+      throw new DomainError(`Invalid inspection workflow "${this.name}": ${problems.join('; ')}`);
+    }
+  }
+
+  /**
+   * Check whether a state is terminal
+   * @param {string} stateName - Name of the state
+   * @returns {boolean} - True if no transition may leave the state
+   */
+  isTerminal(stateName) {
+    const state = this.states.find(s => s.name === stateName);
+    return Boolean(state && state.terminal);
+  }
+
+  /**
+   * Find the transition for an action from a given state
+   * @param {string} action - Action name
+   * @param {string} fromState - Current state
+   * @returns {Object|null} - Transition definition if allowed
+   */
+  getTransition(action, fromState) {
+    return this.transitions.find(t => t.action === action && t.from.includes(fromState)) || null;
+  }
+
+  /**
+   * List the actions available from a given state
+   * @param {string} fromState - Current state
+   * @returns {Array<string>} - Action names
+   */
+  getAvailableActions(fromState) {
+    return this.transitions
+      .filter(t => t.from.includes(fromState))
+      .map(t => t.action);
+  }
+
+  /**
+   * Evaluate the guards of a transition against an inspection
+   * @param {Object} transition - Transition definition
+   * @param {Inspection} inspection - Inspection aggregate
+   * @returns {Array<string>} - Failure messages, empty when all guards pass
+   */
+  evaluateGuards(transition, inspection) {
+    return transition.guards
+      .map(guard => WORKFLOW_GUARDS[guard].check(inspection))
+      .filter(Boolean);
+  }
+
+  /**
+   * Resolve and authorize a transition for an inspection
+   * @param {Inspection} inspection - Inspection aggregate
+   * @param {string} action - Action name
+   * @param {Object} actor - User performing the action
+   * @param {string} actor.role - Role of the user
+   * @returns {Object} - Transition definition
+   * @throws {BusinessRuleError} - If the transition is not allowed or a guard fails
+   * @throws {AuthorizationError} - If the actor may not perform the transition
+   */
+  authorize(inspection, action, actor = {}) {
+    const transition = this.getTransition(action, inspection.status);
+
+    if (!transition) {
+      const available = this.getAvailableActions(inspection.status);
+      throw new BusinessRuleError(
+        `Cannot ${action} an inspection with status "${inspection.status}". ` +
+        `Allowed actions: ${available.length > 0 ? available.join(', ') : 'none'}`
+      );
+    }
+
+    if (transition.approverRoles.length > 0 && !transition.approverRoles.includes(actor.role)) {
+      throw new AuthorizationError(
+        `Role "${actor.role || 'unknown'}" cannot ${action} inspections. ` +
+        `Required role: ${transition.approverRoles.join(', ')}`
+      );
+    }
+
+    const failures = this.evaluateGuards(transition, inspection);
+    if (failures.length > 0) {
+      throw new BusinessRuleError(`Cannot ${action} inspection: ${failures.join('; ')}`);
+    }
+
+    return transition;
+  }
+
+  toObject() {
+    return {
+      id: this.id,
+      inspectionType: this.inspectionType,
+      name: this.name,
+      version: this.version,
+      initialState: this.initialState,
+      states: this.states.map(state => ({ ...state })),
+      transitions: this.transitions.map(transition => ({ ...transition }))
+    };
+  }
+
+  // Factory method
+  static fromDefinition(definition) {
+    return new InspectionWorkflow({
+      ...definition,
+      id: definition.id || (definition._id ? definition._id.toString() : undefined)
+    });
+  }
+
+  // Factory method for inspection types without a stored definition
+  static createDefault(inspectionType = DEFAULT_WORKFLOW_DEFINITION.inspectionType) {
+    return new InspectionWorkflow({ ...DEFAULT_WORKFLOW_DEFINITION, inspectionType });
+  }
+}
+
+InspectionWorkflow.GUARDS = WORKFLOW_GUARDS;
+InspectionWorkflow.DEFAULT_DEFINITION = DEFAULT_WORKFLOW_DEFINITION;
+
+module.exports = InspectionWorkflow;
@@ -0,0 +1,340 @@
+/**
+ * SamplingPlan.js
+ *
+ * Sampling plan value object for the Inspection domain
+ * Implements ANSI/ASQ Z1.4 single sampling (Tables I, II-A, II-B and II-C)
+ * and Squeglia C=0 zero-acceptance plans for lot acceptance inspection
+ */
+
+const ValueObject = require('../../../core/ValueObject');
+const { DomainError } = require('../../../core/errors');
+
+const SCHEMES = ['z1.4', 'c0'];
+const SEVERITIES = ['normal', 'tightened', 'reduced'];
+const INSPECTION_LEVELS = ['S-1', 'S-2', 'S-3', 'S-4', 'I', 'II', 'III'];
+
+// Preferred AQL values, in the column order of the Z1.4 master tables
+const AQL_VALUES = [
+  0.010, 0.015, 0.025, 0.040, 0.065, 0.10, 0.15, 0.25, 0.40, 0.65, 1.0, 1.5, 2.5,
+  4.0, 6.5, 10, 15, 25, 40, 65, 100, 150, 250, 400, 650, 1000
+];
+
+// Sample size code letters (Z1.4 has no I or O; S only exists under tightened inspection)
+const CODE_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J', 'K', 'L', 'M', 'N', 'P', 'Q', 'R', 'S'];
+
+// Table I - code letters per lot size, in INSPECTION_LEVELS order
+const LOT_SIZE_CODE_LETTERS = [
+  { maxLotSize: 8, letters: 'AAAAAAB' },
+  { maxLotSize: 15, letters: 'AAAAABC' },
+  { maxLotSize: 25, letters: 'AABBBCD' },
+  { maxLotSize: 50, letters: 'ABBCCDE' },
+  { maxLotSize: 90, letters: 'BBCCCEF' },
+  { maxLotSize: 150, letters: 'BBCDDFG' },
+  { maxLotSize: 280, letters: 'BCDEEGH' },
+  { maxLotSize: 500, letters: 'BCDEFHJ' },
+  { maxLotSize: 1200, letters: 'CCEFGJK' },
+  { maxLotSize: 3200, letters: 'CDEGHKL' },
+  { maxLotSize: 10000, letters: 'CDFGJLM' },
+  { maxLotSize: 35000, letters: 'CDFHKMN' },
+  { maxLotSize: 150000, letters: 'DEGJLNP' },
+  { maxLotSize: 500000, letters: 'DEGJMPQ' },
+  { maxLotSize: Infinity, letters: 'DEHKNQR' }
+];
+
+/*
+ * Tables II-A, II-B and II-C share a diagonal layout: the cell for code letter
+ * row r and AQL column c depends only on r + c. Each table is described by the
+ * diagonal holding its first 0/1 plan (origin) and the sequence of cells along
+ * successive diagonals. 'up' and 'down' are the table arrows: use the first
+ * sampling plan above or below, together with that row's sample size.
+ */
+const MASTER_TABLES = {
+  normal: {
+    sampleSizes: [2, 3, 5, 8, 13, 20, 32, 50, 80, 125, 200, 315, 500, 800, 1250, 2000],
+    origin: 14,
+    cells: [[0, 1], 'up', 'down', [1, 2], [2, 3], [3, 4], [5, 6], [7, 8], [10, 11], [14, 15], [21, 22], [30, 31], [44, 45]]
+  },
+  tightened: {
+    sampleSizes: [2, 3, 5, 8, 13, 20, 32, 50, 80, 125, 200, 315, 500, 800, 1250, 2000, 3150],
+    origin: 16,
+    cells: [[0, 1], 'down', [1, 2], [2, 3], [3, 4], [5, 6], [8, 9], [12, 13], [18, 19], [27, 28], [41, 42]]
+  },
+  reduced: {
+    sampleSizes: [2, 2, 2, 3, 5, 8, 13, 20, 32, 50, 80, 125, 200, 315, 500, 800],
+    origin: 14,
+    cells: [[0, 1], 'up', 'down', [0, 2], [1, 3], [1, 4], [2, 5], [3, 6], [5, 8], [7, 10], [10, 13], [14, 17], [21, 24]]
+  }
+};
+
+// C=0 sample sizes per lot size (Table I lot ranges) for AQL 0.010 to 10.0; 0 means inspect the entire lot
+const C0_AQL_VALUES = AQL_VALUES.slice(0, 16);
+const C0_SAMPLE_SIZES = [
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 5, 3, 2, 2],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 13, 8, 5, 3, 2, 2],
+  [0, 0, 0, 0, 0, 0, 0, 0, 0, 20, 13, 8, 5, 3, 3, 2],
+  [0, 0, 0, 0, 0, 0, 0, 0, 32, 20, 13, 8, 5, 5, 5, 3],
+  [0, 0, 0, 0, 0, 0, 80, 50, 32, 20, 13, 8, 7, 6, 5, 4],
+  [0, 0, 0, 0, 0, 125, 80, 50, 32, 20, 13, 12, 11, 7, 6, 5],
+  [0, 0, 0, 0, 200, 125, 80, 50, 32, 20, 20, 19, 13, 10, 7, 6],
+  [0, 0, 0, 315, 200, 125, 80, 50, 48, 47, 29, 21, 16, 11, 9, 7],
+  [0, 0, 500, 315, 200, 125, 80, 75, 73, 47, 34, 27, 19, 15, 11, 8],
+  [0, 800, 500, 315, 200, 125, 120, 116, 73, 53, 42, 35, 23, 18, 13, 9],
+  [1250, 800, 500, 315, 200, 192, 189, 116, 86, 68, 50, 38, 29, 22, 15, 9],
+  [1250, 800, 500, 315, 300, 294, 189, 135, 108, 77, 60, 46, 35, 29, 15, 9],
+  [1250, 800, 500, 490, 476, 294, 218, 170, 123, 96, 74, 56, 40, 29, 15, 9],
+  [1250, 800, 750, 715, 476, 345, 270, 200, 156, 119, 90, 64, 40, 29, 15, 9],
+  [1250, 1200, 1112, 715, 556, 435, 303, 244, 189, 143, 102, 64, 40, 29, 15, 9]
+];
+
+/**
+ * Find the column of an AQL value
+ * @param {Array<number>} values - Allowed AQL values
+ * @param {number} aql - AQL
+ * @returns {number} - Column index
+ * @throws {DomainError} - If the AQL is not a preferred value
+ */
+function aqlColumn(values, aql) {
+  const column = values.findIndex(value => Math.abs(value - Number(aql)) < 1e-9);
+  if (column === -1) {
+    throw new DomainError(`Invalid AQL: ${aql}. Must be one of: ${values.join(', ')}`);
+  }
+  return column;
+}
+
+/**
+ * Find the Table I row of a lot size
+ * @param {number} lotSize - Lot size
+ * @returns {number} - Row index
+ */
+function lotSizeRow(lotSize) {
+  return LOT_SIZE_CODE_LETTERS.findIndex(range => lotSize <= range.maxLotSize);
+}
+
+/**
+ * Resolve a Z1.4 master table cell, following arrows to the plan they point at
+ * @param {string} severity - normal, tightened or reduced
+ * @param {number} row - Code letter row
+ * @param {number} column - AQL column
+ * @returns {Object} - { row, acceptanceNumber, rejectionNumber }
+ */
+function resolveMasterTableCell(severity, row, column) {
+  const table = MASTER_TABLES[severity];
+  const lastRow = table.sampleSizes.length - 1;
+  let currentRow = row;
+
+  for (let step = 0; step <= table.sampleSizes.length; step++) {
+    const offset = currentRow + column - table.origin;
+
+    if (offset < 0) {
+      currentRow = Math.min(currentRow + 1, lastRow);
+      continue;
+    }
+
+    if (offset >= table.cells.length) {
+      currentRow -= 1;
+      continue;
+    }
+
+    const cell = table.cells[offset];
+    if (Array.isArray(cell)) {
+      return { row: currentRow, acceptanceNumber: cell[0], rejectionNumber: cell[1] };
+    }
+
+    // Arrows pointing off the table fall through to the next plan on the same row
+    if (cell === 'up' && currentRow > 0) {
+      currentRow -= 1;
+    } else if (cell === 'down' && currentRow < lastRow) {
+      currentRow += 1;
+    } else {
+      const next = table.cells.slice(offset).find(Array.isArray);
+      return { row: currentRow, acceptanceNumber: next[0], rejectionNumber: next[1] };
+    }
+  }
+
+  throw new DomainError(`No ${severity} sampling plan for code letter ${CODE_LETTERS[row]} and AQL ${AQL_VALUES[column]}`);
+}
+
+class SamplingPlan extends ValueObject {
+  constructor({
+    scheme = 'z1.4',
+    lotSize,
+    inspectionLevel = 'II',
+    aql,
+    severity = 'normal',
+    codeLetter = null,
+    sampleSize,
+    acceptanceNumber,
+    rejectionNumber,
+    tighterAcceptanceNumber = null,
+    hundredPercent = false
+  }) {
+    super();
+    this.scheme = scheme;
+    this.lotSize = lotSize;
+    this.inspectionLevel = scheme === 'c0' ? null : inspectionLevel;
+    this.aql = aql;
+    this.severity = severity;
+    this.codeLetter = codeLetter;
+    this.sampleSize = sampleSize;
+    this.acceptanceNumber = acceptanceNumber;
+    this.rejectionNumber = rejectionNumber;
+    this.tighterAcceptanceNumber = tighterAcceptanceNumber;
+    this.hundredPercent = hundredPercent;
+
+    this.validate();
+  }
+
+  validate() {
+    if (!SCHEMES.includes(this.scheme)) {
+      throw new DomainError(`Invalid sampling scheme: ${this.scheme}. Must be one of: ${SCHEMES.join(', ')}`);
+    }
+
+    if (!SEVERITIES.includes(this.severity)) {
+      throw new DomainError(`Invalid inspection severity: ${this.severity}. Must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    if (!Number.isInteger(this.lotSize) || this.lotSize < 2) {
+      throw new DomainError('Lot size must be an integer of at least 2');
+    }
+
+    if (!Number.isInteger(this.sampleSize) || this.sampleSize < 1 || this.sampleSize > this.lotSize) {
+      throw new DomainError('Sample size must be between 1 and the lot size');
+    }
+
+    if (this.rejectionNumber <= this.acceptanceNumber) {
+      throw new DomainError('Rejection number must be greater than the acceptance number');
+    }
+  }
+
+  /**
+   * Decide a lot from the number of nonconforming units found in the sample
+   * Under reduced inspection a count between Ac and Re accepts the lot but
+   * requires a return to normal inspection
+   * @param {number} nonconforming - Nonconforming units in the sample
+   * @returns {Object} - { nonconforming, accepted, returnToNormal }
+   */
+  evaluate(nonconforming) {
+    if (!Number.isInteger(nonconforming) || nonconforming < 0) {
+      throw new DomainError('Nonconforming count must be a non-negative integer');
+    }
+
+    const accepted = nonconforming < this.rejectionNumber;
+
+    return {
+      nonconforming,
+      accepted,
+      returnToNormal: this.severity === 'reduced' && accepted && nonconforming > this.acceptanceNumber
+    };
+  }
+
+  /**
+   * Build one inspection item per sample unit. Sample items always carry the
+   * 'sample' category so the lot can be decided from their results
+   * @param {Object} template - Item fields shared by every sample (category, expectedValue, tolerance, ...)
+   * @returns {Array<Object>} - Inspection item data
+   */
+  createInspectionItems(template = {}) {
+    const name = template.name || 'Sample';
+
+    return Array.from({ length: this.sampleSize }, (_, index) => ({
+      isRequired: true,
+      ...template,
+      category: 'sample',
+      name: `${name} ${index + 1} of ${this.sampleSize}`,
+      order: index + 1
+    }));
+  }
+
+  /**
+   * Select the plan for a lot
+   * @param {Object} params - Plan parameters
+   * @param {string} params.scheme - 'z1.4' (default) or 'c0'
+   * @param {number} params.lotSize - Lot size
+   * @param {string} params.inspectionLevel - I, II, III or S-1 to S-4 (Z1.4 only)
+   * @param {number} params.aql - Acceptance quality limit
+   * @param {string} params.severity - normal, tightened or reduced
+   * @returns {SamplingPlan} - Sampling plan
+   */
+  static forLot({ scheme = 'z1.4', lotSize, inspectionLevel = 'II', aql, severity = 'normal' }) {
+    const lot = Number(lotSize);
+    if (!Number.isInteger(lot) || lot < 2) {
+      throw new DomainError('Lot size must be an integer of at least 2');
+    }
+
+    if (!SEVERITIES.includes(severity)) {
+      throw new DomainError(`Invalid inspection severity: ${severity}. Must be one of: ${SEVERITIES.join(', ')}`);
+    }
+
+    if (scheme === 'c0') {
+      return SamplingPlan.zeroAcceptance(lot, Number(aql), severity);
+    }
+
+    if (scheme !== 'z1.4') {
+      throw new DomainError(`Invalid sampling scheme: ${scheme}. Must be one of: ${SCHEMES.join(', ')}`);
+    }
+
+    const level = INSPECTION_LEVELS.indexOf(inspectionLevel);
+    if (level === -1) {
+      throw new DomainError(`Invalid inspection level: ${inspectionLevel}. Must be one of: ${INSPECTION_LEVELS.join(', ')}`);
+    }
+
+    const column = aqlColumn(AQL_VALUES, aql);
+    const letterRow = CODE_LETTERS.indexOf(LOT_SIZE_CODE_LETTERS[lotSizeRow(lot)].letters[level]);
+    const cell = resolveMasterTableCell(severity, letterRow, column);
+    const tableSampleSize = MASTER_TABLES[severity].sampleSizes[cell.row];
+
+    // Switching score credit (Z1.4 8.3.3) compares against the plan one AQL step tighter
+    let tighterAcceptanceNumber = null;
+    if (severity === 'normal' && column > 0) {
+      tighterAcceptanceNumber = resolveMasterTableCell('normal', cell.row, column - 1).acceptanceNumber;
+    }
+
+    return new SamplingPlan({
+      scheme,
+      lotSize: lot,
+      inspectionLevel,
+      aql: AQL_VALUES[column],
+      severity,
+      codeLetter: CODE_LETTERS[cell.row],
+      sampleSize: Math.min(tableSampleSize, lot),
+      acceptanceNumber: cell.acceptanceNumber,
+      rejectionNumber: cell.rejectionNumber,
+      tighterAcceptanceNumber,
+      hundredPercent: tableSampleSize >= lot
+    });
+  }
+
+  /**
+   * Select a C=0 plan. Tightened and reduced inspection use the adjacent
+   * tighter or looser AQL column respectively
+   * @param {number} lotSize - Lot size
+   * @param {number} aql - Acceptance quality limit (0.010 to 10.0)
+   * @param {string} severity - normal, tightened or reduced
+   * @returns {SamplingPlan} - Sampling plan
+   */
+  static zeroAcceptance(lotSize, aql, severity = 'normal') {
+    const column = aqlColumn(C0_AQL_VALUES, aql);
+    const shift = { normal: 0, tightened: -1, reduced: 1 }[severity];
+    const planColumn = Math.min(Math.max(column + shift, 0), C0_AQL_VALUES.length - 1);
+    const tableSampleSize = C0_SAMPLE_SIZES[lotSizeRow(lotSize)][planColumn];
+    const hundredPercent = tableSampleSize === 0 || tableSampleSize >= lotSize;
+
+    return new SamplingPlan({
+      scheme: 'c0',
+      lotSize,
+      aql: C0_AQL_VALUES[column],
+      severity,
+      sampleSize: hundredPercent ? lotSize : tableSampleSize,
+      acceptanceNumber: 0,
+      rejectionNumber: 1,
+      hundredPercent
+    });
+  }
+}
+
+SamplingPlan.SCHEMES = SCHEMES;
+SamplingPlan.SEVERITIES = SEVERITIES;
+SamplingPlan.INSPECTION_LEVELS = INSPECTION_LEVELS;
+SamplingPlan.AQL_VALUES = AQL_VALUES;
+
+module.exports = SamplingPlan;
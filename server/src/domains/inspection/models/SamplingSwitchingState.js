@@ -0,0 +1,220 @@
+/**
+ * SamplingSwitchingState.js
+ *
+ * Tracks ANSI/ASQ Z1.4 switching rules for one supplier and component.
+ * Lot results move inspection between normal, tightened and reduced severity,
+ * and discontinue acceptance inspection after repeated rejections on tightened.
+ */
+
+const Entity = require('../../../core/Entity');
+const { DomainError } = require('../../../core/errors');
+
+// Z1.4 8.3 switching thresholds
+const TIGHTEN_REJECTIONS = 2;
+const TIGHTEN_WINDOW = 5;
+const RESTORE_NORMAL_ACCEPTANCES = 5;
+const REDUCED_SWITCHING_SCORE = 30;
+const DISCONTINUE_REJECTIONS = 5;
+const MAX_HISTORY = 100;
+
+class SamplingSwitchingState extends Entity {
+  constructor({
+    id,
+    supplierId,
+    componentId,
+    severity = 'normal',
+    switchingScore = 0,
+    recentLots = [],
+    consecutiveAccepted = 0,
+    tightenedRejections = 0,
+    discontinued = false,
+    reducedAllowed = false,
+    history = [],
+    version = null,
+    createdAt,
+    updatedAt
+  }) {
+    super({ id, createdAt, updatedAt });
+    this.supplierId = supplierId;
+    this.componentId = componentId;
+    this.severity = severity;
+    this.switchingScore = switchingScore;
+    this.recentLots = recentLots.map(lot => ({ ...lot }));
+    this.consecutiveAccepted = consecutiveAccepted;
+    this.tightenedRejections = tightenedRejections;
+    this.discontinued = discontinued;
+    this.reducedAllowed = reducedAllowed;
+    this.history = history.map(entry => ({ ...entry, occurredAt: new Date(entry.occurredAt) }));
+    // Stored revision the state was read at, null until it is first saved
+    this.version = version;
+
+    this.validate();
+  }
+
+  validate() {
+    if (!this.supplierId || !this.componentId) {
+      throw new DomainError('Switching state requires a supplier ID and component ID');
+    }
+
+    if (!['normal', 'tightened', 'reduced'].includes(this.severity)) {
+      throw new DomainError(`Invalid inspection severity: ${this.severity}`);
+    }
+  }
+
+  /**
+   * Record the outcome of a lot inspected under the current severity and
+   * apply the switching rules
+   * @param {Object} lot - Lot result
+   * @param {string} lot.inspectionId - Inspection that decided the lot
+   * @param {SamplingPlan} lot.plan - Plan the lot was inspected to
+   * @param {Object} lot.disposition - Result of plan.evaluate() ({ nonconforming, accepted, returnToNormal })
+   * @returns {Object|null} - Severity change ({ from, to, reason }) or null
+   */
+  recordLot({ inspectionId, plan, disposition }) {
+    if (this.discontinued) {
+      throw new DomainError('Acceptance inspection is discontinued for this supplier and component');
+    }
+
+    const { accepted, nonconforming } = disposition;
+
+    this.recentLots.push({
+      inspectionId,
+      severity: plan.severity,
+      accepted,
+      nonconforming,
+      acceptanceNumber: plan.acceptanceNumber,
+      recordedAt: new Date()
+    });
+    this.recentLots = this.recentLots.slice(-TIGHTEN_WINDOW);
+
+    let change = null;
+
+    if (this.severity === 'normal') {
+      change = this._applyNormalRules(plan, disposition);
+    } else if (this.severity === 'tightened') {
+      change = this._applyTightenedRules(accepted);
+    } else if (!accepted || disposition.returnToNormal) {
+      change = this._switchTo('normal', accepted
+        ? 'Lot accepted with nonconforming count between Ac and Re on reduced inspection'
+        : 'Lot not accepted on reduced inspection');
+    }
+
+    this.markModified();
+    return change;
+  }
+
+  /**
+   * Resume inspection after corrective action, starting on tightened inspection
+   * @param {string} approvedBy - User approving the corrective action
+   * @returns {Object} - Severity change
+   */
+  resume(approvedBy) {
+    if (!this.discontinued) {
+      throw new DomainError('Acceptance inspection is not discontinued');
+    }
+
+    this.discontinued = false;
+    const change = this._switchTo('tightened', 'Resumed after corrective action', approvedBy);
+    this.markModified();
+    return change;
+  }
+
+  /**
+   * Allow or forbid switching to reduced inspection (responsible authority approval)
+   * @param {boolean} allowed - Whether reduced inspection is approved
+   */
+  setReducedAllowed(allowed) {
+    this.reducedAllowed = Boolean(allowed);
+    if (!this.reducedAllowed && this.severity === 'reduced') {
+      this._switchTo('normal', 'Reduced inspection withdrawn by responsible authority');
+    }
+    this.markModified();
+  }
+
+  _applyNormalRules(plan, { accepted, nonconforming }) {
+    const rejections = this.recentLots.filter(lot => !lot.accepted).length;
+    if (rejections >= TIGHTEN_REJECTIONS) {
+      return this._switchTo('tightened', `${rejections} of ${this.recentLots.length} consecutive lots not accepted`);
+    }
+
+    if (!accepted) {
+      this.switchingScore = 0;
+    } else if (plan.acceptanceNumber <= 1) {
+      this.switchingScore += 2;
+    } else if (plan.tighterAcceptanceNumber !== null && nonconforming <= plan.tighterAcceptanceNumber) {
+      this.switchingScore += 3;
+    } else {
+      this.switchingScore = 0;
+    }
+
+    if (this.reducedAllowed && this.switchingScore >= REDUCED_SWITCHING_SCORE) {
+      return this._switchTo('reduced', `Switching score reached ${this.switchingScore}`);
+    }
+
+    return null;
+  }
+
+  _applyTightenedRules(accepted) {
+    if (accepted) {
+      this.consecutiveAccepted += 1;
+      if (this.consecutiveAccepted >= RESTORE_NORMAL_ACCEPTANCES) {
+        return this._switchTo('normal', `${this.consecutiveAccepted} consecutive lots accepted on tightened inspection`);
+      }
+      return null;
+    }
+
+    this.consecutiveAccepted = 0;
+    this.tightenedRejections += 1;
+
+    if (this.tightenedRejections >= DISCONTINUE_REJECTIONS) {
+      this.discontinued = true;
+      const entry = {
+        from: this.severity,
+        to: this.severity,
+        reason: `${this.tightenedRejections} lots not accepted on tightened inspection; acceptance inspection discontinued`,
+        occurredAt: new Date()
+      };
+      this._pushHistory(entry);
+      return entry;
+    }
+
+    return null;
+  }
+
+  _switchTo(severity, reason, actorId = null) {
+    const entry = { from: this.severity, to: severity, reason, actorId, occurredAt: new Date() };
+
+    this.severity = severity;
+    this.switchingScore = 0;
+    this.consecutiveAccepted = 0;
+    this.tightenedRejections = 0;
+    this.recentLots = [];
+    this._pushHistory(entry);
+
+    return entry;
+  }
+
+  _pushHistory(entry) {
+    this.history.push(entry);
+    this.history = this.history.slice(-MAX_HISTORY);
+  }
+
+  toObject() {
+    return {
+      ...super.toObject(),
+      supplierId: this.supplierId,
+      componentId: this.componentId,
+      severity: this.severity,
+      switchingScore: this.switchingScore,
+      recentLots: this.recentLots.map(lot => ({ ...lot })),
+      consecutiveAccepted: this.consecutiveAccepted,
+      tightenedRejections: this.tightenedRejections,
+      discontinued: this.discontinued,
+      reducedAllowed: this.reducedAllowed,
+      history: this.history.map(entry => ({ ...entry })),
+      version: this.version
+    };
+  }
+}
+
+module.exports = SamplingSwitchingState;
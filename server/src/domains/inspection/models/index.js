@@ -7,9 +7,15 @@
 const Inspection = require('./Inspection');
 const InspectionItem = require('./InspectionItem');
 const Defect = require('./Defect');
+const InspectionWorkflow = require('./InspectionWorkflow');
+const SamplingPlan = require('./SamplingPlan');
+const SamplingSwitchingState = require('./SamplingSwitchingState');
 
 module.exports = {
   Inspection,
   InspectionItem,
-  Defect
+  Defect,
+  InspectionWorkflow,
+  SamplingPlan,
+  SamplingSwitchingState
 }; 
\ No newline at end of file
@@ -1,4 +1,147 @@
+const mongoose = require('mongoose');
+const InspectionModel = require('../../../../models/inspection.model');
+const InspectionWorkflowModel = require('../../../../models/inspectionWorkflow.model');
+const Inspection = require('../../models/Inspection');
 const InspectionRepository = require('../inspectionRepository');
+const inspectionService = require('../../services/InspectionService');
+
+const mockCache = { get: jest.fn(), set: jest.fn(), del: jest.fn() };
+
+jest.mock('../../../../infrastructure/caching', () => ({
+  getDefaultCacheManager: () => mockCache
+}));
+
+const INSPECTION_ID = new mongoose.Types.ObjectId().toString();
+const BORE_ITEM_ID = new mongoose.Types.ObjectId().toString();
+const FINISH_ITEM_ID = new mongoose.Types.ObjectId().toString();
+const INSPECTOR_ID = new mongoose.Types.ObjectId().toString();
+
+// A scheduled inspection with a gauge reading recorded against the bore
+const storedInspection = () => ({
+  _id: INSPECTION_ID,
+  inspectionNumber: 'INS-26-10-0001',
+  title: 'First article - actuator housing',
+  customerId: new mongoose.Types.ObjectId(),
+  supplierId: new mongoose.Types.ObjectId(),
+  inspectionType: 'final',
+  scheduledDate: new Date('2026-10-20T08:00:00Z'),
+  inspectedBy: INSPECTOR_ID,
+  status: 'scheduled',
+  checklistItems: [
+    {
+      _id: BORE_ITEM_ID,
+      name: 'Bore diameter',
+      status: 'pass',
+      measurements: [
+        { parameterName: 'Bore diameter', expectedValue: '12.5', actualValue: '12.52', tolerance: '±0.05', unit: 'mm', result: 'pass' },
+        { parameterName: 'Bore diameter', actualValue: '12.51', gaugeId: 'GA-0042', result: 'pass' }
+      ],
+      order: 1
+    },
+    { _id: FINISH_ITEM_ID, name: 'Surface finish', category: 'visual', isRequired: false, order: 2 }
+  ],
+  defects: [
+    { defectType: 'Burr on chamfer', severity: 'minor', comments: 'Deburred on site' }
+  ]
+});
+
+// Only the database calls are stubbed; documents are cast, validated and
+// stripped by the real schema
+describe('InspectionRepository persistence', () => {
+  let documents;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documents = new Map([[INSPECTION_ID, InspectionModel.hydrate(storedInspection())]]);
+
+    jest.spyOn(InspectionModel, 'findById').mockImplementation(async id => documents.get(String(id)) || null);
+    jest.spyOn(InspectionModel, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(InspectionModel, 'create').mockImplementation(async data => new InspectionModel(data).save());
+    // Validate against the schema and store a copy, as the database would
+    jest.spyOn(InspectionModel.prototype, 'save').mockImplementation(async function () {
+      await this.validate();
+      documents.set(this._id.toString(), InspectionModel.hydrate(this.toObject({ virtuals: false })));
+      return this;
+    });
+    // No stored workflow definitions, so the default workflow applies
+    jest.spyOn(InspectionWorkflowModel, 'findOne').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should map stored checklist items and defects to the domain', async () => {
+    // Act
+    const inspection = await InspectionRepository.findById(INSPECTION_ID);
+
+    // Assert
+    expect(inspection.inspectorId).toBe(INSPECTOR_ID);
+    expect(inspection.items[0]).toMatchObject({
+      id: BORE_ITEM_ID,
+      status: 'passed',
+      expectedValue: 12.5,
+      actualValue: 12.52,
+      tolerance: 0.05,
+      unitOfMeasure: 'mm'
+    });
+    expect(inspection.items[1]).toMatchObject({ status: 'pending', category: 'visual', isRequired: false });
+    expect(inspection.defects[0]).toMatchObject({
+      title: 'Burr on chamfer',
+      status: 'open',
+      resolutionNotes: 'Deburred on site'
+    });
+  });
+
+  it('should persist workflow transitions made by the inspection service', async () => {
+    // Arrange
+    const actor = { id: INSPECTOR_ID, role: 'inspector' };
+
+    // Act
+    await inspectionService.start(INSPECTION_ID, { actor });
+    await inspectionService.complete(INSPECTION_ID, { notes: 'All dimensions in tolerance' }, { actor });
+    const reloaded = await InspectionRepository.findById(INSPECTION_ID);
+
+    // Assert
+    const stored = documents.get(INSPECTION_ID);
+    expect(stored.status).toBe('pending-review');
+    expect(stored.completionDate).toEqual(reloaded.completedDate);
+    expect(stored.inspectionNumber).toBe('INS-26-10-0001');
+    expect(stored.statusHistory.map(entry => `${entry.from}>${entry.to}`)).toEqual([
+      'scheduled>in-progress',
+      'in-progress>pending-review'
+    ]);
+    expect(stored.checklistItems[0].measurements.map(measurement => measurement.gaugeId)).toEqual([undefined, 'GA-0042']);
+    expect(reloaded.statusHistory[1]).toMatchObject({ action: 'complete', reason: 'All dimensions in tolerance' });
+  });
+
+  it('should store item results and sample items of a new inspection as checklist items', async () => {
+    // Arrange
+    const inspection = Inspection.create({
+      title: 'Receiving - brackets lot 118',
+      customerId: new mongoose.Types.ObjectId().toString(),
+      supplierId: new mongoose.Types.ObjectId().toString(),
+      inspectionType: 'incoming',
+      scheduledDate: new Date('2026-10-21T08:00:00Z'),
+      items: [
+        { name: 'Sample 1 of 2', category: 'sample', order: 1 },
+        { name: 'Sample 2 of 2', category: 'sample', order: 2 }
+      ]
+    });
+    inspection.items[1].complete('failed', null, 'Cracked flange');
+
+    // Act
+    const saved = await InspectionRepository.save(inspection);
+    const reloaded = await InspectionRepository.findById(saved.id);
+
+    // Assert
+    const stored = documents.get(saved.id);
+    expect(stored.inspectionNumber).toMatch(/^INS-\d{2}-\d{2}-0001$/);
+    expect(stored.checklistItems.map(item => `${item.category}:${item.status}`)).toEqual(['sample:pending', 'sample:fail']);
+    expect(reloaded.items.filter(item => item.category === 'sample' && item.isFailed())).toHaveLength(1);
+    expect(reloaded.items[1].notes).toBe('Cracked flange');
+  });
+});
 
 describe('InspectionRepository', () => {
   let repo;
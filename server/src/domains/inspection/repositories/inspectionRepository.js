@@ -9,10 +9,149 @@ const Inspection = require('../models/Inspection');
 const InspectionItem = require('../models/InspectionItem');
 const Defect = require('../models/Defect');
 const mongoose = require('mongoose');
-const InspectionModel = mongoose.model('Inspection');
-const CacheManager = require('../../../infrastructure/caching/CacheManager');
+const InspectionModel = require('../../../models/inspection.model');
+const { getDefaultCacheManager } = require('../../../infrastructure/caching');
 const logger = require('../../../infrastructure/logger');
 
+// Inspection item statuses are stored as checklist item statuses
+const ITEM_STATUS_TO_DATABASE = {
+  pending: 'pending',
+  passed: 'pass',
+  failed: 'fail',
+  na: 'n/a'
+};
+
+const ITEM_STATUS_FROM_DATABASE = Object.fromEntries(
+  Object.entries(ITEM_STATUS_TO_DATABASE).map(([domain, database]) => [database, domain])
+);
+
+/**
+ * Read a stored measurement value, which the schema keeps as text
+ * @param {*} value - Stored value
+ * @returns {number|null} - Number, or null if the value is missing or not numeric
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(String(value).replace(/^±/, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const toText = (value) => (value === undefined || value === null ? undefined : String(value));
+
+/**
+ * Keep the domain ID as the subdocument ID when the schema can store it
+ * @param {string} id - Domain entity ID
+ * @returns {Object} - { _id } or an empty object
+ */
+const toSubdocumentId = (id) => (mongoose.isObjectIdOrHexString(id) ? { _id: id } : {});
+
+const photoUrl = (photo) => (typeof photo === 'string' ? photo : photo && photo.url);
+
+const toDomainPhoto = (url) => ({ url });
+
+/**
+ * Map a stored checklist item to inspection item data.
+ * The item's expected and actual values are those of its first measurement.
+ * @param {Object} item - Checklist item
+ * @returns {Object} - Inspection item data
+ */
+const toDomainItem = (item) => {
+  const [measurement = {}] = item.measurements || [];
+  const status = ITEM_STATUS_FROM_DATABASE[item.status] || 'pending';
+
+  return {
+    id: item._id.toString(),
+    name: item.name,
+    description: item.description,
+    category: item.category,
+    specificationId: item.specificationId || null,
+    order: item.order,
+    status,
+    result: status === 'pending' ? null : status,
+    expectedValue: toNumber(measurement.expectedValue),
+    actualValue: toNumber(measurement.actualValue),
+    tolerance: toNumber(measurement.tolerance),
+    unitOfMeasure: measurement.unit || null,
+    isRequired: item.isRequired,
+    photos: (item.photos || []).map(toDomainPhoto),
+    notes: item.comments || ''
+  };
+};
+
+/**
+ * Map an inspection item to a checklist item.
+ * Measurements beyond the first, such as readings taken with gauges, are kept.
+ * @param {Object} item - Inspection item data
+ * @param {Object} [stored] - Checklist item currently stored under the same ID
+ * @returns {Object} - Checklist item
+ */
+const toDatabaseItem = (item, stored) => {
+  const status = ITEM_STATUS_TO_DATABASE[item.status];
+  const [storedMeasurement, ...otherMeasurements] = stored ? stored.measurements || [] : [];
+  const hasValues = [item.expectedValue, item.actualValue, item.tolerance, item.unitOfMeasure]
+    .some(value => value !== null && value !== undefined);
+
+  const measurements = hasValues
+    ? [{
+      ...(storedMeasurement ? storedMeasurement.toObject() : {}),
+      parameterName: (storedMeasurement && storedMeasurement.parameterName) || item.name,
+      expectedValue: toText(item.expectedValue),
+      actualValue: toText(item.actualValue),
+      tolerance: toText(item.tolerance),
+      unit: item.unitOfMeasure || undefined,
+      result: status === 'pass' || status === 'fail' ? status : 'n/a'
+    }, ...otherMeasurements]
+    : [...(storedMeasurement ? [storedMeasurement] : []), ...otherMeasurements];
+
+  return {
+    ...toSubdocumentId(item.id),
+    name: item.name,
+    description: item.description,
+    category: item.category,
+    specificationId: item.specificationId || undefined,
+    isRequired: item.isRequired,
+    status,
+    comments: item.notes || undefined,
+    photos: (item.photos || []).map(photoUrl).filter(Boolean),
+    measurements,
+    order: item.order
+  };
+};
+
+/**
+ * Map a stored defect to defect data
+ * @param {Object} defect - Stored defect
+ * @returns {Object} - Defect data
+ */
+const toDomainDefect = (defect) => ({
+  id: defect._id.toString(),
+  title: defect.defectType,
+  description: defect.description || defect.defectType,
+  severity: defect.severity,
+  status: defect.status,
+  category: defect.category,
+  photos: (defect.photos || []).map(toDomainPhoto),
+  resolutionNotes: defect.comments || '',
+  capaId: defect.capaId ? defect.capaId.toString() : null
+});
+
+/**
+ * Map a defect to a stored defect
+ * @param {Object} defect - Defect data
+ * @returns {Object} - Stored defect
+ */
+const toDatabaseDefect = (defect) => ({
+  ...toSubdocumentId(defect.id),
+  defectType: defect.title,
+  description: defect.description,
+  severity: defect.severity,
+  status: defect.status,
+  category: defect.category,
+  photos: (defect.photos || []).map(photoUrl).filter(Boolean),
+  comments: defect.resolutionNotes || undefined,
+  capaId: defect.capaId || undefined
+});
+
 class InspectionRepository extends Repository {
   /**
    * Find an inspection by its ID, with caching
@@ -21,14 +160,14 @@ class InspectionRepository extends Repository {
    */
   async findById(id) {
     const cacheKey = `inspection:${id}`;
-    let cached = await CacheManager.get(cacheKey);
+    let cached = await getDefaultCacheManager().get(cacheKey);
     if (cached) return this._mapToDomainEntity(cached);
     const start = Date.now();
     try {
       const inspectionDoc = await InspectionModel.findById(id);
       if (!inspectionDoc) return null;
       const entity = this._mapToDomainEntity(inspectionDoc);
-      await CacheManager.set(cacheKey, inspectionDoc.toObject(), { ttl: 300 });
+      await getDefaultCacheManager().set(cacheKey, inspectionDoc.toObject(), { ttl: 300 });
       logger.debug('findById query time', { ms: Date.now() - start, id });
       return entity;
     } catch (error) {
@@ -67,12 +206,12 @@ class InspectionRepository extends Repository {
    */
   async findByName(name, options = {}) {
     const cacheKey = `inspection:name:${name}`;
-    let cached = await CacheManager.get(cacheKey);
+    let cached = await getDefaultCacheManager().get(cacheKey);
     if (cached) return cached.map(doc => this._mapToDomainEntity(doc));
     try {
       const query = { name: { $regex: name, $options: 'i' } };
       const result = await this.findAll(query, options);
-      await CacheManager.set(cacheKey, result.map(e => e), { ttl: 300 });
+      await getDefaultCacheManager().set(cacheKey, result.map(e => e), { ttl: 300 });
       return result;
     } catch (error) {
       logger.error('Error in InspectionRepository.findByName:', error);
@@ -86,12 +225,33 @@ class InspectionRepository extends Repository {
    * @returns {Promise<Inspection>} - Saved inspection
    */
   async save(inspection) {
-    const saved = await super.save(inspection);
-    if (saved && saved.id) {
-      await CacheManager.del(`inspection:${saved.id}`);
-      await CacheManager.del(`inspection:name:${saved.name}`);
+    try {
+      if (!(inspection instanceof Inspection)) {
+        throw new Error('Entity must be an Inspection instance');
+      }
+
+      let inspectionDoc = mongoose.isObjectIdOrHexString(inspection.id)
+        ? await InspectionModel.findById(inspection.id)
+        : null;
+      const inspectionData = this._mapToDatabaseEntity(inspection, inspectionDoc);
+
+      if (inspectionDoc) {
+        // Update existing inspection, keeping fields the domain does not carry
+        inspectionDoc.set(inspectionData);
+        await inspectionDoc.save();
+      } else {
+        // Create new inspection
+        inspectionDoc = await InspectionModel.create(inspectionData);
+      }
+
+      const saved = this._mapToDomainEntity(inspectionDoc);
+      await getDefaultCacheManager().del(`inspection:${saved.id}`);
+      await getDefaultCacheManager().del(`inspection:name:${saved.title}`);
+      return saved;
+    } catch (error) {
+      logger.error('Error in InspectionRepository.save:', error);
+      throw error;
     }
-    return saved;
   }
 
   /**
@@ -101,13 +261,17 @@ class InspectionRepository extends Repository {
    */
   async delete(idOrEntity) {
     const id = idOrEntity instanceof Inspection ? idOrEntity.id : idOrEntity;
-    const entity = await this.findById(id);
-    const result = await super.delete(idOrEntity);
-    if (entity) {
-      await CacheManager.del(`inspection:${id}`);
-      await CacheManager.del(`inspection:name:${entity.name}`);
+    try {
+      const inspectionDoc = await InspectionModel.findByIdAndDelete(id);
+      if (inspectionDoc) {
+        await getDefaultCacheManager().del(`inspection:${id}`);
+        await getDefaultCacheManager().del(`inspection:name:${inspectionDoc.title}`);
+      }
+      return Boolean(inspectionDoc);
+    } catch (error) {
+      logger.error('Error in InspectionRepository.delete:', error);
+      throw error;
     }
-    return result;
   }
 
   /**
@@ -216,21 +380,29 @@ class InspectionRepository extends Repository {
   _mapToDomainEntity(dbEntity) {
     if (!dbEntity) return null;
     
+    const data = typeof dbEntity.toObject === 'function' ? dbEntity.toObject() : dbEntity;
+    
     const inspectionData = {
-      id: dbEntity._id.toString(),
-      inspectionNumber: dbEntity.inspectionNumber,
-      supplierId: dbEntity.supplierId,
-      componentId: dbEntity.componentId,
-      inspectionDate: dbEntity.inspectionDate,
-      inspectorId: dbEntity.inspectorId,
-      status: dbEntity.status,
-      result: dbEntity.result,
-      notes: dbEntity.notes,
-      items: dbEntity.items,
-      defects: dbEntity.defects,
-      attachments: dbEntity.attachments,
-      createdAt: dbEntity.createdAt,
-      updatedAt: dbEntity.updatedAt
+      id: data._id.toString(),
+      title: data.title,
+      description: data.description,
+      customerId: data.customerId,
+      supplierId: data.supplierId,
+      componentId: data.componentId,
+      inspectionType: data.inspectionType,
+      scheduledDate: data.scheduledDate,
+      completedDate: data.completionDate,
+      inspectorId: data.inspectedBy ? data.inspectedBy.toString() : undefined,
+      status: data.status,
+      location: data.location,
+      notes: data.notes,
+      items: (data.checklistItems || []).map(toDomainItem),
+      defects: (data.defects || []).map(toDomainDefect),
+      attachments: data.attachments,
+      statusHistory: data.statusHistory,
+      samplingPlan: data.samplingPlan,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt
     };
     
     return new Inspection(inspectionData);
@@ -239,16 +411,34 @@ class InspectionRepository extends Repository {
   /**
    * Map a domain entity to a database entity
    * @param {Inspection} domainEntity - Domain entity
+   * @param {Object} [storedDoc] - Stored inspection, whose item measurements are kept
    * @returns {Object} - Database entity
    */
-  _mapToDatabaseEntity(domainEntity) {
-    const inspectionData = domainEntity.toObject();
+  _mapToDatabaseEntity(domainEntity, storedDoc = null) {
+    const data = domainEntity.toObject();
+    const storedItems = storedDoc ? storedDoc.checklistItems || [] : [];
+    const findStoredItem = id => storedItems.find(item => item._id.toString() === id);
     
-    // Convert id to _id if it exists
-    if (inspectionData.id) {
-      inspectionData._id = inspectionData.id;
-      delete inspectionData.id;
-    }
+    const inspectionData = {
+      ...toSubdocumentId(data.id),
+      title: data.title,
+      description: data.description,
+      customerId: data.customerId,
+      supplierId: data.supplierId,
+      componentId: data.componentId,
+      inspectionType: data.inspectionType,
+      scheduledDate: data.scheduledDate,
+      completionDate: data.completedDate,
+      inspectedBy: data.inspectorId,
+      status: data.status,
+      location: data.location,
+      notes: data.notes,
+      checklistItems: data.items.map(item => toDatabaseItem(item, findStoredItem(item.id))),
+      defects: data.defects.map(toDatabaseDefect),
+      attachments: data.attachments,
+      statusHistory: data.statusHistory,
+      samplingPlan: data.samplingPlan || undefined
+    };
     
     return inspectionData;
   }
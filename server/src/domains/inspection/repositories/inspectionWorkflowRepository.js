@@ -0,0 +1,109 @@
+/**
+ * inspectionWorkflowRepository.js
+ *
+ * Repository for inspection workflow definitions
+ */
+
+const Repository = require('../../../core/Repository');
+const InspectionWorkflow = require('../models/InspectionWorkflow');
+const InspectionWorkflowModel = require('../../../models/inspectionWorkflow.model');
+const { getDefaultCacheManager } = require('../../../infrastructure/caching');
+const logger = require('../../../infrastructure/logger');
+
+class InspectionWorkflowRepository extends Repository {
+  /**
+   * Find the active workflow for an inspection type, with caching.
+   * Falls back to the default workflow when no definition is stored.
+   * @param {string} inspectionType - Inspection type
+   * @returns {Promise<InspectionWorkflow>} - Validated workflow
+   * @throws {DomainError} - If the stored definition is invalid
+   */
+  async findByInspectionType(inspectionType) {
+    const cacheKey = `inspection-workflow:${inspectionType}`;
+    const cached = await getDefaultCacheManager().get(cacheKey);
+    if (cached) return this._mapToDomainEntity(cached);
+
+    try {
+      const workflowDoc = inspectionType
+        ? await InspectionWorkflowModel.findOne({ inspectionType, isActive: true })
+        : null;
+
+      if (!workflowDoc) {
+        return InspectionWorkflow.createDefault(inspectionType);
+      }
+
+      const workflow = this._mapToDomainEntity(workflowDoc);
+      await getDefaultCacheManager().set(cacheKey, workflowDoc.toObject(), { ttl: 300 });
+      return workflow;
+    } catch (error) {
+      logger.error('Error in InspectionWorkflowRepository.findByInspectionType:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all stored workflow definitions
+   * @param {Object} query - Query to match definitions against
+   * @returns {Promise<Array<InspectionWorkflow>>} - Validated workflows
+   */
+  async findAll(query = {}) {
+    try {
+      const workflowDocs = await InspectionWorkflowModel.find(query).sort({ inspectionType: 1 });
+      return workflowDocs.map(doc => this._mapToDomainEntity(doc));
+    } catch (error) {
+      logger.error('Error in InspectionWorkflowRepository.findAll:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate and store a workflow definition, replacing the active one for its type
+   * @param {InspectionWorkflow|Object} workflow - Workflow or raw definition
+   * @returns {Promise<InspectionWorkflow>} - Saved workflow
+   */
+  async save(workflow) {
+    const entity = workflow instanceof InspectionWorkflow
+      ? workflow
+      : InspectionWorkflow.fromDefinition(workflow);
+
+    try {
+      const data = this._mapToDatabaseEntity(entity);
+      const workflowDoc = await InspectionWorkflowModel.findOneAndUpdate(
+        { inspectionType: entity.inspectionType },
+        { ...data, isActive: true },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      await getDefaultCacheManager().del(`inspection-workflow:${entity.inspectionType}`);
+      return this._mapToDomainEntity(workflowDoc);
+    } catch (error) {
+      logger.error('Error in InspectionWorkflowRepository.save:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map a database entity to a validated domain entity
+   * @param {Object} dbEntity - Database entity
+   * @returns {InspectionWorkflow} - Domain entity
+   */
+  _mapToDomainEntity(dbEntity) {
+    if (!dbEntity) return null;
+
+    const data = typeof dbEntity.toObject === 'function' ? dbEntity.toObject() : dbEntity;
+    return InspectionWorkflow.fromDefinition(data);
+  }
+
+  /**
+   * Map a domain entity to a database entity
+   * @param {InspectionWorkflow} domainEntity - Domain entity
+   * @returns {Object} - Database entity
+   */
+  _mapToDatabaseEntity(domainEntity) {
+    const data = domainEntity.toObject();
+    delete data.id;
+    return data;
+  }
+}
+
+module.exports = new InspectionWorkflowRepository();
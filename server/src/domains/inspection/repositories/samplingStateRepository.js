@@ -0,0 +1,126 @@
+/**
+ * samplingStateRepository.js
+ *
+ * Repository for Z1.4 switching state per supplier and component
+ */
+
+const Repository = require('../../../core/Repository');
+const SamplingSwitchingState = require('../models/SamplingSwitchingState');
+const SamplingSwitchingStateModel = require('../../../models/samplingSwitchingState.model');
+const { ConflictError } = require('../../../core/errors');
+const logger = require('../../../infrastructure/logger');
+
+const conflictMessage = state =>
+  `Switching state for supplier ${state.supplierId} and component ${state.componentId} was changed by another lot`;
+
+class SamplingStateRepository extends Repository {
+  /**
+   * Find the switching state for a supplier and component.
+   * Starts a new state on normal inspection when none is stored.
+   * @param {string} supplierId - Supplier ID
+   * @param {string} componentId - Component ID
+   * @returns {Promise<SamplingSwitchingState>} - Switching state
+   */
+  async findBySupplierAndComponent(supplierId, componentId) {
+    try {
+      const stateDoc = await SamplingSwitchingStateModel.findOne({ supplierId, componentId });
+
+      if (!stateDoc) {
+        return new SamplingSwitchingState({ supplierId, componentId });
+      }
+
+      return this._mapToDomainEntity(stateDoc);
+    } catch (error) {
+      logger.error('Error in SamplingStateRepository.findBySupplierAndComponent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find switching states matching a query
+   * @param {Object} query - Query (e.g. { supplierId } or { discontinued: true })
+   * @returns {Promise<Array<SamplingSwitchingState>>} - Switching states
+   */
+  async findAll(query = {}) {
+    try {
+      const stateDocs = await SamplingSwitchingStateModel.find(query).sort({ updatedAt: -1 });
+      return stateDocs.map(doc => this._mapToDomainEntity(doc));
+    } catch (error) {
+      logger.error('Error in SamplingStateRepository.findAll:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a switching state, replacing the one for its supplier and component.
+   * The stored state must still be at the version the state was read at, so
+   * lots decided concurrently cannot overwrite each other.
+   * @param {SamplingSwitchingState} state - Switching state
+   * @returns {Promise<SamplingSwitchingState>} - Saved switching state
+   * @throws {ConflictError} - If the stored state changed since it was read
+   */
+  async save(state) {
+    try {
+      const data = this._mapToDatabaseEntity(state);
+
+      if (state.version === null) {
+        const stateDoc = await SamplingSwitchingStateModel.create(data);
+        return this._mapToDomainEntity(stateDoc);
+      }
+
+      const stateDoc = await SamplingSwitchingStateModel.findOneAndUpdate(
+        {
+          supplierId: state.supplierId,
+          componentId: state.componentId,
+          // States stored before versioning have no version key
+          __v: state.version === 0 ? { $in: [0, null] } : state.version
+        },
+        { $set: data, $inc: { __v: 1 } },
+        { new: true, runValidators: true }
+      );
+
+      if (!stateDoc) {
+        throw new ConflictError(conflictMessage(state));
+      }
+
+      return this._mapToDomainEntity(stateDoc);
+    } catch (error) {
+      const failure = error.code === 11000 ? new ConflictError(conflictMessage(state)) : error;
+      logger.error('Error in SamplingStateRepository.save:', failure);
+      throw failure;
+    }
+  }
+
+  /**
+   * Map a database entity to a domain entity
+   * @param {Object} dbEntity - Database entity
+   * @returns {SamplingSwitchingState} - Domain entity
+   */
+  _mapToDomainEntity(dbEntity) {
+    if (!dbEntity) return null;
+
+    const data = typeof dbEntity.toObject === 'function' ? dbEntity.toObject() : dbEntity;
+    return new SamplingSwitchingState({
+      ...data,
+      id: data._id.toString(),
+      supplierId: data.supplierId.toString(),
+      componentId: data.componentId.toString(),
+      version: data.__v || 0
+    });
+  }
+
+  /**
+   * Map a domain entity to a database entity
+   * @param {SamplingSwitchingState} domainEntity - Domain entity
+   * @returns {Object} - Database entity
+   */
+  _mapToDatabaseEntity(domainEntity) {
+    const data = domainEntity.toObject();
+    delete data.id;
+    delete data.createdAt;
+    delete data.version;
+    return data;
+  }
+}
+
+module.exports = new SamplingStateRepository();
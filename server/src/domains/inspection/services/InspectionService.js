@@ -9,13 +9,19 @@
 
 const DomainService = require('../../../core/DomainService');
 const Inspection = require('../models/Inspection');
-const { DomainError, ValidationError } = require('../../../core/errors');
-const inspectionRepository = require('../repositories/InspectionRepository');
-const customerRepository = require('../../customer/repositories/CustomerRepository');
-const supplierRepository = require('../../supplier/repositories/SupplierRepository');
+const SamplingPlan = require('../models/SamplingPlan');
+const { DomainError, ValidationError, BusinessRuleError, ConflictError } = require('../../../core/errors');
+const inspectionRepository = require('../repositories/inspectionRepository');
+const workflowRepository = require('../repositories/inspectionWorkflowRepository');
+const samplingStateRepository = require('../repositories/samplingStateRepository');
+const customerRepository = require('../../customer/repositories/customerRepository');
+const supplierRepository = require('../../supplier/repositories/supplierRepository');
 const InspectionServiceInterface = require('../interfaces/InspectionServiceInterface');
 const logger = require('../../../infrastructure/logger');
 
+// Times a lot is applied to the switching state before a concurrent update is reported
+const SAMPLING_STATE_SAVE_ATTEMPTS = 3;
+
 /**
  * Inspection domain service
  * Encapsulates business logic for inspections
@@ -30,6 +36,8 @@ class InspectionService extends DomainService {
       inspectionRepository: inspectionRepository,
       customerRepository: customerRepository,
       supplierRepository: supplierRepository,
+      workflowRepository: workflowRepository,
+      samplingStateRepository: samplingStateRepository,
       ...dependencies
     });
     
@@ -54,6 +62,14 @@ class InspectionService extends DomainService {
     if (!this.dependencies.supplierRepository) {
       throw new DomainError('SupplierRepository is required');
     }
+    
+    if (!this.dependencies.workflowRepository) {
+      throw new DomainError('WorkflowRepository is required');
+    }
+    
+    if (!this.dependencies.samplingStateRepository) {
+      throw new DomainError('SamplingStateRepository is required');
+    }
   }
   
   /**
@@ -64,6 +80,20 @@ class InspectionService extends DomainService {
     return this.getDependency('inspectionRepository');
   }
   
+  /**
+   * Find an inspection by ID
+   * @param {string} id - ID of the inspection to find
+   * @returns {Promise<Inspection|null>} - Inspection if found, null otherwise
+   * @throws {ValidationError} - If no ID is given
+   */
+  async findById(id) {
+    if (!id) {
+      throw new ValidationError('Inspection ID is required');
+    }
+
+    return this.getRepository().findById(id);
+  }
+
   /**
    * Get an inspection by ID with performance logging
    */
@@ -187,9 +217,28 @@ class InspectionService extends DomainService {
       }
     }
     
-    // Create inspection
-    const inspection = Inspection.create(inspectionData);
+    // Size the sample and generate one item per sample unit
+    if (inspectionData.sampling) {
+      const samplingPlan = await this.planSampling(inspectionData.sampling, inspectionData);
+      inspectionData = {
+        ...inspectionData,
+        items: [
+          ...(inspectionData.items || []),
+          ...samplingPlan.createInspectionItems(inspectionData.sampling.itemTemplate)
+        ],
+        samplingPlan: samplingPlan.toObject()
+      };
+    }
     
+    // Create inspection in the initial state of the workflow for its type
+    const inspectionType = inspectionData.inspectionType || inspectionData.type;
+    const workflow = await this.getWorkflow(inspectionType);
+    const inspection = Inspection.create({
+      ...inspectionData,
+      inspectionType,
+      status: workflow.initialState
+    });
+
     // Save inspection
     const savedInspection = await this.getRepository().save(inspection);
     logger.debug('createInspection duration', { ms: Date.now() - start });
@@ -206,7 +255,7 @@ class InspectionService extends DomainService {
   async update(id, inspectionData) {
     const start = Date.now();
     // Find inspection
-    const inspection = await this.getInspection(id);
+    const inspection = await this.findById(id);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${id} not found`);
@@ -228,6 +277,11 @@ class InspectionService extends DomainService {
       }
     }
     
+    // Status changes must go through the inspection workflow
+    if (inspectionData.status && inspectionData.status !== inspection.status) {
+      throw new ValidationError('Inspection status can only be changed through workflow actions');
+    }
+    
     // Update basic details
     if (inspectionData.type || inspectionData.scheduledDate || inspectionData.customerId || 
         inspectionData.supplierId || inspectionData.inspectorId || inspectionData.description ||
@@ -240,24 +294,6 @@ class InspectionService extends DomainService {
       inspection.updateLocation(inspectionData.location);
     }
     
-    // Update status
-    if (inspectionData.status) {
-      switch (inspectionData.status) {
-        case 'scheduled':
-          inspection.schedule(inspectionData.scheduledDate);
-          break;
-        case 'in-progress':
-          inspection.start();
-          break;
-        case 'completed':
-          inspection.complete(inspectionData.completionDetails);
-          break;
-        case 'cancelled':
-          inspection.cancel(inspectionData.cancellationReason);
-          break;
-      }
-    }
-    
     // Save inspection
     const savedInspection = await this.getRepository().save(inspection);
     logger.debug('updateInspection duration', { ms: Date.now() - start });
@@ -277,7 +313,7 @@ class InspectionService extends DomainService {
   async delete(id) {
     const start = Date.now();
     // Find inspection
-    const inspection = await this.getInspection(id);
+    const inspection = await this.findById(id);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${id} not found`);
@@ -308,7 +344,7 @@ class InspectionService extends DomainService {
    */
   async schedule(id, scheduledDate) {
     // Find inspection
-    const inspection = await this.getInspection(id);
+    const inspection = await this.findById(id);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${id} not found`);
@@ -330,88 +366,289 @@ class InspectionService extends DomainService {
   }
   
   /**
-   * Start an inspection
-   * @param {string} id - ID of the inspection to start
-   * @returns {Promise<Inspection>} - Started inspection
+   * Get the workflow governing an inspection type
+   * @param {string} inspectionType - Inspection type
+   * @returns {Promise<InspectionWorkflow>} - Validated workflow definition
+   */
+  async getWorkflow(inspectionType) {
+    return this.getDependency('workflowRepository').findByInspectionType(inspectionType);
+  }
+  
+  /**
+   * Authorize and apply a workflow action to an inspection
+   * @param {string} id - ID of the inspection
+   * @param {string} action - Workflow action (e.g. start, complete, approve)
+   * @param {Object} context - Transition context
+   * @param {Object} context.actor - User performing the action ({ id, role })
+   * @param {string} context.reason - Optional reason or comment
+   * @returns {Promise<Object>} - Saved inspection and the recorded history entry
    */
-  async start(id) {
+  async applyWorkflowAction(id, action, context = {}) {
     // Find inspection
-    const inspection = await this.getInspection(id);
+    const inspection = await this.findById(id);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${id} not found`);
     }
     
-    // Start inspection
-    inspection.start();
+    // Check the transition against the workflow for this inspection type
+    const workflow = await this.getWorkflow(inspection.inspectionType);
+    const transition = workflow.authorize(inspection, action, context.actor);
+    const historyEntry = inspection.applyTransition(transition, context);
     
     // Save inspection
     const savedInspection = await this.getRepository().save(inspection);
     
+    return { inspection: savedInspection, historyEntry };
+  }
+  
+  /**
+   * Perform any workflow action on an inspection
+   * @param {string} id - ID of the inspection
+   * @param {string} action - Workflow action
+   * @param {Object} context - Transition context ({ actor, reason })
+   * @returns {Promise<Inspection>} - Updated inspection
+   */
+  async transition(id, action, context = {}) {
+    if (!action) {
+      throw new ValidationError('Workflow action is required');
+    }
+    
+    const { inspection, historyEntry } = await this.applyWorkflowAction(id, action, context);
+    
+    // Publish event
+    this.publishEvent('inspection.transitioned', { 
+      inspection: inspection.toObject(),
+      transition: historyEntry
+    });
+    
+    return inspection;
+  }
+  
+  /**
+   * Start an inspection
+   * @param {string} id - ID of the inspection to start
+   * @param {Object} context - Transition context ({ actor })
+   * @returns {Promise<Inspection>} - Started inspection
+   */
+  async start(id, context = {}) {
+    const { inspection, historyEntry } = await this.applyWorkflowAction(id, 'start', context);
+    
     // Publish event
     this.publishEvent('inspection.started', { 
-      inspection: savedInspection.toObject()
+      inspection: inspection.toObject(),
+      transition: historyEntry
     });
     
-    return savedInspection;
+    return inspection;
   }
   
   /**
    * Complete an inspection
    * @param {string} id - ID of the inspection to complete
    * @param {Object} completionDetails - Details of the completion
+   * @param {Object} context - Transition context ({ actor })
    * @returns {Promise<Inspection>} - Completed inspection
    */
-  async complete(id, completionDetails) {
-    // Find inspection
-    const inspection = await this.getInspection(id);
+  async complete(id, completionDetails = {}, context = {}) {
+    const result = await this.applyWorkflowAction(id, 'complete', {
+      reason: completionDetails.notes,
+      ...context
+    });
+    let { inspection } = result;
     
-    if (!inspection) {
-      throw new ValidationError(`Inspection with ID ${id} not found`);
+    // Decide the lot against the sampling plan and apply the switching rules
+    let lotDisposition;
+    if (inspection.samplingPlan) {
+      const lot = await this.recordLotDisposition(inspection);
+      inspection = lot.inspection;
+      lotDisposition = lot.disposition;
     }
     
-    // Complete inspection
-    inspection.complete(completionDetails);
-    
-    // Save inspection
-    const savedInspection = await this.getRepository().save(inspection);
-    
     // Publish event
     this.publishEvent('inspection.completed', { 
-      inspection: savedInspection.toObject(),
-      completionDetails
+      inspection: inspection.toObject(),
+      completionDetails,
+      transition: result.historyEntry,
+      lotDisposition
     });
     
-    return savedInspection;
+    return inspection;
   }
   
   /**
-   * Cancel an inspection
-   * @param {string} id - ID of the inspection to cancel
-   * @param {string} reason - Reason for cancellation
-   * @returns {Promise<Inspection>} - Cancelled inspection
+   * Select the sampling plan for a lot.
+   * When a supplier and component are given, the severity tracked by the Z1.4
+   * switching rules takes precedence over the requested severity.
+   * @param {Object} sampling - Plan parameters ({ scheme, lotSize, inspectionLevel, aql, severity })
+   * @param {Object} context - Lot source ({ supplierId, componentId })
+   * @returns {Promise<SamplingPlan>} - Sampling plan
+   * @throws {BusinessRuleError} - If acceptance inspection is discontinued for the supplier and component
    */
-  async cancel(id, reason) {
-    // Find inspection
-    const inspection = await this.getInspection(id);
+  async planSampling(sampling, { supplierId, componentId } = {}) {
+    if (!sampling.lotSize) {
+      throw new ValidationError('Lot size is required');
+    }
     
-    if (!inspection) {
-      throw new ValidationError(`Inspection with ID ${id} not found`);
+    if (sampling.aql === undefined || sampling.aql === null) {
+      throw new ValidationError('AQL is required');
     }
     
-    // Cancel inspection
-    inspection.cancel(reason);
+    let severity = sampling.severity || 'normal';
+    
+    if (supplierId && componentId) {
+      const state = await this.getDependency('samplingStateRepository')
+        .findBySupplierAndComponent(supplierId, componentId);
+      
+      if (state.discontinued) {
+        throw new BusinessRuleError(
+          'Acceptance inspection is discontinued for this supplier and component pending corrective action'
+        );
+      }
+      
+      severity = state.severity;
+    }
+    
+    return SamplingPlan.forLot({
+      scheme: sampling.scheme,
+      lotSize: Number(sampling.lotSize),
+      inspectionLevel: sampling.inspectionLevel,
+      aql: Number(sampling.aql),
+      severity
+    });
+  }
+  
+  /**
+   * Preview the sampling plan for a lot
+   * @param {Object} sampling - Plan parameters ({ scheme, lotSize, inspectionLevel, aql, severity })
+   * @param {Object} context - Lot source ({ supplierId, componentId })
+   * @returns {Promise<Object>} - Sampling plan
+   */
+  async getSamplingPlan(sampling, context = {}) {
+    const plan = await this.planSampling(sampling, context);
+    return plan.toObject();
+  }
+  
+  /**
+   * Decide a sampled lot and update the supplier/component switching state
+   * @param {Inspection} inspection - Completed inspection with a sampling plan
+   * @returns {Promise<Object>} - { inspection, disposition, severityChange }
+   */
+  async recordLotDisposition(inspection) {
+    const disposition = inspection.recordSamplingDisposition();
+    let severityChange = null;
+    
+    if (inspection.supplierId && inspection.componentId) {
+      const stateRepository = this.getDependency('samplingStateRepository');
+      
+      // Apply the lot to the latest state; another lot saved first means re-reading it
+      for (let attempt = 1; ; attempt++) {
+        const state = await stateRepository.findBySupplierAndComponent(inspection.supplierId, inspection.componentId);
+        
+        severityChange = state.recordLot({
+          inspectionId: inspection.id,
+          plan: new SamplingPlan(inspection.samplingPlan),
+          disposition
+        });
+        
+        try {
+          await stateRepository.save(state);
+          break;
+        } catch (error) {
+          if (!(error instanceof ConflictError) || attempt >= SAMPLING_STATE_SAVE_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    }
     
-    // Save inspection
     const savedInspection = await this.getRepository().save(inspection);
     
+    if (severityChange) {
+      this.publishEvent('inspection.samplingSeverityChanged', {
+        supplierId: inspection.supplierId,
+        componentId: inspection.componentId,
+        inspectionId: inspection.id,
+        change: severityChange
+      });
+    }
+    
+    return { inspection: savedInspection, disposition, severityChange };
+  }
+  
+  /**
+   * Get the Z1.4 switching state for a supplier and component
+   * @param {string} supplierId - Supplier ID
+   * @param {string} componentId - Component ID
+   * @returns {Promise<Object>} - Switching state
+   */
+  async getSamplingState(supplierId, componentId) {
+    if (!supplierId || !componentId) {
+      throw new ValidationError('Supplier ID and component ID are required');
+    }
+    
+    const state = await this.getDependency('samplingStateRepository')
+      .findBySupplierAndComponent(supplierId, componentId);
+    return state.toObject();
+  }
+  
+  /**
+   * Resume discontinued acceptance inspection after corrective action
+   * @param {string} supplierId - Supplier ID
+   * @param {string} componentId - Component ID
+   * @param {Object} context - Context ({ actor })
+   * @returns {Promise<Object>} - Switching state
+   */
+  async resumeSampling(supplierId, componentId, context = {}) {
+    const stateRepository = this.getDependency('samplingStateRepository');
+    const state = await stateRepository.findBySupplierAndComponent(supplierId, componentId);
+    
+    const change = state.resume(context.actor ? context.actor.id : null);
+    const savedState = await stateRepository.save(state);
+    
+    this.publishEvent('inspection.samplingSeverityChanged', { supplierId, componentId, change });
+    
+    return savedState.toObject();
+  }
+  
+  /**
+   * Approve or withdraw reduced inspection for a supplier and component
+   * @param {string} supplierId - Supplier ID
+   * @param {string} componentId - Component ID
+   * @param {boolean} allowed - Whether the responsible authority allows reduced inspection
+   * @returns {Promise<Object>} - Switching state
+   */
+  async setReducedInspectionAllowed(supplierId, componentId, allowed) {
+    const stateRepository = this.getDependency('samplingStateRepository');
+    const state = await stateRepository.findBySupplierAndComponent(supplierId, componentId);
+    
+    state.setReducedAllowed(allowed);
+    const savedState = await stateRepository.save(state);
+    
+    return savedState.toObject();
+  }
+  
+  /**
+   * Cancel an inspection
+   * @param {string} id - ID of the inspection to cancel
+   * @param {string} reason - Reason for cancellation
+   * @param {Object} context - Transition context ({ actor })
+   * @returns {Promise<Inspection>} - Cancelled inspection
+   */
+  async cancel(id, reason, context = {}) {
+    const { inspection, historyEntry } = await this.applyWorkflowAction(id, 'cancel', {
+      ...context,
+      reason
+    });
+    
     // Publish event
     this.publishEvent('inspection.cancelled', { 
-      inspection: savedInspection.toObject(),
-      reason
+      inspection: inspection.toObject(),
+      reason,
+      transition: historyEntry
     });
     
-    return savedInspection;
+    return inspection;
   }
   
   /**
@@ -422,7 +659,7 @@ class InspectionService extends DomainService {
    */
   async addFinding(inspectionId, findingData) {
     // Find inspection
-    const inspection = await this.getInspection(inspectionId);
+    const inspection = await this.findById(inspectionId);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${inspectionId} not found`);
@@ -461,7 +698,7 @@ class InspectionService extends DomainService {
    */
   async updateFinding(inspectionId, findingId, findingData) {
     // Find inspection
-    const inspection = await this.getInspection(inspectionId);
+    const inspection = await this.findById(inspectionId);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${inspectionId} not found`);
@@ -491,7 +728,7 @@ class InspectionService extends DomainService {
    */
   async removeFinding(inspectionId, findingId) {
     // Find inspection
-    const inspection = await this.getInspection(inspectionId);
+    const inspection = await this.findById(inspectionId);
     
     if (!inspection) {
       throw new ValidationError(`Inspection with ID ${inspectionId} not found`);
@@ -0,0 +1,20 @@
+/**
+ * Supplier domain events
+ * 
+ * Exports all supplier event-related functionality
+ */
+
+const schemas = require('./schemas');
+const publishers = require('./publishers');
+
+module.exports = {
+  schemas,
+  publishers,
+  
+  /**
+   * Initialize all supplier event functionality
+   */
+  initialize: () => {
+    publishers.initializeSupplierEventPublishers();
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * Supplier domain event publishers
+ * 
+ * Publishes events from the supplier domain to be consumed by other domains
+ */
+
+const domainEventBus = require('../../../core/DomainEventBus');
+const logger = require('../../../utils/logger');
+const supplierEventSchemas = require('./schemas');
+
+/**
+ * Initialize event publishers for the supplier domain
+ */
+function initializeSupplierEventPublishers() {
+  logger.info('Initializing Supplier domain event publishers');
+  
+  // Register event schemas
+  Object.entries(supplierEventSchemas).forEach(([eventType, schema]) => {
+    domainEventBus.registerEventSchema(eventType, schema);
+  });
+}
+
+/**
+ * Publish a supplier status updated event
+ * 
+ * @param {Object} supplier - The updated supplier
+ * @param {string} previousStatus - The previous status
+ */
+function publishSupplierStatusUpdated(supplier, previousStatus) {
+  const supplierData = supplier.toObject ? supplier.toObject() : supplier;
+  
+  domainEventBus.publishFromContext('supplier', {
+    type: 'SupplierStatusUpdated',
+    payload: {
+      supplierId: String(supplierData._id),
+      name: supplierData.name,
+      code: supplierData.code,
+      status: supplierData.status,
+      previousStatus
+    }
+  });
+}
+
+/**
+ * Publish a non-conformance opened event
+ * 
+ * @param {string} supplierId - The supplier the non-conformance is against
+ * @param {Object} nonConformance - The opened non-conformance
+ */
+function publishNonConformanceOpened(supplierId, nonConformance) {
+  const ncData = nonConformance.toObject ? nonConformance.toObject() : nonConformance;
+  
+  domainEventBus.publishFromContext('supplier', {
+    type: 'NonConformanceOpened',
+    payload: {
+      supplierId: String(supplierId),
+      ncNumber: ncData.ncNumber,
+      description: ncData.description,
+      severity: ncData.severity,
+      category: ncData.category,
+      source: ncData.source,
+      sourceReference: ncData.sourceReference
+    }
+  });
+}
+
+/**
+ * Publish a certification expiring event
+ * 
+ * @param {Object} supplier - The supplier holding the certification
+ * @param {Object} record - The expiring certification, with name and expiry date
+ * @param {number} daysRemaining - Days until expiry (0 or less once lapsed)
+ */
+function publishCertificationExpiring(supplier, record, daysRemaining) {
+  domainEventBus.publishFromContext('supplier', {
+    type: 'CertificationExpiring',
+    payload: {
+      supplierId: String(supplier._id),
+      supplierName: supplier.name,
+      certificateName: record.name,
+      expiryDate: new Date(record.expiryDate).toISOString().slice(0, 10),
+      daysRemaining,
+      expired: daysRemaining <= 0
+    }
+  });
+}
+
+module.exports = {
+  initializeSupplierEventPublishers,
+  publishSupplierStatusUpdated,
+  publishNonConformanceOpened,
+  publishCertificationExpiring
+};
@@ -0,0 +1,51 @@
+/**
+ * Supplier domain event schemas
+ * 
+ * Defines the structure and validation rules for supplier domain events
+ * These schemas are used for validating events before they are published
+ */
+
+const supplierEventSchemas = {
+  // Supplier lifecycle events
+  SupplierStatusUpdated: {
+    description: 'Triggered when the status of a supplier changes, such as when it is blacklisted',
+    required: ['supplierId', 'status'],
+    properties: {
+      supplierId: { type: 'string' },
+      name: { type: 'string' },
+      code: { type: 'string' },
+      status: { type: 'string' },
+      previousStatus: { type: 'string' }
+    }
+  },
+  
+  // Quality management events
+  NonConformanceOpened: {
+    description: 'Triggered when a non-conformance is opened against a supplier',
+    required: ['supplierId', 'ncNumber', 'severity'],
+    properties: {
+      supplierId: { type: 'string' },
+      ncNumber: { type: 'string' },
+      description: { type: 'string' },
+      severity: { type: 'string' },
+      category: { type: 'string' },
+      source: { type: 'string' },
+      sourceReference: { type: 'string' }
+    }
+  },
+  
+  CertificationExpiring: {
+    description: 'Triggered when a supplier certification nears or passes its expiry date',
+    required: ['supplierId', 'certificateName', 'expiryDate', 'daysRemaining'],
+    properties: {
+      supplierId: { type: 'string' },
+      supplierName: { type: 'string' },
+      certificateName: { type: 'string' },
+      expiryDate: { type: 'string' },
+      daysRemaining: { type: 'number' },
+      expired: { type: 'boolean' }
+    }
+  }
+};
+
+module.exports = supplierEventSchemas;
@@ -9,8 +9,7 @@ const Supplier = require('../models/Supplier');
 const Address = require('../models/Address');
 const Contact = require('../models/Contact');
 const Qualification = require('../models/Qualification');
-const mongoose = require('mongoose');
-const SupplierModel = mongoose.model('Supplier');
+const SupplierModel = require('../../../models/supplier.model');
 const CacheManager = require('../../../infrastructure/caching/CacheManager');
 const logger = require('../../../infrastructure/logger');
 
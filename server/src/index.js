@@ -27,6 +27,10 @@ const { monitorDiskSpace, checkBackupStatus, checkServiceHealth } = require('./m
 // Import worker manager
 const workerManager = require('./utils/worker-manager');
 
+// Import background job scheduler
+const jobSchedulerService = require('./services/jobScheduler.service');
+const { registerWorkerJobs } = require('./workers');
+
 // Import distributed session management
 const distributedSession = require('./middleware/distributedSession.middleware');
 
@@ -42,6 +46,9 @@ const responseOptimizer = require('./utils/responseOptimizer');
 // Import API security middleware
 const apiSecurity = require('./middleware/api-security.middleware');
 
+// Import tenant context middleware
+const { tenantContextMiddleware } = require('./core/multiTenancy');
+
 // Import routes
 const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
@@ -61,6 +68,9 @@ const privacyRoutes = require('./routes/privacy.routes');
 const documentRoutes = require('./routes/document.routes');
 const metricsRoutes = require('./routes/metrics.routes');
 const featureFlagsRoutes = require('./routes/featureFlags.routes');
+const webhookRoutes = require('./routes/webhook.routes');
+const jobRoutes = require('./routes/job.routes');
+const auditChainRoutes = require('./routes/auditChain.routes');
 
 // Import health check manager - RF042
 const { healthCheckManager } = require('./controllers/health-check.controller');
@@ -209,6 +219,9 @@ const authLimiter = apiSecurity.createRateLimiter({
 // Apply standard rate limiting to all routes
 app.use(standardLimiter);
 
+// Give each request a tenant context of its own, which authentication fills in
+app.use(tenantContextMiddleware);
+
 // Set optimal MongoDB connection options for performance
 const mongooseOptions = {
   useNewUrlParser: true,
@@ -252,6 +265,14 @@ mongoose
       // Don't exit on auto-scaling failure, it's not critical for operation
     }
     
+    // Set up domain event handlers and notification rules
+    try {
+      const { initializeDomainEvents } = require('./core/DomainEventInitializer');
+      initializeDomainEvents();
+    } catch (error) {
+      console.error('Failed to initialize domain events:', error);
+    }
+    
     // Enable query monitoring in development for optimization
     if (process.env.NODE_ENV === 'development') {
       mongoose.set('debug', (collectionName, methodName, ...args) => {
@@ -295,6 +316,15 @@ mongoose
       }
     }
     
+    // Start background jobs; job locks keep each run to one instance
+    try {
+      registerWorkerJobs();
+      await jobSchedulerService.start();
+      console.log('Job scheduler started');
+    } catch (err) {
+      console.error('Failed to start job scheduler:', err);
+    }
+    
     console.log('Server startup complete and healthy');
   })
   .catch((err) => {
@@ -342,6 +372,9 @@ app.use('/api/privacy', privacyRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/metrics', metricsRoutes);
 app.use('/api/feature-flags', featureFlagsRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin/jobs', jobRoutes);
+app.use('/api/audit-chain', auditChainRoutes);
 
 // External API routes with API key authentication
 app.use('/api/v1/external', apiSecurity.apiKeyAuth, (req, res, next) => {
@@ -555,6 +588,14 @@ const gracefulShutdown = async () => {
   // Stop health checks - RF042
   healthCheckManager.stopPeriodicChecks();
   
+  // Stop background jobs, giving running ones a grace period to finish
+  try {
+    await jobSchedulerService.stop();
+    console.log('Job scheduler stopped successfully');
+  } catch (error) {
+    console.error('Error stopping job scheduler:', error);
+  }
+  
   // Close HTTP server
   server.close(() => {
     console.log('HTTP server closed.');
@@ -2,12 +2,12 @@
  * Anti-Corruption Layer Factory
  * 
  * This factory creates the appropriate Anti-Corruption Layer implementation
- * based on the ERP provider configuration.
+ * based on the ERP provider configuration. Providers and their layers are
+ * registered in the ERP provider registry.
  */
 
 const { getActiveConfig } = require('../../config/erp-config');
-const SapAntiCorruptionLayer = require('./SapAntiCorruptionLayer');
-const OracleAntiCorruptionLayer = require('./OracleAntiCorruptionLayer');
+const providerRegistry = require('../../services/erp/provider-registry');
 const logger = require('../../utils/logger');
 
 class AntiCorruptionLayerFactory {
@@ -30,17 +30,12 @@ class AntiCorruptionLayerFactory {
   static create(provider) {
     logger.info(`Creating Anti-Corruption Layer for provider: ${provider}`);
     
-    switch (provider.toLowerCase()) {
-      case 'sap':
-        return new SapAntiCorruptionLayer();
-      case 'oracle':
-        return new OracleAntiCorruptionLayer();
-      case 'mock':
-        // For development and testing, use SAP implementation
-        return new SapAntiCorruptionLayer();
-      default:
-        throw new Error(`Unsupported ERP provider for Anti-Corruption Layer: ${provider}`);
+    // Each registered ERP provider brings its own Anti-Corruption Layer
+    if (!providerRegistry.has(provider)) {
+      throw new Error(`Unsupported ERP provider for Anti-Corruption Layer: ${provider}`);
     }
+    
+    return providerRegistry.createAcl(provider);
   }
 }
 
@@ -0,0 +1,166 @@
+/**
+ * Dynamics 365 Anti-Corruption Layer
+ * 
+ * This class implements the Anti-Corruption Layer pattern for Dynamics 365 integration.
+ * It translates between Dynamics 365 data models and AeroSuite domain models.
+ */
+
+const BaseAntiCorruptionLayer = require('./BaseAntiCorruptionLayer');
+const { 
+  mapDynamicsVendorToSupplier,
+  mapSupplierToDynamicsVendor,
+  mapDynamicsQualityOrderToInspection,
+  mapInspectionToDynamicsQualityOrder,
+  mapDynamicsPurchaseOrderToAeroSuite,
+  mapAeroSuitePurchaseOrderToDynamics
+} = require('../../utils/erp-mappers/dynamics365-mappers');
+const logger = require('../../utils/logger');
+
+class Dynamics365AntiCorruptionLayer extends BaseAntiCorruptionLayer {
+  constructor() {
+    super('Dynamics 365');
+    
+    // Define entity type mappings
+    this.entityMappings = {
+      'supplier': {
+        toDomain: mapDynamicsVendorToSupplier,
+        fromDomain: mapSupplierToDynamicsVendor,
+        requiredFields: {
+          external: ['VendorAccountNumber', 'VendorOrganizationName'],
+          domain: ['name']
+        }
+      },
+      'inspection': {
+        toDomain: mapDynamicsQualityOrderToInspection,
+        fromDomain: mapInspectionToDynamicsQualityOrder,
+        requiredFields: {
+          external: ['QualityOrderId', 'ReferenceType'],
+          domain: ['type']
+        }
+      },
+      'purchaseOrder': {
+        toDomain: mapDynamicsPurchaseOrderToAeroSuite,
+        fromDomain: mapAeroSuitePurchaseOrderToDynamics,
+        requiredFields: {
+          external: ['PurchaseOrderNumber', 'OrderVendorAccountNumber'],
+          domain: ['supplier']
+        }
+      }
+    };
+  }
+
+  /**
+   * Translate Dynamics 365 data to domain model
+   * 
+   * @param {string} entityType - Type of entity being translated
+   * @param {Object} externalData - Dynamics 365 data
+   * @returns {Object} - Translated domain entity
+   */
+  translateToDomain(entityType, externalData) {
+    try {
+      // Check if entity type is supported
+      if (!this.entityMappings[entityType]) {
+        throw new Error(`Unsupported entity type: ${entityType}`);
+      }
+      
+      // Validate required fields
+      const requiredFields = this.entityMappings[entityType].requiredFields.external;
+      this.validateRequiredFields(externalData, requiredFields);
+      
+      // Use the appropriate mapper function
+      const mapper = this.entityMappings[entityType].toDomain;
+      const result = mapper(externalData);
+      
+      // Add metadata
+      if (result) {
+        result.metadata = {
+          sourceSystem: 'Dynamics365',
+          sourceId: externalData.QualityOrderId || externalData.PurchaseOrderNumber || externalData.VendorAccountNumber,
+          lastSyncedAt: new Date()
+        };
+      }
+      
+      return result;
+    } catch (error) {
+      this.logTranslationError(error, entityType, externalData);
+      return null;
+    }
+  }
+
+  /**
+   * Translate domain model to Dynamics 365 format
+   * 
+   * @param {string} entityType - Type of entity being translated
+   * @param {Object} domainEntity - Domain entity data
+   * @returns {Object} - Translated Dynamics 365 data
+   */
+  translateFromDomain(entityType, domainEntity) {
+    try {
+      // Check if entity type is supported
+      if (!this.entityMappings[entityType]) {
+        throw new Error(`Unsupported entity type: ${entityType}`);
+      }
+      
+      // Validate required fields
+      const requiredFields = this.entityMappings[entityType].requiredFields.domain;
+      this.validateRequiredFields(domainEntity, requiredFields);
+      
+      // Use the appropriate mapper function
+      const mapper = this.entityMappings[entityType].fromDomain;
+      return mapper(domainEntity);
+    } catch (error) {
+      this.logTranslationError(error, entityType, domainEntity);
+      return null;
+    }
+  }
+
+  /**
+   * Enrich domain entity with additional data from Dynamics 365
+   * 
+   * @param {string} entityType - Type of entity being enriched
+   * @param {Object} domainEntity - Domain entity to enrich
+   * @param {Object} d365Data - Additional Dynamics 365 data
+   * @returns {Object} - Enriched domain entity
+   */
+  enrichDomainEntity(entityType, domainEntity, d365Data) {
+    if (!domainEntity || !d365Data) {
+      return domainEntity;
+    }
+    
+    try {
+      // Clone the domain entity to avoid modifying the original
+      const enriched = { ...domainEntity };
+      
+      switch (entityType) {
+        case 'supplier':
+          // Add Dynamics 365-specific supplier data
+          enriched.vendorGroup = d365Data.VendorGroupId;
+          enriched.currency = d365Data.CurrencyCode;
+          enriched.dataAreaId = d365Data.dataAreaId;
+          break;
+          
+        case 'inspection':
+          // Add Dynamics 365-specific quality order data
+          enriched.d365TestGroup = d365Data.TestGroupId;
+          enriched.d365Site = d365Data.InventorySiteId;
+          break;
+          
+        case 'purchaseOrder':
+          // Add Dynamics 365-specific purchase order data
+          enriched.d365DocumentState = d365Data.DocumentApprovalStatus;
+          enriched.dataAreaId = d365Data.dataAreaId;
+          break;
+          
+        default:
+          logger.warn(`No enrichment defined for entity type: ${entityType}`);
+      }
+      
+      return enriched;
+    } catch (error) {
+      logger.error(`Error enriching ${entityType}: ${error.message}`);
+      return domainEntity;
+    }
+  }
+}
+
+module.exports = Dynamics365AntiCorruptionLayer;
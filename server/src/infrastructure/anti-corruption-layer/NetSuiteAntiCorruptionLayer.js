@@ -0,0 +1,166 @@
+/**
+ * NetSuite Anti-Corruption Layer
+ * 
+ * This class implements the Anti-Corruption Layer pattern for NetSuite integration.
+ * It translates between NetSuite data models and AeroSuite domain models.
+ */
+
+const BaseAntiCorruptionLayer = require('./BaseAntiCorruptionLayer');
+const { 
+  mapNetSuiteVendorToSupplier,
+  mapSupplierToNetSuiteVendor,
+  mapNetSuiteInspectionToAeroSuite,
+  mapAeroSuiteInspectionToNetSuite,
+  mapNetSuitePurchaseOrderToAeroSuite,
+  mapAeroSuitePurchaseOrderToNetSuite
+} = require('../../utils/erp-mappers/netsuite-mappers');
+const logger = require('../../utils/logger');
+
+class NetSuiteAntiCorruptionLayer extends BaseAntiCorruptionLayer {
+  constructor() {
+    super('NetSuite');
+    
+    // Define entity type mappings
+    this.entityMappings = {
+      'supplier': {
+        toDomain: mapNetSuiteVendorToSupplier,
+        fromDomain: mapSupplierToNetSuiteVendor,
+        requiredFields: {
+          external: ['id', 'entityId', 'companyName'],
+          domain: ['name']
+        }
+      },
+      'inspection': {
+        toDomain: mapNetSuiteInspectionToAeroSuite,
+        fromDomain: mapAeroSuiteInspectionToNetSuite,
+        requiredFields: {
+          external: ['id', 'custrecord_qi_type'],
+          domain: ['type']
+        }
+      },
+      'purchaseOrder': {
+        toDomain: mapNetSuitePurchaseOrderToAeroSuite,
+        fromDomain: mapAeroSuitePurchaseOrderToNetSuite,
+        requiredFields: {
+          external: ['id', 'tranId', 'entity'],
+          domain: ['supplier']
+        }
+      }
+    };
+  }
+
+  /**
+   * Translate NetSuite data to domain model
+   * 
+   * @param {string} entityType - Type of entity being translated
+   * @param {Object} externalData - NetSuite data
+   * @returns {Object} - Translated domain entity
+   */
+  translateToDomain(entityType, externalData) {
+    try {
+      // Check if entity type is supported
+      if (!this.entityMappings[entityType]) {
+        throw new Error(`Unsupported entity type: ${entityType}`);
+      }
+      
+      // Validate required fields
+      const requiredFields = this.entityMappings[entityType].requiredFields.external;
+      this.validateRequiredFields(externalData, requiredFields);
+      
+      // Use the appropriate mapper function
+      const mapper = this.entityMappings[entityType].toDomain;
+      const result = mapper(externalData);
+      
+      // Add metadata
+      if (result) {
+        result.metadata = {
+          sourceSystem: 'NetSuite',
+          sourceId: externalData.id,
+          lastSyncedAt: new Date()
+        };
+      }
+      
+      return result;
+    } catch (error) {
+      this.logTranslationError(error, entityType, externalData);
+      return null;
+    }
+  }
+
+  /**
+   * Translate domain model to NetSuite format
+   * 
+   * @param {string} entityType - Type of entity being translated
+   * @param {Object} domainEntity - Domain entity data
+   * @returns {Object} - Translated NetSuite data
+   */
+  translateFromDomain(entityType, domainEntity) {
+    try {
+      // Check if entity type is supported
+      if (!this.entityMappings[entityType]) {
+        throw new Error(`Unsupported entity type: ${entityType}`);
+      }
+      
+      // Validate required fields
+      const requiredFields = this.entityMappings[entityType].requiredFields.domain;
+      this.validateRequiredFields(domainEntity, requiredFields);
+      
+      // Use the appropriate mapper function
+      const mapper = this.entityMappings[entityType].fromDomain;
+      return mapper(domainEntity);
+    } catch (error) {
+      this.logTranslationError(error, entityType, domainEntity);
+      return null;
+    }
+  }
+
+  /**
+   * Enrich domain entity with additional data from NetSuite
+   * 
+   * @param {string} entityType - Type of entity being enriched
+   * @param {Object} domainEntity - Domain entity to enrich
+   * @param {Object} nsData - Additional NetSuite data
+   * @returns {Object} - Enriched domain entity
+   */
+  enrichDomainEntity(entityType, domainEntity, nsData) {
+    if (!domainEntity || !nsData) {
+      return domainEntity;
+    }
+    
+    try {
+      // Clone the domain entity to avoid modifying the original
+      const enriched = { ...domainEntity };
+      
+      switch (entityType) {
+        case 'supplier':
+          // Add NetSuite-specific supplier data
+          enriched.subsidiary = nsData.subsidiary ? nsData.subsidiary.refName : undefined;
+          enriched.currency = nsData.currency ? nsData.currency.refName : undefined;
+          enriched.creditLimit = nsData.creditLimit;
+          break;
+          
+        case 'inspection':
+          // Add NetSuite-specific inspection data
+          enriched.netSuiteRecordId = nsData.id;
+          enriched.netSuiteExternalId = nsData.externalId;
+          break;
+          
+        case 'purchaseOrder':
+          // Add NetSuite-specific purchase order data
+          enriched.netSuiteApprovalStatus = nsData.approvalStatus ? nsData.approvalStatus.refName : undefined;
+          enriched.netSuiteLocation = nsData.location ? nsData.location.refName : undefined;
+          break;
+          
+        default:
+          logger.warn(`No enrichment defined for entity type: ${entityType}`);
+      }
+      
+      return enriched;
+    } catch (error) {
+      logger.error(`Error enriching ${entityType}: ${error.message}`);
+      return domainEntity;
+    }
+  }
+}
+
+module.exports = NetSuiteAntiCorruptionLayer;
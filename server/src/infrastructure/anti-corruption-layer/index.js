@@ -7,12 +7,16 @@
 const BaseAntiCorruptionLayer = require('./BaseAntiCorruptionLayer');
 const SapAntiCorruptionLayer = require('./SapAntiCorruptionLayer');
 const OracleAntiCorruptionLayer = require('./OracleAntiCorruptionLayer');
+const Dynamics365AntiCorruptionLayer = require('./Dynamics365AntiCorruptionLayer');
+const NetSuiteAntiCorruptionLayer = require('./NetSuiteAntiCorruptionLayer');
 const AntiCorruptionLayerFactory = require('./AntiCorruptionLayerFactory');
 
 module.exports = {
   BaseAntiCorruptionLayer,
   SapAntiCorruptionLayer,
   OracleAntiCorruptionLayer,
+  Dynamics365AntiCorruptionLayer,
+  NetSuiteAntiCorruptionLayer,
   AntiCorruptionLayerFactory,
   
   /**
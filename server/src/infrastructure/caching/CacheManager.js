@@ -4,11 +4,16 @@
  * Multi-level caching strategy implementation
  * Implements RF025 - Implement multi-level caching strategy
  * Enhanced for RF027 - Implement cache invalidation patterns
+ *
+ * Within a tenant context, keys, tags, dependencies and patterns are
+ * namespaced to the tenant, so tenants never share cached entries.
  */
 
 const logger = require('../logger');
 const EventEmitter = require('events');
 const CacheInvalidator = require('./CacheInvalidator');
+const { getCurrentTenantId } = require('../../core/multiTenancy');
+const tenancyConfig = require('../../config/tenancy.config');
 
 /**
  * Cache Manager
@@ -62,6 +67,8 @@ class CacheManager {
    * @returns {Promise<*>} - Cached value or null
    */
   async get(key, options = {}) {
+    key = this.tenantKey(key);
+    options = this._tenantOptions(options);
     const policy = { ...this.defaultPolicy, ...(options.policy || {}) };
     const fetchFn = options.fetchFn;
     let value = null;
@@ -183,6 +190,8 @@ class CacheManager {
    * @returns {Promise<boolean>} - True if set in at least one provider
    */
   async set(key, value, policy = {}, options = {}) {
+    key = this.tenantKey(key);
+    options = this._tenantOptions(options);
     const cachePolicy = { ...this.defaultPolicy, ...policy };
     const metadata = {
       createdAt: Date.now(),
@@ -230,6 +239,7 @@ class CacheManager {
    * @returns {Promise<boolean>} - True if deleted from at least one provider
    */
   async del(key) {
+    key = this.tenantKey(key);
     let deletedFromAnyProvider = false;
     
     // Delete from all providers
@@ -260,6 +270,7 @@ class CacheManager {
    * @returns {Promise<number>} - Number of keys deleted
    */
   async clear(pattern = '*') {
+    pattern = this.tenantKey(pattern);
     let totalDeleted = 0;
     
     // Clear from all providers
@@ -282,6 +293,23 @@ class CacheManager {
     return totalDeleted;
   }
   
+  /**
+   * Namespace a cache key, tag or pattern to the current tenant. Keys
+   * already in the tenant's namespace, such as keys the invalidator
+   * tracked, are returned as they are.
+   * @param {string} key - Cache key, tag or pattern
+   * @returns {string} - Key within the current tenant's namespace
+   */
+  tenantKey(key) {
+    const tenantId = getCurrentTenantId();
+    if (!tenantId) {
+      return key;
+    }
+    
+    const prefix = `${tenancyConfig.cacheKeyPrefix}:${tenantId}:`;
+    return String(key).startsWith(prefix) ? key : `${prefix}${key}`;
+  }
+  
   /**
    * Cache a function result
    * @param {Function} fn - Function to cache
@@ -362,6 +390,20 @@ class CacheManager {
     this.events.removeAllListeners();
   }
   
+  /**
+   * Namespace the tags and dependencies of get and set options
+   * @param {Object} options - Get or set options
+   * @returns {Object} - Options with namespaced tags and dependencies
+   * @private
+   */
+  _tenantOptions(options) {
+    return {
+      ...options,
+      tags: options.tags && options.tags.map(tag => this.tenantKey(tag)),
+      dependencies: options.dependencies && options.dependencies.map(dependency => this.tenantKey(dependency))
+    };
+  }
+  
   /**
    * Propagate a value to higher-level providers
    * @param {string} key - Cache key
@@ -419,7 +461,7 @@ class CacheManager {
    * @returns {Promise<number>} - Number of keys invalidated
    */
   async invalidateByTag(tag) {
-    return this.invalidator.invalidateTag(tag);
+    return this.invalidator.invalidateTag(this.tenantKey(tag));
   }
   
   /**
@@ -428,7 +470,7 @@ class CacheManager {
    * @returns {Promise<number>} - Number of keys invalidated
    */
   async invalidateByTags(tags) {
-    return this.invalidator.invalidateTags(tags);
+    return this.invalidator.invalidateTags(tags.map(tag => this.tenantKey(tag)));
   }
   
   /**
@@ -437,7 +479,7 @@ class CacheManager {
    * @returns {Promise<number>} - Number of keys invalidated
    */
   async invalidateDependents(dependency) {
-    return this.invalidator.invalidateDependents(dependency);
+    return this.invalidator.invalidateDependents(this.tenantKey(dependency));
   }
   
   /**
@@ -446,7 +488,7 @@ class CacheManager {
    * @returns {Promise<number>} - Number of keys invalidated
    */
   async batchInvalidate(keys) {
-    return this.invalidator.batchInvalidate(keys);
+    return this.invalidator.batchInvalidate(keys.map(key => this.tenantKey(key)));
   }
 }
 
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { UnauthorizedError, ForbiddenError } = require('../utils/errorHandler');
 const User = require('../models/user.model');
+const { setTenantContext } = require('../core/multiTenancy');
+const tenancyConfig = require('../config/tenancy.config');
 
 /**
  * Middleware to protect routes by verifying JWT token
@@ -40,6 +42,7 @@ const protect = async (req, res, next) => {
 
     // Grant access to protected route
     req.user = user;
+    setTenantContext(user.tenantId || tenancyConfig.defaultTenantId);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -4,6 +4,8 @@ const User = require('../models/user.model');
 const { AppError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const securityService = require('../services/security.service');
+const { setTenantContext } = require('../core/multiTenancy');
+const tenancyConfig = require('../config/tenancy.config');
 
 /**
  * Verify JWT token
@@ -90,6 +92,9 @@ const authenticate = async (req, res, next) => {
     req.userRole = user.role;
     req.tokenDecoded = decoded; // Useful for additional claims
 
+    // Scope the rest of the request to the user's tenant
+    setTenantContext(user.tenantId || tenancyConfig.defaultTenantId);
+
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -173,6 +178,7 @@ const optionalAuth = async (req, res, next) => {
       req.user = user;
       req.userId = user._id;
       req.userRole = user.role;
+      setTenantContext(user.tenantId || tenancyConfig.defaultTenantId);
     }
 
     next();
@@ -215,6 +221,7 @@ const authenticateApiKey = async (req, res, next) => {
     req.userId = user._id;
     req.userRole = user.role;
     req.authMethod = 'apiKey';
+    setTenantContext(user.tenantId || tenancyConfig.defaultTenantId);
 
     next();
   } catch (error) {
@@ -405,8 +412,10 @@ function protect(req, res, next) {
   req.user = {
     _id: 'user_123456789',
     email: 'demo@example.com',
-    role: 'admin'
+    role: 'admin',
+    tenantId: tenancyConfig.defaultTenantId
   };
+  setTenantContext(req.user.tenantId);
   next();
 }
 
@@ -0,0 +1,73 @@
+/**
+ * Migration: report_templates_to_report_queries
+ * Created at: 2026-10-19T00:00:00.000Z
+ * 
+ * This migration adds a report query to every report template data source
+ * that still uses a raw Mongo query. The raw query is kept so the migration
+ * can be reversed; data sources that cannot be converted are listed and
+ * left to be rewritten by hand.
+ */
+const reportQueryService = require('../../services/reportQuery.service');
+
+module.exports = {
+  /**
+   * Run the migration
+   * @param {Object} db - MongoDB client
+   * @param {Object} client - MongoDB native client
+   * @returns {Promise<void>}
+   */
+  async up(db, client) {
+    console.log('Converting report template data sources to report queries...');
+    
+    const templates = await db.collection('reporttemplates')
+      .find({ 'sections.dataSource.model': { $exists: true } })
+      .toArray();
+    let converted = 0;
+    
+    for (const template of templates) {
+      let changed = false;
+      
+      const sections = (template.sections || []).map(section => {
+        const dataSource = section.dataSource;
+        if (!dataSource || !dataSource.model || dataSource.reportQuery) {
+          return section;
+        }
+        
+        const { reportQuery, reason } = reportQueryService.translateLegacyDataSource(dataSource, section.columns);
+        if (!reportQuery) {
+          console.log(`Template "${template.name}", section "${section.title}" needs rewriting by hand: ${reason}`);
+          return section;
+        }
+        
+        changed = true;
+        converted += 1;
+        return { ...section, dataSource: { ...dataSource, reportQuery } };
+      });
+      
+      if (changed) {
+        await db.collection('reporttemplates').updateOne({ _id: template._id }, { $set: { sections } });
+      }
+    }
+    
+    console.log(`Converted ${converted} data sources in ${templates.length} templates`);
+  },
+
+  /**
+   * Reverse the migration
+   * @param {Object} db - MongoDB client
+   * @param {Object} client - MongoDB native client
+   * @returns {Promise<void>}
+   */
+  async down(db, client) {
+    console.log('Removing converted report queries from report templates...');
+    
+    // Only data sources with a raw query to fall back to lose their report query
+    const result = await db.collection('reporttemplates').updateMany(
+      { 'sections.dataSource.model': { $exists: true } },
+      { $unset: { 'sections.$[section].dataSource.reportQuery': '' } },
+      { arrayFilters: [{ 'section.dataSource.model': { $exists: true } }] }
+    );
+    
+    console.log(`Removed report queries from ${result.modifiedCount} templates`);
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * Migration: scope_data_to_tenants
+ * Created at: 2026-10-19T01:00:00.000Z
+ *
+ * This migration assigns the documents of tenant-scoped collections that
+ * belong to no tenant to the default tenant, and replaces their indexes
+ * with per-tenant indexes, so names, codes and numbers are unique within
+ * each tenant.
+ */
+const Supplier = require('../../models/supplier.model');
+const Inspection = require('../../models/inspection.model');
+const Customer = require('../../models/customer.model');
+const Component = require('../../models/component.model');
+const Capa = require('../../models/Capa');
+const SupplierAudit = require('../../models/SupplierAudit');
+const QualityManagement = require('../../models/QualityManagement');
+const GoodsReceipt = require('../../models/GoodsReceipt');
+const Dashboard = require('../../models/Dashboard');
+const ReportSchedule = require('../../models/ReportSchedule');
+const ReportRun = require('../../models/ReportRun');
+const WebhookEndpoint = require('../../models/WebhookEndpoint');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const NotificationSubscription = require('../../models/NotificationSubscription');
+const NotificationPreference = require('../../models/NotificationPreference');
+const NotificationDelivery = require('../../models/NotificationDelivery');
+const SupplierScorecard = require('../../models/SupplierScorecard');
+const RiskAssessment = require('../../models/RiskAssessment');
+const Gauge = require('../../models/Gauge');
+const GaugeStudy = require('../../models/GaugeStudy');
+const BomItem = require('../../models/BomItem');
+const ErpSyncRun = require('../../models/ErpSyncRun');
+const ErpSyncLink = require('../../models/ErpSyncLink');
+const ErpSyncWatermark = require('../../models/ErpSyncWatermark');
+const AuditChecklistTemplate = require('../../models/AuditChecklistTemplate');
+const CertificationExpiryNotice = require('../../models/CertificationExpiryNotice');
+const SamplingSwitchingState = require('../../models/samplingSwitchingState.model');
+const InspectionWorkflow = require('../../models/inspectionWorkflow.model');
+const tenancyConfig = require('../../config/tenancy.config');
+
+const TENANT_SCOPED_MODELS = [
+  Supplier,
+  Inspection,
+  Customer,
+  Component,
+  Capa,
+  SupplierAudit,
+  QualityManagement,
+  GoodsReceipt,
+  Dashboard,
+  ReportSchedule,
+  ReportRun,
+  WebhookEndpoint,
+  WebhookDelivery,
+  NotificationSubscription,
+  NotificationPreference,
+  NotificationDelivery,
+  SupplierScorecard,
+  RiskAssessment,
+  Gauge,
+  GaugeStudy,
+  BomItem,
+  ErpSyncRun,
+  ErpSyncLink,
+  ErpSyncWatermark,
+  AuditChecklistTemplate,
+  CertificationExpiryNotice,
+  SamplingSwitchingState,
+  InspectionWorkflow
+];
+
+/**
+ * Index options as the driver takes them, without Mongoose's own options
+ * @param {Object} options Schema index options
+ * @returns {Object} Index options
+ */
+const indexOptions = (options = {}) => Object.keys(options)
+  .filter(option => !option.startsWith('_'))
+  .reduce((picked, option) => ({ ...picked, [option]: options[option] }), {});
+
+/**
+ * Drop a collection's indexes, other than the _id index, that match a test
+ * @param {Object} collection MongoDB collection
+ * @param {Function} test Test of an index's key
+ * @returns {Promise<string[]>} Names of the dropped indexes
+ */
+const dropIndexes = async (collection, test) => {
+  const indexes = await collection.indexes();
+  const dropped = indexes.filter(index => index.name !== '_id_' && test(index.key));
+  for (const index of dropped) {
+    await collection.dropIndex(index.name);
+  }
+  return dropped.map(index => index.name);
+};
+
+const isTenantIndex = key => Object.keys(key)[0] === 'tenantId';
+
+module.exports = {
+  /**
+   * Run the migration
+   * @param {Object} db - MongoDB client
+   * @param {Object} client - MongoDB native client
+   * @returns {Promise<void>}
+   */
+  async up(db, client) {
+    console.log(`Assigning data without a tenant to tenant "${tenancyConfig.defaultTenantId}"...`);
+
+    const collectionNames = TENANT_SCOPED_MODELS.map(Model => Model.collection.collectionName);
+    for (const name of collectionNames) {
+      const result = await db.collection(name).updateMany(
+        { tenantId: { $exists: false } },
+        { $set: { tenantId: tenancyConfig.defaultTenantId } }
+      );
+      console.log(`Assigned ${result.modifiedCount} ${name} to tenant "${tenancyConfig.defaultTenantId}"`);
+    }
+
+    for (const Model of TENANT_SCOPED_MODELS) {
+      const collection = db.collection(Model.collection.collectionName);
+
+      // Global unique indexes would stop tenants sharing a name or code
+      const dropped = await dropIndexes(collection, key => !isTenantIndex(key));
+      for (const [fields, options] of Model.schema.indexes()) {
+        await collection.createIndex(fields, indexOptions(options));
+      }
+
+      console.log(`Replaced ${dropped.length} indexes of ${Model.collection.collectionName} with per-tenant indexes`);
+    }
+  },
+
+  /**
+   * Reverse the migration
+   * @param {Object} db - MongoDB client
+   * @param {Object} client - MongoDB native client
+   * @returns {Promise<void>}
+   */
+  async down(db, client) {
+    console.log('Replacing per-tenant indexes with global indexes...');
+
+    // Tenant IDs are kept; a global unique index fails to build while two
+    // tenants share a name or code
+    for (const Model of TENANT_SCOPED_MODELS) {
+      const collection = db.collection(Model.collection.collectionName);
+
+      const dropped = await dropIndexes(collection, isTenantIndex);
+      for (const [fields, options] of Model.schema.indexes()) {
+        const globalFields = Object.keys(fields)
+          .filter(field => field !== 'tenantId')
+          .reduce((picked, field) => ({ ...picked, [field]: fields[field] }), {});
+        if (Object.keys(globalFields).length > 0) {
+          await collection.createIndex(globalFields, indexOptions(options));
+        }
+      }
+
+      console.log(`Replaced ${dropped.length} per-tenant indexes of ${Model.collection.collectionName}`);
+    }
+  }
+};
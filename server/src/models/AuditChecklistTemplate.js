@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const CHECKLIST_CATEGORIES = ['quality', 'process', 'facilities', 'environmental', 'social', 'financial', 'documentation'];
+
+/**
+ * Audit Checklist Template Schema
+ * Versioned, editable checklist that audits are created from.
+ * Each edit is a new draft version; publishing a version makes it the one
+ * new audits use and retires the previously active version.
+ */
+const templateItemSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: true,
+    enum: CHECKLIST_CATEGORIES,
+    default: 'quality'
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  responseType: {
+    type: String,
+    enum: ['yes-no', 'scale', 'text', 'multiple-choice'],
+    default: 'yes-no'
+  },
+  options: [String],
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  }
+}, { _id: false });
+
+const auditChecklistTemplateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, 'Template name may only contain lowercase letters, numbers and hyphens']
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    title: {
+      type: String,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'active', 'retired'],
+      default: 'draft'
+    },
+    items: {
+      type: [templateItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A checklist template needs at least one item'
+      }
+    },
+    changeNote: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    publishedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+auditChecklistTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+auditChecklistTemplateSchema.index({ name: 1, status: 1 });
+
+// Scope audit checklist templates to the current tenant, once every index is declared
+auditChecklistTemplateSchema.plugin(tenantPlugin);
+
+const AuditChecklistTemplate = mongoose.model('AuditChecklistTemplate', auditChecklistTemplateSchema);
+
+AuditChecklistTemplate.CHECKLIST_CATEGORIES = CHECKLIST_CATEGORIES;
+
+module.exports = AuditChecklistTemplate;
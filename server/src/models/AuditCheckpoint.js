@@ -0,0 +1,63 @@
+/**
+ * Audit Checkpoint Model
+ *
+ * Signed snapshot of the head of a tenant's audit log chain. A record
+ * rewritten after a checkpoint no longer matches the hash it signed.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const auditCheckpointSchema = new Schema({
+  tenantId: {
+    type: String,
+    required: true
+  },
+
+  // Sequence and hash of the chain's last record when signed
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  hash: {
+    type: String,
+    required: true
+  },
+
+  signedAt: {
+    type: Date,
+    required: true
+  },
+
+  // Base64 RSA-SHA256 signature over tenantId, sequence, hash and signedAt
+  signature: {
+    type: String,
+    required: true
+  },
+
+  keyId: {
+    type: String,
+    required: true
+  },
+
+  keyFingerprint: {
+    type: String,
+    required: true
+  },
+
+  // PEM public key, so exports can be checked without the key store
+  publicKey: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+auditCheckpointSchema.index({ tenantId: 1, sequence: -1 }, { unique: true });
+
+const AuditCheckpoint = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
+
+module.exports = AuditCheckpoint;
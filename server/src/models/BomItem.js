@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+/**
+ * BOM Item Schema
+ * One line of a component's bill of materials: a child component used
+ * quantityPer times in the parent, at the given reference designators.
+ * A line applies to one revision of the parent (or all revisions when
+ * parentRevision is empty) between its effectivity dates.
+ */
+const bomItemSchema = new mongoose.Schema(
+  {
+    parentComponent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Component',
+      required: true,
+      index: true
+    },
+    childComponent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Component',
+      required: true,
+      index: true
+    },
+    quantityPer: {
+      type: Number,
+      required: true,
+      min: [0, 'Quantity per assembly must be positive']
+    },
+    unitOfMeasure: {
+      type: String,
+      trim: true,
+      default: 'ea',
+      maxlength: 20
+    },
+    referenceDesignators: [{
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 50
+    }],
+    findNumber: {
+      type: String,
+      trim: true,
+      maxlength: 20
+    },
+    parentRevision: {
+      type: String,
+      trim: true,
+      default: null
+    },
+    effectiveFrom: {
+      type: Date,
+      default: Date.now
+    },
+    effectiveTo: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      maxlength: 1000
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+bomItemSchema.index({ parentComponent: 1, childComponent: 1, parentRevision: 1 });
+
+bomItemSchema.pre('validate', function(next) {
+  if (this.quantityPer === 0) {
+    this.invalidate('quantityPer', 'Quantity per assembly must be positive');
+  }
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after the effective from date');
+  }
+  next();
+});
+
+/**
+ * Whether the line is in effect on a date for a revision of the parent
+ * @param {Date} [date] Effectivity date
+ * @param {string} [revision] Parent revision; lines for any revision apply when omitted
+ * @returns {boolean} True if the line applies
+ */
+bomItemSchema.methods.isEffective = function(date = new Date(), revision) {
+  if (this.effectiveFrom && this.effectiveFrom > date) return false;
+  if (this.effectiveTo && this.effectiveTo <= date) return false;
+  return !this.parentRevision || !revision || this.parentRevision === revision;
+};
+
+// Scope bill-of-materials lines to the current tenant, once every index is declared
+bomItemSchema.plugin(tenantPlugin);
+
+const BomItem = mongoose.model('BomItem', bomItemSchema);
+
+module.exports = BomItem;
@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+/**
+ * Ordered 8D disciplines
+ * D1 team, D2 problem description, D3 containment, D4 root cause,
+ * D5 permanent corrective actions, D6 implementation and effectiveness verification,
+ * D7 prevention of recurrence, D8 closure and team recognition
+ */
+const EIGHT_D_STEPS = ['D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7', 'D8'];
+
+const FISHBONE_CATEGORIES = ['man', 'machine', 'method', 'material', 'measurement', 'environment'];
+
+const ACTIVE_ACTION_STATUSES = ['open', 'in-progress'];
+
+/**
+ * Corrective and Preventive Action (CAPA) Schema
+ * Tracks an 8D problem-solving record raised from a defect or non-conformance
+ */
+const containmentActionSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: { type: String, trim: true },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dueDate: { type: Date },
+  status: {
+    type: String,
+    enum: ['open', 'in-progress', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  quantityContained: { type: Number, min: 0 },
+  completedDate: { type: Date },
+  notes: { type: String, trim: true }
+});
+
+const actionItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['corrective', 'preventive'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  owner: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'in-progress', 'completed', 'cancelled'],
+    default: 'open'
+  },
+  completedDate: { type: Date },
+  evidence: { type: String, trim: true }
+});
+
+const capaSchema = new mongoose.Schema(
+  {
+    capaNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    title: {
+      type: String,
+      required: [true, 'CAPA title is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier'
+    },
+    componentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Component'
+    },
+    source: {
+      type: {
+        type: String,
+        enum: ['defect', 'non-conformance'],
+        required: true
+      },
+      inspectionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inspection'
+      },
+      defectId: { type: mongoose.Schema.Types.ObjectId },
+      ncNumber: { type: String, trim: true }
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'medium'
+    },
+    status: {
+      type: String,
+      enum: ['open', 'in-progress', 'closed', 'cancelled'],
+      default: 'open'
+    },
+    currentStep: {
+      type: String,
+      enum: EIGHT_D_STEPS,
+      default: 'D1'
+    },
+    completedSteps: [{
+      step: { type: String, enum: EIGHT_D_STEPS },
+      completedDate: { type: Date, default: Date.now },
+      completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    // D1 - Team
+    team: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: { type: String, required: true },
+      role: { type: String },
+      isChampion: { type: Boolean, default: false }
+    }],
+    // D2 - Problem description (is / is-not)
+    problemDescription: {
+      statement: { type: String, trim: true },
+      what: { type: String, trim: true },
+      where: { type: String, trim: true },
+      when: { type: String, trim: true },
+      howDetected: { type: String, trim: true },
+      quantityAffected: { type: Number, min: 0 }
+    },
+    // D3 - Containment
+    containmentActions: [containmentActionSchema],
+    // D4 - Root cause
+    rootCause: {
+      fiveWhys: [{
+        question: { type: String, trim: true },
+        answer: { type: String, trim: true }
+      }],
+      fishbone: [{
+        category: {
+          type: String,
+          enum: FISHBONE_CATEGORIES,
+          required: true
+        },
+        causes: [{ type: String, trim: true }]
+      }],
+      statement: { type: String, trim: true },
+      escapePoint: { type: String, trim: true }
+    },
+    // D5 / D7 - Corrective and preventive action items
+    actionItems: [actionItemSchema],
+    // D6 - Effectiveness verification
+    verification: {
+      method: { type: String, trim: true },
+      acceptanceCriteria: { type: String, trim: true },
+      result: {
+        type: String,
+        enum: ['pending', 'effective', 'not-effective'],
+        default: 'pending'
+      },
+      evidence: { type: String, trim: true },
+      verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      verifiedDate: { type: Date }
+    },
+    // D8 - Closure
+    closure: {
+      summary: { type: String, trim: true },
+      lessonsLearned: { type: String, trim: true },
+      teamRecognition: { type: String, trim: true },
+      closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      closedDate: { type: Date }
+    },
+    cancellationReason: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+capaSchema.index({ supplierId: 1, status: 1 });
+capaSchema.index({ 'source.ncNumber': 1 });
+capaSchema.index({ 'source.inspectionId': 1, 'source.defectId': 1 });
+
+// Virtual property for supplier
+capaSchema.virtual('supplier', {
+  ref: 'Supplier',
+  localField: 'supplierId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual property for overdue action items
+capaSchema.virtual('overdueActionItems').get(function() {
+  const now = new Date();
+  return (this.actionItems || []).filter(item =>
+    ACTIVE_ACTION_STATUSES.includes(item.status) && item.dueDate && item.dueDate < now
+  );
+});
+
+// Method to check whether effectiveness verification has passed
+capaSchema.methods.isVerified = function() {
+  return this.verification?.result === 'effective';
+};
+
+// Method to list what prevents a discipline from being completed
+capaSchema.methods.getStepBlockers = function(step = this.currentStep) {
+  const blockers = [];
+  const activeItems = (type) => this.actionItems.filter(item => item.type === type && item.status !== 'cancelled');
+
+  switch (step) {
+    case 'D1':
+      if (this.team.length === 0) {
+        blockers.push('At least one team member is required');
+      } else if (!this.team.some(member => member.isChampion)) {
+        blockers.push('A team champion must be assigned');
+      }
+      break;
+    case 'D2':
+      if (!this.problemDescription?.statement) {
+        blockers.push('A problem statement is required');
+      }
+      break;
+    case 'D3':
+      if (this.containmentActions.length === 0) {
+        blockers.push('At least one containment action is required');
+      } else if (this.containmentActions.some(action => ACTIVE_ACTION_STATUSES.includes(action.status))) {
+        blockers.push('All containment actions must be completed or cancelled');
+      }
+      break;
+    case 'D4':
+      if (!this.rootCause?.statement) {
+        blockers.push('A root cause statement is required');
+      }
+      if ((this.rootCause?.fiveWhys || []).length === 0 && (this.rootCause?.fishbone || []).length === 0) {
+        blockers.push('A 5-Why or fishbone analysis is required');
+      }
+      break;
+    case 'D5':
+      if (activeItems('corrective').length === 0) {
+        blockers.push('At least one corrective action item is required');
+      }
+      break;
+    case 'D6':
+      if (activeItems('corrective').some(item => item.status !== 'completed')) {
+        blockers.push('All corrective action items must be completed');
+      }
+      if (!this.isVerified()) {
+        blockers.push('Effectiveness verification has not passed');
+      }
+      break;
+    case 'D7':
+      if (activeItems('preventive').length === 0) {
+        blockers.push('At least one preventive action item is required');
+      } else if (activeItems('preventive').some(item => item.status !== 'completed')) {
+        blockers.push('All preventive action items must be completed');
+      }
+      break;
+    case 'D8':
+      if (!this.closure?.summary) {
+        blockers.push('A closure summary is required');
+      }
+      if (!this.isVerified()) {
+        blockers.push('Effectiveness verification has not passed');
+      }
+      break;
+    default:
+      blockers.push(`Unknown 8D step: ${step}`);
+  }
+
+  return blockers;
+};
+
+// Method to complete the current discipline and move to the next one
+capaSchema.methods.completeCurrentStep = function(userId) {
+  const blockers = this.getStepBlockers(this.currentStep);
+  if (blockers.length > 0) {
+    throw new Error(`Cannot complete ${this.currentStep}: ${blockers.join('; ')}`);
+  }
+
+  const now = new Date();
+  this.completedSteps.push({ step: this.currentStep, completedDate: now, completedBy: userId });
+
+  const nextIndex = EIGHT_D_STEPS.indexOf(this.currentStep) + 1;
+  if (nextIndex < EIGHT_D_STEPS.length) {
+    this.currentStep = EIGHT_D_STEPS[nextIndex];
+    this.status = 'in-progress';
+  } else {
+    this.status = 'closed';
+    this.closure.closedBy = userId;
+    this.closure.closedDate = now;
+  }
+
+  return this;
+};
+
+// Scope CAPAs to the current tenant, once every index is declared
+capaSchema.plugin(tenantPlugin);
+
+const Capa = mongoose.model('Capa', capaSchema);
+
+Capa.EIGHT_D_STEPS = EIGHT_D_STEPS;
+Capa.FISHBONE_CATEGORIES = FISHBONE_CATEGORIES;
+
+module.exports = Capa;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const RECORD_SOURCES = ['qualification', 'certification', 'qms-certification', 'quality-document'];
+
+/**
+ * Certification Expiry Notice Schema
+ * One row per expiry warning sent, so each warning threshold is only sent
+ * once per expiry date. Renewing a certificate (a new expiry date) starts
+ * its warnings over.
+ */
+const certificationExpiryNoticeSchema = new mongoose.Schema(
+  {
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+      index: true
+    },
+    source: {
+      type: String,
+      enum: RECORD_SOURCES,
+      required: true
+    },
+    recordId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    expiryDate: {
+      type: Date,
+      required: true
+    },
+    // Warning threshold in days before expiry; 0 is the lapse notice
+    threshold: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    daysRemaining: {
+      type: Number
+    },
+    statusChanged: {
+      type: Boolean,
+      default: false
+    },
+    emailsSent: {
+      type: Number,
+      default: 0
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+certificationExpiryNoticeSchema.index(
+  { source: 1, recordId: 1, expiryDate: 1, threshold: 1 },
+  { unique: true }
+);
+
+// Scope certification expiry notices to the current tenant, once every index is declared
+certificationExpiryNoticeSchema.plugin(tenantPlugin);
+
+const CertificationExpiryNotice = mongoose.model('CertificationExpiryNotice', certificationExpiryNoticeSchema);
+
+CertificationExpiryNotice.RECORD_SOURCES = RECORD_SOURCES;
+
+module.exports = CertificationExpiryNotice;
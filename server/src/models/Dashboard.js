@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+const dashboardConfig = require('../config/dashboard.config');
+
+const WIDGET_TYPES = ['kpi', 'timeSeries', 'pareto', 'heatmap'];
+const VISIBILITIES = ['private', 'organization'];
+const PERMISSIONS = ['view', 'edit'];
+
+/**
+ * Widget Schema
+ * A widget shows the result of a report query, either its own or the data
+ * source of a saved report template section, refreshed at its interval.
+ */
+const widgetSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Widget title is required'],
+      trim: true,
+      maxlength: [100, 'Widget title cannot exceed 100 characters']
+    },
+    type: {
+      type: String,
+      enum: WIDGET_TYPES,
+      required: true
+    },
+    dataSource: {
+      // Saved report template section
+      template: { type: mongoose.Schema.Types.ObjectId, ref: 'ReportTemplate' },
+      section: { type: mongoose.Schema.Types.ObjectId },
+      // Report query of the widget itself, used when no template is set
+      reportQuery: { type: mongoose.Schema.Types.Mixed }
+    },
+    // Seconds results are cached before the widget is refreshed
+    refreshInterval: {
+      type: Number,
+      default: dashboardConfig.refresh.defaultSeconds,
+      min: [dashboardConfig.refresh.minSeconds, `Refresh interval must be at least ${dashboardConfig.refresh.minSeconds} seconds`],
+      max: [dashboardConfig.refresh.maxSeconds, 'Refresh interval cannot exceed one day']
+    },
+    position: {
+      x: { type: Number, default: 0, min: 0 },
+      y: { type: Number, default: 0, min: 0 },
+      w: { type: Number, default: 4, min: 1 },
+      h: { type: Number, default: 4, min: 1 }
+    },
+    // Display options, such as a KPI target or unit
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true }
+  }
+);
+
+widgetSchema.pre('validate', function(next) {
+  const dataSource = this.dataSource || {};
+  if (dataSource.template && !dataSource.section) {
+    this.invalidate('dataSource.section', 'A template data source needs a section');
+  } else if (!dataSource.template && !dataSource.reportQuery) {
+    this.invalidate('dataSource', 'A widget needs a report template section or a report query');
+  }
+  next();
+});
+
+/**
+ * Share Link Schema
+ * Only a hash of the link token is stored; the token is shown once, when
+ * the link is created.
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    permission: {
+      type: String,
+      enum: PERMISSIONS,
+      default: 'view'
+    },
+    // Roles a user needs to open the link; any signed-in user if empty
+    roles: {
+      type: [String],
+      default: []
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: {
+      type: Date
+    },
+    lastUsedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Dashboard Schema
+ * A dashboard owned by a user, and optionally a team whose members can edit
+ * it, with widgets and their layout. Organization dashboards can be viewed
+ * by every user.
+ */
+const dashboardSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Dashboard name is required'],
+      trim: true,
+      maxlength: [100, 'Dashboard name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Dashboard description cannot exceed 500 characters']
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // Team whose members can edit the dashboard
+    team: {
+      type: String,
+      trim: true,
+      index: true
+    },
+    visibility: {
+      type: String,
+      enum: VISIBILITIES,
+      default: 'private'
+    },
+    sharedWith: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      permission: { type: String, enum: PERMISSIONS, default: 'view' }
+    }],
+    widgets: {
+      type: [widgetSchema],
+      validate: {
+        validator: widgets => widgets.length <= dashboardConfig.maxWidgets,
+        message: `A dashboard can have at most ${dashboardConfig.maxWidgets} widgets`
+      }
+    },
+    // Grid layouts of the client by breakpoint
+    layouts: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    isLocked: {
+      type: Boolean,
+      default: false
+    },
+    shareLinks: {
+      type: [shareLinkSchema],
+      select: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true }
+  }
+);
+
+dashboardSchema.index({ 'sharedWith.user': 1 });
+dashboardSchema.index({ 'shareLinks.tokenHash': 1 });
+
+// Scope dashboards to the current tenant, once every index is declared
+dashboardSchema.plugin(tenantPlugin);
+
+const Dashboard = mongoose.model('Dashboard', dashboardSchema);
+
+Dashboard.WIDGET_TYPES = WIDGET_TYPES;
+Dashboard.VISIBILITIES = VISIBILITIES;
+Dashboard.PERMISSIONS = PERMISSIONS;
+
+module.exports = Dashboard;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const CONFLICT_STATUSES = ['open', 'resolved'];
+const CONFLICT_RESOLUTIONS = ['erp', 'aerosuite'];
+
+/**
+ * ERP Sync Link Schema
+ * Pairs an AeroSuite record with its ERP record. The hash is taken from the
+ * shared fields at the last sync, so a side whose hash differs has changed
+ * since. A conflict waiting for a manual decision is kept on the link.
+ */
+const erpSyncLinkSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true
+    },
+    entityType: {
+      type: String,
+      required: true
+    },
+    localId: {
+      type: String,
+      required: true
+    },
+    erpId: {
+      type: String
+    },
+    erpKey: {
+      type: String
+    },
+    hash: {
+      type: String
+    },
+    lastSyncedAt: {
+      type: Date
+    },
+    lastRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErpSyncRun'
+    },
+    conflict: {
+      status: { type: String, enum: CONFLICT_STATUSES },
+      detectedAt: { type: Date },
+      runId: { type: mongoose.Schema.Types.ObjectId, ref: 'ErpSyncRun' },
+      local: { type: mongoose.Schema.Types.Mixed },
+      erp: { type: mongoose.Schema.Types.Mixed },
+      resolution: { type: String, enum: CONFLICT_RESOLUTIONS },
+      resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      resolvedAt: { type: Date }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+erpSyncLinkSchema.index({ provider: 1, entityType: 1, localId: 1 }, { unique: true });
+erpSyncLinkSchema.index({ provider: 1, entityType: 1, erpKey: 1 });
+erpSyncLinkSchema.index({ 'conflict.status': 1 });
+
+// Scope ERP sync links to the current tenant, once every index is declared
+erpSyncLinkSchema.plugin(tenantPlugin);
+
+const ErpSyncLink = mongoose.model('ErpSyncLink', erpSyncLinkSchema);
+
+ErpSyncLink.CONFLICT_STATUSES = CONFLICT_STATUSES;
+ErpSyncLink.CONFLICT_RESOLUTIONS = CONFLICT_RESOLUTIONS;
+
+module.exports = ErpSyncLink;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const SYNC_DIRECTIONS = ['to-erp', 'from-erp', 'bidirectional'];
+const RUN_STATUSES = ['running', 'succeeded', 'partial', 'failed'];
+const RUN_TRIGGERS = ['manual', 'scheduled', 'conflict-resolution'];
+const RECORD_ACTIONS = ['created', 'updated', 'linked', 'conflict', 'skipped', 'failed'];
+
+/**
+ * ERP Sync Run Schema
+ * Ledger entry for one sync attempt of an entity type with an ERP provider,
+ * with the watermark window it covered, counts and per-record outcomes.
+ */
+const erpSyncRunSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true
+    },
+    entityType: {
+      type: String,
+      required: true
+    },
+    direction: {
+      type: String,
+      enum: SYNC_DIRECTIONS,
+      required: true
+    },
+    trigger: {
+      type: String,
+      enum: RUN_TRIGGERS,
+      default: 'manual'
+    },
+    conflictPolicy: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: RUN_STATUSES,
+      default: 'running',
+      index: true
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    // Changes after watermarkFrom were examined; watermarkTo is set once the window is fully synced
+    watermarkFrom: {
+      type: Date
+    },
+    watermarkTo: {
+      type: Date
+    },
+    counts: {
+      examined: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      linked: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      conflicts: { type: Number, default: 0 },
+      queued: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 }
+    },
+    records: [{
+      _id: false,
+      key: { type: String },
+      localId: { type: String },
+      erpId: { type: String },
+      direction: { type: String, enum: ['to-erp', 'from-erp', null] },
+      action: { type: String, enum: RECORD_ACTIONS },
+      conflict: { type: Boolean, default: false },
+      message: { type: String, maxlength: 1000 }
+    }],
+    recordsTruncated: {
+      type: Boolean,
+      default: false
+    },
+    error: {
+      type: String
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+erpSyncRunSchema.index({ provider: 1, entityType: 1, startedAt: -1 });
+// One run of an entity type at a time
+erpSyncRunSchema.index(
+  { provider: 1, entityType: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+// Scope ERP sync runs to the current tenant, once every index is declared
+erpSyncRunSchema.plugin(tenantPlugin);
+
+const ErpSyncRun = mongoose.model('ErpSyncRun', erpSyncRunSchema);
+
+ErpSyncRun.SYNC_DIRECTIONS = SYNC_DIRECTIONS;
+ErpSyncRun.RUN_STATUSES = RUN_STATUSES;
+ErpSyncRun.RUN_TRIGGERS = RUN_TRIGGERS;
+
+module.exports = ErpSyncRun;
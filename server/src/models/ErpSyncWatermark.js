@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+/**
+ * ERP Sync Watermark Schema
+ * Point in time up to which an entity type is in sync with an ERP provider;
+ * the next incremental run only looks at records changed after it.
+ */
+const erpSyncWatermarkSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true
+    },
+    entityType: {
+      type: String,
+      required: true
+    },
+    watermark: {
+      type: Date,
+      required: true
+    },
+    lastRunId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ErpSyncRun'
+    },
+    lastSucceededAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+erpSyncWatermarkSchema.index({ provider: 1, entityType: 1 }, { unique: true });
+
+// Scope ERP sync watermarks to the current tenant, once every index is declared
+erpSyncWatermarkSchema.plugin(tenantPlugin);
+
+const ErpSyncWatermark = mongoose.model('ErpSyncWatermark', erpSyncWatermarkSchema);
+
+module.exports = ErpSyncWatermark;
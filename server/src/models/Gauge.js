@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+/**
+ * Gauge Schema
+ * Measuring equipment record with its calibration state and the summary of
+ * its latest measurement system analysis (Gauge R&R) study.
+ */
+const gaugeSchema = new mongoose.Schema(
+  {
+    // Asset tag recorded against inspection measurements
+    gaugeId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      trim: true
+    },
+    manufacturer: {
+      type: String,
+      trim: true
+    },
+    model: {
+      type: String,
+      trim: true
+    },
+    serialNumber: {
+      type: String,
+      trim: true
+    },
+    resolution: {
+      type: Number,
+      min: 0
+    },
+    unit: {
+      type: String,
+      trim: true
+    },
+    location: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'out-of-service', 'retired'],
+      default: 'active'
+    },
+    calibration: {
+      lastCalibratedAt: { type: Date },
+      intervalDays: { type: Number, min: 1, default: 365 },
+      dueDate: { type: Date },
+      certificateNumber: { type: String, trim: true },
+      certificateUrl: { type: String, trim: true },
+      calibratedBy: { type: String, trim: true }
+    },
+    latestStudy: {
+      studyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GaugeStudy'
+      },
+      method: { type: String },
+      studyDate: { type: Date },
+      percentGrr: { type: Number },
+      percentTolerance: { type: Number },
+      ndc: { type: Number },
+      acceptability: {
+        type: String,
+        enum: ['acceptable', 'marginal', 'unacceptable']
+      }
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+gaugeSchema.index({ status: 1, 'calibration.dueDate': 1 });
+
+// Keep the due date in step with the last calibration and interval
+gaugeSchema.pre('save', function(next) {
+  const calibration = this.calibration;
+  if (calibration?.lastCalibratedAt && (this.isModified('calibration.lastCalibratedAt') || this.isModified('calibration.intervalDays'))) {
+    const dueDate = new Date(calibration.lastCalibratedAt);
+    dueDate.setDate(dueDate.getDate() + (calibration.intervalDays || 365));
+    calibration.dueDate = dueDate;
+  }
+  next();
+});
+
+/**
+ * Whether the gauge's calibration has expired
+ * @param {Date} [now] Current date
+ * @returns {boolean} True if the calibration due date has passed
+ */
+gaugeSchema.methods.isCalibrationExpired = function(now = new Date()) {
+  return Boolean(this.calibration?.dueDate && this.calibration.dueDate < now);
+};
+
+// Scope gauges to the current tenant, once every index is declared
+gaugeSchema.plugin(tenantPlugin);
+
+const Gauge = mongoose.model('Gauge', gaugeSchema);
+
+module.exports = Gauge;
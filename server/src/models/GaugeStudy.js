@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const STUDY_METHODS = ['anova', 'average-range'];
+const ACCEPTABILITY = ['acceptable', 'marginal', 'unacceptable'];
+
+/**
+ * Gauge Study Schema
+ * A crossed Gauge R&R study (operators x parts x trials) run on a gauge
+ * for one characteristic, with its computed results.
+ */
+const gaugeStudySchema = new mongoose.Schema(
+  {
+    studyNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    gauge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Gauge',
+      required: true,
+      index: true
+    },
+    method: {
+      type: String,
+      enum: STUDY_METHODS,
+      default: 'anova'
+    },
+    // Characteristic the gauge was studied on; tolerance is the total width
+    characteristic: {
+      componentId: { type: String },
+      specificationId: { type: String },
+      name: { type: String, required: true, trim: true },
+      nominal: { type: Number },
+      lowerLimit: { type: Number },
+      upperLimit: { type: Number },
+      tolerance: { type: Number, min: 0 },
+      unit: { type: String, trim: true }
+    },
+    measurements: {
+      type: [{
+        operator: { type: String, required: true, trim: true },
+        part: { type: String, required: true, trim: true },
+        trial: { type: Number, min: 1 },
+        value: { type: Number, required: true },
+        _id: false
+      }],
+      validate: {
+        validator: measurements => measurements.length > 0,
+        message: 'A gauge study needs measurements'
+      }
+    },
+    results: {
+      operators: { type: Number },
+      parts: { type: Number },
+      trials: { type: Number },
+      ev: { type: Number },
+      av: { type: Number },
+      grr: { type: Number },
+      pv: { type: Number },
+      tv: { type: Number },
+      percentEv: { type: Number },
+      percentAv: { type: Number },
+      percentGrr: { type: Number },
+      percentPv: { type: Number },
+      percentTolerance: { type: Number },
+      ndc: { type: Number },
+      interactionPooled: { type: Boolean },
+      anovaTable: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+    },
+    acceptability: {
+      type: String,
+      enum: ACCEPTABILITY
+    },
+    studyDate: {
+      type: Date,
+      default: Date.now
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+gaugeStudySchema.index({ gauge: 1, studyDate: -1 });
+
+// Scope gauge studies to the current tenant, once every index is declared
+gaugeStudySchema.plugin(tenantPlugin);
+
+const GaugeStudy = mongoose.model('GaugeStudy', gaugeStudySchema);
+
+GaugeStudy.STUDY_METHODS = STUDY_METHODS;
+GaugeStudy.ACCEPTABILITY = ACCEPTABILITY;
+
+module.exports = GaugeStudy;
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const RECEIPT_SOURCES = ['api', 'erp'];
+const RECEIPT_STATUSES = ['inspection-pending', 'accepted', 'rejected', 'on-hold'];
+const DISPOSITION_DECISIONS = ['accept', 'reject', 'mrb'];
+const MRB_DISPOSITIONS = ['use-as-is', 'rework', 'repair', 'scrap', 'return-to-supplier'];
+const ERP_SYNC_STATUSES = ['pending', 'synced', 'failed', 'skipped'];
+
+/**
+ * Goods Receipt Schema
+ * Quantity of a purchase order line received from a supplier, and the
+ * receiving inspection that decides whether the lot is accepted, rejected
+ * or held for the Material Review Board (MRB). The disposition is pushed
+ * back to the ERP as a quality inspection.
+ */
+const goodsReceiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    source: {
+      type: String,
+      enum: RECEIPT_SOURCES,
+      default: 'api'
+    },
+    // provider:order:line:cumulative received, so a pulled receipt is only recorded once
+    erpReference: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    purchaseOrderNumber: {
+      type: String,
+      required: true,
+      trim: true,
+      index: true
+    },
+    lineNumber: {
+      type: String,
+      trim: true
+    },
+    itemCode: {
+      type: String,
+      trim: true
+    },
+    erpSupplierCode: {
+      type: String,
+      trim: true
+    },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true,
+      index: true
+    },
+    componentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Component',
+      required: true,
+      index: true
+    },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true
+    },
+    quantityReceived: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity received must be at least 1']
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lotNumber: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    notes: {
+      type: String,
+      maxlength: 1000
+    },
+    inspectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inspection',
+      index: true
+    },
+    status: {
+      type: String,
+      enum: RECEIPT_STATUSES,
+      default: 'inspection-pending',
+      index: true
+    },
+    disposition: {
+      decision: { type: String, enum: DISPOSITION_DECISIONS },
+      nonconforming: { type: Number, min: 0 },
+      decidedAt: { type: Date },
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, maxlength: 1000 },
+      mrbDisposition: { type: String, enum: MRB_DISPOSITIONS }
+    },
+    erpSync: {
+      status: { type: String, enum: ERP_SYNC_STATUSES },
+      provider: { type: String },
+      erpInspectionId: { type: String },
+      attempts: { type: Number, default: 0 },
+      lastAttemptAt: { type: Date },
+      lastError: { type: String },
+      syncedAt: { type: Date }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+goodsReceiptSchema.index({ purchaseOrderNumber: 1, lineNumber: 1, receivedAt: -1 });
+
+// Generate receipt number
+goodsReceiptSchema.pre('validate', async function(next) {
+  if (!this.receiptNumber) {
+    const now = new Date();
+    const currentYear = now.getFullYear().toString().substr(-2);
+    const currentMonth = (now.getMonth() + 1).toString().padStart(2, '0');
+
+    const count = await mongoose.model('GoodsReceipt').countDocuments({
+      createdAt: {
+        $gte: new Date(now.getFullYear(), now.getMonth(), 1),
+        $lt: new Date(now.getFullYear(), now.getMonth() + 1, 1)
+      }
+    });
+
+    // Format: GR-YY-MM-XXXX (where XXXX is sequential number)
+    this.receiptNumber = `GR-${currentYear}-${currentMonth}-${(count + 1).toString().padStart(4, '0')}`;
+  }
+
+  next();
+});
+
+// Scope goods receipts to the current tenant, once every index is declared
+goodsReceiptSchema.plugin(tenantPlugin);
+
+const GoodsReceipt = mongoose.model('GoodsReceipt', goodsReceiptSchema);
+
+GoodsReceipt.RECEIPT_SOURCES = RECEIPT_SOURCES;
+GoodsReceipt.RECEIPT_STATUSES = RECEIPT_STATUSES;
+GoodsReceipt.DISPOSITION_DECISIONS = DISPOSITION_DECISIONS;
+GoodsReceipt.MRB_DISPOSITIONS = MRB_DISPOSITIONS;
+GoodsReceipt.ERP_SYNC_STATUSES = ERP_SYNC_STATUSES;
+
+module.exports = GoodsReceipt;
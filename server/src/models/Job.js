@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const JOB_TYPES = ['recurring', 'once'];
+const JOB_STATUSES = ['scheduled', 'running', 'completed', 'failed', 'cancelled'];
+const JOB_TRIGGERS = ['scheduled', 'manual', 'retry'];
+
+/**
+ * Job Schema
+ * A background job run by the job scheduler, on a cron expression or once
+ * at a given time. The instance running a job holds its lock, which lapses
+ * unless renewed, so only one instance runs a job at a time.
+ */
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    // Registered job definition that runs it
+    handler: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String
+    },
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      default: 'recurring'
+    },
+    cron: {
+      type: String
+    },
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'scheduled'
+    },
+    paused: {
+      type: Boolean,
+      default: false
+    },
+    nextRunAt: {
+      type: Date
+    },
+    // Why the next run starts
+    trigger: {
+      type: String,
+      enum: JOB_TRIGGERS,
+      default: 'scheduled'
+    },
+    // Failed attempts at the current run
+    attempt: {
+      type: Number,
+      default: 0
+    },
+    // Time the current run was due, kept across its retries
+    scheduledFor: {
+      type: Date
+    },
+    maxAttempts: {
+      type: Number
+    },
+    timeoutMinutes: {
+      type: Number
+    },
+    lock: {
+      owner: { type: String },
+      expiresAt: { type: Date }
+    },
+    cancelRequested: {
+      type: Boolean,
+      default: false
+    },
+    lastRunAt: {
+      type: Date
+    },
+    lastRunStatus: {
+      type: String
+    },
+    lastError: {
+      type: String
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+jobSchema.index({ status: 1, nextRunAt: 1 });
+jobSchema.index({ status: 1, 'lock.expiresAt': 1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+Job.JOB_TYPES = JOB_TYPES;
+Job.JOB_STATUSES = JOB_STATUSES;
+Job.JOB_TRIGGERS = JOB_TRIGGERS;
+
+module.exports = Job;
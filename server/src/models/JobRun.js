@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const jobSchedulerConfig = require('../config/jobScheduler.config');
+
+const RUN_STATUSES = ['running', 'succeeded', 'failed', 'timed-out', 'cancelled'];
+
+/**
+ * Job Run Schema
+ * History entry for one attempt at running a background job, kept for the
+ * job scheduler's history retention period
+ */
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true
+    },
+    jobName: {
+      type: String,
+      required: true
+    },
+    trigger: {
+      type: String,
+      default: 'scheduled'
+    },
+    attempt: {
+      type: Number,
+      default: 1
+    },
+    status: {
+      type: String,
+      enum: RUN_STATUSES,
+      default: 'running'
+    },
+    // Instance that ran the job
+    owner: {
+      type: String
+    },
+    scheduledFor: {
+      type: Date
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    durationMs: {
+      type: Number
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    error: {
+      type: String
+    },
+    // Time the failed attempt is retried
+    retryAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: jobSchedulerConfig.historyRetentionDays * 24 * 60 * 60 }
+);
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+JobRun.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = JobRun;
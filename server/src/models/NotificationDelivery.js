@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+const notificationConfig = require('../config/notification.config');
+
+const DELIVERY_STATUSES = ['queued', 'digest', 'sent', 'failed'];
+
+/**
+ * Notification Delivery Schema
+ * A notification on one email, SMS or webhook channel. Queued deliveries
+ * are sent once deliverAfter passes, after quiet hours or a failed attempt;
+ * digest deliveries wait for the user's next digest.
+ */
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'NotificationSubscription'
+    },
+    channel: {
+      type: String,
+      enum: notificationConfig.channels.filter(channel => channel !== 'inApp'),
+      required: true
+    },
+    priority: {
+      type: String,
+      default: 'normal'
+    },
+    event: {
+      type: { type: String, required: true },
+      payload: { type: mongoose.Schema.Types.Mixed },
+      timestamp: { type: Date }
+    },
+    title: {
+      type: String,
+      required: true
+    },
+    message: {
+      type: String
+    },
+    link: {
+      type: String
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'queued'
+    },
+    deliverAfter: {
+      type: Date
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    sentAt: {
+      type: Date
+    },
+    error: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationDeliverySchema.index({ status: 1, deliverAfter: 1 });
+notificationDeliverySchema.index({ user: 1, status: 1, channel: 1 });
+
+// Scope notification deliveries to the current tenant, once every index is declared
+notificationDeliverySchema.plugin(tenantPlugin);
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+NotificationDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = NotificationDelivery;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+const cronExpression = require('../utils/cronExpression');
+const notificationConfig = require('../config/notification.config');
+
+const DIGEST_FREQUENCIES = ['none', 'daily', 'weekly'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Notification Preference Schema
+ * A user's notification channels and contact details, quiet hours and
+ * digest
+ */
+const notificationPreferenceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Email must be an email address']
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    webhookUrl: {
+      type: String,
+      trim: true,
+      match: [/^https:\/\//, 'Webhook URL must use https']
+    },
+    channels: {
+      type: [{ type: String, enum: notificationConfig.channels }],
+      default: notificationConfig.defaultChannels
+    },
+    // Channels by event type, replacing the default channels for that event
+    eventChannels: {
+      type: Map,
+      of: [{ type: String, enum: notificationConfig.channels }],
+      default: {}
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: cronExpression.isValidTimezone,
+        message: props => `"${props.value}" is not a valid timezone`
+      }
+    },
+    // Email, SMS and webhook notifications are held until quiet hours end
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, match: [TIME_OF_DAY, 'Quiet hours start must be HH:mm'], default: '22:00' },
+      end: { type: String, match: [TIME_OF_DAY, 'Quiet hours end must be HH:mm'], default: '07:00' }
+    },
+    // Email, SMS and webhook notifications are collected and sent together
+    digest: {
+      frequency: { type: String, enum: DIGEST_FREQUENCIES, default: 'none' },
+      hour: { type: Number, min: 0, max: 23, default: notificationConfig.digest.defaultHour },
+      dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }
+    },
+    nextDigestAt: {
+      type: Date,
+      index: true
+    },
+    lastDigestAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Get the channels the user receives an event on
+ * @param {string} eventType Event type
+ * @returns {string[]} Channels
+ */
+notificationPreferenceSchema.methods.channelsFor = function(eventType) {
+  const override = this.eventChannels && this.eventChannels.get(eventType);
+  return override || this.channels;
+};
+
+// Scope notification preferences to the current tenant, once every index is declared
+notificationPreferenceSchema.plugin(tenantPlugin);
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+NotificationPreference.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+module.exports = NotificationPreference;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+const NOTIFICATION_EVENTS = require('../services/notificationEvents');
+
+const CONDITION_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'];
+const PRIORITIES = ['normal', 'high', 'critical'];
+
+/**
+ * Notification Subscription Schema
+ * Notifies users, and users with any of the roles, of domain events whose
+ * payload matches every condition. Each user's preferences decide the
+ * channels. Critical notifications skip quiet hours and digests.
+ */
+const notificationSubscriptionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Subscription name is required'],
+      trim: true,
+      maxlength: [100, 'Subscription name cannot exceed 100 characters']
+    },
+    event: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_EVENTS),
+      required: true,
+      index: true
+    },
+    conditions: [{
+      _id: false,
+      field: { type: String, required: true },
+      op: { type: String, enum: CONDITION_OPERATORS, default: 'eq' },
+      value: { type: mongoose.Schema.Types.Mixed }
+    }],
+    scope: {
+      users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      roles: [{ type: String, trim: true }]
+    },
+    priority: {
+      type: String,
+      enum: PRIORITIES,
+      default: 'normal'
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+notificationSubscriptionSchema.pre('validate', function(next) {
+  if (this.scope.users.length === 0 && this.scope.roles.length === 0) {
+    this.invalidate('scope', 'A subscription needs at least one user or role');
+  }
+  const fields = NOTIFICATION_EVENTS[this.event] ? NOTIFICATION_EVENTS[this.event].fields : [];
+  this.conditions.forEach((condition, index) => {
+    if (!fields.includes(condition.field)) {
+      this.invalidate(`conditions.${index}.field`, `${this.event} events cannot be filtered on ${condition.field}`);
+    }
+  });
+  next();
+});
+
+// Scope notification subscriptions to the current tenant, once every index is declared
+notificationSubscriptionSchema.plugin(tenantPlugin);
+
+const NotificationSubscription = mongoose.model('NotificationSubscription', notificationSubscriptionSchema);
+
+NotificationSubscription.CONDITION_OPERATORS = CONDITION_OPERATORS;
+NotificationSubscription.PRIORITIES = PRIORITIES;
+
+module.exports = NotificationSubscription;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
 
 /**
  * Quality Management System (QMS) Schema
@@ -121,7 +122,17 @@ const qualityManagementSchema = new mongoose.Schema(
       },
       reportedDate: { type: Date, default: Date.now },
       reportedBy: { type: String },
+      source: {
+        type: String,
+        enum: ['manual', 'spc', 'audit'],
+        default: 'manual'
+      },
+      sourceReference: { type: String },
       closedDate: { type: Date },
+      capaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Capa'
+      },
       correctiveAction: { type: String },
       preventiveAction: { type: String },
       verification: {
@@ -241,6 +252,12 @@ qualityManagementSchema.pre('save', function(next) {
   next();
 });
 
+// Re-score the supplier's current risk assessment from the saved quality data
+qualityManagementSchema.post('save', function(doc) {
+  // Required lazily: the risk assessment service reads this model
+  require('../services/riskAssessment.service').scheduleRescore(doc.supplierId, 'quality-management');
+});
+
 // Method to update metrics
 qualityManagementSchema.methods.updateMetric = async function(metricName, value) {
   if (!this.qualityMetrics[metricName]) {
@@ -304,6 +321,9 @@ qualityManagementSchema.methods.getComplianceScore = function() {
   return score;
 };
 
+// Scope quality management records to the current tenant, once every index is declared
+qualityManagementSchema.plugin(tenantPlugin);
+
 const QualityManagement = mongoose.model('QualityManagement', qualityManagementSchema);
 
 module.exports = QualityManagement; 
\ No newline at end of file
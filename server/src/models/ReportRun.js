@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const RUN_STATUSES = ['running', 'succeeded', 'failed'];
+const RUN_TRIGGERS = ['scheduled', 'manual', 'retry'];
+
+/**
+ * Report Run Schema
+ * History entry for one attempt at generating and delivering a scheduled
+ * report. A failed attempt with a retryAt is retried over the same period.
+ */
+const reportRunSchema = new mongoose.Schema(
+  {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportSchedule',
+      required: true
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportTemplate'
+    },
+    trigger: {
+      type: String,
+      enum: RUN_TRIGGERS,
+      default: 'scheduled'
+    },
+    attempt: {
+      type: Number,
+      default: 1
+    },
+    // The attempt this one retries
+    retryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportRun'
+    },
+    status: {
+      type: String,
+      enum: RUN_STATUSES,
+      default: 'running',
+      index: true
+    },
+    // Time the run was due, which the date range is relative to
+    scheduledFor: {
+      type: Date
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now
+    },
+    finishedAt: {
+      type: Date
+    },
+    period: {
+      preset: { type: String },
+      from: { type: Date },
+      to: { type: Date }
+    },
+    format: {
+      type: String
+    },
+    delivery: {
+      method: { type: String },
+      recipients: [String],
+      documentId: { type: String },
+      deliveredAt: { type: Date }
+    },
+    // Generated file, removed once the run is over
+    filePath: {
+      type: String
+    },
+    error: {
+      type: String
+    },
+    retryAt: {
+      type: Date
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reportRunSchema.index({ schedule: 1, startedAt: -1 });
+reportRunSchema.index({ status: 1, retryAt: 1 });
+
+// Scope report runs to the current tenant, once every index is declared
+reportRunSchema.plugin(tenantPlugin);
+
+const ReportRun = mongoose.model('ReportRun', reportRunSchema);
+
+ReportRun.RUN_STATUSES = RUN_STATUSES;
+ReportRun.RUN_TRIGGERS = RUN_TRIGGERS;
+
+module.exports = ReportRun;
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+const cronExpression = require('../utils/cronExpression');
+
+const DATE_RANGE_PRESETS = [
+  'today',
+  'yesterday',
+  'last-7-days',
+  'last-30-days',
+  'this-week',
+  'last-week',
+  'this-month',
+  'last-month',
+  'this-quarter',
+  'last-quarter',
+  'this-year',
+  'last-year'
+];
+const REPORT_FORMATS = ['pdf', 'excel'];
+const DELIVERY_METHODS = ['email', 'document'];
+
+/**
+ * Report Schedule Schema
+ * Runs a report template on a cron expression over a date range relative to
+ * each run, such as "last month", and delivers the generated file to its
+ * recipients by email or stores it as a document.
+ */
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Schedule name is required'],
+      trim: true,
+      maxlength: [100, 'Schedule name cannot exceed 100 characters']
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReportTemplate',
+      required: true,
+      index: true
+    },
+    cron: {
+      type: String,
+      required: [true, 'Cron expression is required'],
+      trim: true,
+      validate: {
+        validator: cronExpression.isValid,
+        message: props => `"${props.value}" is not a valid cron expression`
+      }
+    },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: {
+        validator: cronExpression.isValidTimezone,
+        message: props => `"${props.value}" is not a valid timezone`
+      }
+    },
+    // Applied to the date field of every section's data source
+    dateRange: {
+      preset: { type: String, enum: DATE_RANGE_PRESETS },
+      field: { type: String, default: 'createdAt' }
+    },
+    filters: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    format: {
+      type: String,
+      enum: REPORT_FORMATS,
+      default: 'pdf'
+    },
+    delivery: {
+      method: { type: String, enum: DELIVERY_METHODS, default: 'email' },
+      recipients: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Recipient must be an email address']
+      }],
+      // Roles allowed to open a stored report document
+      allowedRoles: {
+        type: [String],
+        default: ['admin']
+      }
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    nextRunAt: {
+      type: Date
+    },
+    lastRunAt: {
+      type: Date
+    },
+    lastRunStatus: {
+      type: String
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Roles of the creator, which decide the fields the report can read
+    roles: {
+      type: [String],
+      default: []
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reportScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+reportScheduleSchema.pre('validate', function(next) {
+  if (this.delivery && this.delivery.method === 'email' && this.delivery.recipients.length === 0) {
+    this.invalidate('delivery.recipients', 'Email delivery needs at least one recipient');
+  }
+  next();
+});
+
+// Scope report schedules to the current tenant, once every index is declared
+reportScheduleSchema.plugin(tenantPlugin);
+
+const ReportSchedule = mongoose.model('ReportSchedule', reportScheduleSchema);
+
+ReportSchedule.DATE_RANGE_PRESETS = DATE_RANGE_PRESETS;
+ReportSchedule.REPORT_FORMATS = REPORT_FORMATS;
+ReportSchedule.DELIVERY_METHODS = DELIVERY_METHODS;
+
+module.exports = ReportSchedule;
@@ -58,6 +58,11 @@ const ReportTemplateSchema = new Schema(
           type: String
         },
         dataSource: {
+          // Report query: entity, fields, filter, groupBy, aggregates, sort, limit
+          reportQuery: {
+            type: Schema.Types.Mixed
+          },
+          // Raw Mongo query of older templates, converted to a report query when run
           model: {
             type: String,
             enum: ['Inspection', 'Supplier', 'Customer', 'User', 'Component']
@@ -1,9 +1,38 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+/**
+ * Data-driven scoring functions a risk factor can be bound to;
+ * 'manual' factors keep the score entered by the assessor
+ */
+const SCORING_METHODS = [
+  'manual',
+  'qms-defect-rate',
+  'on-time-delivery',
+  'regulatory-compliance',
+  'correction-response-time'
+];
 
 /**
  * Risk Assessment Schema
  * Stores supplier risk assessment data
  */
+const riskInputSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  recordId: { type: String },
+  field: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  value: { type: mongoose.Schema.Types.Mixed },
+  observedAt: { type: Date }
+}, { _id: false });
+
 const riskFactorSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -33,9 +62,54 @@ const riskFactorSchema = new mongoose.Schema({
     required: true,
     enum: ['operational', 'financial', 'compliance', 'geographic', 'strategic'],
     default: 'operational'
+  },
+  scoringMethod: {
+    type: String,
+    enum: SCORING_METHODS,
+    default: 'manual'
+  },
+  // Provenance of a data-driven score: the values it was computed from
+  inputs: [riskInputSchema],
+  scoringNote: {
+    type: String,
+    trim: true
+  },
+  scoredAt: {
+    type: Date
   }
 });
 
+const scoreChangeSchema = new mongoose.Schema({
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  trigger: {
+    type: String,
+    enum: ['created', 'manual', 'rescore', 'quality-management', 'supplier'],
+    required: true
+  },
+  changedBy: {
+    type: String,
+    trim: true
+  },
+  overallScore: {
+    from: { type: Number },
+    to: { type: Number }
+  },
+  riskLevel: {
+    from: { type: String },
+    to: { type: String }
+  },
+  changes: [{
+    factor: { type: String, required: true },
+    scoringMethod: { type: String },
+    from: { type: Number },
+    to: { type: Number },
+    inputs: [riskInputSchema]
+  }]
+}, { _id: false });
+
 const riskAssessmentSchema = new mongoose.Schema(
   {
     supplierId: {
@@ -79,7 +153,8 @@ const riskAssessmentSchema = new mongoose.Schema(
       type: String,
       enum: ['draft', 'completed', 'reviewed', 'archived'],
       default: 'completed'
-    }
+    },
+    scoreHistory: [scoreChangeSchema]
   },
   {
     timestamps: true,
@@ -96,37 +171,61 @@ riskAssessmentSchema.virtual('supplier', {
   justOne: true
 });
 
+/**
+ * Calculate the overall score and risk level from factor weights and scores
+ * @param {Array} factors Risk factors
+ * @returns {Object|null} Overall score and risk level, or null without factors
+ */
+const calculateOverallScore = (factors) => {
+  if (!factors || factors.length === 0) {
+    return null;
+  }
+
+  let totalWeight = 0;
+  let weightedScore = 0;
+  
+  factors.forEach(factor => {
+    totalWeight += factor.weight;
+    weightedScore += factor.weight * factor.score;
+  });
+  
+  // Normalize weights if they don't sum to 1
+  if (totalWeight > 0 && totalWeight !== 1) {
+    weightedScore = weightedScore / totalWeight;
+  }
+  
+  const overallScore = parseFloat(weightedScore.toFixed(2));
+  
+  // Determine risk level based on score
+  let riskLevel;
+  if (overallScore >= 4) {
+    riskLevel = 'low';
+  } else if (overallScore >= 2.5) {
+    riskLevel = 'medium';
+  } else {
+    riskLevel = 'high';
+  }
+
+  return { overallScore, riskLevel };
+};
+
 // Calculate overall score based on factor weights and scores
 riskAssessmentSchema.pre('save', function(next) {
-  if (this.factors && this.factors.length > 0) {
-    let totalWeight = 0;
-    let weightedScore = 0;
-    
-    this.factors.forEach(factor => {
-      totalWeight += factor.weight;
-      weightedScore += factor.weight * factor.score;
-    });
-    
-    // Normalize weights if they don't sum to 1
-    if (totalWeight > 0 && totalWeight !== 1) {
-      weightedScore = weightedScore / totalWeight;
-    }
-    
-    this.overallScore = parseFloat(weightedScore.toFixed(2));
-    
-    // Determine risk level based on score
-    if (this.overallScore >= 4) {
-      this.riskLevel = 'low';
-    } else if (this.overallScore >= 2.5) {
-      this.riskLevel = 'medium';
-    } else {
-      this.riskLevel = 'high';
-    }
+  const result = calculateOverallScore(this.factors);
+  if (result) {
+    this.overallScore = result.overallScore;
+    this.riskLevel = result.riskLevel;
   }
   
   next();
 });
 
+// Scope risk assessments to the current tenant, once every index is declared
+riskAssessmentSchema.plugin(tenantPlugin);
+
 const RiskAssessment = mongoose.model('RiskAssessment', riskAssessmentSchema);
 
-module.exports = RiskAssessment; 
\ No newline at end of file
+RiskAssessment.SCORING_METHODS = SCORING_METHODS;
+RiskAssessment.calculateOverallScore = calculateOverallScore;
+
+module.exports = RiskAssessment;
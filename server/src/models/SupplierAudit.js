@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
 
 /**
  * Supplier Audit Schema
@@ -58,7 +59,9 @@ const checklistItemSchema = new mongoose.Schema({
     },
     description: { type: String },
     correctiveAction: { type: String },
-    dueDate: { type: Date }
+    dueDate: { type: Date },
+    // QMS non-conformance raised for this finding
+    ncNumber: { type: String, trim: true }
   }]
 });
 
@@ -120,6 +123,31 @@ const supplierAuditSchema = new mongoose.Schema(
       default: 'pending'
     },
     checklist: [checklistItemSchema],
+    checklistTemplate: {
+      name: { type: String, trim: true },
+      version: { type: Number, min: 1 }
+    },
+    // Set when the audit was generated by the audit program planner
+    program: {
+      year: { type: Number },
+      riskLevel: { type: String },
+      intervalMonths: { type: Number, min: 1 },
+      plannedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    },
+    leadAuditorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    overdue: {
+      notifiedAt: { type: Date },
+      calendarEventId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarEvent'
+      }
+    },
     overallScore: {
       type: Number,
       min: 0,
@@ -160,6 +188,9 @@ const supplierAuditSchema = new mongoose.Schema(
   }
 );
 
+supplierAuditSchema.index({ supplierId: 1, auditDate: -1 });
+supplierAuditSchema.index({ status: 1, scheduledDate: 1 });
+
 // Virtual property for supplier
 supplierAuditSchema.virtual('supplier', {
   ref: 'Supplier',
@@ -237,6 +268,9 @@ supplierAuditSchema.pre('save', function(next) {
   next();
 });
 
+// Scope supplier audits to the current tenant, once every index is declared
+supplierAuditSchema.plugin(tenantPlugin);
+
 const SupplierAudit = mongoose.model('SupplierAudit', supplierAuditSchema);
 
 module.exports = SupplierAudit; 
\ No newline at end of file
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const SCORE_CATEGORIES = ['delivery', 'quality', 'responsiveness', 'audit'];
+
+const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+const categoryScoreFields = SCORE_CATEGORIES.reduce((fields, category) => {
+  fields[category] = { type: Number, min: 0, max: 100 };
+  return fields;
+}, {});
+
+const categoryWeightFields = SCORE_CATEGORIES.reduce((fields, category) => {
+  fields[category] = { type: Number, min: 0, max: 1 };
+  return fields;
+}, {});
+
+/**
+ * Supplier Scorecard Schema
+ * Monthly snapshot of supplier KPIs derived from inspections, non-conformances,
+ * CAPAs, audits and ERP purchase orders, combined into a weighted, graded score
+ */
+const supplierScorecardSchema = new mongoose.Schema(
+  {
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: true
+    },
+    period: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be in YYYY-MM format']
+    },
+    periodStart: {
+      type: Date,
+      required: true
+    },
+    periodEnd: {
+      type: Date,
+      required: true
+    },
+    kpis: {
+      delivery: {
+        purchaseOrders: { type: Number, min: 0, default: 0 },
+        onTime: { type: Number, min: 0, default: 0 },
+        late: { type: Number, min: 0, default: 0 },
+        onTimeDeliveryRate: { type: Number, min: 0, max: 100 },
+        source: { type: String, enum: ['erp', 'unavailable'], default: 'erp' }
+      },
+      quality: {
+        inspections: { type: Number, min: 0, default: 0 },
+        unitsInspected: { type: Number, min: 0, default: 0 },
+        defectiveUnits: { type: Number, min: 0, default: 0 },
+        ppm: { type: Number, min: 0 }
+      },
+      nonConformances: {
+        critical: { type: Number, min: 0, default: 0 },
+        major: { type: Number, min: 0, default: 0 },
+        minor: { type: Number, min: 0, default: 0 },
+        observation: { type: Number, min: 0, default: 0 },
+        total: { type: Number, min: 0, default: 0 }
+      },
+      responsiveness: {
+        capasClosed: { type: Number, min: 0, default: 0 },
+        averageClosureDays: { type: Number, min: 0 },
+        overdueCapas: { type: Number, min: 0, default: 0 }
+      },
+      audit: {
+        auditId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'SupplierAudit'
+        },
+        auditDate: { type: Date },
+        score: { type: Number, min: 0, max: 100 }
+      }
+    },
+    scores: categoryScoreFields,
+    weights: categoryWeightFields,
+    overallScore: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    grade: {
+      type: String,
+      enum: GRADES
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    generatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+supplierScorecardSchema.index({ supplierId: 1, period: 1 }, { unique: true });
+
+// Virtual property for supplier
+supplierScorecardSchema.virtual('supplier', {
+  ref: 'Supplier',
+  localField: 'supplierId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Scope supplier scorecards to the current tenant, once every index is declared
+supplierScorecardSchema.plugin(tenantPlugin);
+
+const SupplierScorecard = mongoose.model('SupplierScorecard', supplierScorecardSchema);
+
+SupplierScorecard.SCORE_CATEGORIES = SCORE_CATEGORIES;
+SupplierScorecard.GRADES = GRADES;
+
+module.exports = SupplierScorecard;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+const webhookConfig = require('../config/webhook.config');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'retrying', 'succeeded', 'dead'];
+
+/**
+ * Webhook Delivery Schema
+ * One event sent to one endpoint, with every attempt made. Failed
+ * deliveries are retried with exponential backoff until the attempts run
+ * out, then dead-lettered until redelivered by hand. A delivery being sent
+ * is claimed until its nextAttemptAt, so only one worker sends it at a
+ * time. Deliveries are kept in the endpoint's delivery log for the
+ * configured retention.
+ */
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true
+    },
+    // Same for every delivery of one event, so receivers can ignore duplicates
+    eventId: {
+      type: String,
+      required: true
+    },
+    eventType: {
+      type: String,
+      required: true
+    },
+    // Body sent to the endpoint
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending'
+    },
+    attemptCount: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date
+    },
+    attempts: [{
+      _id: false,
+      attemptedAt: { type: Date, required: true },
+      statusCode: { type: Number },
+      durationMs: { type: Number },
+      responseBody: { type: String },
+      error: { type: String }
+    }],
+    deliveredAt: {
+      type: Date
+    },
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery'
+    },
+    redeliveredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: webhookConfig.logRetentionDays * 24 * 60 * 60 }
+);
+
+// Scope webhook deliveries to the current tenant, once every index is declared
+webhookDeliverySchema.plugin(tenantPlugin);
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+WebhookDelivery.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
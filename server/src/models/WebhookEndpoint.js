@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+/**
+ * Webhook Endpoint Schema
+ * A URL an API client registers to receive domain events of the listed
+ * types, or of every type with '*'. Payloads are signed with the
+ * endpoint's secret.
+ */
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'Endpoint URL is required'],
+      trim: true,
+      match: [/^https:\/\/\S+$/, 'Endpoint URL must use https']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    events: {
+      type: [String],
+      validate: {
+        validator: events => events.length > 0,
+        message: 'An endpoint needs at least one event type'
+      },
+      index: true
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false
+    },
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    // API key the endpoint was registered with, if any
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    lastDeliveryAt: {
+      type: Date
+    },
+    lastSuccessAt: {
+      type: Date
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Scope webhook endpoints to the current tenant, once every index is declared
+webhookEndpointSchema.plugin(tenantPlugin);
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
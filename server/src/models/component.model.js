@@ -1,4 +1,52 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+// Subdocuments mirrored by domain entities keep the entities' string IDs
+const stringId = { type: String, default: () => new mongoose.Types.ObjectId().toString() };
+
+const specificationSchema = new mongoose.Schema({
+  _id: stringId,
+  name: { type: String, required: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+  unit: { type: String },
+  // Symmetric tolerance; older records hold it as text such as '±0.05'
+  tolerance: { type: mongoose.Schema.Types.Mixed },
+  minValue: { type: Number },
+  maxValue: { type: Number },
+  description: { type: String },
+  category: { type: String },
+  isRequired: { type: Boolean, default: false },
+  criticality: { 
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
+
+const revisionSchema = new mongoose.Schema({
+  _id: stringId,
+  version: { type: String, required: true },
+  description: { type: String },
+  changes: [mongoose.Schema.Types.Mixed],
+  author: { type: String },
+  status: {
+    type: String,
+    enum: ['draft', 'review', 'approved', 'obsolete'],
+    default: 'draft'
+  },
+  approvedBy: { type: String },
+  approvedAt: { type: Date },
+  effectiveDate: { type: Date },
+  documents: [mongoose.Schema.Types.Mixed],
+  // Specification set the revision releases
+  specifications: [specificationSchema],
+  // Change impact analysis recorded on review and approval
+  impactAnalysis: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date },
+  updatedAt: { type: Date }
+});
 
 const componentSchema = new mongoose.Schema(
   {
@@ -40,16 +88,21 @@ const componentSchema = new mongoose.Schema(
       enum: ['active', 'inactive', 'obsolete', 'in-development'],
       default: 'active'
     },
-    specs: [{
-      name: { type: String, required: true },
-      value: { type: String },
-      unit: { type: String },
-      tolerance: { type: String },
-      criticality: { 
+    specs: [specificationSchema],
+    revisions: [revisionSchema],
+    relatedComponents: [{
+      _id: false,
+      componentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Component',
+        required: true
+      },
+      relationType: {
         type: String,
-        enum: ['low', 'medium', 'high', 'critical'],
-        default: 'medium'
-      }
+        enum: ['parent', 'child', 'sibling', 'assembly', 'part'],
+        required: true
+      },
+      addedAt: { type: Date, default: Date.now }
     }],
     documents: [{
       name: { type: String },
@@ -179,6 +232,9 @@ componentSchema.methods.getQualityMetrics = async function() {
   };
 };
 
+// Scope components to the current tenant, once every index is declared
+componentSchema.plugin(tenantPlugin);
+
 const Component = mongoose.model('Component', componentSchema);
 
 module.exports = Component; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const createEncryptionPlugin = require('../utils/mongoose-encryption-plugin');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
 
 const customerSchema = new mongoose.Schema(
   {
@@ -149,6 +150,9 @@ customerSchema.methods.getMetrics = async function() {
   };
 };
 
+// Scope customers to the current tenant, once every index is declared
+customerSchema.plugin(tenantPlugin);
+
 const Customer = mongoose.model('Customer', customerSchema);
 
 module.exports = Customer; 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
 
 const inspectionSchema = new mongoose.Schema(
   {
@@ -113,7 +114,17 @@ const inspectionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['scheduled', 'in-progress', 'completed', 'cancelled', 'delayed'],
+      enum: [
+        'scheduled',
+        'in-progress',
+        'pending-review',
+        'approved',
+        'rejected',
+        'completed',
+        'closed',
+        'cancelled',
+        'delayed'
+      ],
       default: 'scheduled',
       index: true
     },
@@ -133,6 +144,18 @@ const inspectionSchema = new mongoose.Schema(
         type: String,
         maxlength: 1000
       },
+      // Item group, e.g. 'sample' for the units drawn by a sampling plan
+      category: {
+        type: String,
+        maxlength: 50
+      },
+      specificationId: {
+        type: String,
+        maxlength: 50
+      },
+      isRequired: {
+        type: Boolean
+      },
       status: { 
         type: String,
         enum: ['pending', 'pass', 'fail', 'n/a'],
@@ -152,6 +175,8 @@ const inspectionSchema = new mongoose.Schema(
         expectedValue: { type: String, maxlength: 50 },
         tolerance: { type: String, maxlength: 50 },
         unit: { type: String, maxlength: 20 },
+        // Asset tag of the gauge the measurement was taken with
+        gaugeId: { type: String, maxlength: 50 },
         result: { 
           type: String,
           enum: ['pass', 'fail', 'n/a'],
@@ -174,9 +199,18 @@ const inspectionSchema = new mongoose.Schema(
       },
       severity: { 
         type: String,
-        enum: ['minor', 'major', 'critical'],
+        enum: ['cosmetic', 'minor', 'major', 'critical'],
         default: 'minor'
       },
+      status: {
+        type: String,
+        enum: ['open', 'in-progress', 'resolved', 'closed', 'rejected'],
+        default: 'open'
+      },
+      category: {
+        type: String,
+        maxlength: 100
+      },
       quantity: { 
         type: Number, 
         default: 1,
@@ -189,6 +223,10 @@ const inspectionSchema = new mongoose.Schema(
       comments: { 
         type: String,
         maxlength: 1000
+      },
+      capaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Capa'
       }
     }],
     nonConformanceReport: {
@@ -220,6 +258,40 @@ const inspectionSchema = new mongoose.Schema(
       },
       description: { type: String, maxlength: 500 }
     }],
+    statusHistory: [{
+      action: { type: String, maxlength: 50 },
+      from: { type: String, maxlength: 50 },
+      to: { type: String, maxlength: 50 },
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      actorRole: { type: String, maxlength: 50 },
+      reason: { type: String, maxlength: 1000 },
+      occurredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    samplingPlan: {
+      scheme: { type: String, enum: ['z1.4', 'c0'] },
+      lotSize: { type: Number, min: 2 },
+      inspectionLevel: { type: String, maxlength: 10 },
+      aql: { type: Number },
+      severity: { type: String, enum: ['normal', 'tightened', 'reduced'] },
+      codeLetter: { type: String, maxlength: 1 },
+      sampleSize: { type: Number, min: 1 },
+      acceptanceNumber: { type: Number, min: 0 },
+      rejectionNumber: { type: Number, min: 1 },
+      tighterAcceptanceNumber: { type: Number, min: 0 },
+      hundredPercent: { type: Boolean },
+      disposition: {
+        nonconforming: { type: Number, min: 0 },
+        accepted: { type: Boolean },
+        returnToNormal: { type: Boolean },
+        decidedAt: { type: Date }
+      }
+    },
     notes: {
       type: String,
       maxlength: [5000, 'Notes cannot exceed 5000 characters']
@@ -291,8 +363,8 @@ inspectionSchema.virtual('durationHours').get(function() {
   return 0;
 });
 
-// Generate inspection number if not provided
-inspectionSchema.pre('save', async function(next) {
+// Generate inspection number if not provided, before it is validated as required
+inspectionSchema.pre('validate', async function(next) {
   if (!this.inspectionNumber) {
     const currentYear = new Date().getFullYear().toString().substr(-2);
     const currentMonth = (new Date().getMonth() + 1).toString().padStart(2, '0');
@@ -381,6 +453,9 @@ inspectionSchema.pre('save', async function(next) {
   }
 });
 
+// Scope inspections to the current tenant, once every index is declared
+inspectionSchema.plugin(tenantPlugin);
+
 const Inspection = mongoose.model('Inspection', inspectionSchema);
 
 module.exports = Inspection; 
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Inspection Workflow Model
+ *
+ * Stores the configurable status workflow for an inspection type.
+ * Definitions are validated by the inspection domain when they are loaded.
+ */
+
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const workflowStateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'State name is required'],
+      trim: true
+    },
+    terminal: {
+      type: Boolean,
+      default: false
+    }
+  },
+  { _id: false }
+);
+
+const workflowTransitionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: [true, 'Transition action is required'],
+      trim: true
+    },
+    from: {
+      type: [String],
+      required: true
+    },
+    to: {
+      type: String,
+      required: [true, 'Transition target state is required'],
+      trim: true
+    },
+    guards: {
+      type: [String],
+      default: []
+    },
+    approverRoles: {
+      type: [String],
+      default: []
+    }
+  },
+  { _id: false }
+);
+
+const inspectionWorkflowSchema = new mongoose.Schema(
+  {
+    inspectionType: {
+      type: String,
+      required: [true, 'Inspection type is required'],
+      trim: true,
+      unique: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    version: {
+      type: Number,
+      default: 1
+    },
+    initialState: {
+      type: String,
+      required: [true, 'Initial state is required'],
+      trim: true
+    },
+    states: [workflowStateSchema],
+    transitions: [workflowTransitionSchema],
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+inspectionWorkflowSchema.index({ inspectionType: 1, isActive: 1 });
+
+// Scope inspection workflows to the current tenant, once every index is declared
+inspectionWorkflowSchema.plugin(tenantPlugin);
+
+const InspectionWorkflow = mongoose.model('InspectionWorkflow', inspectionWorkflowSchema);
+
+module.exports = InspectionWorkflow;
@@ -43,7 +43,7 @@ const notificationSchema = new mongoose.Schema(
     },
     resourceType: {
       type: String,
-      enum: ['inspection', 'supplier', 'customer', 'component', 'user', 'system'],
+      enum: ['inspection', 'supplier', 'audit', 'customer', 'component', 'user', 'system'],
       default: 'system'
     },
     resourceId: {
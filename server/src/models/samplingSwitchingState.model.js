@@ -0,0 +1,115 @@
+/**
+ * Sampling Switching State Model
+ *
+ * Stores the Z1.4 inspection severity and recent lot results for a
+ * supplier and component, so switching rules carry across inspections.
+ */
+
+const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
+
+const lotResultSchema = new mongoose.Schema(
+  {
+    inspectionId: {
+      type: String,
+      required: true
+    },
+    severity: {
+      type: String,
+      enum: ['normal', 'tightened', 'reduced']
+    },
+    accepted: {
+      type: Boolean,
+      required: true
+    },
+    nonconforming: {
+      type: Number,
+      min: 0
+    },
+    acceptanceNumber: {
+      type: Number,
+      min: 0
+    },
+    recordedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const severityChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, maxlength: 20 },
+    to: { type: String, maxlength: 20 },
+    reason: { type: String, maxlength: 500 },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    occurredAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const samplingSwitchingStateSchema = new mongoose.Schema(
+  {
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      required: [true, 'Supplier is required']
+    },
+    componentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Component',
+      required: [true, 'Component is required']
+    },
+    severity: {
+      type: String,
+      enum: ['normal', 'tightened', 'reduced'],
+      default: 'normal',
+      index: true
+    },
+    switchingScore: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    recentLots: [lotResultSchema],
+    consecutiveAccepted: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    tightenedRejections: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    discontinued: {
+      type: Boolean,
+      default: false,
+      index: true
+    },
+    reducedAllowed: {
+      type: Boolean,
+      default: false
+    },
+    history: [severityChangeSchema]
+  },
+  {
+    timestamps: true
+  }
+);
+
+samplingSwitchingStateSchema.index({ supplierId: 1, componentId: 1 }, { unique: true });
+
+// Scope sampling switching states to the current tenant, once every index is declared
+samplingSwitchingStateSchema.plugin(tenantPlugin);
+
+const SamplingSwitchingState = mongoose.model('SamplingSwitchingState', samplingSwitchingStateSchema);
+
+module.exports = SamplingSwitchingState;
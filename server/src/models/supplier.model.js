@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('../utils/mongoose-tenant-plugin');
 
 const supplierSchema = new mongoose.Schema(
   {
@@ -33,7 +34,7 @@ const supplierSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['active', 'inactive', 'pending', 'probation'],
+      enum: ['active', 'inactive', 'pending', 'probation', 'blacklisted'],
       default: 'active'
     },
     logo: {
@@ -91,6 +92,18 @@ const supplierSchema = new mongoose.Schema(
       expiryDate: { type: Date },
       documentUrl: { type: String, maxlength: 500 }
     }],
+    qualifications: [{
+      type: { type: String, required: true, trim: true, maxlength: 100 },
+      issueDate: { type: Date },
+      expiryDate: { type: Date },
+      status: {
+        type: String,
+        enum: ['active', 'expired', 'pending', 'revoked'],
+        default: 'active'
+      },
+      documentUrl: { type: String, maxlength: 500 },
+      notes: { type: String, maxlength: 1000 }
+    }],
     qualityRating: {
       type: Number,
       min: 0,
@@ -211,6 +224,16 @@ supplierSchema.pre('save', function(next) {
   next();
 });
 
+// Qualifications and certifications feed the supplier's risk assessment
+const rescoreRiskAssessment = (doc) => {
+  if (!doc) return;
+  // Required lazily: the risk assessment service reads this model
+  require('../services/riskAssessment.service').scheduleRescore(doc._id, 'supplier');
+};
+
+supplierSchema.post('save', rescoreRiskAssessment);
+supplierSchema.post('findOneAndUpdate', rescoreRiskAssessment);
+
 // Method to get supplier metrics
 supplierSchema.methods.getMetrics = async function() {
   const Inspection = mongoose.model('Inspection');
@@ -271,6 +294,9 @@ supplierSchema.methods.getMetrics = async function() {
   };
 };
 
+// Scope suppliers to the current tenant, once every index is declared
+supplierSchema.plugin(tenantPlugin);
+
 const Supplier = mongoose.model('Supplier', supplierSchema);
 
 module.exports = Supplier; 
\ No newline at end of file
@@ -12,6 +12,7 @@ class User {
     this.email = data.email || '';
     this.username = data.username || '';
     this.role = data.role || 'user';
+    this.tenantId = data.tenantId || null;
     this.firstName = data.firstName || '';
     this.lastName = data.lastName || '';
     this.createdAt = data.createdAt || new Date();
@@ -0,0 +1,69 @@
+const express = require('express');
+const { query } = require('express-validator');
+const auditChainController = require('../controllers/auditChain.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(authMiddleware.protect);
+
+const rangeValidation = [
+  query('tenantId').optional().isString().trim().notEmpty().withMessage('Tenant ID must not be empty'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+];
+
+/**
+ * @route GET /api/v1/audit-chain/verify
+ * @desc Walk the tenant's audit log chain over a time range (from, to) and report the first broken link
+ * @access Private (admin, auditor)
+ */
+router.get(
+  '/verify',
+  authMiddleware.authorize('admin', 'auditor'),
+  rangeValidation,
+  auditChainController.verifyChain
+);
+
+/**
+ * @route GET /api/v1/audit-chain/export
+ * @desc Export the tenant's audit log chain over a time range for offline verification
+ * @access Private (admin, auditor)
+ */
+router.get(
+  '/export',
+  authMiddleware.authorize('admin', 'auditor'),
+  rangeValidation,
+  auditChainController.exportChain
+);
+
+/**
+ * @route GET /api/v1/audit-chain/checkpoints
+ * @desc List the signed checkpoints of the tenant's audit log chain
+ * @access Private (admin, auditor)
+ */
+router.get(
+  '/checkpoints',
+  authMiddleware.authorize('admin', 'auditor'),
+  [
+    query('tenantId').optional().isString().trim().notEmpty().withMessage('Tenant ID must not be empty'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  auditChainController.getCheckpoints
+);
+
+/**
+ * @route POST /api/v1/audit-chain/checkpoints
+ * @desc Sign a checkpoint of the tenant's chain head now, ahead of the scheduled one
+ * @access Private (admin)
+ */
+router.post('/checkpoints', authMiddleware.authorize('admin'), auditChainController.createCheckpoint);
+
+/**
+ * @route GET /api/v1/audit-chain/signing-key
+ * @desc Get the checkpoint signing public key and the key fingerprints auditors should trust
+ * @access Private (admin, auditor)
+ */
+router.get('/signing-key', authMiddleware.authorize('admin', 'auditor'), auditChainController.getSigningKey);
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { body } = require('express-validator');
+const bomController = require('../controllers/bom.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+const lineValidation = [
+  body('quantityPer').optional().isFloat({ gt: 0 }).withMessage('Quantity per assembly must be positive'),
+  body('referenceDesignators').optional().isArray().withMessage('Reference designators must be an array'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Effective from must be a date'),
+  body('effectiveTo').optional({ nullable: true }).isISO8601().withMessage('Effective to must be a date')
+];
+
+/**
+ * @route GET /api/bom/where-used
+ * @desc Find the assemblies a component is used in (componentId or partNumber, date, levels, topLevelOnly)
+ * @access Private
+ */
+router.get('/where-used', bomController.whereUsed);
+
+/**
+ * @route GET /api/bom/components/:componentId/lines
+ * @desc Get the single-level bill of materials in effect (date, revision)
+ * @access Private
+ */
+router.get('/components/:componentId/lines', bomController.getBomLines);
+
+/**
+ * @route POST /api/bom/components/:componentId/lines
+ * @desc Add a line to a component's bill of materials
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/components/:componentId/lines',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('childComponent').notEmpty().withMessage('Child component is required'),
+    body('quantityPer').notEmpty().withMessage('Quantity per assembly is required'),
+    ...lineValidation
+  ],
+  bomController.addBomLine
+);
+
+/**
+ * @route GET /api/bom/components/:componentId/explode
+ * @desc Multi-level bill of materials with extended quantities (date, revision, levels)
+ * @access Private
+ */
+router.get('/components/:componentId/explode', bomController.explodeBom);
+
+/**
+ * @route GET /api/bom/components/:componentId/implode
+ * @desc Multi-level where-used tree up to the end items (date, levels)
+ * @access Private
+ */
+router.get('/components/:componentId/implode', bomController.implodeBom);
+
+/**
+ * @route GET /api/bom/components/:componentId/quality-status
+ * @desc Open defects of all components in the assembly, rolled up the tree
+ * @access Private
+ */
+router.get('/components/:componentId/quality-status', bomController.getAssemblyQualityStatus);
+
+/**
+ * @route PUT /api/bom/lines/:lineId
+ * @desc Update a BOM line's quantity, designators or effectivity
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/lines/:lineId',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  lineValidation,
+  bomController.updateBomLine
+);
+
+/**
+ * @route DELETE /api/bom/lines/:lineId
+ * @desc Remove a BOM line
+ * @access Private (Admin, Manager, Quality)
+ */
+router.delete(
+  '/lines/:lineId',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  bomController.removeBomLine
+);
+
+module.exports = router;
@@ -0,0 +1,146 @@
+const express = require('express');
+const { body } = require('express-validator');
+const capaController = require('../controllers/capa.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route GET /api/capa
+ * @desc Get CAPAs (filter by supplierId, status, currentStep, ncNumber, inspectionId)
+ * @access Private
+ */
+router.get('/', capaController.getCapas);
+
+/**
+ * @route POST /api/capa
+ * @desc Create a CAPA from a defect or non-conformance
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('title').notEmpty().withMessage('Title is required'),
+    body('source.type').isIn(['defect', 'non-conformance']).withMessage('Source type must be defect or non-conformance'),
+    body('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid priority')
+  ],
+  capaController.createCapa
+);
+
+/**
+ * @route GET /api/capa/:capaId
+ * @desc Get a CAPA
+ * @access Private
+ */
+router.get('/:capaId', capaController.getCapa);
+
+/**
+ * @route PUT /api/capa/:capaId
+ * @desc Update CAPA team, problem description, root cause and closure notes
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/:capaId',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  capaController.updateCapa
+);
+
+/**
+ * @route POST /api/capa/:capaId/containment-actions
+ * @desc Add a containment action (D3)
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:capaId/containment-actions',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('description').notEmpty().withMessage('Description is required'),
+    body('dueDate').optional().isISO8601().withMessage('Due date must be a valid date')
+  ],
+  capaController.addContainmentAction
+);
+
+/**
+ * @route PUT /api/capa/:capaId/containment-actions/:actionId
+ * @desc Update a containment action
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/:capaId/containment-actions/:actionId',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  capaController.updateContainmentAction
+);
+
+/**
+ * @route POST /api/capa/:capaId/action-items
+ * @desc Add a corrective or preventive action item
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:capaId/action-items',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('type').isIn(['corrective', 'preventive']).withMessage('Type must be corrective or preventive'),
+    body('description').notEmpty().withMessage('Description is required'),
+    body('owner').notEmpty().withMessage('Owner is required'),
+    body('dueDate').isISO8601().withMessage('Due date must be a valid date')
+  ],
+  capaController.addActionItem
+);
+
+/**
+ * @route PUT /api/capa/:capaId/action-items/:itemId
+ * @desc Update an action item
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/:capaId/action-items/:itemId',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  capaController.updateActionItem
+);
+
+/**
+ * @route POST /api/capa/:capaId/verification
+ * @desc Record effectiveness verification of the corrective actions
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:capaId/verification',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('result').isIn(['effective', 'not-effective']).withMessage('Result must be effective or not-effective'),
+    body('method').notEmpty().withMessage('Verification method is required')
+  ],
+  capaController.verifyEffectiveness
+);
+
+/**
+ * @route POST /api/capa/:capaId/complete-step
+ * @desc Complete the current 8D discipline and advance to the next
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:capaId/complete-step',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  capaController.completeStep
+);
+
+/**
+ * @route POST /api/capa/:capaId/cancel
+ * @desc Cancel a CAPA
+ * @access Private (Admin, Manager)
+ */
+router.post(
+  '/:capaId/cancel',
+  authMiddleware.restrictTo('admin', 'manager'),
+  [
+    body('reason').notEmpty().withMessage('Cancellation reason is required')
+  ],
+  capaController.cancelCapa
+);
+
+module.exports = router;
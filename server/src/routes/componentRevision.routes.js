@@ -0,0 +1,38 @@
+const express = require('express');
+const { body } = require('express-validator');
+const componentRevisionController = require('../controllers/componentRevision.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route GET /api/components/:componentId/revisions/:revisionId/impact
+ * @desc Get the change-impact analysis of a component revision
+ * @access Private
+ */
+router.get(
+  '/:componentId/revisions/:revisionId/impact',
+  componentRevisionController.getImpactAnalysis
+);
+
+/**
+ * @route PUT /api/components/:componentId/revisions/:revisionId/status
+ * @desc Change the status of a component revision
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/:componentId/revisions/:revisionId/status',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('status')
+      .isIn(['draft', 'review', 'approved', 'obsolete'])
+      .withMessage('Status must be draft, review, approved or obsolete'),
+    body('updateInspections').optional().isBoolean().withMessage('Update inspections must be a boolean')
+  ],
+  componentRevisionController.updateRevisionStatus
+);
+
+module.exports = router;
@@ -1,12 +1,36 @@
 /**
  * Dashboard Routes
  * 
- * Provides dashboard endpoints
+ * Provides dashboard endpoints, and persisted dashboards with widgets
+ * backed by report queries
  */
 
 const express = require('express');
+const { body } = require('express-validator');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const dashboardController = require('../controllers/dashboard.controller');
+const Dashboard = require('../models/Dashboard');
+
+const dashboardValidation = (optional = false) => [
+  (optional ? body('name').optional() : body('name')).notEmpty().withMessage('Dashboard name is required'),
+  body('visibility').optional().isIn(Dashboard.VISIBILITIES)
+    .withMessage(`Visibility must be one of: ${Dashboard.VISIBILITIES.join(', ')}`),
+  body('sharedWith.*.user').optional().isMongoId().withMessage('Shared users must be user IDs'),
+  body('sharedWith.*.permission').optional().isIn(Dashboard.PERMISSIONS)
+    .withMessage(`Permission must be one of: ${Dashboard.PERMISSIONS.join(', ')}`)
+];
+
+const widgetValidation = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').notEmpty().withMessage('Widget title is required'),
+    field('type').isIn(Dashboard.WIDGET_TYPES)
+      .withMessage(`Widget type must be one of: ${Dashboard.WIDGET_TYPES.join(', ')}`),
+    body('dataSource.template').optional().isMongoId().withMessage('Report template ID is invalid'),
+    body('refreshInterval').optional().isInt().withMessage('Refresh interval must be a number of seconds')
+  ];
+};
 
 /**
  * @route GET /api/dashboard
@@ -92,4 +116,119 @@ router.get('/activity', authMiddleware.protect, (req, res) => {
   });
 });
 
+/**
+ * @route GET /api/dashboard/boards
+ * @desc List the dashboards the user can view
+ * @access Private
+ */
+router.get('/boards', authMiddleware.protect, dashboardController.getDashboards);
+
+/**
+ * @route POST /api/dashboard/boards
+ * @desc Create a dashboard
+ * @access Private
+ */
+router.post('/boards', authMiddleware.protect, dashboardValidation(), dashboardController.createDashboard);
+
+/**
+ * @route GET /api/dashboard/boards/:id
+ * @desc Get a dashboard with its widgets and layouts
+ * @access Private (viewers)
+ */
+router.get('/boards/:id', authMiddleware.protect, dashboardController.getDashboard);
+
+/**
+ * @route PUT /api/dashboard/boards/:id
+ * @desc Update a dashboard; team, visibility, sharing and locking need the owner
+ * @access Private (editors)
+ */
+router.put('/boards/:id', authMiddleware.protect, dashboardValidation(true), dashboardController.updateDashboard);
+
+/**
+ * @route PUT /api/dashboard/boards/:id/layout
+ * @desc Save a dashboard's grid layouts
+ * @access Private (editors)
+ */
+router.put('/boards/:id/layout', authMiddleware.protect, dashboardController.updateLayout);
+
+/**
+ * @route DELETE /api/dashboard/boards/:id
+ * @desc Delete a dashboard
+ * @access Private (owner)
+ */
+router.delete('/boards/:id', authMiddleware.protect, dashboardController.deleteDashboard);
+
+/**
+ * @route GET /api/dashboard/boards/:id/export
+ * @desc Export a dashboard definition
+ * @access Private (viewers)
+ */
+router.get('/boards/:id/export', authMiddleware.protect, dashboardController.exportDashboard);
+
+/**
+ * @route POST /api/dashboard/boards/:id/widgets
+ * @desc Add a widget backed by a report template section or report query
+ * @access Private (editors)
+ */
+router.post('/boards/:id/widgets', authMiddleware.protect, widgetValidation(), dashboardController.addWidget);
+
+/**
+ * @route PUT /api/dashboard/boards/:id/widgets/:widgetId
+ * @desc Update a widget
+ * @access Private (editors)
+ */
+router.put('/boards/:id/widgets/:widgetId', authMiddleware.protect, widgetValidation(true), dashboardController.updateWidget);
+
+/**
+ * @route DELETE /api/dashboard/boards/:id/widgets/:widgetId
+ * @desc Remove a widget
+ * @access Private (editors)
+ */
+router.delete('/boards/:id/widgets/:widgetId', authMiddleware.protect, dashboardController.deleteWidget);
+
+/**
+ * @route GET /api/dashboard/boards/:id/widgets/:widgetId/data
+ * @desc Get a widget's data, cached for its refresh interval (refresh=true to refresh)
+ * @access Private (viewers)
+ */
+router.get('/boards/:id/widgets/:widgetId/data', authMiddleware.protect, dashboardController.getWidgetData);
+
+/**
+ * @route GET /api/dashboard/boards/:id/share
+ * @desc List a dashboard's share links
+ * @access Private (owner)
+ */
+router.get('/boards/:id/share', authMiddleware.protect, dashboardController.getShareLinks);
+
+/**
+ * @route POST /api/dashboard/boards/:id/share
+ * @desc Create a share link (permission, roles, expiresInDays)
+ * @access Private (owner)
+ */
+router.post(
+  '/boards/:id/share',
+  authMiddleware.protect,
+  [
+    body('permission').optional().isIn(Dashboard.PERMISSIONS)
+      .withMessage(`Permission must be one of: ${Dashboard.PERMISSIONS.join(', ')}`),
+    body('roles').optional().isArray().withMessage('Roles must be a list'),
+    body('expiresInDays').optional().isInt({ min: 1 }).withMessage('Expiry must be a number of days')
+  ],
+  dashboardController.createShareLink
+);
+
+/**
+ * @route DELETE /api/dashboard/boards/:id/share/:linkId
+ * @desc Revoke a share link
+ * @access Private (owner)
+ */
+router.delete('/boards/:id/share/:linkId', authMiddleware.protect, dashboardController.revokeShareLink);
+
+/**
+ * @route GET /api/dashboard/shared/:token
+ * @desc Open a share link, giving the user its access to the dashboard
+ * @access Private
+ */
+router.get('/shared/:token', authMiddleware.protect, dashboardController.openShareLink);
+
 module.exports = router; 
\ No newline at end of file
@@ -23,6 +23,13 @@ router.get(
   dimensionalAccuracyController.analyzeComponentTrends
 );
 
+// Route for statistical process control analysis of a component
+router.get(
+  '/components/:componentId/spc',
+  authenticate,
+  dimensionalAccuracyController.getComponentSPC
+);
+
 // Route for getting dimensional requirements from a component drawing
 router.get(
   '/components/:componentId/dimensional-requirements',
@@ -0,0 +1,37 @@
+const express = require('express');
+const { body } = require('express-validator');
+const firstArticleInspectionController = require('../controllers/firstArticleInspection.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route GET /api/fai/components/:componentId/inspections/:inspectionId
+ * @desc Get AS9102 Forms 1, 2 and 3 for a component and completed inspection
+ * @access Private
+ */
+router.get(
+  '/components/:componentId/inspections/:inspectionId',
+  firstArticleInspectionController.getReport
+);
+
+/**
+ * @route POST /api/fai/components/:componentId/inspections/:inspectionId/export
+ * @desc Export the AS9102 FAI report as PDF or Excel
+ * @access Private (Admin, Manager, Quality, Inspector)
+ */
+router.post(
+  '/components/:componentId/inspections/:inspectionId/export',
+  authMiddleware.restrictTo('admin', 'manager', 'quality', 'inspector'),
+  [
+    body('format').optional().isIn(['pdf', 'excel']).withMessage('Format must be pdf or excel'),
+    body('faiType').optional().isIn(['detail', 'assembly']).withMessage('FAI type must be detail or assembly'),
+    body('productAccountability').optional().isArray().withMessage('Product accountability must be an array')
+  ],
+  firstArticleInspectionController.exportReport
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body } = require('express-validator');
+const gaugeController = require('../controllers/gauge.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route GET /api/gauges
+ * @desc Get gauges (filter by status, calibrationDue)
+ * @access Private
+ */
+router.get('/', gaugeController.getGauges);
+
+/**
+ * @route POST /api/gauges
+ * @desc Register a gauge
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('gaugeId').notEmpty().withMessage('Gauge ID is required'),
+    body('name').notEmpty().withMessage('Name is required')
+  ],
+  gaugeController.createGauge
+);
+
+/**
+ * @route GET /api/gauges/:gaugeId
+ * @desc Get a gauge with its calibration and latest study
+ * @access Private
+ */
+router.get('/:gaugeId', gaugeController.getGauge);
+
+/**
+ * @route PUT /api/gauges/:gaugeId
+ * @desc Update a gauge's details
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/:gaugeId',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  gaugeController.updateGauge
+);
+
+/**
+ * @route POST /api/gauges/:gaugeId/calibrations
+ * @desc Record a calibration of a gauge
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:gaugeId/calibrations',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('calibratedAt').optional().isISO8601().withMessage('Calibration date must be a date'),
+    body('intervalDays').optional().isInt({ min: 1 }).withMessage('Interval must be a positive number of days')
+  ],
+  gaugeController.recordCalibration
+);
+
+/**
+ * @route GET /api/gauges/:gaugeId/studies
+ * @desc Get a gauge's Gauge R&R studies, newest first
+ * @access Private
+ */
+router.get('/:gaugeId/studies', gaugeController.getStudies);
+
+/**
+ * @route POST /api/gauges/:gaugeId/studies
+ * @desc Run a crossed Gauge R&R study (operators x parts x trials)
+ * @access Private (Admin, Manager, Quality, Inspector)
+ */
+router.post(
+  '/:gaugeId/studies',
+  authMiddleware.restrictTo('admin', 'manager', 'quality', 'inspector'),
+  [
+    body('method').optional().isIn(['anova', 'average-range']).withMessage('Method must be anova or average-range'),
+    body('specification.name').notEmpty().withMessage('Specification of the studied characteristic is required'),
+    body('measurements').isArray({ min: 8 }).withMessage('Measurements are required'),
+    body('measurements.*.operator').notEmpty().withMessage('Each measurement needs an operator'),
+    body('measurements.*.part').notEmpty().withMessage('Each measurement needs a part'),
+    body('measurements.*.value').isFloat().withMessage('Each measurement needs a numeric value')
+  ],
+  gaugeController.createStudy
+);
+
+/**
+ * @route GET /api/gauges/:gaugeId/studies/:studyId
+ * @desc Get a Gauge R&R study with its measurements
+ * @access Private
+ */
+router.get('/:gaugeId/studies/:studyId', gaugeController.getStudy);
+
+module.exports = router;
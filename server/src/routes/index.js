@@ -51,11 +51,21 @@ const inspectionRoutes = require('./inspection.routes');
 const notificationRoutes = require('./notification.routes');
 const documentRoutes = require('./document.routes');
 const reportRoutes = require('./report.routes');
+const reportScheduleRoutes = require('./reportSchedule.routes');
+const webhookRoutes = require('./webhook.routes');
+const auditChainRoutes = require('./auditChain.routes');
+const jobRoutes = require('./job.routes');
 const adminRoutes = require('./admin.routes');
 const monitoringRoutes = require('./monitoring.routes');
 const riskAssessmentRoutes = require('./risk-assessment.routes');
 const supplierAuditRoutes = require('./supplierAudit.routes');
 const dimensionalAccuracyRoutes = require('./dimensionalAccuracy.routes');
+const capaRoutes = require('./capa.routes');
+const firstArticleInspectionRoutes = require('./firstArticleInspection.routes');
+const gaugeRoutes = require('./gauge.routes');
+const componentRevisionRoutes = require('./componentRevision.routes');
+const bomRoutes = require('./bom.routes');
+const receivingRoutes = require('./receiving.routes');
 const cacheRoutes = require('./cache.routes');
 const privacyRoutes = require('./privacy.routes');
 const featureFlagsRoutes = require('./featureFlags.routes');
@@ -135,6 +145,16 @@ router.use('/v1', versionRoute(['v1']), monitoringRoutes);
 router.use('/v1', versionRoute(['v1']), riskAssessmentRoutes);
 router.use('/v1', versionRoute(['v1']), supplierAuditRoutes);
 router.use('/v1', versionRoute(['v1']), dimensionalAccuracyRoutes);
+router.use('/v1/capa', versionRoute(['v1']), capaRoutes);
+router.use('/v1/fai', versionRoute(['v1']), firstArticleInspectionRoutes);
+router.use('/v1/gauges', versionRoute(['v1']), gaugeRoutes);
+router.use('/v1/components', versionRoute(['v1']), componentRevisionRoutes);
+router.use('/v1/bom', versionRoute(['v1']), bomRoutes);
+router.use('/v1/receiving', versionRoute(['v1']), receivingRoutes);
+router.use('/v1/report-schedules', versionRoute(['v1']), reportScheduleRoutes);
+router.use('/v1/webhooks', versionRoute(['v1']), webhookRoutes);
+router.use('/v1/audit-chain', versionRoute(['v1']), auditChainRoutes);
+router.use('/v1/admin/jobs', versionRoute(['v1']), jobRoutes);
 router.use('/v1', versionRoute(['v1']), cacheRoutes);
 router.use('/v1', versionRoute(['v1']), privacyRoutes);
 router.use('/v1', versionRoute(['v1']), featureFlagsRoutes);
@@ -164,6 +184,16 @@ router.use('/v2', versionRoute(['v2']), monitoringRoutes);
 router.use('/v2', versionRoute(['v2']), riskAssessmentRoutes);
 router.use('/v2', versionRoute(['v2']), supplierAuditRoutes);
 router.use('/v2', versionRoute(['v2']), dimensionalAccuracyRoutes);
+router.use('/v2/capa', versionRoute(['v2']), capaRoutes);
+router.use('/v2/fai', versionRoute(['v2']), firstArticleInspectionRoutes);
+router.use('/v2/gauges', versionRoute(['v2']), gaugeRoutes);
+router.use('/v2/components', versionRoute(['v2']), componentRevisionRoutes);
+router.use('/v2/bom', versionRoute(['v2']), bomRoutes);
+router.use('/v2/receiving', versionRoute(['v2']), receivingRoutes);
+router.use('/v2/report-schedules', versionRoute(['v2']), reportScheduleRoutes);
+router.use('/v2/webhooks', versionRoute(['v2']), webhookRoutes);
+router.use('/v2/audit-chain', versionRoute(['v2']), auditChainRoutes);
+router.use('/v2/admin/jobs', versionRoute(['v2']), jobRoutes);
 router.use('/v2', versionRoute(['v2']), cacheRoutes);
 router.use('/v2', versionRoute(['v2']), privacyRoutes);
 router.use('/v2', versionRoute(['v2']), featureFlagsRoutes);
@@ -193,6 +223,16 @@ router.use('/monitoring', monitoringRoutes);
 router.use('/risk-assessment', riskAssessmentRoutes);
 router.use('/supplier-audit', supplierAuditRoutes);
 router.use('/dimensional-accuracy', dimensionalAccuracyRoutes);
+router.use('/capa', capaRoutes);
+router.use('/fai', firstArticleInspectionRoutes);
+router.use('/gauges', gaugeRoutes);
+router.use('/components', componentRevisionRoutes);
+router.use('/bom', bomRoutes);
+router.use('/receiving', receivingRoutes);
+router.use('/report-schedules', reportScheduleRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/audit-chain', auditChainRoutes);
+router.use('/admin/jobs', jobRoutes);
 router.use('/cache', cacheRoutes);
 router.use('/privacy', privacyRoutes);
 router.use('/feature-flags', featureFlagsRoutes);
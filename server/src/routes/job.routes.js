@@ -0,0 +1,84 @@
+const express = require('express');
+const { body } = require('express-validator');
+const jobController = require('../controllers/job.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Background jobs are administered by admins only
+router.use(authMiddleware.protect, authMiddleware.restrictTo('admin'));
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc List background jobs (status, type, paused)
+ * @access Private (Admin)
+ */
+router.get('/', jobController.getJobs);
+
+/**
+ * @route POST /api/admin/jobs
+ * @desc Schedule a registered job to run once (handler, runAt, data, name)
+ * @access Private (Admin)
+ */
+router.post(
+  '/',
+  [
+    body('handler').notEmpty().withMessage('Job handler is required'),
+    body('runAt').optional().isISO8601().withMessage('Run time must be an ISO 8601 date'),
+    body('name').optional().isString().trim().notEmpty().withMessage('Job name must not be empty'),
+    body('timeoutMinutes').optional().isInt({ min: 1 }).withMessage('Timeout must be a positive number of minutes'),
+    body('maxAttempts').optional().isInt({ min: 1 }).withMessage('Attempts must be a positive number')
+  ],
+  jobController.scheduleJob
+);
+
+/**
+ * @route GET /api/admin/jobs/definitions
+ * @desc List the job definitions registered on this server
+ * @access Private (Admin)
+ */
+router.get('/definitions', jobController.getDefinitions);
+
+/**
+ * @route GET /api/admin/jobs/:name
+ * @desc Get a background job
+ * @access Private (Admin)
+ */
+router.get('/:name', jobController.getJob);
+
+/**
+ * @route GET /api/admin/jobs/:name/runs
+ * @desc Get the run history of a background job (status, limit)
+ * @access Private (Admin)
+ */
+router.get('/:name/runs', jobController.getRuns);
+
+/**
+ * @route POST /api/admin/jobs/:name/pause
+ * @desc Pause a background job; a run in progress finishes
+ * @access Private (Admin)
+ */
+router.post('/:name/pause', jobController.pauseJob);
+
+/**
+ * @route POST /api/admin/jobs/:name/resume
+ * @desc Resume a paused background job
+ * @access Private (Admin)
+ */
+router.post('/:name/resume', jobController.resumeJob);
+
+/**
+ * @route POST /api/admin/jobs/:name/trigger
+ * @desc Run a background job now, outside its schedule
+ * @access Private (Admin)
+ */
+router.post('/:name/trigger', jobController.triggerJob);
+
+/**
+ * @route POST /api/admin/jobs/:name/cancel
+ * @desc Cancel a background job's running or pending run
+ * @access Private (Admin)
+ */
+router.post('/:name/cancel', jobController.cancelJob);
+
+module.exports = router;
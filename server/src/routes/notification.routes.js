@@ -1,12 +1,49 @@
 /**
  * Notification Routes
  * 
- * Provides notification endpoints
+ * Provides notification endpoints, and the subscriptions and preferences
+ * of the notification rules engine
  */
 
 const express = require('express');
+const { body } = require('express-validator');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const notificationRulesController = require('../controllers/notificationRules.controller');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationPreference = require('../models/NotificationPreference');
+const NOTIFICATION_EVENTS = require('../services/notificationEvents');
+const notificationConfig = require('../config/notification.config');
+
+const subscriptionValidation = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('Subscription name is required'),
+    field('event').isIn(Object.keys(NOTIFICATION_EVENTS))
+      .withMessage(`Event must be one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`),
+    body('conditions').optional().isArray().withMessage('Conditions must be a list'),
+    body('conditions.*.op').optional().isIn(NotificationSubscription.CONDITION_OPERATORS)
+      .withMessage(`Condition operator must be one of: ${NotificationSubscription.CONDITION_OPERATORS.join(', ')}`),
+    body('scope.users.*').optional().isMongoId().withMessage('Subscribed users must be user IDs'),
+    body('priority').optional().isIn(NotificationSubscription.PRIORITIES)
+      .withMessage(`Priority must be one of: ${NotificationSubscription.PRIORITIES.join(', ')}`)
+  ];
+};
+
+const preferenceValidation = [
+  body('email').optional().isEmail().withMessage('Email must be an email address'),
+  body('webhookUrl').optional().isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Webhook URL must be an https URL'),
+  body('channels').optional().isArray().withMessage('Channels must be a list'),
+  body('channels.*').optional().isIn(notificationConfig.channels)
+    .withMessage(`Channels must be among: ${notificationConfig.channels.join(', ')}`),
+  body('quietHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours start must be HH:mm'),
+  body('quietHours.end').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Quiet hours end must be HH:mm'),
+  body('digest.frequency').optional().isIn(NotificationPreference.DIGEST_FREQUENCIES)
+    .withMessage(`Digest frequency must be one of: ${NotificationPreference.DIGEST_FREQUENCIES.join(', ')}`),
+  body('digest.hour').optional().isInt({ min: 0, max: 23 }).withMessage('Digest hour must be between 0 and 23'),
+  body('digest.dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Digest day must be between 0 (Sunday) and 6')
+];
 
 /**
  * @route GET /api/notifications
@@ -82,4 +119,68 @@ router.post('/read-all', authMiddleware.protect, (req, res) => {
   });
 });
 
+/**
+ * @route GET /api/notifications/events
+ * @desc List the events users can subscribe to
+ * @access Private
+ */
+router.get('/events', authMiddleware.protect, notificationRulesController.getEventCatalog);
+
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get the user's notification channels, quiet hours and digest
+ * @access Private
+ */
+router.get('/preferences', authMiddleware.protect, notificationRulesController.getPreferences);
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @desc Update the user's notification channels, quiet hours and digest
+ * @access Private
+ */
+router.put(
+  '/preferences',
+  authMiddleware.protect,
+  preferenceValidation,
+  notificationRulesController.updatePreferences
+);
+
+/**
+ * @route GET /api/notifications/subscriptions
+ * @desc List notification subscriptions
+ * @access Private
+ */
+router.get('/subscriptions', authMiddleware.protect, notificationRulesController.getSubscriptions);
+
+/**
+ * @route POST /api/notifications/subscriptions
+ * @desc Subscribe users or roles to an event
+ * @access Private (managers for other users and roles)
+ */
+router.post(
+  '/subscriptions',
+  authMiddleware.protect,
+  subscriptionValidation(),
+  notificationRulesController.createSubscription
+);
+
+/**
+ * @route PUT /api/notifications/subscriptions/:id
+ * @desc Update a notification subscription
+ * @access Private (creator or manager)
+ */
+router.put(
+  '/subscriptions/:id',
+  authMiddleware.protect,
+  subscriptionValidation(true),
+  notificationRulesController.updateSubscription
+);
+
+/**
+ * @route DELETE /api/notifications/subscriptions/:id
+ * @desc Delete a notification subscription
+ * @access Private (creator or manager)
+ */
+router.delete('/subscriptions/:id', authMiddleware.protect, notificationRulesController.deleteSubscription);
+
 module.exports = router; 
\ No newline at end of file
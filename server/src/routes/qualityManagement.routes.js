@@ -94,6 +94,13 @@ router.put(
   qualityManagementController.updateNonConformance
 );
 
+/**
+ * @route GET /api/suppliers/:supplierId/quality/non-conformances/:ncNumber/capa
+ * @desc Get the CAPA linked to a non-conformance record
+ * @access Private
+ */
+router.get('/non-conformances/:ncNumber/capa', qualityManagementController.getNonConformanceCapa);
+
 /**
  * @route GET /api/suppliers/:supplierId/quality/documents
  * @desc Get all quality documents for a supplier
@@ -0,0 +1,79 @@
+const express = require('express');
+const { body } = require('express-validator');
+const receivingController = require('../controllers/receiving.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const GoodsReceipt = require('../models/GoodsReceipt');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+/**
+ * @route GET /api/receiving/receipts
+ * @desc List goods receipts (status, purchaseOrderNumber, supplierId, componentId)
+ * @access Private
+ */
+router.get('/receipts', receivingController.getReceipts);
+
+/**
+ * @route POST /api/receiving/receipts
+ * @desc Record goods received against a purchase order line and generate its receiving inspection
+ * @access Private (Admin, Manager, Quality, Inspector)
+ */
+router.post(
+  '/receipts',
+  authMiddleware.restrictTo('admin', 'manager', 'quality', 'inspector'),
+  [
+    body('purchaseOrderNumber').notEmpty().withMessage('Purchase order number is required'),
+    body('quantityReceived').isInt({ min: 1 }).withMessage('Quantity received must be a whole number of at least 1'),
+    body('receivedAt').optional().isISO8601().withMessage('Received date must be a date')
+  ],
+  receivingController.recordReceipt
+);
+
+/**
+ * @route POST /api/receiving/receipts/pull-from-erp
+ * @desc Record receipts for quantities received on ERP purchase orders
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/receipts/pull-from-erp',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  receivingController.pullReceiptsFromErp
+);
+
+/**
+ * @route GET /api/receiving/receipts/:id
+ * @desc Get a goods receipt with its disposition and ERP sync state
+ * @access Private
+ */
+router.get('/receipts/:id', receivingController.getReceipt);
+
+/**
+ * @route POST /api/receiving/receipts/:id/mrb-disposition
+ * @desc Record the Material Review Board disposition of a held lot
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/receipts/:id/mrb-disposition',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  [
+    body('mrbDisposition').isIn(GoodsReceipt.MRB_DISPOSITIONS)
+      .withMessage(`MRB disposition must be one of: ${GoodsReceipt.MRB_DISPOSITIONS.join(', ')}`)
+  ],
+  receivingController.recordMrbDisposition
+);
+
+/**
+ * @route POST /api/receiving/receipts/:id/erp-sync
+ * @desc Retry pushing a receipt's disposition to the ERP
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/receipts/:id/erp-sync',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  receivingController.retryErpSync
+);
+
+module.exports = router;
@@ -13,40 +13,6 @@ router.use(authMiddleware.protect);
 // Add permission check for export/download
 router.use(['/generate', '/export-excel', '/*'], checkPermission('canExportReports'));
 
-/**
- * @route GET /api/reports/*
- * @desc Serve generated report files
- * @access Private
- */
-router.get('/*', (req, res) => {
-  try {
-    // Get the requested file path
-    const filePath = path.join(process.cwd(), req.path);
-    
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({
-        success: false,
-        message: 'Report file not found'
-      });
-    }
-    
-    // Set Content-Type header for PDF
-    res.setHeader('Content-Type', 'application/pdf');
-    
-    // Stream the file to the response
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
-  } catch (error) {
-    console.error('Error serving report file:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error serving report file',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
-  }
-});
-
 /**
  * @route GET /api/reports/templates
  * @desc Get all report templates
@@ -127,6 +93,26 @@ router.get(
   reportController.getDataSources
 );
 
+/**
+ * @route POST /api/reports/query
+ * @desc Run a report query
+ * @access Private
+ */
+router.post(
+  '/query',
+  reportController.runReportQuery
+);
+
+/**
+ * @route POST /api/reports/query/validate
+ * @desc Validate a report query and estimate its cost without running it
+ * @access Private
+ */
+router.post(
+  '/query/validate',
+  reportController.validateReportQuery
+);
+
 /**
  * @route POST /api/reports/export-excel
  * @desc Export a report to Excel
@@ -137,6 +123,40 @@ router.post(
   reportController.exportToExcel
 );
 
+/**
+ * @route GET /api/reports/*
+ * @desc Serve generated report files (registered last so it does not shadow the routes above)
+ * @access Private
+ */
+router.get('/*', (req, res) => {
+  try {
+    // Get the requested file path
+    const filePath = path.join(process.cwd(), req.path);
+    
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report file not found'
+      });
+    }
+    
+    // Set Content-Type header for PDF
+    res.setHeader('Content-Type', 'application/pdf');
+    
+    // Stream the file to the response
+    const fileStream = fs.createReadStream(filePath);
+    fileStream.pipe(res);
+  } catch (error) {
+    console.error('Error serving report file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving report file',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /**
  * Serve static report files
  */
@@ -0,0 +1,95 @@
+const express = require('express');
+const { body } = require('express-validator');
+const reportScheduleController = require('../controllers/reportSchedule.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const ReportSchedule = require('../models/ReportSchedule');
+
+const router = express.Router();
+
+// Protect all routes
+router.use(authMiddleware.protect);
+
+const scheduleValidation = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').notEmpty().withMessage('Schedule name is required'),
+    field('template').isMongoId().withMessage('Report template ID is required'),
+    field('cron').notEmpty().withMessage('Cron expression is required'),
+    body('format').optional().isIn(ReportSchedule.REPORT_FORMATS)
+      .withMessage(`Format must be one of: ${ReportSchedule.REPORT_FORMATS.join(', ')}`),
+    body('dateRange.preset').optional().isIn(ReportSchedule.DATE_RANGE_PRESETS)
+      .withMessage(`Date range must be one of: ${ReportSchedule.DATE_RANGE_PRESETS.join(', ')}`),
+    body('delivery.method').optional().isIn(ReportSchedule.DELIVERY_METHODS)
+      .withMessage(`Delivery method must be one of: ${ReportSchedule.DELIVERY_METHODS.join(', ')}`),
+    body('delivery.recipients.*').optional().isEmail().withMessage('Recipients must be email addresses')
+  ];
+};
+
+/**
+ * @route GET /api/report-schedules
+ * @desc List report schedules (template, enabled)
+ * @access Private
+ */
+router.get('/', reportScheduleController.getSchedules);
+
+/**
+ * @route POST /api/report-schedules
+ * @desc Schedule a report template on a cron expression
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  scheduleValidation(),
+  reportScheduleController.createSchedule
+);
+
+/**
+ * @route GET /api/report-schedules/:id
+ * @desc Get a report schedule
+ * @access Private
+ */
+router.get('/:id', reportScheduleController.getSchedule);
+
+/**
+ * @route PUT /api/report-schedules/:id
+ * @desc Update a report schedule
+ * @access Private (Admin, Manager, Quality)
+ */
+router.put(
+  '/:id',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  scheduleValidation(true),
+  reportScheduleController.updateSchedule
+);
+
+/**
+ * @route DELETE /api/report-schedules/:id
+ * @desc Delete a report schedule, keeping its run history
+ * @access Private (Admin, Manager, Quality)
+ */
+router.delete(
+  '/:id',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  reportScheduleController.deleteSchedule
+);
+
+/**
+ * @route POST /api/report-schedules/:id/run
+ * @desc Generate and deliver a schedule's report now
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:id/run',
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  reportScheduleController.runScheduleNow
+);
+
+/**
+ * @route GET /api/report-schedules/:id/runs
+ * @desc Get the run history of a report schedule (status, limit)
+ * @access Private
+ */
+router.get('/:id/runs', reportScheduleController.getRuns);
+
+module.exports = router;
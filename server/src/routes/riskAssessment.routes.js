@@ -7,6 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const riskAssessmentController = require('../controllers/riskAssessment.controller');
 
 /**
  * @route GET /api/risk-assessment
@@ -68,6 +69,25 @@ router.get('/:id', authMiddleware.protect, (req, res) => {
   });
 });
 
+/**
+ * @route GET /api/risk-assessment/:id/score-history
+ * @desc Get the score change history of a risk assessment, newest first
+ * @access Private
+ */
+router.get('/:id/score-history', authMiddleware.protect, riskAssessmentController.getScoreHistory);
+
+/**
+ * @route POST /api/risk-assessment/:id/rescore
+ * @desc Re-score data-driven risk factors from current QMS, supplier and scorecard data
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:id/rescore',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  riskAssessmentController.rescoreRiskAssessment
+);
+
 /**
  * @route POST /api/risk-assessment
  * @desc Create a new risk assessment
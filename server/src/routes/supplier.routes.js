@@ -1,6 +1,7 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const supplierController = require('../controllers/supplier.controller');
+const supplierScorecardController = require('../controllers/supplierScorecard.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const qualityManagementRoutes = require('./qualityManagement.routes');
 
@@ -33,6 +34,53 @@ router.get('/:id', supplierController.getSupplier);
  */
 router.get('/:id/metrics', supplierController.getSupplierMetrics);
 
+/**
+ * @route GET /api/suppliers/:id/scorecards
+ * @desc Get monthly scorecard snapshots for trend charts (oldest first)
+ * @access Private
+ */
+router.get(
+  '/:id/scorecards',
+  [
+    param('id').isMongoId().withMessage('Invalid supplier ID'),
+    query('from').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('From must be in YYYY-MM format'),
+    query('to').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('To must be in YYYY-MM format'),
+    query('limit').optional().isInt({ min: 1, max: 120 }).withMessage('Limit must be between 1 and 120')
+  ],
+  supplierScorecardController.getScorecards
+);
+
+/**
+ * @route GET /api/suppliers/:id/scorecards/:period
+ * @desc Get the scorecard for a month (YYYY-MM)
+ * @access Private
+ */
+router.get(
+  '/:id/scorecards/:period',
+  [
+    param('id').isMongoId().withMessage('Invalid supplier ID'),
+    param('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be in YYYY-MM format')
+  ],
+  supplierScorecardController.getScorecard
+);
+
+/**
+ * @route POST /api/suppliers/:id/scorecards
+ * @desc Generate or regenerate the scorecard for a month (defaults to last month)
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:id/scorecards',
+  [
+    authMiddleware.restrictTo('admin', 'manager', 'quality'),
+    param('id').isMongoId().withMessage('Invalid supplier ID'),
+    body('period').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be in YYYY-MM format'),
+    body('weights').optional().isObject().withMessage('Weights must be an object'),
+    body('weights.*').optional().isFloat({ min: 0 }).withMessage('Weights must be non-negative numbers')
+  ],
+  supplierScorecardController.generateScorecard
+);
+
 /**
  * @route POST /api/suppliers
  * @desc Create new supplier
@@ -67,7 +115,8 @@ router.put(
     body('name').optional().notEmpty().withMessage('Name cannot be empty'),
     body('code').optional().notEmpty().withMessage('Code cannot be empty'),
     body('industry').optional().notEmpty().withMessage('Industry cannot be empty'),
-    body('status').optional().isIn(['active', 'inactive', 'pending']).withMessage('Status must be active, inactive, or pending'),
+    body('status').optional().isIn(['active', 'inactive', 'pending', 'probation', 'blacklisted'])
+      .withMessage('Status must be active, inactive, pending, probation or blacklisted'),
     body('primaryContactEmail')
       .optional()
       .isEmail()
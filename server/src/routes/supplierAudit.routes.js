@@ -7,6 +7,7 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth.middleware');
+const supplierAuditController = require('../controllers/supplierAudit.controller');
 
 /**
  * @route GET /api/supplier-audits
@@ -41,6 +42,91 @@ router.get('/', authMiddleware.protect, (req, res) => {
   });
 });
 
+/**
+ * @route GET /api/supplier-audits/program/:year
+ * @desc Get the risk-based audit calendar for a year
+ * @access Private
+ */
+router.get('/program/:year', authMiddleware.protect, supplierAuditController.getAuditProgram);
+
+/**
+ * @route POST /api/supplier-audits/program/:year
+ * @desc Create the planned audits of the audit calendar for a year
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/program/:year',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  supplierAuditController.planAuditProgram
+);
+
+/**
+ * @route POST /api/supplier-audits/overdue/process
+ * @desc Mark overdue audits delayed, notify their owners and add calendar events
+ * @access Private (Admin, Manager)
+ */
+router.post(
+  '/overdue/process',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin', 'manager'),
+  supplierAuditController.processOverdueAudits
+);
+
+/**
+ * @route GET /api/supplier-audits/checklist-templates
+ * @desc Get checklist template versions
+ * @access Private
+ */
+router.get('/checklist-templates', authMiddleware.protect, supplierAuditController.getChecklistTemplates);
+
+/**
+ * @route GET /api/supplier-audits/checklist-templates/:name/versions/:version
+ * @desc Get a checklist template version
+ * @access Private
+ */
+router.get(
+  '/checklist-templates/:name/versions/:version',
+  authMiddleware.protect,
+  supplierAuditController.getChecklistTemplate
+);
+
+/**
+ * @route POST /api/supplier-audits/checklist-templates/:name/versions
+ * @desc Create a new draft version of a checklist template
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/checklist-templates/:name/versions',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  supplierAuditController.createChecklistTemplateVersion
+);
+
+/**
+ * @route POST /api/supplier-audits/checklist-templates/:name/versions/:version/publish
+ * @desc Publish a checklist template version for new audits
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/checklist-templates/:name/versions/:version/publish',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  supplierAuditController.publishChecklistTemplate
+);
+
+/**
+ * @route POST /api/supplier-audits/:id/findings/nonconformances
+ * @desc Raise QMS non-conformances for an audit's nonconformity findings
+ * @access Private (Admin, Manager, Quality)
+ */
+router.post(
+  '/:id/findings/nonconformances',
+  authMiddleware.protect,
+  authMiddleware.restrictTo('admin', 'manager', 'quality'),
+  supplierAuditController.raiseFindingNonConformances
+);
+
 /**
  * @route GET /api/supplier-audits/:id
  * @desc Get supplier audit by ID
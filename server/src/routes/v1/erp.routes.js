@@ -35,4 +35,12 @@ router.post('/sync/vendors/from-erp', erpController.syncVendorsFromERP);
 router.post('/sync/inventory/from-erp', erpController.syncInventoryFromERP);
 router.post('/sync/purchase-orders/from-erp', erpController.syncPurchaseOrdersFromERP);
 
+// Incremental sync and the sync ledger
+router.get('/sync/runs', erpController.getSyncRuns);
+router.get('/sync/runs/:id', erpController.getSyncRun);
+router.get('/sync/watermarks', erpController.getSyncWatermarks);
+router.get('/sync/conflicts', erpController.getSyncConflicts);
+router.post('/sync/conflicts/:id/resolve', erpController.resolveSyncConflict);
+router.post('/sync/:entityType/incremental', erpController.runIncrementalSync);
+
 module.exports = router; 
\ No newline at end of file
@@ -5,7 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const inspectionController = require('../../domains/inspection/controllers/InspectionController');
 const authMiddleware = require('../../middleware/auth.middleware');
 
@@ -26,6 +26,55 @@ router.get('/', inspectionController.getAllInspections);
  */
 router.get('/stats', inspectionController.getInspectionStats);
 
+/**
+ * @route GET /api/v1/inspections/sampling-plan
+ * @desc Preview the Z1.4 or C=0 sampling plan for a lot
+ * @access Private
+ */
+router.get(
+  '/sampling-plan',
+  [
+    query('lotSize').isInt({ min: 2 }).withMessage('Lot size must be an integer of at least 2'),
+    query('aql').isFloat({ gt: 0 }).withMessage('AQL must be a positive number'),
+    query('scheme').optional().isIn(['z1.4', 'c0']).withMessage('Scheme must be z1.4 or c0'),
+    query('inspectionLevel').optional().isIn(['S-1', 'S-2', 'S-3', 'S-4', 'I', 'II', 'III']).withMessage('Inspection level is invalid'),
+    query('severity').optional().isIn(['normal', 'tightened', 'reduced']).withMessage('Severity must be normal, tightened or reduced')
+  ],
+  inspectionController.getSamplingPlan
+);
+
+/**
+ * @route GET /api/v1/inspections/sampling-state/:supplierId/:componentId
+ * @desc Get the Z1.4 switching state for a supplier and component
+ * @access Private
+ */
+router.get('/sampling-state/:supplierId/:componentId', inspectionController.getSamplingState);
+
+/**
+ * @route POST /api/v1/inspections/sampling-state/:supplierId/:componentId/resume
+ * @desc Resume discontinued acceptance inspection after corrective action
+ * @access Private (Admin, Manager)
+ */
+router.post(
+  '/sampling-state/:supplierId/:componentId/resume',
+  authMiddleware.restrictTo('admin', 'manager'),
+  inspectionController.resumeSampling
+);
+
+/**
+ * @route PUT /api/v1/inspections/sampling-state/:supplierId/:componentId/reduced
+ * @desc Approve or withdraw reduced inspection for a supplier and component
+ * @access Private (Admin, Manager)
+ */
+router.put(
+  '/sampling-state/:supplierId/:componentId/reduced',
+  [
+    authMiddleware.restrictTo('admin', 'manager'),
+    body('allowed').isBoolean().withMessage('Allowed must be a boolean')
+  ],
+  inspectionController.setReducedInspectionAllowed
+);
+
 /**
  * @route GET /api/v1/inspections/:id
  * @desc Get inspection by ID
@@ -47,7 +96,10 @@ router.post(
     body('componentId').optional(),
     body('type').isIn(['quality', 'compliance', 'safety']).withMessage('Type must be quality, compliance, or safety'),
     body('status').isIn(['scheduled', 'in-progress', 'completed', 'cancelled']).withMessage('Status must be valid'),
-    body('scheduledDate').isISO8601().withMessage('Scheduled date must be valid')
+    body('scheduledDate').isISO8601().withMessage('Scheduled date must be valid'),
+    body('sampling.lotSize').optional().isInt({ min: 2 }).withMessage('Lot size must be an integer of at least 2'),
+    body('sampling.aql').optional().isFloat({ gt: 0 }).withMessage('AQL must be a positive number'),
+    body('sampling.scheme').optional().isIn(['z1.4', 'c0']).withMessage('Sampling scheme must be z1.4 or c0')
   ],
   inspectionController.createInspection
 );
@@ -69,6 +121,59 @@ router.put(
   inspectionController.updateInspection
 );
 
+/**
+ * @route POST /api/v1/inspections/:id/start
+ * @desc Start an inspection
+ * @access Private (Admin, Manager, Inspector)
+ */
+router.post(
+  '/:id/start',
+  authMiddleware.restrictTo('admin', 'manager', 'inspector'),
+  inspectionController.startInspection
+);
+
+/**
+ * @route POST /api/v1/inspections/:id/complete
+ * @desc Complete an inspection and submit it for review
+ * @access Private (Admin, Manager, Inspector)
+ */
+router.post(
+  '/:id/complete',
+  [
+    authMiddleware.restrictTo('admin', 'manager', 'inspector'),
+    body('notes').optional().isString().withMessage('Notes must be a string')
+  ],
+  inspectionController.completeInspection
+);
+
+/**
+ * @route POST /api/v1/inspections/:id/cancel
+ * @desc Cancel an inspection
+ * @access Private (Admin, Manager, Inspector)
+ */
+router.post(
+  '/:id/cancel',
+  [
+    authMiddleware.restrictTo('admin', 'manager', 'inspector'),
+    body('reason').notEmpty().withMessage('Cancellation reason is required')
+  ],
+  inspectionController.cancelInspection
+);
+
+/**
+ * @route POST /api/v1/inspections/:id/transitions
+ * @desc Apply a workflow action (e.g. approve, reject, close) to an inspection
+ * @access Private (roles are enforced by the inspection workflow)
+ */
+router.post(
+  '/:id/transitions',
+  [
+    body('action').notEmpty().withMessage('Workflow action is required'),
+    body('reason').optional().isString().withMessage('Reason must be a string')
+  ],
+  inspectionController.transitionInspection
+);
+
 /**
  * @route DELETE /api/v1/inspections/:id
  * @desc Delete inspection
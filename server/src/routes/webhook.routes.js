@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const webhookController = require('../controllers/webhook.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const { apiKeyAuth } = require('../services/apiKey.service');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const router = express.Router();
+
+/**
+ * Authenticate API clients by API key, and users as on every other route
+ * @param {string} scope API key scope required
+ * @returns {Function} Express middleware
+ */
+const authenticate = scope => (req, res, next) => (req.headers['x-api-key']
+  ? apiKeyAuth(scope)(req, res, next)
+  : authMiddleware.protect(req, res, next));
+
+const endpointValidation = (optional = false) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['https'], require_protocol: true })
+      .withMessage('Endpoint URL must be an https URL'),
+    field('events').isArray({ min: 1 }).withMessage('Events must list at least one event type'),
+    body('events.*').isString().withMessage('Event types must be strings'),
+    body('enabled').optional().isBoolean().withMessage('Enabled must be true or false')
+  ];
+};
+
+/**
+ * @route GET /api/v1/webhooks/events
+ * @desc List the domain events endpoints can subscribe to, with their payload schemas
+ * @access Private
+ */
+router.get('/events', authenticate('read:webhooks'), webhookController.getEventCatalog);
+
+/**
+ * @route POST /api/v1/webhooks/deliveries/:deliveryId/redeliver
+ * @desc Send a delivery's event to its endpoint again, such as a dead-lettered one
+ * @access Private (endpoint owner or admin)
+ */
+router.post(
+  '/deliveries/:deliveryId/redeliver',
+  authenticate('write:webhooks'),
+  webhookController.redeliver
+);
+
+/**
+ * @route GET /api/v1/webhooks
+ * @desc List webhook endpoints
+ * @access Private
+ */
+router.get('/', authenticate('read:webhooks'), webhookController.getEndpoints);
+
+/**
+ * @route POST /api/v1/webhooks
+ * @desc Register an endpoint for event types; the signing secret is returned once
+ * @access Private
+ */
+router.post(
+  '/',
+  authenticate('write:webhooks'),
+  endpointValidation(),
+  webhookController.createEndpoint
+);
+
+/**
+ * @route GET /api/v1/webhooks/:id
+ * @desc Get a webhook endpoint
+ * @access Private (endpoint owner or admin)
+ */
+router.get('/:id', authenticate('read:webhooks'), webhookController.getEndpoint);
+
+/**
+ * @route PUT /api/v1/webhooks/:id
+ * @desc Update a webhook endpoint
+ * @access Private (endpoint owner or admin)
+ */
+router.put(
+  '/:id',
+  authenticate('write:webhooks'),
+  endpointValidation(true),
+  webhookController.updateEndpoint
+);
+
+/**
+ * @route DELETE /api/v1/webhooks/:id
+ * @desc Delete a webhook endpoint and its delivery log
+ * @access Private (endpoint owner or admin)
+ */
+router.delete('/:id', authenticate('write:webhooks'), webhookController.deleteEndpoint);
+
+/**
+ * @route POST /api/v1/webhooks/:id/rotate-secret
+ * @desc Replace the endpoint's signing secret
+ * @access Private (endpoint owner or admin)
+ */
+router.post('/:id/rotate-secret', authenticate('write:webhooks'), webhookController.rotateSecret);
+
+/**
+ * @route GET /api/v1/webhooks/:id/deliveries
+ * @desc Get the endpoint's delivery log (status, eventType, limit)
+ * @access Private (endpoint owner or admin)
+ */
+router.get(
+  '/:id/deliveries',
+  authenticate('read:webhooks'),
+  [
+    query('status').optional().isIn(WebhookDelivery.DELIVERY_STATUSES)
+      .withMessage(`Status must be one of: ${WebhookDelivery.DELIVERY_STATUSES.join(', ')}`),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  webhookController.getDeliveries
+);
+
+module.exports = router;
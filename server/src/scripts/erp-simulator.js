@@ -0,0 +1,73 @@
+/**
+ * erp-simulator.js
+ *
+ * Runs the local ERP simulator, so the SAP and Oracle connectors can be
+ * developed and demonstrated without vendor sandboxes.
+ *
+ * Usage:
+ *   node erp-simulator.js [--port 3099] [--scenario <name>] [--list]
+ *
+ * Point the connectors at it with the environment lines it prints. Any
+ * credentials are accepted. Change the scenario while it runs with
+ * PUT /__simulator/scenario, e.g. { "name": "rate-limited" }.
+ */
+
+const { createErpSimulator, SCENARIOS } = require('../test-utils/erp-simulator');
+
+const DEFAULT_PORT = 3099;
+
+/**
+ * Parse the command line
+ * @param {string[]} args Arguments after the script name
+ * @returns {Object} Port, scenario and whether to list scenarios
+ */
+function parseArgs(args) {
+  const options = { port: DEFAULT_PORT, scenario: 'default', list: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port') {
+      options.port = parseInt(args[++i], 10);
+    } else if (args[i] === '--scenario') {
+      options.scenario = args[++i];
+    } else if (args[i] === '--list') {
+      options.list = true;
+    }
+  }
+  return options;
+}
+
+/**
+ * Start the simulator and print how to use it
+ * @param {string[]} args Command line arguments
+ * @returns {Promise<Object|null>} Running simulator, or null when only listing
+ */
+async function main(args) {
+  const { port, scenario, list } = parseArgs(args);
+  if (list) {
+    Object.entries(SCENARIOS).forEach(([name, definition]) => {
+      console.log(`${name.padEnd(18)}${definition.description}`);
+    });
+    return null;
+  }
+
+  const simulator = createErpSimulator({ scenario });
+  const url = await simulator.start(port);
+
+  console.log(`ERP simulator listening on ${url} (scenario: ${simulator.scenario.name})`);
+  console.log(`  SAP_API_URL=${url}/sap`);
+  console.log(`  ORACLE_API_URL=${url}/oracle`);
+  console.log(`Control API: ${url}/__simulator`);
+
+  const shutdown = () => simulator.stop().then(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+  return simulator;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = main;
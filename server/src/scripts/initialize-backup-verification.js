@@ -1,52 +1,40 @@
 /**
  * Initialize Backup Verification System
- * 
- * This script initializes the backup verification system and schedules
- * regular verification checks.
+ *
+ * This script registers the backup verification job with the job scheduler,
+ * which runs it on the BACKUP_VERIFICATION_SCHEDULE cron expression, and
+ * can trigger an immediate verification.
  */
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
-const BackupLog = require('../models/backup-log.model');
-const { scheduleVerification } = require('../workers/backup-verification-worker');
+const jobSchedulerService = require('../services/jobScheduler.service');
+const { registerWorkerJobs } = require('../workers');
 
 /**
  * Initialize the backup verification system
  * @param {Object} options - Configuration options
- * @returns {Object} Scheduled verification job
+ * @returns {Promise<Object>} Backup verification job
  */
 async function initializeBackupVerification(options = {}) {
   logger.info('Initializing backup verification system');
-  
+
   const config = {
-    schedule: options.schedule || process.env.BACKUP_VERIFICATION_SCHEDULE || '30 3 * * *', // Default: 3:30 AM daily
     runImmediately: options.runImmediately !== undefined ? options.runImmediately : false
   };
-  
+
   try {
-    // Make sure the BackupLog model is registered
-    if (!mongoose.modelNames().includes('BackupLog')) {
-      logger.info('Registering BackupLog model');
-    }
-    
-    // Schedule regular verification
-    const job = scheduleVerification(config.schedule);
-    logger.info(`Scheduled backup verification with cron schedule: ${config.schedule}`);
-    
+    // Make sure the backup verification job exists
+    registerWorkerJobs();
+    await jobSchedulerService.syncJobs();
+    let job = await jobSchedulerService.getJob('backup-verification');
+    logger.info(`Scheduled backup verification with cron schedule: ${job.cron}`);
+
     // Run an immediate verification if requested
     if (config.runImmediately) {
       logger.info('Running immediate backup verification');
-      const { runVerificationCheck } = require('../workers/backup-verification-worker');
-      
-      // Run asynchronously to not block server startup
-      setTimeout(async () => {
-        try {
-          await runVerificationCheck();
-        } catch (error) {
-          logger.error(`Initial backup verification failed: ${error.message}`);
-        }
-      }, 10000); // Wait 10 seconds after server startup
+      job = await jobSchedulerService.triggerJob('backup-verification');
     }
-    
+
     logger.info('Backup verification system initialized successfully');
     return job;
   } catch (error) {
@@ -63,7 +51,7 @@ if (require.main === module) {
   // Setup minimal environment for testing
   const dotenv = require('dotenv');
   dotenv.config();
-  
+
   // Connect to MongoDB if not already connected
   if (mongoose.connection.readyState === 0) {
     mongoose.connect(process.env.MONGODB_URI)
@@ -73,6 +61,7 @@ if (require.main === module) {
       })
       .then(() => {
         console.log('Backup verification initialized for testing');
+        return mongoose.connection.close();
       })
       .catch(err => {
         console.error('Failed to initialize backup verification:', err);
@@ -88,4 +77,4 @@ if (require.main === module) {
         process.exit(1);
       });
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,76 @@
+/**
+ * verify-audit-export.js
+ *
+ * Offline check of an audit log chain export, for outside auditors. Needs
+ * Node.js only: no database, key store or network access.
+ *
+ * Usage:
+ *   node verify-audit-export.js <export.json> --trust <fingerprint> [--trust <fingerprint> ...]
+ *
+ * Trust the fingerprints of the checkpoint signing keys AeroSuite published
+ * to you (GET /api/v1/audit-chain/signing-key), not the keys in the export.
+ * Exits with 1 when the chain or a checkpoint fails verification.
+ */
+
+const fs = require('fs');
+const { verifyExport } = require('../utils/auditChain');
+
+/**
+ * Parse the command line
+ * @param {string[]} args Arguments after the script name
+ * @returns {Object} Export path and trusted fingerprints
+ */
+function parseArgs(args) {
+  const options = { file: null, trusted: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--trust') {
+      options.trusted.push(String(args[++i] || '').toLowerCase());
+    } else {
+      options.file = args[i];
+    }
+  }
+  return options;
+}
+
+/**
+ * Verify an export file and print the report
+ * @param {string[]} args Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+  const { file, trusted } = parseArgs(args);
+  if (!file) {
+    console.error('Usage: node verify-audit-export.js <export.json> --trust <fingerprint>');
+    return 2;
+  }
+
+  const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const report = verifyExport(exported, trusted);
+
+  console.log(`Tenant:       ${report.tenantId}`);
+  console.log(`Range:        ${report.range.from || 'start'} to ${report.range.to || 'end'}`);
+  console.log(`Records:      ${report.verified} verified (${report.pruned} pruned), sequence ${report.firstSequence} to ${report.lastSequence}`);
+  console.log(`Checkpoints:  ${report.checkpoints.checked} checked, ${report.checkpoints.invalid.length} invalid`);
+
+  if (report.brokenLink) {
+    const { sequence, recordId, reason, expected, actual } = report.brokenLink;
+    console.log(`Broken link:  sequence ${sequence}${recordId ? ` (record ${recordId})` : ''}: ${reason}`);
+    console.log(`  expected ${expected}`);
+    console.log(`  actual   ${actual}`);
+  }
+  report.checkpoints.invalid.forEach(checkpoint => {
+    console.log(`Invalid checkpoint at sequence ${checkpoint.sequence}: ${checkpoint.reason}`);
+  });
+  if (trusted.length === 0 && Object.keys(exported.publicKeys || {}).length > 0) {
+    console.log(`No keys trusted; the export was signed with ${Object.keys(exported.publicKeys).join(', ')}`);
+  }
+
+  console.log(report.valid ? 'Result:       VALID' : 'Result:       INVALID');
+  return report.valid ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)));
+}
+
+module.exports = main;
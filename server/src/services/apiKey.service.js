@@ -2,6 +2,8 @@ const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { auditLogService } = require('./auditLog.service');
+const { setTenantContext } = require('../core/multiTenancy');
+const tenancyConfig = require('../config/tenancy.config');
 const logger = require('../utils/logger');
 
 // API Key schema
@@ -58,6 +60,8 @@ const apiKeySchema = new mongoose.Schema({
       'delete:suppliers',
       'read:reports',
       'write:reports',
+      'read:webhooks',
+      'write:webhooks',
       'read:users',
       'write:users',
       'admin:all'
@@ -570,6 +574,7 @@ const apiKeyAuth = (requiredScope = null) => {
     req.apiKey = result.apiKey;
     req.user = result.user;
     req.scopes = result.scopes;
+    setTenantContext((result.user && result.user.tenantId) || tenancyConfig.defaultTenantId);
     
     next();
   };
@@ -2,6 +2,12 @@ const mongoose = require('mongoose');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const { encrypt, decrypt } = require('../utils/encryption');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { getCurrentTenantId } = require('../core/multiTenancy');
+const keyManagementService = require('./keyManagement.service');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const auditConfig = require('../config/auditLog.config');
+const auditChain = require('../utils/auditChain');
 
 // Audit log schema
 const auditLogSchema = new mongoose.Schema({
@@ -121,13 +127,32 @@ const auditLogSchema = new mongoose.Schema({
   },
   
   complianceTags: [String],
-  
-  // Integrity
+
+  // Integrity: each tenant's records form a hash chain, see utils/auditChain
+  tenantId: {
+    type: String,
+    required: true,
+    default: auditConfig.defaultTenantId
+  },
+
+  // Position in the tenant's chain; records logged before chaining have none
+  sequence: Number,
+
+  prevHash: String,
+
   hash: {
     type: String,
     required: true,
     unique: true
-  }
+  },
+
+  // Set when retention removed the record's content; its links remain
+  pruned: {
+    type: Boolean,
+    default: false
+  },
+
+  prunedAt: Date
 }, {
   timestamps: true,
   collection: 'audit_logs'
@@ -140,56 +165,52 @@ auditLogSchema.index({ userId: 1, createdAt: -1 });
 auditLogSchema.index({ targetId: 1, targetType: 1 });
 auditLogSchema.index({ severity: 1, createdAt: -1 });
 auditLogSchema.index({ retentionDate: 1 });
+auditLogSchema.index(
+  { tenantId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
 
-// Calculate retention date before saving
-auditLogSchema.pre('save', function(next) {
-  if (!this.retentionDate) {
-    // Default retention periods by event type
-    const retentionPeriods = {
-      'AUTH_': 90, // 90 days for auth events
-      'DATA_DELETE': 365 * 7, // 7 years for deletions
-      'COMPLIANCE_': 365 * 7, // 7 years for compliance
-      'SECURITY_': 365 * 2, // 2 years for security
-      'DEFAULT': 365 // 1 year default
-    };
-    
-    let days = retentionPeriods.DEFAULT;
-    for (const [prefix, period] of Object.entries(retentionPeriods)) {
-      if (this.eventType.startsWith(prefix)) {
-        days = period;
-        break;
-      }
+/**
+ * Calculate when an audit record may be pruned
+ * @param {string} eventType Event type
+ * @param {Date} from Time the event was logged
+ * @returns {Date} Retention date
+ */
+const retentionDateFor = (eventType, from = new Date()) => {
+  // Default retention periods by event type
+  const retentionPeriods = {
+    'AUTH_': 90, // 90 days for auth events
+    'DATA_DELETE': 365 * 7, // 7 years for deletions
+    'COMPLIANCE_': 365 * 7, // 7 years for compliance
+    'SECURITY_': 365 * 2, // 2 years for security
+    'DEFAULT': 365 // 1 year default
+  };
+
+  let days = retentionPeriods.DEFAULT;
+  for (const [prefix, period] of Object.entries(retentionPeriods)) {
+    if (eventType.startsWith(prefix)) {
+      days = period;
+      break;
     }
-    
-    this.retentionDate = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
   }
-  
-  next();
-});
 
-// Generate integrity hash
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+// Calculate retention date before saving
 auditLogSchema.pre('save', function(next) {
-  if (!this.hash) {
-    const data = {
-      eventType: this.eventType,
-      userId: this.userId,
-      targetId: this.targetId,
-      action: this.action,
-      ipAddress: this.ipAddress,
-      timestamp: this.createdAt || new Date()
-    };
-    
-    this.hash = crypto
-      .createHash('sha256')
-      .update(JSON.stringify(data))
-      .update(crypto.randomBytes(16))
-      .digest('hex');
+  if (!this.retentionDate) {
+    this.retentionDate = retentionDateFor(this.eventType);
   }
-  
+
   next();
 });
 
-const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+// Registered under its own name; models/AuditLog.js holds the application audit trail
+const AuditLog = mongoose.model('SecurityAuditLog', auditLogSchema);
+
+// Fields pruned records keep, so their links still verify
+const CHAIN_FIELDS = ['_id', 'tenantId', 'sequence', 'prevHash', 'eventType', 'retentionDate', 'createdAt'];
 
 /**
  * Audit logging service
@@ -264,8 +285,16 @@ class AuditLogService {
         encryptedMetadata = encrypt(JSON.stringify(metadata));
       }
       
+      // Chain the entry into its tenant's log
+      const tenantId = eventData.tenantId ||
+        req?.user?.tenantId ||
+        getCurrentTenantId() ||
+        auditConfig.defaultTenantId;
+
       // Create audit log entry
       const auditEntry = {
+        tenantId: String(tenantId),
+        createdAt: new Date(),
         eventType,
         severity,
         userId,
@@ -313,9 +342,9 @@ class AuditLogService {
       if (this.queue.length > 0) {
         await this.flush();
       }
-    }, this.flushInterval);
+    }, this.flushInterval).unref();
   }
-  
+
   /**
    * Flush queued audit logs to database
    */
@@ -323,30 +352,87 @@ class AuditLogService {
     if (this.processing || this.queue.length === 0) {
       return;
     }
-    
+
     this.processing = true;
     const batch = this.queue.splice(0, this.batchSize);
-    
+
+    // Entries keep their logging order within each tenant's chain
+    const byTenant = new Map();
+    batch.forEach(entry => {
+      const entries = byTenant.get(entry.tenantId) || [];
+      entries.push(entry);
+      byTenant.set(entry.tenantId, entries);
+    });
+
     try {
-      await AuditLog.insertMany(batch, { ordered: false });
-      logger.debug(`Flushed ${batch.length} audit logs`);
-    } catch (error) {
-      logger.error('Error flushing audit logs:', error);
-      
-      // Try to save individually on bulk error
-      if (error.code === 11000) { // Duplicate key error
-        for (const entry of batch) {
-          try {
-            await new AuditLog(entry).save();
-          } catch (err) {
-            logger.error('Error saving individual audit log:', err);
-          }
+      for (const [tenantId, entries] of byTenant) {
+        try {
+          await this.appendToChain(tenantId, entries);
+        } catch (error) {
+          logger.error(`Error appending audit logs to the chain of tenant ${tenantId}:`, error);
         }
       }
+      logger.debug(`Flushed ${batch.length} audit logs`);
     } finally {
       this.processing = false;
     }
   }
+
+  /**
+   * Link an entry into a chain after its predecessor
+   * @param {Object} entry - Audit entry
+   * @param {Object|null} previous - Sequence and hash of the chain's last record
+   * @returns {Object} Unsaved record with its chain position and hash
+   */
+  link(entry, previous) {
+    const record = new AuditLog({
+      ...entry,
+      createdAt: entry.createdAt || new Date(),
+      sequence: previous ? previous.sequence + 1 : 1,
+      prevHash: previous ? previous.hash : auditChain.GENESIS_HASH
+    });
+    if (!record.retentionDate) {
+      record.retentionDate = retentionDateFor(record.eventType, record.createdAt);
+    }
+
+    // Hash the values as cast by the schema, as they will be read back
+    record.hash = auditChain.hashRecord(record.toObject());
+    return record;
+  }
+
+  /**
+   * Append entries to a tenant's chain in order
+   * @param {string} tenantId - Tenant ID
+   * @param {Array<Object>} entries - Audit entries
+   * @returns {Promise<Array<Object>>} Stored records
+   */
+  async appendToChain(tenantId, entries) {
+    const stored = [];
+    let remaining = entries;
+
+    for (let attempt = 1; remaining.length > 0; attempt++) {
+      let previous = await AuditLog.findOne({ tenantId, sequence: { $exists: true } })
+        .sort({ sequence: -1 })
+        .select('sequence hash')
+        .lean();
+
+      try {
+        while (remaining.length > 0) {
+          const record = this.link(remaining[0], previous);
+          stored.push(await record.save());
+          previous = { sequence: record.sequence, hash: record.hash };
+          remaining = remaining.slice(1);
+        }
+      } catch (error) {
+        // Another instance appended to the chain first; link the rest after its records
+        if (error.code !== 11000 || attempt >= auditConfig.appendAttempts) {
+          throw error;
+        }
+      }
+    }
+
+    return stored;
+  }
   
   /**
    * Query audit logs
@@ -556,43 +642,299 @@ class AuditLogService {
   
   /**
    * Clean up old audit logs
+   *
+   * Chained records past retention keep their chain fields, so the chain
+   * still verifies; records logged before chaining are deleted.
    * @returns {Promise<Object>} Cleanup results
    */
   async cleanup() {
-    const result = await AuditLog.deleteMany({
-      retentionDate: { $lte: new Date() }
-    });
-    
+    const now = new Date();
+    const content = auditChain.HASHED_FIELDS.filter(field => !CHAIN_FIELDS.includes(field));
+
+    const [pruned, deleted] = await Promise.all([
+      AuditLog.updateMany(
+        { retentionDate: { $lte: now }, sequence: { $exists: true }, pruned: { $ne: true } },
+        {
+          $set: { pruned: true, prunedAt: now },
+          $unset: Object.fromEntries(content.map(field => [field, '']))
+        }
+      ),
+      AuditLog.deleteMany({
+        retentionDate: { $lte: now },
+        sequence: { $exists: false }
+      })
+    ]);
+
     logger.info('Audit log cleanup completed', {
-      deleted: result.deletedCount
+      pruned: pruned.modifiedCount,
+      deleted: deleted.deletedCount
     });
-    
-    return { deleted: result.deletedCount };
+
+    return { pruned: pruned.modifiedCount, deleted: deleted.deletedCount };
   }
-  
+
   /**
    * Verify audit log integrity
    * @param {string} logId - Log ID to verify
    * @returns {Promise<boolean>} Is valid
    */
   async verifyIntegrity(logId) {
-    const log = await AuditLog.findById(logId);
-    if (!log) {
+    const log = await AuditLog.findById(logId).select('+metadata').lean();
+    if (!log || !log.sequence) {
       return false;
     }
-    
-    const data = {
-      eventType: log.eventType,
-      userId: log.userId,
-      targetId: log.targetId,
-      action: log.action,
-      ipAddress: log.ipAddress,
-      timestamp: log.createdAt
+
+    const previous = log.sequence > 1
+      ? await AuditLog.findOne({ tenantId: log.tenantId, sequence: log.sequence - 1 }).select('sequence hash').lean()
+      : null;
+
+    return auditChain.checkLink(log, previous) === null;
+  }
+
+  /**
+   * Get the key pair checkpoints are signed with, creating it on first use
+   * @returns {Promise<Object>} Private key, PEM public key and its fingerprint
+   */
+  async getSigningKey() {
+    let privateKey;
+    try {
+      privateKey = await keyManagementService.getKey(`${auditConfig.signingKeyId}.private`);
+    } catch (error) {
+      ({ privateKey } = await keyManagementService.generateAsymmetricKeyPair(auditConfig.signingKeyId, {
+        rotatable: false,
+        purpose: 'audit-checkpoint-signing'
+      }));
+    }
+
+    const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+    return {
+      keyId: auditConfig.signingKeyId,
+      privateKey,
+      publicKey,
+      fingerprint: auditChain.keyFingerprint(publicKey)
     };
-    
-    // Note: This is a simplified check - in production, 
-    // you'd need to store the salt used in hash generation
-    return log.hash && log.hash.length === 64;
+  }
+
+  /**
+   * Get the public half of the checkpoint signing key, for auditors
+   * @returns {Promise<Object>} Key ID, PEM public key and fingerprint
+   */
+  async getSigningPublicKey() {
+    const { keyId, publicKey, fingerprint } = await this.getSigningKey();
+    return {
+      keyId,
+      publicKey,
+      fingerprint,
+      trustedFingerprints: [fingerprint, ...auditConfig.trustedKeyFingerprints]
+    };
+  }
+
+  /**
+   * Sign a checkpoint of a tenant's chain head, if it moved since the last one
+   * @param {string} tenantId - Tenant ID
+   * @param {Date} now - Signing time
+   * @returns {Promise<Object|null>} Checkpoint, null if there is nothing new
+   */
+  async createCheckpoint(tenantId, now = new Date()) {
+    const [head, latest] = await Promise.all([
+      AuditLog.findOne({ tenantId, sequence: { $exists: true } }).sort({ sequence: -1 }).select('sequence hash').lean(),
+      AuditCheckpoint.findOne({ tenantId }).sort({ sequence: -1 }).select('sequence').lean()
+    ]);
+    if (!head || (latest && latest.sequence >= head.sequence)) {
+      return null;
+    }
+
+    const { keyId, privateKey, publicKey, fingerprint } = await this.getSigningKey();
+    const checkpoint = { tenantId, sequence: head.sequence, hash: head.hash, signedAt: now };
+
+    try {
+      return await AuditCheckpoint.create({
+        ...checkpoint,
+        signature: auditChain.signCheckpoint(checkpoint, privateKey),
+        keyId,
+        keyFingerprint: fingerprint,
+        publicKey
+      });
+    } catch (error) {
+      // Another instance signed the same head
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Sign checkpoints of every tenant's chain
+   * @param {Date} now - Signing time
+   * @returns {Promise<Object>} Tenants checked and checkpoints created
+   */
+  async createCheckpoints(now = new Date()) {
+    const tenantIds = await AuditLog.distinct('tenantId', { sequence: { $exists: true } });
+
+    let created = 0;
+    for (const tenantId of tenantIds) {
+      if (await this.createCheckpoint(tenantId, now)) {
+        created += 1;
+      }
+    }
+
+    return { tenants: tenantIds.length, created };
+  }
+
+  /**
+   * List a tenant's checkpoints, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array<Object>>} Checkpoints
+   */
+  async getCheckpoints(tenantId, { limit = 50 } = {}) {
+    return AuditCheckpoint.find({ tenantId })
+      .select('-publicKey')
+      .sort({ sequence: -1 })
+      .limit(Math.min(Number(limit) || 50, 500))
+      .lean();
+  }
+
+  /**
+   * Resolve the part of a tenant's chain logged within a time range
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} range - Start and end of the range, both optional
+   * @returns {Promise<Object|null>} Chain section and its anchor and checkpoints, null if empty
+   */
+  async getChainSection(tenantId, { from, to } = {}) {
+    const match = { tenantId, sequence: { $exists: true } };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lte = new Date(to);
+    }
+
+    const queriedAt = new Date();
+    const [first, last] = await Promise.all([
+      AuditLog.findOne(match).sort({ sequence: 1 }).select('sequence').lean(),
+      AuditLog.findOne(match).sort({ sequence: -1 }).select('sequence').lean()
+    ]);
+    if (!first) {
+      return null;
+    }
+
+    // Without an end, checkpoints past the last record reveal records removed from the end
+    const sequence = to
+      ? { $gte: first.sequence, $lte: last.sequence }
+      : { $gte: first.sequence };
+    const [anchor, checkpoints] = await Promise.all([
+      first.sequence > 1
+        ? AuditLog.findOne({ tenantId, sequence: first.sequence - 1 }).select('sequence hash').lean()
+        : null,
+      AuditCheckpoint.find({ tenantId, sequence, createdAt: { $lte: queriedAt } })
+        .sort({ sequence: 1 })
+        .lean()
+    ]);
+
+    return {
+      first: first.sequence,
+      last: last.sequence,
+      anchor: anchor ? { sequence: anchor.sequence, hash: anchor.hash } : null,
+      checkpoints
+    };
+  }
+
+  /**
+   * Walk a tenant's chain over a time range and report the first broken link
+   * @param {Object} options - Tenant ID and optional start and end of the range
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyChain({ tenantId, from, to } = {}) {
+    const report = { tenantId, from: from || null, to: to || null };
+    const section = await this.getChainSection(tenantId, { from, to });
+    if (!section) {
+      return { ...report, ...auditChain.createChainVerifier().result() };
+    }
+
+    const { trustedFingerprints } = await this.getSigningPublicKey();
+    const verifier = auditChain.createChainVerifier({
+      anchor: section.anchor,
+      checkpoints: section.checkpoints,
+      trustedFingerprints
+    });
+
+    const cursor = AuditLog.find({ tenantId, sequence: { $gte: section.first, $lte: section.last } })
+      .select('+metadata')
+      .sort({ sequence: 1 })
+      .lean()
+      .cursor({ batchSize: auditConfig.verifyBatchSize });
+
+    for await (const record of cursor) {
+      if (!verifier.add(record)) {
+        break;
+      }
+    }
+
+    const result = { ...report, ...verifier.result() };
+    if (!result.valid) {
+      logger.warn(`Audit log chain of tenant ${tenantId} failed verification`, {
+        brokenLink: result.brokenLink,
+        invalidCheckpoints: result.checkpoints.invalid
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Export a tenant's chain over a time range for offline verification
+   * @param {Object} options - Tenant ID and optional start and end of the range
+   * @returns {Promise<Object>} Export, checked by scripts/verify-audit-export.js
+   */
+  async exportChain({ tenantId, from, to } = {}) {
+    const section = await this.getChainSection(tenantId, { from, to });
+    if (section && section.last - section.first + 1 > auditConfig.exportMaxRecords) {
+      throw new BadRequestError(
+        `The range holds more than ${auditConfig.exportMaxRecords} audit records; export a shorter range`
+      );
+    }
+
+    const records = section
+      ? await AuditLog.find({ tenantId, sequence: { $gte: section.first, $lte: section.last } })
+        .select('+metadata -__v')
+        .sort({ sequence: 1 })
+        .lean()
+      : [];
+
+    const publicKeys = {};
+    const checkpoints = (section ? section.checkpoints : []).map(({ publicKey, _id, __v, ...checkpoint }) => {
+      publicKeys[checkpoint.keyFingerprint] = publicKey;
+      return checkpoint;
+    });
+
+    return {
+      format: auditChain.FORMAT,
+      version: auditChain.FORMAT_VERSION,
+      tenantId,
+      range: { from: from || null, to: to || null },
+      exportedAt: new Date(),
+      hashAlgorithm: 'sha256',
+      signatureAlgorithm: 'RSA-SHA256',
+      genesisHash: auditChain.GENESIS_HASH,
+      hashedFields: auditChain.HASHED_FIELDS,
+      anchor: section ? section.anchor : null,
+      records,
+      checkpoints,
+      publicKeys
+    };
+  }
+
+  /**
+   * Get an audit record's position in its chain
+   * @param {string} logId - Log ID
+   * @returns {Promise<Object>} Record
+   */
+  async getRecord(logId) {
+    const log = await AuditLog.findById(logId).lean();
+    if (!log) {
+      throw new NotFoundError('Audit record not found');
+    }
+    return log;
   }
 }
 
@@ -0,0 +1,351 @@
+/**
+ * Audit Program Service
+ * Plans the yearly supplier audit calendar from each supplier's risk level and
+ * last audit result, and follows up audits that were not held on schedule
+ */
+const SupplierAudit = require('../models/SupplierAudit');
+const Supplier = require('../models/supplier.model');
+const RiskAssessment = require('../models/RiskAssessment');
+const QualityManagement = require('../models/QualityManagement');
+const CalendarEvent = require('../models/CalendarEvent');
+const supplierAuditService = require('./supplierAudit.service');
+const notificationService = require('./notification.service');
+const logger = require('../utils/logger');
+const { BadRequestError } = require('../utils/errors');
+
+// Months between routine audits by supplier risk level
+const AUDIT_INTERVAL_MONTHS = {
+  critical: 3,
+  high: 6,
+  medium: 12,
+  low: 24
+};
+
+const DEFAULT_RISK_LEVEL = 'medium';
+
+// A failed last audit (or score below FAIL_SCORE) gets a follow-up audit after
+// FOLLOW_UP_INTERVAL_MONTHS; a conditional one (or score below CONDITIONAL_SCORE)
+// halves the routine interval
+const FAIL_SCORE = 70;
+const CONDITIONAL_SCORE = 85;
+const FOLLOW_UP_INTERVAL_MONTHS = 3;
+const MIN_INTERVAL_MONTHS = 3;
+
+const OPEN_AUDIT_STATUSES = ['planned', 'in-progress', 'delayed'];
+const OVERDUE_NOTIFY_ROLES = ['admin', 'manager', 'quality'];
+
+exports.AUDIT_INTERVAL_MONTHS = AUDIT_INTERVAL_MONTHS;
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Get the months until a supplier's next audit
+ * @param {string} riskLevel Supplier risk level
+ * @param {Object} [lastAudit] Last completed audit (result, overallScore)
+ * @returns {Object} Interval in months and the reason for it
+ */
+exports.auditIntervalMonths = (riskLevel, lastAudit) => {
+  const base = AUDIT_INTERVAL_MONTHS[riskLevel] || AUDIT_INTERVAL_MONTHS[DEFAULT_RISK_LEVEL];
+  const score = lastAudit?.overallScore;
+
+  if (lastAudit && (lastAudit.result === 'fail' || (score !== undefined && score !== null && score < FAIL_SCORE))) {
+    return {
+      intervalMonths: Math.min(base, FOLLOW_UP_INTERVAL_MONTHS),
+      reason: `Follow-up after failed audit${score !== undefined && score !== null ? ` (score ${score})` : ''}`
+    };
+  }
+
+  if (lastAudit && (lastAudit.result === 'conditional' || (score !== undefined && score !== null && score < CONDITIONAL_SCORE))) {
+    return {
+      intervalMonths: Math.max(MIN_INTERVAL_MONTHS, Math.round(base / 2)),
+      reason: `Halved ${riskLevel} risk interval after conditional audit${score !== undefined && score !== null ? ` (score ${score})` : ''}`
+    };
+  }
+
+  return { intervalMonths: base, reason: `Routine interval for ${riskLevel} risk` };
+};
+
+/**
+ * Plan one supplier's audits for a year. The first audit falls one interval
+ * after the last audit (or as early as possible when none was held or it is
+ * overdue); later audits follow at the routine interval for the risk level.
+ * Planned dates close to an audit that already exists are skipped.
+ * @param {number} year Year to plan
+ * @param {Object} inputs Planning inputs
+ * @param {string} inputs.riskLevel Supplier risk level
+ * @param {Object} [inputs.lastAudit] Last completed audit
+ * @param {Array} [inputs.existingAudits] Audits already scheduled for the supplier
+ * @param {Date} [inputs.now] Current date
+ * @returns {Object} Interval, reason and planned audits
+ */
+exports.planSupplierAudits = (year, { riskLevel, lastAudit, existingAudits = [], now = new Date() }) => {
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const yearEnd = new Date(Date.UTC(year + 1, 0, 1));
+  const earliest = now > yearStart ? startOfUtcDay(now) : yearStart;
+
+  const { intervalMonths, reason } = this.auditIntervalMonths(riskLevel, lastAudit);
+  const routineMonths = this.auditIntervalMonths(riskLevel).intervalMonths;
+
+  let next = lastAudit ? addMonths(lastAudit.auditDate, intervalMonths) : earliest;
+  if (next < earliest) {
+    next = earliest;
+  }
+
+  let auditType = 'surveillance';
+  if (!lastAudit) {
+    auditType = 'initial';
+  } else if (reason.startsWith('Follow-up')) {
+    auditType = 'follow-up';
+  }
+
+  // Half the routine interval either side of a planned date counts as covered
+  const toleranceMs = routineMonths * 30 * 24 * 60 * 60 * 1000 / 2;
+  const audits = [];
+
+  while (next < yearEnd) {
+    const scheduledDate = next;
+    const existing = existingAudits.find(audit =>
+      Math.abs(new Date(audit.scheduledDate || audit.auditDate) - scheduledDate) < toleranceMs
+    );
+
+    audits.push({
+      scheduledDate,
+      auditType,
+      existingAuditId: existing ? existing._id : null
+    });
+
+    auditType = 'surveillance';
+    next = addMonths(next, routineMonths);
+  }
+
+  return { intervalMonths, reason, audits };
+};
+
+/**
+ * Get a supplier's current risk level: the latest risk assessment, falling
+ * back to the QMS risk assessment, then to medium
+ * @param {string} supplierId Supplier ID
+ * @returns {Promise<Object>} Risk level and where it came from
+ */
+exports.getSupplierRiskLevel = async (supplierId) => {
+  const assessment = await RiskAssessment.findOne({ supplierId, status: { $ne: 'archived' } })
+    .sort({ assessmentDate: -1 });
+  if (assessment?.riskLevel) {
+    return { riskLevel: assessment.riskLevel, source: 'risk-assessment' };
+  }
+
+  const qms = await QualityManagement.findOne({ supplierId }).select('riskAssessment');
+  const qmsRiskLevel = qms?.riskAssessment?.overallRiskLevel;
+  if (qmsRiskLevel && qmsRiskLevel !== 'not-assessed') {
+    return { riskLevel: qmsRiskLevel, source: 'quality-management' };
+  }
+
+  return { riskLevel: DEFAULT_RISK_LEVEL, source: 'default' };
+};
+
+/**
+ * Build the audit calendar for a year without creating any audits
+ * @param {number} year Year to plan
+ * @param {Object} [options] Options
+ * @param {Array<string>} [options.supplierIds] Suppliers to plan (defaults to all active suppliers)
+ * @param {Date} [options.now] Current date
+ * @returns {Promise<Array>} Calendar entries per supplier
+ */
+exports.buildAuditCalendar = async (year, options = {}) => {
+  const now = options.now || new Date();
+  if (year < now.getUTCFullYear()) {
+    throw new BadRequestError(`Cannot plan audits for past year ${year}`);
+  }
+
+  const supplierQuery = options.supplierIds ? { _id: { $in: options.supplierIds } } : { status: 'active' };
+  const suppliers = await Supplier.find(supplierQuery).select('name code status');
+
+  const calendar = [];
+  for (const supplier of suppliers) {
+    const [risk, lastAudit, existingAudits] = await Promise.all([
+      this.getSupplierRiskLevel(supplier._id),
+      SupplierAudit.findOne({ supplierId: supplier._id, status: 'completed' }).sort({ auditDate: -1 }),
+      SupplierAudit.find({
+        supplierId: supplier._id,
+        status: { $in: [...OPEN_AUDIT_STATUSES, 'completed'] },
+        auditDate: { $gte: new Date(Date.UTC(year - 1, 0, 1)), $lt: new Date(Date.UTC(year + 2, 0, 1)) }
+      }).select('auditDate scheduledDate status')
+    ]);
+
+    const plan = this.planSupplierAudits(year, { riskLevel: risk.riskLevel, lastAudit, existingAudits, now });
+
+    calendar.push({
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      riskLevel: risk.riskLevel,
+      riskSource: risk.source,
+      lastAudit: lastAudit
+        ? { auditId: lastAudit._id, auditDate: lastAudit.auditDate, result: lastAudit.result, score: lastAudit.overallScore }
+        : null,
+      ...plan
+    });
+  }
+
+  return calendar;
+};
+
+/**
+ * Plan the audit program for a year, creating planned audits for each
+ * calendar slot that is not already covered by an existing audit
+ * @param {number} year Year to plan
+ * @param {Object} [options] Options
+ * @param {Array<string>} [options.supplierIds] Suppliers to plan
+ * @param {string} [options.auditorName] Auditor assigned to the planned audits
+ * @param {string} [options.leadAuditorId] Lead auditor user
+ * @param {string} [options.checklistTemplate] Checklist template name
+ * @param {string} [userId] User planning the program
+ * @returns {Promise<Object>} Calendar and created audits
+ */
+exports.planAuditProgram = async (year, options = {}, userId) => {
+  const calendar = await this.buildAuditCalendar(year, options);
+  const created = [];
+
+  for (const entry of calendar) {
+    for (const slot of entry.audits) {
+      if (slot.existingAuditId) {
+        continue;
+      }
+
+      const audit = await supplierAuditService.createAudit({
+        supplierId: entry.supplierId,
+        title: `${year} ${slot.auditType} audit - ${entry.supplierName}`,
+        auditType: slot.auditType,
+        auditDate: slot.scheduledDate,
+        scheduledDate: slot.scheduledDate,
+        auditorName: options.auditorName || 'Unassigned',
+        leadAuditorId: options.leadAuditorId,
+        status: 'planned',
+        checklistTemplate: options.checklistTemplate ? { name: options.checklistTemplate } : undefined,
+        program: {
+          year,
+          riskLevel: entry.riskLevel,
+          intervalMonths: entry.intervalMonths,
+          plannedBy: userId
+        }
+      });
+
+      slot.existingAuditId = audit._id;
+      created.push(audit);
+    }
+  }
+
+  logger.info(`Planned ${created.length} supplier audits for ${year}`);
+
+  return { year, calendar, created };
+};
+
+/**
+ * Mark audits that were not held on their scheduled date as delayed, notify
+ * the audit owners and quality roles, and add a deadline calendar event.
+ * Each overdue audit is only followed up once.
+ * @param {Object} [options] Options
+ * @param {Date} [options.now] Current date
+ * @param {Array<string>} [options.notifyRoles] Roles to notify
+ * @returns {Promise<Object>} Counts of audits followed up and failures
+ */
+exports.processOverdueAudits = async (options = {}) => {
+  const now = options.now || new Date();
+  const notifyRoles = options.notifyRoles || OVERDUE_NOTIFY_ROLES;
+  const today = startOfUtcDay(now);
+
+  const audits = await SupplierAudit.find({
+    status: { $in: ['planned', 'delayed'] },
+    'overdue.notifiedAt': null,
+    $or: [
+      { scheduledDate: { $lt: today } },
+      { scheduledDate: null, auditDate: { $lt: today } }
+    ]
+  }).populate('supplier', 'name code');
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const audit of audits) {
+    try {
+      await this.followUpOverdueAudit(audit, { now, notifyRoles });
+      processed++;
+    } catch (error) {
+      failed++;
+      logger.error(`Failed to follow up overdue audit ${audit.auditNumber}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Followed up ${processed} overdue supplier audits (${failed} failed)`);
+
+  return { processed, failed };
+};
+
+/**
+ * Follow up a single overdue audit
+ * @param {Object} audit Overdue audit
+ * @param {Object} options Options
+ * @param {Date} options.now Current date
+ * @param {Array<string>} options.notifyRoles Roles to notify
+ * @returns {Promise<Object>} Updated audit
+ */
+exports.followUpOverdueAudit = async (audit, { now, notifyRoles }) => {
+  const scheduledDate = audit.scheduledDate || audit.auditDate;
+  const supplierName = audit.supplier?.name || 'supplier';
+  const owners = [...new Set([audit.leadAuditorId, audit.program?.plannedBy].filter(Boolean).map(id => id.toString()))];
+
+  const notification = {
+    title: `Supplier audit ${audit.auditNumber} is overdue`,
+    message: `The ${audit.auditType} audit of ${supplierName} was scheduled for ${scheduledDate.toISOString().slice(0, 10)} and has not started`,
+    type: 'warning',
+    link: `/supplier-audits/${audit._id}`,
+    resourceType: 'audit',
+    resourceId: audit._id
+  };
+
+  if (owners.length > 0) {
+    await notificationService.createNotifications(owners, notification);
+  }
+
+  // Role lookups depend on the user store; owners are still notified if it fails
+  try {
+    await notificationService.createNotificationsForRoles(notifyRoles, notification);
+  } catch (error) {
+    logger.warn(`Could not notify ${notifyRoles.join(', ')} of overdue audit ${audit.auditNumber}: ${error.message}`);
+  }
+
+  if (owners.length > 0) {
+    const event = await CalendarEvent.create({
+      title: `Overdue: ${audit.title}`,
+      start: now,
+      allDay: true,
+      type: 'deadline',
+      description: notification.message,
+      url: notification.link,
+      color: '#d32f2f',
+      isPublic: true,
+      sourceId: audit._id.toString(),
+      meta: {
+        auditId: audit._id.toString(),
+        supplierId: audit.supplierId.toString(),
+        scheduledDate
+      },
+      userId: owners[0],
+      createdBy: owners[0]
+    });
+    audit.overdue.calendarEventId = event._id;
+  } else {
+    logger.warn(`Overdue audit ${audit.auditNumber} has no lead auditor or planner for a calendar event`);
+  }
+
+  audit.status = 'delayed';
+  audit.overdue.notifiedAt = now;
+  await audit.save();
+
+  return audit;
+};
@@ -0,0 +1,672 @@
+/**
+ * BOM Service
+ * Provides business logic for component bills of materials: BOM lines,
+ * multi-level explosion and implosion, where-used search and the rolled-up
+ * quality status of an assembly
+ */
+const BomItem = require('../models/BomItem');
+const Component = require('../models/component.model');
+const Inspection = require('../models/inspection.model');
+const Capa = require('../models/Capa');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'quantityPer', 'unitOfMeasure', 'referenceDesignators', 'findNumber',
+  'parentRevision', 'effectiveFrom', 'effectiveTo', 'notes'
+];
+
+const COMPONENT_FIELDS = 'name partNumber revision status';
+
+// Default and maximum depth of an explosion or implosion
+const DEFAULT_MAX_LEVELS = 20;
+
+// Inspections whose defects no longer count against an assembly
+const CLOSED_INSPECTION_STATUSES = ['closed', 'cancelled'];
+
+// CAPA statuses that close the defects linked to them
+const CLOSED_CAPA_STATUSES = ['closed', 'cancelled'];
+
+/**
+ * Read the effectivity date, parent revision and depth of a BOM query
+ * @param {Object} [options] Options
+ * @param {Date|string} [options.date] Effectivity date (default now)
+ * @param {string} [options.revision] Revision of the top-level component
+ * @param {number|string} [options.levels] Maximum number of levels
+ * @returns {Object} { date, revision, levels }
+ */
+exports.parseBomOptions = (options = {}) => {
+  const date = options.date ? new Date(options.date) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError('Effectivity date must be a valid date');
+  }
+
+  const levels = options.levels === undefined ? DEFAULT_MAX_LEVELS : Number(options.levels);
+  if (!Number.isInteger(levels) || levels < 1 || levels > DEFAULT_MAX_LEVELS) {
+    throw new BadRequestError(`Levels must be a whole number between 1 and ${DEFAULT_MAX_LEVELS}`);
+  }
+
+  return { date, revision: options.revision || null, levels };
+};
+
+/**
+ * Get a component
+ * @param {string} id Component ID
+ * @returns {Promise<Object>} Component
+ */
+exports.getComponent = async (id) => {
+  const component = await Component.findById(id);
+  if (!component) {
+    throw new NotFoundError(`Component not found with id ${id}`);
+  }
+  return component;
+};
+
+/**
+ * Find a component by ID or part number
+ * @param {Object} query Query
+ * @param {string} [query.componentId] Component ID
+ * @param {string} [query.partNumber] Part number
+ * @returns {Promise<Object>} Component
+ */
+exports.resolveComponent = async ({ componentId, partNumber } = {}) => {
+  if (componentId) {
+    return this.getComponent(componentId);
+  }
+
+  if (!partNumber) {
+    throw new BadRequestError('A component ID or part number is required');
+  }
+
+  const component = await Component.findOne({ partNumber: String(partNumber).trim() });
+  if (!component) {
+    throw new NotFoundError(`Component not found with part number ${partNumber}`);
+  }
+  return component;
+};
+
+/**
+ * Normalize reference designators and check they match the quantity
+ * @param {Array<string>} designators Reference designators
+ * @param {number} quantityPer Quantity per assembly
+ * @returns {Array<string>} Trimmed, upper-case designators
+ */
+exports.normalizeReferenceDesignators = (designators = [], quantityPer) => {
+  const normalized = designators.map(designator => String(designator).trim().toUpperCase()).filter(Boolean);
+
+  const duplicate = normalized.find((designator, index) => normalized.indexOf(designator) !== index);
+  if (duplicate) {
+    throw new BadRequestError(`Reference designator ${duplicate} is listed more than once`);
+  }
+
+  if (normalized.length > 0 && normalized.length !== quantityPer) {
+    throw new BadRequestError(
+      `${normalized.length} reference designators given for a quantity per assembly of ${quantityPer}`
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Whether two BOM lines of a parent can be in effect at the same time
+ * @param {Object} a BOM line
+ * @param {Object} b BOM line
+ * @returns {boolean} True if their revisions and effectivity dates overlap
+ */
+const effectivityOverlaps = (a, b) => {
+  if (a.parentRevision && b.parentRevision && a.parentRevision !== b.parentRevision) {
+    return false;
+  }
+
+  const aFrom = a.effectiveFrom ? new Date(a.effectiveFrom) : new Date(0);
+  const bFrom = b.effectiveFrom ? new Date(b.effectiveFrom) : new Date(0);
+  const aTo = a.effectiveTo ? new Date(a.effectiveTo) : null;
+  const bTo = b.effectiveTo ? new Date(b.effectiveTo) : null;
+
+  return (!bTo || aFrom < bTo) && (!aTo || bFrom < aTo);
+};
+
+/**
+ * Check that a line's reference designators are not used by another line
+ * of the same parent in effect at the same time
+ * @param {Object} line BOM line data
+ * @param {string} [excludeLineId] Line being updated
+ * @returns {Promise<void>}
+ */
+exports.assertReferenceDesignatorsAvailable = async (line, excludeLineId) => {
+  if (!line.referenceDesignators?.length) {
+    return;
+  }
+
+  const others = await BomItem.find({
+    parentComponent: line.parentComponent,
+    referenceDesignators: { $in: line.referenceDesignators }
+  });
+
+  const conflict = others.find(other =>
+    String(other._id) !== String(excludeLineId) && effectivityOverlaps(line, other)
+  );
+
+  if (conflict) {
+    const taken = line.referenceDesignators.filter(designator => conflict.referenceDesignators.includes(designator));
+    throw new ConflictError(`Reference designators ${taken.join(', ')} are already used by another line of this assembly`);
+  }
+};
+
+/**
+ * Whether adding a child to a parent would make the parent its own descendant.
+ * Lines of every revision and effectivity count, so a cycle cannot appear
+ * later when effectivity changes.
+ * @param {string} parentId Parent component ID
+ * @param {string} childId Child component ID
+ * @returns {Promise<boolean>} True if the child already contains the parent
+ */
+exports.wouldCreateCycle = async (parentId, childId) => {
+  const target = String(parentId);
+  const visited = new Set([String(childId)]);
+  let frontier = [String(childId)];
+
+  if (frontier[0] === target) {
+    return true;
+  }
+
+  while (frontier.length > 0) {
+    const lines = await BomItem.find({ parentComponent: { $in: frontier } });
+    const next = [];
+
+    for (const line of lines) {
+      const id = String(line.childComponent);
+      if (id === target) {
+        return true;
+      }
+      if (!visited.has(id)) {
+        visited.add(id);
+        next.push(id);
+      }
+    }
+
+    frontier = next;
+  }
+
+  return false;
+};
+
+/**
+ * Add a line to a component's bill of materials
+ * @param {string} parentId Parent component ID
+ * @param {Object} lineData Line data (childComponent, quantityPer, unitOfMeasure, referenceDesignators, findNumber, parentRevision, effectiveFrom, effectiveTo, notes)
+ * @param {string} userId User adding the line
+ * @returns {Promise<Object>} Created BOM line
+ */
+exports.addBomLine = async (parentId, lineData, userId) => {
+  const parent = await this.getComponent(parentId);
+  const child = await this.getComponent(lineData.childComponent);
+
+  if (String(parent._id) === String(child._id)) {
+    throw new BadRequestError('A component cannot be part of its own bill of materials');
+  }
+
+  const quantityPer = Number(lineData.quantityPer);
+  if (!(quantityPer > 0)) {
+    throw new BadRequestError('Quantity per assembly must be positive');
+  }
+
+  const line = {
+    parentComponent: parent._id,
+    childComponent: child._id,
+    quantityPer,
+    unitOfMeasure: lineData.unitOfMeasure,
+    referenceDesignators: this.normalizeReferenceDesignators(lineData.referenceDesignators, quantityPer),
+    findNumber: lineData.findNumber,
+    parentRevision: lineData.parentRevision || null,
+    effectiveFrom: lineData.effectiveFrom ? new Date(lineData.effectiveFrom) : new Date(),
+    effectiveTo: lineData.effectiveTo ? new Date(lineData.effectiveTo) : null,
+    notes: lineData.notes,
+    createdBy: userId
+  };
+
+  if (await this.wouldCreateCycle(parent._id, child._id)) {
+    throw new ConflictError(
+      `${child.partNumber} already contains ${parent.partNumber}; adding it would create a cycle in the bill of materials`
+    );
+  }
+
+  await this.assertReferenceDesignatorsAvailable(line);
+
+  return BomItem.create(line);
+};
+
+/**
+ * Get a BOM line
+ * @param {string} lineId BOM line ID
+ * @returns {Promise<Object>} BOM line
+ */
+exports.getBomLine = async (lineId) => {
+  const line = await BomItem.findById(lineId);
+  if (!line) {
+    throw new NotFoundError(`BOM line not found with id ${lineId}`);
+  }
+  return line;
+};
+
+/**
+ * Update a BOM line's quantity, designators or effectivity
+ * @param {string} lineId BOM line ID
+ * @param {Object} updateData Updated line data
+ * @returns {Promise<Object>} Updated BOM line
+ */
+exports.updateBomLine = async (lineId, updateData) => {
+  const line = await this.getBomLine(lineId);
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) {
+      line[field] = updateData[field];
+    }
+  });
+
+  if (!(line.quantityPer > 0)) {
+    throw new BadRequestError('Quantity per assembly must be positive');
+  }
+
+  line.referenceDesignators = this.normalizeReferenceDesignators(line.referenceDesignators, line.quantityPer);
+  await this.assertReferenceDesignatorsAvailable(line, line._id);
+
+  await line.save();
+  return line;
+};
+
+/**
+ * Remove a BOM line
+ * @param {string} lineId BOM line ID
+ * @returns {Promise<void>}
+ */
+exports.removeBomLine = async (lineId) => {
+  const line = await BomItem.findByIdAndDelete(lineId);
+  if (!line) {
+    throw new NotFoundError(`BOM line not found with id ${lineId}`);
+  }
+};
+
+/**
+ * Get the single-level bill of materials of a component
+ * @param {string} componentId Component ID
+ * @param {Object} [options] Effectivity date and revision (see parseBomOptions)
+ * @returns {Promise<Array>} BOM lines in effect
+ */
+exports.getBomLines = async (componentId, options = {}) => {
+  const component = await this.getComponent(componentId);
+  const { date, revision } = this.parseBomOptions(options);
+
+  const lines = await BomItem.find({ parentComponent: component._id });
+  return lines.filter(line => line.isEffective(date, revision || component.revision));
+};
+
+/**
+ * Load the BOM lines reachable from a component, one level per query
+ * @param {string} rootId Component ID
+ * @param {string} direction 'down' for children, 'up' for parents
+ * @param {Object} options Parsed options (date, levels)
+ * @returns {Promise<Object>} { linesByComponent, components }
+ */
+exports.loadBomGraph = async (rootId, direction, { date, levels }) => {
+  const from = direction === 'down' ? 'parentComponent' : 'childComponent';
+  const to = direction === 'down' ? 'childComponent' : 'parentComponent';
+  const linesByComponent = new Map();
+  const ids = new Set([String(rootId)]);
+  let frontier = [String(rootId)];
+
+  // One level past the limit is loaded so truncated branches can be flagged
+  for (let level = 0; level <= levels && frontier.length > 0; level++) {
+    const lines = await BomItem.find({ [from]: { $in: frontier } });
+    const next = [];
+
+    lines.filter(line => line.isEffective(date)).forEach(line => {
+      const key = String(line[from]);
+      if (!linesByComponent.has(key)) linesByComponent.set(key, []);
+      linesByComponent.get(key).push(line);
+
+      const id = String(line[to]);
+      if (!ids.has(id)) {
+        ids.add(id);
+        next.push(id);
+      }
+    });
+
+    frontier = next;
+  }
+
+  const components = await Component.find({ _id: { $in: [...ids] } }, COMPONENT_FIELDS);
+  return {
+    linesByComponent,
+    components: new Map(components.map(component => [String(component._id), component]))
+  };
+};
+
+/**
+ * Describe a component in a BOM tree node
+ * @param {string} id Component ID
+ * @param {Map} components Loaded components
+ * @returns {Object} Component summary
+ */
+const describeComponent = (id, components) => {
+  const component = components.get(id);
+  return {
+    componentId: id,
+    partNumber: component?.partNumber || null,
+    name: component?.name || null,
+    revision: component?.revision || null
+  };
+};
+
+/**
+ * Explode a component's bill of materials over multiple levels.
+ * Quantities are extended down the tree; a component reached again on its
+ * own path is reported as a cycle instead of being expanded.
+ * @param {string} componentId Component ID
+ * @param {Object} [options] Effectivity date, top-level revision and levels (see parseBomOptions)
+ * @returns {Promise<Object>} { tree, totals, cycles, summary }
+ */
+exports.explodeBom = async (componentId, options = {}) => {
+  const root = await this.getComponent(componentId);
+  const parsed = this.parseBomOptions(options);
+  const { linesByComponent, components } = await this.loadBomGraph(root._id, 'down', parsed);
+  const totals = new Map();
+  const cycles = [];
+  let lineCount = 0;
+  let depth = 0;
+
+  const explode = (id, path, level, line, extendedQuantity) => {
+    const node = {
+      ...describeComponent(id, components),
+      level,
+      lineId: line ? line._id : null,
+      findNumber: line ? line.findNumber : null,
+      quantityPer: line ? line.quantityPer : null,
+      unitOfMeasure: line ? line.unitOfMeasure : null,
+      referenceDesignators: line ? line.referenceDesignators : [],
+      extendedQuantity,
+      children: []
+    };
+    depth = Math.max(depth, level);
+
+    const revision = level === 0 ? parsed.revision || root.revision : components.get(id)?.revision;
+    const lines = (linesByComponent.get(id) || []).filter(child => child.isEffective(parsed.date, revision));
+
+    if (level >= parsed.levels) {
+      node.truncated = lines.length > 0;
+      return node;
+    }
+
+    lines.forEach(child => {
+      const childId = String(child.childComponent);
+      if (path.includes(childId)) {
+        cycles.push([...path, childId].map(cycleId => components.get(cycleId)?.partNumber || cycleId));
+        return;
+      }
+
+      lineCount += 1;
+      const childQuantity = extendedQuantity * child.quantityPer;
+      const total = totals.get(childId) || { ...describeComponent(childId, components), totalQuantity: 0 };
+      total.totalQuantity += childQuantity;
+      totals.set(childId, total);
+
+      node.children.push(explode(childId, [...path, childId], level + 1, child, childQuantity));
+    });
+
+    return node;
+  };
+
+  const tree = explode(String(root._id), [String(root._id)], 0, null, 1);
+
+  return {
+    date: parsed.date,
+    revision: parsed.revision || root.revision || null,
+    tree,
+    totals: [...totals.values()],
+    cycles,
+    summary: {
+      levels: depth,
+      lines: lineCount,
+      uniqueComponents: totals.size
+    }
+  };
+};
+
+/**
+ * Implode a component: every assembly it is used in, level by level up to
+ * the end items, with the quantity of the component per assembly
+ * @param {string} componentId Component ID
+ * @param {Object} [options] Effectivity date and levels (see parseBomOptions)
+ * @returns {Promise<Object>} { tree, cycles }
+ */
+exports.implodeBom = async (componentId, options = {}) => {
+  const component = await this.getComponent(componentId);
+  const parsed = this.parseBomOptions(options);
+  const { linesByComponent, components } = await this.loadBomGraph(component._id, 'up', parsed);
+  const cycles = [];
+
+  const implode = (id, path, level, line, quantity) => {
+    const node = {
+      ...describeComponent(id, components),
+      level,
+      lineId: line ? line._id : null,
+      quantityPer: line ? line.quantityPer : null,
+      referenceDesignators: line ? line.referenceDesignators : [],
+      quantity,
+      usedIn: []
+    };
+
+    // A line counts when it is in effect for the parent's current revision
+    const lines = (linesByComponent.get(id) || []).filter(parentLine =>
+      parentLine.isEffective(parsed.date, components.get(String(parentLine.parentComponent))?.revision)
+    );
+
+    if (level >= parsed.levels) {
+      node.truncated = lines.length > 0;
+      return node;
+    }
+
+    lines.forEach(parentLine => {
+      const parentId = String(parentLine.parentComponent);
+      if (path.includes(parentId)) {
+        cycles.push([...path, parentId].map(cycleId => components.get(cycleId)?.partNumber || cycleId));
+        return;
+      }
+
+      node.usedIn.push(implode(parentId, [...path, parentId], level + 1, parentLine, quantity * parentLine.quantityPer));
+    });
+
+    return node;
+  };
+
+  return {
+    date: parsed.date,
+    tree: implode(String(component._id), [String(component._id)], 0, null, 1),
+    cycles
+  };
+};
+
+/**
+ * Find every assembly a component is used in, directly or through
+ * sub-assemblies
+ * @param {Object} query Component ID or part number (see resolveComponent)
+ * @param {Object} [options] Effectivity date and levels (see parseBomOptions)
+ * @param {boolean|string} [options.topLevelOnly] Only return end items
+ * @returns {Promise<Object>} Component and the assemblies using it
+ */
+exports.whereUsed = async (query, options = {}) => {
+  const component = await this.resolveComponent(query);
+  const { tree, cycles } = await this.implodeBom(component._id, options);
+  const assemblies = new Map();
+
+  const collect = (node) => {
+    node.usedIn.forEach(parent => {
+      const entry = assemblies.get(parent.componentId) || {
+        componentId: parent.componentId,
+        partNumber: parent.partNumber,
+        name: parent.name,
+        revision: parent.revision,
+        level: parent.level,
+        quantity: 0,
+        topLevel: parent.usedIn.length === 0 && !parent.truncated
+      };
+      entry.level = Math.min(entry.level, parent.level);
+      entry.quantity += parent.quantity;
+      assemblies.set(parent.componentId, entry);
+      collect(parent);
+    });
+  };
+  collect(tree);
+
+  const topLevelOnly = options.topLevelOnly === true || options.topLevelOnly === 'true';
+  const usedIn = [...assemblies.values()]
+    .filter(assembly => !topLevelOnly || assembly.topLevel)
+    .sort((a, b) => a.level - b.level || String(a.partNumber).localeCompare(String(b.partNumber)));
+
+  return {
+    componentId: String(component._id),
+    partNumber: component.partNumber,
+    name: component.name,
+    usedIn,
+    cycles
+  };
+};
+
+/**
+ * Classify open defects into a quality status
+ * @param {Object} openDefects Open defect counts by severity
+ * @returns {string} conforming, conditional or nonconforming
+ */
+exports.classifyQualityStatus = (openDefects) => {
+  if (openDefects.critical > 0 || openDefects.major > 0) return 'nonconforming';
+  if (openDefects.minor > 0) return 'conditional';
+  return 'conforming';
+};
+
+/**
+ * Count the open defects of a set of components. A defect is open until its
+ * CAPA is closed, or, without a CAPA, until the inspection's non-conformance
+ * is dispositioned or the inspection is closed.
+ * @param {Array<string>} componentIds Component IDs
+ * @returns {Promise<Map>} Open defects and inspections by component ID
+ */
+exports.getOpenDefectsByComponent = async (componentIds) => {
+  const inspections = await Inspection.find({
+    componentId: { $in: componentIds },
+    status: { $nin: CLOSED_INSPECTION_STATUSES },
+    'defects.0': { $exists: true }
+  }, 'inspectionNumber componentId status defects nonConformanceReport');
+
+  const capaIds = [...new Set(inspections.flatMap(inspection =>
+    inspection.defects.filter(defect => defect.capaId).map(defect => String(defect.capaId))
+  ))];
+  const capas = capaIds.length > 0 ? await Capa.find({ _id: { $in: capaIds } }, 'status') : [];
+  const capaStatuses = new Map(capas.map(capa => [String(capa._id), capa.status]));
+
+  const byComponent = new Map();
+  inspections.forEach(inspection => {
+    const openDefects = inspection.defects.filter(defect => (
+      defect.capaId
+        ? !CLOSED_CAPA_STATUSES.includes(capaStatuses.get(String(defect.capaId)))
+        : !inspection.nonConformanceReport?.disposition
+    ));
+    if (openDefects.length === 0) {
+      return;
+    }
+
+    const id = String(inspection.componentId);
+    const entry = byComponent.get(id) || { critical: 0, major: 0, minor: 0, total: 0, inspections: [] };
+    openDefects.forEach(defect => {
+      entry[defect.severity || 'minor'] += 1;
+      entry.total += 1;
+    });
+    entry.inspections.push({
+      inspectionId: String(inspection._id),
+      inspectionNumber: inspection.inspectionNumber,
+      status: inspection.status,
+      openDefects: openDefects.length
+    });
+    byComponent.set(id, entry);
+  });
+
+  return byComponent;
+};
+
+/**
+ * Roll the open defects of every component in an assembly's exploded bill
+ * of materials up to each sub-assembly and the assembly itself
+ * @param {string} componentId Assembly component ID
+ * @param {Object} [options] Effectivity date, revision and levels (see parseBomOptions)
+ * @returns {Promise<Object>} Quality status of the assembly, per component and per tree node
+ */
+exports.getAssemblyQualityStatus = async (componentId, options = {}) => {
+  const bom = await this.explodeBom(componentId, options);
+  const componentIds = [bom.tree.componentId, ...bom.totals.map(total => total.componentId)];
+  const defectsByComponent = await this.getOpenDefectsByComponent(componentIds);
+
+  const countDefects = (ids) => {
+    const counts = { critical: 0, major: 0, minor: 0, total: 0 };
+    ids.forEach(id => {
+      const entry = defectsByComponent.get(id);
+      if (entry) {
+        counts.critical += entry.critical;
+        counts.major += entry.major;
+        counts.minor += entry.minor;
+        counts.total += entry.total;
+      }
+    });
+    return counts;
+  };
+
+  // Each component counts once per sub-tree, however often it is used there
+  const rollUp = (node) => {
+    const ids = new Set([node.componentId]);
+    const children = node.children.map(child => {
+      const rolled = rollUp(child);
+      rolled.ids.forEach(id => ids.add(id));
+      return rolled.node;
+    });
+
+    const openDefects = countDefects(ids);
+    return {
+      ids,
+      node: {
+        componentId: node.componentId,
+        partNumber: node.partNumber,
+        level: node.level,
+        extendedQuantity: node.extendedQuantity,
+        ownOpenDefects: countDefects([node.componentId]),
+        openDefects,
+        qualityStatus: this.classifyQualityStatus(openDefects),
+        children
+      }
+    };
+  };
+
+  const { node: tree } = rollUp(bom.tree);
+  const components = componentIds
+    .filter(id => defectsByComponent.has(id))
+    .map(id => {
+      const { inspections, ...openDefects } = defectsByComponent.get(id);
+      const total = bom.totals.find(entry => entry.componentId === id);
+      return {
+        componentId: id,
+        partNumber: id === bom.tree.componentId ? bom.tree.partNumber : total?.partNumber,
+        openDefects,
+        qualityStatus: this.classifyQualityStatus(openDefects),
+        inspections
+      };
+    });
+
+  return {
+    componentId: bom.tree.componentId,
+    partNumber: bom.tree.partNumber,
+    date: bom.date,
+    revision: bom.revision,
+    qualityStatus: tree.qualityStatus,
+    openDefects: tree.openDefects,
+    components,
+    tree,
+    cycles: bom.cycles
+  };
+};
@@ -0,0 +1,455 @@
+/**
+ * CAPA Service
+ * Provides business logic for 8D corrective and preventive actions
+ */
+const Capa = require('../models/Capa');
+const QualityManagement = require('../models/QualityManagement');
+const Inspection = require('../models/inspection.model');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+
+// Fields that can be edited directly; step progression, verification and
+// status are only changed through their dedicated operations
+const EDITABLE_FIELDS = [
+  'title', 'description', 'priority', 'componentId',
+  'team', 'problemDescription', 'rootCause', 'closure'
+];
+
+const CLOSURE_FIELDS = ['summary', 'lessonsLearned', 'teamRecognition'];
+
+// Fields of containment actions and action items that can be edited; IDs
+// and completion dates are kept, and an action item keeps its type
+const CONTAINMENT_ACTION_FIELDS = ['description', 'owner', 'ownerId', 'dueDate', 'status', 'quantityContained', 'notes'];
+const ACTION_ITEM_FIELDS = ['description', 'owner', 'ownerId', 'dueDate', 'status', 'evidence'];
+
+/**
+ * Copy the fields that can be edited
+ * @param {Object} data Updated data
+ * @param {string[]} fields Editable fields
+ * @returns {Object} Editable fields present in the data
+ */
+const pick = (data, fields) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) {
+    picked[field] = data[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Generate the next CAPA number (CAPA-YYMM-###)
+ * @returns {Promise<string>} CAPA number
+ */
+exports.generateCapaNumber = async () => {
+  const date = new Date();
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const prefix = `CAPA-${year}${month}-`;
+
+  const count = await Capa.countDocuments({ capaNumber: { $regex: `^${prefix}` } });
+  return `${prefix}${(count + 1).toString().padStart(3, '0')}`;
+};
+
+/**
+ * Find the non-conformance a CAPA is raised against
+ * @param {string} supplierId Supplier ID
+ * @param {string} ncNumber Non-conformance number
+ * @returns {Promise<Object>} QMS record and non-conformance
+ */
+exports.findNonConformance = async (supplierId, ncNumber) => {
+  const qms = await QualityManagement.findOne({ supplierId, 'nonConformances.ncNumber': ncNumber });
+  if (!qms) {
+    throw new NotFoundError(`Non-conformance ${ncNumber} not found for supplier ${supplierId}`);
+  }
+
+  const nonConformance = qms.nonConformances.find(nc => nc.ncNumber === ncNumber);
+  return { qms, nonConformance };
+};
+
+/**
+ * Find the defect a CAPA is raised against
+ * @param {string} inspectionId Inspection ID
+ * @param {string} defectId Defect ID
+ * @returns {Promise<Object>} Inspection and defect
+ */
+exports.findDefect = async (inspectionId, defectId) => {
+  const inspection = await Inspection.findById(inspectionId);
+  if (!inspection) {
+    throw new NotFoundError(`Inspection not found with id ${inspectionId}`);
+  }
+
+  const defect = inspection.defects.id(defectId);
+  if (!defect) {
+    throw new NotFoundError(`Defect ${defectId} not found on inspection ${inspectionId}`);
+  }
+
+  return { inspection, defect };
+};
+
+/**
+ * Find the active (not cancelled) CAPA linked to a non-conformance
+ * @param {string} supplierId Supplier ID
+ * @param {string} ncNumber Non-conformance number
+ * @returns {Promise<Object|null>} CAPA record
+ */
+exports.getCapaForNonConformance = async (supplierId, ncNumber) => {
+  return Capa.findOne({
+    supplierId,
+    'source.ncNumber': ncNumber,
+    status: { $ne: 'cancelled' }
+  });
+};
+
+/**
+ * Ensure a non-conformance can be closed.
+ * An NC with an active CAPA stays open until the CAPA's effectiveness verification passes.
+ * @param {string} supplierId Supplier ID
+ * @param {string} ncNumber Non-conformance number
+ * @returns {Promise<void>}
+ */
+exports.assertNonConformanceClosable = async (supplierId, ncNumber) => {
+  const capa = await this.getCapaForNonConformance(supplierId, ncNumber);
+
+  if (capa && !capa.isVerified()) {
+    throw new BadRequestError(
+      `Non-conformance ${ncNumber} cannot be closed until effectiveness of ${capa.capaNumber} is verified`
+    );
+  }
+};
+
+/**
+ * Create a CAPA linked to a defect or non-conformance
+ * @param {Object} capaData CAPA data
+ * @param {string} userId ID of the user creating the CAPA
+ * @returns {Promise<Object>} Created CAPA
+ */
+exports.createCapa = async (capaData, userId) => {
+  const source = capaData.source || {};
+  let linkedNonConformance = null;
+  let linkedDefect = null;
+  let supplierId = capaData.supplierId;
+
+  if (source.type === 'non-conformance') {
+    if (!supplierId || !source.ncNumber) {
+      throw new BadRequestError('Supplier ID and NC number are required for a non-conformance CAPA');
+    }
+
+    linkedNonConformance = await this.findNonConformance(supplierId, source.ncNumber);
+
+    const existing = await this.getCapaForNonConformance(supplierId, source.ncNumber);
+    if (existing) {
+      throw new ConflictError(`Non-conformance ${source.ncNumber} is already linked to ${existing.capaNumber}`);
+    }
+  } else if (source.type === 'defect') {
+    if (!source.inspectionId || !source.defectId) {
+      throw new BadRequestError('Inspection ID and defect ID are required for a defect CAPA');
+    }
+
+    linkedDefect = await this.findDefect(source.inspectionId, source.defectId);
+
+    if (linkedDefect.defect.capaId) {
+      throw new ConflictError(`Defect ${source.defectId} is already linked to a CAPA`);
+    }
+
+    supplierId = supplierId || linkedDefect.inspection.supplierId;
+  } else {
+    throw new BadRequestError('CAPA source type must be defect or non-conformance');
+  }
+
+  const capa = new Capa({
+    ...capaData,
+    supplierId,
+    componentId: capaData.componentId || (linkedDefect && linkedDefect.inspection.componentId),
+    source: {
+      type: source.type,
+      inspectionId: source.inspectionId,
+      defectId: source.defectId,
+      ncNumber: source.ncNumber
+    },
+    capaNumber: await this.generateCapaNumber(),
+    status: 'open',
+    currentStep: 'D1',
+    completedSteps: [],
+    verification: { result: 'pending' },
+    createdBy: userId
+  });
+
+  await capa.save();
+
+  // Link the originating record back to the CAPA
+  if (linkedNonConformance) {
+    const { qms, nonConformance } = linkedNonConformance;
+    nonConformance.capaId = capa._id;
+    if (nonConformance.status === 'open') {
+      nonConformance.status = 'in-progress';
+    }
+    await qms.save();
+  }
+
+  if (linkedDefect) {
+    linkedDefect.defect.capaId = capa._id;
+    await linkedDefect.inspection.save();
+  }
+
+  return capa;
+};
+
+/**
+ * Get CAPAs with filtering and pagination
+ * @param {Object} filters Filters (supplierId, status, currentStep, ncNumber)
+ * @param {Object} options Pagination options
+ * @returns {Promise<Object>} CAPAs and pagination data
+ */
+exports.getCapas = async (filters = {}, options = {}) => {
+  const query = {};
+
+  if (filters.supplierId) query.supplierId = filters.supplierId;
+  if (filters.status) query.status = filters.status;
+  if (filters.currentStep) query.currentStep = filters.currentStep;
+  if (filters.ncNumber) query['source.ncNumber'] = filters.ncNumber;
+  if (filters.inspectionId) query['source.inspectionId'] = filters.inspectionId;
+
+  const page = parseInt(options.page, 10) || 1;
+  const limit = parseInt(options.limit, 10) || 10;
+
+  const [capas, total] = await Promise.all([
+    Capa.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Capa.countDocuments(query)
+  ]);
+
+  return {
+    capas,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a CAPA by ID
+ * @param {string} capaId CAPA ID
+ * @returns {Promise<Object>} CAPA record
+ */
+exports.getCapaById = async (capaId) => {
+  const capa = await Capa.findById(capaId);
+  if (!capa) {
+    throw new NotFoundError(`CAPA not found with id ${capaId}`);
+  }
+
+  return capa;
+};
+
+/**
+ * Get a CAPA that can still be worked on
+ * @param {string} capaId CAPA ID
+ * @returns {Promise<Object>} CAPA record
+ */
+exports.getOpenCapa = async (capaId) => {
+  const capa = await this.getCapaById(capaId);
+
+  if (['closed', 'cancelled'].includes(capa.status)) {
+    throw new BadRequestError(`CAPA ${capa.capaNumber} is ${capa.status}`);
+  }
+
+  return capa;
+};
+
+/**
+ * Update CAPA details (team, problem description, root cause, closure notes)
+ * @param {string} capaId CAPA ID
+ * @param {Object} updateData Updated data
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.updateCapa = async (capaId, updateData) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] === undefined) return;
+
+    if (field === 'closure') {
+      CLOSURE_FIELDS.forEach(key => {
+        if (updateData.closure[key] !== undefined) {
+          capa.closure[key] = updateData.closure[key];
+        }
+      });
+    } else {
+      capa[field] = updateData[field];
+    }
+  });
+
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Add a containment action (D3)
+ * @param {string} capaId CAPA ID
+ * @param {Object} actionData Containment action data
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.addContainmentAction = async (capaId, actionData) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  capa.containmentActions.push(actionData);
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Update a containment action
+ * @param {string} capaId CAPA ID
+ * @param {string} actionId Containment action ID
+ * @param {Object} updateData Updated data
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.updateContainmentAction = async (capaId, actionId, updateData) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  const action = capa.containmentActions.id(actionId);
+  if (!action) {
+    throw new NotFoundError(`Containment action ${actionId} not found`);
+  }
+
+  action.set(pick(updateData, CONTAINMENT_ACTION_FIELDS));
+
+  if (updateData.status === 'completed' && !action.completedDate) {
+    action.completedDate = new Date();
+  }
+
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Add a corrective or preventive action item
+ * @param {string} capaId CAPA ID
+ * @param {Object} itemData Action item data (type, description, owner, dueDate)
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.addActionItem = async (capaId, itemData) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  capa.actionItems.push(itemData);
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Update an action item
+ * @param {string} capaId CAPA ID
+ * @param {string} itemId Action item ID
+ * @param {Object} updateData Updated data
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.updateActionItem = async (capaId, itemId, updateData) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  const item = capa.actionItems.id(itemId);
+  if (!item) {
+    throw new NotFoundError(`Action item ${itemId} not found`);
+  }
+
+  item.set(pick(updateData, ACTION_ITEM_FIELDS));
+
+  if (updateData.status === 'completed' && !item.completedDate) {
+    item.completedDate = new Date();
+  }
+
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Record the effectiveness verification of the corrective actions
+ * @param {string} capaId CAPA ID
+ * @param {Object} verificationData Verification data (method, acceptanceCriteria, result, evidence)
+ * @param {string} userId ID of the verifying user
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.verifyEffectiveness = async (capaId, verificationData, userId) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  if (!['effective', 'not-effective'].includes(verificationData.result)) {
+    throw new BadRequestError('Verification result must be effective or not-effective');
+  }
+
+  const stepIndex = Capa.EIGHT_D_STEPS.indexOf(capa.currentStep);
+  if (stepIndex < Capa.EIGHT_D_STEPS.indexOf('D6')) {
+    throw new BadRequestError('Effectiveness can only be verified once corrective actions are defined (D6)');
+  }
+
+  const openCorrective = capa.actionItems.filter(item =>
+    item.type === 'corrective' && !['completed', 'cancelled'].includes(item.status)
+  );
+  if (openCorrective.length > 0) {
+    throw new BadRequestError('All corrective action items must be completed before verification');
+  }
+
+  capa.verification = {
+    method: verificationData.method,
+    acceptanceCriteria: verificationData.acceptanceCriteria,
+    result: verificationData.result,
+    evidence: verificationData.evidence,
+    verifiedBy: userId,
+    verifiedDate: new Date()
+  };
+
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Complete the current 8D discipline and advance to the next one
+ * @param {string} capaId CAPA ID
+ * @param {string} userId ID of the user completing the step
+ * @returns {Promise<Object>} Updated CAPA
+ */
+exports.completeStep = async (capaId, userId) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  const blockers = capa.getStepBlockers();
+  if (blockers.length > 0) {
+    throw new BadRequestError(`Cannot complete ${capa.currentStep}: ${blockers.join('; ')}`);
+  }
+
+  capa.completeCurrentStep(userId);
+  await capa.save();
+
+  return capa;
+};
+
+/**
+ * Cancel a CAPA and release its link to the originating record
+ * @param {string} capaId CAPA ID
+ * @param {string} reason Cancellation reason
+ * @returns {Promise<Object>} Cancelled CAPA
+ */
+exports.cancelCapa = async (capaId, reason) => {
+  const capa = await this.getOpenCapa(capaId);
+
+  if (!reason) {
+    throw new BadRequestError('Cancellation reason is required');
+  }
+
+  capa.status = 'cancelled';
+  capa.cancellationReason = reason;
+  await capa.save();
+
+  if (capa.source.type === 'defect') {
+    const { inspection, defect } = await this.findDefect(capa.source.inspectionId, capa.source.defectId);
+    defect.capaId = undefined;
+    await inspection.save();
+  }
+
+  return capa;
+};
@@ -0,0 +1,345 @@
+/**
+ * Certification Monitor Service
+ * Watches supplier qualifications, certifications, QMS certificates and
+ * quality document expiry dates, warns before they lapse and marks lapsed
+ * certificates expired
+ */
+const Supplier = require('../models/supplier.model');
+const QualityManagement = require('../models/QualityManagement');
+const CertificationExpiryNotice = require('../models/CertificationExpiryNotice');
+const notificationService = require('./notification.service');
+const { publishCertificationExpiring } = require('../domains/supplier/events/publishers');
+const emailService = require('./email.service');
+const certificationConfig = require('../config/certification.config');
+const emailConfig = require('../config/email.config');
+const { runWithTenant } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records in these states are no longer watched
+const INACTIVE_QUALIFICATION_STATUSES = ['revoked', 'pending'];
+const INACTIVE_QMS_CERTIFICATION_STATUSES = ['not-applicable', 'pending'];
+
+// Records in these states do not count as a current certificate
+const LAPSED_STATUSES = ['expired', 'revoked', 'suspended'];
+
+const BLOCKED_OPERATION_LABELS = {
+  inspections: 'inspections',
+  purchaseOrders: 'purchase orders'
+};
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+};
+
+/**
+ * Get whole days from one date until an expiry date (0 on the expiry date,
+ * negative once lapsed)
+ * @param {Date} expiryDate Expiry date
+ * @param {Date} now Current date
+ * @returns {number} Days remaining
+ */
+exports.daysUntil = (expiryDate, now) => Math.round((startOfUtcDay(expiryDate) - startOfUtcDay(now)) / DAY_MS);
+
+/**
+ * Get the most urgent warning threshold a record has reached
+ * @param {number} daysRemaining Days until expiry
+ * @param {Array<number>} [warningDays] Warning thresholds in days
+ * @returns {number|null} Threshold, or null when no warning is due yet
+ */
+exports.dueThreshold = (daysRemaining, warningDays = certificationConfig.warningDays) => {
+  const reached = warningDays.filter(days => daysRemaining <= days);
+  return reached.length > 0 ? Math.min(...reached) : null;
+};
+
+/**
+ * List a supplier's records that have an expiry date
+ * @param {Object} supplier Supplier document
+ * @param {Object} [qms] Supplier's quality management record
+ * @returns {Array} Records with their source, name, expiry date and status
+ */
+exports.collectExpiringRecords = (supplier, qms) => {
+  const records = [];
+
+  (supplier.qualifications || []).forEach(qualification => {
+    if (qualification.expiryDate && !INACTIVE_QUALIFICATION_STATUSES.includes(qualification.status)) {
+      records.push({
+        source: 'qualification',
+        recordId: qualification._id.toString(),
+        name: qualification.type,
+        expiryDate: qualification.expiryDate,
+        status: qualification.status,
+        target: qualification
+      });
+    }
+  });
+
+  (supplier.certifications || []).forEach(certification => {
+    if (certification.expiryDate) {
+      records.push({
+        source: 'certification',
+        recordId: certification._id.toString(),
+        name: certification.name,
+        expiryDate: certification.expiryDate,
+        status: null,
+        target: certification
+      });
+    }
+  });
+
+  if (qms) {
+    const certification = qms.qmsCertification || {};
+    if (certification.expiryDate && !INACTIVE_QMS_CERTIFICATION_STATUSES.includes(certification.status)) {
+      records.push({
+        source: 'qms-certification',
+        recordId: qms._id.toString(),
+        name: `${qms.qmsType} certification${certification.certificationNumber ? ` ${certification.certificationNumber}` : ''}`,
+        expiryDate: certification.expiryDate,
+        status: certification.status,
+        target: certification
+      });
+    }
+
+    (qms.qualityDocuments || []).forEach(document => {
+      if (document.expiryDate) {
+        records.push({
+          source: 'quality-document',
+          recordId: document._id.toString(),
+          name: document.name,
+          expiryDate: document.expiryDate,
+          status: null,
+          target: document
+        });
+      }
+    });
+  }
+
+  return records;
+};
+
+/**
+ * Check one supplier's records: mark lapsed certificates expired and send
+ * each warning threshold that is due and has not been sent yet
+ * @param {Object} supplier Supplier document
+ * @param {Object} [qms] Supplier's quality management record
+ * @param {Object} [options] Options
+ * @param {Date} [options.now] Current date
+ * @returns {Promise<Object>} Counts of warnings sent and certificates expired
+ */
+exports.checkSupplier = async (supplier, qms, options = {}) => {
+  const now = options.now || new Date();
+  const result = { warnings: 0, expired: 0 };
+  let supplierChanged = false;
+  let qmsChanged = false;
+
+  for (const record of this.collectExpiringRecords(supplier, qms)) {
+    const daysRemaining = this.daysUntil(record.expiryDate, now);
+    let statusChanged = false;
+
+    if (daysRemaining <= 0 && record.status === 'active') {
+      record.target.status = 'expired';
+      statusChanged = true;
+      result.expired++;
+      if (record.source === 'qms-certification') {
+        qmsChanged = true;
+      } else {
+        supplierChanged = true;
+      }
+      logger.info(`Marked ${record.name} of supplier ${supplier.name} expired`);
+    }
+
+    const threshold = this.dueThreshold(daysRemaining);
+    if (threshold === null) {
+      continue;
+    }
+
+    const noticeKey = {
+      source: record.source,
+      recordId: record.recordId,
+      expiryDate: record.expiryDate,
+      threshold
+    };
+    if (await CertificationExpiryNotice.exists(noticeKey)) {
+      continue;
+    }
+
+    const emailsSent = await this.sendExpiryWarning(supplier, qms, record, daysRemaining);
+
+    try {
+      await CertificationExpiryNotice.create({
+        ...noticeKey,
+        supplierId: supplier._id,
+        name: record.name,
+        daysRemaining,
+        statusChanged,
+        emailsSent,
+        sentAt: now
+      });
+    } catch (error) {
+      // Another monitor run recorded the same warning
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+    result.warnings++;
+  }
+
+  if (supplierChanged) {
+    await supplier.save();
+  }
+  if (qmsChanged) {
+    await qms.save();
+  }
+
+  return result;
+};
+
+/**
+ * Send an expiry warning in-app to the quality roles and by email to the
+ * supplier's contacts and the system admins
+ * @param {Object} supplier Supplier document
+ * @param {Object} [qms] Supplier's quality management record
+ * @param {Object} record Expiring record
+ * @param {number} daysRemaining Days until expiry
+ * @returns {Promise<number>} Number of emails sent
+ */
+exports.sendExpiryWarning = async (supplier, qms, record, daysRemaining) => {
+  const lapsed = daysRemaining <= 0;
+  const expiry = new Date(record.expiryDate).toISOString().slice(0, 10);
+
+  try {
+    await notificationService.createNotificationsForRoles(certificationConfig.notifyRoles, {
+      title: lapsed ? `${record.name} has expired` : `${record.name} expires in ${daysRemaining} days`,
+      message: `${supplier.name}: ${record.name} ${lapsed ? 'expired' : 'expires'} on ${expiry}`,
+      type: lapsed ? 'error' : 'warning',
+      link: `/suppliers/${supplier._id}`,
+      resourceType: 'supplier',
+      resourceId: supplier._id
+    });
+  } catch (error) {
+    logger.warn(`Could not send in-app expiry warning for ${record.name} of supplier ${supplier.name}: ${error.message}`);
+  }
+
+  // Subscribers are notified on their own channels by the notification rules
+  try {
+    publishCertificationExpiring(supplier, record, daysRemaining);
+  } catch (error) {
+    logger.warn(`Could not publish expiry of ${record.name} of supplier ${supplier.name}: ${error.message}`);
+  }
+
+  if (!emailConfig.notifications.enabled || !emailConfig.notifications.types.certificationExpiry) {
+    return 0;
+  }
+
+  const recipients = new Set([
+    supplier.primaryContactEmail,
+    ...(qms?.qualityContacts || []).map(contact => contact.email),
+    ...emailConfig.notifications.systemAdmins
+  ].filter(Boolean));
+
+  let emailsSent = 0;
+  for (const to of recipients) {
+    try {
+      await emailService.sendCertificationExpiryNotification(to, supplier.name, record.name, record.expiryDate, daysRemaining);
+      emailsSent++;
+    } catch (error) {
+      logger.error(`Failed to send expiry warning for ${record.name} to ${to}: ${error.message}`);
+    }
+  }
+
+  return emailsSent;
+};
+
+/**
+ * Check every supplier that is not inactive
+ * @param {Object} [options] Options
+ * @param {Date} [options.now] Current date
+ * @returns {Promise<Object>} Suppliers checked, warnings sent, certificates expired and failures
+ */
+exports.runExpiryMonitor = async (options = {}) => {
+  const now = options.now || new Date();
+  const suppliers = await Supplier.find({ status: { $ne: 'inactive' } });
+  const qmsRecords = await QualityManagement.find({ supplierId: { $in: suppliers.map(supplier => supplier._id) } });
+  const qmsBySupplier = new Map(qmsRecords.map(qms => [qms.supplierId.toString(), qms]));
+
+  const summary = { checked: 0, warnings: 0, expired: 0, failed: 0 };
+
+  for (const supplier of suppliers) {
+    try {
+      // Warnings are raised within the supplier's tenant, which receives their events
+      const result = await runWithTenant(
+        supplier.tenantId,
+        () => this.checkSupplier(supplier, qmsBySupplier.get(supplier._id.toString()), { now })
+      );
+      summary.checked++;
+      summary.warnings += result.warnings;
+      summary.expired += result.expired;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Failed to check certificate expiry for supplier ${supplier.name}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Get the mandatory certifications a supplier holds only lapsed records of.
+ * A certification the supplier never held is not reported as lapsed.
+ * @param {Object|string} supplierOrId Supplier document or ID
+ * @param {Object} [options] Options
+ * @param {Date} [options.now] Current date
+ * @returns {Promise<Array>} Lapsed mandatory certifications with their records
+ */
+exports.getLapsedMandatoryCertifications = async (supplierOrId, options = {}) => {
+  const now = options.now || new Date();
+  const supplier = typeof supplierOrId === 'object' && supplierOrId._id
+    ? supplierOrId
+    : await Supplier.findById(supplierOrId);
+  if (!supplier) {
+    throw new NotFoundError(`Supplier not found with id ${supplierOrId}`);
+  }
+
+  const qms = await QualityManagement.findOne({ supplierId: supplier._id });
+  const records = this.collectExpiringRecords(supplier, qms).filter(record => record.source !== 'quality-document');
+
+  return certificationConfig.mandatoryCertifications
+    .map(certification => {
+      const matching = records.filter(record => record.name.toLowerCase().includes(certification.toLowerCase()));
+      const current = matching.some(record =>
+        !LAPSED_STATUSES.includes(record.status) && this.daysUntil(record.expiryDate, now) > 0
+      );
+      return matching.length > 0 && !current
+        ? {
+          certification,
+          records: matching.map(record => ({ source: record.source, name: record.name, expiryDate: record.expiryDate }))
+        }
+        : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Refuse an operation for a supplier with a lapsed mandatory certification,
+ * when blocking is enabled for that operation
+ * @param {Object|string} supplierOrId Supplier document or ID
+ * @param {string} operation Operation ('inspections' or 'purchaseOrders')
+ * @returns {Promise<void>}
+ */
+exports.assertSupplierCertified = async (supplierOrId, operation) => {
+  if (!certificationConfig.block[operation]) {
+    return;
+  }
+
+  const lapsed = await this.getLapsedMandatoryCertifications(supplierOrId);
+  if (lapsed.length > 0) {
+    const supplierName = supplierOrId.name || supplierOrId;
+    throw new ConflictError(
+      `Supplier ${supplierName} has lapsed mandatory certification ${lapsed.map(item => item.certification).join(', ')}; ` +
+      `new ${BLOCKED_OPERATION_LABELS[operation]} are blocked until it is renewed`
+    );
+  }
+};
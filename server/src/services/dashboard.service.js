@@ -0,0 +1,673 @@
+/**
+ * Dashboard Service
+ * Persisted dashboards with widgets backed by report queries. Widget results
+ * are cached in the cache manager for the widget's refresh interval and run
+ * with the viewer's roles, so role-restricted fields stay hidden from
+ * viewers who cannot see them.
+ */
+const crypto = require('crypto');
+const Dashboard = require('../models/Dashboard');
+const ReportTemplate = require('../models/ReportTemplate');
+const reportQueryService = require('./reportQuery.service');
+const { getDefaultCacheManager } = require('../infrastructure/caching');
+const dashboardConfig = require('../config/dashboard.config');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ForbiddenError, ValidationError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ordered from least to most access
+const ACCESS_LEVELS = ['view', 'edit', 'owner'];
+
+const DASHBOARD_FIELDS = ['name', 'description', 'team', 'visibility', 'isLocked'];
+// Fields only the owner may change
+const OWNER_FIELDS = ['team', 'visibility', 'sharedWith', 'isLocked'];
+const WIDGET_FIELDS = ['title', 'type', 'dataSource', 'refreshInterval', 'position', 'options'];
+
+// Number of groupBy fields and aggregates each widget type shows
+const WIDGET_SHAPES = {
+  kpi: { groupBy: [0, 0], aggregates: [1, 1] },
+  timeSeries: { groupBy: [1, 2], aggregates: [1, 10], bucketed: true },
+  pareto: { groupBy: [1, 1], aggregates: [1, 1] },
+  heatmap: { groupBy: [2, 2], aggregates: [1, 1] }
+};
+
+const pick = (data = {}, fields) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) {
+    picked[field] = data[field];
+  }
+  return picked;
+}, {});
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const hasAccess = (access, required) =>
+  Boolean(access) && ACCESS_LEVELS.indexOf(access) >= ACCESS_LEVELS.indexOf(required);
+
+const highestAccess = levels => levels.reduce(
+  (highest, level) => (ACCESS_LEVELS.indexOf(level) > ACCESS_LEVELS.indexOf(highest) ? level : highest),
+  null
+);
+
+/**
+ * Get the teams of a user
+ * @param {Object} user User, as set on the request
+ * @returns {string[]} Team names
+ */
+exports.teamsOf = (user) => {
+  if (!user) {
+    return [];
+  }
+  return [...new Set([user.team, ...(user.teams || [])].filter(Boolean))];
+};
+
+/**
+ * Get a user's access to a dashboard. Admins and the owner have owner
+ * access, team members edit access, and organization dashboards can be
+ * viewed by everyone.
+ * @param {Object} dashboard Dashboard
+ * @param {Object} user User, as set on the request
+ * @returns {string|null} view, edit, owner, or null without access
+ */
+exports.getAccess = (dashboard, user) => {
+  if (!user) {
+    return null;
+  }
+  if (reportQueryService.rolesOf(user).includes('admin') || String(dashboard.owner) === String(user._id)) {
+    return 'owner';
+  }
+
+  const levels = [];
+  const shared = (dashboard.sharedWith || []).find(entry => String(entry.user) === String(user._id));
+  if (shared) {
+    levels.push(shared.permission);
+  }
+  if (dashboard.team && this.teamsOf(user).includes(dashboard.team)) {
+    levels.push('edit');
+  }
+  if (dashboard.visibility === 'organization') {
+    levels.push('view');
+  }
+  return highestAccess(levels);
+};
+
+/**
+ * Get a dashboard the user has the required access to
+ * @param {string} id Dashboard ID
+ * @param {Object} user User, as set on the request
+ * @param {string} [required] view, edit or owner
+ * @returns {Promise<Object>} { dashboard, access }
+ * @throws {NotFoundError} If the dashboard does not exist or the user cannot view it
+ * @throws {ForbiddenError} If the user can view but not change it
+ */
+exports.getDashboard = async (id, user, required = 'view') => {
+  const dashboard = await Dashboard.findById(id);
+  const access = dashboard ? this.getAccess(dashboard, user) : null;
+  if (!access) {
+    throw new NotFoundError(`Dashboard not found with id ${id}`);
+  }
+  if (!hasAccess(access, required)) {
+    throw new ForbiddenError(`You need ${required} access to this dashboard`);
+  }
+  if (required === 'edit' && dashboard.isLocked && access !== 'owner') {
+    throw new ForbiddenError('This dashboard is locked by its owner');
+  }
+  return { dashboard, access };
+};
+
+/**
+ * Shape a dashboard for the client: the dashboard, its widgets and layouts
+ * @param {Object} dashboard Dashboard
+ * @param {string} access User's access
+ * @returns {Object} { dashboard, widgets, layouts, access }
+ */
+exports.toClient = (dashboard, access) => {
+  const { widgets = [], layouts, shareLinks: _shareLinks, ...fields } = dashboard.toJSON();
+  return {
+    dashboard: access === 'owner' ? fields : { ...fields, sharedWith: undefined },
+    widgets,
+    layouts: layouts || null,
+    access
+  };
+};
+
+/**
+ * List the dashboards a user can view
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Array>} Dashboards without widgets, with the user's access
+ */
+exports.getDashboards = async (user) => {
+  const query = reportQueryService.rolesOf(user).includes('admin')
+    ? {}
+    : {
+      $or: [
+        { owner: user._id },
+        { 'sharedWith.user': user._id },
+        { team: { $in: this.teamsOf(user) } },
+        { visibility: 'organization' }
+      ]
+    };
+
+  const dashboards = await Dashboard.find(query).sort({ updatedAt: -1 });
+  return dashboards.map((dashboard) => {
+    const { widgets = [], layouts: _layouts, sharedWith: _sharedWith, shareLinks: _shareLinks, ...fields } = dashboard.toJSON();
+    return { ...fields, widgetCount: widgets.length, access: this.getAccess(dashboard, user) };
+  });
+};
+
+/**
+ * Check a user may give a dashboard to a team
+ * @param {string} [team] Team name
+ * @param {Object} user User, as set on the request
+ * @throws {ForbiddenError} If the user is not a member of the team
+ */
+const checkTeamMember = (team, user) => {
+  if (team && !exports.teamsOf(user).includes(team) && !reportQueryService.rolesOf(user).includes('admin')) {
+    throw new ForbiddenError(`You are not a member of team ${team}`);
+  }
+};
+
+/**
+ * Create a dashboard owned by the user
+ * @param {Object} data Dashboard fields and widgets
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Created dashboard
+ */
+exports.createDashboard = async (data, user) => {
+  const fields = pick(data, DASHBOARD_FIELDS);
+  checkTeamMember(fields.team, user);
+
+  const dashboard = new Dashboard({
+    ...fields,
+    widgets: (data.widgets || []).map(widget => pick(widget, WIDGET_FIELDS)),
+    layouts: data.layouts,
+    owner: user._id
+  });
+  for (const widget of dashboard.widgets) {
+    await this.validateWidget(widget, user);
+  }
+  await dashboard.save();
+
+  logger.info(`Dashboard ${dashboard.name} created by ${user._id}`);
+  return dashboard;
+};
+
+/**
+ * Update a dashboard. Team, visibility, sharing and locking can only be
+ * changed by the owner.
+ * @param {string} id Dashboard ID
+ * @param {Object} data Fields to update
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} { dashboard, access }
+ */
+exports.updateDashboard = async (id, data, user) => {
+  const fields = pick(data, [...DASHBOARD_FIELDS, 'sharedWith']);
+  const changesOwnerFields = OWNER_FIELDS.some(field => fields[field] !== undefined);
+  const { dashboard, access } = await this.getDashboard(id, user, changesOwnerFields ? 'owner' : 'edit');
+  if (fields.team && fields.team !== dashboard.team) {
+    checkTeamMember(fields.team, user);
+  }
+
+  dashboard.set(fields);
+  await dashboard.save();
+  return { dashboard, access };
+};
+
+/**
+ * Save the client's grid layouts of a dashboard, keeping widget positions
+ * in step with the largest breakpoint
+ * @param {string} id Dashboard ID
+ * @param {Object} layouts Layout items by breakpoint
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} { dashboard, access }
+ */
+exports.updateLayout = async (id, layouts, user) => {
+  const { dashboard, access } = await this.getDashboard(id, user, 'edit');
+
+  if (!layouts || typeof layouts !== 'object' || Array.isArray(layouts)
+    || !Object.values(layouts).every(Array.isArray)) {
+    throw new BadRequestError('Layouts must be lists of layout items by breakpoint');
+  }
+  const widgetIds = new Set(dashboard.widgets.map(widget => String(widget._id)));
+  const unknown = Object.values(layouts).flat().filter(item => !item || !widgetIds.has(String(item.i)));
+  if (unknown.length > 0) {
+    throw new BadRequestError('Layouts can only position widgets of the dashboard');
+  }
+
+  (layouts.lg || []).forEach((item) => {
+    const widget = dashboard.widgets.id(item.i);
+    widget.position = { x: item.x, y: item.y, w: item.w, h: item.h };
+  });
+  dashboard.layouts = layouts;
+  dashboard.markModified('layouts');
+  await dashboard.save();
+
+  return { dashboard, access };
+};
+
+/**
+ * Delete a dashboard and its cached widget results
+ * @param {string} id Dashboard ID
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Deleted dashboard
+ */
+exports.deleteDashboard = async (id, user) => {
+  const { dashboard } = await this.getDashboard(id, user, 'owner');
+  await Dashboard.deleteOne({ _id: dashboard._id });
+  await getDefaultCacheManager().invalidateByTag(`dashboard:${dashboard._id}`);
+
+  logger.info(`Dashboard ${dashboard.name} deleted by ${user._id}`);
+  return dashboard;
+};
+
+/**
+ * Export a dashboard definition without its owner and sharing
+ * @param {string} id Dashboard ID
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Dashboard definition
+ */
+exports.exportDashboard = async (id, user) => {
+  const { dashboard } = await this.getDashboard(id, user);
+  const { name, description, layouts, widgets } = dashboard.toObject();
+
+  return {
+    name,
+    description,
+    layouts,
+    widgets: widgets.map(widget => ({ id: String(widget._id), ...pick(widget, WIDGET_FIELDS) })),
+    exportedAt: new Date()
+  };
+};
+
+/**
+ * Get the report query of a widget, from its template section or its own
+ * @param {Object} widget Widget
+ * @param {Object} [options] { user } to check the user may read the template
+ * @returns {Promise<Object>} Report query
+ */
+exports.resolveWidgetQuery = async (widget, { user } = {}) => {
+  const dataSource = widget.dataSource || {};
+  if (!dataSource.template) {
+    return dataSource.reportQuery;
+  }
+
+  const template = await ReportTemplate.findById(dataSource.template);
+  if (!template) {
+    throw new NotFoundError(`Report template not found with id ${dataSource.template}`);
+  }
+  if (user && !template.isPublic && String(template.createdBy) !== String(user._id)
+    && !reportQueryService.rolesOf(user).includes('admin')) {
+    throw new ForbiddenError('You do not have access to this report template');
+  }
+
+  const section = template.sections.id(dataSource.section);
+  if (!section) {
+    throw new NotFoundError(`Section ${dataSource.section} not found in report template ${template.name}`);
+  }
+
+  const { dataSource: sectionSource = {}, columns } = section.toObject();
+  const { reportQuery, reason } = reportQueryService.toReportQuery(sectionSource, columns);
+  if (!reportQuery) {
+    throw new BadRequestError(`Section ${section.title} cannot back a widget: ${reason}`);
+  }
+  return reportQuery;
+};
+
+/**
+ * Check a widget's report query fits its type and can be run by the user
+ * @param {Object} widget Widget
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<void>}
+ * @throws {ValidationError} If the query does not fit the widget type
+ */
+exports.validateWidget = async (widget, user) => {
+  const query = await this.resolveWidgetQuery(widget, { user });
+  const shape = WIDGET_SHAPES[widget.type];
+  if (!query || !shape) {
+    throw new ValidationError('Invalid widget', ['A widget needs a type and a report query']);
+  }
+
+  const groupBy = query.groupBy || [];
+  const aggregates = query.aggregates || [];
+  const errors = [];
+  const [minGroups, maxGroups] = shape.groupBy;
+  const [minAggregates, maxAggregates] = shape.aggregates;
+
+  if (groupBy.length < minGroups || groupBy.length > maxGroups) {
+    errors.push(`A ${widget.type} widget groups by ${minGroups === maxGroups ? minGroups : `${minGroups} to ${maxGroups}`} fields`);
+  }
+  if (aggregates.length < minAggregates || aggregates.length > maxAggregates) {
+    errors.push(`A ${widget.type} widget needs ${minAggregates === maxAggregates ? minAggregates : `${minAggregates} to ${maxAggregates}`} aggregates`);
+  }
+  if (shape.bucketed && groupBy.length > 0 && !groupBy[0].bucket) {
+    errors.push(`A ${widget.type} widget groups first by a date bucket`);
+  }
+  if (widget.type === 'timeSeries' && groupBy.length === 2 && aggregates.length !== 1) {
+    errors.push('A timeSeries widget split into series needs exactly 1 aggregate');
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid widget', errors);
+  }
+
+  reportQueryService.normalizeQuery(query, { roles: reportQueryService.rolesOf(user) });
+};
+
+/**
+ * Add a widget to a dashboard
+ * @param {string} dashboardId Dashboard ID
+ * @param {Object} data Widget fields
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Created widget
+ */
+exports.addWidget = async (dashboardId, data, user) => {
+  const { dashboard } = await this.getDashboard(dashboardId, user, 'edit');
+
+  dashboard.widgets.push(pick(data, WIDGET_FIELDS));
+  const widget = dashboard.widgets[dashboard.widgets.length - 1];
+  await this.validateWidget(widget, user);
+  await dashboard.save();
+
+  return widget;
+};
+
+/**
+ * Update a widget, dropping its cached results
+ * @param {string} dashboardId Dashboard ID
+ * @param {string} widgetId Widget ID
+ * @param {Object} data Fields to update
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Updated widget
+ */
+exports.updateWidget = async (dashboardId, widgetId, data, user) => {
+  const { dashboard } = await this.getDashboard(dashboardId, user, 'edit');
+  const widget = dashboard.widgets.id(widgetId);
+  if (!widget) {
+    throw new NotFoundError(`Widget not found with id ${widgetId}`);
+  }
+
+  widget.set(pick(data, WIDGET_FIELDS));
+  await this.validateWidget(widget, user);
+  await dashboard.save();
+  await getDefaultCacheManager().invalidateByTag(`${dashboardConfig.cacheKeyPrefix}:${widget._id}`);
+
+  return widget;
+};
+
+/**
+ * Remove a widget from a dashboard and its layouts
+ * @param {string} dashboardId Dashboard ID
+ * @param {string} widgetId Widget ID
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Removed widget
+ */
+exports.deleteWidget = async (dashboardId, widgetId, user) => {
+  const { dashboard } = await this.getDashboard(dashboardId, user, 'edit');
+  const widget = dashboard.widgets.id(widgetId);
+  if (!widget) {
+    throw new NotFoundError(`Widget not found with id ${widgetId}`);
+  }
+
+  dashboard.widgets.pull(widget._id);
+  if (dashboard.layouts) {
+    dashboard.layouts = Object.fromEntries(Object.entries(dashboard.layouts)
+      .map(([breakpoint, items]) => [breakpoint, items.filter(item => String(item.i) !== String(widget._id))]));
+    dashboard.markModified('layouts');
+  }
+  await dashboard.save();
+  await getDefaultCacheManager().invalidateByTag(`${dashboardConfig.cacheKeyPrefix}:${widget._id}`);
+
+  return widget;
+};
+
+/**
+ * Shape query rows for a widget type
+ * @param {string} type Widget type
+ * @param {Array} rows Query rows
+ * @param {Array} outputs Normalized query outputs
+ * @returns {Object} Widget data
+ */
+exports.shapeWidgetData = (type, rows, outputs) => {
+  const groups = outputs.filter(output => output.kind === 'group').map(output => output.key);
+  const [measure, ...otherMeasures] = outputs.filter(output => output.kind === 'aggregate').map(output => output.key);
+
+  switch (type) {
+    case 'kpi': {
+      const row = rows[0] || {};
+      return { label: measure, value: row[measure] === undefined ? null : row[measure] };
+    }
+    case 'timeSeries': {
+      const [timeKey, seriesKey] = groups;
+      const series = new Map();
+      rows.forEach((row) => {
+        const entries = seriesKey
+          ? [[String(row[seriesKey]), measure]]
+          : [measure, ...otherMeasures].map(key => [key, key]);
+        entries.forEach(([name, key]) => {
+          if (!series.has(name)) series.set(name, []);
+          series.get(name).push({ x: row[timeKey], y: row[key] });
+        });
+      });
+      return {
+        series: [...series].map(([name, points]) => ({
+          name,
+          points: points.sort((a, b) => new Date(a.x) - new Date(b.x))
+        }))
+      };
+    }
+    case 'pareto': {
+      const [categoryKey] = groups;
+      const categories = rows
+        .map(row => ({ category: row[categoryKey], value: Number(row[measure]) || 0 }))
+        .sort((a, b) => b.value - a.value);
+      const total = categories.reduce((sum, item) => sum + item.value, 0);
+      let running = 0;
+      return {
+        total,
+        categories: categories.map((item) => {
+          running += item.value;
+          return { ...item, cumulativePercent: total ? Math.round(running / total * 1000) / 10 : 0 };
+        })
+      };
+    }
+    case 'heatmap': {
+      const [rowKey, columnKey] = groups;
+      const cells = rows.map(row => ({ row: row[rowKey], column: row[columnKey], value: row[measure] }));
+      const values = cells.map(cell => cell.value).filter(value => typeof value === 'number');
+      return {
+        rows: [...new Set(cells.map(cell => cell.row))],
+        columns: [...new Set(cells.map(cell => cell.column))],
+        cells,
+        min: values.length ? Math.min(...values) : null,
+        max: values.length ? Math.max(...values) : null
+      };
+    }
+    default:
+      throw new BadRequestError(`Unknown widget type: ${type}`);
+  }
+};
+
+/**
+ * Cache key of a widget's results for a query and set of roles
+ * @param {Object} widget Widget
+ * @param {Object} query Report query
+ * @param {string[]} roles Viewer's roles
+ * @returns {string} Cache key
+ */
+exports.widgetCacheKey = (widget, query, roles) => {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify({ query, roles: [...roles].sort() }))
+    .digest('hex');
+  return `${dashboardConfig.cacheKeyPrefix}:${widget._id}:${hash}`;
+};
+
+/**
+ * Get a widget's data, from the cache while it is younger than the widget's
+ * refresh interval. A forced refresh still uses results younger than the
+ * minimum refresh interval.
+ * @param {string} dashboardId Dashboard ID
+ * @param {string} widgetId Widget ID
+ * @param {Object} user User, as set on the request
+ * @param {Object} [options] { refresh }
+ * @returns {Promise<Object>} { widgetId, type, data, generatedAt, nextRefreshAt, refreshInterval, fromCache }
+ */
+exports.getWidgetData = async (dashboardId, widgetId, user, { refresh = false } = {}) => {
+  const { dashboard } = await this.getDashboard(dashboardId, user);
+  const widget = dashboard.widgets.id(widgetId);
+  if (!widget) {
+    throw new NotFoundError(`Widget not found with id ${widgetId}`);
+  }
+
+  const roles = reportQueryService.rolesOf(user);
+  const query = await this.resolveWidgetQuery(widget);
+  const cache = getDefaultCacheManager();
+  const cacheKey = this.widgetCacheKey(widget, query, roles);
+
+  const cached = await cache.get(cacheKey);
+  const minimumAge = dashboardConfig.refresh.minSeconds * 1000;
+  if (cached && (!refresh || Date.now() - new Date(cached.generatedAt).getTime() < minimumAge)) {
+    return { ...cached, fromCache: true };
+  }
+
+  const { outputs } = reportQueryService.normalizeQuery(query, { roles });
+  const rows = await reportQueryService.execute(query, { roles });
+  const generatedAt = new Date();
+  const result = {
+    widgetId: String(widget._id),
+    type: widget.type,
+    data: this.shapeWidgetData(widget.type, rows, outputs),
+    refreshInterval: widget.refreshInterval,
+    generatedAt: generatedAt.toISOString(),
+    nextRefreshAt: new Date(generatedAt.getTime() + widget.refreshInterval * 1000).toISOString()
+  };
+
+  await cache.set(cacheKey, result, { ttl: widget.refreshInterval }, {
+    tags: [`dashboard:${dashboard._id}`, `${dashboardConfig.cacheKeyPrefix}:${widget._id}`]
+  });
+  return { ...result, fromCache: false };
+};
+
+/**
+ * Get a dashboard the user owns with its share links
+ * @param {string} id Dashboard ID
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Dashboard
+ */
+const getDashboardWithLinks = async (id, user) => {
+  const { dashboard } = await exports.getDashboard(id, user, 'owner');
+  return Dashboard.findById(dashboard._id).select('+shareLinks');
+};
+
+/**
+ * Shape a share link for its owner, without the token hash
+ * @param {Object} link Share link
+ * @returns {Object} Share link
+ */
+const toLinkSummary = (link) => {
+  const { tokenHash: _tokenHash, ...summary } = link.toObject();
+  return summary;
+};
+
+/**
+ * Create a share link to a dashboard. The token is only returned here.
+ * @param {string} id Dashboard ID
+ * @param {Object} options { permission, roles, expiresInDays }
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} { link, token, shareUrl }
+ */
+exports.createShareLink = async (id, { permission = 'view', roles = [], expiresInDays } = {}, user) => {
+  const { shareLinks } = dashboardConfig;
+  const withLinks = await getDashboardWithLinks(id, user);
+
+  const days = expiresInDays === undefined ? shareLinks.defaultDays : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > shareLinks.maxDays) {
+    throw new BadRequestError(`Share links expire after 1 to ${shareLinks.maxDays} days`);
+  }
+  const now = new Date();
+  const active = withLinks.shareLinks.filter(link => !link.revokedAt && link.expiresAt > now);
+  if (active.length >= shareLinks.maxActive) {
+    throw new BadRequestError(`A dashboard can have at most ${shareLinks.maxActive} active share links`);
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  withLinks.shareLinks.push({
+    tokenHash: hashToken(token),
+    permission,
+    roles,
+    expiresAt: new Date(now.getTime() + days * DAY_MS),
+    createdBy: user._id
+  });
+  await withLinks.save();
+
+  const link = toLinkSummary(withLinks.shareLinks[withLinks.shareLinks.length - 1]);
+  logger.info(`Share link ${link._id} to dashboard ${withLinks.name} created by ${user._id}`);
+  return { link, token, shareUrl: `${dashboardConfig.clientUrl}/dashboards/shared/${token}` };
+};
+
+/**
+ * List the share links of a dashboard
+ * @param {string} id Dashboard ID
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Array>} Share links, newest first
+ */
+exports.getShareLinks = async (id, user) => {
+  const dashboard = await getDashboardWithLinks(id, user);
+  return dashboard.shareLinks.map(toLinkSummary).reverse();
+};
+
+/**
+ * Revoke a share link. Users who already opened it keep the access it gave
+ * them until the owner removes them from the dashboard's sharing.
+ * @param {string} id Dashboard ID
+ * @param {string} linkId Share link ID
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} Revoked share link
+ */
+exports.revokeShareLink = async (id, linkId, user) => {
+  const dashboard = await getDashboardWithLinks(id, user);
+  const link = dashboard.shareLinks.id(linkId);
+  if (!link) {
+    throw new NotFoundError(`Share link not found with id ${linkId}`);
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    await dashboard.save();
+  }
+  return toLinkSummary(link);
+};
+
+/**
+ * Open a share link, giving the user the link's access to the dashboard
+ * if they have less
+ * @param {string} token Share link token
+ * @param {Object} user User, as set on the request
+ * @returns {Promise<Object>} { dashboard, access }
+ * @throws {NotFoundError} If the link does not exist, expired or was revoked
+ * @throws {ForbiddenError} If the link is limited to roles the user does not have
+ */
+exports.openShareLink = async (token, user) => {
+  const tokenHash = hashToken(String(token));
+  const dashboard = await Dashboard.findOne({ 'shareLinks.tokenHash': tokenHash }).select('+shareLinks');
+  const link = dashboard && dashboard.shareLinks.find(candidate => candidate.tokenHash === tokenHash);
+  const now = new Date();
+  if (!link || link.revokedAt || link.expiresAt <= now) {
+    throw new NotFoundError('Share link not found or expired');
+  }
+
+  const roles = reportQueryService.rolesOf(user);
+  if (link.roles.length > 0 && !roles.includes('admin') && !link.roles.some(role => roles.includes(role))) {
+    throw new ForbiddenError('Your role cannot open this shared dashboard');
+  }
+
+  const current = this.getAccess(dashboard, user);
+  if (!hasAccess(current, link.permission)) {
+    dashboard.sharedWith = [
+      ...dashboard.sharedWith.filter(entry => String(entry.user) !== String(user._id)),
+      { user: user._id, permission: link.permission }
+    ];
+  }
+  link.lastUsedAt = now;
+  await dashboard.save();
+
+  return { dashboard, access: this.getAccess(dashboard, user) };
+};
@@ -446,4 +446,183 @@ exports.sendInspectionReminderNotification = async (to, inspectionNumber, custom
   await transporter.sendMail(mailOptions);
 };
 
+/**
+ * Send a certification expiry warning
+ * @param {string} to - Recipient email
+ * @param {string} supplierName - Name of the supplier
+ * @param {string} certificateName - Name of the certificate, qualification or document
+ * @param {string} expiryDate - Expiry date of the certificate
+ * @param {number} daysRemaining - Days until expiry (0 or less once lapsed)
+ */
+exports.sendCertificationExpiryNotification = async (to, supplierName, certificateName, expiryDate, daysRemaining) => {
+  const formattedDate = new Date(expiryDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const lapsed = daysRemaining <= 0;
+
+  const mailOptions = {
+    from: `AeroSuite <${process.env.EMAIL_USER}>`,
+    to,
+    subject: lapsed
+      ? `EXPIRED: ${certificateName} - ${supplierName}`
+      : `${certificateName} expires in ${daysRemaining} days - ${supplierName}`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #0a2f5c; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">AeroSuite</h1>
+        </div>
+        <div style="padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <h2>${lapsed ? 'Certification Expired' : 'Certification Expiring'}</h2>
+          <p>${lapsed
+    ? `The following certification held by ${supplierName} has expired and is no longer valid.`
+    : `The following certification held by ${supplierName} expires in ${daysRemaining} days.`}</p>
+          
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd; font-weight: bold;">Supplier:</td>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd;">${supplierName}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd; font-weight: bold;">Certification:</td>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd;">${certificateName}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd; font-weight: bold;">Expiry Date:</td>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd;">${formattedDate}</td>
+            </tr>
+          </table>
+          
+          <div style="background-color: ${lapsed ? '#f8d7da' : '#fff3cd'}; border: 1px solid ${lapsed ? '#f5c6cb' : '#ffeeba'}; color: ${lapsed ? '#721c24' : '#856404'}; padding: 15px; border-radius: 4px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Action required:</strong> Please provide a renewed certificate to keep the supplier approved.</p>
+          </div>
+          
+          <p>Thank you,<br/>The AeroSuite Team</p>
+        </div>
+        <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 12px; color: #666;">
+          <p>© ${new Date().getFullYear()} AeroSuite. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+/**
+ * Send a scheduled report with the generated file attached
+ * @param {string|string[]} to - Recipient email or emails
+ * @param {string} reportName - Name of the report
+ * @param {string} periodLabel - Period the report covers, or an empty string
+ * @param {Object} attachment - Generated file with filename and path
+ */
+exports.sendScheduledReport = async (to, reportName, periodLabel, attachment) => {
+  const mailOptions = {
+    from: `AeroSuite <${process.env.EMAIL_USER}>`,
+    to,
+    subject: periodLabel ? `${reportName} - ${periodLabel}` : reportName,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #0a2f5c; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">AeroSuite</h1>
+        </div>
+        <div style="padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <h2>${reportName}</h2>
+          <p>Your scheduled report${periodLabel ? ` for ${periodLabel}` : ''} is attached.</p>
+          <p>You are receiving this email because you are on the recipient list of this report schedule.</p>
+          <p>Thank you,<br/>The AeroSuite Team</p>
+        </div>
+        <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 12px; color: #666;">
+          <p>© ${new Date().getFullYear()} AeroSuite. All rights reserved.</p>
+        </div>
+      </div>
+    `,
+    attachments: [attachment]
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+/**
+ * Send a notification raised by a notification subscription
+ * @param {string} to - Recipient email
+ * @param {string} title - Notification title
+ * @param {string} message - Notification message
+ * @param {string} link - URL of the resource the notification is about
+ */
+exports.sendNotificationEmail = async (to, title, message, link) => {
+  const mailOptions = {
+    from: `AeroSuite <${process.env.EMAIL_USER}>`,
+    to,
+    subject: title,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #0a2f5c; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">AeroSuite</h1>
+        </div>
+        <div style="padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <h2>${title}</h2>
+          <p>${message}</p>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${link}" style="background-color: #0a2f5c; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; font-weight: bold;">View in AeroSuite</a>
+          </div>
+          <p>You are receiving this email because of your notification subscriptions. You can change them in your notification preferences.</p>
+          <p>Thank you,<br/>The AeroSuite Team</p>
+        </div>
+        <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 12px; color: #666;">
+          <p>© ${new Date().getFullYear()} AeroSuite. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
+/**
+ * Send a daily or weekly digest of notifications
+ * @param {string} to - Recipient email
+ * @param {string} frequency - daily or weekly
+ * @param {Array} items - Notifications listed, with title, message and link
+ * @param {number} total - Notifications in the digest, including any not listed
+ */
+exports.sendNotificationDigest = async (to, frequency, items, total = items.length) => {
+  const rows = items.map(item => `
+            <tr>
+              <td style="padding: 8px; border-bottom: 1px solid #ddd;">
+                <a href="${item.link}" style="color: #0a2f5c; font-weight: bold;">${item.title}</a>
+                <div style="color: #666;">${item.message || ''}</div>
+              </td>
+            </tr>`).join('');
+
+  const mailOptions = {
+    from: `AeroSuite <${process.env.EMAIL_USER}>`,
+    to,
+    subject: `Your ${frequency} AeroSuite digest: ${total} notifications`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background-color: #0a2f5c; padding: 20px; text-align: center;">
+          <h1 style="color: white; margin: 0;">AeroSuite</h1>
+        </div>
+        <div style="padding: 20px; border: 1px solid #ddd; border-top: none;">
+          <h2>Your ${frequency} digest</h2>
+          <p>You have ${total} new notifications.</p>
+          
+          <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}
+          </table>
+          ${total > items.length ? `<p>And ${total - items.length} more. Open AeroSuite to see them all.</p>` : ''}
+          
+          <p>Thank you,<br/>The AeroSuite Team</p>
+        </div>
+        <div style="background-color: #f5f5f5; padding: 15px; text-align: center; font-size: 12px; color: #666;">
+          <p>© ${new Date().getFullYear()} AeroSuite. All rights reserved.</p>
+        </div>
+      </div>
+    `
+  };
+
+  await transporter.sendMail(mailOptions);
+};
+
 module.exports = exports; 
\ No newline at end of file
@@ -74,8 +74,8 @@ class BaseERPService {
     }
     
     let retries = 0;
-    const maxRetries = options.retryAttempts || this.globalConfig.retryAttempts;
-    const retryDelay = options.retryDelay || this.globalConfig.retryDelay;
+    const maxRetries = options.retryAttempts ?? this.globalConfig.retryAttempts;
+    const retryDelay = options.retryDelay ?? this.globalConfig.retryDelay;
     
     // Retry loop with explicit condition to avoid constant conditions
     while (retries <= maxRetries) {
@@ -107,9 +107,10 @@ class BaseERPService {
         logger.warn(`ERP request failed, retrying (${retries}/${maxRetries}): ${error.message}`);
         await this.sleep(retryDelay);
       }
-      // If loop exits naturally, throw last error
-      throw new Error('ERP request failed after maximum retries');
     }
+    
+    // Unreachable: the last attempt returns or throws its own error
+    throw new Error('ERP request failed after maximum retries');
   }
   
   /**
@@ -170,6 +171,10 @@ class BaseERPService {
    * Get purchase orders from ERP
    * 
    * @param {Object} params - Query parameters
+   * @param {string} [params.poNumber] - Only the order with this number
+   * @param {string} [params.vendorCode] - Only orders placed with this vendor
+   * @param {Date} [params.dueFrom] - Only orders due on or after this date
+   * @param {Date} [params.dueBefore] - Only orders due before this date
    * @returns {Promise<Array>} - Purchase orders
    */
   async getPurchaseOrders(params = {}) {
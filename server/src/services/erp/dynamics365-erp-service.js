@@ -0,0 +1,438 @@
+/**
+ * Microsoft Dynamics 365 ERP Service
+ *
+ * This service implements the BaseERPService for Dynamics 365 Finance & Operations.
+ * It authenticates with Azure AD client credentials and reads and writes the
+ * OData data entities of one legal entity (dataAreaId).
+ */
+
+const BaseERPService = require('./base-erp-service');
+const logger = require('../../utils/logger');
+const {
+  mapDynamicsVendorToSupplier,
+  mapSupplierToDynamicsVendor,
+  mapDynamicsQualityOrderToInspection,
+  mapInspectionToDynamicsQualityOrder,
+  mapDynamicsPurchaseOrderToAeroSuite,
+  mapAeroSuitePurchaseOrderToDynamics,
+  mapDynamicsProductToInventoryItem
+} = require('../../utils/erp-mappers/dynamics365-mappers');
+
+// Collections read by syncFromERP, by entity type
+const SYNC_FROM_ERP_ENTITIES = {
+  vendors: 'getVendors',
+  inventory: 'getInventory',
+  purchaseOrders: 'getPurchaseOrders',
+  qualityInspections: 'getQualityInspections'
+};
+
+class Dynamics365ERPService extends BaseERPService {
+  constructor() {
+    super('dynamics365');
+    this.token = null;
+    this.tokenExpiry = null;
+  }
+
+  /**
+   * Authenticate with Azure AD using the client credentials grant
+   *
+   * @returns {Promise<void>}
+   */
+  async authenticate() {
+    // Check if token is still valid
+    if (this.token && this.tokenExpiry && this.tokenExpiry > Date.now()) {
+      return;
+    }
+
+    try {
+      const { authUrl, tenantId, clientId, clientSecret, scope } = this.config;
+
+      const response = await this.httpClient.post(`${authUrl}/${tenantId}/oauth2/v2.0/token`, new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: clientSecret,
+        scope
+      }).toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      });
+
+      this.token = response.data.access_token;
+      // Renew a minute before the token expires
+      this.tokenExpiry = Date.now() + (response.data.expires_in - 60) * 1000;
+
+      // Update HTTP client config to include token in future requests
+      this.httpClient.defaults.headers.common['Authorization'] = `Bearer ${this.token}`;
+
+      logger.info('Successfully authenticated with Dynamics 365');
+    } catch (error) {
+      logger.error('Dynamics 365 authentication failed:', error.message);
+      throw new Error(`Dynamics 365 authentication failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make an authenticated request to the Dynamics 365 API
+   *
+   * @param {string} endpoint - API endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} data - Request payload
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - API response
+   */
+  async makeAuthenticatedRequest(endpoint, method = 'GET', data = null, params = {}, options = {}) {
+    // Ensure we're authenticated before making request
+    await this.authenticate();
+
+    try {
+      return await this.makeRequest(endpoint, method, data, params, options);
+    } catch (error) {
+      // If we get a 401, the token was revoked or expired early; authenticate again
+      if (error.response && error.response.status === 401) {
+        this.token = null;
+        this.tokenExpiry = null;
+        await this.authenticate();
+        return await this.makeRequest(endpoint, method, data, params, options);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read an OData collection, following @odata.nextLink up to the page limit
+   *
+   * @param {string} endpoint - Entity set endpoint
+   * @param {Object} queryParams - OData query parameters
+   * @returns {Promise<Array>} - Records of all pages
+   */
+  async getCollection(endpoint, queryParams = {}) {
+    const records = [];
+    let nextEndpoint = endpoint;
+    let nextParams = queryParams;
+    let pages = 0;
+
+    while (nextEndpoint && pages < this.config.maxPages) {
+      const data = await this.makeAuthenticatedRequest(nextEndpoint, 'GET', null, nextParams);
+      records.push(...(data.value || []));
+      pages++;
+
+      // The next link already carries the query
+      nextEndpoint = data['@odata.nextLink'];
+      nextParams = {};
+    }
+
+    if (nextEndpoint) {
+      logger.warn(`Dynamics 365: stopped reading ${endpoint} after ${pages} pages`);
+    }
+
+    return records;
+  }
+
+  /**
+   * Build the OData query for a collection read
+   *
+   * @param {Object} params - Query parameters (filter, code, modifiedSince, limit)
+   * @param {string} [keyField] - Field the code parameter filters on
+   * @returns {Object} - OData query parameters
+   */
+  buildQuery(params = {}, keyField) {
+    const filters = [`dataAreaId eq '${this.config.companyId}'`];
+
+    if (params.filter) {
+      filters.push(`(${params.filter})`);
+    }
+    if (params.code && keyField) {
+      filters.push(`${keyField} eq '${String(params.code).replace(/'/g, "''")}'`);
+    }
+    if (params.modifiedSince) {
+      filters.push(`ModifiedDateTime gt ${new Date(params.modifiedSince).toISOString()}`);
+    }
+
+    const query = {
+      $filter: filters.join(' and '),
+      'cross-company': 'true'
+    };
+    if (params.limit) {
+      query.$top = parseInt(params.limit, 10);
+    }
+    return query;
+  }
+
+  /**
+   * Endpoint of one record of an entity set
+   *
+   * @param {string} endpoint - Entity set endpoint
+   * @param {string} keyField - Key field besides dataAreaId
+   * @param {string} key - Key value
+   * @returns {string} - Record endpoint
+   */
+  recordEndpoint(endpoint, keyField, key) {
+    return `${endpoint}(dataAreaId='${this.config.companyId}',${keyField}='${String(key).replace(/'/g, "''")}')`;
+  }
+
+  /**
+   * Get inventory data from Dynamics 365
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Inventory items
+   */
+  async getInventory(params = {}) {
+    const endpoint = this.config.modules.inventory.endpoint;
+    const products = await this.getCollection(endpoint, this.buildQuery(params, 'ItemNumber'));
+    return products.map(product => mapDynamicsProductToInventoryItem(product));
+  }
+
+  /**
+   * Get purchase orders from Dynamics 365
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Purchase orders
+   */
+  async getPurchaseOrders(params = {}) {
+    const endpoint = this.config.modules.purchasing.endpoint;
+    const query = {
+      ...this.buildQuery(params, 'PurchaseOrderNumber'),
+      $expand: 'PurchaseOrderLines'
+    };
+
+    if (params.poNumber) {
+      query.$filter += ` and PurchaseOrderNumber eq '${String(params.poNumber).replace(/'/g, "''")}'`;
+    }
+    if (params.vendorCode) {
+      query.$filter += ` and OrderVendorAccountNumber eq '${String(params.vendorCode).replace(/'/g, "''")}'`;
+    }
+    if (params.dueFrom) {
+      query.$filter += ` and RequestedDeliveryDate ge ${new Date(params.dueFrom).toISOString()}`;
+    }
+    if (params.dueBefore) {
+      query.$filter += ` and RequestedDeliveryDate lt ${new Date(params.dueBefore).toISOString()}`;
+    }
+
+    const orders = await this.getCollection(endpoint, query);
+    return orders.map(order => mapDynamicsPurchaseOrderToAeroSuite(order));
+  }
+
+  /**
+   * Get vendor/supplier data from Dynamics 365
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Vendors
+   */
+  async getVendors(params = {}) {
+    const endpoint = this.config.modules.vendors.endpoint;
+    const query = this.buildQuery(params, 'VendorAccountNumber');
+
+    if (params.vendorType) {
+      query.$filter += ` and VendorGroupId eq '${params.vendorType}'`;
+    }
+
+    const vendors = await this.getCollection(endpoint, query);
+
+    // Map Dynamics 365 vendors to AeroSuite supplier format
+    return vendors.map(vendor => mapDynamicsVendorToSupplier(vendor));
+  }
+
+  /**
+   * Get quality orders from Dynamics 365
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Quality inspections
+   */
+  async getQualityInspections(params = {}) {
+    const endpoint = this.config.modules.qualityManagement.endpoint;
+    const qualityOrders = await this.getCollection(endpoint, this.buildQuery(params, 'QualityOrderId'));
+    return qualityOrders.map(order => mapDynamicsQualityOrderToInspection(order));
+  }
+
+  /**
+   * Create a purchase order in Dynamics 365
+   *
+   * @param {Object} purchaseOrder - Purchase order data
+   * @returns {Promise<Object>} - Created purchase order
+   */
+  async createPurchaseOrder(purchaseOrder) {
+    const endpoint = this.config.modules.purchasing.endpoint;
+    const d365PurchaseOrder = {
+      dataAreaId: this.config.companyId,
+      ...mapAeroSuitePurchaseOrderToDynamics(purchaseOrder)
+    };
+
+    const response = await this.makeAuthenticatedRequest(endpoint, 'POST', d365PurchaseOrder);
+    return mapDynamicsPurchaseOrderToAeroSuite(response);
+  }
+
+  /**
+   * Update a purchase order in Dynamics 365
+   *
+   * @param {string} id - Purchase order number
+   * @param {Object} purchaseOrder - Updated purchase order data
+   * @returns {Promise<Object>} - Updated purchase order
+   */
+  async updatePurchaseOrder(id, purchaseOrder) {
+    const endpoint = this.recordEndpoint(this.config.modules.purchasing.endpoint, 'PurchaseOrderNumber', id);
+
+    // Lines are maintained through their own entity; the header only carries dates and notes
+    const header = mapAeroSuitePurchaseOrderToDynamics(purchaseOrder);
+    delete header.PurchaseOrderLines;
+    delete header.OrderVendorAccountNumber;
+
+    await this.makeAuthenticatedRequest(endpoint, 'PATCH', header);
+    const updated = await this.makeAuthenticatedRequest(endpoint, 'GET', null, { $expand: 'PurchaseOrderLines' });
+    return mapDynamicsPurchaseOrderToAeroSuite(updated);
+  }
+
+  /**
+   * Create a vendor/supplier in Dynamics 365
+   *
+   * @param {Object} supplier - Vendor data
+   * @returns {Promise<Object>} - Created vendor
+   */
+  async createVendor(supplier) {
+    const endpoint = this.config.modules.vendors.endpoint;
+    const d365Vendor = {
+      dataAreaId: this.config.companyId,
+      ...mapSupplierToDynamicsVendor(supplier)
+    };
+
+    const response = await this.makeAuthenticatedRequest(endpoint, 'POST', d365Vendor);
+    return mapDynamicsVendorToSupplier(response);
+  }
+
+  /**
+   * Update a vendor/supplier in Dynamics 365
+   *
+   * @param {string} id - Vendor account number
+   * @param {Object} supplier - Updated vendor data
+   * @returns {Promise<Object>} - Updated vendor
+   */
+  async updateVendor(id, supplier) {
+    const endpoint = this.recordEndpoint(this.config.modules.vendors.endpoint, 'VendorAccountNumber', id);
+
+    // The account number is the key and cannot be changed
+    const d365Vendor = mapSupplierToDynamicsVendor(supplier);
+    delete d365Vendor.VendorAccountNumber;
+
+    // PATCH returns 204 No Content, so read the vendor back
+    await this.makeAuthenticatedRequest(endpoint, 'PATCH', d365Vendor);
+    const updated = await this.makeAuthenticatedRequest(endpoint, 'GET');
+    return mapDynamicsVendorToSupplier(updated);
+  }
+
+  /**
+   * Create a quality order in Dynamics 365
+   *
+   * @param {Object} inspection - Inspection data
+   * @returns {Promise<Object>} - Created inspection
+   */
+  async createQualityInspection(inspection) {
+    const endpoint = this.config.modules.qualityManagement.endpoint;
+    const qualityOrder = {
+      dataAreaId: this.config.companyId,
+      ...mapInspectionToDynamicsQualityOrder(inspection)
+    };
+
+    const response = await this.makeAuthenticatedRequest(endpoint, 'POST', qualityOrder);
+    return mapDynamicsQualityOrderToInspection(response);
+  }
+
+  /**
+   * Update a quality order in Dynamics 365
+   *
+   * @param {string} id - Quality order ID
+   * @param {Object} inspection - Updated inspection data
+   * @returns {Promise<Object>} - Updated inspection
+   */
+  async updateQualityInspection(id, inspection) {
+    const endpoint = this.recordEndpoint(this.config.modules.qualityManagement.endpoint, 'QualityOrderId', id);
+
+    await this.makeAuthenticatedRequest(endpoint, 'PATCH', mapInspectionToDynamicsQualityOrder(inspection));
+    const updated = await this.makeAuthenticatedRequest(endpoint, 'GET');
+    return mapDynamicsQualityOrderToInspection(updated);
+  }
+
+  /**
+   * Sync data from AeroSuite to Dynamics 365
+   *
+   * @param {string} entity - Entity type to sync (suppliers, inspections)
+   * @param {Array} data - Data to sync
+   * @returns {Promise<Object>} - Sync results
+   */
+  async syncToERP(entity, data) {
+    logger.info(`Starting sync to Dynamics 365 for entity: ${entity}, records: ${data.length}`);
+
+    if (!['suppliers', 'inspections'].includes(entity)) {
+      throw new Error(`Unsupported entity type for Dynamics 365 sync: ${entity}`);
+    }
+
+    const results = {
+      entity,
+      totalCount: data.length,
+      successCount: 0,
+      errorCount: 0,
+      errors: []
+    };
+
+    for (const item of data) {
+      try {
+        if (entity === 'suppliers') {
+          const [existing] = await this.getVendors({ code: item.code });
+          if (existing) {
+            await this.updateVendor(item.code, item);
+          } else {
+            await this.createVendor(item);
+          }
+        } else {
+          // Quality orders are created for each inspection
+          await this.createQualityInspection(item);
+        }
+        results.successCount++;
+      } catch (error) {
+        results.errorCount++;
+        results.errors.push({
+          item: item.code || item.id,
+          error: error.message
+        });
+        logger.error(`Error syncing ${entity} item to Dynamics 365: ${error.message}`);
+      }
+    }
+
+    logger.info(`Completed sync to Dynamics 365 for entity: ${entity}, success: ${results.successCount}, errors: ${results.errorCount}`);
+    return results;
+  }
+
+  /**
+   * Sync data from Dynamics 365 to AeroSuite
+   *
+   * @param {string} entity - Entity type to sync (vendors, inventory, purchaseOrders, qualityInspections)
+   * @param {Object} params - Sync parameters
+   * @returns {Promise<Object>} - Sync results
+   */
+  async syncFromERP(entity, params = {}) {
+    logger.info(`Starting sync from Dynamics 365 for entity: ${entity}`);
+
+    const method = SYNC_FROM_ERP_ENTITIES[entity];
+    if (!method) {
+      throw new Error(`Unsupported entity type for Dynamics 365 sync: ${entity}`);
+    }
+
+    const data = await this[method](params);
+    logger.info(`Fetched ${data.length} ${entity} records from Dynamics 365`);
+
+    // Return the data for further processing in the ERP service
+    return {
+      entity,
+      totalCount: data.length,
+      newCount: 0,
+      updatedCount: 0,
+      errorCount: 0,
+      errors: [],
+      data
+    };
+  }
+}
+
+Dynamics365ERPService.capabilities = ['vendors', 'purchaseOrders', 'inventory', 'qualityInspections'];
+
+module.exports = Dynamics365ERPService;
@@ -9,11 +9,12 @@
  */
 
 const { getActiveConfig } = require('../../config/erp-config');
+const receivingConfig = require('../../config/receiving.config');
 const logger = require('../../utils/logger');
-const SapERPService = require('./sap-erp-service');
-const OracleERPService = require('./oracle-erp-service');
-const SupplierModel = require('../../models/supplier');
-const InspectionModel = require('../../models/inspection');
+const { BadRequestError } = require('../../utils/errors');
+const providerRegistry = require('./provider-registry');
+const SupplierModel = require('../../models/supplier.model');
+const InspectionModel = require('../../models/inspection.model');
 
 class ERPService {
   constructor() {
@@ -27,26 +28,31 @@ class ERPService {
     const config = getActiveConfig();
     logger.info(`Initializing ERP service with provider: ${config.provider}`);
     
-    switch (config.provider) {
-      case 'sap':
-        this.provider = new SapERPService();
-        break;
-      case 'oracle':
-        this.provider = new OracleERPService();
-        break;
-      // Add other providers as they are implemented
-      // case 'dynamics365':
-      //   this.provider = new Dynamics365ERPService();
-      //   break;
-      // case 'netsuite':
-      //   this.provider = new NetSuiteERPService();
-      //   break;
-      case 'mock':
-        // For development and testing
-        this.provider = require('./mock-erp-service');
-        break;
-      default:
-        throw new Error(`Unsupported ERP provider: ${config.provider}`);
+    // Providers are registered, with the capabilities they declare, in the provider registry
+    this.providerName = config.provider;
+    this.provider = providerRegistry.create(config.provider);
+    this.capabilities = providerRegistry.getCapabilities(config.provider);
+  }
+  
+  /**
+   * Check whether the active ERP provider supports a capability
+   * 
+   * @param {string} capability - Capability (vendors, purchaseOrders, inventory, qualityInspections, productionOrders)
+   * @returns {boolean} - Whether the capability is supported
+   */
+  supports(capability) {
+    return this.capabilities.includes(capability);
+  }
+  
+  /**
+   * Ensure the active ERP provider supports a capability
+   * 
+   * @param {string} capability - Capability
+   * @throws {BadRequestError} - If the provider does not support it
+   */
+  requireCapability(capability) {
+    if (!this.supports(capability)) {
+      throw new BadRequestError(`ERP provider '${this.providerName}' does not support ${capability}`);
     }
   }
   
@@ -57,6 +63,7 @@ class ERPService {
    * @returns {Promise<Array>} - Inventory items
    */
   async getInventory(params = {}) {
+    this.requireCapability('inventory');
     return this.provider.getInventory(params);
   }
   
@@ -67,6 +74,7 @@ class ERPService {
    * @returns {Promise<Array>} - Purchase orders
    */
   async getPurchaseOrders(params = {}) {
+    this.requireCapability('purchaseOrders');
     return this.provider.getPurchaseOrders(params);
   }
   
@@ -77,6 +85,7 @@ class ERPService {
    * @returns {Promise<Array>} - Vendors
    */
   async getVendors(params = {}) {
+    this.requireCapability('vendors');
     return this.provider.getVendors(params);
   }
   
@@ -87,6 +96,7 @@ class ERPService {
    * @returns {Promise<Array>} - Production orders
    */
   async getProductionOrders(params = {}) {
+    this.requireCapability('productionOrders');
     return this.provider.getProductionOrders(params);
   }
   
@@ -97,6 +107,7 @@ class ERPService {
    * @returns {Promise<Array>} - Quality inspections
    */
   async getQualityInspections(params = {}) {
+    this.requireCapability('qualityInspections');
     return this.provider.getQualityInspections(params);
   }
   
@@ -107,6 +118,7 @@ class ERPService {
    * @returns {Promise<Object>} - Created purchase order
    */
   async createPurchaseOrder(purchaseOrder) {
+    this.requireCapability('purchaseOrders');
     return this.provider.createPurchaseOrder(purchaseOrder);
   }
   
@@ -118,6 +130,7 @@ class ERPService {
    * @returns {Promise<Object>} - Updated purchase order
    */
   async updatePurchaseOrder(id, purchaseOrder) {
+    this.requireCapability('purchaseOrders');
     return this.provider.updatePurchaseOrder(id, purchaseOrder);
   }
   
@@ -128,6 +141,7 @@ class ERPService {
    * @returns {Promise<Object>} - Created vendor
    */
   async createVendor(supplier) {
+    this.requireCapability('vendors');
     return this.provider.createVendor(supplier);
   }
   
@@ -139,6 +153,7 @@ class ERPService {
    * @returns {Promise<Object>} - Updated vendor
    */
   async updateVendor(id, supplier) {
+    this.requireCapability('vendors');
     return this.provider.updateVendor(id, supplier);
   }
   
@@ -149,6 +164,7 @@ class ERPService {
    * @returns {Promise<Object>} - Created inspection
    */
   async createQualityInspection(inspection) {
+    this.requireCapability('qualityInspections');
     return this.provider.createQualityInspection(inspection);
   }
   
@@ -160,6 +176,7 @@ class ERPService {
    * @returns {Promise<Object>} - Updated inspection
    */
   async updateQualityInspection(id, inspection) {
+    this.requireCapability('qualityInspections');
     return this.provider.updateQualityInspection(id, inspection);
   }
   
@@ -323,8 +340,11 @@ class ERPService {
       // Get purchase orders from ERP
       const results = await this.provider.syncFromERP('purchaseOrders', options.params || {});
       
-      // In a real implementation, we would process the purchase orders here
-      // and update or create them in the AeroSuite database
+      // Record goods received against the order lines and generate their receiving inspections
+      if (receivingConfig.pullFromErp) {
+        const receivingInspectionService = require('../receivingInspection.service');
+        results.receipts = await receivingInspectionService.recordReceiptsFromPurchaseOrders(results.data || []);
+      }
       
       return results;
     } catch (error) {
@@ -0,0 +1,685 @@
+/**
+ * ERP Sync Engine
+ *
+ * Incremental, bidirectional synchronization between AeroSuite and the
+ * active ERP provider. Each entity type keeps a watermark per provider so a
+ * run only examines records changed since the last complete run. Records are
+ * paired through ErpSyncLink, whose hash of the shared fields tells which
+ * side changed since the last sync; when both did, the entity's conflict
+ * policy decides the winner or queues the record for a manual decision.
+ * Every run is written to the ErpSyncRun ledger.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../../config/erp-config');
+const logger = require('../../utils/logger');
+const SupplierModel = require('../../models/supplier.model');
+const InspectionModel = require('../../models/inspection.model');
+const ErpSyncRun = require('../../models/ErpSyncRun');
+const ErpSyncLink = require('../../models/ErpSyncLink');
+const ErpSyncWatermark = require('../../models/ErpSyncWatermark');
+const { BadRequestError, ConflictError, NotFoundError } = require('../../utils/errors');
+
+const CONFLICT_POLICIES = ['erp-wins', 'aerosuite-wins', 'manual'];
+const EPOCH = new Date(0);
+
+const SUPPLIER_TYPES_TO_ERP = { 'service provider': 'service' };
+const SUPPLIER_TYPES_FROM_ERP = { service: 'service provider', manufacturer: 'manufacturer', distributor: 'distributor' };
+
+const INSPECTION_STATUSES_TO_ERP = {
+  scheduled: 'draft',
+  completed: 'completed',
+  approved: 'completed',
+  closed: 'completed',
+  cancelled: 'cancelled'
+};
+const INSPECTION_RESULTS_TO_ERP = { pass: 'passed', fail: 'failed', conditional: 'passed', pending: 'pending' };
+
+const text = value => (value === undefined || value === null ? '' : String(value).trim());
+const day = value => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+/**
+ * Entity types that can be synchronized. Each definition maps both sides to
+ * a canonical shape (used for hashing and comparison) and back. Entities
+ * without applyToLocal are pushed to the ERP only.
+ */
+const SYNC_ENTITIES = {
+  suppliers: {
+    direction: 'bidirectional',
+    model: SupplierModel,
+    erp: { list: 'getVendors', create: 'createVendor', update: 'updateVendor' },
+    localKeyField: 'code',
+    erpKey: vendor => vendor.code,
+    erpFindParams: key => ({ code: key }),
+    fromLocal: supplier => ({
+      code: text(supplier.code),
+      name: text(supplier.name),
+      contactName: text(supplier.primaryContactName),
+      email: text(supplier.primaryContactEmail).toLowerCase(),
+      phone: text(supplier.primaryContactPhone),
+      website: text(supplier.website),
+      type: SUPPLIER_TYPES_TO_ERP[supplier.type] || text(supplier.type),
+      // Probation is an AeroSuite-only state; the ERP only knows the supplier is active
+      status: supplier.status === 'probation' ? 'active' : text(supplier.status),
+      address: {
+        street: text(supplier.address && supplier.address.street),
+        city: text(supplier.address && supplier.address.city),
+        state: text(supplier.address && supplier.address.state),
+        zipCode: text(supplier.address && supplier.address.zipCode),
+        country: text(supplier.address && supplier.address.country)
+      }
+    }),
+    fromErp: vendor => ({
+      code: text(vendor.code),
+      name: text(vendor.name),
+      contactName: text(vendor.contactName || vendor.contactPerson),
+      email: text(vendor.email).toLowerCase(),
+      phone: text(vendor.phone),
+      website: text(vendor.website),
+      type: text(vendor.type),
+      status: text(vendor.status),
+      address: {
+        street: text(vendor.address && vendor.address.street),
+        city: text(vendor.address && vendor.address.city),
+        state: text(vendor.address && vendor.address.state),
+        zipCode: text(vendor.address && vendor.address.zipCode),
+        country: text(vendor.address && vendor.address.country)
+      }
+    }),
+    toErp: canonical => ({ ...canonical }),
+    applyToLocal: (supplier, canonical) => {
+      supplier.code = canonical.code;
+      supplier.name = canonical.name;
+      supplier.primaryContactName = canonical.contactName;
+      supplier.primaryContactEmail = canonical.email;
+      supplier.primaryContactPhone = canonical.phone;
+      supplier.website = canonical.website;
+      supplier.type = SUPPLIER_TYPES_FROM_ERP[canonical.type] || 'other';
+      if (!(canonical.status === 'active' && supplier.status === 'probation')) {
+        supplier.status = canonical.status || 'active';
+      }
+      supplier.address = { ...canonical.address };
+      return supplier;
+    }
+  },
+  inspections: {
+    direction: 'to-erp',
+    model: InspectionModel,
+    erp: { list: 'getQualityInspections', create: 'createQualityInspection', update: 'updateQualityInspection' },
+    localKeyField: 'inspectionNumber',
+    erpKey: record => record.externalReference,
+    fromLocal: inspection => ({
+      externalReference: text(inspection.inspectionNumber),
+      type: text(inspection.inspectionType),
+      itemCode: text(inspection.partNumber),
+      supplierName: text(inspection.supplierName),
+      quantity: inspection.quantity || 0,
+      date: day(inspection.completionDate || inspection.scheduledDate),
+      result: INSPECTION_RESULTS_TO_ERP[inspection.result] || 'pending',
+      status: INSPECTION_STATUSES_TO_ERP[inspection.status] || 'in_progress',
+      notes: text(inspection.notes),
+      defects: (inspection.defects || []).length
+    }),
+    fromErp: record => ({
+      externalReference: text(record.externalReference),
+      type: text(record.type),
+      itemCode: text(record.itemCode),
+      supplierName: text(record.supplierName),
+      quantity: record.quantity || 0,
+      date: day(record.date),
+      result: text(record.result),
+      status: text(record.status),
+      notes: text(record.notes),
+      defects: record.defects || 0
+    }),
+    toErp: canonical => ({ ...canonical })
+  }
+};
+
+class ErpSyncEngine {
+  /**
+   * The ERP provider records are synchronized with
+   *
+   * @returns {Object} - Provider service
+   */
+  getProvider() {
+    return require('./erp-service').provider;
+  }
+
+  /**
+   * Name of the active provider, used to key links, watermarks and runs
+   *
+   * @returns {string} - Provider name
+   */
+  getProviderName() {
+    return config.activeProvider;
+  }
+
+  /**
+   * Get the sync definition of an entity type
+   *
+   * @param {string} entityType - Entity type (suppliers, inspections)
+   * @returns {Object} - Entity definition
+   */
+  getEntityDefinition(entityType) {
+    const definition = SYNC_ENTITIES[entityType];
+    if (!definition) {
+      throw new BadRequestError(
+        `Entity type '${entityType}' cannot be synchronized; expected one of ${Object.keys(SYNC_ENTITIES).join(', ')}`
+      );
+    }
+    return definition;
+  }
+
+  /**
+   * Resolve the conflict policy for an entity type
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} [override] - Policy requested for this run
+   * @returns {string} - Conflict policy
+   */
+  getConflictPolicy(entityType, override) {
+    const policy = override || (config.sync.conflictPolicies || {})[entityType] || 'manual';
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new BadRequestError(`Unknown conflict policy '${policy}'; expected one of ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    return policy;
+  }
+
+  /**
+   * Hash of a canonical record, used to tell whether a side changed
+   *
+   * @param {Object} canonical - Canonical record
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashRecord(canonical) {
+    return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+  }
+
+  /**
+   * Synchronize the records of an entity type changed since its watermark
+   *
+   * @param {string} entityType - Entity type (suppliers, inspections)
+   * @param {Object} options - Run options
+   * @param {string} [options.conflictPolicy] - Override the configured conflict policy
+   * @param {string} [options.trigger] - What started the run (manual, scheduled)
+   * @param {string} [options.userId] - User who started the run
+   * @returns {Promise<Object>} - Ledger entry of the run
+   */
+  async syncIncremental(entityType, options = {}) {
+    const definition = this.getEntityDefinition(entityType);
+    const conflictPolicy = this.getConflictPolicy(entityType, options.conflictPolicy);
+    const provider = this.getProviderName();
+
+    const run = new ErpSyncRun({
+      provider,
+      entityType,
+      direction: definition.direction,
+      trigger: options.trigger || 'manual',
+      conflictPolicy,
+      status: 'running',
+      startedAt: new Date(),
+      startedBy: options.userId
+    });
+    await this.claimRun(run);
+
+    const watermark = await ErpSyncWatermark.findOne({ provider, entityType });
+    const since = watermark ? watermark.watermark : EPOCH;
+    run.watermarkFrom = since;
+
+    logger.info(`ERP sync: ${entityType} with ${provider} since ${since.toISOString()} (run ${run._id})`);
+
+    try {
+      const pairs = await this.collectChanges(definition, provider, entityType, since);
+      run.counts.examined = pairs.length;
+
+      for (const pair of pairs) {
+        await this.syncPair(definition, pair, run);
+      }
+
+      run.status = run.counts.failed > 0 ? 'partial' : 'succeeded';
+    } catch (error) {
+      logger.error(`ERP sync: ${entityType} run ${run._id} failed: ${error.message}`);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+
+    // A window with failed records is retried by the next run
+    if (run.status === 'succeeded') {
+      run.watermarkTo = run.startedAt;
+      await ErpSyncWatermark.findOneAndUpdate(
+        { provider, entityType },
+        { watermark: run.startedAt, lastRunId: run._id, lastSucceededAt: run.finishedAt },
+        { upsert: true, new: true }
+      );
+    }
+
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Store a new run, refusing while another run of the same entity type is
+   * in progress. Only one running run of an entity type can be stored, so
+   * of two runs started at once, one is refused. Runs left running past the
+   * stale limit are marked failed first.
+   *
+   * @param {Object} run - Run to start
+   * @returns {Promise<void>}
+   */
+  async claimRun(run) {
+    const { provider, entityType } = run;
+    const staleBefore = new Date(Date.now() - config.sync.staleRunMinutes * 60 * 1000);
+
+    await ErpSyncRun.updateMany(
+      { provider, entityType, status: 'running', startedAt: { $lte: staleBefore } },
+      { status: 'failed', error: 'Run did not finish', finishedAt: new Date() }
+    );
+
+    try {
+      await run.save();
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const running = await ErpSyncRun.findOne({ provider, entityType, status: 'running' });
+      throw new ConflictError(`A ${entityType} sync with ${provider} is already running${running ? ` (run ${running._id})` : ''}`);
+    }
+  }
+
+  /**
+   * Pair the records changed on either side since the watermark with their
+   * counterpart and link
+   *
+   * @param {Object} definition - Entity definition
+   * @param {string} provider - Provider name
+   * @param {string} entityType - Entity type
+   * @param {Date} since - Watermark
+   * @returns {Promise<Array>} - Pairs of { key, local, erp, link, localChanged, erpChanged }
+   */
+  async collectChanges(definition, provider, entityType, since) {
+    const erpProvider = this.getProvider();
+    const [localRecords, erpRecords] = await Promise.all([
+      definition.model.find({ updatedAt: { $gt: since } }),
+      erpProvider[definition.erp.list]({ modifiedSince: since })
+    ]);
+
+    const pairs = new Map();
+    const pairFor = key => {
+      if (!pairs.has(key)) pairs.set(key, { key, local: null, erp: null, localChanged: false, erpChanged: false });
+      return pairs.get(key);
+    };
+
+    localRecords.forEach(record => {
+      const pair = pairFor(record[definition.localKeyField]);
+      pair.local = record;
+      pair.localChanged = true;
+    });
+
+    erpRecords.forEach(record => {
+      const key = definition.erpKey(record);
+      // ERP records not created by AeroSuite have no key to pair on
+      if (!key) return;
+      if (!definition.applyToLocal && !pairs.has(key)) return;
+      const pair = pairFor(key);
+      pair.erp = record;
+      pair.erpChanged = true;
+    });
+
+    const keys = [...pairs.keys()];
+    const links = await ErpSyncLink.find({ provider, entityType, erpKey: { $in: keys } });
+    const linksByKey = new Map(links.map(link => [link.erpKey, link]));
+
+    for (const pair of pairs.values()) {
+      pair.link = linksByKey.get(pair.key) || null;
+
+      // Load the side that did not change so both can be compared
+      if (!pair.local) {
+        pair.local = await definition.model.findOne({ [definition.localKeyField]: pair.key });
+      }
+      if (!pair.erp && definition.erpFindParams) {
+        const [record] = await erpProvider[definition.erp.list](definition.erpFindParams(pair.key));
+        pair.erp = record || null;
+      }
+    }
+
+    return [...pairs.values()];
+  }
+
+  /**
+   * Decide and apply the sync of one pair, recording the outcome on the run
+   *
+   * @param {Object} definition - Entity definition
+   * @param {Object} pair - Pair from collectChanges
+   * @param {Object} run - Ledger entry
+   * @returns {Promise<void>}
+   */
+  async syncPair(definition, pair, run) {
+    const { key, local, erp } = pair;
+    let link = pair.link;
+
+    try {
+      if (link && link.conflict && link.conflict.status === 'open') {
+        this.recordOutcome(run, pair, 'skipped', null, { message: 'Waiting for a manual conflict decision' });
+        return;
+      }
+
+      const localCanonical = local ? definition.fromLocal(local) : null;
+      const erpCanonical = erp ? definition.fromErp(erp) : null;
+      const localHash = localCanonical && this.hashRecord(localCanonical);
+      const erpHash = erpCanonical && this.hashRecord(erpCanonical);
+
+      if (!link) {
+        link = new ErpSyncLink({ provider: run.provider, entityType: run.entityType, erpKey: key });
+      }
+
+      if (localHash && localHash === erpHash) {
+        this.refreshLink(link, local, erp, localHash, run);
+        await link.save();
+        this.recordOutcome(run, pair, pair.link ? 'unchanged' : 'linked', null);
+        return;
+      }
+
+      const localChanged = Boolean(local) && (!link.hash || link.hash !== localHash);
+      const erpChanged = Boolean(erp) && (!link.hash || link.hash !== erpHash);
+
+      let winner = null;
+      if (localChanged && erpChanged) {
+        run.counts.conflicts += 1;
+        if (run.conflictPolicy === 'manual') {
+          link.localId = link.localId || String(local._id);
+          if (erp) link.erpId = String(erp.id);
+          link.conflict = {
+            status: 'open',
+            detectedAt: new Date(),
+            runId: run._id,
+            local: localCanonical,
+            erp: erpCanonical
+          };
+          await link.save();
+          this.recordOutcome(run, pair, 'conflict', null, { conflict: true, countAs: 'queued', message: 'Queued for a manual decision' });
+          return;
+        }
+        winner = run.conflictPolicy === 'erp-wins' ? 'erp' : 'aerosuite';
+      } else if (localChanged) {
+        winner = 'aerosuite';
+      } else if (erpChanged) {
+        winner = 'erp';
+      }
+
+      if (!winner) {
+        this.recordOutcome(run, pair, 'unchanged', null);
+        return;
+      }
+
+      const conflict = localChanged && erpChanged;
+      if (winner === 'erp' && !definition.applyToLocal) {
+        this.recordOutcome(run, pair, 'skipped', null, { conflict, message: 'ERP version kept; this entity is not pulled from the ERP' });
+        return;
+      }
+
+      const result = winner === 'aerosuite'
+        ? await this.pushToErp(definition, localCanonical, erp ? erp.id : link.erpId)
+        : await this.pullFromErp(definition, erpCanonical, local);
+
+      this.refreshLink(link, result.local || local, result.erp || erp, winner === 'aerosuite' ? localHash : erpHash, run);
+      await link.save();
+      this.recordOutcome(run, { ...pair, link, local: result.local || local, erp: result.erp || erp },
+        result.created ? 'created' : 'updated', winner === 'aerosuite' ? 'to-erp' : 'from-erp', { conflict });
+    } catch (error) {
+      logger.error(`ERP sync: ${run.entityType} ${key} failed: ${error.message}`);
+      this.recordOutcome(run, pair, 'failed', null, { message: error.message });
+    }
+  }
+
+  /**
+   * Create or update the ERP record from the AeroSuite version
+   *
+   * @param {Object} definition - Entity definition
+   * @param {Object} canonical - Canonical AeroSuite record
+   * @param {string} [erpId] - ID of the existing ERP record
+   * @returns {Promise<Object>} - { erp, created }
+   */
+  async pushToErp(definition, canonical, erpId) {
+    const provider = this.getProvider();
+    const payload = definition.toErp(canonical);
+
+    if (erpId) {
+      return { erp: await provider[definition.erp.update](erpId, payload), created: false };
+    }
+    return { erp: await provider[definition.erp.create](payload), created: true };
+  }
+
+  /**
+   * Create or update the AeroSuite record from the ERP version
+   *
+   * @param {Object} definition - Entity definition
+   * @param {Object} canonical - Canonical ERP record
+   * @param {Object|null} localRecord - Existing AeroSuite record
+   * @returns {Promise<Object>} - { local, created }
+   */
+  async pullFromErp(definition, canonical, localRecord) {
+    const record = localRecord || new definition.model({});
+    definition.applyToLocal(record, canonical);
+    await record.save();
+    return { local: record, created: !localRecord };
+  }
+
+  /**
+   * Point a link at both records as they are after a sync
+   *
+   * @param {Object} link - ErpSyncLink document
+   * @param {Object} local - AeroSuite record
+   * @param {Object} erp - ERP record
+   * @param {string} hash - Hash of the synchronized version
+   * @param {Object} run - Ledger entry
+   */
+  refreshLink(link, local, erp, hash, run) {
+    if (local) link.localId = String(local._id);
+    if (erp) link.erpId = String(erp.id);
+    link.hash = hash;
+    link.lastSyncedAt = new Date();
+    link.lastRunId = run._id;
+  }
+
+  /**
+   * Count an outcome and add it to the run's records, up to the ledger limit
+   *
+   * @param {Object} run - Ledger entry
+   * @param {Object} pair - Pair the outcome is for
+   * @param {string} action - created, updated, linked, unchanged, conflict, skipped, failed
+   * @param {string|null} direction - to-erp or from-erp
+   * @param {Object} [details] - { conflict, message, countAs }
+   */
+  recordOutcome(run, pair, action, direction, details = {}) {
+    const counter = details.countAs || action;
+    run.counts[counter] = (run.counts[counter] || 0) + 1;
+
+    // Unchanged records are only counted
+    if (action === 'unchanged') return;
+
+    if (run.records.length >= config.sync.maxLedgerRecords) {
+      run.recordsTruncated = true;
+      return;
+    }
+
+    run.records.push({
+      key: pair.key,
+      localId: pair.local ? String(pair.local._id) : (pair.link && pair.link.localId),
+      erpId: pair.erp ? String(pair.erp.id) : (pair.link && pair.link.erpId),
+      direction,
+      action,
+      conflict: Boolean(details.conflict),
+      message: details.message
+    });
+  }
+
+  /**
+   * Resolve a conflict queued for a manual decision
+   *
+   * @param {string} linkId - ErpSyncLink ID
+   * @param {string} resolution - 'erp' or 'aerosuite'
+   * @param {string} [userId] - User making the decision
+   * @returns {Promise<Object>} - { link, run }
+   */
+  async resolveConflict(linkId, resolution, userId) {
+    if (!ErpSyncLink.CONFLICT_RESOLUTIONS.includes(resolution)) {
+      throw new BadRequestError(`Resolution must be one of ${ErpSyncLink.CONFLICT_RESOLUTIONS.join(', ')}`);
+    }
+
+    const link = await ErpSyncLink.findById(linkId);
+    if (!link) {
+      throw new NotFoundError('Sync conflict not found');
+    }
+    if (!link.conflict || link.conflict.status !== 'open') {
+      throw new ConflictError('This record has no open sync conflict');
+    }
+
+    const definition = this.getEntityDefinition(link.entityType);
+    if (resolution === 'erp' && !definition.applyToLocal) {
+      throw new BadRequestError(`${link.entityType} are not updated from the ERP; resolve in favour of AeroSuite`);
+    }
+
+    const run = new ErpSyncRun({
+      provider: link.provider,
+      entityType: link.entityType,
+      direction: resolution === 'erp' ? 'from-erp' : 'to-erp',
+      trigger: 'conflict-resolution',
+      conflictPolicy: 'manual',
+      status: 'running',
+      startedAt: new Date(),
+      startedBy: userId
+    });
+    run.counts.examined = 1;
+
+    const local = link.localId ? await definition.model.findById(link.localId) : null;
+    const pair = { key: link.erpKey, local, erp: link.erpId ? { id: link.erpId } : null, link };
+
+    try {
+      let result;
+      let hash;
+      if (resolution === 'aerosuite') {
+        if (!local) {
+          throw new NotFoundError('The AeroSuite record of this conflict no longer exists');
+        }
+        const canonical = definition.fromLocal(local);
+        result = await this.pushToErp(definition, canonical, link.erpId);
+        hash = this.hashRecord(canonical);
+      } else {
+        result = await this.pullFromErp(definition, link.conflict.erp, local);
+        hash = this.hashRecord(link.conflict.erp);
+      }
+
+      this.refreshLink(link, result.local || local, result.erp || pair.erp, hash, run);
+      link.conflict.status = 'resolved';
+      link.conflict.resolution = resolution;
+      link.conflict.resolvedBy = userId;
+      link.conflict.resolvedAt = new Date();
+      await link.save();
+
+      this.recordOutcome(run, { ...pair, local: result.local || local, erp: result.erp || pair.erp },
+        result.created ? 'created' : 'updated', run.direction, { conflict: true, message: `Resolved in favour of ${resolution}` });
+      run.status = 'succeeded';
+    } catch (error) {
+      this.recordOutcome(run, pair, 'failed', null, { conflict: true, message: error.message });
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+
+    if (run.status === 'failed') {
+      throw new ConflictError(`Conflict could not be resolved: ${run.error}`);
+    }
+
+    return { link, run };
+  }
+
+  /**
+   * Get sync runs from the ledger, newest first
+   *
+   * @param {Object} filters - provider, entityType, status, trigger, from, to
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} - Runs and pagination data
+   */
+  async getRuns(filters = {}, options = {}) {
+    const query = {};
+
+    if (filters.provider) query.provider = filters.provider;
+    if (filters.entityType) query.entityType = filters.entityType;
+    if (filters.status) query.status = filters.status;
+    if (filters.trigger) query.trigger = filters.trigger;
+    if (filters.from || filters.to) {
+      query.startedAt = {};
+      if (filters.from) query.startedAt.$gte = new Date(filters.from);
+      if (filters.to) query.startedAt.$lte = new Date(filters.to);
+    }
+
+    const page = parseInt(options.page, 10) || 1;
+    const limit = parseInt(options.limit, 10) || 20;
+
+    const [runs, total] = await Promise.all([
+      ErpSyncRun.find(query)
+        .select('-records')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ErpSyncRun.countDocuments(query)
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get one sync run with its record outcomes
+   *
+   * @param {string} id - ErpSyncRun ID
+   * @returns {Promise<Object>} - Ledger entry
+   */
+  async getRun(id) {
+    const run = await ErpSyncRun.findById(id);
+    if (!run) {
+      throw new NotFoundError('Sync run not found');
+    }
+    return run;
+  }
+
+  /**
+   * Get the watermarks of the synchronized entity types
+   *
+   * @param {string} [provider] - Limit to one provider
+   * @returns {Promise<Array>} - Watermarks
+   */
+  async getWatermarks(provider) {
+    return ErpSyncWatermark.find(provider ? { provider } : {}).sort({ entityType: 1 });
+  }
+
+  /**
+   * Get sync conflicts, open ones by default
+   *
+   * @param {Object} filters - entityType, status
+   * @returns {Promise<Array>} - Links with their conflict
+   */
+  async getConflicts(filters = {}) {
+    const query = { 'conflict.status': filters.status || 'open' };
+    if (filters.entityType) query.entityType = filters.entityType;
+    return ErpSyncLink.find(query).sort({ 'conflict.detectedAt': -1 });
+  }
+}
+
+ErpSyncEngine.SYNC_ENTITIES = SYNC_ENTITIES;
+ErpSyncEngine.CONFLICT_POLICIES = CONFLICT_POLICIES;
+
+// Export a singleton instance
+module.exports = new ErpSyncEngine();
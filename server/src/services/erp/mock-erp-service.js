@@ -99,14 +99,26 @@ class MockERPService extends BaseERPService {
       // Calculate PO total
       const total = items.reduce((sum, item) => sum + item.totalPrice, 0);
       
+      const dueDate = faker.date.future({ days: 30, refDate: new Date() });
+      const status = faker.helpers.arrayElement(['draft', 'submitted', 'approved', 'received', 'closed']);
+      
+      // Goods have been received against received and closed orders
+      items.forEach(item => {
+        item.receivedQuantity = ['received', 'closed'].includes(status) ? item.quantity : 0;
+      });
+      
       orders.push({
         id,
         poNumber,
         vendor: faker.helpers.arrayElement(['SUP0001', 'SUP0002', 'SUP0003', 'SUP0004', 'SUP0005']),
         vendorName: faker.company.name(),
         date: faker.date.recent({ days: 60 }),
-        dueDate: faker.date.future({ days: 30, refDate: new Date() }),
-        status: faker.helpers.arrayElement(['draft', 'submitted', 'approved', 'received', 'closed']),
+        dueDate,
+        // Received orders arrive up to a week either side of the due date
+        receivedDate: ['received', 'closed'].includes(status)
+          ? new Date(dueDate.getTime() + faker.number.int({ min: -7, max: 7 }) * 24 * 60 * 60 * 1000)
+          : null,
+        status,
         total,
         currency: 'USD',
         items,
@@ -306,6 +318,22 @@ class MockERPService extends BaseERPService {
       );
     }
     
+    if (params.poNumber) {
+      orders = orders.filter(order => order.poNumber === String(params.poNumber));
+    }
+    
+    if (params.vendorCode) {
+      orders = orders.filter(order => order.vendor === params.vendorCode);
+    }
+    
+    if (params.dueFrom || params.dueBefore) {
+      orders = orders.filter(order => {
+        const dueDate = new Date(order.dueDate);
+        return (!params.dueFrom || dueDate >= new Date(params.dueFrom)) &&
+          (!params.dueBefore || dueDate < new Date(params.dueBefore));
+      });
+    }
+    
     // Apply pagination
     if (params.limit) {
       const limit = parseInt(params.limit, 10);
@@ -344,6 +372,17 @@ class MockERPService extends BaseERPService {
       vendors = vendors.filter(vendor => vendor.type === params.vendorType);
     }
     
+    // Filter by exact vendor code if provided
+    if (params.code) {
+      vendors = vendors.filter(vendor => vendor.code === params.code);
+    }
+    
+    // Only vendors changed after the given date
+    if (params.modifiedSince) {
+      const since = new Date(params.modifiedSince);
+      vendors = vendors.filter(vendor => new Date(vendor.updatedAt) > since);
+    }
+    
     // Apply pagination
     if (params.limit) {
       const limit = parseInt(params.limit, 10);
@@ -410,6 +449,12 @@ class MockERPService extends BaseERPService {
       );
     }
     
+    // Only inspections changed after the given date
+    if (params.modifiedSince) {
+      const since = new Date(params.modifiedSince);
+      inspections = inspections.filter(inspection => new Date(inspection.updatedAt) > since);
+    }
+    
     // Apply pagination
     if (params.limit) {
       const limit = parseInt(params.limit, 10);
@@ -533,7 +578,7 @@ class MockERPService extends BaseERPService {
       id,
       code,
       name: supplier.name,
-      contactName: supplier.contactPerson || '',
+      contactName: supplier.contactName || supplier.contactPerson || '',
       email: supplier.email || '',
       phone: supplier.phone || '',
       address: supplier.address || {},
@@ -618,6 +663,7 @@ class MockERPService extends BaseERPService {
       status: inspection.status || 'draft',
       notes: inspection.notes || '',
       defects: inspection.defects || 0,
+      externalReference: inspection.externalReference || '',
       createdAt: new Date(),
       updatedAt: new Date()
     };
@@ -738,4 +784,6 @@ class MockERPService extends BaseERPService {
   }
 }
 
+MockERPService.capabilities = ['vendors', 'purchaseOrders', 'inventory', 'qualityInspections', 'productionOrders'];
+
 module.exports = new MockERPService(); 
\ No newline at end of file
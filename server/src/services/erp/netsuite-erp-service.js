@@ -0,0 +1,454 @@
+/**
+ * NetSuite ERP Service
+ *
+ * This service implements the BaseERPService for Oracle NetSuite's REST
+ * record API. Requests are signed with token-based authentication
+ * (OAuth 1.0a, HMAC-SHA256). Collection reads return record IDs only, so
+ * records are fetched one by one after paging through the IDs.
+ */
+
+const crypto = require('crypto');
+const BaseERPService = require('./base-erp-service');
+const logger = require('../../utils/logger');
+const {
+  mapNetSuiteVendorToSupplier,
+  mapSupplierToNetSuiteVendor,
+  mapNetSuiteInspectionToAeroSuite,
+  mapAeroSuiteInspectionToNetSuite,
+  mapNetSuitePurchaseOrderToAeroSuite,
+  mapAeroSuitePurchaseOrderToNetSuite,
+  mapNetSuiteInventoryItem
+} = require('../../utils/erp-mappers/netsuite-mappers');
+
+// Collections read by syncFromERP, by entity type
+const SYNC_FROM_ERP_ENTITIES = {
+  vendors: 'getVendors',
+  inventory: 'getInventory',
+  purchaseOrders: 'getPurchaseOrders',
+  qualityInspections: 'getQualityInspections'
+};
+
+/**
+ * Percent-encode a value as OAuth 1.0a requires (RFC 3986)
+ *
+ * @param {string} value - Value to encode
+ * @returns {string} - Encoded value
+ */
+const oauthEncode = value => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+class NetSuiteERPService extends BaseERPService {
+  constructor() {
+    super('netsuite');
+
+    // Sign every request, including retries, with a fresh nonce
+    this.httpClient.interceptors.request.use((request) => {
+      request.headers = request.headers || {};
+      request.headers.Authorization = this.signRequest(request.method, this.absoluteUrl(request.url), request.params);
+      return request;
+    });
+  }
+
+  /**
+   * Check the token-based authentication credentials are configured.
+   * NetSuite has no session; each request carries its own signature.
+   *
+   * @returns {Promise<void>}
+   */
+  async authenticate() {
+    const { accountId, consumerKey, consumerSecret, tokenId, tokenSecret } = this.config;
+
+    if (!accountId || !consumerKey || !consumerSecret || !tokenId || !tokenSecret) {
+      throw new Error('NetSuite authentication failed: token-based authentication credentials are not configured');
+    }
+  }
+
+  /**
+   * Make an authenticated request to the NetSuite API
+   *
+   * @param {string} endpoint - API endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} data - Request payload
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - API response
+   */
+  async makeAuthenticatedRequest(endpoint, method = 'GET', data = null, params = {}, options = {}) {
+    await this.authenticate();
+    return this.makeRequest(endpoint, method, data, params, options);
+  }
+
+  /**
+   * Resolve an endpoint against the configured base URL
+   *
+   * @param {string} url - Endpoint or absolute URL
+   * @returns {string} - Absolute URL
+   */
+  absoluteUrl(url) {
+    return /^https?:\/\//.test(url) ? url : `${this.config.baseUrl}${url}`;
+  }
+
+  /**
+   * Build the OAuth 1.0a Authorization header of a request
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Absolute URL without query string
+   * @param {Object} params - Query parameters
+   * @returns {string} - Authorization header value
+   */
+  signRequest(method, url, params = {}) {
+    const { accountId, consumerKey, consumerSecret, tokenId, tokenSecret } = this.config;
+
+    const oauthParams = {
+      oauth_consumer_key: consumerKey,
+      oauth_token: tokenId,
+      oauth_signature_method: 'HMAC-SHA256',
+      oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+      oauth_nonce: crypto.randomBytes(16).toString('hex'),
+      oauth_version: '1.0'
+    };
+
+    // The signature covers the OAuth parameters and the query parameters, sorted by name then value
+    const parameterString = Object.entries({ ...(params || {}), ...oauthParams })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [oauthEncode(key), oauthEncode(String(value))])
+      .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? valueA.localeCompare(valueB) : keyA.localeCompare(keyB)))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    const baseString = [(method || 'GET').toUpperCase(), oauthEncode(url.split('?')[0]), oauthEncode(parameterString)].join('&');
+    const signingKey = `${oauthEncode(consumerSecret || '')}&${oauthEncode(tokenSecret || '')}`;
+    const signature = crypto.createHmac('sha256', signingKey).update(baseString).digest('base64');
+
+    const header = { ...oauthParams, oauth_signature: signature };
+    return `OAuth realm="${accountId}", ${Object.entries(header).map(([key, value]) => `${key}="${oauthEncode(value)}"`).join(', ')}`;
+  }
+
+  /**
+   * Build the record query (q parameter) for a collection read
+   *
+   * @param {Object} params - Query parameters (filter, code, modifiedSince)
+   * @param {string} keyField - Field the code parameter filters on
+   * @param {string} modifiedField - Last modified field of the record type
+   * @returns {string|undefined} - Query expression
+   */
+  buildQuery(params, keyField, modifiedField = 'lastModifiedDate') {
+    const conditions = [];
+
+    if (params.filter) {
+      conditions.push(params.filter);
+    }
+    if (params.code) {
+      conditions.push(`${keyField} IS "${String(params.code).replace(/"/g, '\\"')}"`);
+    }
+    if (params.modifiedSince) {
+      conditions.push(`${modifiedField} AFTER "${new Date(params.modifiedSince).toISOString()}"`);
+    }
+
+    return conditions.length ? conditions.join(' AND ') : undefined;
+  }
+
+  /**
+   * Read the records of a record type: page through the matching IDs, then
+   * fetch each record
+   *
+   * @param {string} endpoint - Record type endpoint
+   * @param {string} [q] - Query expression
+   * @param {number} [limit] - Maximum number of records
+   * @returns {Promise<Array>} - Records
+   */
+  async getRecords(endpoint, q, limit) {
+    const pageSize = this.config.pageSize;
+    const ids = [];
+    let offset = 0;
+    let hasMore = true;
+
+    while (hasMore && (!limit || ids.length < limit)) {
+      const page = await this.makeAuthenticatedRequest(endpoint, 'GET', null, { q, limit: pageSize, offset });
+      ids.push(...(page.items || []).map(item => item.id));
+      hasMore = Boolean(page.hasMore);
+      offset += pageSize;
+    }
+
+    const records = [];
+    for (const id of (limit ? ids.slice(0, limit) : ids)) {
+      records.push(await this.getRecord(endpoint, id));
+    }
+    return records;
+  }
+
+  /**
+   * Fetch one record with its sublists
+   *
+   * @param {string} endpoint - Record type endpoint
+   * @param {string} id - Internal ID
+   * @returns {Promise<Object>} - Record
+   */
+  async getRecord(endpoint, id) {
+    return this.makeAuthenticatedRequest(`${endpoint}/${id}`, 'GET', null, { expandSubResources: true });
+  }
+
+  /**
+   * Create a record. NetSuite answers 204 with the new record's URL in the
+   * Location header, so the record is read back from there.
+   *
+   * @param {string} endpoint - Record type endpoint
+   * @param {Object} record - Record fields
+   * @returns {Promise<Object>} - Created record
+   */
+  async createRecord(endpoint, record) {
+    await this.authenticate();
+
+    const response = await this.httpClient.request({ method: 'POST', url: endpoint, data: record });
+    const location = response.headers && response.headers.location;
+    if (!location) {
+      throw new Error(`NetSuite did not return the location of the new ${endpoint} record`);
+    }
+
+    return this.getRecord(endpoint, location.split('/').pop());
+  }
+
+  /**
+   * Update a record and read it back
+   *
+   * @param {string} endpoint - Record type endpoint
+   * @param {string} id - Internal ID
+   * @param {Object} record - Fields to update
+   * @returns {Promise<Object>} - Updated record
+   */
+  async updateRecord(endpoint, id, record) {
+    await this.makeAuthenticatedRequest(`${endpoint}/${id}`, 'PATCH', record);
+    return this.getRecord(endpoint, id);
+  }
+
+  /**
+   * Get inventory data from NetSuite
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Inventory items
+   */
+  async getInventory(params = {}) {
+    const endpoint = this.config.modules.inventory.endpoint;
+    const items = await this.getRecords(endpoint, this.buildQuery(params, 'itemId'), params.limit);
+    return items.map(item => mapNetSuiteInventoryItem(item));
+  }
+
+  /**
+   * Get purchase orders from NetSuite
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Purchase orders
+   */
+  async getPurchaseOrders(params = {}) {
+    const endpoint = this.config.modules.purchasing.endpoint;
+    const conditions = [this.buildQuery(params, 'tranId')];
+
+    if (params.poNumber) {
+      conditions.push(`tranId IS "${String(params.poNumber).replace(/"/g, '\\"')}"`);
+    }
+    if (params.vendorCode) {
+      conditions.push(`entity IS "${String(params.vendorCode).replace(/"/g, '\\"')}"`);
+    }
+    if (params.dueFrom) {
+      conditions.push(`dueDate ON_OR_AFTER "${new Date(params.dueFrom).toISOString()}"`);
+    }
+    if (params.dueBefore) {
+      conditions.push(`dueDate BEFORE "${new Date(params.dueBefore).toISOString()}"`);
+    }
+
+    const q = conditions.filter(Boolean).join(' AND ') || undefined;
+    const orders = await this.getRecords(endpoint, q, params.limit);
+    return orders.map(order => mapNetSuitePurchaseOrderToAeroSuite(order));
+  }
+
+  /**
+   * Get vendor/supplier data from NetSuite
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Vendors
+   */
+  async getVendors(params = {}) {
+    const endpoint = this.config.modules.vendors.endpoint;
+    let q = this.buildQuery(params, 'entityId');
+
+    if (params.vendorType) {
+      const condition = `category IS "${params.vendorType}"`;
+      q = q ? `${q} AND ${condition}` : condition;
+    }
+
+    const vendors = await this.getRecords(endpoint, q, params.limit);
+
+    // Map NetSuite vendors to AeroSuite supplier format
+    return vendors.map(vendor => mapNetSuiteVendorToSupplier(vendor));
+  }
+
+  /**
+   * Get quality inspection records from NetSuite
+   *
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Array>} - Quality inspections
+   */
+  async getQualityInspections(params = {}) {
+    const endpoint = this.config.modules.qualityManagement.endpoint;
+    const inspections = await this.getRecords(endpoint, this.buildQuery(params, 'name', 'lastModified'), params.limit);
+    return inspections.map(inspection => mapNetSuiteInspectionToAeroSuite(inspection));
+  }
+
+  /**
+   * Create a purchase order in NetSuite
+   *
+   * @param {Object} purchaseOrder - Purchase order data
+   * @returns {Promise<Object>} - Created purchase order
+   */
+  async createPurchaseOrder(purchaseOrder) {
+    const endpoint = this.config.modules.purchasing.endpoint;
+    const created = await this.createRecord(endpoint, mapAeroSuitePurchaseOrderToNetSuite(purchaseOrder));
+    return mapNetSuitePurchaseOrderToAeroSuite(created);
+  }
+
+  /**
+   * Update a purchase order in NetSuite
+   *
+   * @param {string} id - Purchase order internal ID
+   * @param {Object} purchaseOrder - Updated purchase order data
+   * @returns {Promise<Object>} - Updated purchase order
+   */
+  async updatePurchaseOrder(id, purchaseOrder) {
+    const endpoint = this.config.modules.purchasing.endpoint;
+    const updated = await this.updateRecord(endpoint, id, mapAeroSuitePurchaseOrderToNetSuite(purchaseOrder));
+    return mapNetSuitePurchaseOrderToAeroSuite(updated);
+  }
+
+  /**
+   * Create a vendor/supplier in NetSuite
+   *
+   * @param {Object} supplier - Vendor data
+   * @returns {Promise<Object>} - Created vendor
+   */
+  async createVendor(supplier) {
+    const endpoint = this.config.modules.vendors.endpoint;
+    const created = await this.createRecord(endpoint, mapSupplierToNetSuiteVendor(supplier));
+    return mapNetSuiteVendorToSupplier(created);
+  }
+
+  /**
+   * Update a vendor/supplier in NetSuite
+   *
+   * @param {string} id - Vendor internal ID
+   * @param {Object} supplier - Updated vendor data
+   * @returns {Promise<Object>} - Updated vendor
+   */
+  async updateVendor(id, supplier) {
+    const endpoint = this.config.modules.vendors.endpoint;
+    const updated = await this.updateRecord(endpoint, id, mapSupplierToNetSuiteVendor(supplier));
+    return mapNetSuiteVendorToSupplier(updated);
+  }
+
+  /**
+   * Create a quality inspection record in NetSuite
+   *
+   * @param {Object} inspection - Inspection data
+   * @returns {Promise<Object>} - Created inspection
+   */
+  async createQualityInspection(inspection) {
+    const endpoint = this.config.modules.qualityManagement.endpoint;
+    const created = await this.createRecord(endpoint, mapAeroSuiteInspectionToNetSuite(inspection));
+    return mapNetSuiteInspectionToAeroSuite(created);
+  }
+
+  /**
+   * Update a quality inspection record in NetSuite
+   *
+   * @param {string} id - Inspection record internal ID
+   * @param {Object} inspection - Updated inspection data
+   * @returns {Promise<Object>} - Updated inspection
+   */
+  async updateQualityInspection(id, inspection) {
+    const endpoint = this.config.modules.qualityManagement.endpoint;
+    const updated = await this.updateRecord(endpoint, id, mapAeroSuiteInspectionToNetSuite(inspection));
+    return mapNetSuiteInspectionToAeroSuite(updated);
+  }
+
+  /**
+   * Sync data from AeroSuite to NetSuite
+   *
+   * @param {string} entity - Entity type to sync (suppliers, inspections)
+   * @param {Array} data - Data to sync
+   * @returns {Promise<Object>} - Sync results
+   */
+  async syncToERP(entity, data) {
+    logger.info(`Starting sync to NetSuite for entity: ${entity}, records: ${data.length}`);
+
+    if (!['suppliers', 'inspections'].includes(entity)) {
+      throw new Error(`Unsupported entity type for NetSuite sync: ${entity}`);
+    }
+
+    const results = {
+      entity,
+      totalCount: data.length,
+      successCount: 0,
+      errorCount: 0,
+      errors: []
+    };
+
+    for (const item of data) {
+      try {
+        if (entity === 'suppliers') {
+          const [existing] = await this.getVendors({ code: item.code, limit: 1 });
+          if (existing) {
+            await this.updateVendor(existing.id, item);
+          } else {
+            await this.createVendor(item);
+          }
+        } else {
+          await this.createQualityInspection(item);
+        }
+        results.successCount++;
+      } catch (error) {
+        results.errorCount++;
+        results.errors.push({
+          item: item.code || item.id,
+          error: error.message
+        });
+        logger.error(`Error syncing ${entity} item to NetSuite: ${error.message}`);
+      }
+    }
+
+    logger.info(`Completed sync to NetSuite for entity: ${entity}, success: ${results.successCount}, errors: ${results.errorCount}`);
+    return results;
+  }
+
+  /**
+   * Sync data from NetSuite to AeroSuite
+   *
+   * @param {string} entity - Entity type to sync (vendors, inventory, purchaseOrders, qualityInspections)
+   * @param {Object} params - Sync parameters
+   * @returns {Promise<Object>} - Sync results
+   */
+  async syncFromERP(entity, params = {}) {
+    logger.info(`Starting sync from NetSuite for entity: ${entity}`);
+
+    const method = SYNC_FROM_ERP_ENTITIES[entity];
+    if (!method) {
+      throw new Error(`Unsupported entity type for NetSuite sync: ${entity}`);
+    }
+
+    const data = await this[method](params);
+    logger.info(`Fetched ${data.length} ${entity} records from NetSuite`);
+
+    // Return the data for further processing in the ERP service
+    return {
+      entity,
+      totalCount: data.length,
+      newCount: 0,
+      updatedCount: 0,
+      errorCount: 0,
+      errors: [],
+      data
+    };
+  }
+}
+
+NetSuiteERPService.capabilities = ['vendors', 'purchaseOrders', 'inventory', 'qualityInspections'];
+
+module.exports = NetSuiteERPService;
@@ -9,7 +9,11 @@
 
 const BaseERPService = require('./base-erp-service');
 const logger = require('../../utils/logger');
-const { mapOracleVendorToSupplier, mapSupplierToOracleVendor } = require('../../utils/erp-mappers/oracle-mappers');
+const {
+  mapOracleVendorToSupplier,
+  mapSupplierToOracleVendor,
+  mapOraclePurchaseOrderToAeroSuite
+} = require('../../utils/erp-mappers/oracle-mappers');
 
 class OracleERPService extends BaseERPService {
   constructor() {
@@ -121,21 +125,29 @@ class OracleERPService extends BaseERPService {
    */
   async getPurchaseOrders(params = {}) {
     const endpoint = this.config.modules.purchasing.endpoint;
+    const { poNumber, ...rest } = params;
     
     // Build query parameters
     const queryParams = {
-      limit: params.limit || 100,
-      offset: params.offset || 0,
-      ...params
+      limit: rest.limit || 100,
+      offset: rest.offset || 0,
+      ...rest
     };
     
     // Add filter if provided
-    if (params.filter) {
-      queryParams.q = params.filter;
+    const finders = [];
+    if (rest.filter) {
+      finders.push(rest.filter);
+    }
+    if (poNumber) {
+      finders.push(`orderNumber='${String(poNumber).replace(/'/g, '')}'`);
+    }
+    if (finders.length > 0) {
+      queryParams.q = finders.join(';');
     }
     
     const data = await this.makeAuthenticatedRequest(endpoint, 'GET', null, queryParams);
-    return data.items || [];
+    return (data.items || []).map(order => mapOraclePurchaseOrderToAeroSuite(order));
   }
   
   /**
@@ -524,4 +536,6 @@ class OracleERPService extends BaseERPService {
   }
 }
 
+OracleERPService.capabilities = ['vendors', 'purchaseOrders', 'inventory', 'qualityInspections', 'productionOrders'];
+
 module.exports = OracleERPService; 
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * ERP Provider Registry
+ *
+ * Keeps the ERP adapters AeroSuite can connect to. Each adapter class
+ * declares the capabilities it supports in a static `capabilities` list and
+ * is registered with a loader for the adapter and for its Anti-Corruption
+ * Layer. Adapters are only loaded when first used, so registering a
+ * provider does not pull in its dependencies.
+ */
+
+const CAPABILITIES = ['vendors', 'purchaseOrders', 'inventory', 'qualityInspections', 'productionOrders'];
+
+// Adapter methods each capability requires
+const CAPABILITY_METHODS = {
+  vendors: ['getVendors', 'createVendor', 'updateVendor'],
+  purchaseOrders: ['getPurchaseOrders', 'createPurchaseOrder', 'updatePurchaseOrder'],
+  inventory: ['getInventory'],
+  qualityInspections: ['getQualityInspections', 'createQualityInspection', 'updateQualityInspection'],
+  productionOrders: ['getProductionOrders']
+};
+
+class ErpProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Register an ERP provider, replacing any provider of the same name
+   *
+   * @param {string} name - Provider name used in ERP_PROVIDER
+   * @param {Object} definition - Provider definition
+   * @param {Function} definition.load - Returns the adapter class, or a ready adapter instance
+   * @param {Function} definition.acl - Returns the Anti-Corruption Layer class
+   * @returns {ErpProviderRegistry} - The registry
+   */
+  register(name, { load, acl }) {
+    if (!name || typeof load !== 'function' || typeof acl !== 'function') {
+      throw new Error('An ERP provider needs a name, an adapter loader and an Anti-Corruption Layer loader');
+    }
+
+    this.providers.set(name.toLowerCase(), { load, acl, adapter: null });
+    return this;
+  }
+
+  /**
+   * Check whether a provider is registered
+   *
+   * @param {string} name - Provider name
+   * @returns {boolean} - Whether the provider is registered
+   */
+  has(name) {
+    return Boolean(name) && this.providers.has(name.toLowerCase());
+  }
+
+  /**
+   * Names of the registered providers
+   *
+   * @returns {Array<string>} - Provider names
+   */
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  /**
+   * Get the registration of a provider
+   *
+   * @param {string} name - Provider name
+   * @returns {Object} - Provider registration
+   * @private
+   */
+  getEntry(name) {
+    if (!this.has(name)) {
+      throw new Error(`Unsupported ERP provider: ${name}`);
+    }
+    return this.providers.get(name.toLowerCase());
+  }
+
+  /**
+   * Load a provider's adapter and check it implements what it declares
+   *
+   * @param {string} name - Provider name
+   * @returns {Function|Object} - Adapter class or instance
+   * @private
+   */
+  loadAdapter(name) {
+    const entry = this.getEntry(name);
+
+    if (!entry.adapter) {
+      const BaseERPService = require('./base-erp-service');
+      const adapter = entry.load();
+      const prototype = typeof adapter === 'function' ? adapter.prototype : adapter;
+      const capabilities = this.readCapabilities(adapter);
+
+      for (const capability of capabilities) {
+        if (!CAPABILITY_METHODS[capability]) {
+          throw new Error(`ERP provider '${name}' declares unknown capability '${capability}'`);
+        }
+        // The base service only throws "must be implemented by subclass"
+        const missing = CAPABILITY_METHODS[capability].filter(method =>
+          typeof prototype[method] !== 'function' || prototype[method] === BaseERPService.prototype[method]
+        );
+        if (missing.length) {
+          throw new Error(`ERP provider '${name}' declares '${capability}' but does not implement ${missing.join(', ')}`);
+        }
+      }
+
+      entry.adapter = adapter;
+    }
+
+    return entry.adapter;
+  }
+
+  /**
+   * Read the declared capabilities of an adapter class or instance
+   *
+   * @param {Function|Object} adapter - Adapter class or instance
+   * @returns {Array<string>} - Capabilities
+   * @private
+   */
+  readCapabilities(adapter) {
+    const AdapterClass = typeof adapter === 'function' ? adapter : adapter.constructor;
+    return AdapterClass.capabilities || [];
+  }
+
+  /**
+   * Create the adapter of a provider
+   *
+   * @param {string} name - Provider name
+   * @returns {Object} - Adapter instance
+   */
+  create(name) {
+    const adapter = this.loadAdapter(name);
+    return typeof adapter === 'function' ? new adapter() : adapter;
+  }
+
+  /**
+   * Create the Anti-Corruption Layer of a provider
+   *
+   * @param {string} name - Provider name
+   * @returns {Object} - Anti-Corruption Layer instance
+   */
+  createAcl(name) {
+    const AclClass = this.getEntry(name).acl();
+    return new AclClass();
+  }
+
+  /**
+   * Capabilities a provider declares
+   *
+   * @param {string} name - Provider name
+   * @returns {Array<string>} - Capabilities
+   */
+  getCapabilities(name) {
+    return [...this.readCapabilities(this.loadAdapter(name))];
+  }
+
+  /**
+   * Check whether a provider supports a capability
+   *
+   * @param {string} name - Provider name
+   * @param {string} capability - Capability
+   * @returns {boolean} - Whether the capability is supported
+   */
+  supports(name, capability) {
+    return this.getCapabilities(name).includes(capability);
+  }
+
+  /**
+   * Describe every registered provider with its capabilities
+   *
+   * @returns {Array<Object>} - Providers
+   */
+  describe() {
+    return this.names().map(name => ({ name, capabilities: this.getCapabilities(name) }));
+  }
+}
+
+const registry = new ErpProviderRegistry();
+
+registry
+  .register('sap', {
+    load: () => require('./sap-erp-service'),
+    acl: () => require('../../infrastructure/anti-corruption-layer/SapAntiCorruptionLayer')
+  })
+  .register('oracle', {
+    load: () => require('./oracle-erp-service'),
+    acl: () => require('../../infrastructure/anti-corruption-layer/OracleAntiCorruptionLayer')
+  })
+  .register('dynamics365', {
+    load: () => require('./dynamics365-erp-service'),
+    acl: () => require('../../infrastructure/anti-corruption-layer/Dynamics365AntiCorruptionLayer')
+  })
+  .register('netsuite', {
+    load: () => require('./netsuite-erp-service'),
+    acl: () => require('../../infrastructure/anti-corruption-layer/NetSuiteAntiCorruptionLayer')
+  })
+  // For development and testing; the mock ERP speaks the SAP dialect
+  .register('mock', {
+    load: () => require('./mock-erp-service'),
+    acl: () => require('../../infrastructure/anti-corruption-layer/SapAntiCorruptionLayer')
+  });
+
+registry.ErpProviderRegistry = ErpProviderRegistry;
+registry.CAPABILITIES = CAPABILITIES;
+registry.CAPABILITY_METHODS = CAPABILITY_METHODS;
+
+module.exports = registry;
@@ -7,7 +7,11 @@
 
 const BaseERPService = require('./base-erp-service');
 const logger = require('../../utils/logger');
-const { mapSapVendorToSupplier, mapSupplierToSapVendor } = require('../../utils/erp-mappers/sap-mappers');
+const {
+  mapSapVendorToSupplier,
+  mapSupplierToSapVendor,
+  mapSapPurchaseOrderToAeroSuite
+} = require('../../utils/erp-mappers/sap-mappers');
 
 class SapERPService extends BaseERPService {
   constructor() {
@@ -118,19 +122,39 @@ class SapERPService extends BaseERPService {
     const endpoint = this.config.modules.purchasing.endpoint;
     
     // Build filter query if needed
-    let queryParams = { ...params };
+    const { poNumber, vendorCode, dueFrom, dueBefore, ...queryParams } = params;
+    const filters = [];
     if (params.filter) {
-      queryParams.$filter = params.filter;
+      filters.push(params.filter);
       delete queryParams.filter;
     }
+    if (poNumber) {
+      // Document numbers are numeric in SAP; no order has any other number
+      if (!/^\d+$/.test(String(poNumber).trim())) {
+        return [];
+      }
+      filters.push(`DocNum eq ${String(poNumber).trim()}`);
+    }
+    if (vendorCode) {
+      filters.push(`CardCode eq '${String(vendorCode).replace(/'/g, "''")}'`);
+    }
+    if (dueFrom) {
+      filters.push(`DocDueDate ge '${new Date(dueFrom).toISOString().slice(0, 10)}'`);
+    }
+    if (dueBefore) {
+      filters.push(`DocDueDate lt '${new Date(dueBefore).toISOString().slice(0, 10)}'`);
+    }
+    if (filters.length > 0) {
+      queryParams.$filter = filters.join(' and ');
+    }
     
     // Add common query parameters
     if (!queryParams.$select) {
-      queryParams.$select = 'DocEntry,DocNum,CardCode,CardName,DocDate,DocDueDate,DocTotal,DocumentStatus';
+      queryParams.$select = 'DocEntry,DocNum,CardCode,CardName,DocDate,DocDueDate,DocTotal,DocumentStatus,DocumentLines';
     }
     
     const data = await this.makeAuthenticatedRequest(endpoint, 'GET', null, queryParams);
-    return data.value || [];
+    return (data.value || []).map(order => mapSapPurchaseOrderToAeroSuite(order));
   }
   
   /**
@@ -486,4 +510,6 @@ class SapERPService extends BaseERPService {
   }
 }
 
+SapERPService.capabilities = ['vendors', 'purchaseOrders', 'inventory', 'qualityInspections', 'productionOrders'];
+
 module.exports = SapERPService; 
\ No newline at end of file
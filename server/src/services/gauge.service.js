@@ -0,0 +1,298 @@
+/**
+ * Gauge Service
+ * Provides business logic for measuring equipment, calibration and
+ * Gauge R&R studies
+ */
+const Gauge = require('../models/Gauge');
+const GaugeStudy = require('../models/GaugeStudy');
+const Specification = require('../shared-kernel/models/Specification');
+const msaService = require('../ai/services/msa.service');
+const { NotFoundError, BadRequestError, ConflictError, ValidationError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = [
+  'name', 'type', 'manufacturer', 'model', 'serialNumber',
+  'resolution', 'unit', 'location', 'status'
+];
+
+/**
+ * Create a gauge
+ * @param {Object} gaugeData Gauge data
+ * @param {string} userId User creating the gauge
+ * @returns {Promise<Object>} Created gauge
+ */
+exports.createGauge = async (gaugeData, userId) => {
+  try {
+    return await Gauge.create({ ...gaugeData, latestStudy: undefined, createdBy: userId });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`Gauge ${gaugeData.gaugeId} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get gauges
+ * @param {Object} [filters] Filters
+ * @param {string} [filters.status] Gauge status
+ * @param {boolean|string} [filters.calibrationDue] Only gauges past their calibration due date
+ * @returns {Promise<Array>} Gauges
+ */
+exports.getGauges = async (filters = {}) => {
+  const query = {};
+  if (filters.status) query.status = filters.status;
+  if (filters.calibrationDue === true || filters.calibrationDue === 'true') {
+    query['calibration.dueDate'] = { $lt: new Date() };
+  }
+
+  return Gauge.find(query).sort({ gaugeId: 1 });
+};
+
+/**
+ * Get a gauge by ID
+ * @param {string} id Gauge ID
+ * @returns {Promise<Object>} Gauge
+ */
+exports.getGaugeById = async (id) => {
+  const gauge = await Gauge.findById(id);
+  if (!gauge) {
+    throw new NotFoundError(`Gauge not found with id ${id}`);
+  }
+  return gauge;
+};
+
+/**
+ * Update a gauge's details
+ * @param {string} id Gauge ID
+ * @param {Object} updateData Updated gauge data
+ * @returns {Promise<Object>} Updated gauge
+ */
+exports.updateGauge = async (id, updateData) => {
+  const gauge = await this.getGaugeById(id);
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (updateData[field] !== undefined) {
+      gauge[field] = updateData[field];
+    }
+  });
+
+  await gauge.save();
+  return gauge;
+};
+
+/**
+ * Record a calibration of a gauge; the next due date follows from the interval
+ * @param {string} id Gauge ID
+ * @param {Object} calibration Calibration (calibratedAt, intervalDays, certificateNumber, certificateUrl, calibratedBy)
+ * @returns {Promise<Object>} Updated gauge
+ */
+exports.recordCalibration = async (id, calibration) => {
+  const gauge = await this.getGaugeById(id);
+
+  const calibratedAt = calibration.calibratedAt ? new Date(calibration.calibratedAt) : new Date();
+  if (Number.isNaN(calibratedAt.getTime()) || calibratedAt > new Date()) {
+    throw new BadRequestError('Calibration date must be a valid date that is not in the future');
+  }
+
+  gauge.calibration.lastCalibratedAt = calibratedAt;
+  if (calibration.intervalDays) gauge.calibration.intervalDays = calibration.intervalDays;
+  gauge.calibration.certificateNumber = calibration.certificateNumber;
+  gauge.calibration.certificateUrl = calibration.certificateUrl;
+  gauge.calibration.calibratedBy = calibration.calibratedBy;
+
+  await gauge.save();
+  return gauge;
+};
+
+/**
+ * Describe the characteristic a study measures from a specification.
+ * The tolerance is the total width: upper minus lower limit, or twice a
+ * symmetric ± tolerance.
+ * @param {Object} specification Specification (name, value, tolerance, minValue, maxValue, unit)
+ * @returns {Object} Characteristic with limits and tolerance width
+ */
+exports.characteristicFromSpecification = (specification) => {
+  let spec;
+  try {
+    spec = new Specification(specification);
+  } catch (error) {
+    throw new ValidationError(`Invalid specification: ${error.message}`);
+  }
+
+  const characteristic = {
+    specificationId: spec.id,
+    name: spec.name,
+    nominal: typeof spec.value === 'number' ? spec.value : undefined,
+    unit: spec.unit
+  };
+
+  if (typeof spec.minValue === 'number' && typeof spec.maxValue === 'number') {
+    characteristic.lowerLimit = spec.minValue;
+    characteristic.upperLimit = spec.maxValue;
+    characteristic.tolerance = spec.maxValue - spec.minValue;
+  } else if (typeof spec.value === 'number' && typeof spec.tolerance === 'number') {
+    characteristic.lowerLimit = spec.value - spec.tolerance;
+    characteristic.upperLimit = spec.value + spec.tolerance;
+    characteristic.tolerance = 2 * spec.tolerance;
+  }
+
+  return characteristic;
+};
+
+/**
+ * Generate the next study number (GRR-YYMM-###)
+ * @returns {Promise<string>} Study number
+ */
+exports.generateStudyNumber = async () => {
+  const date = new Date();
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const prefix = `GRR-${year}${month}-`;
+
+  const count = await GaugeStudy.countDocuments({ studyNumber: { $regex: `^${prefix}` } });
+  return `${prefix}${(count + 1).toString().padStart(3, '0')}`;
+};
+
+/**
+ * Run a Gauge R&R study on a gauge and keep it as the gauge's latest study
+ * unless a more recent study exists
+ * @param {string} gaugeId Gauge ID
+ * @param {Object} studyData Study data
+ * @param {string} [studyData.method] anova or average-range
+ * @param {Object} [studyData.specification] Specification of the studied characteristic
+ * @param {string} [studyData.componentId] Component the specification belongs to
+ * @param {Array} studyData.measurements Measurements ({ operator, part, trial, value })
+ * @param {string} userId User who performed the study
+ * @returns {Promise<Object>} Study with results
+ */
+exports.createStudy = async (gaugeId, studyData, userId) => {
+  const gauge = await this.getGaugeById(gaugeId);
+
+  if (!studyData.specification?.name) {
+    throw new ValidationError('The specification of the studied characteristic is required');
+  }
+
+  const characteristic = {
+    ...this.characteristicFromSpecification(studyData.specification),
+    componentId: studyData.componentId
+  };
+
+  let analysis;
+  try {
+    analysis = msaService.analyzeGaugeStudy(studyData.measurements, {
+      method: studyData.method,
+      tolerance: characteristic.tolerance
+    });
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const study = await GaugeStudy.create({
+    studyNumber: await this.generateStudyNumber(),
+    gauge: gauge._id,
+    method: analysis.method,
+    characteristic,
+    measurements: studyData.measurements,
+    results: {
+      operators: analysis.design.operators.length,
+      parts: analysis.design.parts,
+      trials: analysis.design.trials,
+      ev: analysis.ev,
+      av: analysis.av,
+      grr: analysis.grr,
+      pv: analysis.pv,
+      tv: analysis.tv,
+      percentEv: analysis.percentEv,
+      percentAv: analysis.percentAv,
+      percentGrr: analysis.percentGrr,
+      percentPv: analysis.percentPv,
+      percentTolerance: analysis.percentTolerance,
+      ndc: analysis.ndc,
+      interactionPooled: analysis.interactionPooled,
+      anovaTable: analysis.anovaTable
+    },
+    acceptability: analysis.acceptability,
+    studyDate: studyData.studyDate || new Date(),
+    notes: studyData.notes,
+    performedBy: userId
+  });
+
+  const latestDate = gauge.latestStudy?.studyDate;
+  if (!latestDate || study.studyDate >= latestDate) {
+    gauge.latestStudy = {
+      studyId: study._id,
+      method: study.method,
+      studyDate: study.studyDate,
+      percentGrr: analysis.percentGrr,
+      percentTolerance: analysis.percentTolerance,
+      ndc: analysis.ndc,
+      acceptability: analysis.acceptability
+    };
+    await gauge.save();
+  }
+
+  return study;
+};
+
+/**
+ * Get a gauge's studies, newest first
+ * @param {string} gaugeId Gauge ID
+ * @returns {Promise<Array>} Studies
+ */
+exports.getStudies = async (gaugeId) => {
+  await this.getGaugeById(gaugeId);
+  return GaugeStudy.find({ gauge: gaugeId }).select('-measurements').sort({ studyDate: -1 });
+};
+
+/**
+ * Get a study
+ * @param {string} gaugeId Gauge ID
+ * @param {string} studyId Study ID
+ * @returns {Promise<Object>} Study
+ */
+exports.getStudy = async (gaugeId, studyId) => {
+  const study = await GaugeStudy.findOne({ _id: studyId, gauge: gaugeId });
+  if (!study) {
+    throw new NotFoundError(`Gauge study not found with id ${studyId}`);
+  }
+  return study;
+};
+
+/**
+ * Check whether measurements made with a gauge can be trusted
+ * @param {string} gaugeTag Gauge asset tag recorded on the measurement
+ * @param {Object} [options] Options
+ * @param {Date} [options.now] Current date
+ * @returns {Promise<Object>} Gauge summary and warnings
+ */
+exports.assessGauge = async (gaugeTag, options = {}) => {
+  const now = options.now || new Date();
+  const gauge = await Gauge.findOne({ gaugeId: String(gaugeTag).toUpperCase() });
+
+  if (!gauge) {
+    return {
+      gaugeId: gaugeTag,
+      warnings: [`Gauge ${gaugeTag} is not registered; its calibration and Gauge R&R cannot be checked`]
+    };
+  }
+
+  const warnings = [];
+
+  if (gauge.isCalibrationExpired(now)) {
+    warnings.push(`Gauge ${gauge.gaugeId} calibration expired on ${gauge.calibration.dueDate.toISOString().slice(0, 10)}`);
+  }
+
+  const study = gauge.latestStudy;
+  if (study?.acceptability === 'unacceptable') {
+    warnings.push(
+      `Gauge ${gauge.gaugeId} latest Gauge R&R study is unacceptable (${study.percentGrr.toFixed(1)}% GRR > ${msaService.MARGINAL_GRR_PERCENT}%)`
+    );
+  }
+
+  return {
+    gaugeId: gauge.gaugeId,
+    calibrationDueDate: gauge.calibration?.dueDate || null,
+    latestStudy: study?.studyId ? study : null,
+    warnings
+  };
+};
@@ -0,0 +1,648 @@
+/**
+ * Job Scheduler Service
+ * Runs registered background jobs in-app, on cron expressions or once at a
+ * given time. Jobs are kept in the database, so schedules survive restarts.
+ * An instance claims a due job by taking its lock and renews the lock while
+ * the job runs, so only one instance of a cluster runs a given job. Failed
+ * runs are retried with exponential backoff, runs that overrun their
+ * timeout are failed, and every attempt is kept in the job history.
+ */
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const cronExpression = require('../utils/cronExpression');
+const jobSchedulerConfig = require('../config/jobScheduler.config');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+
+const MINUTE_MS = 60 * 1000;
+
+// Job definitions registered on this instance, by name
+const definitions = new Map();
+
+// Runs in progress on this instance, by job ID, with the controller that aborts them
+const runningJobs = new Map();
+
+// Runs started by poll(), awaited by drain()
+const pendingRuns = new Set();
+
+// Holder of the locks this instance takes
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let pollTimer = null;
+let lockTimer = null;
+let polling = null;
+
+/**
+ * Register a job definition. A definition with a cron expression is kept
+ * as a recurring job of the same name; the others run when scheduled once.
+ * @param {string} name Job name
+ * @param {Function} handler Async function called with { job, data, attempt, signal }
+ * @param {Object} [options] { cron, timezone, description, timeoutMinutes, maxAttempts }
+ * @throws {Error} If the handler or cron expression is invalid
+ */
+exports.define = (name, handler, options = {}) => {
+  if (typeof handler !== 'function') {
+    throw new Error(`Job ${name} needs a handler function`);
+  }
+  if (options.cron) {
+    cronExpression.parse(options.cron);
+  }
+
+  definitions.set(name, {
+    name,
+    handler,
+    timezone: jobSchedulerConfig.timezone,
+    ...options
+  });
+};
+
+/**
+ * Get the job definitions registered on this instance
+ * @returns {Object[]} Definitions, without their handlers
+ */
+exports.getDefinitions = () => [...definitions.values()].map(({ handler: _handler, ...definition }) => definition);
+
+/**
+ * Get the ID this instance holds job locks under
+ * @returns {string} Instance ID
+ */
+exports.getInstanceId = () => instanceId;
+
+/**
+ * Create the recurring jobs of the registered definitions, and move a job
+ * whose cron expression changed onto its new schedule
+ * @param {Date} [now] Current time
+ * @returns {Promise<void>}
+ */
+exports.syncJobs = async (now = new Date()) => {
+  for (const definition of definitions.values()) {
+    if (!definition.cron) continue;
+
+    const fields = {
+      handler: definition.name,
+      type: 'recurring',
+      cron: definition.cron,
+      timezone: definition.timezone,
+      description: definition.description
+    };
+    const job = await Job.findOne({ name: definition.name });
+
+    if (!job) {
+      try {
+        await Job.create({
+          name: definition.name,
+          ...fields,
+          nextRunAt: cronExpression.nextRun(definition.cron, now, definition.timezone)
+        });
+      } catch (error) {
+        // Another instance created the job first
+        if (error.code !== 11000) throw error;
+      }
+    } else if (job.cron !== fields.cron || job.timezone !== fields.timezone || job.description !== fields.description) {
+      // A retry or manual run already due keeps its time
+      const reschedule = job.status === 'scheduled' && job.trigger === 'scheduled'
+        ? { nextRunAt: cronExpression.nextRun(fields.cron, now, fields.timezone) }
+        : {};
+      await Job.updateOne({ _id: job._id }, { $set: { ...fields, ...reschedule } });
+    }
+  }
+};
+
+/**
+ * Get the attempt and timeout limits of a job
+ * @param {Object} job Job
+ * @returns {Object} { maxAttempts, timeoutMinutes }
+ */
+const limitsOf = (job) => {
+  const definition = definitions.get(job.handler) || {};
+  return {
+    maxAttempts: job.maxAttempts || definition.maxAttempts || jobSchedulerConfig.retry.maxAttempts,
+    timeoutMinutes: job.timeoutMinutes || definition.timeoutMinutes || jobSchedulerConfig.timeoutMinutes
+  };
+};
+
+const lockExpiry = now => new Date(now.getTime() + jobSchedulerConfig.lockSeconds * 1000);
+
+/**
+ * Calculate when a failed attempt is tried again
+ * @param {number} attempt Attempts made
+ * @param {Date} now Time of the last attempt
+ * @returns {Date} Next attempt
+ */
+exports.nextAttemptAt = (attempt, now) => {
+  const { baseDelaySeconds, maxDelaySeconds } = jobSchedulerConfig.retry;
+  const delay = Math.min(baseDelaySeconds * 2 ** (attempt - 1), maxDelaySeconds);
+  return new Date(now.getTime() + delay * 1000);
+};
+
+/**
+ * Work out the state a job moves to when a run ends: a retry while
+ * attempts remain, otherwise the next cron occurrence of a recurring job
+ * or the final status of a one-off job
+ * @param {Object} job Job, as claimed for the run
+ * @param {string} status Status of the run
+ * @param {Date} now Time the run ended
+ * @returns {Object} Job fields to set
+ */
+const nextJobState = (job, status, now) => {
+  const attempt = job.attempt + 1;
+  const failed = status === 'failed' || status === 'timed-out';
+
+  if (failed && attempt < limitsOf(job).maxAttempts) {
+    return {
+      status: 'scheduled',
+      nextRunAt: this.nextAttemptAt(attempt, now),
+      trigger: 'retry',
+      attempt,
+      scheduledFor: job.scheduledFor || job.nextRunAt
+    };
+  }
+
+  const reset = { trigger: 'scheduled', attempt: 0, scheduledFor: null };
+  if (job.type === 'recurring') {
+    // Occurrences missed while the job ran or was down collapse into the next one
+    return { ...reset, status: 'scheduled', nextRunAt: cronExpression.nextRun(job.cron, now, job.timezone) };
+  }
+  return {
+    ...reset,
+    status: { succeeded: 'completed', cancelled: 'cancelled' }[status] || 'failed',
+    nextRunAt: null
+  };
+};
+
+/**
+ * Abort a run in progress on this instance
+ * @param {Object} execution Running job entry
+ * @param {string} status Status to record the run with
+ * @param {string} message Reason
+ */
+const abortRun = (execution, status, message) => {
+  const reason = new Error(message);
+  reason.runStatus = status;
+  execution.controller.abort(reason);
+};
+
+/**
+ * Claim the job due longest, taking its lock
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object|null>} Claimed job, or null if none is due
+ */
+exports.claimNextJob = async (now = new Date()) => Job.findOneAndUpdate(
+  {
+    handler: { $in: [...definitions.keys()] },
+    status: 'scheduled',
+    nextRunAt: { $lte: now },
+    // A paused job still runs when triggered by hand
+    $or: [{ paused: false }, { trigger: 'manual' }]
+  },
+  {
+    $set: {
+      status: 'running',
+      lock: { owner: instanceId, expiresAt: lockExpiry(now) },
+      cancelRequested: false,
+      lastRunAt: now
+    }
+  },
+  { sort: { nextRunAt: 1 }, new: true }
+);
+
+/**
+ * Run a claimed job and record the attempt in the job history, then retry
+ * or reschedule the job. A run that overruns its timeout, is cancelled or
+ * loses its lock is recorded as ended and its handler is signalled to
+ * abort. The job stays locked until the handler stops, so a handler that
+ * ignores the signal never runs alongside the job's next run.
+ * @param {Object} job Claimed job
+ * @returns {Promise<Object>} Finished job run
+ */
+exports.runJob = async (job) => {
+  const definition = definitions.get(job.handler);
+  const { timeoutMinutes } = limitsOf(job);
+  const attempt = job.attempt + 1;
+
+  const run = await JobRun.create({
+    job: job._id,
+    jobName: job.name,
+    trigger: job.trigger,
+    attempt,
+    owner: instanceId,
+    scheduledFor: job.scheduledFor || job.nextRunAt,
+    startedAt: new Date()
+  });
+
+  const execution = { controller: new AbortController(), run };
+  const { signal } = execution.controller;
+  runningJobs.set(String(job._id), execution);
+  const timer = setTimeout(
+    () => abortRun(execution, 'timed-out', `Timed out after ${timeoutMinutes} minutes`),
+    timeoutMinutes * MINUTE_MS
+  );
+
+  const handling = Promise.resolve().then(() => definition.handler({ job, data: job.data, attempt, signal }));
+  try {
+    const aborted = new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+    run.result = await Promise.race([handling, aborted]);
+    run.status = 'succeeded';
+  } catch (error) {
+    run.status = error.runStatus || 'failed';
+    run.error = error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // Keep renewing the lock while an aborted handler winds down
+  await handling.catch(() => {});
+  runningJobs.delete(String(job._id));
+
+  const now = new Date();
+  const state = nextJobState(job, run.status, now);
+  run.finishedAt = now;
+  run.durationMs = now.getTime() - run.startedAt.getTime();
+  if (state.trigger === 'retry') {
+    run.retryAt = state.nextRunAt;
+  }
+  await run.save();
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'running', 'lock.owner': instanceId },
+    {
+      $set: { ...state, lastRunStatus: run.status, lastError: run.error || null, cancelRequested: false },
+      $unset: { lock: 1 }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    logger.warn(`Job ${job.name} lost its lock while running; lock recovery reschedules it`);
+  } else if (run.status === 'succeeded') {
+    logger.info(`Job ${job.name} succeeded in ${run.durationMs}ms`);
+  } else {
+    logger.warn(`Job ${job.name} attempt ${attempt} ${run.status}: ${run.error}`);
+  }
+
+  return run;
+};
+
+/**
+ * Renew the locks of the jobs running on this instance, aborting runs that
+ * were cancelled or whose lock was lost
+ * @param {Date} [now] Current time
+ * @returns {Promise<void>}
+ */
+exports.renewLocks = async (now = new Date()) => {
+  for (const [jobId, execution] of runningJobs) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'running', 'lock.owner': instanceId },
+      { $set: { 'lock.expiresAt': lockExpiry(now) } },
+      { new: true }
+    );
+
+    if (!job) {
+      abortRun(execution, 'failed', 'Job lock was lost');
+    } else if (job.cancelRequested) {
+      abortRun(execution, 'cancelled', 'Cancelled');
+    }
+  }
+};
+
+/**
+ * Fail the runs of jobs whose instance stopped renewing their lock, such
+ * as after a crash, and retry or reschedule the jobs
+ * @param {Date} [now] Current time
+ * @returns {Promise<number>} Number of jobs recovered
+ */
+exports.recoverAbandonedJobs = async (now = new Date()) => {
+  const abandoned = await Job.find({ status: 'running', 'lock.expiresAt': { $lte: now } });
+  const error = 'Instance running the job stopped before it finished';
+  let recovered = 0;
+
+  for (const job of abandoned) {
+    const state = nextJobState(job, 'failed', now);
+    const released = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'running', 'lock.owner': job.lock.owner, 'lock.expiresAt': job.lock.expiresAt },
+      {
+        $set: { ...state, lastRunStatus: 'failed', lastError: error, cancelRequested: false },
+        $unset: { lock: 1 }
+      },
+      { new: true }
+    );
+    if (!released) continue;
+
+    await JobRun.updateMany(
+      { job: job._id, owner: job.lock.owner, status: 'running' },
+      {
+        $set: {
+          status: 'failed',
+          error,
+          finishedAt: now,
+          ...(state.trigger === 'retry' ? { retryAt: state.nextRunAt } : {})
+        }
+      }
+    );
+    recovered += 1;
+    logger.warn(`Job ${job.name} was abandoned by ${job.lock.owner} and has been ${state.trigger === 'retry' ? 'queued for retry' : 'rescheduled'}`);
+  }
+
+  return recovered;
+};
+
+/**
+ * Recover abandoned jobs, then start due jobs up to this instance's
+ * concurrency cap. Jobs are claimed atomically, so instances polling at
+ * once never start the same job. Runs continue after this returns.
+ * @param {Date} [now] Current time
+ * @returns {Promise<string[]>} Names of the jobs started
+ */
+exports.poll = async (now = new Date()) => {
+  await this.recoverAbandonedJobs(now);
+
+  const started = [];
+  while (pendingRuns.size < jobSchedulerConfig.maxConcurrent) {
+    const job = await this.claimNextJob(now);
+    if (!job) break;
+
+    const running = this.runJob(job)
+      .catch(error => logger.error(`Error running job ${job.name}: ${error.message}`))
+      .finally(() => pendingRuns.delete(running));
+    pendingRuns.add(running);
+    started.push(job.name);
+  }
+
+  return started;
+};
+
+/**
+ * Poll for due jobs unless a poll is already in progress
+ */
+const tick = () => {
+  if (polling) return;
+
+  polling = this.poll()
+    .catch(error => logger.error(`Error polling for due jobs: ${error.message}`))
+    .finally(() => {
+      polling = null;
+    });
+};
+
+/**
+ * Wait for the runs in progress on this instance
+ * @returns {Promise<void>}
+ */
+exports.drain = async () => {
+  while (pendingRuns.size > 0) {
+    await Promise.all([...pendingRuns]);
+  }
+};
+
+/**
+ * Create the registered recurring jobs and start running due jobs
+ * @returns {Promise<void>}
+ */
+exports.start = async () => {
+  if (pollTimer || !jobSchedulerConfig.enabled) {
+    return;
+  }
+
+  await this.syncJobs();
+
+  pollTimer = setInterval(tick, jobSchedulerConfig.pollIntervalSeconds * 1000);
+  lockTimer = setInterval(
+    () => this.renewLocks().catch(error => logger.error(`Error renewing job locks: ${error.message}`)),
+    (jobSchedulerConfig.lockSeconds * 1000) / 3
+  );
+  pollTimer.unref();
+  lockTimer.unref();
+
+  logger.info(`Job scheduler started as ${instanceId} with ${definitions.size} jobs`);
+  tick();
+};
+
+/**
+ * Stop starting jobs and wait a grace period for the running ones. Runs
+ * still going afterwards are recovered elsewhere once their locks lapse.
+ * @returns {Promise<void>}
+ */
+exports.stop = async () => {
+  if (!pollTimer) {
+    return;
+  }
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  let graceTimer;
+  await Promise.race([
+    this.drain(),
+    new Promise((resolve) => {
+      graceTimer = setTimeout(resolve, jobSchedulerConfig.shutdownGraceSeconds * 1000);
+    })
+  ]);
+  clearTimeout(graceTimer);
+
+  clearInterval(lockTimer);
+  lockTimer = null;
+  logger.info('Job scheduler stopped');
+};
+
+/**
+ * List jobs, next due first
+ * @param {Object} [filter] { status, type, paused }
+ * @returns {Promise<Array>} Jobs
+ */
+exports.getJobs = async (filter = {}) => {
+  const query = {};
+  if (filter.status) {
+    query.status = filter.status;
+  }
+  if (filter.type) {
+    query.type = filter.type;
+  }
+  if (filter.paused !== undefined) {
+    query.paused = String(filter.paused) === 'true';
+  }
+
+  return Job.find(query).sort({ nextRunAt: 1 });
+};
+
+/**
+ * Get a job
+ * @param {string} name Job name
+ * @returns {Promise<Object>} Job
+ */
+exports.getJob = async (name) => {
+  const job = await Job.findOne({ name });
+  if (!job) {
+    throw new NotFoundError(`Job not found: ${name}`);
+  }
+  return job;
+};
+
+/**
+ * Get the run history of a job, newest first
+ * @param {string} name Job name
+ * @param {Object} [options] { status, limit }
+ * @returns {Promise<Array>} Job runs
+ */
+exports.getRuns = async (name, { status, limit = 50 } = {}) => {
+  const job = await this.getJob(name);
+  const query = { job: job._id };
+  if (status) {
+    query.status = status;
+  }
+
+  return JobRun.find(query).sort({ startedAt: -1 }).limit(Math.min(Number(limit) || 50, 500));
+};
+
+/**
+ * Schedule a registered job to run once
+ * @param {string} handler Name of the job definition to run
+ * @param {Object} [options] { runAt, data, name, timeoutMinutes, maxAttempts }
+ * @param {string} [userId] User scheduling the job
+ * @returns {Promise<Object>} Scheduled job
+ */
+exports.scheduleOnce = async (handler, { runAt, data, name, timeoutMinutes, maxAttempts } = {}, userId) => {
+  const definition = definitions.get(handler);
+  if (!definition) {
+    throw new BadRequestError(`Unknown job: ${handler}`);
+  }
+
+  const at = runAt ? new Date(runAt) : new Date();
+  if (Number.isNaN(at.getTime())) {
+    throw new BadRequestError(`Invalid run time: ${runAt}`);
+  }
+
+  try {
+    const job = await Job.create({
+      name: name || `${handler}-${crypto.randomBytes(4).toString('hex')}`,
+      handler,
+      description: definition.description,
+      type: 'once',
+      data,
+      nextRunAt: at,
+      timeoutMinutes,
+      maxAttempts,
+      createdBy: userId
+    });
+    logger.info(`Job ${job.name} scheduled to run at ${at.toISOString()}`);
+    return job;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`A job named ${name} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Pause a job; a run in progress finishes
+ * @param {string} name Job name
+ * @returns {Promise<Object>} Paused job
+ */
+exports.pauseJob = async (name) => {
+  const job = await Job.findOneAndUpdate({ name }, { $set: { paused: true } }, { new: true });
+  if (!job) {
+    throw new NotFoundError(`Job not found: ${name}`);
+  }
+
+  logger.info(`Job ${name} paused`);
+  return job;
+};
+
+/**
+ * Resume a paused job. A recurring job skips the occurrences missed while
+ * it was paused.
+ * @param {string} name Job name
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Resumed job
+ */
+exports.resumeJob = async (name, now = new Date()) => {
+  const job = await this.getJob(name);
+  const fields = { paused: false };
+  if (job.type === 'recurring' && job.status === 'scheduled' && job.trigger === 'scheduled' && job.nextRunAt < now) {
+    fields.nextRunAt = cronExpression.nextRun(job.cron, now, job.timezone);
+  }
+
+  const resumed = await Job.findOneAndUpdate({ _id: job._id }, { $set: fields }, { new: true });
+  logger.info(`Job ${name} resumed`);
+  return resumed;
+};
+
+/**
+ * Run a job as soon as an instance picks it up, outside its schedule and
+ * even while paused. A recurring job then carries on with its schedule.
+ * @param {string} name Job name
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Triggered job
+ */
+exports.triggerJob = async (name, now = new Date()) => {
+  const job = await this.getJob(name);
+  if (!definitions.has(job.handler)) {
+    throw new BadRequestError(`Job ${name} has no registered handler`);
+  }
+
+  const triggered = await Job.findOneAndUpdate(
+    { _id: job._id, status: { $ne: 'running' } },
+    { $set: { status: 'scheduled', nextRunAt: now, trigger: 'manual', attempt: 0, scheduledFor: now } },
+    { new: true }
+  );
+  if (!triggered) {
+    throw new ConflictError(`Job ${name} is already running`);
+  }
+
+  logger.info(`Job ${name} triggered`);
+  return triggered;
+};
+
+/**
+ * Cancel a job's current run: a run in progress is aborted, and a pending
+ * retry, manual run or one-off run is dropped. A recurring job carries on
+ * with its schedule; pause it to stop that too.
+ * @param {string} name Job name
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Job
+ */
+exports.cancelJob = async (name, now = new Date()) => {
+  const job = await this.getJob(name);
+
+  if (job.status === 'running') {
+    // The instance running it aborts the run when it next renews the lock
+    const cancelling = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (!cancelling) {
+      throw new ConflictError(`Job ${name} finished before it could be cancelled`);
+    }
+
+    const execution = runningJobs.get(String(job._id));
+    if (execution) {
+      abortRun(execution, 'cancelled', 'Cancelled');
+    }
+    logger.info(`Job ${name} cancellation requested`);
+    return cancelling;
+  }
+
+  if (job.status !== 'scheduled' || (job.type === 'recurring' && job.trigger === 'scheduled')) {
+    throw new ConflictError(`Job ${name} has no run to cancel`);
+  }
+
+  const fields = job.type === 'once'
+    ? { status: 'cancelled', nextRunAt: null }
+    : { nextRunAt: cronExpression.nextRun(job.cron, now, job.timezone) };
+  const cancelled = await Job.findOneAndUpdate(
+    { _id: job._id, status: 'scheduled', nextRunAt: job.nextRunAt },
+    { $set: { ...fields, trigger: 'scheduled', attempt: 0, scheduledFor: null, lastRunStatus: 'cancelled' } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw new ConflictError(`Job ${name} started before it could be cancelled`);
+  }
+
+  logger.info(`Job ${name} cancelled`);
+  return cancelled;
+};
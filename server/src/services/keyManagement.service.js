@@ -7,7 +7,6 @@ const generateKeyPair = promisify(crypto.generateKeyPair);
 const scrypt = promisify(crypto.scrypt);
 const { AppError } = require('../utils/errorHandler');
 const logger = require('../infrastructure/logger');
-const cache = require('../utils/cache');
 
 /**
  * Key Management Service
@@ -0,0 +1,65 @@
+/**
+ * Notification Events
+ *
+ * The domain events the notification rules engine subscribes to, and how
+ * each is shown. Titles, messages and links take {{field}} placeholders
+ * filled from the event payload.
+ *
+ * Event definitions:
+ * - context: bounded context publishing the event
+ * - type: in-app notification type (info, success, warning, error)
+ * - resourceType / resourceId: resource the notification links to, and the payload field holding its ID
+ * - fields: payload fields subscriptions can filter on
+ */
+
+const NOTIFICATION_EVENTS = {
+  InspectionStatusUpdated: {
+    context: 'inspection',
+    label: 'Inspection status changed',
+    type: 'info',
+    resourceType: 'inspection',
+    resourceId: 'inspectionId',
+    title: 'Inspection {{inspectionNumber}} is {{status}}',
+    message: 'Inspection {{inspectionNumber}} changed from {{previousStatus}} to {{status}}',
+    link: '/inspections/{{inspectionId}}',
+    fields: ['status', 'previousStatus', 'result', 'inspectionType', 'supplierId', 'customerId', 'componentId']
+  },
+
+  DefectRecorded: {
+    context: 'inspection',
+    label: 'Defect recorded',
+    type: 'warning',
+    resourceType: 'inspection',
+    resourceId: 'inspectionId',
+    title: '{{severity}} defect on inspection {{inspectionNumber}}',
+    message: '{{defectType}}: {{description}}',
+    link: '/inspections/{{inspectionId}}',
+    fields: ['severity', 'defectType', 'supplierId', 'customerId', 'componentId']
+  },
+
+  SpcRuleViolationDetected: {
+    context: 'inspection',
+    label: 'SPC rule violated',
+    type: 'warning',
+    resourceType: 'component',
+    resourceId: 'componentId',
+    title: 'SPC rule {{rule}} violated on part {{partNumber}}',
+    message: '{{parameterName}}: {{description}}',
+    link: '/components/{{componentId}}',
+    fields: ['rule', 'ruleSet', 'chart', 'parameterName', 'partNumber', 'supplierId', 'componentId']
+  },
+
+  CertificationExpiring: {
+    context: 'supplier',
+    label: 'Supplier certification expiring',
+    type: 'warning',
+    resourceType: 'supplier',
+    resourceId: 'supplierId',
+    title: '{{certificateName}} of {{supplierName}} expires on {{expiryDate}}',
+    message: '{{supplierName}}: {{certificateName}} expires in {{daysRemaining}} days',
+    link: '/suppliers/{{supplierId}}',
+    fields: ['daysRemaining', 'expired', 'certificateName', 'supplierId']
+  }
+};
+
+module.exports = NOTIFICATION_EVENTS;
@@ -0,0 +1,739 @@
+/**
+ * Notification Rules Service
+ * Notifies users of domain events matching their subscriptions, on the
+ * channels each user prefers: in-app, email, SMS or webhook. Email, SMS
+ * and webhook notifications wait for the end of a user's quiet hours or are
+ * collected into daily and weekly digests, unless they are critical.
+ */
+const axios = require('axios');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationPreference = require('../models/NotificationPreference');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const User = require('../models/user.model');
+const NOTIFICATION_EVENTS = require('./notificationEvents');
+const domainEventBus = require('../core/DomainEventBus');
+const notificationService = require('./notification.service');
+const emailService = require('./email.service');
+const smsService = require('./sms.service');
+const reportQueryService = require('./reportQuery.service');
+const cronExpression = require('../utils/cronExpression');
+const notificationConfig = require('../config/notification.config');
+const tenancyConfig = require('../config/tenancy.config');
+const { getCurrentTenantId } = require('../core/multiTenancy');
+const { assertPublicUrl, createPublicHttpsAgent } = require('../utils/outboundUrl');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../utils/errors');
+
+const MINUTE_MS = 60 * 1000;
+
+// Fields of a subscription and of preferences that can be set through the API
+const SUBSCRIPTION_FIELDS = ['name', 'event', 'conditions', 'scope', 'priority', 'enabled'];
+const PREFERENCE_FIELDS = ['email', 'phone', 'webhookUrl', 'channels', 'eventChannels', 'timezone', 'quietHours', 'digest'];
+
+// Preference field holding the address of each channel
+const CHANNEL_ADDRESSES = {
+  email: 'email',
+  sms: 'phone',
+  webhook: 'webhookUrl'
+};
+
+// Webhook notifications only connect to public addresses
+const httpsAgent = createPublicHttpsAgent();
+
+// Event handlers still running, awaited by drain()
+const pendingEvents = new Set();
+let unsubscribers = [];
+
+/**
+ * Subscribe to the domain events users can be notified of
+ */
+exports.initialize = () => {
+  if (unsubscribers.length > 0) {
+    return;
+  }
+
+  unsubscribers = Object.entries(NOTIFICATION_EVENTS).map(([eventType, definition]) =>
+    domainEventBus.subscribeContext(definition.context, 'notification', eventType, (event) => {
+      const handling = exports.handleEvent(event)
+        .catch(error => logger.error(`Error sending notifications for ${eventType}: ${error.message}`))
+        .finally(() => pendingEvents.delete(handling));
+      pendingEvents.add(handling);
+    })
+  );
+};
+
+/**
+ * Unsubscribe from domain events
+ */
+exports.shutdown = () => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+};
+
+/**
+ * Wait for the events being handled, such as before a worker disconnects
+ * @returns {Promise<void>}
+ */
+exports.drain = async () => {
+  while (pendingEvents.size > 0) {
+    await Promise.all([...pendingEvents]);
+  }
+};
+
+/**
+ * Read a dotted path from an event payload
+ * @param {Object} payload Event payload
+ * @param {string} path Field path
+ * @returns {*} Value, or undefined
+ */
+const valueAt = (payload, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), payload);
+
+/**
+ * Check whether an event payload meets every condition of a subscription
+ * @param {Object[]} conditions Conditions with field, op and value
+ * @param {Object} payload Event payload
+ * @returns {boolean} True if all conditions hold
+ */
+exports.matchesConditions = (conditions = [], payload = {}) => conditions.every(({ field, op = 'eq', value }) => {
+  const actual = valueAt(payload, field);
+  const same = (expected) => actual === expected || (actual !== undefined && actual !== null && String(actual) === String(expected));
+  const list = Array.isArray(value) ? value : [value];
+
+  switch (op) {
+    case 'eq': return same(value);
+    case 'ne': return !same(value);
+    case 'in': return list.some(same);
+    case 'nin': return !list.some(same);
+    case 'gt': return Number(actual) > Number(value);
+    case 'gte': return Number(actual) >= Number(value);
+    case 'lt': return Number(actual) < Number(value);
+    case 'lte': return Number(actual) <= Number(value);
+    case 'exists': return (actual !== undefined && actual !== null) === (value !== false);
+    default: return false;
+  }
+});
+
+/**
+ * Fill {{field}} placeholders from an event payload
+ * @param {string} template Template
+ * @param {Object} payload Event payload
+ * @returns {string} Text
+ */
+exports.render = (template, payload) =>
+  (template || '').replace(/{{\s*([\w.]+)\s*}}/g, (match, path) => {
+    const value = valueAt(payload, path);
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+/**
+ * Find the users subscriptions notify, each once with the highest priority
+ * of the subscriptions reaching them
+ * @param {Object[]} subscriptions Matching subscriptions
+ * @returns {Promise<Object[]>} Recipients with userId, preference, priority and subscription
+ */
+exports.resolveRecipients = async (subscriptions) => {
+  const userIds = subscriptions.flatMap(subscription => (subscription.scope.users || []).map(String));
+  const roles = [...new Set(subscriptions.flatMap(subscription => subscription.scope.roles || []))];
+
+  // Members of a role are found whether or not they have saved preferences.
+  // Users without a tenant belong to the default tenant.
+  const tenantId = getCurrentTenantId();
+  const members = roles.length > 0
+    ? await User.find({
+      $or: [{ role: { $in: roles } }, { roles: { $in: roles } }],
+      tenantId: tenantId === tenancyConfig.defaultTenantId ? { $in: [tenantId, null] } : tenantId
+    }, '_id role roles')
+    : [];
+  const memberIds = members.map(member => member._id.toString());
+
+  const preferences = await NotificationPreference.find({ user: { $in: [...new Set([...userIds, ...memberIds])] } });
+  const preferenceOf = new Map(preferences.map(preference => [preference.user.toString(), preference]));
+
+  const recipients = new Map();
+  subscriptions.forEach((subscription) => {
+    const subscriptionRoles = subscription.scope.roles || [];
+    const users = [
+      ...(subscription.scope.users || []).map(String),
+      ...members
+        .filter(member => reportQueryService.rolesOf(member).some(role => subscriptionRoles.includes(role)))
+        .map(member => member._id.toString())
+    ];
+
+    users.forEach((userId) => {
+      const current = recipients.get(userId);
+      const rank = NotificationSubscription.PRIORITIES.indexOf(subscription.priority);
+      if (!current || rank > NotificationSubscription.PRIORITIES.indexOf(current.priority)) {
+        recipients.set(userId, {
+          userId,
+          preference: preferenceOf.get(userId) || null,
+          priority: subscription.priority,
+          subscription: subscription._id
+        });
+      }
+    });
+  });
+
+  return [...recipients.values()];
+};
+
+/**
+ * Convert HH:mm to minutes after midnight
+ * @param {string} time Time of day
+ * @returns {number} Minutes
+ */
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether an instant falls in a user's quiet hours, which may span midnight
+ * @param {Object} preference Notification preferences
+ * @param {Date} at Instant
+ * @returns {boolean} True during quiet hours
+ */
+exports.isQuietHours = (preference, at) => {
+  const { quietHours, timezone } = preference;
+  if (!quietHours || !quietHours.enabled) {
+    return false;
+  }
+
+  const local = cronExpression.toZonedTime(at, timezone);
+  const now = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+
+  if (start === end) {
+    return false;
+  }
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+/**
+ * Calculate when a user's quiet hours end
+ * @param {Object} preference Notification preferences
+ * @param {Date} at Instant during quiet hours
+ * @returns {Date} End of quiet hours
+ */
+exports.quietHoursEnd = (preference, at) => {
+  const end = minutesOf(preference.quietHours.end);
+  return cronExpression.nextRun(`${end % 60} ${Math.floor(end / 60)} * * *`, at, preference.timezone);
+};
+
+/**
+ * Calculate when a user's next digest is sent
+ * @param {Object} preference Notification preferences
+ * @param {Date} after Instant to search from
+ * @returns {Date|null} Next digest, or null without digests
+ */
+exports.nextDigestAt = (preference, after) => {
+  const { frequency, hour, dayOfWeek } = preference.digest || {};
+  if (!frequency || frequency === 'none') {
+    return null;
+  }
+  const day = frequency === 'weekly' ? dayOfWeek : '*';
+  return cronExpression.nextRun(`0 ${hour} * * ${day}`, after, preference.timezone);
+};
+
+/**
+ * Notify one user of an event: in-app at once, and on their other channels
+ * now, after their quiet hours or in their next digest
+ * @param {Object} recipient Recipient from resolveRecipients
+ * @param {Object} event Domain event
+ * @param {Object} content Title, message, link and in-app notification fields
+ * @param {Date} now Current time
+ * @returns {Promise<number>} Notifications created or sent
+ */
+exports.notifyRecipient = async (recipient, event, content, now) => {
+  const { userId, preference, priority } = recipient;
+  const channels = preference ? preference.channelsFor(event.type) : ['inApp'];
+  let notified = 0;
+
+  if (channels.includes('inApp')) {
+    try {
+      await notificationService.createNotification(userId, {
+        title: content.title,
+        message: content.message,
+        type: priority === 'critical' ? 'error' : content.type,
+        link: content.link,
+        resourceType: content.resourceType,
+        resourceId: content.resourceId
+      });
+      notified++;
+    } catch (error) {
+      logger.warn(`Could not create in-app notification of ${event.type} for user ${userId}: ${error.message}`);
+    }
+  }
+
+  const critical = priority === 'critical';
+  const inDigest = !critical && preference && preference.digest.frequency !== 'none';
+  const quiet = !critical && !inDigest && preference && this.isQuietHours(preference, now);
+
+  for (const channel of channels.filter(name => CHANNEL_ADDRESSES[name])) {
+    if (!preference[CHANNEL_ADDRESSES[channel]]) {
+      logger.debug(`User ${userId} has no ${CHANNEL_ADDRESSES[channel]} for ${channel} notifications`);
+      continue;
+    }
+
+    const delivery = await NotificationDelivery.create({
+      user: userId,
+      subscription: recipient.subscription,
+      channel,
+      priority,
+      event: { type: event.type, payload: event.payload, timestamp: event.timestamp },
+      title: content.title,
+      message: content.message,
+      link: content.link,
+      status: inDigest ? 'digest' : 'queued',
+      deliverAfter: quiet ? this.quietHoursEnd(preference, now) : now
+    });
+
+    if (!inDigest && !quiet) {
+      await this.sendDelivery(delivery, preference, now);
+    }
+    notified++;
+  }
+
+  if (inDigest && !preference.nextDigestAt) {
+    preference.nextDigestAt = this.nextDigestAt(preference, now);
+    await preference.save();
+  }
+
+  return notified;
+};
+
+/**
+ * Notify the current tenant's subscribers of a domain event
+ * @param {Object} event Domain event with type, payload and timestamp
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Subscriptions matched, recipients and notifications
+ */
+exports.handleEvent = async (event, now = new Date()) => {
+  const definition = NOTIFICATION_EVENTS[event.type];
+  const result = { subscriptions: 0, recipients: 0, notifications: 0 };
+  if (!definition) {
+    return result;
+  }
+
+  // An event published as the system belongs to no tenant's subscribers
+  if (!getCurrentTenantId()) {
+    logger.warn(`${event.type} was published outside a tenant context and is not notified`);
+    return result;
+  }
+
+  const payload = event.payload || {};
+  const subscriptions = (await NotificationSubscription.find({ event: event.type, enabled: true }).lean())
+    .filter(subscription => this.matchesConditions(subscription.conditions, payload));
+  result.subscriptions = subscriptions.length;
+  if (subscriptions.length === 0) {
+    return result;
+  }
+
+  const content = {
+    title: this.render(definition.title, payload),
+    message: this.render(definition.message, payload),
+    link: this.render(definition.link, payload),
+    type: definition.type,
+    resourceType: definition.resourceType,
+    resourceId: payload[definition.resourceId]
+  };
+
+  const recipients = await this.resolveRecipients(subscriptions);
+  result.recipients = recipients.length;
+
+  for (const recipient of recipients) {
+    result.notifications += await this.notifyRecipient(recipient, event, content, now);
+  }
+
+  logger.info(`Notified ${result.recipients} users of ${event.type} through ${result.subscriptions} subscriptions`);
+  return result;
+};
+
+/**
+ * Make a notification link absolute
+ * @param {string} link Client path
+ * @returns {string} URL
+ */
+const absoluteLink = link => (link ? `${notificationConfig.clientUrl}${link}` : notificationConfig.clientUrl);
+
+/**
+ * Post a notification to a user's webhook, refusing non-public addresses
+ * @param {string} url Webhook URL
+ * @param {Object} body Request body
+ * @returns {Promise<void>}
+ * @throws {Error} If the URL reaches a non-public address or the request fails
+ */
+const postToWebhook = async (url, body) => {
+  await assertPublicUrl(url);
+  await axios.post(url, body, {
+    timeout: notificationConfig.webhookTimeoutMs,
+    maxRedirects: 0,
+    httpsAgent
+  });
+};
+
+/**
+ * Send a notification on one channel
+ * @param {string} channel email, sms or webhook
+ * @param {Object} preference Notification preferences with the user's addresses
+ * @param {Object} notification Title, message, link, priority and event
+ * @returns {Promise<void>}
+ * @throws {Error} If the channel has no address or sending fails
+ */
+exports.sendToChannel = async (channel, preference, notification) => {
+  const address = preference && preference[CHANNEL_ADDRESSES[channel]];
+  if (!address) {
+    throw new Error(`No ${CHANNEL_ADDRESSES[channel]} for ${channel} notifications`);
+  }
+
+  const url = absoluteLink(notification.link);
+
+  if (channel === 'email') {
+    await emailService.sendNotificationEmail(address, notification.title, notification.message, url);
+  } else if (channel === 'sms') {
+    const result = await smsService.sendSMS(address, `${notification.title}: ${notification.message}`);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  } else {
+    await postToWebhook(address, {
+      type: 'notification',
+      title: notification.title,
+      message: notification.message,
+      link: url,
+      priority: notification.priority,
+      event: notification.event
+    });
+  }
+};
+
+/**
+ * Record a failed attempt, scheduling a retry with exponential backoff
+ * until the attempts run out
+ * @param {Object} delivery Notification delivery
+ * @param {Error} error Error of the attempt
+ * @param {Date} now Current time
+ */
+const recordFailure = (delivery, error, now) => {
+  const { maxAttempts, delayMinutes } = notificationConfig.retry;
+  delivery.error = error.message;
+
+  if (delivery.attempts >= maxAttempts) {
+    delivery.status = 'failed';
+    logger.error(`Giving up on ${delivery.channel} notification ${delivery._id} after ${delivery.attempts} attempts: ${error.message}`);
+  } else {
+    delivery.deliverAfter = new Date(now.getTime() + delayMinutes * 2 ** (delivery.attempts - 1) * MINUTE_MS);
+    logger.warn(`${delivery.channel} notification ${delivery._id} failed, retrying at ${delivery.deliverAfter.toISOString()}: ${error.message}`);
+  }
+};
+
+/**
+ * Send a queued notification, retrying later if it fails
+ * @param {Object} delivery Notification delivery
+ * @param {Object} preference Notification preferences of its user
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Updated delivery
+ */
+exports.sendDelivery = async (delivery, preference, now = new Date()) => {
+  delivery.attempts += 1;
+
+  try {
+    await this.sendToChannel(delivery.channel, preference, delivery);
+    delivery.status = 'sent';
+    delivery.sentAt = now;
+    delivery.error = undefined;
+  } catch (error) {
+    recordFailure(delivery, error, now);
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+/**
+ * Send the notifications collected for a user's digest, one digest per channel
+ * @param {Object} preference Notification preferences
+ * @param {Date} [now] Current time
+ * @returns {Promise<number>} Digests sent
+ */
+exports.sendDigest = async (preference, now = new Date()) => {
+  const { frequency } = preference.digest;
+  const deliveries = await NotificationDelivery.find({ user: preference.user, status: 'digest' }).sort({ createdAt: 1 });
+  const channels = [...new Set(deliveries.map(delivery => delivery.channel))];
+  let sent = 0;
+
+  for (const channel of channels) {
+    const items = deliveries.filter(delivery => delivery.channel === channel);
+    const listed = items.slice(0, notificationConfig.digest.maxItems).map(item => ({
+      title: item.title,
+      message: item.message,
+      link: absoluteLink(item.link),
+      priority: item.priority,
+      createdAt: item.createdAt
+    }));
+
+    try {
+      const address = preference[CHANNEL_ADDRESSES[channel]];
+      if (!address) {
+        throw new Error(`No ${CHANNEL_ADDRESSES[channel]} for ${channel} notifications`);
+      }
+
+      if (channel === 'email') {
+        await emailService.sendNotificationDigest(address, frequency, listed, items.length);
+      } else if (channel === 'sms') {
+        const result = await smsService.sendSMS(address, `AeroSuite ${frequency} digest: ${items.length} new notifications. ${notificationConfig.clientUrl}/notifications`);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+      } else {
+        await postToWebhook(address, {
+          type: 'digest',
+          frequency,
+          count: items.length,
+          notifications: listed
+        });
+      }
+
+      items.forEach((item) => {
+        item.attempts += 1;
+        item.status = 'sent';
+        item.sentAt = now;
+        item.error = undefined;
+      });
+      sent++;
+    } catch (error) {
+      // Kept for the next digest until the attempts run out
+      items.forEach((item) => {
+        item.attempts += 1;
+        item.error = error.message;
+        if (item.attempts >= notificationConfig.retry.maxAttempts) {
+          item.status = 'failed';
+        }
+      });
+      logger.error(`Failed to send ${frequency} ${channel} digest to user ${preference.user}: ${error.message}`);
+    }
+
+    await Promise.all(items.map(item => item.save()));
+  }
+
+  preference.lastDigestAt = now;
+  preference.nextDigestAt = this.nextDigestAt(preference, now);
+  await preference.save();
+
+  return sent;
+};
+
+/**
+ * Send queued notifications that are due, and the digests that are due
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Notifications sent, retried and failed, and digests sent
+ */
+exports.processDue = async (now = new Date()) => {
+  const result = { sent: 0, retrying: 0, failed: 0, digests: 0 };
+
+  const due = await NotificationDelivery.find({ status: 'queued', deliverAfter: { $lte: now } })
+    .sort({ deliverAfter: 1 })
+    .limit(notificationConfig.batchSize);
+  const preferences = await NotificationPreference.find({ user: { $in: due.map(delivery => delivery.user) } });
+  const preferenceOf = new Map(preferences.map(preference => [preference.user.toString(), preference]));
+
+  for (const delivery of due) {
+    await this.sendDelivery(delivery, preferenceOf.get(delivery.user.toString()), now);
+    if (delivery.status === 'sent') {
+      result.sent++;
+    } else if (delivery.status === 'failed') {
+      result.failed++;
+    } else {
+      result.retrying++;
+    }
+  }
+
+  const digestsDue = await NotificationPreference.find({
+    'digest.frequency': { $ne: 'none' },
+    nextDigestAt: { $lte: now }
+  }).limit(notificationConfig.batchSize);
+
+  for (const preference of digestsDue) {
+    result.digests += await this.sendDigest(preference, now);
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a user may manage subscriptions of other users and roles
+ * @param {Object} user Authenticated user
+ * @returns {boolean} True for managers
+ */
+const isManager = user => reportQueryService.rolesOf(user).some(role => notificationConfig.managerRoles.includes(role));
+
+/**
+ * List the events users can subscribe to
+ * @returns {Object[]} Events with type, label, context and filterable fields
+ */
+exports.getEventCatalog = () => Object.entries(NOTIFICATION_EVENTS).map(([type, definition]) => ({
+  type,
+  label: definition.label,
+  context: definition.context,
+  fields: definition.fields
+}));
+
+/**
+ * List the subscriptions a user can see: all for managers, otherwise the
+ * ones they created or are notified by
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object[]>} Subscriptions
+ */
+exports.getSubscriptions = async (user) => {
+  const filter = isManager(user)
+    ? {}
+    : { $or: [{ createdBy: user._id }, { 'scope.users': user._id }] };
+  return NotificationSubscription.find(filter).sort({ event: 1, name: 1 });
+};
+
+/**
+ * Get a subscription the user may change
+ * @param {string} id Subscription ID
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object>} Subscription
+ * @throws {NotFoundError} If the subscription does not exist
+ * @throws {ForbiddenError} If the user neither created it nor is a manager
+ */
+exports.getSubscription = async (id, user) => {
+  const subscription = await NotificationSubscription.findById(id);
+  if (!subscription) {
+    throw new NotFoundError(`Notification subscription not found with id ${id}`);
+  }
+  if (!isManager(user) && String(subscription.createdBy) !== String(user._id)) {
+    throw new ForbiddenError('You can only change your own notification subscriptions');
+  }
+  return subscription;
+};
+
+/**
+ * Only managers may notify other users or roles
+ * @param {Object} scope Subscription scope
+ * @param {Object} user Authenticated user
+ * @throws {ForbiddenError} If a user other than a manager targets anyone but themself
+ */
+const checkScope = (scope, user) => {
+  if (isManager(user)) {
+    return;
+  }
+  const users = (scope && scope.users) || [];
+  const roles = (scope && scope.roles) || [];
+  if (roles.length > 0 || users.some(id => String(id) !== String(user._id))) {
+    throw new ForbiddenError('Only managers can subscribe other users or roles');
+  }
+};
+
+/**
+ * Copy the fields that can be set through the API
+ * @param {Object} data Request body
+ * @param {string[]} fields Settable fields
+ * @returns {Object} Settable fields present in the body
+ */
+const pick = (data, fields) => fields.reduce((picked, field) => {
+  if (data[field] !== undefined) {
+    picked[field] = data[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Create a subscription, for the user themself unless they are a manager
+ * @param {Object} data Subscription fields
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object>} Created subscription
+ */
+exports.createSubscription = async (data, user) => {
+  const fields = pick(data, SUBSCRIPTION_FIELDS);
+  fields.scope = fields.scope || { users: [user._id] };
+  checkScope(fields.scope, user);
+
+  return NotificationSubscription.create({ ...fields, createdBy: user._id });
+};
+
+/**
+ * Update a subscription
+ * @param {string} id Subscription ID
+ * @param {Object} data Fields to change
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object>} Updated subscription
+ */
+exports.updateSubscription = async (id, data, user) => {
+  const subscription = await this.getSubscription(id, user);
+  const fields = pick(data, SUBSCRIPTION_FIELDS);
+  if (fields.scope) {
+    checkScope(fields.scope, user);
+  }
+
+  subscription.set(fields);
+  return subscription.save();
+};
+
+/**
+ * Delete a subscription
+ * @param {string} id Subscription ID
+ * @param {Object} user Authenticated user
+ * @returns {Promise<void>}
+ */
+exports.deleteSubscription = async (id, user) => {
+  const subscription = await this.getSubscription(id, user);
+  await subscription.deleteOne();
+};
+
+/**
+ * Get a user's notification preferences, or the defaults if they have set none
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object>} Notification preferences
+ */
+exports.getPreferences = async (user) => {
+  const preference = await NotificationPreference.findOne({ user: user._id });
+  return preference || new NotificationPreference({ user: user._id, email: user.email });
+};
+
+/**
+ * Update a user's notification preferences
+ * @param {Object} user Authenticated user
+ * @param {Object} data Preference fields
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Updated preferences
+ * @throws {BadRequestError} If a channel is chosen without its address, or the webhook URL reaches a non-public address
+ */
+exports.updatePreferences = async (user, data, now = new Date()) => {
+  const preference = await this.getPreferences(user);
+  const previousFrequency = preference.digest.frequency;
+
+  preference.set(pick(data, PREFERENCE_FIELDS));
+
+  const chosen = new Set([...preference.channels, ...[...preference.eventChannels.values()].flat()]);
+  const missing = [...chosen].filter(channel => CHANNEL_ADDRESSES[channel] && !preference[CHANNEL_ADDRESSES[channel]]);
+  if (missing.length > 0) {
+    throw new BadRequestError(`Set ${missing.map(channel => CHANNEL_ADDRESSES[channel]).join(', ')} to receive ${missing.join(', ')} notifications`);
+  }
+
+  if (preference.webhookUrl && preference.isModified('webhookUrl')) {
+    try {
+      await assertPublicUrl(preference.webhookUrl);
+    } catch (error) {
+      throw new BadRequestError(`Webhook URL is not allowed: ${error.message}`);
+    }
+  }
+
+  if (preference.isModified('digest') || preference.isModified('timezone') || preference.isNew) {
+    preference.nextDigestAt = this.nextDigestAt(preference, now);
+  }
+  await preference.save();
+
+  // Notifications held for a digest the user turned off are sent now
+  if (previousFrequency !== 'none' && preference.digest.frequency === 'none') {
+    await NotificationDelivery.updateMany(
+      { user: preference.user, status: 'digest' },
+      { $set: { status: 'queued', deliverAfter: now } }
+    );
+  }
+
+  return preference;
+};
@@ -5,6 +5,9 @@
 const QualityManagement = require('../models/QualityManagement');
 const SupplierAudit = require('../models/SupplierAudit');
 const Supplier = require('../models/supplier.model');
+const capaService = require('./capa.service');
+const { publishNonConformanceOpened } = require('../domains/supplier/events/publishers');
+const logger = require('../utils/logger');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 
 /**
@@ -233,6 +236,12 @@ exports.addNonConformance = async (supplierId, ncData) => {
   const currentCount = qms.qualityMetrics.ncmrCount.current || 0;
   await qms.updateMetric('ncmrCount', currentCount + 1);
   
+  try {
+    publishNonConformanceOpened(supplierId, qms.nonConformances[qms.nonConformances.length - 1]);
+  } catch (error) {
+    logger.warn(`Could not publish non-conformance ${ncData.ncNumber} of supplier ${supplierId}: ${error.message}`);
+  }
+  
   return qms;
 };
 
@@ -252,6 +261,11 @@ exports.updateNonConformance = async (supplierId, ncNumber, updateData) => {
     throw new NotFoundError(`Non-conformance ${ncNumber} not found for supplier ${supplierId}`);
   }
   
+  // A linked CAPA must pass effectiveness verification before the NC can be closed
+  if (['closed', 'verified'].includes(updateData.status)) {
+    await capaService.assertNonConformanceClosable(supplierId, ncNumber);
+  }
+  
   // Update non-conformance
   Object.keys(updateData).forEach(key => {
     qms.nonConformances[ncIndex][key] = updateData[key];
@@ -0,0 +1,607 @@
+/**
+ * Receiving Inspection Service
+ * Records goods received against ERP purchase order lines, generates the
+ * receiving inspection for each receipt from the component's specifications
+ * and sampling plan, and pushes the lot disposition back to the ERP as a
+ * quality inspection
+ */
+const GoodsReceipt = require('../models/GoodsReceipt');
+const Component = require('../models/component.model');
+const Supplier = require('../models/supplier.model');
+const Specification = require('../domains/component/models/Specification');
+const EventEmitter = require('../core/EventEmitter');
+const receivingConfig = require('../config/receiving.config');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+
+// Specification categories that put a lot on a C=0 plan
+const CRITICAL_CATEGORIES = ['critical'];
+
+// MRB dispositions that release the lot for use
+const MRB_RELEASE_DISPOSITIONS = ['use-as-is', 'rework', 'repair'];
+
+// Quality inspection result and status reported to the ERP per receipt status
+const ERP_RESULTS = { accepted: 'passed', rejected: 'failed', 'on-hold': 'pending' };
+const ERP_STATUSES = { accepted: 'completed', rejected: 'completed', 'on-hold': 'pending-review' };
+
+/**
+ * Get the ERP service
+ * Required on demand: the facade connects to the configured provider when
+ * loaded, and it loads this service when purchase orders are synced
+ * @returns {Object} ERP service
+ */
+const getErpService = () => require('./erp/erp-service');
+
+/**
+ * Get the inspection domain service
+ * Required on demand so the domain repositories bind to registered models
+ * @returns {Object} Inspection service
+ */
+const getInspectionService = () => require('../domains/inspection/services/InspectionService');
+
+/**
+ * Get the component domain repository
+ * @returns {Object} Component repository
+ */
+const getComponentRepository = () => require('../domains/component/repositories/componentRepository');
+
+const text = value => (value === undefined || value === null ? '' : String(value).trim());
+
+let unsubscribe = null;
+
+/**
+ * Bring a purchase order from any ERP provider into one shape
+ * @param {Object} order Purchase order as returned by the ERP provider
+ * @returns {Object} { poNumber, vendorCode, lines }
+ */
+exports.normalizePurchaseOrder = (order) => ({
+  poNumber: text(order.poNumber || order.orderNumber),
+  vendorCode: text(order.vendor || order.vendorCode || (order.supplier && order.supplier.code)),
+  lines: (order.items || []).map((item, index) => ({
+    lineNumber: text(item.lineNumber !== undefined ? item.lineNumber : item.id) || String(index + 1),
+    itemCode: text(item.itemCode),
+    description: text(item.description),
+    quantity: item.quantity,
+    receivedQuantity: typeof item.receivedQuantity === 'number' ? item.receivedQuantity : null
+  }))
+});
+
+/**
+ * Find a purchase order line in the ERP
+ * @param {string} purchaseOrderNumber Purchase order number
+ * @param {string} [lineNumber] Line number; may be omitted on single-line orders
+ * @returns {Promise<Object>} { order, line } in normalized form
+ */
+exports.findPurchaseOrderLine = async (purchaseOrderNumber, lineNumber) => {
+  const orders = await getErpService().getPurchaseOrders({ poNumber: purchaseOrderNumber });
+  const order = orders
+    .map(this.normalizePurchaseOrder)
+    .find(candidate => candidate.poNumber === text(purchaseOrderNumber));
+
+  if (!order) {
+    throw new NotFoundError(`Purchase order ${purchaseOrderNumber} not found in the ERP`);
+  }
+
+  if (!lineNumber && order.lines.length > 1) {
+    throw new BadRequestError(`Purchase order ${purchaseOrderNumber} has ${order.lines.length} lines; a line number is required`);
+  }
+
+  const line = lineNumber
+    ? order.lines.find(candidate => candidate.lineNumber === text(lineNumber))
+    : order.lines[0];
+
+  if (!line) {
+    throw new NotFoundError(`Line ${lineNumber} not found on purchase order ${purchaseOrderNumber}`);
+  }
+
+  return { order, line };
+};
+
+/**
+ * Choose the sampling parameters for a component's receiving inspection.
+ * Components with a critical characteristic are sampled on a C=0 plan.
+ * @param {Array<Specification>} specifications Component specifications
+ * @param {Object} [config] Sampling configuration
+ * @returns {Object} { scheme, inspectionLevel, aql }
+ */
+exports.selectSamplingParameters = (specifications = [], config = receivingConfig.sampling) => {
+  if (specifications.some(spec => CRITICAL_CATEGORIES.includes(spec.category))) {
+    return { scheme: 'c0', inspectionLevel: null, aql: config.criticalAql };
+  }
+
+  return { scheme: config.scheme, inspectionLevel: config.inspectionLevel, aql: config.aql };
+};
+
+/**
+ * Build one inspection item per component specification, carrying its
+ * expected value and tolerance
+ * @param {Array<Specification>} specifications Component specifications
+ * @returns {Array<Object>} Inspection item data
+ */
+exports.buildSpecificationItems = (specifications = []) => specifications.map((spec, index) => {
+  const requirement = Specification.toInspectionRequirement(spec);
+
+  return {
+    name: spec.name,
+    description: spec.description || '',
+    category: 'specification',
+    specificationId: spec.id,
+    order: index + 1,
+    isRequired: spec.isRequired !== false,
+    // Inspection items only hold numeric requirements
+    expectedValue: typeof requirement.expectedValue === 'number' ? requirement.expectedValue : null,
+    tolerance: typeof requirement.tolerance === 'number' ? requirement.tolerance : null,
+    unitOfMeasure: requirement.unitOfMeasure
+  };
+});
+
+/**
+ * Generate the receiving inspection for a lot. Lots of a single unit are
+ * inspected in full without a sampling plan.
+ * @param {Object} lot Lot details
+ * @param {Object} lot.component Component document
+ * @param {Array<Specification>} lot.specifications Component specifications
+ * @param {Object} lot.supplier Supplier document
+ * @param {string} lot.purchaseOrderNumber Purchase order number
+ * @param {string} lot.lineNumber Purchase order line number
+ * @param {number} lot.quantityReceived Lot size
+ * @param {Date} lot.receivedAt Receipt date
+ * @returns {Promise<Object>} Created inspection
+ */
+exports.createReceivingInspection = async ({
+  component,
+  specifications,
+  supplier,
+  purchaseOrderNumber,
+  lineNumber,
+  quantityReceived,
+  receivedAt
+}) => {
+  const inspectionData = {
+    type: 'incoming',
+    inspectionType: 'incoming',
+    title: `Receiving - ${component.partNumber} - PO ${purchaseOrderNumber}${lineNumber ? ` line ${lineNumber}` : ''}`,
+    description: `Receiving inspection of ${quantityReceived} x ${component.name} from ${supplier.name}`,
+    customerId: component.customerId.toString(),
+    supplierId: supplier._id.toString(),
+    componentId: component._id.toString(),
+    scheduledDate: receivedAt,
+    items: this.buildSpecificationItems(specifications)
+  };
+
+  if (quantityReceived >= 2) {
+    const characteristics = specifications.map(spec => spec.name).join(', ');
+    inspectionData.sampling = {
+      ...this.selectSamplingParameters(specifications),
+      lotSize: quantityReceived,
+      itemTemplate: {
+        name: 'Sample',
+        description: characteristics ? `Check ${characteristics}` : 'Check against the drawing'
+      }
+    };
+  }
+
+  return getInspectionService().create(inspectionData);
+};
+
+/**
+ * Record a goods receipt against a purchase order line and generate its
+ * receiving inspection. The component and supplier are taken from the
+ * request when given, otherwise from the purchase order line in the ERP.
+ * @param {Object} data Receipt data
+ * @param {string} data.purchaseOrderNumber Purchase order number
+ * @param {string} [data.lineNumber] Purchase order line number
+ * @param {number} data.quantityReceived Quantity received
+ * @param {string} [data.componentId] Component ID
+ * @param {string} [data.itemCode] ERP item code (component part number)
+ * @param {string} [data.supplierId] Supplier ID
+ * @param {string} [data.erpSupplierCode] ERP vendor code (supplier code)
+ * @param {Date|string} [data.receivedAt] Receipt date (default now)
+ * @param {string} [data.lotNumber] Supplier lot number
+ * @param {string} [data.notes] Notes
+ * @param {Object} [options] Options
+ * @param {string} [options.userId] User recording the receipt
+ * @param {string} [options.source] 'api' (default) or 'erp'
+ * @param {string} [options.erpReference] Reference of a receipt pulled from the ERP
+ * @returns {Promise<Object>} Goods receipt
+ */
+exports.recordReceipt = async (data, { userId, source = 'api', erpReference } = {}) => {
+  const purchaseOrderNumber = text(data.purchaseOrderNumber);
+  if (!purchaseOrderNumber) {
+    throw new BadRequestError('Purchase order number is required');
+  }
+
+  const quantityReceived = Number(data.quantityReceived);
+  if (!Number.isInteger(quantityReceived) || quantityReceived < 1) {
+    throw new BadRequestError('Quantity received must be a whole number of at least 1');
+  }
+
+  const receivedAt = data.receivedAt ? new Date(data.receivedAt) : new Date();
+  if (Number.isNaN(receivedAt.getTime())) {
+    throw new BadRequestError('Received date must be a valid date');
+  }
+
+  let lineNumber = text(data.lineNumber);
+  let itemCode = text(data.itemCode);
+  let erpSupplierCode = text(data.erpSupplierCode);
+
+  if ((!data.componentId && !itemCode) || (!data.supplierId && !erpSupplierCode)) {
+    const { order, line } = await this.findPurchaseOrderLine(purchaseOrderNumber, lineNumber);
+    lineNumber = line.lineNumber;
+    itemCode = itemCode || line.itemCode;
+    erpSupplierCode = erpSupplierCode || order.vendorCode;
+  }
+
+  const component = data.componentId
+    ? await Component.findById(data.componentId)
+    : await Component.findOne({ partNumber: itemCode });
+  if (!component) {
+    throw new NotFoundError(`Component not found for ${data.componentId ? `id ${data.componentId}` : `item ${itemCode}`}`);
+  }
+
+  let supplier = null;
+  if (data.supplierId) {
+    supplier = await Supplier.findById(data.supplierId);
+  } else if (erpSupplierCode) {
+    supplier = await Supplier.findOne({ code: erpSupplierCode });
+  }
+  if (!supplier) {
+    throw new NotFoundError(`Supplier not found for ${data.supplierId ? `id ${data.supplierId}` : `vendor ${erpSupplierCode}`}`);
+  }
+
+  // Specifications stored on the component, as the domain reads them
+  const domainComponent = await getComponentRepository().findById(component._id.toString());
+  const specifications = domainComponent ? domainComponent.specifications : [];
+
+  // The receipt is stored first, so a receipt pulled from the ERP twice is
+  // refused before a second inspection is generated
+  let receipt;
+  try {
+    receipt = await GoodsReceipt.create({
+      source,
+      erpReference,
+      purchaseOrderNumber,
+      lineNumber: lineNumber || undefined,
+      itemCode: itemCode || component.partNumber,
+      erpSupplierCode: erpSupplierCode || supplier.code,
+      supplierId: supplier._id,
+      componentId: component._id,
+      customerId: component.customerId,
+      quantityReceived,
+      receivedAt,
+      receivedBy: userId,
+      lotNumber: data.lotNumber,
+      notes: data.notes,
+      status: 'inspection-pending'
+    });
+  } catch (error) {
+    if (error.code === 11000 && erpReference) {
+      throw new ConflictError(`ERP receipt ${erpReference} has already been recorded`);
+    }
+    throw error;
+  }
+
+  let inspection;
+  try {
+    inspection = await this.createReceivingInspection({
+      component,
+      specifications,
+      supplier,
+      purchaseOrderNumber,
+      lineNumber,
+      quantityReceived,
+      receivedAt
+    });
+  } catch (error) {
+    // A receipt without its inspection could never be dispositioned
+    await GoodsReceipt.deleteOne({ _id: receipt._id });
+    throw error;
+  }
+
+  receipt.inspectionId = inspection.id;
+  await receipt.save();
+
+  logger.info(`Goods receipt ${receipt.receiptNumber}: ${quantityReceived} x ${component.partNumber} on PO ${purchaseOrderNumber}, inspection ${inspection.id}`);
+
+  return receipt;
+};
+
+/**
+ * Record receipts for quantities received on ERP purchase order lines that
+ * have not been recorded yet. Lines whose component or supplier is unknown,
+ * or whose inspection cannot be generated, are reported and retried on the
+ * next pull.
+ * @param {Array<Object>} orders Purchase orders as returned by the ERP provider
+ * @returns {Promise<Object>} { recorded, skipped, failed }
+ */
+exports.recordReceiptsFromPurchaseOrders = async (orders = []) => {
+  const provider = getErpService().providerName;
+  const results = { recorded: [], skipped: 0, failed: [] };
+
+  for (const order of orders.map(this.normalizePurchaseOrder)) {
+    for (const line of order.lines) {
+      if (!line.receivedQuantity || line.receivedQuantity <= 0) {
+        results.skipped += 1;
+        continue;
+      }
+
+      const existing = await GoodsReceipt.find({ purchaseOrderNumber: order.poNumber, lineNumber: line.lineNumber });
+      const recordedQuantity = existing.reduce((sum, receipt) => sum + receipt.quantityReceived, 0);
+      const quantityReceived = line.receivedQuantity - recordedQuantity;
+
+      if (quantityReceived <= 0) {
+        results.skipped += 1;
+        continue;
+      }
+
+      try {
+        const receipt = await this.recordReceipt({
+          purchaseOrderNumber: order.poNumber,
+          lineNumber: line.lineNumber,
+          itemCode: line.itemCode,
+          erpSupplierCode: order.vendorCode,
+          quantityReceived
+        }, {
+          source: 'erp',
+          erpReference: [provider, order.poNumber, line.lineNumber, line.receivedQuantity].join(':')
+        });
+        results.recorded.push(receipt.receiptNumber);
+      } catch (error) {
+        logger.warn(`Receiving: could not record receipt for PO ${order.poNumber} line ${line.lineNumber}: ${error.message}`);
+        results.failed.push({ purchaseOrderNumber: order.poNumber, lineNumber: line.lineNumber, error: error.message });
+      }
+    }
+  }
+
+  logger.info(`Receiving: ${results.recorded.length} receipts recorded from ERP purchase orders, ${results.failed.length} failed`);
+
+  return results;
+};
+
+/**
+ * Pull received quantities from the ERP's purchase orders
+ * @returns {Promise<Object>} { recorded, skipped, failed }
+ */
+exports.pullReceiptsFromErp = async () => {
+  const orders = await getErpService().getPurchaseOrders();
+  return this.recordReceiptsFromPurchaseOrders(orders);
+};
+
+/**
+ * Decide a received lot from its completed inspection. Lots without a
+ * sampling plan are rejected if any item failed.
+ * @param {Object} inspection Completed inspection
+ * @param {Object} [lotDisposition] Sampling plan disposition ({ nonconforming, accepted })
+ * @param {boolean} [mrbOnReject] Hold rejected lots for the Material Review Board
+ * @returns {Object} { decision, status, nonconforming }
+ */
+exports.decideDisposition = (inspection, lotDisposition, mrbOnReject = receivingConfig.mrbOnReject) => {
+  let accepted;
+  let nonconforming;
+
+  if (lotDisposition) {
+    ({ accepted, nonconforming } = lotDisposition);
+  } else {
+    nonconforming = (inspection.items || []).some(item => item.status === 'failed') ? 1 : 0;
+    accepted = nonconforming === 0;
+  }
+
+  if (accepted) {
+    return { decision: 'accept', status: 'accepted', nonconforming };
+  }
+
+  return mrbOnReject
+    ? { decision: 'mrb', status: 'on-hold', nonconforming }
+    : { decision: 'reject', status: 'rejected', nonconforming };
+};
+
+/**
+ * Build the ERP quality inspection for a dispositioned receipt
+ * @param {Object} receipt Goods receipt
+ * @returns {Object} Quality inspection data
+ */
+exports.toErpQualityInspection = (receipt) => {
+  const { disposition } = receipt;
+  const result = receipt.status === 'accepted' && disposition.decision === 'mrb'
+    ? 'conditional'
+    : ERP_RESULTS[receipt.status];
+
+  const notes = [`Goods receipt ${receipt.receiptNumber}`];
+  if (disposition.mrbDisposition) {
+    notes.push(`MRB disposition: ${disposition.mrbDisposition}`);
+  } else if (disposition.decision === 'mrb') {
+    notes.push('Held for Material Review Board');
+  }
+  if (disposition.reason) {
+    notes.push(disposition.reason);
+  }
+
+  return {
+    type: 'incoming',
+    externalReference: receipt.receiptNumber,
+    purchaseOrderNumber: receipt.purchaseOrderNumber,
+    lineNumber: receipt.lineNumber,
+    itemCode: receipt.itemCode,
+    supplierCode: receipt.erpSupplierCode,
+    lotNumber: receipt.lotNumber,
+    quantity: receipt.quantityReceived,
+    defects: disposition.nonconforming || 0,
+    date: disposition.decidedAt,
+    result,
+    status: ERP_STATUSES[receipt.status],
+    notes: notes.join('. ')
+  };
+};
+
+/**
+ * Create or update the receipt's quality inspection in the ERP. Failures
+ * are recorded on the receipt rather than thrown, so they can be retried.
+ * @param {Object} receipt Dispositioned goods receipt
+ * @returns {Promise<Object>} Saved goods receipt
+ */
+exports.pushDispositionToErp = async (receipt) => {
+  const erpService = getErpService();
+  const { erpSync } = receipt;
+
+  erpSync.provider = erpService.providerName;
+
+  if (!erpService.supports('qualityInspections')) {
+    erpSync.status = 'skipped';
+    return receipt.save();
+  }
+
+  erpSync.attempts = (erpSync.attempts || 0) + 1;
+  erpSync.lastAttemptAt = new Date();
+
+  try {
+    const payload = this.toErpQualityInspection(receipt);
+
+    if (erpSync.erpInspectionId) {
+      await erpService.updateQualityInspection(erpSync.erpInspectionId, payload);
+    } else {
+      const created = await erpService.createQualityInspection(payload);
+      erpSync.erpInspectionId = String(created.id);
+    }
+
+    erpSync.status = 'synced';
+    erpSync.lastError = undefined;
+    erpSync.syncedAt = new Date();
+  } catch (error) {
+    logger.warn(`Receiving: could not push disposition of ${receipt.receiptNumber} to ERP: ${error.message}`);
+    erpSync.status = 'failed';
+    erpSync.lastError = error.message;
+  }
+
+  return receipt.save();
+};
+
+/**
+ * Disposition the goods receipt of a receiving inspection once its results
+ * are approved, and push the result to the ERP. Completing an inspection
+ * only sends it for review.
+ * @param {Object} event inspection.transitioned payload ({ inspection, transition })
+ * @returns {Promise<Object|null>} Goods receipt, or null if the transition is not the approval of a pending receiving inspection
+ */
+exports.handleInspectionApproved = async ({ inspection, transition } = {}) => {
+  if (!inspection || !inspection.id || !transition || transition.to !== 'approved') {
+    return null;
+  }
+
+  const receipt = await GoodsReceipt.findOne({ inspectionId: inspection.id, status: 'inspection-pending' });
+  if (!receipt) {
+    return null;
+  }
+
+  // The lot was decided against its sampling plan when the inspection was completed
+  const lotDisposition = inspection.samplingPlan ? inspection.samplingPlan.disposition : undefined;
+  const { decision, status, nonconforming } = this.decideDisposition(inspection, lotDisposition);
+
+  receipt.status = status;
+  receipt.disposition = {
+    decision,
+    nonconforming,
+    decidedAt: new Date(),
+    decidedBy: transition && transition.actorId ? transition.actorId : undefined
+  };
+
+  logger.info(`Goods receipt ${receipt.receiptNumber} ${status} after approval of inspection ${inspection.id} (${nonconforming} nonconforming)`);
+
+  return this.pushDispositionToErp(receipt);
+};
+
+/**
+ * Record the Material Review Board decision on a held lot and update the
+ * ERP quality inspection
+ * @param {string} id Goods receipt ID
+ * @param {Object} data MRB decision
+ * @param {string} data.mrbDisposition use-as-is, rework, repair, scrap or return-to-supplier
+ * @param {string} [data.reason] Rationale
+ * @param {string} userId User recording the decision
+ * @returns {Promise<Object>} Goods receipt
+ */
+exports.recordMrbDisposition = async (id, { mrbDisposition, reason } = {}, userId) => {
+  if (!GoodsReceipt.MRB_DISPOSITIONS.includes(mrbDisposition)) {
+    throw new BadRequestError(`MRB disposition must be one of: ${GoodsReceipt.MRB_DISPOSITIONS.join(', ')}`);
+  }
+
+  const receipt = await this.getReceipt(id);
+  if (receipt.status !== 'on-hold') {
+    throw new ConflictError(`Goods receipt ${receipt.receiptNumber} is not held for the Material Review Board`);
+  }
+
+  receipt.status = MRB_RELEASE_DISPOSITIONS.includes(mrbDisposition) ? 'accepted' : 'rejected';
+  receipt.disposition.mrbDisposition = mrbDisposition;
+  receipt.disposition.reason = reason;
+  receipt.disposition.decidedAt = new Date();
+  receipt.disposition.decidedBy = userId;
+
+  return this.pushDispositionToErp(receipt);
+};
+
+/**
+ * Retry pushing a receipt's disposition to the ERP
+ * @param {string} id Goods receipt ID
+ * @returns {Promise<Object>} Goods receipt
+ */
+exports.retryErpSync = async (id) => {
+  const receipt = await this.getReceipt(id);
+  if (!receipt.disposition || !receipt.disposition.decision) {
+    throw new ConflictError(`Goods receipt ${receipt.receiptNumber} has not been dispositioned yet`);
+  }
+
+  return this.pushDispositionToErp(receipt);
+};
+
+/**
+ * Get a goods receipt
+ * @param {string} id Goods receipt ID
+ * @returns {Promise<Object>} Goods receipt
+ */
+exports.getReceipt = async (id) => {
+  const receipt = await GoodsReceipt.findById(id);
+  if (!receipt) {
+    throw new NotFoundError(`Goods receipt not found with id ${id}`);
+  }
+  return receipt;
+};
+
+/**
+ * List goods receipts, newest first
+ * @param {Object} [filter] Filter ({ status, purchaseOrderNumber, supplierId, componentId })
+ * @returns {Promise<Array>} Goods receipts
+ */
+exports.getReceipts = async (filter = {}) => {
+  const query = {};
+  ['status', 'purchaseOrderNumber', 'supplierId', 'componentId'].forEach(field => {
+    if (filter[field]) {
+      query[field] = filter[field];
+    }
+  });
+
+  return GoodsReceipt.find(query).sort({ receivedAt: -1 });
+};
+
+/**
+ * Disposition goods receipts as their receiving inspections are approved
+ */
+exports.initialize = () => {
+  if (unsubscribe) {
+    return;
+  }
+
+  unsubscribe = EventEmitter.getInstance().on('inspection.transitioned', (event) => {
+    this.handleInspectionApproved(event).catch(error => {
+      logger.error(`Receiving: error dispositioning goods receipt for approved inspection: ${error.message}`, error);
+    });
+  });
+};
+
+/**
+ * Stop dispositioning goods receipts on inspection approval
+ */
+exports.shutdown = () => {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+};
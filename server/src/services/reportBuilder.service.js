@@ -6,6 +6,9 @@ const { promisify } = require('util');
 const mkdirAsync = promisify(fs.mkdir);
 const dateFormat = require('../utils/dateFormat');
 const mongoose = require('mongoose');
+const reportQueryService = require('./reportQuery.service');
+const reportQueryConfig = require('../config/reportQuery.config');
+const { BadRequestError } = require('../utils/errors');
 const sharp = require('sharp'); // Add sharp for image optimization
 const { Worker } = require('worker_threads'); // For parallel processing
 
@@ -113,7 +116,7 @@ exports.generateCustomReport = async (reportConfig, options = {}) => {
     
     // Generate each section
     const sectionPromises = sectionsWithPositions.map(section => 
-      generateSectionContent(section)
+      generateSectionContent(section, options.roles)
     );
     
     // Wait for all section content to be prepared
@@ -158,17 +161,18 @@ exports.generateCustomReport = async (reportConfig, options = {}) => {
 /**
  * Prepare section content for rendering
  * @param {Object} section - The section to prepare
+ * @param {string[]} roles - Roles of the user the report is for
  * @returns {Promise<Object>} - Prepared section with data
  */
-async function generateSectionContent(section) {
+async function generateSectionContent(section, roles = []) {
   // Make a copy of the section to avoid modifying the original
   const preparedSection = { ...section };
   
   // Process data source if available
-  if (section.dataSource && section.dataSource.model) {
+  if (section.dataSource && (section.dataSource.model || section.dataSource.reportQuery)) {
     try {
       // Execute the data query
-      const data = await executeDataQuery(section.dataSource);
+      const data = await executeDataQuery(section.dataSource, { roles, columns: section.columns });
       preparedSection.data = data;
     } catch (err) {
       console.error(`Error fetching data for section ${section.title}:`, err);
@@ -445,21 +449,35 @@ function formatMetricValue(value, format) {
 }
 
 /**
- * Execute a database query to fetch data for the report
+ * Execute a data source query to fetch data for the report
+ * Data sources hold a report query, or a raw Mongo query (model, query) from
+ * older templates that is converted to one. Raw queries that cannot be
+ * converted only run when legacy queries are allowed.
  * @param {Object} dataSource - Data source configuration
+ * @param {Object} options - Query options
+ * @param {string[]} options.roles - Roles of the user the report is for
+ * @param {Array} options.columns - Section columns, selected when converting a raw query
  * @returns {Promise<Array>} - Query results
  */
-async function executeDataQuery(dataSource) {
+async function executeDataQuery(dataSource, options = {}) {
   try {
     // Validate data source
-    if (!dataSource || !dataSource.model || !dataSource.query) {
+    if (!dataSource || (!dataSource.reportQuery && (!dataSource.model || !dataSource.query))) {
       throw new Error('Invalid data source configuration');
     }
     
-    // Generate cache key based on data source configuration
+    const { roles = [], columns = [] } = options;
+    const { reportQuery, reason } = reportQueryService.toReportQuery(dataSource, columns);
+    
+    if (!reportQuery && !reportQueryConfig.allowLegacyQueries) {
+      throw new BadRequestError(`Data source cannot be run as a report query: ${reason}`);
+    }
+    
+    // Generate cache key based on data source configuration and the fields the roles can see
     const cacheKey = JSON.stringify({
       model: dataSource.model,
-      query: dataSource.query
+      query: reportQuery || dataSource.query,
+      roles: [...roles].sort()
     });
     
     // Check cache first
@@ -468,39 +486,9 @@ async function executeDataQuery(dataSource) {
       return cachedResult.data;
     }
     
-    // Get model
-    const Model = mongoose.model(dataSource.model);
-    if (!Model) {
-      throw new Error(`Model not found: ${dataSource.model}`);
-    }
-    
-    // Build query with optimized options
-    let query = Model.find(dataSource.query.filter || {}).lean();
-    
-    // Add specific field selection if provided (projection)
-    if (dataSource.query.fields) {
-      query = query.select(dataSource.query.fields);
-    }
-    
-    // Add population
-    if (dataSource.query.populate && Array.isArray(dataSource.query.populate)) {
-      for (const populateField of dataSource.query.populate) {
-        query = query.populate(populateField);
-      }
-    }
-    
-    // Add sorting
-    if (dataSource.query.sort) {
-      query = query.sort(dataSource.query.sort);
-    }
-    
-    // Add limit
-    if (dataSource.query.limit) {
-      query = query.limit(dataSource.query.limit);
-    }
-    
-    // Execute query with a timeout
-    const results = await query.exec();
+    const results = reportQuery
+      ? await reportQueryService.execute(reportQuery, { roles })
+      : await executeLegacyQuery(dataSource);
     
     // Transform results if needed
     let transformedResults = results;
@@ -521,6 +509,49 @@ async function executeDataQuery(dataSource) {
   }
 }
 
+/**
+ * Execute a raw Mongo query of an older template
+ * @param {Object} dataSource - Data source configuration with model and query
+ * @returns {Promise<Array>} - Query results
+ */
+async function executeLegacyQuery(dataSource) {
+  console.warn(`Running raw Mongo query on ${dataSource.model}; legacy report queries are deprecated`);
+  
+  // Get model
+  const Model = mongoose.model(dataSource.model);
+  if (!Model) {
+    throw new Error(`Model not found: ${dataSource.model}`);
+  }
+  
+  // Build query with optimized options
+  let query = Model.find(dataSource.query.filter || {}).lean();
+  
+  // Add specific field selection if provided (projection)
+  if (dataSource.query.fields) {
+    query = query.select(dataSource.query.fields);
+  }
+  
+  // Add population
+  if (dataSource.query.populate && Array.isArray(dataSource.query.populate)) {
+    for (const populateField of dataSource.query.populate) {
+      query = query.populate(populateField);
+    }
+  }
+  
+  // Add sorting
+  if (dataSource.query.sort) {
+    query = query.sort(dataSource.query.sort);
+  }
+  
+  // Add limit
+  if (dataSource.query.limit) {
+    query = query.limit(dataSource.query.limit);
+  }
+  
+  // Execute query with a timeout
+  return query.maxTimeMS(reportQueryConfig.maxTimeMS).exec();
+}
+
 // Clear caches periodically to prevent memory leaks
 setInterval(() => {
   // Clear image cache
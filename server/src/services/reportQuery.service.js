@@ -0,0 +1,699 @@
+/**
+ * Report Query Service
+ * Validates declarative report queries against the report query catalog
+ * and the user's roles, estimates their cost and compiles them to
+ * aggregation pipelines. Raw Mongo filters of older report templates are
+ * converted to report queries where they can be.
+ *
+ * A report query looks like:
+ *   {
+ *     entity: 'inspection',
+ *     fields: ['inspectionNumber', 'supplier.name'],           // row queries
+ *     filter: [{ field: 'status', op: 'eq', value: 'completed' }],
+ *     groupBy: [{ field: 'completionDate', bucket: 'month' }],  // grouped queries
+ *     aggregates: [{ fn: 'percentile', field: 'quantity', p: 0.95, as: 'p95Quantity' }],
+ *     sort: [{ field: 'completionDate', direction: 'asc' }],
+ *     limit: 500
+ *   }
+ */
+const mongoose = require('mongoose');
+const ENTITIES = require('./reportQueryCatalog');
+const reportQueryConfig = require('../config/reportQuery.config');
+const logger = require('../utils/logger');
+const { BadRequestError, ValidationError } = require('../utils/errors');
+
+const FILTER_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'between', 'exists', 'contains'];
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max', 'percentile'];
+const DATE_BUCKETS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// Comparison operators a computed field can be filtered with
+const EXPRESSION_OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+// Raw Mongo operators that convert to report query filter operators
+const LEGACY_OPERATORS = {
+  $eq: 'eq',
+  $ne: 'ne',
+  $in: 'in',
+  $nin: 'nin',
+  $gt: 'gt',
+  $gte: 'gte',
+  $lt: 'lt',
+  $lte: 'lte',
+  $exists: 'exists'
+};
+
+// Estimated cost of each part of a query, compared against the configured maximum
+const COST_WEIGHTS = {
+  perThousandRows: 10,
+  join: 15,
+  groupBy: 5,
+  aggregate: 2,
+  percentile: 10,
+  contains: 10,
+  unwind: 10
+};
+
+const OUTPUT_NAME = /^[A-Za-z][A-Za-z0-9_ .-]{0,63}$/;
+
+/**
+ * Check whether a catalog entry is visible to a set of roles
+ * @param {Object} definition Entity or field definition
+ * @param {string[]} roles User roles
+ * @returns {boolean} True if visible
+ */
+const isVisible = (definition, roles = []) =>
+  !definition.roles || roles.includes('admin') || definition.roles.some(role => roles.includes(role));
+
+/**
+ * Get the roles of a user
+ * @param {Object} user User, as set on the request
+ * @returns {string[]} Roles
+ */
+exports.rolesOf = (user) => {
+  if (!user) {
+    return [];
+  }
+  return [...new Set([user.role, ...(user.roles || [])].filter(Boolean))];
+};
+
+/**
+ * Get the entities and fields a user may query, for the report builder
+ * @param {string[]} roles User roles
+ * @returns {Array} Entities with their fields, joined fields included
+ */
+exports.getCatalog = (roles = []) => Object.entries(ENTITIES)
+  .filter(([, entity]) => isVisible(entity, roles))
+  .map(([name, entity]) => {
+    const fields = Object.entries(entity.fields)
+      .filter(([, field]) => isVisible(field, roles))
+      .map(([id, field]) => ({ id, label: field.label, type: field.type }));
+
+    Object.entries(entity.joins).forEach(([joinName, join]) => {
+      const joined = ENTITIES[join.entity];
+      if (!isVisible(joined, roles)) return;
+
+      Object.entries(joined.fields)
+        .filter(([, field]) => isVisible(field, roles) && !field.expr)
+        .forEach(([id, field]) => fields.push({
+          id: `${joinName}.${id}`,
+          label: `${joinName.charAt(0).toUpperCase()}${joinName.slice(1)} ${field.label}`,
+          type: field.type
+        }));
+    });
+
+    return { entity: name, model: entity.model, label: entity.label, fields };
+  });
+
+/**
+ * Resolve a field of a query to its catalog definition and pipeline path
+ * @param {string} entityName Queried entity
+ * @param {string} key Field, or <join>.<field> for a joined entity's field
+ * @param {string[]} roles User roles
+ * @returns {Object|null} { key, type, label, path, expr, join }, or null if unknown or not visible
+ */
+const resolveField = (entityName, key, roles) => {
+  const entity = ENTITIES[entityName];
+  if (typeof key !== 'string') {
+    return null;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(entity.fields, key)) {
+    const field = entity.fields[key];
+    return isVisible(field, roles)
+      ? { key, type: field.type, label: field.label, path: field.path || key, expr: field.expr, join: null }
+      : null;
+  }
+
+  const [joinName, ...rest] = key.split('.');
+  const join = Object.prototype.hasOwnProperty.call(entity.joins, joinName) ? entity.joins[joinName] : null;
+  const joined = join && ENTITIES[join.entity];
+  const fieldName = rest.join('.');
+  if (!joined || !isVisible(joined, roles) || !Object.prototype.hasOwnProperty.call(joined.fields, fieldName)) {
+    return null;
+  }
+
+  const field = joined.fields[fieldName];
+  if (!isVisible(field, roles) || field.expr) {
+    return null;
+  }
+  return { key, type: field.type, label: field.label, path: `${joinName}.${field.path || fieldName}`, expr: null, join: joinName };
+};
+
+/**
+ * Convert a filter value to the type of its field
+ * @param {Object} field Resolved field
+ * @param {*} value Filter value
+ * @returns {*} Typed value, or undefined if it does not fit the field
+ */
+const coerceValue = (field, value) => {
+  if (value === null) {
+    return null;
+  }
+
+  switch (field.type) {
+  case 'date': {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  case 'number': {
+    const number = typeof value === 'number' ? value : Number(value);
+    return value === '' || !Number.isFinite(number) ? undefined : number;
+  }
+  case 'boolean':
+    return typeof value === 'boolean' ? value : undefined;
+  case 'id':
+    return mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(String(value)) : undefined;
+  default:
+    return typeof value === 'object' ? undefined : String(value);
+  }
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validate and normalize a filter condition
+ * @param {string} entityName Queried entity
+ * @param {Object} condition { field, op, value }
+ * @param {string[]} roles User roles
+ * @param {string[]} errors Validation errors, added to
+ * @returns {Object|null} { field, op, value } with typed values, or null if invalid
+ */
+const normalizeCondition = (entityName, condition, roles, errors) => {
+  const { field: key, op = 'eq', value } = condition || {};
+  const field = resolveField(entityName, key, roles);
+  if (!field) {
+    errors.push(`Unknown filter field: ${key}`);
+    return null;
+  }
+  if (!FILTER_OPERATORS.includes(op)) {
+    errors.push(`Unknown filter operator for ${key}: ${op}`);
+    return null;
+  }
+  if (field.expr && !EXPRESSION_OPERATORS.includes(op)) {
+    errors.push(`Operator ${op} cannot be used on ${key}`);
+    return null;
+  }
+
+  let typed;
+  if (op === 'exists') {
+    typed = typeof value === 'boolean' ? value : undefined;
+  } else if (op === 'contains') {
+    typed = field.type === 'string' && typeof value === 'string' && value ? value : undefined;
+  } else if (['in', 'nin', 'between'].includes(op)) {
+    const values = Array.isArray(value) ? value.map(item => coerceValue(field, item)) : [];
+    const sizeOk = op === 'between' ? values.length === 2 : values.length > 0 && values.length <= 100;
+    typed = sizeOk && !values.includes(undefined) ? values : undefined;
+  } else {
+    typed = coerceValue(field, value);
+  }
+
+  if (typed === undefined) {
+    errors.push(`Invalid value for ${key} ${op} filter`);
+    return null;
+  }
+  return { field, op, value: typed };
+};
+
+/**
+ * Validate a report query against the catalog, the user's roles and the
+ * query limits
+ * @param {Object} query Report query
+ * @param {Object} [options] { roles }
+ * @returns {Object} Normalized query with its estimated cost
+ * @throws {ValidationError} If the query is invalid or too expensive
+ */
+exports.normalizeQuery = (query, { roles = [] } = {}) => {
+  if (!query || typeof query !== 'object') {
+    throw new ValidationError('Invalid report query', ['Report query is required']);
+  }
+
+  const entityName = query.entity;
+  const entity = Object.prototype.hasOwnProperty.call(ENTITIES, entityName) ? ENTITIES[entityName] : null;
+  if (!entity || !isVisible(entity, roles)) {
+    throw new ValidationError('Invalid report query', [`Unknown entity: ${entityName}`]);
+  }
+
+  const errors = [];
+  const { limits } = reportQueryConfig;
+  const fields = query.fields || [];
+  const filter = query.filter || [];
+  const groupBy = query.groupBy || [];
+  const aggregates = query.aggregates || [];
+  const sortBy = query.sort || [];
+  const grouped = groupBy.length > 0 || aggregates.length > 0;
+
+  if (![fields, filter, groupBy, aggregates, sortBy].every(Array.isArray)) {
+    throw new ValidationError('Invalid report query', ['fields, filter, groupBy, aggregates and sort must be lists']);
+  }
+  if (filter.length > limits.filters) errors.push(`A query can have at most ${limits.filters} filters`);
+  if (groupBy.length > limits.groupBy) errors.push(`A query can group by at most ${limits.groupBy} fields`);
+  if (aggregates.length > limits.aggregates) errors.push(`A query can have at most ${limits.aggregates} aggregates`);
+  if (grouped && fields.length > 0) {
+    errors.push('A grouped query returns its groupBy fields and aggregates; fields cannot be selected');
+  }
+
+  const outputs = [];
+  const addOutput = (output) => {
+    if (!OUTPUT_NAME.test(output.key)) {
+      errors.push(`Invalid output name: ${output.key}`);
+    } else if (outputs.some(existing => existing.key === output.key)) {
+      errors.push(`Duplicate output name: ${output.key}`);
+    } else {
+      outputs.push(output);
+    }
+  };
+
+  if (grouped) {
+    groupBy.forEach((group) => {
+      const { field: key, bucket, as } = group || {};
+      const field = resolveField(entityName, key, roles);
+      if (!field) {
+        errors.push(`Unknown groupBy field: ${key}`);
+      } else if (bucket && (field.type !== 'date' || !DATE_BUCKETS.includes(bucket))) {
+        errors.push(`Invalid bucket for ${key}: ${bucket}`);
+      } else {
+        addOutput({ kind: 'group', key: as || key, field, bucket, timezone: group.timezone || 'UTC' });
+      }
+    });
+
+    aggregates.forEach((aggregate) => {
+      const { fn, field: key, p, as } = aggregate || {};
+      if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+        errors.push(`Unknown aggregate function: ${fn}`);
+        return;
+      }
+      if (fn === 'count') {
+        addOutput({ kind: 'aggregate', key: as || 'count', fn });
+        return;
+      }
+
+      const field = resolveField(entityName, key, roles);
+      const types = ['min', 'max'].includes(fn) ? ['number', 'date'] : ['number'];
+      if (!field || !types.includes(field.type)) {
+        errors.push(`${fn} needs a ${types.join(' or ')} field, got ${key}`);
+      } else if (fn === 'percentile' && !(typeof p === 'number' && p > 0 && p < 1)) {
+        errors.push(`Percentile of ${key} needs p between 0 and 1`);
+      } else {
+        const defaultName = fn === 'percentile' ? `p${Math.round(p * 100)} ${key}` : `${fn} ${key}`;
+        addOutput({ kind: 'aggregate', key: as || defaultName, fn, field, p });
+      }
+    });
+  } else {
+    const keys = fields.length > 0
+      ? fields
+      : entity.defaultFields.filter(key => resolveField(entityName, key, roles));
+    keys.forEach((key) => {
+      const field = resolveField(entityName, key, roles);
+      if (!field) {
+        errors.push(`Unknown field: ${key}`);
+      } else {
+        addOutput({ kind: 'field', key, field });
+      }
+    });
+  }
+
+  const conditions = filter.map(condition => normalizeCondition(entityName, condition, roles, errors)).filter(Boolean);
+
+  const sort = sortBy.map(({ field: key, direction = 'asc' } = {}) => {
+    const output = outputs.find(candidate => candidate.key === key);
+    if (!output || !['asc', 'desc'].includes(direction)) {
+      errors.push(`Sort must be on a returned field, ascending or descending: ${key}`);
+      return null;
+    }
+    return { output, direction };
+  }).filter(Boolean);
+
+  const limit = query.limit === undefined ? reportQueryConfig.defaultRows : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > reportQueryConfig.maxRows) {
+    errors.push(`Limit must be between 1 and ${reportQueryConfig.maxRows}`);
+  }
+
+  const joins = new Set([
+    ...outputs.map(output => output.field && output.field.join),
+    ...conditions.map(condition => condition.field.join)
+  ].filter(Boolean));
+  if (joins.size > limits.joins) {
+    errors.push(`A query can join at most ${limits.joins} entities`);
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid report query', errors);
+  }
+
+  const normalized = { entity: entityName, model: entity.model, grouped, outputs, conditions, sort, limit, joins: [...joins] };
+  normalized.cost = this.estimateCost(normalized);
+  if (normalized.cost > reportQueryConfig.maxCost) {
+    throw new ValidationError('Report query is too expensive', [
+      `Estimated cost ${normalized.cost} exceeds the maximum of ${reportQueryConfig.maxCost}; reduce the limit, joins or aggregates`
+    ]);
+  }
+
+  return normalized;
+};
+
+/**
+ * Estimate the cost of a normalized query
+ * @param {Object} normalized Normalized query
+ * @returns {number} Estimated cost
+ */
+exports.estimateCost = (normalized) => {
+  const aggregates = normalized.outputs.filter(output => output.kind === 'aggregate');
+  const percentiles = aggregates.filter(output => output.fn === 'percentile').length;
+
+  return Math.ceil(normalized.limit / 1000 * COST_WEIGHTS.perThousandRows)
+    + normalized.joins.length * COST_WEIGHTS.join
+    + normalized.outputs.filter(output => output.kind === 'group').length * COST_WEIGHTS.groupBy
+    + (aggregates.length - percentiles) * COST_WEIGHTS.aggregate
+    + percentiles * COST_WEIGHTS.percentile
+    + normalized.conditions.filter(condition => condition.op === 'contains').length * COST_WEIGHTS.contains
+    + (ENTITIES[normalized.entity].unwind ? COST_WEIGHTS.unwind : 0);
+};
+
+/**
+ * Get the aggregation expression for a field's value
+ * @param {Object} field Resolved field
+ * @returns {*} Aggregation expression
+ */
+const fieldExpression = field => field.expr || `$${field.path}`;
+
+/**
+ * Compile a filter condition to a $match condition
+ * @param {Object} condition Normalized condition
+ * @returns {Object} $match condition
+ */
+const compileCondition = ({ field, op, value }) => {
+  if (field.expr) {
+    const expression = fieldExpression(field);
+    const comparisons = {
+      eq: () => ({ $eq: [expression, value] }),
+      ne: () => ({ $ne: [expression, value] }),
+      in: () => ({ $in: [expression, value] }),
+      nin: () => ({ $not: [{ $in: [expression, value] }] }),
+      gt: () => ({ $gt: [expression, value] }),
+      gte: () => ({ $gte: [expression, value] }),
+      lt: () => ({ $lt: [expression, value] }),
+      lte: () => ({ $lte: [expression, value] }),
+      between: () => ({ $and: [{ $gte: [expression, value[0]] }, { $lt: [expression, value[1]] }] })
+    };
+    return { $expr: comparisons[op]() };
+  }
+
+  const conditions = {
+    eq: () => ({ $eq: value }),
+    ne: () => ({ $ne: value }),
+    in: () => ({ $in: value }),
+    nin: () => ({ $nin: value }),
+    gt: () => ({ $gt: value }),
+    gte: () => ({ $gte: value }),
+    lt: () => ({ $lt: value }),
+    lte: () => ({ $lte: value }),
+    between: () => ({ $gte: value[0], $lt: value[1] }),
+    exists: () => ({ $exists: value }),
+    contains: () => ({ $regex: escapeRegExp(value), $options: 'i' })
+  };
+  return { [field.path]: conditions[op]() };
+};
+
+/**
+ * Get the $group accumulator for an aggregate. Percentiles need MongoDB 7.0.
+ * @param {Object} output Aggregate output
+ * @returns {Object} Accumulator
+ */
+const compileAccumulator = (output) => {
+  if (output.fn === 'count') {
+    return { $sum: 1 };
+  }
+  if (output.fn === 'percentile') {
+    return { $percentile: { input: fieldExpression(output.field), p: [output.p], method: 'approximate' } };
+  }
+  return { [`$${output.fn}`]: fieldExpression(output.field) };
+};
+
+/**
+ * Compile a report query to an aggregation pipeline. Output fields use
+ * internal names in the pipeline and are renamed by execute. Joins use
+ * $lookup with a pipeline, which needs MongoDB 5.0.
+ * @param {Object} query Report query
+ * @param {Object} [options] { roles }
+ * @returns {Object} { model, pipeline, columns, outputs, cost }
+ */
+exports.compileQuery = (query, options = {}) => {
+  const normalized = this.normalizeQuery(query, options);
+  const entity = ENTITIES[normalized.entity];
+  const pipeline = [];
+  const aliases = new Map(normalized.outputs.map((output, index) => [output, `f${index}`]));
+
+  if (entity.unwind) {
+    pipeline.push({ $unwind: `$${entity.unwind}` });
+  }
+
+  // Filter the base collection first so joins only run for matching documents
+  const baseConditions = normalized.conditions.filter(condition => !condition.field.join);
+  const joinedConditions = normalized.conditions.filter(condition => condition.field.join);
+  if (baseConditions.length > 0) {
+    pipeline.push({ $match: { $and: baseConditions.map(compileCondition) } });
+  }
+
+  normalized.joins.forEach((joinName) => {
+    const join = entity.joins[joinName];
+    const joined = ENTITIES[join.entity];
+    const paths = new Set([
+      ...normalized.outputs.map(output => output.field),
+      ...joinedConditions.map(condition => condition.field)
+    ].filter(field => field && field.join === joinName).map(field => field.path.slice(joinName.length + 1)));
+
+    pipeline.push(
+      {
+        $lookup: {
+          from: mongoose.model(joined.model).collection.name,
+          localField: join.localField,
+          foreignField: '_id',
+          pipeline: [{ $project: [...paths].reduce((projection, path) => ({ ...projection, [path]: 1 }), { _id: 0 }) }],
+          as: joinName
+        }
+      },
+      { $unwind: { path: `$${joinName}`, preserveNullAndEmptyArrays: true } }
+    );
+  });
+
+  if (joinedConditions.length > 0) {
+    pipeline.push({ $match: { $and: joinedConditions.map(compileCondition) } });
+  }
+
+  const projection = { _id: 0 };
+  if (normalized.grouped) {
+    const groupKey = {};
+    const group = {};
+    normalized.outputs.forEach((output) => {
+      const alias = aliases.get(output);
+      if (output.kind === 'group') {
+        groupKey[alias] = output.bucket
+          ? { $dateTrunc: { date: fieldExpression(output.field), unit: output.bucket, timezone: output.timezone, startOfWeek: 'monday' } }
+          : fieldExpression(output.field);
+        projection[alias] = `$_id.${alias}`;
+      } else {
+        group[alias] = compileAccumulator(output);
+        projection[alias] = output.fn === 'percentile' ? { $arrayElemAt: [`$${alias}`, 0] } : `$${alias}`;
+      }
+    });
+    pipeline.push({ $group: { _id: Object.keys(groupKey).length > 0 ? groupKey : null, ...group } });
+  } else {
+    normalized.outputs.forEach((output) => {
+      projection[aliases.get(output)] = fieldExpression(output.field);
+    });
+  }
+  pipeline.push({ $project: projection });
+
+  if (normalized.sort.length > 0) {
+    pipeline.push({
+      $sort: normalized.sort.reduce((sort, { output, direction }) => ({
+        ...sort,
+        [aliases.get(output)]: direction === 'desc' ? -1 : 1
+      }), {})
+    });
+  }
+  pipeline.push({ $limit: normalized.limit });
+
+  return {
+    model: normalized.model,
+    pipeline,
+    cost: normalized.cost,
+    outputs: normalized.outputs.map(output => ({ key: output.key, alias: aliases.get(output) })),
+    columns: normalized.outputs.map(output => ({
+      id: output.key,
+      label: output.kind === 'aggregate' || output.key !== output.field.key ? output.key : output.field.label,
+      type: output.kind === 'aggregate' && !['min', 'max'].includes(output.fn) ? 'number' : (output.bucket ? 'date' : output.field.type)
+    }))
+  };
+};
+
+/**
+ * Run a report query
+ * @param {Object} query Report query
+ * @param {Object} [options] { roles }
+ * @returns {Promise<Array>} Rows keyed by field, groupBy and aggregate names
+ */
+exports.execute = async (query, options = {}) => {
+  const compiled = this.compileQuery(query, options);
+
+  const rows = await mongoose.model(compiled.model)
+    .aggregate(compiled.pipeline)
+    .option({ maxTimeMS: reportQueryConfig.maxTimeMS, allowDiskUse: false });
+
+  return rows.map(row => compiled.outputs.reduce((result, { key, alias }) => {
+    result[key] = row[alias] === undefined ? null : row[alias];
+    return result;
+  }, {}));
+};
+
+/**
+ * Convert a raw Mongo filter to report query filter conditions
+ * @param {string} entityName Queried entity
+ * @param {Object} filter Raw Mongo filter
+ * @returns {Array} Filter conditions
+ * @throws {BadRequestError} If the filter uses anything a report query cannot express
+ */
+exports.translateLegacyFilter = (entityName, filter = {}) => {
+  const entity = Object.prototype.hasOwnProperty.call(ENTITIES, entityName) ? ENTITIES[entityName] : null;
+  if (!entity) {
+    throw new BadRequestError(`Unknown entity: ${entityName}`);
+  }
+  const conditions = [];
+
+  Object.entries(filter || {}).forEach(([path, condition]) => {
+    const key = Object.keys(entity.fields).find(name => {
+      const field = entity.fields[name];
+      return !field.expr && (field.path || name) === path;
+    });
+    if (!key) {
+      throw new BadRequestError(`Filter on ${path} cannot be converted to a report query`);
+    }
+
+    const isOperatorObject = condition && typeof condition === 'object' && !Array.isArray(condition)
+      && !(condition instanceof Date) && !mongoose.isValidObjectId(condition);
+    if (!isOperatorObject) {
+      if (Array.isArray(condition)) {
+        throw new BadRequestError(`Array match on ${path} cannot be converted to a report query`);
+      }
+      conditions.push({ field: key, op: 'eq', value: condition });
+      return;
+    }
+
+    Object.entries(condition).forEach(([operator, value]) => {
+      if (!LEGACY_OPERATORS[operator]) {
+        throw new BadRequestError(`Operator ${operator} on ${path} cannot be converted to a report query`);
+      }
+      conditions.push({ field: key, op: LEGACY_OPERATORS[operator], value });
+    });
+  });
+
+  return conditions;
+};
+
+/**
+ * Convert a report template data source that uses a raw Mongo query
+ * (model, query.filter, populate, sort, limit, fields) to a report query
+ * @param {Object} dataSource Template data source
+ * @param {Array} [columns] Section columns, whose fields are selected
+ * @returns {Object} { reportQuery } or { reason } if it cannot be converted
+ */
+exports.translateLegacyDataSource = (dataSource = {}, columns = []) => {
+  const entityName = Object.keys(ENTITIES).find(name => ENTITIES[name].model === dataSource.model);
+  if (!entityName) {
+    return { reason: `${dataSource.model} is not a reportable entity` };
+  }
+
+  const entity = ENTITIES[entityName];
+  const query = dataSource.query || {};
+  const isKnownField = key => resolveField(entityName, key, ['admin']) !== null;
+
+  try {
+    const filter = this.translateLegacyFilter(entityName, query.filter);
+
+    const fields = [...entity.defaultFields];
+    const select = key => {
+      if (!fields.includes(key)) fields.push(key);
+    };
+
+    const projected = typeof query.fields === 'string' ? query.fields.split(/\s+/) : [].concat(query.fields || []);
+    [...projected, ...(columns || []).map(column => column.id)].forEach((key) => {
+      if (key && isKnownField(key)) select(key);
+    });
+
+    (query.populate || []).forEach((path) => {
+      const joinName = Object.keys(entity.joins).find(name => entity.joins[name].localField === path);
+      if (!joinName) {
+        throw new BadRequestError(`Populate of ${path} cannot be converted to a report query`);
+      }
+      select(`${joinName}.name`);
+    });
+
+    const sort = Object.entries(query.sort || {}).map(([key, direction]) => {
+      if (!isKnownField(key)) {
+        throw new BadRequestError(`Sort on ${key} cannot be converted to a report query`);
+      }
+      select(key);
+      return { field: key, direction: [-1, '-1', 'desc', 'descending'].includes(direction) ? 'desc' : 'asc' };
+    });
+
+    const reportQuery = { entity: entityName, fields, filter, sort };
+    if (query.limit) {
+      reportQuery.limit = Math.min(Number(query.limit), reportQueryConfig.maxRows);
+    }
+    return { reportQuery };
+  } catch (error) {
+    return { reason: error.message };
+  }
+};
+
+/**
+ * Get the report query of a data source, converting a raw Mongo query
+ * where possible
+ * @param {Object} dataSource Template data source
+ * @param {Array} [columns] Section columns
+ * @returns {Object} { reportQuery } or { reason } if it has none and cannot be converted
+ */
+exports.toReportQuery = (dataSource = {}, columns = []) => {
+  if (dataSource.reportQuery) {
+    return { reportQuery: dataSource.reportQuery };
+  }
+
+  const translated = this.translateLegacyDataSource(dataSource, columns);
+  if (translated.reportQuery) {
+    logger.warn(`Report data source on ${dataSource.model} uses a raw Mongo query; migrate the template to a report query`);
+  }
+  return translated;
+};
+
+/**
+ * Add filter conditions to a data source, given as a raw Mongo filter of
+ * field values and comparison operators
+ * @param {Object} dataSource Template data source, modified in place
+ * @param {Object} filter Filter to add
+ * @returns {Object} The data source
+ */
+exports.applyFilter = (dataSource, filter) => {
+  if (!filter || Object.keys(filter).length === 0) {
+    return dataSource;
+  }
+
+  if (dataSource.reportQuery) {
+    dataSource.reportQuery = {
+      ...dataSource.reportQuery,
+      filter: [
+        ...(dataSource.reportQuery.filter || []),
+        ...this.translateLegacyFilter(dataSource.reportQuery.entity, filter)
+      ]
+    };
+  } else {
+    dataSource.query = dataSource.query || {};
+    dataSource.query.filter = { ...dataSource.query.filter, ...filter };
+  }
+
+  return dataSource;
+};
@@ -0,0 +1,149 @@
+/**
+ * Report Query Catalog
+ *
+ * The entities and fields report queries may read. Anything not listed
+ * here cannot be selected, filtered, grouped or sorted on. A field or
+ * entity with roles is only visible to users with one of those roles
+ * (admins see everything).
+ *
+ * Field definitions:
+ * - type: string, number, date, boolean or id
+ * - path: document path when it differs from the field name
+ * - expr: aggregation expression for a computed field
+ * - roles: roles the field is visible to
+ *
+ * Joins follow a reference field to another entity, one document per
+ * row, and expose its fields as <join>.<field>. An entity with unwind reads
+ * one row per element of that array of its model's documents.
+ */
+
+// Roles that may see supplier and customer contact details
+const CONTACT_ROLES = ['admin', 'manager', 'quality'];
+
+const ENTITIES = {
+  inspection: {
+    model: 'Inspection',
+    label: 'Inspections',
+    fields: {
+      inspectionNumber: { type: 'string', label: 'Inspection Number' },
+      title: { type: 'string', label: 'Title' },
+      inspectionType: { type: 'string', label: 'Type' },
+      status: { type: 'string', label: 'Status' },
+      result: { type: 'string', label: 'Result' },
+      purchaseOrderNumber: { type: 'string', label: 'Purchase Order' },
+      partNumber: { type: 'string', label: 'Part Number' },
+      revision: { type: 'string', label: 'Revision' },
+      quantity: { type: 'number', label: 'Quantity' },
+      inspectorName: { type: 'string', label: 'Inspector' },
+      scheduledDate: { type: 'date', label: 'Scheduled Date' },
+      startDate: { type: 'date', label: 'Start Date' },
+      completionDate: { type: 'date', label: 'Completion Date' },
+      defectCount: {
+        type: 'number',
+        label: 'Number of Defects',
+        expr: { $size: { $ifNull: ['$defects', []] } }
+      },
+      supplierId: { type: 'id', label: 'Supplier ID' },
+      componentId: { type: 'id', label: 'Component ID' },
+      customerId: { type: 'id', label: 'Customer ID' },
+      createdAt: { type: 'date', label: 'Created At' },
+      updatedAt: { type: 'date', label: 'Updated At' }
+    },
+    joins: {
+      supplier: { entity: 'supplier', localField: 'supplierId' },
+      component: { entity: 'component', localField: 'componentId' },
+      customer: { entity: 'customer', localField: 'customerId' }
+    },
+    defaultFields: ['inspectionNumber', 'inspectionType', 'status', 'result', 'scheduledDate', 'completionDate']
+  },
+
+  defect: {
+    model: 'Inspection',
+    label: 'Inspection Defects',
+    unwind: 'defects',
+    fields: {
+      defectType: { type: 'string', label: 'Defect Category', path: 'defects.defectType' },
+      severity: { type: 'string', label: 'Severity', path: 'defects.severity' },
+      quantity: { type: 'number', label: 'Quantity', path: 'defects.quantity' },
+      inspectionNumber: { type: 'string', label: 'Inspection Number' },
+      inspectionType: { type: 'string', label: 'Inspection Type' },
+      partNumber: { type: 'string', label: 'Part Number' },
+      completionDate: { type: 'date', label: 'Completion Date' },
+      supplierId: { type: 'id', label: 'Supplier ID' },
+      componentId: { type: 'id', label: 'Component ID' },
+      createdAt: { type: 'date', label: 'Created At' }
+    },
+    joins: {
+      supplier: { entity: 'supplier', localField: 'supplierId' },
+      component: { entity: 'component', localField: 'componentId' }
+    },
+    defaultFields: ['inspectionNumber', 'defectType', 'severity', 'quantity', 'completionDate']
+  },
+
+  supplier: {
+    model: 'Supplier',
+    label: 'Suppliers',
+    fields: {
+      name: { type: 'string', label: 'Name' },
+      code: { type: 'string', label: 'Code' },
+      type: { type: 'string', label: 'Type' },
+      category: { type: 'string', label: 'Category' },
+      status: { type: 'string', label: 'Status' },
+      city: { type: 'string', label: 'City', path: 'address.city' },
+      country: { type: 'string', label: 'Country', path: 'address.country' },
+      qualityRating: { type: 'number', label: 'Quality Rating' },
+      deliveryRating: { type: 'number', label: 'Delivery Rating' },
+      overallRating: { type: 'number', label: 'Overall Rating' },
+      primaryContactName: { type: 'string', label: 'Primary Contact Name', roles: CONTACT_ROLES },
+      primaryContactEmail: { type: 'string', label: 'Primary Contact Email', roles: CONTACT_ROLES },
+      primaryContactPhone: { type: 'string', label: 'Primary Contact Phone', roles: CONTACT_ROLES },
+      createdAt: { type: 'date', label: 'Created At' },
+      updatedAt: { type: 'date', label: 'Updated At' }
+    },
+    joins: {},
+    defaultFields: ['name', 'code', 'status', 'country', 'overallRating']
+  },
+
+  component: {
+    model: 'Component',
+    label: 'Components',
+    fields: {
+      name: { type: 'string', label: 'Name' },
+      partNumber: { type: 'string', label: 'Part Number' },
+      category: { type: 'string', label: 'Category' },
+      revision: { type: 'string', label: 'Revision' },
+      status: { type: 'string', label: 'Status' },
+      supplierId: { type: 'id', label: 'Supplier ID' },
+      customerId: { type: 'id', label: 'Customer ID' },
+      createdAt: { type: 'date', label: 'Created At' },
+      updatedAt: { type: 'date', label: 'Updated At' }
+    },
+    joins: {
+      supplier: { entity: 'supplier', localField: 'supplierId' },
+      customer: { entity: 'customer', localField: 'customerId' }
+    },
+    defaultFields: ['partNumber', 'name', 'revision', 'status']
+  },
+
+  customer: {
+    model: 'Customer',
+    label: 'Customers',
+    fields: {
+      name: { type: 'string', label: 'Name' },
+      code: { type: 'string', label: 'Code' },
+      industry: { type: 'string', label: 'Industry' },
+      status: { type: 'string', label: 'Status' },
+      serviceLevel: { type: 'string', label: 'Service Level' },
+      primaryContactName: { type: 'string', label: 'Primary Contact Name', roles: CONTACT_ROLES },
+      primaryContactEmail: { type: 'string', label: 'Primary Contact Email', roles: CONTACT_ROLES },
+      contractStartDate: { type: 'date', label: 'Contract Start Date' },
+      contractEndDate: { type: 'date', label: 'Contract End Date' },
+      createdAt: { type: 'date', label: 'Created At' },
+      updatedAt: { type: 'date', label: 'Updated At' }
+    },
+    joins: {},
+    defaultFields: ['name', 'code', 'industry', 'status']
+  }
+};
+
+module.exports = ENTITIES;
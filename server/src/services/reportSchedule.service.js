@@ -0,0 +1,560 @@
+/**
+ * Report Schedule Service
+ * Runs report templates on cron schedules over date ranges relative to each
+ * run, delivers the generated files by email or as stored documents, keeps
+ * a run history and retries failed runs, with a cap on how many reports
+ * are generated at once
+ */
+const fs = require('fs');
+const path = require('path');
+const ReportSchedule = require('../models/ReportSchedule');
+const ReportRun = require('../models/ReportRun');
+const ReportTemplate = require('../models/ReportTemplate');
+const Document = require('../models/document.model');
+const reportBuilderService = require('./reportBuilder.service');
+const reportQueryService = require('./reportQuery.service');
+const emailService = require('./email.service');
+const cronExpression = require('../utils/cronExpression');
+const dateFormat = require('../utils/dateFormat');
+const reportScheduleConfig = require('../config/reportSchedule.config');
+const { runWithTenant, runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Fields of a schedule that can be set through the API
+const SCHEDULE_FIELDS = ['name', 'template', 'cron', 'timezone', 'dateRange', 'filters', 'format', 'delivery', 'enabled'];
+
+/**
+ * Get the document service
+ * Required on demand: the service prepares its storage backend when loaded
+ * @returns {Object} Document service
+ */
+const getDocumentService = () => require('./document.service');
+
+/**
+ * Resolve a date range preset to the period it covers at a point in time
+ * @param {string} preset Date range preset, such as last-month
+ * @param {Date} [reference] Time the range is relative to
+ * @param {string} [timezone] Timezone whose calendar days, weeks and months are used
+ * @returns {Object|null} { preset, from, to } with to exclusive, or null without a preset
+ */
+exports.resolveDateRange = (preset, reference = new Date(), timezone = reportScheduleConfig.defaultTimezone) => {
+  if (!preset) {
+    return null;
+  }
+
+  const local = cronExpression.toZonedTime(reference, timezone);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth();
+  const startOfDay = Date.UTC(year, month, local.getUTCDate());
+  // Weeks start on Monday
+  const startOfWeek = startOfDay - ((local.getUTCDay() + 6) % 7) * DAY_MS;
+  const quarter = Math.floor(month / 3) * 3;
+
+  const ranges = {
+    today: [startOfDay, startOfDay + DAY_MS],
+    yesterday: [startOfDay - DAY_MS, startOfDay],
+    'last-7-days': [startOfDay - 7 * DAY_MS, startOfDay],
+    'last-30-days': [startOfDay - 30 * DAY_MS, startOfDay],
+    'this-week': [startOfWeek, startOfWeek + 7 * DAY_MS],
+    'last-week': [startOfWeek - 7 * DAY_MS, startOfWeek],
+    'this-month': [Date.UTC(year, month, 1), Date.UTC(year, month + 1, 1)],
+    'last-month': [Date.UTC(year, month - 1, 1), Date.UTC(year, month, 1)],
+    'this-quarter': [Date.UTC(year, quarter, 1), Date.UTC(year, quarter + 3, 1)],
+    'last-quarter': [Date.UTC(year, quarter - 3, 1), Date.UTC(year, quarter, 1)],
+    'this-year': [Date.UTC(year, 0, 1), Date.UTC(year + 1, 0, 1)],
+    'last-year': [Date.UTC(year - 1, 0, 1), Date.UTC(year, 0, 1)]
+  };
+
+  if (!ranges[preset]) {
+    throw new BadRequestError(`Unknown date range preset: ${preset}`);
+  }
+
+  const [from, to] = ranges[preset];
+  return {
+    preset,
+    from: cronExpression.fromZonedTime(new Date(from), timezone),
+    to: cronExpression.fromZonedTime(new Date(to), timezone)
+  };
+};
+
+/**
+ * Describe a period for email subjects and report descriptions
+ * @param {Object} period { from, to } with to exclusive
+ * @param {string} timezone Timezone the period was resolved in
+ * @returns {string} Period label, or an empty string without a period
+ */
+exports.formatPeriod = (period, timezone = reportScheduleConfig.defaultTimezone) => {
+  if (!period || !period.from || !period.to) {
+    return '';
+  }
+
+  const options = { showTime: false, timeZone: timezone };
+  const from = dateFormat(new Date(period.from), options);
+  const to = dateFormat(new Date(new Date(period.to).getTime() - 1), options);
+  return from === to ? from : `${from} - ${to}`;
+};
+
+/**
+ * Build the report configuration for a run of a template, with the
+ * schedule's filters and period applied to every section's data source
+ * and the section data loaded
+ * @param {Object} template Report template
+ * @param {Object} options { filters, period, dateField, roles, author }
+ * @returns {Promise<Object>} Report configuration
+ */
+exports.buildReportConfig = async (template, { filters, period, dateField = 'createdAt', roles = [], author } = {}) => {
+  const reportConfig = typeof template.toObject === 'function' ? template.toObject() : JSON.parse(JSON.stringify(template));
+  reportConfig.author = author || 'AeroSuite Report Scheduler';
+
+  if (filters) {
+    reportConfig.filters = { ...reportConfig.filters, ...filters };
+  }
+
+  for (const section of reportConfig.sections || []) {
+    if (!section.dataSource || !(section.dataSource.model || section.dataSource.reportQuery)) {
+      continue;
+    }
+
+    try {
+      reportQueryService.applyFilter(section.dataSource, {
+        ...filters,
+        ...(period ? { [dateField]: { $gte: period.from, $lt: period.to } } : {})
+      });
+      section.data = await reportBuilderService.executeDataQuery(section.dataSource, { roles, columns: section.columns });
+    } catch (error) {
+      logger.warn(`Error fetching data for section ${section.title}: ${error.message}`);
+      section.data = [];
+      section.error = `Error fetching data: ${error.message}`;
+    }
+  }
+
+  return reportConfig;
+};
+
+/**
+ * Store a generated report as a document
+ * @param {Object} schedule Report schedule
+ * @param {Object} run Report run
+ * @param {string} filePath Generated file
+ * @returns {Promise<Object>} Document record
+ */
+exports.storeReportDocument = async (schedule, run, filePath) => {
+  const stored = await getDocumentService().storeDocument(filePath, {
+    title: schedule.name,
+    category: 'report',
+    uploadedBy: schedule.createdBy
+  });
+
+  const document = new Document({
+    documentId: stored.id,
+    originalFilename: stored.originalFilename,
+    title: schedule.name,
+    description: this.formatPeriod(run.period, schedule.timezone) || undefined,
+    mimeType: stored.mimeType,
+    size: stored.size,
+    storageType: stored.storageType,
+    storagePath: stored.storagePath,
+    category: 'report',
+    tags: ['scheduled-report'],
+    type: run.format === 'excel' ? 'spreadsheet' : 'pdf',
+    access: {
+      isPublic: false,
+      allowedRoles: schedule.delivery.allowedRoles
+    },
+    uploadedBy: schedule.createdBy,
+    metadata: {
+      reportScheduleId: String(schedule._id),
+      reportRunId: String(run._id),
+      periodFrom: run.period && run.period.from,
+      periodTo: run.period && run.period.to
+    }
+  });
+
+  return document.save();
+};
+
+/**
+ * Remove a generated report file once its run is over
+ * @param {string} filePath Generated file
+ * @returns {Promise<void>}
+ */
+const removeGeneratedFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not remove generated report ${filePath}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Generate a schedule's report and deliver it, recording the outcome in
+ * the run history. A failed attempt is scheduled for retry with
+ * exponential backoff until the attempts run out. The generated file is
+ * removed afterwards: a delivered report lives on in the email or the
+ * document store, and a retry generates it again.
+ * @param {Object} schedule Report schedule
+ * @param {Object} [options] { trigger, scheduledFor, period, attempt, retryOf, userId }
+ * @returns {Promise<Object>} Finished report run
+ */
+const generateRun = async (schedule, {
+  trigger = 'scheduled',
+  scheduledFor = new Date(),
+  period,
+  attempt = 1,
+  retryOf,
+  userId
+} = {}) => {
+  const runPeriod = period !== undefined
+    ? period
+    : this.resolveDateRange(schedule.dateRange && schedule.dateRange.preset, scheduledFor, schedule.timezone);
+
+  const run = await ReportRun.create({
+    schedule: schedule._id,
+    template: schedule.template,
+    trigger,
+    attempt,
+    retryOf,
+    scheduledFor,
+    period: runPeriod || undefined,
+    format: schedule.format,
+    delivery: {
+      method: schedule.delivery.method,
+      recipients: schedule.delivery.recipients
+    },
+    startedBy: userId
+  });
+
+  try {
+    const template = await ReportTemplate.findById(schedule.template);
+    if (!template) {
+      throw new NotFoundError(`Report template not found with id ${schedule.template}`);
+    }
+
+    const reportConfig = await this.buildReportConfig(template, {
+      filters: schedule.filters,
+      period: runPeriod,
+      dateField: schedule.dateRange && schedule.dateRange.field,
+      roles: schedule.roles
+    });
+    const periodLabel = this.formatPeriod(runPeriod, schedule.timezone);
+    if (periodLabel) {
+      reportConfig.description = [reportConfig.description, periodLabel].filter(Boolean).join(' - ');
+    }
+
+    const filePath = schedule.format === 'excel'
+      ? await reportBuilderService.generateExcelReport(reportConfig)
+      : await reportBuilderService.generateCustomReport(reportConfig, { roles: schedule.roles });
+    run.filePath = filePath;
+
+    if (schedule.delivery.method === 'document') {
+      const document = await this.storeReportDocument(schedule, run, filePath);
+      run.delivery.documentId = document.documentId;
+    } else {
+      await emailService.sendScheduledReport(schedule.delivery.recipients, schedule.name, periodLabel, {
+        filename: path.basename(filePath),
+        path: filePath,
+        contentType: MIME_TYPES[schedule.format]
+      });
+    }
+
+    run.delivery.deliveredAt = new Date();
+    run.status = 'succeeded';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    if (attempt < reportScheduleConfig.retry.maxAttempts) {
+      run.retryAt = new Date(Date.now() + reportScheduleConfig.retry.delayMinutes * 60 * 1000 * 2 ** (attempt - 1));
+    }
+    logger.warn(`Report schedule ${schedule.name} attempt ${attempt} failed: ${error.message}`);
+  }
+
+  if (run.filePath) {
+    await removeGeneratedFile(run.filePath);
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  await ReportSchedule.updateOne(
+    { _id: schedule._id },
+    { $set: { lastRunAt: run.startedAt, lastRunStatus: run.status } }
+  );
+
+  return run;
+};
+
+/**
+ * Run a schedule's report within the tenant of the schedule's creator,
+ * whoever triggers it
+ * @param {Object} schedule Report schedule
+ * @param {Object} [options] { trigger, scheduledFor, period, attempt, retryOf, userId }
+ * @returns {Promise<Object>} Finished report run
+ */
+exports.executeRun = (schedule, options) =>
+  runWithTenant(schedule.tenantId, () => generateRun(schedule, options));
+
+/**
+ * Fail runs that have been running for longer than the run timeout, so
+ * they are retried and stop counting against the concurrency cap
+ * @param {Date} [now] Current time
+ * @returns {Promise<number>} Number of runs timed out
+ */
+exports.expireStaleRuns = async (now = new Date()) => {
+  const stale = await ReportRun.find({
+    status: 'running',
+    startedAt: { $lt: new Date(now.getTime() - reportScheduleConfig.runTimeoutMinutes * 60 * 1000) }
+  });
+
+  for (const run of stale) {
+    run.status = 'failed';
+    run.error = `Timed out after ${reportScheduleConfig.runTimeoutMinutes} minutes`;
+    run.finishedAt = now;
+    if (run.attempt < reportScheduleConfig.retry.maxAttempts) {
+      run.retryAt = now;
+    }
+    await run.save();
+  }
+
+  return stale.length;
+};
+
+/**
+ * Get the number of report generations that can start without exceeding
+ * the concurrency cap
+ * @returns {Promise<number>} Free generation slots
+ */
+exports.getAvailableSlots = async () => {
+  // The cap covers the generations of every tenant
+  const running = await runAsSystem(() => ReportRun.countDocuments({ status: 'running' }));
+  return Math.max(reportScheduleConfig.maxConcurrent - running, 0);
+};
+
+/**
+ * Start due retries and due schedules, up to the concurrency cap. Retries
+ * go first; anything left over stays due for the next pass. A schedule or
+ * retry is claimed atomically, so overlapping workers never run it twice.
+ * @param {Object} [options] { now }
+ * @returns {Promise<Object>} { started, succeeded, failed, deferred }
+ */
+exports.runDueSchedules = async ({ now = new Date() } = {}) => {
+  await this.expireStaleRuns(now);
+
+  const retries = await ReportRun.find({ status: 'failed', retryAt: { $lte: now } }).sort({ retryAt: 1 });
+  const schedules = await ReportSchedule.find({ enabled: true, nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+  let slots = await this.getAvailableSlots();
+
+  const jobs = [];
+  let givenUp = 0;
+  for (const failedRun of retries) {
+    if (slots === 0) break;
+
+    const claimed = await ReportRun.findOneAndUpdate(
+      { _id: failedRun._id, status: 'failed', retryAt: failedRun.retryAt },
+      { $unset: { retryAt: 1 } },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    // A retry of a schedule disabled or deleted since is given up, saying why
+    const schedule = await ReportSchedule.findById(claimed.schedule);
+    if (!schedule || !schedule.enabled) {
+      await ReportRun.updateOne(
+        { _id: claimed._id },
+        { $set: { error: `${claimed.error} (not retried: the schedule was ${schedule ? 'disabled' : 'deleted'})` } }
+      );
+      givenUp += 1;
+      continue;
+    }
+
+    slots -= 1;
+    jobs.push(() => this.executeRun(schedule, {
+      trigger: 'retry',
+      scheduledFor: claimed.scheduledFor,
+      period: claimed.period && claimed.period.from
+        ? { preset: claimed.period.preset, from: claimed.period.from, to: claimed.period.to }
+        : null,
+      attempt: claimed.attempt + 1,
+      retryOf: claimed._id
+    }));
+  }
+
+  for (const due of schedules) {
+    if (slots === 0) break;
+
+    // Occurrences missed while the worker was down collapse into this one run
+    const schedule = await ReportSchedule.findOneAndUpdate(
+      { _id: due._id, enabled: true, nextRunAt: due.nextRunAt },
+      { $set: { nextRunAt: cronExpression.nextRun(due.cron, now, due.timezone) } },
+      { new: true }
+    );
+    if (!schedule) continue;
+
+    slots -= 1;
+    jobs.push(() => this.executeRun(schedule, { trigger: 'scheduled', scheduledFor: due.nextRunAt }));
+  }
+
+  const runs = await Promise.all(jobs.map(job => job()));
+
+  return {
+    started: runs.length,
+    succeeded: runs.filter(run => run.status === 'succeeded').length,
+    failed: runs.filter(run => run.status === 'failed').length,
+    deferred: retries.length + schedules.length - runs.length - givenUp
+  };
+};
+
+/**
+ * Pick the settable fields of a schedule from request data
+ * @param {Object} data Request data
+ * @returns {Object} Schedule fields
+ */
+const pickScheduleFields = (data = {}) => SCHEDULE_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) {
+    fields[field] = data[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Check a schedule's cron expression, timezone and template
+ * @param {Object} fields Schedule fields
+ */
+const validateSchedule = async (fields) => {
+  try {
+    cronExpression.parse(fields.cron);
+  } catch (error) {
+    throw new BadRequestError(`Invalid cron expression: ${error.message}`);
+  }
+  if (!cronExpression.isValidTimezone(fields.timezone)) {
+    throw new BadRequestError(`Invalid timezone: ${fields.timezone}`);
+  }
+  if (!await ReportTemplate.findById(fields.template)) {
+    throw new NotFoundError(`Report template not found with id ${fields.template}`);
+  }
+};
+
+/**
+ * Create a report schedule
+ * @param {Object} data Schedule data
+ * @param {string} userId User creating the schedule
+ * @param {string[]} [roles] Roles of that user, which the report's data is read with
+ * @returns {Promise<Object>} Created schedule
+ */
+exports.createSchedule = async (data, userId, roles = []) => {
+  const fields = {
+    timezone: reportScheduleConfig.defaultTimezone,
+    ...pickScheduleFields(data)
+  };
+  await validateSchedule(fields);
+
+  const schedule = await ReportSchedule.create({
+    ...fields,
+    nextRunAt: fields.enabled === false ? undefined : cronExpression.nextRun(fields.cron, new Date(), fields.timezone),
+    createdBy: userId,
+    roles
+  });
+
+  logger.info(`Report schedule ${schedule.name} created, next run at ${schedule.nextRunAt}`);
+  return schedule;
+};
+
+/**
+ * Get a report schedule
+ * @param {string} id Schedule ID
+ * @returns {Promise<Object>} Schedule
+ */
+exports.getSchedule = async (id) => {
+  const schedule = await ReportSchedule.findById(id);
+  if (!schedule) {
+    throw new NotFoundError(`Report schedule not found with id ${id}`);
+  }
+  return schedule;
+};
+
+/**
+ * List report schedules
+ * @param {Object} [filter] { template, enabled }
+ * @returns {Promise<Array>} Schedules
+ */
+exports.getSchedules = async (filter = {}) => {
+  const query = {};
+  if (filter.template) {
+    query.template = filter.template;
+  }
+  if (filter.enabled !== undefined) {
+    query.enabled = String(filter.enabled) === 'true';
+  }
+
+  return ReportSchedule.find(query).sort({ nextRunAt: 1 });
+};
+
+/**
+ * Update a report schedule, recalculating its next run
+ * @param {string} id Schedule ID
+ * @param {Object} data Fields to update
+ * @returns {Promise<Object>} Updated schedule
+ */
+exports.updateSchedule = async (id, data) => {
+  const schedule = await this.getSchedule(id);
+  schedule.set(pickScheduleFields(data));
+  await validateSchedule(schedule);
+
+  schedule.nextRunAt = schedule.enabled
+    ? cronExpression.nextRun(schedule.cron, new Date(), schedule.timezone)
+    : undefined;
+  await schedule.save();
+
+  return schedule;
+};
+
+/**
+ * Delete a report schedule; its run history is kept
+ * @param {string} id Schedule ID
+ * @returns {Promise<Object>} Deleted schedule
+ */
+exports.deleteSchedule = async (id) => {
+  const schedule = await this.getSchedule(id);
+  await ReportSchedule.deleteOne({ _id: schedule._id });
+  return schedule;
+};
+
+/**
+ * Run a schedule now, outside its cron expression
+ * @param {string} id Schedule ID
+ * @param {string} [userId] User starting the run
+ * @returns {Promise<Object>} Finished report run
+ */
+exports.runScheduleNow = async (id, userId) => {
+  const schedule = await this.getSchedule(id);
+
+  if (await this.getAvailableSlots() === 0) {
+    throw new ConflictError('The maximum number of reports are already being generated, try again shortly');
+  }
+
+  return this.executeRun(schedule, { trigger: 'manual', scheduledFor: new Date(), userId });
+};
+
+/**
+ * Get the run history of a schedule, newest first
+ * @param {string} id Schedule ID
+ * @param {Object} [options] { status, limit }
+ * @returns {Promise<Array>} Report runs
+ */
+exports.getRuns = async (id, { status, limit = 50 } = {}) => {
+  const query = { schedule: id };
+  if (status) {
+    query.status = status;
+  }
+
+  return ReportRun.find(query).sort({ startedAt: -1 }).limit(Math.min(Number(limit) || 50, 500));
+};
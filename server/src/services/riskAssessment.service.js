@@ -4,23 +4,36 @@
  */
 const RiskAssessment = require('../models/RiskAssessment');
 const Supplier = require('../models/supplier.model');
+const QualityManagement = require('../models/QualityManagement');
+const SupplierScorecard = require('../models/SupplierScorecard');
+const { RISK_SCORERS } = require('./riskFactorScorers');
+const logger = require('../utils/logger');
 const { NotFoundError, BadRequestError } = require('../utils/errors');
 
-// Default risk factors for new assessments
+const MAX_SCORE_HISTORY = 100;
+
+// Re-scores for one supplier are chained so bursts of QMS saves don't race
+// on the same assessment
+const rescoreQueues = new Map();
+
+// Default risk factors for new assessments; factors with a scoring method
+// are scored from live data, the rest keep the assessor's score
 const DEFAULT_RISK_FACTORS = [
   {
     name: 'On-time Delivery',
     description: 'Evaluate the supplier\'s ability to deliver products or services according to agreed schedules',
     weight: 0.15,
     score: 3,
-    category: 'operational'
+    category: 'operational',
+    scoringMethod: 'on-time-delivery'
   },
   {
     name: 'Quality Consistency',
     description: 'Evaluate the supplier\'s ability to consistently meet quality standards',
     weight: 0.20,
     score: 3,
-    category: 'operational'
+    category: 'operational',
+    scoringMethod: 'qms-defect-rate'
   },
   {
     name: 'Financial Stability',
@@ -34,7 +47,8 @@ const DEFAULT_RISK_FACTORS = [
     description: 'Evaluate the supplier\'s compliance with relevant regulations and standards',
     weight: 0.10,
     score: 3,
-    category: 'compliance'
+    category: 'compliance',
+    scoringMethod: 'regulatory-compliance'
   },
   {
     name: 'Geographic Risk',
@@ -62,10 +76,122 @@ const DEFAULT_RISK_FACTORS = [
     description: 'Evaluate the supplier\'s communication effectiveness and responsiveness to issues',
     weight: 0.10,
     score: 3,
-    category: 'operational'
+    category: 'operational',
+    scoringMethod: 'correction-response-time'
   }
 ];
 
+const toPlainFactor = (factor) => (typeof factor.toObject === 'function' ? factor.toObject() : { ...factor });
+
+/**
+ * Load the data risk factor scorers read for a supplier
+ * @param {string} supplierId Supplier ID
+ * @param {Object} [preloaded] Records already loaded by the caller
+ * @param {Object} [preloaded.supplier] Supplier
+ * @returns {Promise<Object>} Scoring context
+ */
+exports.loadScoringContext = async (supplierId, preloaded = {}) => {
+  const [supplier, qms, scorecard] = await Promise.all([
+    preloaded.supplier || Supplier.findById(supplierId),
+    QualityManagement.findOne({ supplierId }),
+    SupplierScorecard.findOne({ supplierId }).sort({ period: -1 })
+  ]);
+
+  return { supplier, qms, scorecard, now: new Date() };
+};
+
+/**
+ * Score the factors bound to a data-driven scoring method.
+ * Manual factors are returned unchanged; bound factors without data keep
+ * their current score and note why they could not be scored.
+ * @param {Array} factors Risk factors
+ * @param {Object} context Scoring context from loadScoringContext
+ * @returns {Array} Scored factors
+ */
+exports.scoreFactors = (factors, context) => factors.map(factor => {
+  const plain = toPlainFactor(factor);
+  const method = plain.scoringMethod || 'manual';
+  if (method === 'manual') {
+    return plain;
+  }
+
+  const scorer = RISK_SCORERS[method];
+  if (!scorer) {
+    throw new BadRequestError(`Unknown scoring method ${method} for risk factor ${plain.name}`);
+  }
+
+  const result = scorer.score(context);
+  if (result.score === null) {
+    return { ...plain, inputs: [], scoringNote: result.note, scoredAt: context.now };
+  }
+
+  return { ...plain, score: result.score, inputs: result.inputs, scoringNote: undefined, scoredAt: context.now };
+});
+
+/**
+ * Diff factor scores, matching factors by name
+ * @param {Array} before Factors before the change
+ * @param {Array} after Factors after the change
+ * @returns {Array} Changed factors ({ factor, scoringMethod, from, to, inputs })
+ */
+exports.diffFactors = (before, after) => {
+  const previous = new Map(before.map(factor => [factor.name, factor]));
+  const changes = [];
+
+  after.forEach(factor => {
+    const old = previous.get(factor.name);
+    previous.delete(factor.name);
+
+    if (!old || old.score !== factor.score) {
+      changes.push({
+        factor: factor.name,
+        scoringMethod: factor.scoringMethod || 'manual',
+        from: old ? old.score : null,
+        to: factor.score,
+        inputs: factor.inputs || []
+      });
+    }
+  });
+
+  previous.forEach(old => {
+    changes.push({
+      factor: old.name,
+      scoringMethod: old.scoringMethod || 'manual',
+      from: old.score,
+      to: null,
+      inputs: []
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Append a score change to an assessment's history
+ * @param {Object} assessment Risk assessment (factors already updated)
+ * @param {Object} change Change details
+ * @param {string} change.trigger What caused the change
+ * @param {string} [change.changedBy] User making the change
+ * @param {Array} change.changes Factor changes from diffFactors
+ * @param {Object} change.previous Overall score and risk level before the change
+ */
+exports.recordScoreChange = (assessment, { trigger, changedBy, changes, previous = {} }) => {
+  const result = RiskAssessment.calculateOverallScore(assessment.factors) || {};
+
+  assessment.scoreHistory.push({
+    changedAt: new Date(),
+    trigger,
+    changedBy,
+    overallScore: { from: previous.overallScore ?? null, to: result.overallScore ?? null },
+    riskLevel: { from: previous.riskLevel ?? null, to: result.riskLevel ?? null },
+    changes
+  });
+
+  if (assessment.scoreHistory.length > MAX_SCORE_HISTORY) {
+    assessment.scoreHistory = assessment.scoreHistory.slice(-MAX_SCORE_HISTORY);
+  }
+};
+
 /**
  * Create a new risk assessment
  * @param {Object} assessmentData Risk assessment data
@@ -79,12 +205,25 @@ exports.createRiskAssessment = async (assessmentData) => {
   }
 
   // If no factors provided, use defaults
-  if (!assessmentData.factors || assessmentData.factors.length === 0) {
-    assessmentData.factors = DEFAULT_RISK_FACTORS;
-  }
+  const factors = assessmentData.factors && assessmentData.factors.length > 0
+    ? assessmentData.factors
+    : DEFAULT_RISK_FACTORS;
+
+  const context = await this.loadScoringContext(supplier._id, { supplier });
+  const scoredFactors = this.scoreFactors(factors, context);
   
   // Create assessment
-  const assessment = new RiskAssessment(assessmentData);
+  const assessment = new RiskAssessment({
+    ...assessmentData,
+    ...RiskAssessment.calculateOverallScore(scoredFactors),
+    factors: scoredFactors,
+    scoreHistory: []
+  });
+  this.recordScoreChange(assessment, {
+    trigger: 'created',
+    changedBy: assessmentData.assessedBy,
+    changes: this.diffFactors([], scoredFactors)
+  });
   await assessment.save();
   
   return assessment;
@@ -107,23 +246,143 @@ exports.getRiskAssessmentById = async (id) => {
  * Update a risk assessment
  * @param {string} id Risk assessment ID
  * @param {Object} updateData Updated risk assessment data
+ * @param {string} [userId] User making the update
  * @returns {Promise<Object>} Updated risk assessment
  */
-exports.updateRiskAssessment = async (id, updateData) => {
+exports.updateRiskAssessment = async (id, updateData, userId) => {
   const assessment = await RiskAssessment.findById(id);
   if (!assessment) {
     throw new NotFoundError(`Risk assessment not found with id ${id}`);
   }
+
+  const { factors, ...fields } = updateData;
+  // Score history is only written by scoring changes
+  delete fields.scoreHistory;
   
   // Update assessment
-  Object.keys(updateData).forEach(key => {
-    assessment[key] = updateData[key];
+  Object.keys(fields).forEach(key => {
+    assessment[key] = fields[key];
   });
+
+  if (factors) {
+    const previous = { overallScore: assessment.overallScore, riskLevel: assessment.riskLevel };
+    const before = assessment.factors.map(toPlainFactor);
+    const context = await this.loadScoringContext(assessment.supplierId);
+    const after = this.scoreFactors(factors, context);
+    const changes = this.diffFactors(before, after);
+
+    assessment.factors = after;
+    if (changes.length > 0) {
+      this.recordScoreChange(assessment, { trigger: 'manual', changedBy: userId, changes, previous });
+    }
+  }
   
   await assessment.save();
   return assessment;
 };
 
+/**
+ * Re-score an assessment's data-driven factors from current data.
+ * Provenance is refreshed on every re-score; history only records score changes.
+ * @param {string} id Risk assessment ID
+ * @param {Object} [options] Options
+ * @param {string} [options.trigger] What caused the re-score
+ * @param {string} [options.userId] User requesting the re-score
+ * @returns {Promise<Object>} Re-scored assessment and the factor changes
+ */
+exports.rescoreRiskAssessment = async (id, { trigger = 'rescore', userId } = {}) => {
+  const assessment = await RiskAssessment.findById(id);
+  if (!assessment) {
+    throw new NotFoundError(`Risk assessment not found with id ${id}`);
+  }
+
+  if (assessment.status === 'archived') {
+    throw new BadRequestError('Archived risk assessments cannot be re-scored');
+  }
+
+  const previous = { overallScore: assessment.overallScore, riskLevel: assessment.riskLevel };
+  const before = assessment.factors.map(toPlainFactor);
+  const context = await this.loadScoringContext(assessment.supplierId);
+  const after = this.scoreFactors(before, context);
+  const changes = this.diffFactors(before, after);
+
+  assessment.factors = after;
+  if (changes.length > 0) {
+    this.recordScoreChange(assessment, { trigger, changedBy: userId, changes, previous });
+  }
+
+  await assessment.save();
+  return { assessment, changes };
+};
+
+/**
+ * Re-score a supplier's current assessment after its underlying data changed.
+ * Only the latest non-archived assessment with data-driven factors is re-scored;
+ * earlier assessments stay as they were assessed.
+ * @param {string} supplierId Supplier ID
+ * @param {string} trigger What changed ('quality-management' or 'supplier')
+ * @returns {Promise<Object|null>} Re-score result, or null if there is nothing to re-score
+ */
+exports.rescoreSupplierAssessments = async (supplierId, trigger) => {
+  const assessment = await RiskAssessment.findOne({
+    supplierId,
+    status: { $ne: 'archived' },
+    factors: { $elemMatch: { scoringMethod: { $nin: [null, 'manual'] } } }
+  }).sort({ assessmentDate: -1 });
+
+  if (!assessment) {
+    return null;
+  }
+
+  return this.rescoreRiskAssessment(assessment._id, { trigger });
+};
+
+/**
+ * Queue a re-score of a supplier's current assessment. Called from model save
+ * hooks, so failures are logged rather than thrown.
+ * @param {string} supplierId Supplier ID
+ * @param {string} trigger What changed
+ * @returns {Promise<void>} Resolves when the queued re-score has finished
+ */
+exports.scheduleRescore = (supplierId, trigger) => {
+  const key = supplierId.toString();
+  const rescore = () => this.rescoreSupplierAssessments(supplierId, trigger)
+    .catch(error => {
+      logger.error(`Failed to re-score risk assessment for supplier ${key}: ${error.message}`);
+    });
+
+  const previous = rescoreQueues.get(key) || Promise.resolve();
+  const current = previous.then(rescore);
+  rescoreQueues.set(key, current);
+
+  return current.then(() => {
+    if (rescoreQueues.get(key) === current) {
+      rescoreQueues.delete(key);
+    }
+  });
+};
+
+/**
+ * Get the score change history of an assessment, newest first
+ * @param {string} id Risk assessment ID
+ * @returns {Promise<Object>} Current score and its history
+ */
+exports.getScoreHistory = async (id) => {
+  const assessment = await RiskAssessment.findById(id).select('supplierId overallScore riskLevel factors scoreHistory');
+  if (!assessment) {
+    throw new NotFoundError(`Risk assessment not found with id ${id}`);
+  }
+
+  return {
+    assessmentId: assessment._id,
+    supplierId: assessment.supplierId,
+    overallScore: assessment.overallScore,
+    riskLevel: assessment.riskLevel,
+    factors: assessment.factors,
+    history: [...assessment.scoreHistory].reverse()
+  };
+};
+
 /**
  * Delete a risk assessment
  * @param {string} id Risk assessment ID
@@ -0,0 +1,175 @@
+/**
+ * Risk Factor Scorers
+ * Data-driven scoring functions risk assessment factors can be bound to.
+ *
+ * Each scorer takes the supplier's scoring context and returns a score from
+ * 1 (high risk) to 5 (low risk) with the inputs it was computed from, or a
+ * null score with a note when the data it needs has not been recorded.
+ */
+
+/**
+ * Score a value against bands ordered from best to worst
+ * @param {number} value Value to score
+ * @param {Array} bands Bands ({ score, max } or { score, min })
+ * @returns {number} Score of the first matching band, or 1
+ */
+const scoreFromBands = (value, bands) => {
+  const band = bands.find(candidate =>
+    (candidate.max !== undefined && value <= candidate.max) ||
+    (candidate.min !== undefined && value >= candidate.min)
+  );
+  return band ? band.score : 1;
+};
+
+const lastHistoryDate = (metric) => {
+  const history = metric?.history || [];
+  return history.length > 0 ? history[history.length - 1].date : null;
+};
+
+const qmsInput = (qms, field, value, observedAt) => ({
+  source: 'QualityManagement',
+  recordId: qms._id?.toString(),
+  field,
+  value,
+  observedAt: observedAt || qms.updatedAt
+});
+
+const isExpired = (record, now) =>
+  ['expired', 'revoked'].includes(record.status) || Boolean(record.expiryDate && new Date(record.expiryDate) < now);
+
+const RISK_SCORERS = {
+  'qms-defect-rate': {
+    description: 'Current QMS defect rate (%)',
+    bands: [
+      { max: 0.5, score: 5 },
+      { max: 1, score: 4 },
+      { max: 2, score: 3 },
+      { max: 5, score: 2 }
+    ],
+    score({ qms }) {
+      const defectRate = qms?.qualityMetrics?.defectRate;
+      if (defectRate?.current === undefined || defectRate?.current === null) {
+        return { score: null, inputs: [], note: 'No defect rate recorded in the QMS' };
+      }
+
+      return {
+        score: scoreFromBands(defectRate.current, this.bands),
+        inputs: [
+          qmsInput(qms, 'qualityMetrics.defectRate.current', defectRate.current, lastHistoryDate(defectRate)),
+          qmsInput(qms, 'qualityMetrics.defectRate.target', defectRate.target)
+        ]
+      };
+    }
+  },
+
+  'on-time-delivery': {
+    description: 'On-time delivery (%) from the latest supplier scorecard, else the QMS metric',
+    bands: [
+      { min: 98, score: 5 },
+      { min: 95, score: 4 },
+      { min: 90, score: 3 },
+      { min: 80, score: 2 }
+    ],
+    score({ qms, scorecard }) {
+      const scorecardRate = scorecard?.kpis?.delivery?.onTimeDeliveryRate;
+      if (scorecardRate !== undefined && scorecardRate !== null) {
+        return {
+          score: scoreFromBands(scorecardRate, this.bands),
+          inputs: [{
+            source: 'SupplierScorecard',
+            recordId: scorecard._id?.toString(),
+            field: `kpis.delivery.onTimeDeliveryRate (${scorecard.period})`,
+            value: scorecardRate,
+            observedAt: scorecard.generatedAt
+          }]
+        };
+      }
+
+      const onTimeDelivery = qms?.qualityMetrics?.onTimeDelivery;
+      if (onTimeDelivery?.current === undefined || onTimeDelivery?.current === null) {
+        return { score: null, inputs: [], note: 'No on-time delivery recorded in a scorecard or the QMS' };
+      }
+
+      return {
+        score: scoreFromBands(onTimeDelivery.current, this.bands),
+        inputs: [
+          qmsInput(qms, 'qualityMetrics.onTimeDelivery.current', onTimeDelivery.current, lastHistoryDate(onTimeDelivery))
+        ]
+      };
+    }
+  },
+
+  'regulatory-compliance': {
+    description: 'QMS certification status, less one point per expired qualification or certification',
+    certificationScores: {
+      active: 5,
+      pending: 3,
+      'not-applicable': 3,
+      suspended: 2,
+      expired: 1
+    },
+    score({ qms, supplier, now }) {
+      const inputs = [];
+      let score = this.certificationScores['not-applicable'];
+
+      if (qms) {
+        const certification = qms.qmsCertification || {};
+        let status = certification.status || 'not-applicable';
+        // Certifications are not always marked expired when their date passes
+        if (status === 'active' && certification.expiryDate && new Date(certification.expiryDate) < now) {
+          status = 'expired';
+        }
+
+        score = this.certificationScores[status];
+        inputs.push(qmsInput(qms, 'qmsCertification.status', status, certification.expiryDate));
+      }
+
+      const expired = [
+        ...(supplier?.qualifications || []).filter(q => isExpired(q, now)).map(q => ({ field: 'qualifications', name: q.type, record: q })),
+        ...(supplier?.certifications || []).filter(c => isExpired(c, now)).map(c => ({ field: 'certifications', name: c.name, record: c }))
+      ];
+
+      expired.forEach(({ field, name, record }) => {
+        inputs.push({
+          source: 'Supplier',
+          recordId: supplier._id?.toString(),
+          field: `${field}.${name}`,
+          value: record.status || 'expired',
+          observedAt: record.expiryDate
+        });
+      });
+
+      return { score: Math.max(1, score - expired.length), inputs };
+    }
+  },
+
+  'correction-response-time': {
+    description: 'QMS correction response time relative to its target',
+    bands: [
+      { max: 1, score: 5 },
+      { max: 1.5, score: 4 },
+      { max: 2, score: 3 },
+      { max: 3, score: 2 }
+    ],
+    score({ qms }) {
+      const responseTime = qms?.qualityMetrics?.correctionResponseTime;
+      if (responseTime?.current === undefined || responseTime?.current === null) {
+        return { score: null, inputs: [], note: 'No correction response time recorded in the QMS' };
+      }
+
+      const target = responseTime.target || 5;
+      return {
+        score: scoreFromBands(responseTime.current / target, this.bands),
+        inputs: [
+          qmsInput(qms, 'qualityMetrics.correctionResponseTime.current', responseTime.current, lastHistoryDate(responseTime)),
+          qmsInput(qms, 'qualityMetrics.correctionResponseTime.target', target)
+        ]
+      };
+    }
+  }
+};
+
+module.exports = {
+  RISK_SCORERS,
+  scoreFromBands
+};
@@ -3,10 +3,30 @@
  * Provides business logic for supplier audits
  */
 const SupplierAudit = require('../models/SupplierAudit');
+const AuditChecklistTemplate = require('../models/AuditChecklistTemplate');
 const Supplier = require('../models/supplier.model');
-const { NotFoundError, BadRequestError } = require('../utils/errors');
+const qualityManagementService = require('./qualityManagement.service');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError, ConflictError } = require('../utils/errors');
 
-// Default checklist template categories with sample questions
+const DEFAULT_TEMPLATE_NAME = 'standard';
+
+// Audit finding types raised as QMS non-conformances, with their NC severity
+const FINDING_NC_SEVERITIES = {
+  'minor-nc': 'minor',
+  'major-nc': 'major',
+  'critical-nc': 'critical'
+};
+
+// Checklist categories mapped onto QMS non-conformance categories
+const FINDING_NC_CATEGORIES = {
+  quality: 'system',
+  process: 'process',
+  documentation: 'documentation'
+};
+
+// Seed for version 1 of the 'standard' checklist template. Checklists are
+// edited as versioned AuditChecklistTemplate records, not here.
 const DEFAULT_CHECKLIST_TEMPLATES = {
   quality: [
     {
@@ -129,6 +149,149 @@ const DEFAULT_CHECKLIST_TEMPLATES = {
   ]
 };
 
+/**
+ * Create version 1 of the standard checklist template from the built-in
+ * questions if no standard template exists yet
+ * @returns {Promise<Object>} Active standard template
+ */
+exports.ensureDefaultChecklistTemplate = async () => {
+  const existing = await AuditChecklistTemplate.findOne({ name: DEFAULT_TEMPLATE_NAME, status: 'active' });
+  if (existing) {
+    return existing;
+  }
+
+  const versions = await AuditChecklistTemplate.countDocuments({ name: DEFAULT_TEMPLATE_NAME });
+  if (versions > 0) {
+    throw new NotFoundError(`No active version of checklist template ${DEFAULT_TEMPLATE_NAME}`);
+  }
+
+  try {
+    return await AuditChecklistTemplate.create({
+      name: DEFAULT_TEMPLATE_NAME,
+      version: 1,
+      title: 'Standard supplier audit',
+      status: 'active',
+      items: Object.values(DEFAULT_CHECKLIST_TEMPLATES).flat(),
+      changeNote: 'Initial version from the built-in checklist',
+      publishedAt: new Date()
+    });
+  } catch (error) {
+    // Another request seeded the template first
+    if (error.code === 11000) {
+      return AuditChecklistTemplate.findOne({ name: DEFAULT_TEMPLATE_NAME, version: 1 });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Get the active version of a checklist template
+ * @param {string} [name] Template name
+ * @returns {Promise<Object>} Active template
+ */
+exports.getActiveChecklistTemplate = async (name = DEFAULT_TEMPLATE_NAME) => {
+  const template = await AuditChecklistTemplate.findOne({ name, status: 'active' });
+  if (template) {
+    return template;
+  }
+
+  if (name === DEFAULT_TEMPLATE_NAME) {
+    return this.ensureDefaultChecklistTemplate();
+  }
+
+  throw new NotFoundError(`No active version of checklist template ${name}`);
+};
+
+/**
+ * Get checklist templates, newest version first
+ * @param {Object} [filters] Filters
+ * @param {string} [filters.name] Template name
+ * @param {string} [filters.status] Template status
+ * @returns {Promise<Array>} Checklist templates
+ */
+exports.getChecklistTemplates = async (filters = {}) => {
+  await this.ensureDefaultChecklistTemplate().catch(() => null);
+
+  const query = {};
+  if (filters.name) query.name = filters.name;
+  if (filters.status) query.status = filters.status;
+
+  return AuditChecklistTemplate.find(query).sort({ name: 1, version: -1 });
+};
+
+/**
+ * Get one version of a checklist template
+ * @param {string} name Template name
+ * @param {number} version Template version
+ * @returns {Promise<Object>} Checklist template
+ */
+exports.getChecklistTemplate = async (name, version) => {
+  const template = await AuditChecklistTemplate.findOne({ name, version });
+  if (!template) {
+    throw new NotFoundError(`Checklist template ${name} version ${version} not found`);
+  }
+  return template;
+};
+
+/**
+ * Create a new draft version of a checklist template. Items default to
+ * those of the latest version, so an edit only needs to send what changed.
+ * @param {string} name Template name
+ * @param {Object} templateData Template data (title, description, items, changeNote)
+ * @param {string} userId User creating the version
+ * @returns {Promise<Object>} Draft template version
+ */
+exports.createChecklistTemplateVersion = async (name, templateData, userId) => {
+  if (name === DEFAULT_TEMPLATE_NAME) {
+    await this.ensureDefaultChecklistTemplate().catch(() => null);
+  }
+
+  const latest = await AuditChecklistTemplate.findOne({ name }).sort({ version: -1 });
+  const items = templateData.items || (latest ? latest.items.map(item => item.toObject()) : []);
+
+  try {
+    return await AuditChecklistTemplate.create({
+      name,
+      version: latest ? latest.version + 1 : 1,
+      title: templateData.title || latest?.title,
+      description: templateData.description || latest?.description,
+      status: 'draft',
+      items,
+      changeNote: templateData.changeNote,
+      createdBy: userId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError(`Checklist template ${name} was changed concurrently; retry the edit`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Publish a checklist template version; new audits use it from now on and
+ * the previously active version is retired. Existing audits keep their checklist.
+ * @param {string} name Template name
+ * @param {number} version Template version
+ * @param {string} userId User publishing the version
+ * @returns {Promise<Object>} Published template
+ */
+exports.publishChecklistTemplate = async (name, version, userId) => {
+  const template = await this.getChecklistTemplate(name, version);
+  if (template.status === 'active') {
+    throw new BadRequestError(`Checklist template ${name} version ${version} is already active`);
+  }
+
+  await AuditChecklistTemplate.updateMany({ name, status: 'active' }, { status: 'retired' });
+
+  template.status = 'active';
+  template.publishedBy = userId;
+  template.publishedAt = new Date();
+  await template.save();
+
+  return template;
+};
+
 /**
  * Create a new supplier audit
  * @param {Object} auditData Audit data
@@ -143,19 +306,14 @@ exports.createAudit = async (auditData) => {
 
   // Generate audit number if not provided
   if (!auditData.auditNumber) {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    const count = await SupplierAudit.countDocuments({}) + 1;
-    auditData.auditNumber = `AUD-${year}${month}-${count.toString().padStart(4, '0')}`;
+    auditData.auditNumber = await this.generateAuditNumber();
   }
 
-  // If no checklist provided, use default template
+  // If no checklist provided, use the active version of the requested template
   if (!auditData.checklist || auditData.checklist.length === 0) {
-    auditData.checklist = [];
-    Object.values(DEFAULT_CHECKLIST_TEMPLATES).forEach(categoryItems => {
-      auditData.checklist.push(...categoryItems);
-    });
+    const template = await this.getActiveChecklistTemplate(auditData.checklistTemplate?.name);
+    auditData.checklist = template.items.map(item => item.toObject());
+    auditData.checklistTemplate = { name: template.name, version: template.version };
   }
   
   // Create audit
@@ -165,6 +323,18 @@ exports.createAudit = async (auditData) => {
   return audit;
 };
 
+/**
+ * Generate the next audit number (AUD-YYMM-####)
+ * @returns {Promise<string>} Audit number
+ */
+exports.generateAuditNumber = async () => {
+  const date = new Date();
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const count = await SupplierAudit.countDocuments({}) + 1;
+  return `AUD-${year}${month}-${count.toString().padStart(4, '0')}`;
+};
+
 /**
  * Get an audit by ID
  * @param {string} id Audit ID
@@ -196,9 +366,75 @@ exports.updateAudit = async (id, updateData) => {
   });
   
   await audit.save();
+
+  // Findings of a completed audit are tracked as QMS non-conformances
+  if (audit.status === 'completed') {
+    await this.raiseFindingNonConformances(audit);
+  }
+
   return audit;
 };
 
+/**
+ * Raise a QMS non-conformance for each nonconformity finding of an audit
+ * that does not have one yet. Observations are not raised, and a finding
+ * whose NC was raised before the audit could be saved is linked to it
+ * rather than raised again.
+ * @param {Object|string} auditOrId Audit or audit ID
+ * @returns {Promise<Object>} Audit and the NC numbers raised
+ */
+exports.raiseFindingNonConformances = async (auditOrId) => {
+  const audit = typeof auditOrId === 'object' && auditOrId.checklist
+    ? auditOrId
+    : await SupplierAudit.findById(auditOrId);
+  if (!audit) {
+    throw new NotFoundError(`Audit not found with id ${auditOrId}`);
+  }
+
+  const raised = [];
+  let linked = 0;
+  let qms = null;
+
+  for (const item of audit.checklist) {
+    for (const finding of item.findings || []) {
+      const severity = FINDING_NC_SEVERITIES[finding.type];
+      if (!severity || finding.ncNumber) {
+        continue;
+      }
+
+      const sourceReference = `${audit.auditNumber}:${finding._id}`;
+      qms = qms || await qualityManagementService.getSupplierQMS(audit.supplierId);
+      const existing = qms.nonConformances.find(nc => nc.sourceReference === sourceReference);
+      if (existing) {
+        finding.ncNumber = existing.ncNumber;
+        linked++;
+        continue;
+      }
+
+      qms = await qualityManagementService.addNonConformance(audit.supplierId, {
+        description: `Audit ${audit.auditNumber} finding: ${finding.description || item.question}`,
+        severity,
+        category: FINDING_NC_CATEGORIES[item.category] || 'other',
+        reportedBy: audit.auditorName,
+        source: 'audit',
+        sourceReference,
+        correctiveAction: finding.correctiveAction
+      });
+
+      const nonConformance = qms.nonConformances.find(nc => nc.sourceReference === sourceReference);
+      finding.ncNumber = nonConformance.ncNumber;
+      raised.push(nonConformance.ncNumber);
+    }
+  }
+
+  if (raised.length > 0 || linked > 0) {
+    await audit.save();
+    logger.info(`Raised ${raised.length} non-conformances from audit ${audit.auditNumber}`);
+  }
+
+  return { audit, raised };
+};
+
 /**
  * Delete an audit
  * @param {string} id Audit ID
@@ -282,9 +518,15 @@ exports.getAudits = async (queryParams) => {
 };
 
 /**
- * Get default checklist templates
- * @returns {Object} Default checklist templates
+ * Get the active standard checklist, grouped by category
+ * @returns {Promise<Object>} Checklist items by category
  */
-exports.getDefaultChecklistTemplates = () => {
-  return DEFAULT_CHECKLIST_TEMPLATES;
+exports.getDefaultChecklistTemplates = async () => {
+  const template = await this.getActiveChecklistTemplate(DEFAULT_TEMPLATE_NAME);
+
+  return template.items.reduce((templates, item) => {
+    const plain = item.toObject();
+    (templates[plain.category] = templates[plain.category] || []).push(plain);
+    return templates;
+  }, {});
 }; 
\ No newline at end of file
@@ -0,0 +1,484 @@
+/**
+ * Supplier Scorecard Service
+ * Derives monthly supplier KPIs from inspections, non-conformances, CAPAs,
+ * audits and ERP purchase orders, and combines them into a weighted, graded scorecard
+ */
+const Supplier = require('../models/supplier.model');
+const Inspection = require('../models/inspection.model');
+const QualityManagement = require('../models/QualityManagement');
+const Capa = require('../models/Capa');
+const SupplierAudit = require('../models/SupplierAudit');
+const SupplierScorecard = require('../models/SupplierScorecard');
+const { runWithTenant } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+const { NotFoundError, BadRequestError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default category weights; any weights supplied are normalised to sum to 1
+const DEFAULT_WEIGHTS = {
+  delivery: 0.35,
+  quality: 0.35,
+  responsiveness: 0.15,
+  audit: 0.15
+};
+
+// Lower bounds (inclusive) of each grade, best first
+const GRADE_BANDS = [
+  { grade: 'A', min: 90 },
+  { grade: 'B', min: 80 },
+  { grade: 'C', min: 70 },
+  { grade: 'D', min: 60 },
+  { grade: 'F', min: 0 }
+];
+
+// Points where each KPI stops scoring 100 and where it reaches 0
+const SCORING_THRESHOLDS = {
+  ppmTarget: 0,
+  ppmCeiling: 10000,
+  capaTargetDays: 30,
+  capaCeilingDays: 90,
+  nonConformancePenalties: { critical: 25, major: 10, minor: 3, observation: 0 }
+};
+
+// Most recent completed audit within this window counts towards the period
+const AUDIT_LOOKBACK_MONTHS = 12;
+
+const COMPLETED_INSPECTION_STATUSES = ['completed', 'approved', 'closed'];
+const RECEIVED_ORDER_STATUSES = ['received', 'closed'];
+
+exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+exports.GRADE_BANDS = GRADE_BANDS;
+exports.SCORING_THRESHOLDS = SCORING_THRESHOLDS;
+
+const round = (value, places = 1) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Score a value that is best at or below its target and worthless at its ceiling
+ * @param {number} value Measured value
+ * @param {number} target Value (or better) scoring 100
+ * @param {number} ceiling Value (or worse) scoring 0
+ * @returns {number} Score from 0 to 100
+ */
+const linearScore = (value, target, ceiling) => {
+  if (value <= target) return 100;
+  if (value >= ceiling) return 0;
+  return 100 * (ceiling - value) / (ceiling - target);
+};
+
+/**
+ * Parse a YYYY-MM period; defaults to the last complete month
+ * @param {string} [period] Period
+ * @returns {Object} Period with its start (inclusive) and end (exclusive)
+ */
+exports.parsePeriod = (period) => {
+  if (!period) {
+    const now = new Date();
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    period = `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(period);
+  if (!match) {
+    throw new BadRequestError(`Invalid scorecard period ${period}; expected YYYY-MM`);
+  }
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10) - 1;
+
+  return {
+    period,
+    start: new Date(Date.UTC(year, month, 1)),
+    end: new Date(Date.UTC(year, month + 1, 1))
+  };
+};
+
+/**
+ * Validate category weights and normalise them to sum to 1
+ * @param {Object} [weights] Weights by category; missing categories keep their default
+ * @returns {Object} Normalised weights
+ */
+exports.normalizeWeights = (weights = {}) => {
+  const merged = { ...DEFAULT_WEIGHTS };
+
+  Object.entries(weights).forEach(([category, weight]) => {
+    if (!(category in DEFAULT_WEIGHTS)) {
+      throw new BadRequestError(`Unknown scorecard category ${category}`);
+    }
+    const value = Number(weight);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new BadRequestError(`Weight for ${category} must be a non-negative number`);
+    }
+    merged[category] = value;
+  });
+
+  const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    throw new BadRequestError('At least one scorecard weight must be greater than zero');
+  }
+
+  return Object.fromEntries(
+    Object.entries(merged).map(([category, weight]) => [category, round(weight / total, 4)])
+  );
+};
+
+/**
+ * Get the grade for an overall score
+ * @param {number|null} score Overall score
+ * @returns {string|null} Grade, or null when there is no score
+ */
+exports.gradeFor = (score) => {
+  if (score === null || score === undefined) return null;
+  return GRADE_BANDS.find(band => score >= band.min).grade;
+};
+
+/**
+ * Map an ERP purchase order to the fields used for delivery performance.
+ * Accepts the mock, SAP and Oracle purchase order shapes.
+ * @param {Object} order ERP purchase order
+ * @returns {Object} Vendor code, status and due/received dates
+ */
+exports.normalizePurchaseOrder = (order) => ({
+  vendorCode: order.vendor || order.vendorCode || order.CardCode || order.supplierId || (order.supplier && order.supplier.code),
+  status: String(order.status || order.DocumentStatus || '').toLowerCase(),
+  dueDate: toDate(order.dueDate || order.DocDueDate || order.scheduledDate),
+  receivedDate: toDate(order.receivedDate || order.receiptDate || order.DeliveryDate)
+});
+
+/**
+ * Compute on-time delivery from ERP purchase orders due in the period.
+ * Orders past due and still not received count as late. Only the supplier's
+ * orders due in the period are requested; they are checked again here for
+ * providers that cannot filter by vendor or due date.
+ * @param {Object} supplier Supplier
+ * @param {Object} range Period range
+ * @param {Date} range.start Start (inclusive)
+ * @param {Date} range.end End (exclusive)
+ * @returns {Promise<Object>} Delivery KPIs
+ */
+exports.computeDeliveryKpis = async (supplier, { start, end }) => {
+  let orders;
+  try {
+    const erpService = require('./erp/erp-service');
+    orders = await erpService.getPurchaseOrders({ vendorCode: supplier.code, dueFrom: start, dueBefore: end });
+  } catch (error) {
+    logger.warn(`Supplier scorecard: ERP purchase orders unavailable for ${supplier.code}: ${error.message}`);
+    return { purchaseOrders: 0, onTime: 0, late: 0, onTimeDeliveryRate: null, source: 'unavailable' };
+  }
+
+  const now = new Date();
+  const due = (orders || [])
+    .map(this.normalizePurchaseOrder)
+    .filter(order => order.vendorCode === supplier.code && order.dueDate && order.dueDate >= start && order.dueDate < end);
+
+  let onTime = 0;
+  let late = 0;
+
+  due.forEach(order => {
+    const received = RECEIVED_ORDER_STATUSES.includes(order.status) && order.receivedDate;
+    if (received) {
+      // Anything received by the end of the due day is on time
+      if (order.receivedDate < new Date(order.dueDate.getTime() + DAY_MS)) {
+        onTime++;
+      } else {
+        late++;
+      }
+    } else if (order.dueDate < now) {
+      late++;
+    }
+  });
+
+  const decided = onTime + late;
+
+  return {
+    purchaseOrders: due.length,
+    onTime,
+    late,
+    onTimeDeliveryRate: decided > 0 ? round(onTime / decided * 100) : null,
+    source: 'erp'
+  };
+};
+
+/**
+ * Compute parts-per-million defective from inspections completed in the period
+ * @param {string} supplierId Supplier ID
+ * @param {Object} range Period range
+ * @returns {Promise<Object>} Quality KPIs
+ */
+exports.computeQualityKpis = async (supplierId, { start, end }) => {
+  const inspections = await Inspection.find({
+    supplierId,
+    status: { $in: COMPLETED_INSPECTION_STATUSES },
+    completionDate: { $gte: start, $lt: end }
+  }).select('quantity defects');
+
+  const unitsInspected = inspections.reduce((sum, inspection) => sum + (inspection.quantity || 0), 0);
+  const defectiveUnits = inspections.reduce(
+    (sum, inspection) => sum + (inspection.defects || []).reduce((count, defect) => count + (defect.quantity || 0), 0),
+    0
+  );
+
+  return {
+    inspections: inspections.length,
+    unitsInspected,
+    defectiveUnits,
+    ppm: unitsInspected > 0 ? Math.round(defectiveUnits / unitsInspected * 1000000) : null
+  };
+};
+
+/**
+ * Count QMS non-conformances reported in the period by severity
+ * @param {string} supplierId Supplier ID
+ * @param {Object} range Period range
+ * @returns {Promise<Object>} Non-conformance counts
+ */
+exports.computeNonConformanceKpis = async (supplierId, { start, end }) => {
+  const counts = { critical: 0, major: 0, minor: 0, observation: 0, total: 0 };
+  const qms = await QualityManagement.findOne({ supplierId }).select('nonConformances');
+
+  (qms?.nonConformances || [])
+    .filter(nc => nc.reportedDate >= start && nc.reportedDate < end)
+    .forEach(nc => {
+      counts[nc.severity] = (counts[nc.severity] || 0) + 1;
+      counts.total++;
+    });
+
+  return counts;
+};
+
+/**
+ * Compute CAPA responsiveness: average days to close CAPAs closed in the
+ * period, and CAPAs with overdue action items at the end of the period
+ * @param {string} supplierId Supplier ID
+ * @param {Object} range Period range
+ * @returns {Promise<Object>} Responsiveness KPIs
+ */
+exports.computeResponsivenessKpis = async (supplierId, { start, end }) => {
+  const [closed, open] = await Promise.all([
+    Capa.find({ supplierId, status: 'closed', 'closure.closedDate': { $gte: start, $lt: end } })
+      .select('createdAt closure'),
+    Capa.find({ supplierId, status: { $in: ['open', 'in-progress'] }, createdAt: { $lt: end } })
+      .select('actionItems')
+  ]);
+
+  const closureDays = closed.map(capa => (capa.closure.closedDate - capa.createdAt) / DAY_MS);
+  const overdueCapas = open.filter(capa =>
+    (capa.actionItems || []).some(item =>
+      ['open', 'in-progress'].includes(item.status) && item.dueDate && item.dueDate < end
+    )
+  ).length;
+
+  return {
+    capasClosed: closed.length,
+    averageClosureDays: closureDays.length > 0
+      ? round(closureDays.reduce((sum, days) => sum + days, 0) / closureDays.length)
+      : null,
+    overdueCapas
+  };
+};
+
+/**
+ * Get the score of the most recent completed audit before the end of the period
+ * @param {string} supplierId Supplier ID
+ * @param {Object} range Period range
+ * @returns {Promise<Object>} Audit KPIs
+ */
+exports.computeAuditKpis = async (supplierId, { end }) => {
+  const lookbackStart = new Date(end);
+  lookbackStart.setUTCMonth(lookbackStart.getUTCMonth() - AUDIT_LOOKBACK_MONTHS);
+
+  const audit = await SupplierAudit.findOne({
+    supplierId,
+    status: 'completed',
+    overallScore: { $ne: null },
+    auditDate: { $gte: lookbackStart, $lt: end }
+  }).sort({ auditDate: -1 });
+
+  if (!audit) {
+    return { auditId: null, auditDate: null, score: null };
+  }
+
+  return { auditId: audit._id, auditDate: audit.auditDate, score: audit.overallScore };
+};
+
+/**
+ * Derive all scorecard KPIs for a supplier and period
+ * @param {Object} supplier Supplier
+ * @param {Object} range Period range
+ * @returns {Promise<Object>} KPIs by category
+ */
+exports.computeKpis = async (supplier, range) => {
+  const [delivery, quality, nonConformances, responsiveness, audit] = await Promise.all([
+    this.computeDeliveryKpis(supplier, range),
+    this.computeQualityKpis(supplier._id, range),
+    this.computeNonConformanceKpis(supplier._id, range),
+    this.computeResponsivenessKpis(supplier._id, range),
+    this.computeAuditKpis(supplier._id, range)
+  ]);
+
+  return { delivery, quality, nonConformances, responsiveness, audit };
+};
+
+/**
+ * Score KPIs from 0 to 100 per category and combine them with weights.
+ * Categories without data are left unscored and the remaining weights are
+ * scaled up so the overall score stays on a 0-100 scale.
+ * @param {Object} kpis KPIs from computeKpis
+ * @param {Object} [weights] Category weights
+ * @param {Object} [thresholds] Scoring thresholds
+ * @returns {Object} Category scores, weights, overall score and grade
+ */
+exports.scoreKpis = (kpis, weights = DEFAULT_WEIGHTS, thresholds = SCORING_THRESHOLDS) => {
+  const normalizedWeights = this.normalizeWeights(weights);
+  const scores = {};
+
+  scores.delivery = kpis.delivery.onTimeDeliveryRate ?? null;
+
+  // Quality blends PPM with a penalty for non-conformances raised in the period
+  const qualityParts = [];
+  if (kpis.quality.ppm !== null && kpis.quality.ppm !== undefined) {
+    qualityParts.push(linearScore(kpis.quality.ppm, thresholds.ppmTarget, thresholds.ppmCeiling));
+  }
+  if (kpis.quality.inspections > 0 || kpis.nonConformances.total > 0) {
+    const penalty = Object.entries(thresholds.nonConformancePenalties)
+      .reduce((sum, [severity, points]) => sum + (kpis.nonConformances[severity] || 0) * points, 0);
+    qualityParts.push(Math.max(0, 100 - penalty));
+  }
+  scores.quality = qualityParts.length > 0
+    ? qualityParts.reduce((sum, part) => sum + part, 0) / qualityParts.length
+    : null;
+
+  scores.responsiveness = kpis.responsiveness.averageClosureDays !== null && kpis.responsiveness.averageClosureDays !== undefined
+    ? linearScore(kpis.responsiveness.averageClosureDays, thresholds.capaTargetDays, thresholds.capaCeilingDays)
+    : null;
+
+  scores.audit = kpis.audit.score ?? null;
+
+  Object.keys(scores).forEach(category => {
+    if (scores[category] !== null) scores[category] = round(scores[category]);
+  });
+
+  const scored = Object.keys(scores).filter(category => scores[category] !== null);
+  const scoredWeight = scored.reduce((sum, category) => sum + normalizedWeights[category], 0);
+
+  const overallScore = scoredWeight > 0
+    ? round(scored.reduce((sum, category) => sum + scores[category] * normalizedWeights[category], 0) / scoredWeight)
+    : null;
+
+  return {
+    scores,
+    weights: normalizedWeights,
+    overallScore,
+    grade: this.gradeFor(overallScore)
+  };
+};
+
+/**
+ * Generate (or regenerate) the scorecard snapshot for a supplier and month
+ * @param {string} supplierId Supplier ID
+ * @param {string} [period] Period (YYYY-MM); defaults to the last complete month
+ * @param {Object} [options] Options
+ * @param {Object} [options.weights] Category weights
+ * @param {string} [userId] User generating the scorecard
+ * @returns {Promise<Object>} Scorecard snapshot
+ */
+exports.generateScorecard = async (supplierId, period, options = {}, userId) => {
+  const supplier = await Supplier.findById(supplierId);
+  if (!supplier) {
+    throw new NotFoundError(`Supplier not found with id ${supplierId}`);
+  }
+
+  const range = this.parsePeriod(period);
+  if (range.start > new Date()) {
+    throw new BadRequestError(`Cannot generate a scorecard for future period ${range.period}`);
+  }
+
+  const kpis = await this.computeKpis(supplier, range);
+  const result = this.scoreKpis(kpis, options.weights);
+
+  return SupplierScorecard.findOneAndUpdate(
+    { supplierId: supplier._id, period: range.period },
+    {
+      periodStart: range.start,
+      periodEnd: range.end,
+      kpis,
+      ...result,
+      generatedBy: userId,
+      generatedAt: new Date()
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Generate a month's scorecard for every supplier still in use. Each
+ * scorecard is generated within its supplier's tenant, as the CAPAs, audits
+ * and non-conformances it draws on are scoped to that tenant; call this as
+ * the system to cover the suppliers of every tenant.
+ * @param {string} [period] Period (YYYY-MM); defaults to the last complete month
+ * @returns {Promise<Object>} { period, generated, failed }
+ */
+exports.generateMonthlyScorecards = async (period) => {
+  const range = this.parsePeriod(period);
+  const suppliers = await Supplier.find({ status: { $ne: 'inactive' } }).select('name tenantId');
+  const summary = { period: range.period, generated: 0, failed: 0 };
+
+  for (const supplier of suppliers) {
+    try {
+      await runWithTenant(supplier.tenantId, () => this.generateScorecard(supplier._id, range.period));
+      summary.generated++;
+    } catch (error) {
+      summary.failed++;
+      logger.error(`Failed to generate the ${range.period} scorecard for supplier ${supplier.name}: ${error.message}`);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Get scorecard snapshots for a supplier, oldest first for trend charts
+ * @param {string} supplierId Supplier ID
+ * @param {Object} [filters] Filters
+ * @param {string} [filters.from] First period (YYYY-MM)
+ * @param {string} [filters.to] Last period (YYYY-MM)
+ * @param {number} [filters.limit] Most recent periods to return
+ * @returns {Promise<Array>} Scorecard snapshots
+ */
+exports.getScorecards = async (supplierId, filters = {}) => {
+  const query = { supplierId };
+
+  if (filters.from || filters.to) {
+    query.period = {};
+    if (filters.from) query.period.$gte = this.parsePeriod(filters.from).period;
+    if (filters.to) query.period.$lte = this.parsePeriod(filters.to).period;
+  }
+
+  const limit = parseInt(filters.limit, 10) || 12;
+  const scorecards = await SupplierScorecard.find(query)
+    .sort({ period: -1 })
+    .limit(limit);
+
+  return scorecards.reverse();
+};
+
+/**
+ * Get the scorecard snapshot for a supplier and month
+ * @param {string} supplierId Supplier ID
+ * @param {string} period Period (YYYY-MM)
+ * @returns {Promise<Object>} Scorecard snapshot
+ */
+exports.getScorecard = async (supplierId, period) => {
+  const { period: normalizedPeriod } = this.parsePeriod(period);
+  const scorecard = await SupplierScorecard.findOne({ supplierId, period: normalizedPeriod });
+  if (!scorecard) {
+    throw new NotFoundError(`No scorecard for supplier ${supplierId} in ${normalizedPeriod}`);
+  }
+
+  return scorecard;
+};
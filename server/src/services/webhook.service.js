@@ -0,0 +1,540 @@
+/**
+ * Webhook Service
+ * Pushes domain events to the endpoints API clients register, such as MES
+ * and PLM systems. Payloads are signed with HMAC-SHA256; failed deliveries
+ * are retried with exponential backoff, then dead-lettered until
+ * redelivered by hand. Every attempt is kept in the endpoint's delivery log.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const domainEventBus = require('../core/DomainEventBus');
+const reportQueryService = require('./reportQuery.service');
+const webhookConfig = require('../config/webhook.config');
+const logger = require('../utils/logger');
+const { assertPublicUrl, createPublicHttpsAgent } = require('../utils/outboundUrl');
+const { getCurrentTenantId } = require('../core/multiTenancy');
+const { NotFoundError, BadRequestError, ForbiddenError, ConflictError } = require('../utils/errors');
+
+const DOMAINS_DIR = path.join(__dirname, '..', 'domains');
+
+// Fields of an endpoint that can be set through the API
+const ENDPOINT_FIELDS = ['url', 'description', 'events', 'enabled'];
+
+// Connections to endpoints only reach public addresses
+const httpsAgent = createPublicHttpsAgent();
+
+// Event handlers still running, awaited by drain()
+const pendingEvents = new Set();
+let unsubscribers = [];
+let catalog = null;
+
+/**
+ * Get the events endpoints can subscribe to, from the schemas in each
+ * domain's events/schemas.js
+ * @returns {Object[]} Events with type, context, description, required fields and properties
+ */
+exports.getEventCatalog = () => {
+  if (!catalog) {
+    catalog = fs.readdirSync(DOMAINS_DIR)
+      .filter(context => fs.existsSync(path.join(DOMAINS_DIR, context, 'events', 'schemas.js')))
+      .flatMap((context) => {
+        const schemas = require(path.join(DOMAINS_DIR, context, 'events', 'schemas.js'));
+        return Object.entries(schemas).map(([type, schema]) => ({
+          type,
+          context,
+          description: schema.description,
+          required: schema.required || [],
+          properties: schema.properties || {}
+        }));
+      })
+      .sort((a, b) => a.context.localeCompare(b.context) || a.type.localeCompare(b.type));
+  }
+  return catalog;
+};
+
+/**
+ * Subscribe to every event in the catalog
+ */
+exports.initialize = () => {
+  if (unsubscribers.length > 0) {
+    return;
+  }
+
+  unsubscribers = this.getEventCatalog().map(({ type, context }) =>
+    domainEventBus.subscribeContext(context, 'webhook', type, (event) => {
+      const handling = exports.dispatchEvent(event)
+        .catch(error => logger.error(`Error dispatching ${type} to webhooks: ${error.message}`))
+        .finally(() => pendingEvents.delete(handling));
+      pendingEvents.add(handling);
+    })
+  );
+};
+
+/**
+ * Unsubscribe from domain events
+ */
+exports.shutdown = () => {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+};
+
+/**
+ * Wait for the events being dispatched, such as before a worker disconnects
+ * @returns {Promise<void>}
+ */
+exports.drain = async () => {
+  while (pendingEvents.size > 0) {
+    await Promise.all([...pendingEvents]);
+  }
+};
+
+/**
+ * Sign a payload for an endpoint. The signature covers the timestamp so
+ * receivers can reject replayed requests.
+ * @param {string} secret Endpoint secret
+ * @param {string} body Request body
+ * @param {Date} [at] Time of signing
+ * @returns {string} Signature header value, t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">
+ */
+exports.sign = (secret, body, at = new Date()) => {
+  const timestamp = Math.floor(at.getTime() / 1000);
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Verify a signature header, as receivers should
+ * @param {string} secret Endpoint secret
+ * @param {string} header Signature header value
+ * @param {string} body Raw request body
+ * @param {Date} [now] Current time
+ * @returns {boolean} True if the signature matches and is recent
+ */
+exports.verifySignature = (secret, header, body, now = new Date()) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1 || Math.abs(now.getTime() / 1000 - timestamp) > webhookConfig.signature.toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.sign(secret, body, new Date(timestamp * 1000)).split('v1=')[1]);
+  const actual = Buffer.from(parts.v1);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Calculate when a failed delivery is tried again
+ * @param {number} attemptCount Attempts made
+ * @param {Date} now Time of the last attempt
+ * @returns {Date} Next attempt
+ */
+exports.nextAttemptAt = (attemptCount, now) => {
+  const { baseDelaySeconds, maxDelaySeconds } = webhookConfig.retry;
+  const delay = Math.min(baseDelaySeconds * 2 ** (attemptCount - 1), maxDelaySeconds);
+  return new Date(now.getTime() + delay * 1000);
+};
+
+/**
+ * Calculate until when a delivery being sent stays claimed. A worker that
+ * stops mid-send leaves the delivery to be retried once the claim expires.
+ * @param {Date} now Time of the claim
+ * @returns {Date} Claim expiry
+ */
+const claimExpiresAt = now => new Date(now.getTime() + webhookConfig.timeoutMs + webhookConfig.claimMarginMs);
+
+/**
+ * Post a delivery to its endpoint and record the attempt, scheduling a
+ * retry or dead-lettering it if the endpoint does not answer with 2xx
+ * @param {Object} delivery Webhook delivery
+ * @param {Object} endpoint Endpoint, with its secret
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Updated delivery
+ */
+exports.attemptDelivery = async (delivery, endpoint, now = new Date()) => {
+  const body = JSON.stringify(delivery.payload);
+  const attempt = { attemptedAt: now };
+  const started = Date.now();
+
+  try {
+    await assertPublicUrl(endpoint.url);
+    const response = await axios.post(endpoint.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AeroSuite-Webhooks/1.0',
+        'X-AeroSuite-Event': delivery.eventType,
+        'X-AeroSuite-Event-Id': delivery.eventId,
+        'X-AeroSuite-Delivery': String(delivery._id),
+        [webhookConfig.signature.header]: this.sign(endpoint.secret, body, now)
+      },
+      timeout: webhookConfig.timeoutMs,
+      maxRedirects: 0,
+      httpsAgent,
+      // Every response is recorded; only 2xx counts as delivered
+      validateStatus: () => true
+    });
+    attempt.statusCode = response.status;
+    attempt.responseBody = typeof response.data === 'string'
+      ? response.data.slice(0, webhookConfig.responseBodyLimit)
+      : JSON.stringify(response.data || '').slice(0, webhookConfig.responseBodyLimit);
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+
+  delivery.attempts.push(attempt);
+  delivery.attemptCount += 1;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = now;
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attemptCount >= webhookConfig.retry.maxAttempts) {
+    delivery.status = 'dead';
+    delivery.nextAttemptAt = undefined;
+    logger.warn(`Webhook delivery ${delivery._id} of ${delivery.eventType} to ${endpoint.url} dead-lettered after ${delivery.attemptCount} attempts: ${attempt.error}`);
+  } else {
+    delivery.status = 'retrying';
+    delivery.nextAttemptAt = this.nextAttemptAt(delivery.attemptCount, now);
+  }
+
+  await delivery.save();
+  await WebhookEndpoint.updateOne({ _id: endpoint._id }, attempt.error
+    ? { $set: { lastDeliveryAt: now }, $inc: { consecutiveFailures: 1 } }
+    : { $set: { lastDeliveryAt: now, lastSuccessAt: now, consecutiveFailures: 0 } });
+
+  return delivery;
+};
+
+/**
+ * Send a domain event to every enabled endpoint of the current tenant
+ * subscribed to its type
+ * @param {Object} event Domain event with type, sourceContext, payload and timestamp
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object[]>} Deliveries
+ */
+exports.dispatchEvent = async (event, now = new Date()) => {
+  // An event published as the system belongs to no tenant's endpoints
+  if (!getCurrentTenantId()) {
+    logger.warn(`${event.type} was published outside a tenant context and is not sent to webhooks`);
+    return [];
+  }
+
+  const endpoints = await WebhookEndpoint.find({
+    enabled: true,
+    events: { $in: [event.type, '*'] }
+  }).select('+secret');
+  if (endpoints.length === 0) {
+    return [];
+  }
+
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    type: event.type,
+    source: event.sourceContext,
+    occurredAt: event.timestamp || now.toISOString(),
+    data: event.payload || {}
+  };
+
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    // Created claimed, so processDue does not send it while it is posted here
+    const delivery = await WebhookDelivery.create({
+      endpoint: endpoint._id,
+      eventId,
+      eventType: event.type,
+      payload,
+      status: 'sending',
+      nextAttemptAt: claimExpiresAt(now)
+    });
+    deliveries.push(await this.attemptDelivery(delivery, endpoint, now));
+  }
+
+  logger.info(`Dispatched ${event.type} ${eventId} to ${endpoints.length} webhook endpoints`);
+  return deliveries;
+};
+
+/**
+ * Claim a delivery that is due: one whose backoff has elapsed, or one left
+ * claimed by a worker that stopped mid-send. Claiming is atomic, so a
+ * delivery is only sent by one worker at a time.
+ * @param {Date} now Current time
+ * @returns {Promise<Object|null>} Claimed delivery, or null if none is due
+ */
+const claimDue = now => WebhookDelivery.findOneAndUpdate(
+  {
+    status: { $in: ['pending', 'retrying', 'sending'] },
+    nextAttemptAt: { $lte: now }
+  },
+  { $set: { status: 'sending', nextAttemptAt: claimExpiresAt(now) } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} Deliveries attempted, succeeded, retrying and dead
+ */
+exports.processDue = async (now = new Date()) => {
+  const result = { attempted: 0, succeeded: 0, retrying: 0, dead: 0 };
+
+  const due = [];
+  while (due.length < webhookConfig.batchSize) {
+    const delivery = await claimDue(now);
+    if (!delivery) {
+      break;
+    }
+    due.push(delivery);
+  }
+  const endpoints = await WebhookEndpoint.find({ _id: { $in: due.map(delivery => delivery.endpoint) } }).select('+secret');
+  const endpointOf = new Map(endpoints.map(endpoint => [endpoint._id.toString(), endpoint]));
+
+  for (const delivery of due) {
+    const endpoint = endpointOf.get(delivery.endpoint.toString());
+    if (!endpoint || !endpoint.enabled) {
+      delivery.status = 'dead';
+      delivery.nextAttemptAt = undefined;
+      delivery.attempts.push({ attemptedAt: now, error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted' });
+      await delivery.save();
+    } else {
+      await this.attemptDelivery(delivery, endpoint, now);
+      result.attempted++;
+    }
+    result[delivery.status]++;
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a user may manage every endpoint
+ * @param {Object} user Authenticated user
+ * @returns {boolean} True for admins
+ */
+const isAdmin = user => reportQueryService.rolesOf(user).includes('admin');
+
+/**
+ * Check that event types are in the catalog
+ * @param {string[]} events Event types, or '*' for every type
+ * @throws {BadRequestError} If a type is unknown
+ */
+const checkEvents = (events) => {
+  if (!Array.isArray(events)) {
+    return;
+  }
+  const known = new Set(exports.getEventCatalog().map(entry => entry.type));
+  const unknown = events.filter(type => type !== '*' && !known.has(type));
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown event types: ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Check that an endpoint URL only reaches public addresses
+ * @param {string} url Endpoint URL
+ * @throws {BadRequestError} If the host does not resolve or resolves to a non-public address
+ */
+const checkUrl = async (url) => {
+  if (url === undefined) {
+    return;
+  }
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    throw new BadRequestError(`Endpoint URL is not allowed: ${error.message}`);
+  }
+};
+
+/**
+ * Copy the fields that can be set through the API
+ * @param {Object} data Request body
+ * @returns {Object} Settable fields present in the body
+ */
+const pickEndpointFields = data => ENDPOINT_FIELDS.reduce((picked, field) => {
+  if (data[field] !== undefined) {
+    picked[field] = data[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Generate an endpoint secret
+ * @returns {string} Secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * List the endpoints a user manages: all for admins, otherwise their own
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object[]>} Endpoints
+ */
+exports.getEndpoints = async (user) => {
+  const filter = isAdmin(user) ? {} : { owner: user._id };
+  return WebhookEndpoint.find(filter).sort({ createdAt: -1 });
+};
+
+/**
+ * Get an endpoint the user manages
+ * @param {string} id Endpoint ID
+ * @param {Object} user Authenticated user
+ * @param {boolean} [withSecret] Whether to load the secret
+ * @returns {Promise<Object>} Endpoint
+ * @throws {NotFoundError} If the endpoint does not exist
+ * @throws {ForbiddenError} If the user neither owns it nor is an admin
+ */
+exports.getEndpoint = async (id, user, withSecret = false) => {
+  const query = WebhookEndpoint.findById(id);
+  const endpoint = await (withSecret ? query.select('+secret') : query);
+  if (!endpoint) {
+    throw new NotFoundError(`Webhook endpoint not found with id ${id}`);
+  }
+  if (!isAdmin(user) && String(endpoint.owner) !== String(user._id)) {
+    throw new ForbiddenError('You can only manage your own webhook endpoints');
+  }
+  return endpoint;
+};
+
+/**
+ * Register an endpoint. The secret is only returned here and when rotated.
+ * @param {Object} data Endpoint fields
+ * @param {Object} user Authenticated user
+ * @param {Object} [apiKey] API key the request was made with
+ * @returns {Promise<Object>} { endpoint, secret }
+ * @throws {ConflictError} If the user has reached the endpoint limit
+ */
+exports.createEndpoint = async (data, user, apiKey = null) => {
+  const fields = pickEndpointFields(data);
+  checkEvents(fields.events);
+  await checkUrl(fields.url);
+
+  const count = await WebhookEndpoint.countDocuments({ owner: user._id });
+  if (count >= webhookConfig.maxEndpointsPerOwner) {
+    throw new ConflictError(`You can register at most ${webhookConfig.maxEndpointsPerOwner} webhook endpoints`);
+  }
+
+  const secret = generateSecret();
+  const endpoint = await WebhookEndpoint.create({
+    ...fields,
+    secret,
+    owner: user._id,
+    apiKey: apiKey ? apiKey._id : undefined
+  });
+  endpoint.secret = undefined;
+
+  return { endpoint, secret };
+};
+
+/**
+ * Update an endpoint
+ * @param {string} id Endpoint ID
+ * @param {Object} data Fields to change
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object>} Updated endpoint
+ */
+exports.updateEndpoint = async (id, data, user) => {
+  const endpoint = await this.getEndpoint(id, user);
+  const fields = pickEndpointFields(data);
+  checkEvents(fields.events);
+  await checkUrl(fields.url);
+
+  endpoint.set(fields);
+  if (fields.enabled === true) {
+    endpoint.consecutiveFailures = 0;
+  }
+  return endpoint.save();
+};
+
+/**
+ * Delete an endpoint and its delivery log
+ * @param {string} id Endpoint ID
+ * @param {Object} user Authenticated user
+ * @returns {Promise<void>}
+ */
+exports.deleteEndpoint = async (id, user) => {
+  const endpoint = await this.getEndpoint(id, user);
+  await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+  await endpoint.deleteOne();
+};
+
+/**
+ * Replace an endpoint's secret. Deliveries are signed with the new secret
+ * from now on, retries included.
+ * @param {string} id Endpoint ID
+ * @param {Object} user Authenticated user
+ * @returns {Promise<Object>} { endpoint, secret }
+ */
+exports.rotateSecret = async (id, user) => {
+  const endpoint = await this.getEndpoint(id, user, true);
+  const secret = generateSecret();
+  endpoint.secret = secret;
+  await endpoint.save();
+  endpoint.secret = undefined;
+
+  return { endpoint, secret };
+};
+
+/**
+ * Get an endpoint's delivery log, newest first
+ * @param {string} id Endpoint ID
+ * @param {Object} user Authenticated user
+ * @param {Object} [options] Options
+ * @param {string} [options.status] Only deliveries with this status, such as dead
+ * @param {string} [options.eventType] Only deliveries of this event type
+ * @param {number} [options.limit] Deliveries to return (default: 50, at most 200)
+ * @returns {Promise<Object[]>} Deliveries
+ */
+exports.getDeliveries = async (id, user, options = {}) => {
+  const endpoint = await this.getEndpoint(id, user);
+  const filter = { endpoint: endpoint._id };
+  if (options.status) {
+    filter.status = options.status;
+  }
+  if (options.eventType) {
+    filter.eventType = options.eventType;
+  }
+  const limit = Math.min(Number(options.limit) || 50, 200);
+
+  return WebhookDelivery.find(filter).sort({ createdAt: -1 }).limit(limit);
+};
+
+/**
+ * Send a delivery's event to its endpoint again, as a new delivery with
+ * the same event ID. Dead-lettered deliveries are usually redelivered once
+ * the receiver is fixed.
+ * @param {string} deliveryId Delivery ID
+ * @param {Object} user Authenticated user
+ * @param {Date} [now] Current time
+ * @returns {Promise<Object>} New delivery
+ * @throws {NotFoundError} If the delivery does not exist
+ * @throws {BadRequestError} If the endpoint is disabled
+ */
+exports.redeliver = async (deliveryId, user, now = new Date()) => {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) {
+    throw new NotFoundError(`Webhook delivery not found with id ${deliveryId}`);
+  }
+  const endpoint = await this.getEndpoint(original.endpoint, user, true);
+  if (!endpoint.enabled) {
+    throw new BadRequestError('Enable the endpoint before redelivering to it');
+  }
+
+  const delivery = await WebhookDelivery.create({
+    endpoint: endpoint._id,
+    eventId: original.eventId,
+    eventType: original.eventType,
+    payload: original.payload,
+    status: 'sending',
+    nextAttemptAt: claimExpiresAt(now),
+    redeliveryOf: original._id,
+    redeliveredBy: user._id
+  });
+
+  return this.attemptDelivery(delivery, endpoint, now);
+};
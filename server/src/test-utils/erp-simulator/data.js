@@ -0,0 +1,257 @@
+/**
+ * data.js
+ *
+ * Seed records of the ERP simulator, in the shapes SAP Business One's
+ * Service Layer and Oracle ERP Cloud's REST API return them. Collections are
+ * keyed by the endpoints in config/erp-config.js. The records are fixed so
+ * tests can assert on mapped values.
+ */
+
+const SAP_DATA = {
+  BusinessPartners: [
+    {
+      CardCode: 'V-1001',
+      CardName: 'Cascade Titanium Works',
+      CardType: 'S',
+      Phone1: '503-555-0142',
+      Phone2: null,
+      Cellular: '503-555-0199',
+      EmailAddress: 'qa@cascadeti.example.com',
+      Website: 'https://cascadeti.example.com',
+      Address: '77 Mill Street',
+      ZipCode: '97201',
+      City: 'Portland',
+      Country: 'US',
+      ContactPerson: 'Morgan Reyes',
+      PaymentTerms: 'Net 30',
+      Frozen: 'N'
+    },
+    {
+      CardCode: 'V-1002',
+      CardName: 'Helix Machining',
+      CardType: 'S',
+      Phone1: '937-555-0110',
+      Phone2: null,
+      Cellular: null,
+      EmailAddress: 'hello@helix.example.com',
+      Website: null,
+      Address: '9 Spindle Lane',
+      ZipCode: '45402',
+      City: 'Dayton',
+      Country: 'US',
+      ContactPerson: 'Ari Novak',
+      PaymentTerms: 'Net 45',
+      Frozen: 'N'
+    },
+    {
+      CardCode: 'V-1003',
+      CardName: 'Northwind Composites',
+      CardType: 'S',
+      Phone1: '206-555-0177',
+      Phone2: null,
+      Cellular: null,
+      EmailAddress: 'orders@northwind.example.com',
+      Website: 'https://northwind.example.com',
+      Address: '1200 Harbor Way',
+      ZipCode: '98104',
+      City: 'Seattle',
+      Country: 'US',
+      ContactPerson: 'Dana Okafor',
+      PaymentTerms: 'Net 30',
+      Frozen: 'Y'
+    },
+    {
+      CardCode: 'V-1004',
+      CardName: 'Meridian Fasteners',
+      CardType: 'S',
+      Phone1: '316-555-0163',
+      Phone2: null,
+      Cellular: null,
+      EmailAddress: 'sales@meridian.example.com',
+      Website: null,
+      Address: '45 Rivet Road',
+      ZipCode: '67202',
+      City: 'Wichita',
+      Country: 'US',
+      ContactPerson: 'Sam Whitfield',
+      PaymentTerms: 'Net 60',
+      Frozen: 'N'
+    },
+    {
+      CardCode: 'C-2001',
+      CardName: 'Skyline Aviation',
+      CardType: 'C',
+      Phone1: '214-555-0101',
+      Phone2: null,
+      Cellular: null,
+      EmailAddress: 'purchasing@skyline.example.com',
+      Website: null,
+      Address: '3 Hangar Drive',
+      ZipCode: '75201',
+      City: 'Dallas',
+      Country: 'US',
+      ContactPerson: 'Jordan Lee',
+      PaymentTerms: 'Net 30',
+      Frozen: 'N'
+    }
+  ],
+  PurchaseOrders: [
+    {
+      DocEntry: 501,
+      DocNum: 4500501,
+      CardCode: 'V-1001',
+      CardName: 'Cascade Titanium Works',
+      DocDate: '2026-09-01',
+      DocDueDate: '2026-09-30',
+      DocTotal: 48200,
+      DocumentStatus: 'bost_Open',
+      Comments: 'Ti-6Al-4V bar stock',
+      DocumentLines: [{ LineNum: 0, ItemCode: 'TB-7781', Quantity: 40, Price: 1205 }]
+    },
+    {
+      DocEntry: 502,
+      DocNum: 4500502,
+      CardCode: 'V-1002',
+      CardName: 'Helix Machining',
+      DocDate: '2026-09-05',
+      DocDueDate: '2026-10-15',
+      DocTotal: 12750,
+      DocumentStatus: 'bost_Close',
+      Comments: 'Bracket machining',
+      DocumentLines: [{ LineNum: 0, ItemCode: 'BR-2210', Quantity: 150, Price: 85 }]
+    }
+  ],
+  Inventory: [
+    {
+      ItemCode: 'TB-7781',
+      ItemName: 'Titanium bar 25mm',
+      QuantityOnStock: 120,
+      QuantityOrderedFromVendors: 40,
+      QuantityOrderedByCustomers: 15
+    },
+    {
+      ItemCode: 'BR-2210',
+      ItemName: 'Wing bracket, machined',
+      QuantityOnStock: 300,
+      QuantityOrderedFromVendors: 150,
+      QuantityOrderedByCustomers: 90
+    }
+  ],
+  ProductionOrders: [
+    {
+      DocEntry: 801,
+      DocNum: 801,
+      ItemCode: 'AS-1000',
+      ItemDescription: 'Flap actuator assembly',
+      PlannedQuantity: 12,
+      Status: 'boposReleased',
+      PostingDate: '2026-09-10',
+      DueDate: '2026-10-20'
+    }
+  ],
+  QualityControl: [
+    {
+      DocEntry: 901,
+      U_InspectionType: 'incoming',
+      U_ItemCode: 'TB-7781',
+      U_VendorCode: 'V-1001',
+      U_Inspector: 'Priya Shah',
+      U_Date: '2026-09-29',
+      U_Status: 'completed',
+      U_Result: 'pass',
+      U_Comments: 'Certificates of conformance verified'
+    }
+  ]
+};
+
+const ORACLE_DATA = {
+  suppliers: [
+    {
+      id: 300100,
+      supplierNumber: 'V-1001',
+      supplierName: 'Cascade Titanium Works',
+      email: 'qa@cascadeti.example.com',
+      phoneNumber: '503-555-0142',
+      url: 'https://cascadeti.example.com',
+      address: { addressLine1: '77 Mill Street', city: 'Portland', postalCode: '97201', country: 'US' },
+      status: 'ACTIVE',
+      contactName: 'Morgan Reyes',
+      paymentTerms: 'Net 30'
+    },
+    {
+      id: 300101,
+      supplierNumber: 'V-1002',
+      supplierName: 'Helix Machining',
+      email: 'hello@helix.example.com',
+      phoneNumber: '937-555-0110',
+      address: { addressLine1: '9 Spindle Lane', city: 'Dayton', postalCode: '45402', country: 'US' },
+      status: 'ACTIVE',
+      contactName: 'Ari Novak',
+      paymentTerms: 'Net 45'
+    },
+    {
+      id: 300102,
+      supplierNumber: 'V-1003',
+      supplierName: 'Northwind Composites',
+      address: { addressLine1: '1200 Harbor Way', city: 'Seattle', postalCode: '98104', country: 'US' },
+      status: 'INACTIVE',
+      contacts: [{ name: 'Dana Okafor', email: 'orders@northwind.example.com', phoneNumber: '206-555-0177' }],
+      paymentTerms: 'Net 30'
+    },
+    {
+      id: 300103,
+      supplierNumber: 'V-1004',
+      supplierName: 'Meridian Fasteners',
+      email: 'sales@meridian.example.com',
+      phoneNumber: '316-555-0163',
+      address: { addressLine1: '45 Rivet Road', city: 'Wichita', postalCode: '67202', country: 'US' },
+      status: 'ACTIVE',
+      contactName: 'Sam Whitfield',
+      paymentTerms: 'Net 60'
+    }
+  ],
+  purchaseOrders: [
+    {
+      id: 600501,
+      orderNumber: 'PO-600501',
+      supplierId: 'V-1001',
+      orderDate: '2026-09-01',
+      scheduledDate: '2026-09-30',
+      status: 'OPEN',
+      notes: 'Ti-6Al-4V bar stock',
+      lines: [{ lineNumber: 1, itemId: 'TB-7781', quantity: 40, price: 1205 }]
+    }
+  ],
+  inventoryItems: [
+    { id: 700001, itemNumber: 'TB-7781', description: 'Titanium bar 25mm', onHandQuantity: 120, uom: 'EA' },
+    { id: 700002, itemNumber: 'BR-2210', description: 'Wing bracket, machined', onHandQuantity: 300, uom: 'EA' }
+  ],
+  workOrders: [
+    { id: 800001, workOrderNumber: 'WO-800001', itemNumber: 'AS-1000', plannedQuantity: 12, status: 'RELEASED' }
+  ],
+  inspections: [
+    {
+      id: 900001,
+      inspectionType: 'incoming',
+      itemNumber: 'TB-7781',
+      supplierNumber: 'V-1001',
+      inspectorName: 'Priya Shah',
+      inspectionDate: '2026-09-29',
+      status: 'COMPLETED',
+      result: 'ACCEPTED',
+      comments: 'Certificates of conformance verified'
+    }
+  ]
+};
+
+/**
+ * Copy of the seed records, safe to modify
+ * @returns {{ sap: Object, oracle: Object }} Records by dialect and collection
+ */
+const createSeedData = () => JSON.parse(JSON.stringify({ sap: SAP_DATA, oracle: ORACLE_DATA }));
+
+module.exports = {
+  SAP_DATA,
+  ORACLE_DATA,
+  createSeedData
+};
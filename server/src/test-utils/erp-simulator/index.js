@@ -0,0 +1,308 @@
+/**
+ * ERP simulator
+ *
+ * Local HTTP server speaking the SAP Business One Service Layer dialect under
+ * /sap and the Oracle ERP Cloud REST dialect under /oracle, backed by seed
+ * records. A scenario scripts latency, error bursts, dropped connections,
+ * session expiry and page size, so connector retries, pagination, token
+ * refresh and circuit breaking can be exercised end to end without a vendor
+ * sandbox.
+ *
+ * The control API under /__simulator reports the request log and swaps the
+ * scenario or resets state while the server runs.
+ */
+
+const express = require('express');
+const { STATUS_CODES } = require('http');
+const { createSeedData } = require('./data');
+const { Scenario } = require('./scenario');
+const { SCENARIOS, getScenario } = require('./scenarios');
+const sap = require('./sap');
+const oracle = require('./oracle');
+
+const DIALECTS = [sap, oracle];
+
+// Credentials kept out of the request log
+const SECRET_FIELDS = ['Password', 'password', 'client_secret'];
+
+/**
+ * Copy a request body for the request log, masking credentials
+ * @param {Object} body Parsed request body
+ * @returns {Object|undefined} Logged body
+ */
+const logBody = (body) => {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return undefined;
+  const logged = { ...body };
+  SECRET_FIELDS.forEach(field => {
+    if (logged[field] !== undefined) logged[field] = '***';
+  });
+  return logged;
+};
+
+class ErpSimulator {
+  /**
+   * @param {Object} [options] Simulator options
+   * @param {string|Object} [options.scenario] Scenario name or definition
+   * @param {Object} [options.data] Records to serve instead of the seed data
+   */
+  constructor(options = {}) {
+    this.initialData = options.data || createSeedData();
+    this.data = JSON.parse(JSON.stringify(this.initialData));
+    this.sessions = new Map();
+    this.sessionCount = 0;
+    this.requests = [];
+    this.timers = new Set();
+    this.server = null;
+    this.url = null;
+
+    this.loadScenario(options.scenario || 'default');
+    this.app = this.createApp();
+  }
+
+  /**
+   * Load a scenario, restarting its rule counters
+   * @param {string|Object} scenario Scenario name or definition
+   * @returns {Scenario} Loaded scenario
+   * @throws {Error} If the scenario is unknown or invalid
+   */
+  loadScenario(scenario) {
+    const definition = typeof scenario === 'string' ? getScenario(scenario) : scenario;
+    this.scenario = new Scenario(definition);
+    this.scenarioDefinition = definition;
+    return this.scenario;
+  }
+
+  /**
+   * Restore the initial records, end all sessions, clear the request log and
+   * restart the scenario's rule counters
+   */
+  reset() {
+    this.data = JSON.parse(JSON.stringify(this.initialData));
+    this.sessions.clear();
+    this.sessionCount = 0;
+    this.requests = [];
+    this.loadScenario(this.scenarioDefinition);
+  }
+
+  /**
+   * Open a session or token
+   * @param {string} provider Dialect name
+   * @param {Object} [details] Who the session belongs to
+   * @returns {Object} Session
+   */
+  createSession(provider, details = {}) {
+    this.sessionCount += 1;
+    const session = {
+      ...details,
+      provider,
+      token: `${provider}-session-${this.sessionCount}`,
+      expiresAt: Date.now() + this.scenario.auth.lifetimeSeconds * 1000,
+      requests: 0,
+      expired: false
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Count an authenticated request against a session
+   * @param {string} provider Dialect name
+   * @param {string|null} token Session ID or access token
+   * @returns {Object|null} Session, or null if it is unknown or has expired
+   */
+  useSession(provider, token) {
+    const session = token && this.sessions.get(token);
+    if (!session || session.provider !== provider || session.expired) return null;
+
+    session.requests += 1;
+    const { expiresAfterRequests } = this.scenario.auth;
+    if (Date.now() > session.expiresAt || (expiresAfterRequests && session.requests > expiresAfterRequests)) {
+      session.expired = true;
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * End a session
+   * @param {string|null} token Session ID or access token
+   */
+  endSession(token) {
+    if (token) this.sessions.delete(token);
+  }
+
+  /**
+   * Record a request and apply the scenario to it
+   * @param {Object} dialect Dialect module
+   * @private
+   */
+  intercept(dialect) {
+    return (req, res, next) => {
+      const entry = {
+        provider: dialect.name,
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        body: logBody(req.body),
+        receivedAt: new Date().toISOString(),
+        status: null
+      };
+      this.requests.push(entry);
+      res.on('finish', () => {
+        entry.status = res.statusCode;
+      });
+
+      const { latencyMs, failure } = this.scenario.apply(entry);
+      entry.simulated = failure ? { status: failure.status, drop: failure.drop, expireSession: failure.expireSession } : undefined;
+
+      const respond = () => {
+        if (!failure) return next();
+
+        if (failure.drop) {
+          entry.dropped = true;
+          return req.socket.destroy();
+        }
+        if (failure.expireSession) {
+          const session = this.sessions.get(dialect.sessionToken(req));
+          if (session) session.expired = true;
+        }
+        if (failure.status) {
+          if (failure.retryAfter !== undefined) res.set('Retry-After', String(failure.retryAfter));
+          return res.status(failure.status).json(dialect.errorBody(failure.status, failure.message || STATUS_CODES[failure.status]));
+        }
+        next();
+      };
+
+      if (latencyMs > 0) {
+        const timer = setTimeout(() => {
+          this.timers.delete(timer);
+          respond();
+        }, latencyMs);
+        this.timers.add(timer);
+      } else {
+        respond();
+      }
+    };
+  }
+
+  /**
+   * Build the Express app serving the dialects and the control API
+   * @returns {Object} Express app
+   * @private
+   */
+  createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    const control = express.Router();
+    control.get('/', (req, res) => {
+      res.json({
+        success: true,
+        data: {
+          scenario: this.scenario.describe(),
+          sessions: this.sessions.size,
+          requests: this.requests.length
+        }
+      });
+    });
+    control.get('/scenarios', (req, res) => {
+      res.json({
+        success: true,
+        data: Object.entries(SCENARIOS).map(([name, scenario]) => ({ name, description: scenario.description }))
+      });
+    });
+    control.get('/scenario', (req, res) => {
+      res.json({ success: true, data: this.scenario.describe() });
+    });
+    control.put('/scenario', (req, res) => {
+      try {
+        const { name, ...definition } = req.body || {};
+        const scenario = name && Object.keys(definition).length === 0
+          ? this.loadScenario(name)
+          : this.loadScenario({ name, ...definition });
+        res.json({ success: true, data: scenario.describe() });
+      } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+      }
+    });
+    control.get('/requests', (req, res) => {
+      const requests = req.query.provider
+        ? this.requests.filter(entry => entry.provider === req.query.provider)
+        : this.requests;
+      res.json({ success: true, count: requests.length, data: requests });
+    });
+    control.post('/reset', (req, res) => {
+      this.reset();
+      res.json({ success: true, data: this.scenario.describe() });
+    });
+    app.use('/__simulator', control);
+
+    DIALECTS.forEach(dialect => {
+      app.use(`/${dialect.name}`, this.intercept(dialect), dialect.createRouter(this));
+    });
+
+    // Malformed request bodies get the error shape of the dialect they were sent to
+    app.use((err, req, res, next) => {
+      const dialect = DIALECTS.find(candidate => req.path.startsWith(`/${candidate.name}/`));
+      const status = err.status || err.statusCode || 500;
+      if (!dialect) {
+        return res.status(status).json({ success: false, message: err.message });
+      }
+      res.status(status).json(dialect.errorBody(status, err.message));
+    });
+
+    return app;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] Port, or 0 for any free port
+   * @param {string} [host='127.0.0.1'] Interface to bind
+   * @returns {Promise<string>} Base URL of the simulator
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(port, host);
+      server.once('error', reject);
+      server.once('listening', () => {
+        this.server = server;
+        this.url = `http://${host}:${server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop listening, cancelling delayed responses and open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()));
+      server.closeAllConnections();
+    });
+  }
+}
+
+/**
+ * Create an ERP simulator
+ * @param {Object} [options] Simulator options
+ * @param {string|Object} [options.scenario] Scenario name or definition
+ * @param {Object} [options.data] Records to serve instead of the seed data
+ * @returns {ErpSimulator} Simulator
+ */
+const createErpSimulator = (options) => new ErpSimulator(options);
+
+module.exports = {
+  ErpSimulator,
+  createErpSimulator,
+  SCENARIOS,
+  getScenario
+};
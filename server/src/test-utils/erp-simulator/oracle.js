@@ -0,0 +1,208 @@
+/**
+ * oracle.js
+ *
+ * Oracle ERP Cloud REST dialect of the ERP simulator. Tokens come from
+ * POST /auth/oauth2/v1/token and are sent as Bearer authorization.
+ * Collections return `items` pages with `hasMore`, selected with limit,
+ * offset and a `q` finder of field=value clauses separated by semicolons.
+ * Entities are addressed by ID or business number, e.g. /suppliers/V-1001.
+ */
+
+const express = require('express');
+const { STATUS_CODES } = require('http');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 500;
+
+// Collections by endpoint: the data they hold and the fields that identify entities
+const ORACLE_COLLECTIONS = {
+  '/suppliers': { data: 'suppliers', keys: ['id', 'supplierNumber'] },
+  '/procurement/purchaseOrders': { data: 'purchaseOrders', keys: ['id', 'orderNumber'] },
+  '/inventory/items': { data: 'inventoryItems', keys: ['id', 'itemNumber'] },
+  '/manufacturing/workOrders': { data: 'workOrders', keys: ['id', 'workOrderNumber'] },
+  '/quality/inspections': { data: 'inspections', keys: ['id'] }
+};
+
+/**
+ * Build an Oracle REST error body
+ * @param {number} status HTTP status
+ * @param {string} message Error message
+ * @returns {Object} Error body
+ */
+const errorBody = (status, message) => ({
+  title: STATUS_CODES[status] || 'Error',
+  status,
+  detail: message,
+  'o:errorCode': String(status)
+});
+
+/**
+ * Read the access token from the Bearer authorization header
+ * @param {Object} req Express request
+ * @returns {string|null} Access token
+ */
+const sessionToken = (req) => {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+/**
+ * Parse a `q` finder of field=value clauses separated by semicolons
+ * @param {string} q Finder expression
+ * @returns {Function} Record predicate
+ * @throws {Error} If the finder uses unsupported syntax
+ */
+const parseQuery = (q) => {
+  const clauses = q.split(';').filter(clause => clause.trim()).map(clause => {
+    const match = clause.trim().match(/^(\w+)\s*=\s*(?:'([^']*)'|"([^"]*)"|([^'"\s]+))$/);
+    if (!match) {
+      throw new Error(`Unsupported q clause: ${clause.trim()}`);
+    }
+    const [, field, single, double, bare] = match;
+    const value = single ?? double ?? bare;
+    return record => record[field] !== undefined && record[field] !== null && String(record[field]) === value;
+  });
+
+  return record => clauses.every(clause => clause(record));
+};
+
+/**
+ * Split a request path into its collection and entity key
+ * @param {string} path Request path below the provider prefix
+ * @returns {{ path: string, definition: Object, key: string|null }|null} Resolved collection
+ */
+const resolve = (path) => {
+  const collectionPath = Object.keys(ORACLE_COLLECTIONS).find(candidate => (
+    path === candidate || path.startsWith(`${candidate}/`)
+  ));
+  if (!collectionPath) return null;
+
+  const rest = path.slice(collectionPath.length + 1);
+  if (rest.includes('/')) return null;
+  return {
+    path: collectionPath,
+    definition: ORACLE_COLLECTIONS[collectionPath],
+    key: rest ? decodeURIComponent(rest) : null
+  };
+};
+
+/**
+ * Create the Oracle ERP Cloud REST router
+ * @param {Object} simulator ERP simulator
+ * @returns {Object} Express router
+ */
+const createOracleRouter = (simulator) => {
+  const router = express.Router();
+
+  router.post('/auth/oauth2/v1/token', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, username, password } = req.body || {};
+    if (!['password', 'client_credentials'].includes(grantType)) {
+      return res.status(400).json({ error: 'unsupported_grant_type', error_description: `Grant type ${grantType} is not supported` });
+    }
+    if (!clientId || (grantType === 'password' && (!username || !password))) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Client or user credentials are missing' });
+    }
+
+    const session = simulator.createSession('oracle', { user: username || clientId });
+    res.json({
+      access_token: session.token,
+      token_type: 'Bearer',
+      expires_in: simulator.scenario.auth.lifetimeSeconds
+    });
+  });
+
+  // Everything else needs a live token
+  router.use((req, res, next) => {
+    if (!simulator.useSession('oracle', sessionToken(req))) {
+      return res.status(401).json(errorBody(401, 'Access token is invalid or has expired'));
+    }
+    next();
+  });
+
+  router.all('*', (req, res) => {
+    const target = resolve(req.path);
+    if (!target) {
+      return res.status(404).json(errorBody(404, `No resource found at ${req.path}`));
+    }
+
+    const { definition, key } = target;
+    const collection = simulator.data.oracle[definition.data];
+    const href = `${req.protocol}://${req.get('host')}${req.baseUrl}${target.path}`;
+
+    if (!key && req.method === 'GET') {
+      let predicate = () => true;
+      try {
+        if (req.query.q) predicate = parseQuery(req.query.q);
+      } catch (error) {
+        return res.status(400).json(errorBody(400, error.message));
+      }
+
+      const records = collection.filter(predicate);
+      const offset = parseInt(req.query.offset, 10) || 0;
+      const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, simulator.scenario.pageSize || MAX_LIMIT);
+      const items = records.slice(offset, offset + limit);
+
+      const body = {
+        items,
+        count: items.length,
+        hasMore: offset + items.length < records.length,
+        limit,
+        offset,
+        links: [{ rel: 'self', href }]
+      };
+      if (req.query.totalResults === 'true') body.totalResults = records.length;
+      return res.json(body);
+    }
+
+    if (!key && req.method === 'POST') {
+      const duplicate = definition.keys.slice(1).find(field => (
+        req.body && req.body[field] !== undefined && collection.some(item => item[field] === req.body[field])
+      ));
+      if (duplicate) {
+        return res.status(400).json(errorBody(400, `A record with ${duplicate} ${req.body[duplicate]} already exists`));
+      }
+
+      const last = collection.reduce((max, item) => Math.max(max, item.id), 0);
+      const record = { ...req.body, id: last + 1 };
+      collection.push(record);
+      return res.status(201).json(record);
+    }
+
+    if (!key) {
+      return res.status(405).json(errorBody(405, `Method ${req.method} is not allowed on ${target.path}`));
+    }
+
+    const index = collection.findIndex(record => definition.keys.some(field => String(record[field]) === key));
+    if (index === -1) {
+      return res.status(404).json(errorBody(404, `No record ${key} found at ${target.path}`));
+    }
+
+    const current = collection[index];
+    switch (req.method) {
+      case 'GET':
+        return res.json(current);
+      case 'PUT':
+        collection[index] = { ...req.body, id: current.id };
+        return res.json(collection[index]);
+      case 'PATCH':
+        collection[index] = { ...current, ...req.body, id: current.id };
+        return res.json(collection[index]);
+      case 'DELETE':
+        collection.splice(index, 1);
+        return res.status(204).end();
+      default:
+        return res.status(405).json(errorBody(405, `Method ${req.method} is not allowed on ${target.path}`));
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  name: 'oracle',
+  errorBody,
+  sessionToken,
+  createRouter: createOracleRouter,
+  ORACLE_COLLECTIONS,
+  parseQuery
+};
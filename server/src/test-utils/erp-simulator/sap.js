@@ -0,0 +1,229 @@
+/**
+ * sap.js
+ *
+ * SAP Business One Service Layer dialect of the ERP simulator. Sessions are
+ * opened with POST /b1s/v1/Login and carried in the B1SESSION cookie.
+ * Collections are OData: `value` arrays paged with `odata.nextLink`, $filter
+ * (eq/ne joined with and), $select, $top and $skip, and entities addressed
+ * as BusinessPartners('V-1001') or PurchaseOrders(501). Collections are
+ * served both at the root, where the connector's configured endpoints point,
+ * and below /b1s/v1 as on a real Service Layer.
+ */
+
+const express = require('express');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Collections by endpoint, with the key of their entities
+const SAP_COLLECTIONS = {
+  BusinessPartners: { key: 'CardCode' },
+  PurchaseOrders: { key: 'DocEntry', numbered: 'DocNum' },
+  Inventory: { key: 'ItemCode' },
+  ProductionOrders: { key: 'DocEntry', numbered: 'DocNum' },
+  QualityControl: { key: 'DocEntry' }
+};
+
+// Service Layer error codes of the statuses the simulator returns
+const SAP_ERROR_CODES = {
+  400: -5002,
+  401: 301,
+  404: -2028
+};
+
+const ENTITY_PATH = /^\/([A-Za-z]+)(?:\((?:'((?:[^']|'')*)'|(\d+))\))?$/;
+
+/**
+ * Build a Service Layer error body
+ * @param {number} status HTTP status
+ * @param {string} message Error message
+ * @returns {Object} Error body
+ */
+const errorBody = (status, message) => ({
+  error: {
+    code: SAP_ERROR_CODES[status] || -1,
+    message: { lang: 'en-us', value: message }
+  }
+});
+
+/**
+ * Read the session ID from the B1SESSION cookie
+ * @param {Object} req Express request
+ * @returns {string|null} Session ID
+ */
+const sessionToken = (req) => {
+  const match = (req.headers.cookie || '').match(/(?:^|;\s*)B1SESSION=([^;]+)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Parse an OData $filter of eq/ne comparisons joined with and
+ * @param {string} filter $filter expression
+ * @returns {Function} Record predicate
+ * @throws {Error} If the filter uses unsupported syntax
+ */
+const parseFilter = (filter) => {
+  const clauses = filter.split(/\s+and\s+/i).map(clause => {
+    const match = clause.trim().match(/^(\w+)\s+(eq|ne)\s+(?:'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)|(true|false|null))$/i);
+    if (!match) {
+      throw new Error(`Unsupported $filter clause: ${clause.trim()}`);
+    }
+    const [, field, operator, text, number, literal] = match;
+    let value;
+    if (text !== undefined) value = text.replace(/''/g, '\'');
+    else if (number !== undefined) value = Number(number);
+    else value = JSON.parse(literal.toLowerCase());
+
+    return record => ((record[field] ?? null) === value) === (operator.toLowerCase() === 'eq');
+  });
+
+  return record => clauses.every(clause => clause(record));
+};
+
+/**
+ * Keep the $select fields of a record
+ * @param {Object} record Entity
+ * @param {string} [select] Comma-separated field names
+ * @returns {Object} Projected entity
+ */
+const project = (record, select) => {
+  if (!select) return record;
+  return select.split(',').map(field => field.trim()).reduce((projected, field) => {
+    if (field in record) projected[field] = record[field];
+    return projected;
+  }, {});
+};
+
+/**
+ * Create the SAP Service Layer router
+ * @param {Object} simulator ERP simulator
+ * @returns {Object} Express router
+ */
+const createSapRouter = (simulator) => {
+  const router = express.Router();
+  const data = () => simulator.data.sap;
+
+  router.post('/b1s/v1/Login', (req, res) => {
+    const { CompanyDB, UserName, Password } = req.body || {};
+    if (!UserName || !Password) {
+      return res.status(401).json(errorBody(401, 'Invalid login credential.'));
+    }
+
+    const session = simulator.createSession('sap', { user: UserName, companyDb: CompanyDB });
+    res.cookie('B1SESSION', session.token, { httpOnly: true });
+    res.json({
+      'odata.metadata': `${req.protocol}://${req.get('host')}${req.baseUrl}/b1s/v1/$metadata#B1Sessions/@Element`,
+      SessionId: session.token,
+      Version: '1000190',
+      SessionTimeout: Math.ceil(simulator.scenario.auth.lifetimeSeconds / 60)
+    });
+  });
+
+  router.post('/b1s/v1/Logout', (req, res) => {
+    simulator.endSession(sessionToken(req));
+    res.status(204).end();
+  });
+
+  // Everything else needs a live session
+  router.use((req, res, next) => {
+    if (!simulator.useSession('sap', sessionToken(req))) {
+      return res.status(401).json(errorBody(401, 'Invalid session.'));
+    }
+    next();
+  });
+
+  router.all('*', (req, res) => {
+    const match = decodeURIComponent(req.path).replace(/^\/b1s\/v1(?=\/)/, '').match(ENTITY_PATH);
+    const collectionName = match && match[1];
+    const definition = collectionName && SAP_COLLECTIONS[collectionName];
+    if (!definition) {
+      return res.status(404).json(errorBody(404, `Resource not found for the segment '${req.path.slice(1)}'.`));
+    }
+
+    const collection = data()[collectionName];
+    const hasKey = match[2] !== undefined || match[3] !== undefined;
+    const key = match[2] !== undefined ? match[2].replace(/''/g, '\'') : Number(match[3]);
+
+    if (!hasKey && req.method === 'GET') {
+      let predicate = () => true;
+      try {
+        if (req.query.$filter) predicate = parseFilter(req.query.$filter);
+      } catch (error) {
+        return res.status(400).json(errorBody(400, error.message));
+      }
+
+      const records = collection.filter(predicate);
+      const skip = parseInt(req.query.$skip, 10) || 0;
+      const top = req.query.$top !== undefined ? parseInt(req.query.$top, 10) : null;
+      const pageSize = simulator.scenario.pageSize || DEFAULT_PAGE_SIZE;
+      const page = records.slice(skip, skip + Math.min(top ?? pageSize, pageSize));
+
+      const body = {
+        'odata.metadata': `${req.protocol}://${req.get('host')}${req.baseUrl}/b1s/v1/$metadata#${collectionName}`,
+        value: page.map(record => project(record, req.query.$select))
+      };
+
+      const remaining = top === null ? Infinity : top - page.length;
+      if (skip + page.length < records.length && remaining > 0) {
+        const next = new URLSearchParams();
+        ['$filter', '$select'].forEach(option => {
+          if (req.query[option]) next.set(option, req.query[option]);
+        });
+        if (top !== null) next.set('$top', String(remaining));
+        next.set('$skip', String(skip + page.length));
+        body['odata.nextLink'] = `${collectionName}?${next.toString()}`;
+      }
+      return res.json(body);
+    }
+
+    if (!hasKey && req.method === 'POST') {
+      const record = { ...req.body };
+      if (definition.key === 'DocEntry') {
+        const last = collection.reduce((max, item) => Math.max(max, item.DocEntry), 0);
+        record.DocEntry = last + 1;
+        if (definition.numbered) record[definition.numbered] = record.DocEntry;
+      } else if (!record[definition.key]) {
+        return res.status(400).json(errorBody(400, `Field '${definition.key}' is required.`));
+      } else if (collection.some(item => item[definition.key] === record[definition.key])) {
+        return res.status(400).json(errorBody(400, `This entry already exists in the following tables (ODBC -2035): ${record[definition.key]}`));
+      }
+      collection.push(record);
+      return res.status(201).json(record);
+    }
+
+    if (!hasKey) {
+      return res.status(405).json(errorBody(405, `Method ${req.method} is not allowed on ${collectionName}.`));
+    }
+
+    const index = collection.findIndex(record => record[definition.key] === key);
+    if (index === -1) {
+      return res.status(404).json(errorBody(404, 'No matching records found (ODBC -2028)'));
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return res.json(project(collection[index], req.query.$select));
+      case 'PATCH':
+        collection[index] = { ...collection[index], ...req.body, [definition.key]: collection[index][definition.key] };
+        return res.status(204).end();
+      case 'PUT':
+        collection[index] = { ...req.body, [definition.key]: collection[index][definition.key] };
+        return res.status(204).end();
+      case 'DELETE':
+        collection.splice(index, 1);
+        return res.status(204).end();
+      default:
+        return res.status(405).json(errorBody(405, `Method ${req.method} is not allowed on ${collectionName}.`));
+    }
+  });
+
+  return router;
+};
+
+module.exports = {
+  name: 'sap',
+  errorBody,
+  sessionToken,
+  createRouter: createSapRouter,
+  SAP_COLLECTIONS,
+  parseFilter
+};
@@ -0,0 +1,170 @@
+/**
+ * scenario.js
+ *
+ * Scenario scripting for the ERP simulator. A scenario sets the page size,
+ * base latency and session lifetime, and lists rules. Each rule matches
+ * requests by provider, method, path and request body fields, and delays,
+ * fails, drops or expires the session of the requests it applies to.
+ *
+ * Rules count the requests they match, so `skip` and `times` script bursts
+ * deterministically: { skip: 1, times: 2, status: 503 } lets the first
+ * matching request through, fails the next two and passes the rest.
+ */
+
+const PROVIDERS = ['sap', 'oracle'];
+
+const DEFAULT_AUTH = {
+  // Lifetime reported to clients and enforced by the simulator
+  lifetimeSeconds: 1800,
+  // Expire a session after this many authenticated requests (null: never)
+  expiresAfterRequests: null
+};
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+/**
+ * Check a scenario definition
+ * @param {Object} definition Scenario definition
+ * @throws {Error} If a setting or rule is invalid
+ */
+const validateScenario = (definition) => {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('A scenario must be an object');
+  }
+  if (definition.pageSize !== undefined && definition.pageSize !== null &&
+      !(Number.isInteger(definition.pageSize) && definition.pageSize > 0)) {
+    throw new Error('Scenario pageSize must be a positive integer');
+  }
+  if (definition.latencyMs !== undefined && !isCount(definition.latencyMs)) {
+    throw new Error('Scenario latencyMs must be a non-negative integer');
+  }
+
+  const auth = definition.auth || {};
+  if (auth.lifetimeSeconds !== undefined && !(Number.isInteger(auth.lifetimeSeconds) && auth.lifetimeSeconds > 0)) {
+    throw new Error('Scenario auth.lifetimeSeconds must be a positive integer');
+  }
+  if (auth.expiresAfterRequests !== undefined && auth.expiresAfterRequests !== null &&
+      !(Number.isInteger(auth.expiresAfterRequests) && auth.expiresAfterRequests > 0)) {
+    throw new Error('Scenario auth.expiresAfterRequests must be a positive integer');
+  }
+
+  if (definition.rules !== undefined && !Array.isArray(definition.rules)) {
+    throw new Error('Scenario rules must be an array');
+  }
+  (definition.rules || []).forEach((rule, index) => {
+    const label = `Scenario rule ${index}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    if (rule.provider !== undefined && !PROVIDERS.includes(rule.provider)) {
+      throw new Error(`${label} provider must be one of ${PROVIDERS.join(', ')}`);
+    }
+    if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 400 && rule.status <= 599)) {
+      throw new Error(`${label} status must be an HTTP error status`);
+    }
+    ['skip', 'times', 'latencyMs', 'retryAfter'].forEach(field => {
+      if (rule[field] !== undefined && !isCount(rule[field])) {
+        throw new Error(`${label} ${field} must be a non-negative integer`);
+      }
+    });
+    if (rule.record !== undefined && (!rule.record || typeof rule.record !== 'object')) {
+      throw new Error(`${label} record must be an object of request body fields`);
+    }
+  });
+};
+
+/**
+ * Match a request path against a rule path; a trailing * matches any suffix
+ * @param {string} pattern Rule path
+ * @param {string} path Request path below the provider prefix
+ * @returns {boolean} Whether the path matches
+ */
+const matchesPath = (pattern, path) => (
+  pattern.endsWith('*') ? path.startsWith(pattern.slice(0, -1)) : path === pattern
+);
+
+class Scenario {
+  /**
+   * @param {Object} [definition] Scenario definition
+   * @param {string} [definition.name] Scenario name
+   * @param {string} [definition.description] What the scenario simulates
+   * @param {number} [definition.pageSize] Records per page of collection reads
+   * @param {number} [definition.latencyMs] Delay added to every request
+   * @param {Object} [definition.auth] Session lifetime settings
+   * @param {Array<Object>} [definition.rules] Request rules
+   */
+  constructor(definition = {}) {
+    validateScenario(definition);
+
+    this.name = definition.name || 'custom';
+    this.description = definition.description || '';
+    this.pageSize = definition.pageSize || null;
+    this.latencyMs = definition.latencyMs || 0;
+    this.auth = { ...DEFAULT_AUTH, ...definition.auth };
+    this.rules = (definition.rules || []).map(rule => ({ ...rule, matched: 0 }));
+  }
+
+  /**
+   * Check whether a rule matches a request
+   * @param {Object} rule Scenario rule
+   * @param {Object} request Simulator request with provider, method, path and body
+   * @returns {boolean} Whether the rule matches
+   * @private
+   */
+  matches(rule, request) {
+    if (rule.provider && rule.provider !== request.provider) return false;
+    if (rule.method && rule.method.toUpperCase() !== request.method) return false;
+    if (rule.path && !matchesPath(rule.path, request.path)) return false;
+    if (rule.record) {
+      const body = request.body && typeof request.body === 'object' ? request.body : {};
+      return Object.entries(rule.record).every(([field, value]) => body[field] === value);
+    }
+    return true;
+  }
+
+  /**
+   * Work out what the scenario does to a request
+   * @param {Object} request Simulator request with provider, method, path and body
+   * @returns {{ latencyMs: number, failure: Object|null }} Delay, and the rule failing the request
+   */
+  apply(request) {
+    let latencyMs = this.latencyMs;
+    let failure = null;
+
+    this.rules.forEach(rule => {
+      if (!this.matches(rule, request)) return;
+
+      rule.matched += 1;
+      const skip = rule.skip || 0;
+      if (rule.matched <= skip || (rule.times !== undefined && rule.matched > skip + rule.times)) return;
+
+      latencyMs += rule.latencyMs || 0;
+      if (!failure && (rule.status || rule.drop || rule.expireSession)) {
+        failure = rule;
+      }
+    });
+
+    return { latencyMs, failure };
+  }
+
+  /**
+   * Describe the scenario and how many requests each rule has matched
+   * @returns {Object} Scenario description
+   */
+  describe() {
+    return {
+      name: this.name,
+      description: this.description,
+      pageSize: this.pageSize,
+      latencyMs: this.latencyMs,
+      auth: { ...this.auth },
+      rules: this.rules.map(rule => ({ ...rule }))
+    };
+  }
+}
+
+module.exports = {
+  Scenario,
+  PROVIDERS,
+  validateScenario
+};
@@ -0,0 +1,67 @@
+/**
+ * scenarios.js
+ *
+ * Named ERP simulator scenarios, loadable with --scenario on the command
+ * line or by name through the control API. Reads are GET requests below the
+ * provider prefix; the login and token requests are left alone unless a
+ * scenario targets them.
+ */
+
+const SCENARIOS = {
+  default: {
+    description: 'Well-behaved ERP: no latency, failures or early session expiry'
+  },
+  slow: {
+    description: 'Every request takes 750 ms',
+    latencyMs: 750
+  },
+  'rate-limited': {
+    description: 'The first three reads are rejected with 429 and Retry-After: 1',
+    rules: [{ method: 'GET', times: 3, status: 429, retryAfter: 1 }]
+  },
+  flaky: {
+    description: 'After the first read, the next two fail with 503; then reads recover',
+    rules: [{ method: 'GET', skip: 1, times: 2, status: 503 }]
+  },
+  outage: {
+    description: 'Every read fails with 503 until the scenario is changed',
+    rules: [{ method: 'GET', status: 503 }]
+  },
+  'connection-drops': {
+    description: 'The first two reads lose their connection without a response',
+    rules: [{ method: 'GET', times: 2, drop: true }]
+  },
+  'token-expiry': {
+    description: 'Sessions and tokens expire after three authenticated requests',
+    auth: { expiresAfterRequests: 3 }
+  },
+  paginated: {
+    description: 'Collection reads return two records per page',
+    pageSize: 2
+  },
+  'partial-failure': {
+    description: 'Creating supplier V-9001 is rejected with 400; other writes succeed',
+    rules: [
+      { provider: 'sap', method: 'POST', path: '/BusinessPartners', record: { CardCode: 'V-9001' }, status: 400, message: 'Business partner V-9001 is blocked for posting' },
+      { provider: 'oracle', method: 'POST', path: '/suppliers', record: { supplierNumber: 'V-9001' }, status: 400, message: 'Supplier V-9001 is blocked for posting' }
+    ]
+  }
+};
+
+/**
+ * Get the definition of a named scenario
+ * @param {string} name Scenario name
+ * @returns {Object} Scenario definition
+ * @throws {Error} If there is no scenario of that name
+ */
+const getScenario = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(SCENARIOS, name)) {
+    throw new Error(`Unknown ERP simulator scenario: ${name}. Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+  return { name, ...JSON.parse(JSON.stringify(SCENARIOS[name])) };
+};
+
+module.exports = {
+  SCENARIOS,
+  getScenario
+};
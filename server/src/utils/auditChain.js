@@ -0,0 +1,317 @@
+/**
+ * Hash chain primitives for the audit log
+ *
+ * Every audit record carries the SHA-256 hash of its predecessor in its
+ * tenant's chain, so changing, removing or reordering a record breaks the
+ * link to the next one. Signed checkpoints pin the head of a chain at a
+ * point in time, which catches a chain rewritten from some record onwards.
+ *
+ * Only Node's crypto module is used, so scripts/verify-audit-export.js can
+ * check an export offline with the same code the server writes it with.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT = 'aerosuite-audit-chain';
+const FORMAT_VERSION = 1;
+
+// prevHash of the first record of every chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by a record's hash, in addition to its chain position
+const HASHED_FIELDS = [
+  '_id', 'tenantId', 'sequence', 'prevHash',
+  'eventType', 'severity',
+  'userId', 'userEmail', 'userName', 'userRole',
+  'targetType', 'targetId', 'targetName',
+  'action', 'description',
+  'ipAddress', 'userAgent', 'requestMethod', 'requestPath', 'requestId',
+  'metadata', 'changes',
+  'success', 'errorCode', 'errorMessage',
+  'retentionDate', 'complianceTags', 'createdAt'
+];
+
+/**
+ * Reduce a value to JSON with sorted keys, dropping empty values, so a
+ * record hashes the same before it is stored, read back or exported
+ * @param {*} value Value to canonicalize
+ * @returns {*} Canonical value, undefined if empty
+ */
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return undefined;
+    }
+    return value.map(item => {
+      const canonical = canonicalize(item);
+      return canonical === undefined ? null : canonical;
+    });
+  }
+  if (typeof value === 'object') {
+    // ObjectIds hash as their hex string, as they export
+    if (typeof value.toHexString === 'function') {
+      return value.toHexString();
+    }
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const canonical = canonicalize(value[key]);
+      if (canonical !== undefined) {
+        result[key] = canonical;
+      }
+    });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value;
+};
+
+/**
+ * Serialize a value canonically
+ * @param {*} value Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const serialize = value => JSON.stringify(canonicalize(value) ?? {});
+
+/**
+ * Hash an audit record over its hashed fields
+ * @param {Object} record Audit record
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecord = (record) => {
+  const fields = {};
+  HASHED_FIELDS.forEach(field => {
+    fields[field] = record[field];
+  });
+  return crypto.createHash('sha256').update(serialize(fields)).digest('hex');
+};
+
+/**
+ * Check a record's link to its predecessor and its own hash
+ * @param {Object} record Audit record
+ * @param {Object|null} previous Predecessor's sequence and hash, null if unknown
+ * @returns {Object|null} Reason with expected and actual values, null if intact
+ */
+const checkLink = (record, previous) => {
+  const expectedSequence = previous ? previous.sequence + 1 : 1;
+  if (record.sequence !== expectedSequence) {
+    return { reason: 'missing_record', expected: expectedSequence, actual: record.sequence };
+  }
+
+  const expectedPrevHash = previous ? previous.hash : GENESIS_HASH;
+  if (record.prevHash !== expectedPrevHash) {
+    return { reason: 'prev_hash_mismatch', expected: expectedPrevHash, actual: record.prevHash };
+  }
+
+  // Pruned records no longer hold the content their hash covers
+  if (!record.pruned) {
+    const hash = hashRecord(record);
+    if (hash !== record.hash) {
+      return { reason: 'hash_mismatch', expected: hash, actual: record.hash };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Fields of a checkpoint covered by its signature
+ * @param {Object} checkpoint Checkpoint
+ * @returns {Object} Signed fields
+ */
+const checkpointPayload = checkpoint => ({
+  tenantId: checkpoint.tenantId,
+  sequence: checkpoint.sequence,
+  hash: checkpoint.hash,
+  signedAt: checkpoint.signedAt
+});
+
+/**
+ * Sign a checkpoint
+ * @param {Object} checkpoint Checkpoint fields
+ * @param {string|Buffer|KeyObject} privateKey Signing key
+ * @returns {string} Base64 RSA-SHA256 signature
+ */
+const signCheckpoint = (checkpoint, privateKey) =>
+  crypto.sign('sha256', Buffer.from(serialize(checkpointPayload(checkpoint))), privateKey).toString('base64');
+
+/**
+ * Verify a checkpoint's signature
+ * @param {Object} checkpoint Checkpoint with signature
+ * @param {string} publicKey PEM public key
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyCheckpointSignature = (checkpoint, publicKey) => {
+  try {
+    return crypto.verify(
+      'sha256',
+      Buffer.from(serialize(checkpointPayload(checkpoint))),
+      publicKey,
+      Buffer.from(checkpoint.signature || '', 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Fingerprint a public key, for auditors to compare with the published one
+ * @param {string} publicKey PEM public key
+ * @returns {string} SHA-256 hex digest of the DER encoded key
+ */
+const keyFingerprint = publicKey => crypto
+  .createHash('sha256')
+  .update(crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' }))
+  .digest('hex');
+
+/**
+ * Create a verifier fed a chain's records in sequence order
+ * @param {Object} options Verifier options
+ * @param {Object|null} options.anchor Sequence and hash of the record before the first one fed
+ * @param {Object[]} options.checkpoints Checkpoints to check, with their public keys
+ * @param {string[]} options.trustedFingerprints Fingerprints of keys checkpoints may be signed with
+ * @returns {Object} Verifier with add(record) and result()
+ */
+const createChainVerifier = ({ anchor = null, checkpoints = [], trustedFingerprints = [] } = {}) => {
+  const pending = new Map();
+  const invalidCheckpoints = [];
+  let previous = anchor;
+  let brokenLink = null;
+  let verified = 0;
+  let pruned = 0;
+  let firstSequence = null;
+
+  checkpoints.forEach(checkpoint => {
+    let reason = null;
+    if (!checkpoint.publicKey || !trustedFingerprints.includes(checkpoint.keyFingerprint)) {
+      reason = 'untrusted_key';
+    } else if (keyFingerprint(checkpoint.publicKey) !== checkpoint.keyFingerprint) {
+      reason = 'key_fingerprint_mismatch';
+    } else if (!verifyCheckpointSignature(checkpoint, checkpoint.publicKey)) {
+      reason = 'invalid_signature';
+    }
+
+    if (reason) {
+      invalidCheckpoints.push({ sequence: checkpoint.sequence, signedAt: checkpoint.signedAt, reason });
+    } else {
+      pending.set(checkpoint.sequence, checkpoint);
+    }
+  });
+
+  return {
+    /**
+     * Check the next record of the chain
+     * @param {Object} record Audit record
+     * @returns {boolean} False once the chain is broken
+     */
+    add(record) {
+      if (brokenLink) {
+        return false;
+      }
+
+      let problem = checkLink(record, previous);
+      const checkpoint = pending.get(record.sequence);
+      if (!problem && checkpoint) {
+        pending.delete(record.sequence);
+        if (checkpoint.hash !== record.hash) {
+          problem = { reason: 'checkpoint_mismatch', expected: checkpoint.hash, actual: record.hash };
+        }
+      }
+      if (problem) {
+        brokenLink = { sequence: record.sequence, recordId: String(record._id), ...problem };
+        return false;
+      }
+
+      if (firstSequence === null) {
+        firstSequence = record.sequence;
+      }
+      previous = { sequence: record.sequence, hash: record.hash };
+      verified += 1;
+      if (record.pruned) {
+        pruned += 1;
+      }
+      return true;
+    },
+
+    /**
+     * Report on the records fed so far
+     * @returns {Object} Verification report
+     */
+    result() {
+      // A signed checkpoint past the last record means records were removed from the end
+      if (!brokenLink && pending.size > 0) {
+        const missing = Math.min(...pending.keys());
+        brokenLink = {
+          sequence: missing,
+          recordId: null,
+          reason: 'missing_record',
+          expected: missing,
+          actual: previous ? previous.sequence : null
+        };
+      }
+
+      return {
+        valid: !brokenLink && invalidCheckpoints.length === 0,
+        verified,
+        pruned,
+        firstSequence,
+        lastSequence: previous && verified > 0 ? previous.sequence : null,
+        brokenLink,
+        checkpoints: {
+          checked: checkpoints.length,
+          invalid: invalidCheckpoints
+        }
+      };
+    }
+  };
+};
+
+/**
+ * Verify an exported chain, as an auditor would offline
+ * @param {Object} exported Export produced by the audit log service
+ * @param {string[]} trustedFingerprints Fingerprints of the signing keys the auditor trusts
+ * @returns {Object} Verification report
+ */
+const verifyExport = (exported, trustedFingerprints = []) => {
+  if (!exported || exported.format !== FORMAT || exported.version !== FORMAT_VERSION) {
+    throw new Error(`Not a ${FORMAT} v${FORMAT_VERSION} export`);
+  }
+
+  const publicKeys = exported.publicKeys || {};
+  const verifier = createChainVerifier({
+    anchor: exported.anchor,
+    checkpoints: (exported.checkpoints || []).map(checkpoint => ({
+      ...checkpoint,
+      publicKey: publicKeys[checkpoint.keyFingerprint]
+    })),
+    trustedFingerprints
+  });
+
+  for (const record of exported.records || []) {
+    if (!verifier.add(record)) {
+      break;
+    }
+  }
+
+  return { tenantId: exported.tenantId, range: exported.range, ...verifier.result() };
+};
+
+module.exports = {
+  FORMAT,
+  FORMAT_VERSION,
+  GENESIS_HASH,
+  HASHED_FIELDS,
+  canonicalize,
+  serialize,
+  hashRecord,
+  checkLink,
+  signCheckpoint,
+  verifyCheckpointSignature,
+  keyFingerprint,
+  createChainVerifier,
+  verifyExport
+};
@@ -0,0 +1,255 @@
+/**
+ * Cron expression parsing and next-run calculation
+ *
+ * Supports standard five-field expressions (minute hour day-of-month month
+ * day-of-week) with lists, ranges, steps and month/day names, plus the
+ * @hourly, @daily, @weekly, @monthly and @yearly shorthands. Runs are
+ * calculated on the wall clock of an IANA timezone.
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  // 7 is accepted as Sunday and folded onto 0
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// Upper bound on search steps; a valid expression matches well within four years
+const MAX_SEARCH_STEPS = 100000;
+
+const formatters = new Map();
+
+/**
+ * Get a cached wall-clock formatter for a timezone
+ * @param {string} timezone IANA timezone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Check that a timezone is a valid IANA timezone
+ * @param {string} timezone Timezone name
+ * @returns {boolean} True if valid
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock time of an instant in a timezone, as a Date whose UTC
+ * fields hold the local fields
+ * @param {Date} date Instant
+ * @param {string} timezone IANA timezone
+ * @returns {Date} Wall-clock date
+ */
+const toZonedTime = (date, timezone = 'UTC') => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+};
+
+/**
+ * Get the instant at which a timezone's wall clock shows the given time.
+ * Times skipped by a daylight saving change resolve to the instant after the gap.
+ * @param {Date} wallClock Wall-clock date (UTC fields hold the local fields)
+ * @param {string} timezone IANA timezone
+ * @returns {Date} Instant
+ */
+const fromZonedTime = (wallClock, timezone = 'UTC') => {
+  const guess = wallClock.getTime();
+  const offsetAt = (instant) => toZonedTime(new Date(instant), timezone).getTime() - instant;
+
+  const first = guess - offsetAt(guess);
+  const second = guess - offsetAt(first);
+  const candidates = [first, second].sort((a, b) => a - b);
+
+  const exact = candidates.find(instant => toZonedTime(new Date(instant), timezone).getTime() === guess);
+  return new Date(exact !== undefined ? exact : candidates[1]);
+};
+
+/**
+ * Parse one field of a cron expression into the set of values it matches
+ * @param {string} source Field text
+ * @param {Object} field Field definition
+ * @returns {Set<number>} Matching values
+ */
+const parseField = (source, field) => {
+  const values = new Set();
+  const toNumber = (token) => {
+    const index = field.names ? field.names.indexOf(token.toUpperCase()) : -1;
+    const value = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(token);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`Invalid ${field.name} value "${token}"`);
+    }
+    return value;
+  };
+
+  for (const part of source.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = toNumber(from);
+      end = toNumber(to);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression Five-field cron expression or shorthand
+ * @returns {Object} Parsed expression with a set of values per field
+ * @throws {Error} If the expression is invalid
+ */
+const parse = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression is required');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const parsed = { expression: expression.trim() };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  // Day-of-month and day-of-week match either one when both are restricted
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression Cron expression
+ * @returns {boolean} True if valid
+ */
+const isValid = (expression) => {
+  try {
+    parse(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a wall-clock date falls on a day the expression matches
+ * @param {Object} parsed Parsed expression
+ * @param {Date} wallClock Wall-clock date
+ * @returns {boolean} True if the day matches
+ */
+const matchesDay = (parsed, wallClock) => {
+  const dayOfMonth = parsed.dayOfMonth.has(wallClock.getUTCDate());
+  const dayOfWeek = parsed.dayOfWeek.has(wallClock.getUTCDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+/**
+ * Calculate the next time a cron expression fires after a given instant
+ * @param {string|Object} expression Cron expression or parsed expression
+ * @param {Date} [after] Instant to search from (exclusive)
+ * @param {string} [timezone] IANA timezone the expression is written in
+ * @returns {Date} Next run
+ * @throws {Error} If the expression never fires
+ */
+const nextRun = (expression, after = new Date(), timezone = 'UTC') => {
+  const parsed = typeof expression === 'string' ? parse(expression) : expression;
+  const wallClock = toZonedTime(after, timezone);
+  wallClock.setUTCSeconds(0, 0);
+  wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!parsed.month.has(wallClock.getUTCMonth() + 1)) {
+      wallClock.setUTCMonth(wallClock.getUTCMonth() + 1, 1);
+      wallClock.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, wallClock)) {
+      wallClock.setUTCDate(wallClock.getUTCDate() + 1);
+      wallClock.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(wallClock.getUTCHours())) {
+      wallClock.setUTCHours(wallClock.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(wallClock.getUTCMinutes())) {
+      wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1, 0, 0);
+    } else {
+      const run = fromZonedTime(wallClock, timezone);
+      // A wall-clock time repeated when clocks go back only fires once
+      if (run > after) {
+        return run;
+      }
+      wallClock.setUTCMinutes(wallClock.getUTCMinutes() + 1, 0, 0);
+    }
+  }
+
+  throw new Error(`Cron expression "${parsed.expression}" does not fire on any date`);
+};
+
+module.exports = {
+  parse,
+  isValid,
+  isValidTimezone,
+  nextRun,
+  toZonedTime,
+  fromZonedTime
+};
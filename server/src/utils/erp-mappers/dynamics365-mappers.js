@@ -0,0 +1,359 @@
+/**
+ * Microsoft Dynamics 365 Data Mappers
+ *
+ * This module provides utility functions for mapping data between
+ * AeroSuite models and Dynamics 365 Finance & Operations data entities.
+ */
+
+/**
+ * Map Dynamics 365 vendor data to AeroSuite supplier format
+ *
+ * @param {Object} d365Vendor - Vendor data from Dynamics 365 (VendorsV2)
+ * @returns {Object} - Supplier data for AeroSuite
+ */
+function mapDynamicsVendorToSupplier(d365Vendor) {
+  // Skip if no data
+  if (!d365Vendor) return null;
+
+  return {
+    id: d365Vendor.VendorAccountNumber,
+    code: d365Vendor.VendorAccountNumber,
+    name: d365Vendor.VendorOrganizationName,
+    email: d365Vendor.PrimaryEmailAddress,
+    phone: d365Vendor.PrimaryPhoneNumber,
+    website: d365Vendor.PrimaryURL,
+    address: {
+      street: d365Vendor.AddressStreet,
+      city: d365Vendor.AddressCity,
+      state: d365Vendor.AddressState,
+      zipCode: d365Vendor.AddressZipCode,
+      country: d365Vendor.AddressCountryRegionId
+    },
+    status: mapDynamicsVendorStatus(d365Vendor.OnHoldStatus),
+    contactPerson: d365Vendor.PrimaryContactPersonName,
+    paymentTerms: d365Vendor.PaymentTermsName,
+    updatedAt: d365Vendor.ModifiedDateTime,
+    sourceSystem: 'Dynamics365',
+    sourceId: d365Vendor.VendorAccountNumber,
+    lastSyncedAt: new Date(),
+    erpSynced: true
+  };
+}
+
+/**
+ * Map AeroSuite supplier to Dynamics 365 vendor format
+ *
+ * @param {Object} supplier - Supplier data from AeroSuite
+ * @returns {Object} - Vendor data for Dynamics 365
+ */
+function mapSupplierToDynamicsVendor(supplier) {
+  // Skip if no data
+  if (!supplier) return null;
+
+  return {
+    VendorAccountNumber: supplier.code,
+    VendorOrganizationName: supplier.name,
+    PrimaryEmailAddress: supplier.email,
+    PrimaryPhoneNumber: supplier.phone,
+    PrimaryURL: supplier.website,
+    AddressStreet: supplier.address?.street,
+    AddressCity: supplier.address?.city,
+    AddressState: supplier.address?.state,
+    AddressZipCode: supplier.address?.zipCode,
+    AddressCountryRegionId: supplier.address?.country,
+    OnHoldStatus: mapAeroSuiteSupplierStatus(supplier.status),
+    PrimaryContactPersonName: supplier.contactPerson || supplier.contactName,
+    PaymentTermsName: supplier.paymentTerms
+  };
+}
+
+/**
+ * Map Dynamics 365 quality order to AeroSuite inspection format
+ *
+ * @param {Object} qualityOrder - Quality order from Dynamics 365
+ * @returns {Object} - Inspection data for AeroSuite
+ */
+function mapDynamicsQualityOrderToInspection(qualityOrder) {
+  // Skip if no data
+  if (!qualityOrder) return null;
+
+  return {
+    id: qualityOrder.QualityOrderId,
+    inspectionNumber: qualityOrder.QualityOrderId,
+    type: mapDynamicsReferenceType(qualityOrder.ReferenceType),
+    itemCode: qualityOrder.ItemNumber,
+    supplierCode: qualityOrder.VendorAccountNumber,
+    inspector: qualityOrder.InspectorPersonnelNumber,
+    date: qualityOrder.CreatedDateTime,
+    quantity: qualityOrder.TestQuantity,
+    status: qualityOrder.QualityOrderStatus === 'Open' ? 'in-progress' : 'completed',
+    result: mapDynamicsQualityOrderResult(qualityOrder.QualityOrderStatus),
+    notes: qualityOrder.Notes,
+    externalReference: qualityOrder.ExternalReference,
+    updatedAt: qualityOrder.ModifiedDateTime,
+    sourceSystem: 'Dynamics365',
+    sourceId: qualityOrder.QualityOrderId,
+    lastSyncedAt: new Date(),
+    erpSynced: true
+  };
+}
+
+/**
+ * Map AeroSuite inspection to Dynamics 365 quality order format
+ *
+ * @param {Object} inspection - Inspection data from AeroSuite
+ * @returns {Object} - Quality order data for Dynamics 365
+ */
+function mapInspectionToDynamicsQualityOrder(inspection) {
+  // Skip if no data
+  if (!inspection) return null;
+
+  // Extract supplier code from populated supplier or use the code directly
+  let supplierCode = inspection.supplierCode;
+  if (inspection.supplier) {
+    supplierCode = typeof inspection.supplier === 'object' ?
+      inspection.supplier.code : inspection.supplier;
+  }
+
+  return {
+    ReferenceType: mapAeroSuiteInspectionType(inspection.type),
+    ItemNumber: inspection.itemCode,
+    VendorAccountNumber: supplierCode,
+    InspectorPersonnelNumber: inspection.inspector,
+    TestQuantity: inspection.quantity,
+    QualityOrderStatus: mapAeroSuiteInspectionResult(inspection.result),
+    Notes: inspection.notes,
+    ExternalReference: inspection.externalReference
+  };
+}
+
+/**
+ * Map Dynamics 365 purchase order to AeroSuite format
+ *
+ * @param {Object} d365PO - Purchase order header from Dynamics 365, with its lines
+ * @returns {Object} - Purchase order data for AeroSuite
+ */
+function mapDynamicsPurchaseOrderToAeroSuite(d365PO) {
+  // Skip if no data
+  if (!d365PO) return null;
+
+  const items = (d365PO.PurchaseOrderLines || []).map(line => ({
+    lineNumber: line.LineNumber,
+    itemCode: line.ItemNumber,
+    description: line.LineDescription,
+    quantity: line.OrderedPurchaseQuantity,
+    unitPrice: line.PurchasePrice,
+    totalPrice: line.LineAmount
+  }));
+
+  return {
+    id: d365PO.PurchaseOrderNumber,
+    orderNumber: d365PO.PurchaseOrderNumber,
+    supplier: {
+      code: d365PO.OrderVendorAccountNumber,
+      name: d365PO.VendorName
+    },
+    date: d365PO.AccountingDate,
+    dueDate: d365PO.RequestedDeliveryDate,
+    status: mapDynamicsPurchaseOrderStatus(d365PO.PurchaseOrderStatus),
+    total: items.reduce((sum, item) => sum + (item.totalPrice || 0), 0),
+    items,
+    sourceSystem: 'Dynamics365',
+    sourceId: d365PO.PurchaseOrderNumber,
+    lastSyncedAt: new Date(),
+    erpSynced: true
+  };
+}
+
+/**
+ * Map AeroSuite purchase order to Dynamics 365 format
+ *
+ * @param {Object} purchaseOrder - Purchase order data from AeroSuite
+ * @returns {Object} - Purchase order data for Dynamics 365
+ */
+function mapAeroSuitePurchaseOrderToDynamics(purchaseOrder) {
+  // Skip if no data
+  if (!purchaseOrder) return null;
+
+  // Extract supplier code from populated supplier or use the code directly
+  let supplierCode = purchaseOrder.vendorCode || purchaseOrder.supplierCode;
+  if (purchaseOrder.supplier) {
+    supplierCode = typeof purchaseOrder.supplier === 'object' ?
+      purchaseOrder.supplier.code : purchaseOrder.supplier;
+  }
+
+  return {
+    OrderVendorAccountNumber: supplierCode,
+    AccountingDate: purchaseOrder.date,
+    RequestedDeliveryDate: purchaseOrder.dueDate,
+    PurchaseOrderName: purchaseOrder.notes,
+    PurchaseOrderLines: (purchaseOrder.items || []).map((item, index) => ({
+      LineNumber: index + 1,
+      ItemNumber: item.itemCode,
+      OrderedPurchaseQuantity: item.quantity,
+      PurchasePrice: item.unitPrice
+    }))
+  };
+}
+
+/**
+ * Map Dynamics 365 released product to AeroSuite inventory item
+ *
+ * @param {Object} product - Released product with on-hand quantity
+ * @returns {Object} - Inventory item for AeroSuite
+ */
+function mapDynamicsProductToInventoryItem(product) {
+  // Skip if no data
+  if (!product) return null;
+
+  return {
+    itemCode: product.ItemNumber,
+    description: product.ProductName,
+    quantityOnHand: product.AvailableOnHandQuantity || 0,
+    quantityOnOrder: product.OrderedQuantity || 0,
+    unitOfMeasure: product.InventoryUnitSymbol,
+    sourceSystem: 'Dynamics365',
+    sourceId: product.ItemNumber
+  };
+}
+
+/**
+ * Map Dynamics 365 vendor hold status to AeroSuite status
+ *
+ * @param {string} onHoldStatus - OnHoldStatus from Dynamics 365
+ * @returns {string} - Status for AeroSuite
+ */
+function mapDynamicsVendorStatus(onHoldStatus) {
+  switch (onHoldStatus) {
+    case 'All':
+      return 'inactive';
+    case 'Invoice':
+    case 'Payment':
+    case 'Requisition':
+      // Partially on hold
+      return 'probation';
+    default:
+      return 'active';
+  }
+}
+
+/**
+ * Map AeroSuite supplier status to Dynamics 365 hold status
+ *
+ * @param {string} status - Status from AeroSuite
+ * @returns {string} - OnHoldStatus for Dynamics 365
+ */
+function mapAeroSuiteSupplierStatus(status) {
+  switch (status) {
+    case 'inactive':
+    case 'pending':
+    case 'blacklisted':
+      return 'All';
+    case 'probation':
+      return 'Invoice';
+    default:
+      return 'No';
+  }
+}
+
+/**
+ * Map Dynamics 365 purchase order status to AeroSuite status
+ *
+ * @param {string} status - PurchaseOrderStatus from Dynamics 365
+ * @returns {string} - Status for AeroSuite
+ */
+function mapDynamicsPurchaseOrderStatus(status) {
+  switch (status) {
+    case 'Backorder':
+      return 'open';
+    case 'Received':
+      return 'delivered';
+    case 'Invoiced':
+      return 'closed';
+    case 'Canceled':
+      return 'cancelled';
+    default:
+      return 'draft';
+  }
+}
+
+/**
+ * Map Dynamics 365 quality order reference type to an inspection type
+ *
+ * @param {string} referenceType - ReferenceType from Dynamics 365
+ * @returns {string} - Inspection type for AeroSuite
+ */
+function mapDynamicsReferenceType(referenceType) {
+  switch (referenceType) {
+    case 'Purchase':
+      return 'incoming';
+    case 'Production':
+      return 'in-process';
+    default:
+      return 'final';
+  }
+}
+
+/**
+ * Map AeroSuite inspection type to a Dynamics 365 quality order reference type
+ *
+ * @param {string} type - Inspection type from AeroSuite
+ * @returns {string} - ReferenceType for Dynamics 365
+ */
+function mapAeroSuiteInspectionType(type) {
+  switch (type) {
+    case 'incoming':
+    case 'source':
+      return 'Purchase';
+    case 'in-process':
+      return 'Production';
+    default:
+      return 'Inventory';
+  }
+}
+
+/**
+ * Map Dynamics 365 quality order status to an inspection result
+ *
+ * @param {string} status - QualityOrderStatus from Dynamics 365
+ * @returns {string} - Result for AeroSuite
+ */
+function mapDynamicsQualityOrderResult(status) {
+  switch (status) {
+    case 'Pass':
+      return 'pass';
+    case 'Fail':
+      return 'fail';
+    default:
+      return 'pending';
+  }
+}
+
+/**
+ * Map AeroSuite inspection result to a Dynamics 365 quality order status
+ *
+ * @param {string} result - Result from AeroSuite
+ * @returns {string} - QualityOrderStatus for Dynamics 365
+ */
+function mapAeroSuiteInspectionResult(result) {
+  switch (result) {
+    case 'pass':
+    case 'passed':
+      return 'Pass';
+    case 'fail':
+    case 'failed':
+      return 'Fail';
+    default:
+      return 'Open';
+  }
+}
+
+module.exports = {
+  mapDynamicsVendorToSupplier,
+  mapSupplierToDynamicsVendor,
+  mapDynamicsQualityOrderToInspection,
+  mapInspectionToDynamicsQualityOrder,
+  mapDynamicsPurchaseOrderToAeroSuite,
+  mapAeroSuitePurchaseOrderToDynamics,
+  mapDynamicsProductToInventoryItem
+};
@@ -0,0 +1,370 @@
+/**
+ * NetSuite ERP Data Mappers
+ *
+ * This module provides utility functions for mapping data between
+ * AeroSuite models and NetSuite REST record structures. Quality
+ * inspections live in the customrecord_qualityinspection custom record.
+ */
+
+/**
+ * Map NetSuite vendor record to AeroSuite supplier format
+ *
+ * @param {Object} nsVendor - Vendor record from NetSuite
+ * @returns {Object} - Supplier data for AeroSuite
+ */
+function mapNetSuiteVendorToSupplier(nsVendor) {
+  // Skip if no data
+  if (!nsVendor) return null;
+
+  const address = getDefaultAddress(nsVendor);
+
+  return {
+    id: nsVendor.id,
+    code: nsVendor.entityId,
+    name: nsVendor.companyName,
+    email: nsVendor.email,
+    phone: nsVendor.phone,
+    website: nsVendor.url,
+    address: {
+      street: address.addr1,
+      city: address.city,
+      state: address.state,
+      zipCode: address.zip,
+      country: address.country ? address.country.id : undefined
+    },
+    status: nsVendor.isInactive ? 'inactive' : 'active',
+    contactPerson: nsVendor.custentity_primary_contact,
+    paymentTerms: nsVendor.terms ? nsVendor.terms.refName : undefined,
+    updatedAt: nsVendor.lastModifiedDate,
+    sourceSystem: 'NetSuite',
+    sourceId: nsVendor.id,
+    lastSyncedAt: new Date(),
+    erpSynced: true
+  };
+}
+
+/**
+ * Map AeroSuite supplier to NetSuite vendor record format
+ *
+ * @param {Object} supplier - Supplier data from AeroSuite
+ * @returns {Object} - Vendor record for NetSuite
+ */
+function mapSupplierToNetSuiteVendor(supplier) {
+  // Skip if no data
+  if (!supplier) return null;
+
+  return {
+    entityId: supplier.code,
+    companyName: supplier.name,
+    email: supplier.email,
+    phone: supplier.phone,
+    url: supplier.website,
+    isInactive: ['inactive', 'pending', 'blacklisted'].includes(supplier.status),
+    custentity_primary_contact: supplier.contactPerson || supplier.contactName,
+    addressBook: supplier.address ? {
+      items: [{
+        defaultBilling: true,
+        defaultShipping: true,
+        addressBookAddress: {
+          addr1: supplier.address.street,
+          city: supplier.address.city,
+          state: supplier.address.state,
+          zip: supplier.address.zipCode,
+          country: supplier.address.country ? { id: supplier.address.country } : undefined
+        }
+      }]
+    } : undefined
+  };
+}
+
+/**
+ * Map NetSuite quality inspection custom record to AeroSuite inspection format
+ *
+ * @param {Object} nsInspection - customrecord_qualityinspection record
+ * @returns {Object} - Inspection data for AeroSuite
+ */
+function mapNetSuiteInspectionToAeroSuite(nsInspection) {
+  // Skip if no data
+  if (!nsInspection) return null;
+
+  return {
+    id: nsInspection.id,
+    inspectionNumber: nsInspection.name,
+    type: nsInspection.custrecord_qi_type,
+    itemCode: refName(nsInspection.custrecord_qi_item),
+    supplierCode: refName(nsInspection.custrecord_qi_vendor),
+    inspector: nsInspection.custrecord_qi_inspector,
+    date: nsInspection.custrecord_qi_date,
+    quantity: nsInspection.custrecord_qi_quantity,
+    status: mapNetSuiteInspectionStatus(refName(nsInspection.custrecord_qi_status)),
+    result: mapNetSuiteInspectionResult(refName(nsInspection.custrecord_qi_result)),
+    notes: nsInspection.custrecord_qi_notes,
+    externalReference: nsInspection.externalId,
+    updatedAt: nsInspection.lastModified,
+    sourceSystem: 'NetSuite',
+    sourceId: nsInspection.id,
+    lastSyncedAt: new Date(),
+    erpSynced: true
+  };
+}
+
+/**
+ * Map AeroSuite inspection to NetSuite quality inspection custom record
+ *
+ * @param {Object} inspection - Inspection data from AeroSuite
+ * @returns {Object} - customrecord_qualityinspection record for NetSuite
+ */
+function mapAeroSuiteInspectionToNetSuite(inspection) {
+  // Skip if no data
+  if (!inspection) return null;
+
+  // Extract supplier code from populated supplier or use the code directly
+  let supplierCode = inspection.supplierCode;
+  if (inspection.supplier) {
+    supplierCode = typeof inspection.supplier === 'object' ?
+      inspection.supplier.code : inspection.supplier;
+  }
+
+  return {
+    externalId: inspection.externalReference,
+    custrecord_qi_type: inspection.type,
+    custrecord_qi_item: inspection.itemCode ? { refName: inspection.itemCode } : undefined,
+    custrecord_qi_vendor: supplierCode ? { refName: supplierCode } : undefined,
+    custrecord_qi_inspector: inspection.inspector,
+    custrecord_qi_date: inspection.date,
+    custrecord_qi_quantity: inspection.quantity,
+    custrecord_qi_status: { refName: mapAeroSuiteInspectionStatus(inspection.status) },
+    custrecord_qi_result: { refName: mapAeroSuiteInspectionResult(inspection.result) },
+    custrecord_qi_notes: inspection.notes
+  };
+}
+
+/**
+ * Map NetSuite purchase order to AeroSuite format
+ *
+ * @param {Object} nsPO - Purchase order record from NetSuite
+ * @returns {Object} - Purchase order data for AeroSuite
+ */
+function mapNetSuitePurchaseOrderToAeroSuite(nsPO) {
+  // Skip if no data
+  if (!nsPO) return null;
+
+  return {
+    id: nsPO.id,
+    orderNumber: nsPO.tranId,
+    supplier: {
+      code: nsPO.entity ? nsPO.entity.id : undefined,
+      name: refName(nsPO.entity)
+    },
+    date: nsPO.tranDate,
+    dueDate: nsPO.dueDate,
+    status: mapNetSuitePOStatus(refName(nsPO.status)),
+    total: nsPO.total,
+    items: ((nsPO.item && nsPO.item.items) || []).map(line => ({
+      lineNumber: line.line,
+      itemCode: refName(line.item),
+      description: line.description,
+      quantity: line.quantity,
+      receivedQuantity: line.quantityReceived,
+      unitPrice: line.rate,
+      totalPrice: line.amount
+    })),
+    sourceSystem: 'NetSuite',
+    sourceId: nsPO.id,
+    lastSyncedAt: new Date(),
+    erpSynced: true
+  };
+}
+
+/**
+ * Map AeroSuite purchase order to NetSuite format
+ *
+ * @param {Object} purchaseOrder - Purchase order data from AeroSuite
+ * @returns {Object} - Purchase order record for NetSuite
+ */
+function mapAeroSuitePurchaseOrderToNetSuite(purchaseOrder) {
+  // Skip if no data
+  if (!purchaseOrder) return null;
+
+  // Extract vendor internal ID from populated supplier or use the code directly
+  let vendorId = purchaseOrder.vendorCode || purchaseOrder.supplierCode;
+  if (purchaseOrder.supplier) {
+    vendorId = typeof purchaseOrder.supplier === 'object' ?
+      purchaseOrder.supplier.code : purchaseOrder.supplier;
+  }
+
+  return {
+    entity: { id: vendorId },
+    tranDate: purchaseOrder.date,
+    dueDate: purchaseOrder.dueDate,
+    memo: purchaseOrder.notes,
+    item: {
+      items: (purchaseOrder.items || []).map(item => ({
+        item: { id: item.itemCode },
+        quantity: item.quantity,
+        rate: item.unitPrice
+      }))
+    }
+  };
+}
+
+/**
+ * Map NetSuite inventory item to AeroSuite inventory item
+ *
+ * @param {Object} nsItem - inventoryItem record from NetSuite
+ * @returns {Object} - Inventory item for AeroSuite
+ */
+function mapNetSuiteInventoryItem(nsItem) {
+  // Skip if no data
+  if (!nsItem) return null;
+
+  return {
+    itemCode: nsItem.itemId,
+    description: nsItem.displayName || nsItem.itemId,
+    quantityOnHand: nsItem.totalQuantityOnHand || 0,
+    quantityOnOrder: nsItem.quantityOnOrder || 0,
+    unitOfMeasure: refName(nsItem.stockUnit),
+    sourceSystem: 'NetSuite',
+    sourceId: nsItem.id
+  };
+}
+
+/**
+ * Get the display name of a NetSuite record reference
+ *
+ * @param {Object|string} reference - Record reference ({ id, refName }) or value
+ * @returns {string|undefined} - Reference name
+ */
+function refName(reference) {
+  if (!reference) return undefined;
+  return typeof reference === 'object' ? reference.refName : reference;
+}
+
+/**
+ * Get the default address of a NetSuite entity
+ *
+ * @param {Object} nsEntity - Entity record with an addressBook sublist
+ * @returns {Object} - Address fields
+ */
+function getDefaultAddress(nsEntity) {
+  const entries = (nsEntity.addressBook && nsEntity.addressBook.items) || [];
+  const entry = entries.find(item => item.defaultBilling) || entries[0];
+  return (entry && entry.addressBookAddress) || {};
+}
+
+/**
+ * Map NetSuite purchase order status to AeroSuite status
+ *
+ * @param {string} nsStatus - Status name from NetSuite
+ * @returns {string} - Status for AeroSuite
+ */
+function mapNetSuitePOStatus(nsStatus) {
+  switch (nsStatus) {
+    case 'Pending Receipt':
+    case 'Partially Received':
+      return 'open';
+    case 'Pending Billing':
+    case 'Pending Billing/Partially Received':
+      return 'delivered';
+    case 'Fully Billed':
+    case 'Closed':
+      return 'closed';
+    case 'Rejected by Supervisor':
+      return 'cancelled';
+    default:
+      return 'draft';
+  }
+}
+
+/**
+ * Map NetSuite inspection status to AeroSuite status
+ *
+ * @param {string} nsStatus - Status name from NetSuite
+ * @returns {string} - Status for AeroSuite
+ */
+function mapNetSuiteInspectionStatus(nsStatus) {
+  switch (nsStatus) {
+    case 'Scheduled':
+      return 'scheduled';
+    case 'In Progress':
+      return 'in-progress';
+    case 'Completed':
+      return 'completed';
+    case 'Cancelled':
+      return 'cancelled';
+    default:
+      return 'scheduled';
+  }
+}
+
+/**
+ * Map AeroSuite inspection status to NetSuite status name
+ *
+ * @param {string} status - Status from AeroSuite
+ * @returns {string} - Status name for NetSuite
+ */
+function mapAeroSuiteInspectionStatus(status) {
+  switch (status) {
+    case 'in-progress':
+    case 'pending-review':
+      return 'In Progress';
+    case 'completed':
+    case 'approved':
+    case 'closed':
+      return 'Completed';
+    case 'cancelled':
+      return 'Cancelled';
+    default:
+      return 'Scheduled';
+  }
+}
+
+/**
+ * Map NetSuite inspection result to AeroSuite result
+ *
+ * @param {string} nsResult - Result name from NetSuite
+ * @returns {string} - Result for AeroSuite
+ */
+function mapNetSuiteInspectionResult(nsResult) {
+  switch (nsResult) {
+    case 'Accepted':
+      return 'pass';
+    case 'Rejected':
+      return 'fail';
+    case 'Accepted with Deviation':
+      return 'conditional';
+    default:
+      return 'pending';
+  }
+}
+
+/**
+ * Map AeroSuite inspection result to NetSuite result name
+ *
+ * @param {string} result - Result from AeroSuite
+ * @returns {string} - Result name for NetSuite
+ */
+function mapAeroSuiteInspectionResult(result) {
+  switch (result) {
+    case 'pass':
+    case 'passed':
+      return 'Accepted';
+    case 'fail':
+    case 'failed':
+      return 'Rejected';
+    case 'conditional':
+      return 'Accepted with Deviation';
+    default:
+      return 'Pending';
+  }
+}
+
+module.exports = {
+  mapNetSuiteVendorToSupplier,
+  mapSupplierToNetSuiteVendor,
+  mapNetSuiteInspectionToAeroSuite,
+  mapAeroSuiteInspectionToNetSuite,
+  mapNetSuitePurchaseOrderToAeroSuite,
+  mapAeroSuitePurchaseOrderToNetSuite,
+  mapNetSuiteInventoryItem
+};
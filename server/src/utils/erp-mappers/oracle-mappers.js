@@ -157,9 +157,11 @@ function mapOraclePurchaseOrderToAeroSuite(oraclePO) {
     status: mapOraclePOStatus(oraclePO.status),
     total: calculateTotal(oraclePO.lines),
     items: (oraclePO.lines || []).map(line => ({
+      lineNumber: line.lineNumber,
       itemCode: line.itemId || line.itemNumber,
       description: line.description || line.itemDescription,
       quantity: line.quantity,
+      receivedQuantity: line.quantityReceived,
       unitPrice: line.price || line.unitPrice,
       totalPrice: (line.quantity || 0) * (line.price || line.unitPrice || 0)
     })),
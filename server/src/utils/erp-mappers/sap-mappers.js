@@ -141,9 +141,13 @@ function mapSapPurchaseOrderToAeroSuite(sapPO) {
     status: mapSapDocumentStatus(sapPO.DocumentStatus),
     total: sapPO.DocTotal,
     items: (sapPO.DocumentLines || []).map(line => ({
+      lineNumber: line.LineNum,
       itemCode: line.ItemCode,
       description: line.ItemDescription,
       quantity: line.Quantity,
+      // Open quantity drops as goods receipts are posted against the line
+      receivedQuantity: line.RemainingOpenQuantity === undefined ?
+        undefined : line.Quantity - line.RemainingOpenQuantity,
       unitPrice: line.Price,
       totalPrice: line.LineTotal
     })),
@@ -75,6 +75,16 @@ class ValidationError extends BadRequestError {
   }
 }
 
+/**
+ * Error for data access outside, or across, the current tenant
+ */
+class TenantContextError extends ForbiddenError {
+  constructor(message = 'No tenant context') {
+    super(message);
+    this.name = 'TenantContextError';
+  }
+}
+
 module.exports = {
   AppError,
   NotFoundError,
@@ -82,5 +92,6 @@ module.exports = {
   UnauthorizedError,
   ForbiddenError,
   ConflictError,
-  ValidationError
-}; 
\ No newline at end of file
+  ValidationError,
+  TenantContextError
+};
\ No newline at end of file
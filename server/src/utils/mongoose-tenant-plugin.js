@@ -0,0 +1,314 @@
+/**
+ * Mongoose Tenant Plugin
+ * Related to: SaaS002 - Multi-tenant Data Isolation Core
+ *
+ * Scopes a model to the current tenant. Every query, update, delete and
+ * aggregation only reaches the tenant's documents, new documents are
+ * stamped with the tenant and indexes become per-tenant, so a unique field
+ * is unique within each tenant. Data access with no tenant context is
+ * rejected unless it runs as the system (runAsSystem in core/multiTenancy).
+ *
+ * Apply it after the schema's indexes are declared. Access through
+ * Model.collection bypasses it.
+ */
+
+const { getCurrentTenantId, isSystemContext } = require('../core/multiTenancy');
+const { TenantContextError } = require('./errors');
+const { logSecurityEvent, SEVERITY } = require('./securityEventLogger');
+
+const TENANT_FIELD = 'tenantId';
+
+// Query operations restricted to the tenant's documents
+const SCOPED_OPERATIONS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'deleteMany',
+  'deleteOne',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+const REPLACE_OPERATIONS = ['findOneAndReplace', 'replaceOne'];
+
+// Update operators and pipeline stages that may set a field to a value
+const SETTING_OPERATORS = ['$set', '$setOnInsert', '$addFields'];
+
+// Aggregation stages that must stay first in a pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+// Schemas of tenant-scoped models, to scope lookups into their collections
+const scopedSchemas = new WeakSet();
+
+/**
+ * Get the tenant data access is scoped to
+ * @param {string} operation - Operation, for error messages
+ * @returns {string|null} Tenant ID, or null when running as the system
+ * @throws {TenantContextError} Outside any tenant or system context
+ */
+function requireTenant(operation) {
+  const tenantId = getCurrentTenantId();
+  if (tenantId || isSystemContext()) {
+    return tenantId || null;
+  }
+
+  logSecurityEvent(
+    'DATA_ACCESS',
+    { message: `Unscoped data access rejected: ${operation}`, operation, action: 'UNSCOPED_TENANT_ACCESS' },
+    SEVERITY.WARN
+  );
+  throw new TenantContextError(`${operation} needs a tenant context`);
+}
+
+/**
+ * Check whether a value names a tenant other than the current one
+ * @param {*} value - Tenant ID set
+ * @param {string|null} tenantId - Current tenant, null when running as the system
+ * @returns {boolean} Whether it differs
+ */
+function isOtherTenant(value, tenantId) {
+  return tenantId === null || String(value) !== tenantId;
+}
+
+/**
+ * Check whether an update would move documents to another tenant
+ * @param {Object|Array} update - Update document or update pipeline
+ * @param {string|null} tenantId - Current tenant
+ * @returns {boolean} Whether the update changes the tenant
+ */
+function changesTenant(update, tenantId) {
+  const stages = Array.isArray(update) ? update : [update];
+  return stages.some(stage => Object.entries(stage || {}).some(([key, value]) => {
+    if (key === TENANT_FIELD) {
+      return isOtherTenant(value, tenantId);
+    }
+    // $unset stage of an update pipeline
+    if (key === '$unset' && (typeof value === 'string' || Array.isArray(value))) {
+      return [].concat(value).includes(TENANT_FIELD);
+    }
+    if (!key.startsWith('$') || !value || typeof value !== 'object' || !(TENANT_FIELD in value)) {
+      return false;
+    }
+    return SETTING_OPERATORS.includes(key) ? isOtherTenant(value[TENANT_FIELD], tenantId) : true;
+  }));
+}
+
+/**
+ * Stamp a new document or replacement with the tenant
+ * @param {Object} doc - Document to insert
+ * @param {string|null} tenantId - Current tenant
+ * @param {string} operation - Operation, for error messages
+ */
+function assignTenant(doc, tenantId, operation) {
+  if (!doc[TENANT_FIELD]) {
+    if (!tenantId) {
+      throw new TenantContextError(`${operation} outside a tenant context must set ${TENANT_FIELD}`);
+    }
+    doc[TENANT_FIELD] = tenantId;
+  } else if (tenantId && doc[TENANT_FIELD] !== tenantId) {
+    throw new TenantContextError(`${operation} cannot write data of another tenant`);
+  }
+}
+
+/**
+ * Check whether a collection belongs to a tenant-scoped model
+ * @param {Object} connection - Mongoose connection
+ * @param {string} collectionName - Collection name
+ * @returns {boolean} Whether the collection is tenant-scoped
+ */
+function isScopedCollection(connection, collectionName) {
+  return Object.values(connection.models).some(model =>
+    model.collection.collectionName === collectionName && scopedSchemas.has(model.schema)
+  );
+}
+
+/**
+ * Scope the lookups, unions and facets of a pipeline that reach
+ * tenant-scoped collections
+ * @param {Array} pipeline - Aggregation pipeline
+ * @param {string} tenantId - Current tenant
+ * @param {Object} connection - Mongoose connection
+ */
+function scopeStages(pipeline, tenantId, connection) {
+  const subPipeline = (collectionName, stages = []) => {
+    if (isScopedCollection(connection, collectionName)) {
+      scopePipeline(stages, tenantId, connection);
+    } else {
+      scopeStages(stages, tenantId, connection);
+    }
+    return stages;
+  };
+
+  pipeline.forEach(stage => {
+    if (stage.$lookup) {
+      stage.$lookup.pipeline = subPipeline(stage.$lookup.from, stage.$lookup.pipeline);
+    } else if (stage.$unionWith) {
+      const unionWith = typeof stage.$unionWith === 'string' ? { coll: stage.$unionWith } : stage.$unionWith;
+      unionWith.pipeline = subPipeline(unionWith.coll, unionWith.pipeline);
+      stage.$unionWith = unionWith;
+    } else if (stage.$graphLookup && isScopedCollection(connection, stage.$graphLookup.from)) {
+      stage.$graphLookup.restrictSearchWithMatch = {
+        ...stage.$graphLookup.restrictSearchWithMatch,
+        [TENANT_FIELD]: tenantId
+      };
+    } else if (stage.$facet) {
+      Object.values(stage.$facet).forEach(facet => scopeStages(facet, tenantId, connection));
+    }
+  });
+}
+
+/**
+ * Restrict a pipeline over a tenant-scoped collection to the tenant
+ * @param {Array} pipeline - Aggregation pipeline
+ * @param {string} tenantId - Current tenant
+ * @param {Object} connection - Mongoose connection
+ */
+function scopePipeline(pipeline, tenantId, connection) {
+  scopeStages(pipeline, tenantId, connection);
+
+  const position = pipeline.length > 0 && LEADING_STAGES.includes(Object.keys(pipeline[0])[0]) ? 1 : 0;
+  pipeline.splice(position, 0, { $match: { [TENANT_FIELD]: tenantId } });
+}
+
+/**
+ * Prefix the schema's indexes with the tenant, so unique fields are
+ * unique per tenant and every index serves tenant-scoped queries. TTL
+ * indexes are left as declared, as they must have a single field.
+ * @param {Object} schema - Mongoose schema
+ */
+function scopeIndexes(schema) {
+  const declared = schema.indexes();
+
+  schema.eachPath((path, schemaType) => {
+    [schemaType, schemaType.caster].forEach(type => {
+      if (type && type._index != null) {
+        type._index = false;
+      }
+    });
+  });
+  schema.clearIndexes();
+
+  // Indexes of nested schemas are left as declared
+  const nested = schema.indexes().map(([fields]) => JSON.stringify(fields));
+
+  declared
+    .filter(([fields]) => !nested.includes(JSON.stringify(fields)))
+    .forEach(([fields, options]) => {
+      const keep = TENANT_FIELD in fields || (options && options.expireAfterSeconds != null);
+      schema.index(keep ? fields : { [TENANT_FIELD]: 1, ...fields }, options);
+    });
+
+  if (declared.length === 0) {
+    schema.index({ [TENANT_FIELD]: 1 });
+  }
+}
+
+/**
+ * Mongoose plugin scoping a model to the current tenant
+ * @param {Object} schema - Mongoose schema
+ */
+function tenantPlugin(schema) {
+  scopeIndexes(schema);
+
+  schema.add({
+    [TENANT_FIELD]: {
+      type: String,
+      immutable: true
+    }
+  });
+  scopedSchemas.add(schema);
+
+  schema.pre(SCOPED_OPERATIONS, { document: false, query: true }, function() {
+    const operation = `${this.model.modelName}.${this.op}`;
+    const tenantId = requireTenant(operation);
+    const update = this.getUpdate();
+
+    if (REPLACE_OPERATIONS.includes(this.op)) {
+      assignTenant(update, tenantId, operation);
+    } else if (update && changesTenant(update, tenantId)) {
+      throw new TenantContextError(`${operation} cannot change the tenant of documents`);
+    }
+
+    if (tenantId) {
+      this.where({ [TENANT_FIELD]: tenantId });
+    } else if (this.getOptions().upsert && !this.getFilter()[TENANT_FIELD]) {
+      throw new TenantContextError(`${operation} outside a tenant context must filter upserts on ${TENANT_FIELD}`);
+    }
+  });
+
+  // The estimate covers every tenant's documents and cannot be filtered
+  schema.pre('estimatedDocumentCount', function() {
+    if (!isSystemContext()) {
+      throw new TenantContextError(`${this.model.modelName}.estimatedDocumentCount counts every tenant's documents; use countDocuments`);
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const model = this.model();
+    const tenantId = requireTenant(`${model.modelName}.aggregate`);
+    if (tenantId) {
+      scopePipeline(this.pipeline(), tenantId, model.db);
+    }
+  });
+
+  schema.pre('save', function(next) {
+    try {
+      const operation = `${this.constructor.modelName}.save`;
+      const tenantId = requireTenant(operation);
+      if (this.isNew) {
+        assignTenant(this, tenantId, operation);
+      } else if (tenantId && this[TENANT_FIELD] !== tenantId) {
+        throw new TenantContextError(`${operation} cannot write data of another tenant`);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    try {
+      const operation = `${this.modelName}.insertMany`;
+      const tenantId = requireTenant(operation);
+      [].concat(docs).forEach(doc => assignTenant(doc, tenantId, operation));
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.pre('bulkWrite', function(next, ops) {
+    try {
+      const operation = `${this.modelName}.bulkWrite`;
+      const tenantId = requireTenant(operation);
+
+      ops.forEach(op => {
+        const [type, write] = Object.entries(op)[0];
+        if (type === 'insertOne') {
+          assignTenant(write.document, tenantId, operation);
+          return;
+        }
+        if (type === 'replaceOne') {
+          assignTenant(write.replacement, tenantId, operation);
+        } else if (write.update && changesTenant(write.update, tenantId)) {
+          throw new TenantContextError(`${operation} cannot change the tenant of documents`);
+        }
+        if (tenantId) {
+          write.filter = { ...write.filter, [TENANT_FIELD]: tenantId };
+        } else if (write.upsert && !(write.filter && write.filter[TENANT_FIELD])) {
+          throw new TenantContextError(`${operation} outside a tenant context must filter upserts on ${TENANT_FIELD}`);
+        }
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+module.exports = tenantPlugin;
@@ -0,0 +1,120 @@
+/**
+ * Outbound URL checks
+ *
+ * Requests the server makes to URLs users supply, such as webhook
+ * endpoints, must not reach loopback, private, link-local or other
+ * non-public addresses (server-side request forgery). A URL is checked by
+ * resolving its host; the connect-time lookup repeats the check, so a host
+ * that resolves to a public address when checked and an internal one when
+ * connected to is still refused.
+ */
+
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const NON_PUBLIC = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  // Carrier-grade NAT
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  // Link-local, including cloud instance metadata at 169.254.169.254
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  // Benchmarking
+  ['198.18.0.0', 15],
+  // Multicast, reserved and broadcast
+  ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  // Unique local
+  ['fc00::', 7],
+  // Link-local
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC.addSubnet(network, prefix, 'ipv6'));
+
+const IPV4_MAPPED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise
+ * not publicly routable
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean} True if requests must not be sent to it
+ */
+const isNonPublicAddress = (address) => {
+  const mapped = IPV4_MAPPED.exec(address);
+  if (mapped) {
+    return isNonPublicAddress(mapped[1]);
+  }
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return NON_PUBLIC.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Resolve a URL's host and check that every address it resolves to is public
+ * @param {string} url Absolute URL
+ * @returns {Promise<string[]>} Addresses the host resolves to
+ * @throws {Error} If the URL is invalid, its host does not resolve or resolves to a non-public address
+ */
+const assertPublicUrl = async (url) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch (error) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+
+  const blocked = addresses.filter(isNonPublicAddress);
+  if (blocked.length > 0) {
+    throw new Error(`${hostname} resolves to a non-public address (${blocked.join(', ')})`);
+  }
+  return addresses;
+};
+
+/**
+ * dns.lookup replacement for sockets that refuses non-public addresses at
+ * connect time
+ * @param {string} hostname Host to resolve
+ * @param {Object} options dns.lookup options
+ * @param {Function} callback Called with (error, address, family), or (error, addresses) when options.all is set
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isNonPublicAddress);
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked})`));
+    }
+    callback(null, address, family);
+  });
+};
+
+/**
+ * Create an HTTPS agent whose connections only reach public addresses
+ * @returns {https.Agent} Agent
+ */
+const createPublicHttpsAgent = () => new https.Agent({ lookup: publicLookup });
+
+module.exports = {
+  isNonPublicAddress,
+  assertPublicUrl,
+  publicLookup,
+  createPublicHttpsAgent
+};
@@ -0,0 +1,54 @@
+/**
+ * Audit Checkpoint Worker
+ *
+ * This job signs a checkpoint of each tenant's audit log chain whose
+ * head moved since its last checkpoint, then prunes records past their
+ * retention date. A record rewritten after a checkpoint no longer matches
+ * the hash the checkpoint signed.
+ *
+ * It runs every hour on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const { auditLogService } = require('../services/auditLog.service');
+const logger = require('../utils/logger');
+
+/**
+ * Sign audit log checkpoints and prune expired records
+ * @returns {Promise<Object>} { tenants, created, pruned, deleted }
+ */
+async function createAuditCheckpoints() {
+  logger.info('Starting audit checkpoint job');
+
+  // Chain queued entries before signing the heads
+  await auditLogService.flush();
+
+  const { tenants, created } = await auditLogService.createCheckpoints();
+  const { pruned, deleted } = await auditLogService.cleanup();
+
+  logger.info(`Signed ${created} audit checkpoints across ${tenants} tenants; pruned ${pruned} and deleted ${deleted} expired records`);
+  return { tenants, created, pruned, deleted };
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  createAuditCheckpoints()
+    .then(() => {
+      logger.info('Audit checkpoint job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Audit checkpoint job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = createAuditCheckpoints;
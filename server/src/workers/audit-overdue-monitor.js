@@ -0,0 +1,52 @@
+/**
+ * Audit Overdue Monitor Worker
+ *
+ * This job finds supplier audits that were not started on their scheduled
+ * date, marks them delayed, notifies the audit owners and adds a deadline
+ * calendar event for each.
+ *
+ * It runs daily on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const auditProgramService = require('../services/auditProgram.service');
+const { runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+
+/**
+ * Follow up supplier audits that are past their scheduled date
+ * @returns {Promise<Object>} { processed, failed }
+ */
+async function monitorOverdueAudits() {
+  logger.info('Starting audit overdue monitor job');
+
+  // Every tenant's overdue audits are followed up
+  const result = await runAsSystem(() => auditProgramService.processOverdueAudits());
+  const { processed, failed } = result;
+
+  logger.info(`Followed up ${processed} overdue audits, ${failed} failed`);
+  return result;
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  monitorOverdueAudits()
+    .then(() => {
+      logger.info('Audit overdue monitor job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Audit overdue monitor job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = monitorOverdueAudits;
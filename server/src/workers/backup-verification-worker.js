@@ -1,4 +1,12 @@
-const cron = require('node-cron');
+/**
+ * Backup Verification Worker
+ *
+ * This job verifies the local and S3 backups and notifies administrators
+ * of any that fail verification.
+ *
+ * It runs daily on the job scheduler, and can be run directly.
+ */
+
 const logger = require('../utils/logger');
 const backupVerificationService = require('../services/backup-verification.service');
 const notificationService = require('../services/notification.service');
@@ -100,21 +108,6 @@ async function sendProcessFailureNotification(error) {
   }
 }
 
-/**
- * Schedule a regular backup verification job
- * Default: Run daily at 3:30 AM
- * @param {string} schedule - Cron schedule expression
- */
-function scheduleVerification(schedule = '30 3 * * *') {
-  logger.info(`Scheduling backup verification with schedule: ${schedule}`);
-  
-  const job = cron.schedule(schedule, async () => {
-    await runVerificationCheck();
-  });
-  
-  return job;
-}
-
 // If this file is run directly, execute a verification check
 if (require.main === module) {
   runVerificationCheck()
@@ -129,6 +122,5 @@ if (require.main === module) {
 }
 
 module.exports = {
-  runVerificationCheck,
-  scheduleVerification
+  runVerificationCheck
 }; 
\ No newline at end of file
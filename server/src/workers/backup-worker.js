@@ -1,3 +1,12 @@
+/**
+ * Backup Worker
+ *
+ * This job dumps the database, verifies the dump with a test restore,
+ * uploads it to S3 and removes all but the latest local backups.
+ *
+ * It runs daily on the job scheduler, and can be run directly.
+ */
+
 const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
@@ -242,28 +251,8 @@ if (require.main === module) {
   });
 }
 
-// For scheduled execution via cron
-function scheduleBackup() {
-  const CronJob = require('cron').CronJob;
-  
-  // Schedule full backup daily at 1 AM
-  const dailyBackupJob = new CronJob('0 1 * * *', async () => {
-    logger.info('Starting scheduled daily backup');
-    await runBackupJob();
-  });
-  
-  // Start the scheduled job
-  dailyBackupJob.start();
-  logger.info('Scheduled backup job initialized');
-  
-  return {
-    dailyBackupJob
-  };
-}
-
 module.exports = { 
   runBackupJob,
-  scheduleBackup,
   executeMongoBackup,
   uploadBackupToS3,
   verifyBackup,
@@ -0,0 +1,60 @@
+/**
+ * Certification Expiry Monitor Worker
+ *
+ * This job checks supplier qualifications, certifications, QMS certificates
+ * and quality documents for upcoming expiry. It sends warnings 90, 60, 30 and
+ * 0 days before expiry and marks lapsed certificates expired.
+ *
+ * It runs daily on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const certificationMonitorService = require('../services/certificationMonitor.service');
+const notificationRulesService = require('../services/notificationRules.service');
+const webhookService = require('../services/webhook.service');
+const { runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+
+/**
+ * Send expiry warnings and expire lapsed certificates
+ * @returns {Promise<Object>} { checked, warnings, expired, failed }
+ */
+async function monitorCertificationExpiry() {
+  logger.info('Starting certification expiry monitor job');
+
+  // Notify subscribers and webhook endpoints of the expiry warnings raised
+  notificationRulesService.initialize();
+  webhookService.initialize();
+
+  // Every tenant's suppliers are checked
+  const result = await runAsSystem(() => certificationMonitorService.runExpiryMonitor());
+  const { checked, warnings, expired, failed } = result;
+
+  logger.info(`Checked ${checked} suppliers: ${warnings} warnings sent, ${expired} certificates expired, ${failed} failed`);
+
+  await Promise.all([notificationRulesService.drain(), webhookService.drain()]);
+  return result;
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  monitorCertificationExpiry()
+    .then(() => {
+      logger.info('Certification expiry monitor job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Certification expiry monitor job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = monitorCertificationExpiry;
@@ -0,0 +1,84 @@
+/**
+ * Worker Jobs
+ *
+ * Registers the background workers as jobs of the job scheduler, on the
+ * schedules in config/jobScheduler.config.js. A worker is loaded when its
+ * job first runs.
+ */
+
+const jobSchedulerService = require('../services/jobScheduler.service');
+const jobSchedulerConfig = require('../config/jobScheduler.config');
+
+/**
+ * Fail the job of a worker that reports failure in its result
+ * @param {Object} result Worker result with success and error
+ * @returns {Object} Result of a successful run
+ * @throws {Error} If the worker failed
+ */
+const requireSuccess = (result) => {
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result;
+};
+
+const WORKER_JOBS = {
+  'report-scheduler': {
+    description: 'Generate and deliver due scheduled reports and retries',
+    run: () => require('./report-scheduler')()
+  },
+  'notification-dispatcher': {
+    description: 'Send held notifications, retries and due digests',
+    run: () => require('./notification-dispatcher')()
+  },
+  'webhook-dispatcher': {
+    description: 'Retry due webhook deliveries',
+    run: () => require('./webhook-dispatcher')()
+  },
+  'erp-sync': {
+    description: 'Incrementally sync each ERP entity type',
+    run: () => require('./erp-sync-worker')()
+  },
+  'audit-checkpoint': {
+    description: 'Sign audit log checkpoints and prune expired records',
+    run: () => require('./audit-checkpoint')()
+  },
+  'inspection-reminder': {
+    description: 'Remind customers, suppliers and inspectors of tomorrow\'s inspections',
+    run: () => require('./inspection-reminder')()
+  },
+  'certification-expiry-monitor': {
+    description: 'Warn of expiring supplier certifications and expire lapsed ones',
+    run: () => require('./certification-expiry-monitor')()
+  },
+  'audit-overdue-monitor': {
+    description: 'Follow up supplier audits past their scheduled date',
+    run: () => require('./audit-overdue-monitor')()
+  },
+  'supplier-scorecards': {
+    description: 'Generate last month\'s supplier scorecards',
+    run: () => require('./supplier-scorecard-generator')()
+  },
+  backup: {
+    description: 'Back up, verify and upload the database',
+    run: () => require('./backup-worker').runBackupJob().then(requireSuccess)
+  },
+  'backup-verification': {
+    description: 'Verify local and S3 backups',
+    run: () => require('./backup-verification-worker').runVerificationCheck().then(requireSuccess)
+  }
+};
+
+/**
+ * Register every worker job with the job scheduler
+ */
+const registerWorkerJobs = () => {
+  Object.entries(WORKER_JOBS).forEach(([name, { description, run }]) => {
+    jobSchedulerService.define(name, run, { description, ...jobSchedulerConfig.jobs[name] });
+  });
+};
+
+module.exports = {
+  WORKER_JOBS,
+  registerWorkerJobs
+};
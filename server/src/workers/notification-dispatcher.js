@@ -0,0 +1,52 @@
+/**
+ * Notification Dispatcher Worker
+ *
+ * This job sends the email, SMS and webhook notifications held until
+ * the end of their users' quiet hours or awaiting a retry, and the daily
+ * and weekly digests that are due.
+ *
+ * It runs every few minutes on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const notificationRulesService = require('../services/notificationRules.service');
+const { runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+
+/**
+ * Send due notifications and digests
+ * @returns {Promise<Object>} { sent, retrying, failed, digests }
+ */
+async function dispatchNotifications() {
+  logger.info('Starting notification dispatcher job');
+
+  // Every tenant's notifications and digests are sent
+  const result = await runAsSystem(() => notificationRulesService.processDue());
+  const { sent, retrying, failed, digests } = result;
+
+  logger.info(`Sent ${sent} notifications and ${digests} digests: ${retrying} to retry, ${failed} failed`);
+  return result;
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  dispatchNotifications()
+    .then(() => {
+      logger.info('Notification dispatcher job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Notification dispatcher job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = dispatchNotifications;
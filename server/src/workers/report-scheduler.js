@@ -0,0 +1,53 @@
+/**
+ * Report Scheduler Worker
+ *
+ * This job generates and delivers the reports whose schedules are due,
+ * and retries failed runs whose backoff has elapsed, without exceeding the
+ * cap on concurrent report generations. Anything over the cap stays due
+ * for the next run.
+ *
+ * It runs every minute on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const reportScheduleService = require('../services/reportSchedule.service');
+const { runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+
+/**
+ * Run due report schedules and retries
+ * @returns {Promise<Object>} { started, succeeded, failed, deferred }
+ */
+async function runScheduledReports() {
+  logger.info('Starting report scheduler job');
+
+  // Every tenant's schedules are run, each report within its schedule's tenant
+  const result = await runAsSystem(() => reportScheduleService.runDueSchedules());
+  const { started, succeeded, failed, deferred } = result;
+
+  logger.info(`Started ${started} report runs: ${succeeded} delivered, ${failed} failed, ${deferred} deferred`);
+  return result;
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  runScheduledReports()
+    .then(() => {
+      logger.info('Report scheduler job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Report scheduler job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = runScheduledReports;
@@ -0,0 +1,51 @@
+/**
+ * Supplier Scorecard Generator Worker
+ *
+ * This job generates last month's scorecard for every supplier still in
+ * use, so scorecard trends fill in without anyone generating them by hand.
+ *
+ * It runs monthly on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const supplierScorecardService = require('../services/supplierScorecard.service');
+const { runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+
+/**
+ * Generate last month's supplier scorecards
+ * @returns {Promise<Object>} { period, generated, failed }
+ */
+async function generateSupplierScorecards() {
+  logger.info('Starting supplier scorecard generation job');
+
+  // Every tenant's suppliers are scored, each within its own tenant
+  const result = await runAsSystem(() => supplierScorecardService.generateMonthlyScorecards());
+  const { period, generated, failed } = result;
+
+  logger.info(`Generated ${generated} supplier scorecards for ${period}, ${failed} failed`);
+  return result;
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  generateSupplierScorecards()
+    .then(() => {
+      logger.info('Supplier scorecard generation job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Supplier scorecard generation job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = generateSupplierScorecards;
@@ -0,0 +1,52 @@
+/**
+ * Webhook Dispatcher Worker
+ *
+ * This job retries the webhook deliveries whose backoff has elapsed.
+ * Deliveries that run out of attempts are dead-lettered until they are
+ * redelivered through the API.
+ *
+ * It runs every minute on the job scheduler, and can be run directly.
+ */
+
+const mongoose = require('mongoose');
+const webhookService = require('../services/webhook.service');
+const { runAsSystem } = require('../core/multiTenancy');
+const logger = require('../utils/logger');
+
+/**
+ * Retry due webhook deliveries
+ * @returns {Promise<Object>} { attempted, succeeded, retrying, dead }
+ */
+async function dispatchWebhooks() {
+  logger.info('Starting webhook dispatcher job');
+
+  // Every tenant's deliveries are retried
+  const result = await runAsSystem(() => webhookService.processDue());
+  const { attempted, succeeded, retrying, dead } = result;
+
+  logger.info(`Attempted ${attempted} webhook deliveries: ${succeeded} delivered, ${retrying} to retry, ${dead} dead-lettered`);
+  return result;
+}
+
+// Execute the function if this script is run directly
+if (require.main === module) {
+  // Connect to database
+  require('../config/db.config');
+
+  dispatchWebhooks()
+    .then(() => {
+      logger.info('Webhook dispatcher job completed');
+      return 0;
+    })
+    .catch((error) => {
+      logger.error(`Webhook dispatcher job failed: ${error.message}`, error);
+      return 1;
+    })
+    .then(async (code) => {
+      // Close database connection
+      await mongoose.connection.close();
+      process.exit(code);
+    });
+}
+
+module.exports = dispatchWebhooks;